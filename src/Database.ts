@@ -1,31 +1,73 @@
+import { getCodePage } from "./code-page.js";
 import { type CodecHandler, createCodecHandler } from "./codec-handler/index.js";
 import { decryptRC4 } from "./crypto/index.js";
 import { readDateTime } from "./data/datetime.js";
+import { isSupportedCodePage } from "./dependencies/iconv-lite/index.js";
 import { getJetFormat, type JetFormat } from "./JetFormat/index.js";
+import { LRUCache } from "./lru-cache.js";
+import { AsyncPageLoader, type PageSource } from "./page-source/index.js";
 import { PageType, assertPageType } from "./PageType.js";
-import type { SortOrder } from "./types.js";
+import type { EncryptionType, SortOrder } from "./types.js";
 import { uncompressText } from "./unicodeCompression.js";
 import { isEmptyBuffer, xor } from "./util.js";
 
-const PASSWORD_OFFSET = 0x42;
+export const PASSWORD_OFFSET = 0x42;
+
+/**
+ * Smallest page size of all versions. Large enough to detect the version.
+ */
+const MIN_PAGE_SIZE = 2048;
+
+/**
+ * Number of decrypted pages kept in memory by default
+ */
+export const DEFAULT_PAGE_CACHE_SIZE = 256;
 
 export class Database {
-    #buffer: Buffer;
+    #pageSource: PageSource;
     #format: JetFormat;
 
     #codecHandler: CodecHandler;
     #databaseDefinitionPage: Buffer;
+    #codePage: number;
+    #pageCache: LRUCache<number, Buffer>;
 
-    constructor(buffer: Buffer, password: string) {
-        this.#buffer = buffer;
+    /**
+     * Pages changed by `modifyPage` and pages appended by `allocatePage`. They replace the pages of the page source.
+     */
+    #writtenPages = new Map<number, Buffer>();
+    #pageCount: number;
+    #revision = 0;
 
-        assertPageType(this.#buffer, PageType.DatabaseDefinitionPage);
+    /**
+     * Content of the pages before the current write started. `undefined` if the page was not written before.
+     */
+    #journal: Map<number, Buffer | undefined> | null = null;
 
-        this.#format = getJetFormat(this.#buffer);
+    /**
+     * @param codePage Code page of text in Jet3 databases. Derived from the default sort order if not set.
+     * @param pageCacheSize Maximum number of decrypted pages kept in memory. `0` disables the cache.
+     */
+    constructor(pageSource: PageSource, password: string, codePage?: number, pageCacheSize = DEFAULT_PAGE_CACHE_SIZE) {
+        this.#pageSource = pageSource;
+        this.#pageCache = new LRUCache(pageCacheSize);
+
+        const headerBuffer = this.#pageSource.readPage(0, MIN_PAGE_SIZE);
+        assertPageType(headerBuffer, PageType.DatabaseDefinitionPage);
+
+        this.#format = getJetFormat(headerBuffer);
+
+        this.#pageCount = Math.floor(this.#pageSource.size / this.#format.pageSize);
 
         this.#databaseDefinitionPage = Buffer.alloc(this.#format.pageSize);
-        this.#buffer.copy(this.#databaseDefinitionPage, 0, 0, this.#format.pageSize);
+        this.#pageSource.readPage(0, this.#format.pageSize).copy(this.#databaseDefinitionPage);
         decryptHeader(this.#databaseDefinitionPage, this.#format);
+
+        this.#codePage = codePage ?? getCodePage(this.getDefaultSortOrder());
+        if (!isSupportedCodePage(this.#codePage)) {
+            throw new Error(`Unsupported code page ${this.#codePage}`);
+        }
+
         this.#codecHandler = createCodecHandler(this.#databaseDefinitionPage, password);
 
         if (!this.#codecHandler.verifyPassword()) {
@@ -37,13 +79,42 @@ export class Database {
         return this.#format;
     }
 
+    get encryptionType(): EncryptionType {
+        return this.#codecHandler.encryptionType;
+    }
+
+    /**
+     * Size of the database file in bytes
+     */
+    get size(): number {
+        return Math.max(this.#pageSource.size, this.#pageCount * this.#format.pageSize);
+    }
+
+    /**
+     * Number of pages of the database file
+     */
+    get pageCount(): number {
+        return this.#pageCount;
+    }
+
+    /**
+     * Number of writes to the database. Data read before a write may be outdated.
+     */
+    get revision(): number {
+        return this.#revision;
+    }
+
+    get codePage(): number {
+        return this.#codePage;
+    }
+
     getPassword(): string | null {
         let passwordBuffer = this.#databaseDefinitionPage.slice(
             PASSWORD_OFFSET,
             PASSWORD_OFFSET + this.#format.databaseDefinitionPage.passwordSize
         );
 
-        const mask = this.#getPasswordMask();
+        const mask = getPasswordMask(this.#databaseDefinitionPage, this.#format);
         if (mask !== null) {
             passwordBuffer = xor(passwordBuffer, mask);
         }
@@ -52,7 +123,7 @@ export class Database {
             return null;
         }
 
-        let password = uncompressText(passwordBuffer, this.#format);
+        let password = uncompressText(passwordBuffer, this.#format, this.#codePage);
         const nullCharIndex = password.indexOf("\0");
         if (nullCharIndex >= 0) {
             password = password.slice(0, nullCharIndex);
@@ -60,20 +131,6 @@ export class Database {
         return password;
     }
 
-    #getPasswordMask(): Buffer | null {
-        if (this.#format.databaseDefinitionPage.creationDateOffset === null) {
-            return null;
-        }
-
-        const mask = Buffer.alloc(this.#format.databaseDefinitionPage.passwordSize);
-        const dateValue = this.#databaseDefinitionPage.readDoubleLE(this.#format.databaseDefinitionPage.creationDateOffset);
-        mask.writeInt32LE(Math.floor(dateValue));
-        for (let i = 0; i < mask.length; ++i) {
-            mask[i] = mask[i % 4]!;
-        }
-        return mask;
-    }
-
     getCreationDate(): Date | null {
         if (this.#format.databaseDefinitionPage.creationDateOffset === null) {
             return null;
@@ -87,9 +144,7 @@ export class Database {
     }
 
     getDefaultSortOrder(): Readonly<SortOrder> {
-        const value = this.#databaseDefinitionPage.readUInt16LE(
-            this.#format.databaseDefinitionPage.defaultSortOrder.offset + 3
-        );
+        const value = this.#databaseDefinitionPage.readUInt16LE(this.#format.databaseDefinitionPage.defaultSortOrder.offset);
 
         if (value === 0) {
             return this.#format.defaultSortOrder;
@@ -105,19 +160,155 @@ export class Database {
         return Object.freeze({ value, version });
     }
 
+    /**
+     * Returns the decrypted buffer of a page. The buffer may be shared with other callers and must not be modified.
+     */
     getPage(page: number): Buffer {
         if (page === 0) {
             // already decrypted
             return this.#databaseDefinitionPage;
         }
 
+        const writtenPage = this.#writtenPages.get(page);
+        if (writtenPage !== undefined) {
+            return writtenPage;
+        }
+
+        const cachedPage = this.#pageCache.get(page);
+        if (cachedPage !== undefined) {
+            return cachedPage;
+        }
+
         const offset = page * this.#format.pageSize;
-        if (this.#buffer.length < offset) {
+        if (this.#pageSource.size < offset) {
             throw new Error(`Page ${page} does not exist`);
         }
 
-        const pageBuffer = this.#buffer.slice(offset, offset + this.#format.pageSize);
-        return this.#codecHandler.decryptPage(pageBuffer, page);
+        const pageBuffer = this.#codecHandler.decryptPage(this.#pageSource.readPage(page, this.#format.pageSize), page);
+        this.#pageCache.set(page, pageBuffer);
+        return pageBuffer;
+    }
+
+    /**
+     * Throws if pages of the database cannot be written. Only unencrypted databases of Access 2000 and later that are
+     * read from a buffer or a file descriptor can be written.
+     */
+    assertWritable(): void {
+        if (this.#format.fileFormat === "Jet3" || this.#format.fileFormat === "MSISAM") {
+            throw new Error(`Writing databases of format ${this.#format.fileFormat} is not supported`);
+        }
+        if (this.encryptionType !== "none") {
+            throw new Error(`Writing databases with encryption ${this.encryptionType} is not supported`);
+        }
+        if (this.#pageSource instanceof AsyncPageLoader) {
+            throw new Error("Databases opened from an async page source cannot be written");
+        }
+    }
+
+    /**
+     * Invokes the callback which changes pages with `modifyPage` and `allocatePage`. If the callback throws, all pages
+     * are restored, so either all or none of its changes are applied.
+     */
+    write<T>(callback: () => T): T {
+        this.assertWritable();
+        if (this.#journal !== null) {
+            throw new Error("Writes cannot be nested");
+        }
+
+        const journal = new Map<number, Buffer | undefined>();
+        const pageCount = this.#pageCount;
+        this.#journal = journal;
+        try {
+            const result = callback();
+            ++this.#revision;
+            return result;
+        } catch (error) {
+            for (const [page, pageBuffer] of journal) {
+                if (pageBuffer === undefined) {
+                    this.#writtenPages.delete(page);
+                } else {
+                    this.#writtenPages.set(page, pageBuffer);
+                }
+            }
+            this.#pageCount = pageCount;
+            throw error;
+        } finally {
+            this.#journal = null;
+        }
+    }
+
+    /**
+     * Changes a page in place. Only allowed within `write`.
+     *
+     * @param modify Receives a copy of the page which replaces the page afterwards
+     */
+    modifyPage(page: number, modify: (pageBuffer: Buffer) => void): void {
+        const journal = this.#assertWriting();
+        if (page <= 0 || page >= this.#pageCount) {
+            throw new Error(`Page ${page} does not exist`);
+        }
+
+        let pageBuffer = this.#writtenPages.get(page);
+        if (!journal.has(page)) {
+            journal.set(page, pageBuffer === undefined ? undefined : Buffer.from(pageBuffer));
+        }
+        if (pageBuffer === undefined) {
+            pageBuffer = Buffer.from(this.getPage(page));
+            this.#writtenPages.set(page, pageBuffer);
+        }
+
+        modify(pageBuffer);
+    }
+
+    /**
+     * Appends an empty page to the database. Only allowed within `write`.
+     *
+     * @returns Number of the new page
+     */
+    allocatePage(): number {
+        const journal = this.#assertWriting();
+
+        const page = this.#pageCount++;
+        journal.set(page, undefined);
+        this.#writtenPages.set(page, Buffer.alloc(this.#format.pageSize));
+        return page;
+    }
+
+    #assertWriting(): Map<number, Buffer | undefined> {
+        if (this.#journal === null) {
+            throw new Error("Pages can only be changed within write()");
+        }
+        return this.#journal;
+    }
+
+    /**
+     * Returns the whole database file including all written pages
+     */
+    toBuffer(): Buffer {
+        const pageSize = this.#format.pageSize;
+        const buffer = Buffer.alloc(this.size);
+        for (let page = 0; page < this.#pageCount; ++page) {
+            (this.#writtenPages.get(page) ?? this.#pageSource.readPage(page, pageSize)).copy(buffer, page * pageSize);
+        }
+
+        const sourcePageCount = Math.floor(this.#pageSource.size / pageSize);
+        if (sourcePageCount === this.#pageCount) {
+            // Keep trailing bytes of a file that does not end on a page boundary
+            this.#pageSource.readPage(sourcePageCount, pageSize).copy(buffer, sourcePageCount * pageSize);
+        }
+        return buffer;
+    }
+
+    /**
+     * Invokes the callback and loads all pages it reads if the database is read from an async page source.
+     *
+     * @see AsyncPageLoader.run
+     */
+    async runAsync<T>(callback: () => T): Promise<T> {
+        if (this.#pageSource instanceof AsyncPageLoader) {
+            return this.#pageSource.run(callback);
+        }
+        return callback();
     }
 
     /**
@@ -152,9 +343,34 @@ export class Database {
     }
 }
 
+/**
+ * The password is stored XORed with a mask derived from the creation date of the database
+ *
+ * @param databaseDefinitionPage Decrypted database definition page
+ * @returns `null` if the format does not mask the password
+ */
+export function getPasswordMask(databaseDefinitionPage: Buffer, format: JetFormat): Buffer | null {
+    if (format.databaseDefinitionPage.creationDateOffset === null) {
+        return null;
+    }
+
+    const mask = Buffer.alloc(format.databaseDefinitionPage.passwordSize);
+    const dateValue = databaseDefinitionPage.readDoubleLE(format.databaseDefinitionPage.creationDateOffset);
+    mask.writeInt32LE(Math.floor(dateValue));
+    for (let i = 0; i < mask.length; ++i) {
+        mask[i] = mask[i % 4]!;
+    }
+    return mask;
+}
+
 const ENCRYPTION_START = 0x18;
 const ENCRYPTION_KEY = [0xc7, 0xda, 0x39, 0x6b];
-function decryptHeader(buffer: Buffer, format: JetFormat): void {
+
+/**
+ * Decrypts the header of the database definition page in place. As RC4 is symmetric, applying it to a decrypted
+ * header encrypts it.
+ */
+export function decryptHeader(buffer: Buffer, format: JetFormat): void {
     const decryptedBuffer = decryptRC4(
         Buffer.from(ENCRYPTION_KEY),
         buffer.slice(ENCRYPTION_START, ENCRYPTION_START + format.databaseDefinitionPage.encryptedSize)
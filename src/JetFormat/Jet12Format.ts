@@ -3,5 +3,11 @@ import { CodecType, type JetFormat } from "./types.js";
 
 export const jet12Format: JetFormat = {
     ...jet4Format,
+    fileFormat: "ACE12",
     codecType: CodecType.OFFICE,
+    legacyNumericIndexes: false,
+    tableDefinitionPage: {
+        ...jet4Format.tableDefinitionPage,
+        complexAutoNumberOffset: 28,
+    },
 };
@@ -4,5 +4,6 @@ import type { JetFormat } from "./types.js";
 
 export const jet14Format: JetFormat = {
     ...jet12Format,
+    fileFormat: "ACE14",
     defaultSortOrder: GENERAL_SORT_ORDER,
 };
@@ -1,4 +1,7 @@
 import { jet14Format } from "./Jet14Format.js";
 import type { JetFormat } from "./types.js";
 
-export const jet15Format: JetFormat = jet14Format;
+export const jet15Format: JetFormat = {
+    ...jet14Format,
+    fileFormat: "ACE15",
+};
@@ -1,4 +1,7 @@
 import { jet15Format } from "./Jet15Format.js";
 import type { JetFormat } from "./types.js";
 
-export const jet16Format: JetFormat = jet15Format;
+export const jet16Format: JetFormat = {
+    ...jet15Format,
+    fileFormat: "ACE16",
+};
@@ -1,4 +1,7 @@
 import { jet16Format } from "./Jet16Format.js";
 import type { JetFormat } from "./types.js";
 
-export const jet17Format: JetFormat = jet16Format;
+export const jet17Format: JetFormat = {
+    ...jet16Format,
+    fileFormat: "ACE17",
+};
@@ -2,6 +2,8 @@ import { GENERAL_97_SORT_ORDER } from "../SortOrder.js";
 import { CodecType, type JetFormat } from "./types.js";
 
 export const jet3Format: JetFormat = {
+    fileFormat: "Jet3",
+
     codecType: CodecType.JET,
 
     pageSize: 2048,
@@ -10,6 +12,8 @@ export const jet3Format: JetFormat = {
 
     defaultSortOrder: GENERAL_97_SORT_ORDER,
 
+    legacyNumericIndexes: true,
+
     databaseDefinitionPage: {
         encryptedSize: 126,
         passwordSize: 20,
@@ -29,11 +33,26 @@ export const jet3Format: JetFormat = {
             columnCountSize: 1,
             variableColumnCountSize: 1,
         },
+
+        maxRecordSize: 2012,
+    },
+
+    indexPage: {
+        prevPageOffset: 8,
+        nextPageOffset: 12,
+        childTailPageOffset: 16,
+        prefixLengthOffset: 20,
+        entryMaskOffset: 22,
+        entryMaskSize: 226,
     },
 
     tableDefinitionPage: {
         rowCountOffset: 12,
 
+        autoNumberOffset: 16,
+        complexAutoNumberOffset: null,
+
+        maxColumnCountOffset: 21,
         columnCountOffset: 25,
         variableColumnCountOffset: 23,
 
@@ -42,6 +61,29 @@ export const jet3Format: JetFormat = {
 
         realIndexStartOffset: 43,
         realIndexEntrySize: 8,
+        realIndexUniqueEntryCountOffset: 4,
+
+        realIndexDefinition: {
+            columnsOffset: 0,
+            usageMapOffset: 30,
+            firstPageOffset: 34,
+            flagsOffset: 38,
+
+            entrySize: 39,
+        },
+
+        logicalIndexDefinition: {
+            indexNumberOffset: 0,
+            realIndexNumberOffset: 4,
+            relatedTableTypeOffset: 8,
+            relatedIndexNumberOffset: 9,
+            relatedTablePageOffset: 13,
+            cascadeUpdatesOffset: 17,
+            cascadeDeletesOffset: 18,
+            typeOffset: 19,
+
+            entrySize: 20,
+        },
 
         columnsDefinition: {
             typeOffset: 0,
@@ -50,6 +92,7 @@ export const jet3Format: JetFormat = {
             flagsOffset: 13,
             fixedIndexOffset: 14,
             sizeOffset: 16,
+            compressedUnicodeOffset: null,
 
             entrySize: 18,
         },
@@ -58,5 +101,6 @@ export const jet3Format: JetFormat = {
         },
 
         usageMapOffset: 35,
+        freeSpaceMapOffset: 39,
     },
 };
@@ -2,6 +2,8 @@ import { GENERAL_LEGACY_SORT_ORDER } from "../SortOrder.js";
 import { CodecType, type JetFormat } from "./types.js";
 
 export const jet4Format: JetFormat = {
+    fileFormat: "Jet4",
+
     codecType: CodecType.JET,
 
     pageSize: 4096,
@@ -10,6 +12,8 @@ export const jet4Format: JetFormat = {
 
     defaultSortOrder: GENERAL_LEGACY_SORT_ORDER,
 
+    legacyNumericIndexes: true,
+
     databaseDefinitionPage: {
         encryptedSize: 128,
         passwordSize: 40,
@@ -29,11 +33,26 @@ export const jet4Format: JetFormat = {
             columnCountSize: 2,
             variableColumnCountSize: 2,
         },
+
+        maxRecordSize: 4060,
+    },
+
+    indexPage: {
+        prevPageOffset: 12,
+        nextPageOffset: 16,
+        childTailPageOffset: 20,
+        prefixLengthOffset: 24,
+        entryMaskOffset: 27,
+        entryMaskSize: 453,
     },
 
     tableDefinitionPage: {
         rowCountOffset: 16,
 
+        autoNumberOffset: 20,
+        complexAutoNumberOffset: null,
+
+        maxColumnCountOffset: 41,
         variableColumnCountOffset: 43,
         columnCountOffset: 45,
 
@@ -42,6 +61,29 @@ export const jet4Format: JetFormat = {
 
         realIndexStartOffset: 63,
         realIndexEntrySize: 12,
+        realIndexUniqueEntryCountOffset: 4,
+
+        realIndexDefinition: {
+            columnsOffset: 4,
+            usageMapOffset: 34,
+            firstPageOffset: 38,
+            flagsOffset: 46,
+
+            entrySize: 52,
+        },
+
+        logicalIndexDefinition: {
+            indexNumberOffset: 4,
+            realIndexNumberOffset: 8,
+            relatedTableTypeOffset: 12,
+            relatedIndexNumberOffset: 13,
+            relatedTablePageOffset: 17,
+            cascadeUpdatesOffset: 21,
+            cascadeDeletesOffset: 22,
+            typeOffset: 23,
+
+            entrySize: 28,
+        },
 
         columnsDefinition: {
             typeOffset: 0,
@@ -50,6 +92,7 @@ export const jet4Format: JetFormat = {
             flagsOffset: 15,
             fixedIndexOffset: 21,
             sizeOffset: 23,
+            compressedUnicodeOffset: 16,
 
             entrySize: 25,
         },
@@ -58,5 +101,6 @@ export const jet4Format: JetFormat = {
         },
 
         usageMapOffset: 55,
+        freeSpaceMapOffset: 59,
     },
 };
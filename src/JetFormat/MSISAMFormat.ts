@@ -3,5 +3,6 @@ import { CodecType, type JetFormat } from "./types.js";
 
 export const msisamFormat: JetFormat = {
     ...jet4Format,
+    fileFormat: "MSISAM",
     codecType: CodecType.MSISAM,
 };
@@ -1,6 +1,8 @@
-import type { SortOrder } from "../types.js";
+import type { FileFormat, SortOrder } from "../types.js";
 
 export interface JetFormat {
+    fileFormat: FileFormat;
+
     codecType: CodecType;
 
     pageSize: number;
@@ -9,6 +11,11 @@ export interface JetFormat {
 
     defaultSortOrder: Readonly<SortOrder>;
 
+    /**
+     * Whether the sign byte of numeric values is not flipped in descending indexes
+     */
+    legacyNumericIndexes: boolean;
+
     databaseDefinitionPage: {
         encryptedSize: number;
         passwordSize: number;
@@ -30,11 +37,47 @@ export interface JetFormat {
             columnCountSize: number;
             variableColumnCountSize: 1 | 2;
         };
+
+        /**
+         * Largest record that fits on a data page
+         */
+        maxRecordSize: number;
+    };
+
+    indexPage: {
+        prevPageOffset: number;
+        nextPageOffset: number;
+        childTailPageOffset: number;
+
+        /**
+         * Number of bytes all entries of the page share with the first entry
+         */
+        prefixLengthOffset: number;
+
+        /**
+         * Bitmask marking the end of each entry. Entries directly follow the mask.
+         */
+        entryMaskOffset: number;
+        entryMaskSize: number;
     };
 
     tableDefinitionPage: {
         rowCountOffset: number;
 
+        /**
+         * Last value of the autonumber column
+         */
+        autoNumberOffset: number;
+
+        /**
+         * Last id of the values of complex columns. `null` if the format does not support complex columns.
+         */
+        complexAutoNumberOffset: number | null;
+
+        /**
+         * Number of columns including deleted columns. Every record stores this number of columns.
+         */
+        maxColumnCountOffset: number;
         columnCountOffset: number;
         variableColumnCountOffset: number;
 
@@ -44,6 +87,39 @@ export interface JetFormat {
         realIndexStartOffset: number;
         realIndexEntrySize: number;
 
+        /**
+         * Number of distinct keys of the index within a real index entry
+         */
+        realIndexUniqueEntryCountOffset: number;
+
+        /**
+         * Real index definitions that follow the column names
+         */
+        realIndexDefinition: {
+            columnsOffset: number;
+            usageMapOffset: number;
+            firstPageOffset: number;
+            flagsOffset: number;
+
+            entrySize: number;
+        };
+
+        /**
+         * Logical index definitions that follow the real index definitions
+         */
+        logicalIndexDefinition: {
+            indexNumberOffset: number;
+            realIndexNumberOffset: number;
+            relatedTableTypeOffset: number;
+            relatedIndexNumberOffset: number;
+            relatedTablePageOffset: number;
+            cascadeUpdatesOffset: number;
+            cascadeDeletesOffset: number;
+            typeOffset: number;
+
+            entrySize: number;
+        };
+
         columnsDefinition: {
             typeOffset: number;
             indexOffset: number;
@@ -53,6 +129,11 @@ export interface JetFormat {
             variableIndexOffset: number;
             fixedIndexOffset: number;
 
+            /**
+             * Flags whether text of the column may be stored compressed. `null` if the format does not compress text.
+             */
+            compressedUnicodeOffset: number | null;
+
             entrySize: number;
         };
         columnNames: {
@@ -63,6 +144,11 @@ export interface JetFormat {
         };
 
         usageMapOffset: number;
+
+        /**
+         * Usage map of the data pages with free space
+         */
+        freeSpaceMapOffset: number;
     };
 }
 
@@ -1,32 +1,112 @@
-import { Database } from "./Database.js";
-import { PageType, assertPageType } from "./PageType.js";
-import { type SysObject, isSysObjectType, isSystemObject, SysObjectTypes } from "./SysObject.js";
+import {
+    type AccessObject,
+    type AccessStorageRow,
+    findStorageEntry,
+    FORMS_STORAGE,
+    getStreams,
+    type Macro,
+    readAccessObjects,
+    readAccessStorage,
+    readMacros,
+    REPORTS_STORAGE,
+    type StorageEntry,
+    VBA_STORAGE_PATH,
+} from "./access-storage.js";
+import { type ComplexColumn, createComplexColumn } from "./complex-columns.js";
+import { Database, DEFAULT_PAGE_CACHE_SIZE } from "./Database.js";
+import { type LinkedTableInfo, type LinkedTableRow, parseLinkedTableInfo } from "./linked-tables.js";
+import { PageNotLoadedError } from "./page-source/async.js";
+import { AsyncPageLoader, type AsyncPageSource, createBufferPageSource, type PageSource } from "./page-source/index.js";
+import { parsePropertyMaps, type Properties } from "./properties.js";
+import { getQueryType, parseQuery, type Query, type QueryRow } from "./queries.js";
+import { parseRelationships, type Relationship, type RelationshipRow } from "./relationships.js";
+import { executeSelect, executeSelectAsync, parseSelect, type QueryResultRow } from "./sql/index.js";
+import { getSysObjectType, type SysObject, isSystemObject, SysObjectTypes } from "./SysObject.js";
 import { Table } from "./Table.js";
-import type { SortOrder } from "./types.js";
+import type { EncryptionType, FileFormat, SortOrder } from "./types.js";
+import { type ValidationIssue, ValidationIssueTypes, validatePages, validatePagesAsync } from "./validation.js";
+import type { DefaultValueOptions, ValueOptions } from "./value-options.js";
+import { readVBAModules, type VBAModule } from "./vba/project.js";
 
 const MSYS_OBJECTS_TABLE = "MSysObjects";
 const MSYS_OBJECTS_PAGE = 2;
+const MSYS_OBJECTS_INDEX = "Id";
+const MSYS_RELATIONSHIPS_TABLE = "MSysRelationships";
+const MSYS_QUERIES_TABLE = "MSysQueries";
+const MSYS_QUERIES_INDEX = "ObjectIdAttribute";
+const MSYS_COMPLEX_COLUMNS_TABLE = "MSysComplexColumns";
+const MSYS_ACCESS_STORAGE_TABLE = "MSysAccessStorage";
+const MSYS_DB_OBJECT = "MSysDb";
 
-export interface Options {
+/**
+ * Value options of tables read internally, i.e. the default representation
+ */
+const INTERNAL_VALUE_OPTIONS: ValueOptions = {};
+
+/**
+ * Value options (e.g. `dateTime`) set the default representation of the values returned by the tables of the reader.
+ */
+export interface Options extends ValueOptions {
     password?: string | undefined;
+
+    /**
+     * Windows code page of text in Jet3 databases (Access 97), e.g. `1251` or `932`. Derived from the sort order of
+     * the database by default.
+     */
+    codePage?: number | undefined;
+
+    /**
+     * Returns the buffer of a linked database. Required to read linked tables via `getTable()`.
+     *
+     * @param path Path of the linked database as stored by Access
+     */
+    linkResolver?: ((path: string) => Buffer) | undefined;
+
+    /**
+     * Maximum number of decrypted pages kept in memory. Defaults to 256. `0` disables the cache.
+     */
+    pageCacheSize?: number | undefined;
 }
 
-export default class MDBReader {
-    #buffer: Buffer;
+export default class MDBReader<TOptions extends Options = DefaultValueOptions> {
     #sysObjects: SysObject[];
+    #sysObjectsTable: Table;
     #database: Database;
+    #linkResolver: ((path: string) => Buffer) | undefined;
+    #pageCacheSize: number;
+    #valueOptions: ValueOptions;
+    #linkedReaders = new Map<string, MDBReader>();
+    #complexColumns = new Map<number, ComplexColumn | null>();
 
     /**
-     * @param buffer Buffer of the database.
+     * Tables by their value options and names
      */
-    constructor(buffer: Buffer, { password }: Options | undefined = {}) {
-        this.#buffer = buffer;
+    #tables = new Map<ValueOptions, Map<string, Table<ValueOptions>>>();
 
-        assertPageType(this.#buffer, PageType.DatabaseDefinitionPage);
+    /**
+     * @param source Buffer of the database or a page source reading the database on demand.
+     */
+    constructor(source: Buffer | PageSource, options?: (TOptions & Options) | undefined) {
+        const {
+            password,
+            codePage,
+            linkResolver,
+            pageCacheSize = DEFAULT_PAGE_CACHE_SIZE,
+            dateTime,
+            decimal,
+            dateTimeExtended,
+            ole,
+            converters,
+        } = options ?? {};
+        this.#linkResolver = linkResolver;
+        this.#pageCacheSize = pageCacheSize;
+        this.#valueOptions = { dateTime, decimal, dateTimeExtended, ole, converters };
 
-        this.#database = new Database(this.#buffer, password ?? "");
+        const pageSource = Buffer.isBuffer(source) ? createBufferPageSource(source) : source;
+        this.#database = new Database(pageSource, password ?? "", codePage, pageCacheSize);
 
-        const mSysObjectsTable = new Table(MSYS_OBJECTS_TABLE, this.#database, MSYS_OBJECTS_PAGE).getData<{
+        this.#sysObjectsTable = new Table(MSYS_OBJECTS_TABLE, this.#database, MSYS_OBJECTS_PAGE);
+        const mSysObjectsTable = this.#sysObjectsTable.getData<{
             Id: number;
             Name: string;
             Type: number;
@@ -36,16 +116,46 @@ export default class MDBReader {
         });
 
         this.#sysObjects = mSysObjectsTable.map((mSysObject) => {
-            const objectType = mSysObject.Type & 0x7f;
             return {
+                id: mSysObject.Id,
                 objectName: mSysObject.Name,
-                objectType: isSysObjectType(objectType) ? objectType : null,
+                objectType: getSysObjectType(mSysObject.Type),
                 tablePage: mSysObject.Id & 0x00ffffff,
                 flags: mSysObject.Flags,
             };
         });
     }
 
+    /**
+     * Opens a database from an async page source, e.g. a `Blob`. Only the pages needed are kept in memory.
+     *
+     * Tables of databases opened from an async page source have to be read with `getTableAsync()` and
+     * `Table.getDataAsync()`.
+     *
+     * @param source Page source reading the database on demand.
+     */
+    static async open<TOptions extends Options = DefaultValueOptions>(
+        source: AsyncPageSource | PageSource,
+        options?: TOptions & Options
+    ): Promise<MDBReader<TOptions>> {
+        const pageLoader = new AsyncPageLoader(source);
+        return pageLoader.run(() => new MDBReader(pageLoader, options));
+    }
+
+    /**
+     * Version of the database file, e.g. `Jet4` for Access 2000 - 2003
+     */
+    getFileFormat(): FileFormat {
+        return this.#database.format.fileFormat;
+    }
+
+    /**
+     * Encryption of the database file
+     */
+    getEncryptionType(): EncryptionType {
+        return this.#database.encryptionType;
+    }
+
     /**
      * Date when the database was created
      */
@@ -67,6 +177,31 @@ export default class MDBReader {
         return this.#database.getDefaultSortOrder();
     }
 
+    /**
+     * Windows code page used to decode text of Jet3 databases
+     */
+    getCodePage(): number {
+        return this.#database.codePage;
+    }
+
+    /**
+     * Returns the properties of the database set in Access, e.g. `AccessVersion`. Includes the summary (e.g. `Title`)
+     * and user defined properties.
+     */
+    getDatabaseProperties(): Properties {
+        return this.#sysObjects
+            .filter((o) => o.objectName === MSYS_DB_OBJECT || o.objectType === SysObjectTypes.DatabaseProperty)
+            .map((o) => this.#getPropertyData(o.id))
+            .filter((propertyData): propertyData is Buffer => propertyData !== null)
+            .reduce<Properties>(
+                (properties, propertyData) => ({
+                    ...properties,
+                    ...parsePropertyMaps(propertyData, this.#database.format, this.#database.codePage).object,
+                }),
+                {}
+            );
+    }
+
     /**
      * Returns an array of table names.
      *
@@ -102,19 +237,370 @@ export default class MDBReader {
     }
 
     /**
-     * Returns a table by its name.
+     * Returns a table by its name. Linked tables are read from the linked database returned by `linkResolver`.
+     * Repeated calls return the same instance.
      *
      * @param name Name of the table. Case sensitive.
      */
-    getTable(name: string): Table {
+    getTable(name: string): Table<TOptions> {
+        return this.#getTable(name, name, this.#valueOptions) as Table<TOptions>;
+    }
+
+    /**
+     * Returns a table by its name. Loads the required pages when reading from an async page source.
+     *
+     * @param name Name of the table. Case sensitive.
+     */
+    async getTableAsync(name: string): Promise<Table<TOptions>> {
+        return this.#database.runAsync(() => this.getTable(name));
+    }
+
+    /**
+     * Returns a table and keeps it for later calls with the same arguments
+     *
+     * @param objectName Name of the table in this database
+     * @param tableName Name of the returned table. Differs from `objectName` for linked tables.
+     * @param valueOptions Value options of the returned table. Tables read internally use the default representation.
+     */
+    #getTable(
+        objectName: string,
+        tableName: string,
+        valueOptions: ValueOptions = INTERNAL_VALUE_OPTIONS
+    ): Table<ValueOptions> {
+        let tables = this.#tables.get(valueOptions);
+        if (!tables) {
+            tables = new Map();
+            this.#tables.set(valueOptions, tables);
+        }
+
+        const key = `${objectName}\0${tableName}`;
+        let table = tables.get(key);
+        if (!table) {
+            table = this.#createTable(objectName, tableName, valueOptions);
+            tables.set(key, table);
+        }
+        return table;
+    }
+
+    #createTable(objectName: string, tableName: string, valueOptions: ValueOptions): Table<ValueOptions> {
         const sysObject = this.#sysObjects
-            .filter((o) => o.objectType === SysObjectTypes.Table)
+            .filter((o) => o.objectType === SysObjectTypes.Table || o.objectType === SysObjectTypes.LinkedTable)
+            .find((o) => o.objectName === objectName);
+
+        if (!sysObject) {
+            throw new Error(`Could not find table with name ${objectName}`);
+        }
+
+        if (sysObject.objectType === SysObjectTypes.LinkedTable) {
+            const linkedTableInfo = this.getLinkedTableInfo(objectName);
+            if (linkedTableInfo.database === null) {
+                throw new Error(`Table ${objectName} is linked via ODBC and cannot be read`);
+            }
+
+            return this.#getLinkedReader(linkedTableInfo.database).#getTable(
+                linkedTableInfo.foreignName,
+                tableName,
+                valueOptions
+            );
+        }
+
+        return new Table(tableName, this.#database, sysObject.tablePage, {
+            complexColumnResolver: (complexId) => this.#getComplexColumn(complexId),
+            readPropertyData: () => this.#getPropertyData(sysObject.id),
+            valueOptions,
+        });
+    }
+
+    /**
+     * @returns `MSysObjects.LvProp` of the object
+     */
+    #getPropertyData(id: number): Buffer | null {
+        const [row] = this.#sysObjectsTable.findByIndex<{
+            LvProp: Buffer | null;
+        }>(MSYS_OBJECTS_INDEX, id, { columns: ["LvProp"] });
+        return row?.LvProp ?? null;
+    }
+
+    #getComplexColumn(complexId: number): ComplexColumn | null {
+        if (!this.#complexColumns.has(complexId)) {
+            this.#complexColumns.set(complexId, this.#findComplexColumn(complexId));
+        }
+        return this.#complexColumns.get(complexId)!;
+    }
+
+    #findComplexColumn(complexId: number): ComplexColumn | null {
+        if (!this.getTableNames({ normalTables: false, systemTables: true }).includes(MSYS_COMPLEX_COLUMNS_TABLE)) {
+            return null;
+        }
+
+        const row = this.#getTable(MSYS_COMPLEX_COLUMNS_TABLE, MSYS_COMPLEX_COLUMNS_TABLE)
+            .getData<{ ComplexID: number; ComplexTypeObjectID: number; FlatTableID: number }>({
+                columns: ["ComplexID", "ComplexTypeObjectID", "FlatTableID"],
+            })
+            .find((r) => r.ComplexID === complexId);
+        if (!row) {
+            return null;
+        }
+
+        return createComplexColumn(this.#getTableById(row.ComplexTypeObjectID), this.#getTableById(row.FlatTableID));
+    }
+
+    #getTableById(id: number): Table {
+        const sysObject = this.#sysObjects.find((o) => o.objectType === SysObjectTypes.Table && o.id === id);
+        if (!sysObject) {
+            throw new Error(`Could not find table with id ${id}`);
+        }
+
+        return new Table(sysObject.objectName, this.#database, sysObject.tablePage);
+    }
+
+    #getLinkedReader(path: string): MDBReader {
+        let linkedReader = this.#linkedReaders.get(path);
+        if (!linkedReader) {
+            if (!this.#linkResolver) {
+                throw new Error(`Table is linked to ${path}. Pass a linkResolver to read linked tables.`);
+            }
+
+            linkedReader = new MDBReader(this.#linkResolver(path), {
+                linkResolver: this.#linkResolver,
+                pageCacheSize: this.#pageCacheSize,
+            });
+            this.#linkedReaders.set(path, linkedReader);
+        }
+        return linkedReader;
+    }
+
+    /**
+     * Returns where a linked table is stored.
+     *
+     * @param name Name of the linked table. Case sensitive.
+     */
+    getLinkedTableInfo(name: string): LinkedTableInfo {
+        const sysObject = this.#sysObjects
+            .filter((o) => o.objectType === SysObjectTypes.LinkedTable)
+            .find((o) => o.objectName === name);
+
+        if (!sysObject) {
+            throw new Error(`Could not find linked table with name ${name}`);
+        }
+
+        const [row] = this.#sysObjectsTable.findByIndex<LinkedTableRow>(MSYS_OBJECTS_INDEX, sysObject.id, {
+            columns: ["Type", "Database", "ForeignName", "Connect"],
+        });
+        if (!row) {
+            throw new Error(`Could not find linked table with name ${name}`);
+        }
+
+        return parseLinkedTableInfo(name, row);
+    }
+
+    /**
+     * Returns an array of query names.
+     *
+     * @param normalQueries Includes user queries. Default true.
+     * @param systemQueries Includes system queries, e.g. the record sources of forms and reports. Default false.
+     */
+    getQueryNames({
+        normalQueries = true,
+        systemQueries = false,
+    }: {
+        normalQueries?: boolean | undefined;
+        systemQueries?: boolean | undefined;
+    } = {}): string[] {
+        return this.#sysObjects
+            .filter((o) => o.objectType === SysObjectTypes.Query)
+            .filter((o) => (isSystemObject(o) ? systemQueries : normalQueries))
+            .map((o) => o.objectName);
+    }
+
+    /**
+     * Returns a query including its reconstructed SQL by its name.
+     *
+     * @param name Name of the query. Case sensitive.
+     */
+    getQuery(name: string): Query {
+        const sysObject = this.#sysObjects
+            .filter((o) => o.objectType === SysObjectTypes.Query)
             .find((o) => o.objectName === name);
 
         if (!sysObject) {
-            throw new Error(`Could not find table with name ${name}`);
+            throw new Error(`Could not find query with name ${name}`);
         }
 
-        return new Table(name, this.#database, sysObject.tablePage);
+        const rows = this.#getTable(MSYS_QUERIES_TABLE, MSYS_QUERIES_TABLE).findByIndex<QueryRow>(
+            MSYS_QUERIES_INDEX,
+            sysObject.id,
+            {
+                columns: ["Attribute", "Expression", "Flag", "Name1", "Name2", "Order"],
+            }
+        );
+        return parseQuery(name, getQueryType(sysObject.flags), rows);
+    }
+
+    /**
+     * Returns all relationships (foreign keys) between tables. Relationships spanning multiple columns are grouped.
+     */
+    getRelationships(): Relationship[] {
+        if (!this.getTableNames({ normalTables: false, systemTables: true }).includes(MSYS_RELATIONSHIPS_TABLE)) {
+            return [];
+        }
+
+        const rows = this.#getTable(MSYS_RELATIONSHIPS_TABLE, MSYS_RELATIONSHIPS_TABLE).getData<RelationshipRow>({
+            columns: [
+                "szRelationship",
+                "szObject",
+                "szColumn",
+                "szReferencedObject",
+                "szReferencedColumn",
+                "icolumn",
+                "grbit",
+            ],
+        });
+        return parseRelationships(rows);
+    }
+
+    /**
+     * Returns the VBA modules of the database including their source code. Modules of forms and reports are included.
+     * Returns an empty array for databases without MSysAccessStorage, e.g. databases created with Access 97.
+     */
+    getModules(): VBAModule[] {
+        const root = this.#readAccessStorage();
+        const storage = root !== null ? findStorageEntry(root, VBA_STORAGE_PATH) : null;
+        if (storage === null) {
+            return [];
+        }
+        return readVBAModules(getStreams(storage));
+    }
+
+    /**
+     * Returns the names and the undocumented binary definitions of all forms. Returns an empty array for databases
+     * without MSysAccessStorage, e.g. databases created with Access 97.
+     */
+    getForms(): AccessObject[] {
+        const root = this.#readAccessStorage();
+        return root !== null ? readAccessObjects(root, FORMS_STORAGE) : [];
     }
+
+    /**
+     * Returns the names and the undocumented binary definitions of all reports. Returns an empty array for databases
+     * without MSysAccessStorage, e.g. databases created with Access 97.
+     */
+    getReports(): AccessObject[] {
+        const root = this.#readAccessStorage();
+        return root !== null ? readAccessObjects(root, REPORTS_STORAGE) : [];
+    }
+
+    /**
+     * Returns the names and definitions of all macros. Returns an empty array for databases without MSysAccessStorage,
+     * e.g. databases created with Access 97.
+     */
+    getMacros(): Macro[] {
+        const root = this.#readAccessStorage();
+        return root !== null ? readMacros(root) : [];
+    }
+
+    /**
+     * Forms, reports, macros and VBA code are stored in MSysAccessStorage since Access 2000
+     *
+     * @returns Root storage or `null` if the database has no MSysAccessStorage
+     */
+    #readAccessStorage(): StorageEntry | null {
+        if (!this.getTableNames({ normalTables: false, systemTables: true }).includes(MSYS_ACCESS_STORAGE_TABLE)) {
+            return null;
+        }
+
+        const rows = this.#getTable(MSYS_ACCESS_STORAGE_TABLE, MSYS_ACCESS_STORAGE_TABLE).getData<AccessStorageRow>({
+            columns: ["Id", "ParentId", "Name", "Lv"],
+        });
+        return readAccessStorage(rows);
+    }
+
+    /**
+     * Runs a SELECT statement in Access SQL, e.g. `SELECT Name, COUNT(*) AS Total FROM [Cat Owners] GROUP BY Name`.
+     * Values are returned in their default representation regardless of the value options of the reader.
+     *
+     * Supports column lists with aliases, `DISTINCT`, `TOP`, `INNER JOIN`, `LEFT JOIN`, `WHERE`, `GROUP BY` with
+     * `COUNT`, `SUM`, `AVG`, `MIN` and `MAX`, `HAVING` and `ORDER BY`.
+     *
+     * @param sql SELECT statement. Names of tables and columns are case insensitive.
+     */
+    query(sql: string): QueryResultRow[] {
+        return executeSelect(parseSelect(sql), (name) => this.#getTable(this.#findTableName(name), name));
+    }
+
+    /**
+     * Same as `query()`, but loads required pages from asynchronous page sources. The rows of the tables are read data
+     * page by data page like `Table.rowsAsync()` reads them.
+     */
+    async queryAsync(sql: string): Promise<QueryResultRow[]> {
+        return executeSelectAsync(parseSelect(sql), (name) =>
+            this.#database.runAsync(() => {
+                const table = this.#getTable(this.#findTableName(name), name);
+                const columns = table.getColumns();
+                return { getColumns: () => columns, rowsAsync: (options) => table.rowsAsync(options) };
+            })
+        );
+    }
+
+    /**
+     * Checks the database for damage: invalid page headers, usage maps referencing pages outside of the file or of
+     * other tables, row counts that differ from the table definitions, broken chains of memo and OLE values,
+     * unsupported column types and values that cannot be read. Problems are returned instead of thrown.
+     *
+     * Use the `tolerant` option of `Table.getData()` to read the intact data of a damaged database. Databases opened
+     * from an async page source have to be checked with `validateAsync()`.
+     */
+    validate(): ValidationIssue[] {
+        const issues = validatePages(this.#database);
+        const userTables = new Set(this.getTableNames());
+        for (const name of this.getTableNames({ systemTables: true })) {
+            try {
+                issues.push(...filterTableIssues(this.#getTable(name, name).validate(), userTables.has(name)));
+            } catch (error) {
+                if (error instanceof PageNotLoadedError) {
+                    throw error;
+                }
+                issues.push(createTableIssue(name, error));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Same as `validate()`, but loads required pages from asynchronous page sources. Pages are checked one by one and
+     * the data pages of the tables like `Table.rowsAsync()` reads them.
+     */
+    async validateAsync(): Promise<ValidationIssue[]> {
+        const issues = await validatePagesAsync(this.#database);
+        const userTables = new Set(this.getTableNames());
+        for (const name of this.getTableNames({ systemTables: true })) {
+            try {
+                const table = await this.#database.runAsync(() => this.#getTable(name, name));
+                issues.push(...filterTableIssues(await table.validateAsync(), userTables.has(name)));
+            } catch (error) {
+                issues.push(createTableIssue(name, error));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * @returns Name of the table, linked table or system table matching the name case insensitive
+     */
+    #findTableName(name: string): string {
+        const tableNames = this.getTableNames({ normalTables: true, systemTables: true, linkedTables: true });
+        return tableNames.find((n) => n === name) ?? tableNames.find((n) => n.toUpperCase() === name.toUpperCase()) ?? name;
+    }
+}
+
+/**
+ * Access does not keep the row counts of system tables up to date
+ */
+function filterTableIssues(issues: ValidationIssue[], userTable: boolean): ValidationIssue[] {
+    return issues.filter((issue) => issue.type !== ValidationIssueTypes.RowCount || userTable);
+}
+
+function createTableIssue(name: string, error: unknown): ValidationIssue {
+    const message = `Table ${name} cannot be read: ${error instanceof Error ? error.message : String(error)}`;
+    return { type: ValidationIssueTypes.Table, table: name, message };
 }
@@ -0,0 +1,21 @@
+import { expect } from "chai";
+import { getSysObjectType, SysObjectTypes } from "./SysObject.js";
+
+describe("getSysObjectType", () => {
+    it("returns type", () => {
+        expect(getSysObjectType(1)).to.eq(SysObjectTypes.Table);
+        expect(getSysObjectType(5)).to.eq(SysObjectTypes.Query);
+        expect(getSysObjectType(6)).to.eq(SysObjectTypes.LinkedTable);
+        expect(getSysObjectType(-32768)).to.eq(SysObjectTypes.Form);
+        expect(getSysObjectType(-32764)).to.eq(SysObjectTypes.Report);
+        expect(getSysObjectType(-32757)).to.eq(SysObjectTypes.DatabaseProperty);
+    });
+
+    it("treats ODBC linked tables as linked tables", () => {
+        expect(getSysObjectType(4)).to.eq(SysObjectTypes.LinkedTable);
+    });
+
+    it("returns null for unknown types", () => {
+        expect(getSysObjectType(9)).to.be.null;
+    });
+});
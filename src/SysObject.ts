@@ -20,7 +20,28 @@ export function isSysObjectType(typeValue: number): boolean {
     return Object.values(SysObjectTypes).includes(typeValue);
 }
 
+/**
+ * ODBC linked tables are stored with type 0x04. Reports are stored with type 0x8004 and share the same type after
+ * masking.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/DatabaseImpl.java
+ */
+export const LINKED_ODBC_TABLE_TYPE = 0x04;
+
+/**
+ * @param type Value of `MSysObjects.Type`
+ */
+export function getSysObjectType(type: number): SysObjectType | null {
+    if (type === LINKED_ODBC_TABLE_TYPE) {
+        return SysObjectTypes.LinkedTable;
+    }
+
+    const objectType = type & 0x7f;
+    return isSysObjectType(objectType) ? objectType : null;
+}
+
 export interface SysObject {
+    id: number;
     objectName: string;
 
     /**
@@ -31,7 +52,7 @@ export interface SysObject {
     flags: number;
 }
 
-const SYSTEM_OBJECT_FLAG = 0x80000000;
+export const SYSTEM_OBJECT_FLAG = 0x80000000;
 const ALT_SYSTEM_OBJECT_FLAG = 0x02;
 const SYSTEM_OBJECT_FLAGS = SYSTEM_OBJECT_FLAG | ALT_SYSTEM_OBJECT_FLAG;
 
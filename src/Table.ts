@@ -1,20 +1,127 @@
 import { ColumnTypes } from "./index.js";
 import { type Column, type ColumnDefinition, getColumnType, parseColumnFlags } from "./column.js";
+import { type ComplexColumnResolver, readComplexValue } from "./complex-columns.js";
 import { readFieldValue } from "./data/index.js";
+import { findLongValueError } from "./data/long-value.js";
 import { Database } from "./Database.js";
+import { Readable } from "./environment/index.js";
+import { compareIndexKeys, encodeIndexKeyPrefix, type IndexKey, type IndexKeyValue } from "./index-key.js";
+import { type IndexEntry, readIndexPage } from "./index-page.js";
+import {
+    getIndexColumnOrder,
+    type Index,
+    type IndexDefinition,
+    MAX_INDEX_COLUMNS,
+    parseLogicalIndexType,
+    parseRealIndexFlags,
+    UNUSED_INDEX_COLUMN,
+} from "./indexes.js";
+import { createRowSorter, type OrderBy, type RowSorter } from "./order-by.js";
+import { PageNotLoadedError } from "./page-source/async.js";
 import { PageType, assertPageType } from "./PageType.js";
-import type { Value } from "./types.js";
+import { parsePropertyMaps, type Properties, type PropertyMaps } from "./properties.js";
+import { type RecordFields, type StoredRecord, TableWriter } from "./table-writer.js";
+import { type ComplexValue, UnreadableValue, type Value, type WriteRow } from "./types.js";
 import { uncompressText } from "./unicodeCompression.js";
 import { findMapPages } from "./usage-map.js";
 import { getBitmapValue, roundToFullByte } from "./util.js";
+import {
+    createValueConverter,
+    type DefaultValueOptions,
+    mergeValueOptions,
+    type MergeValueOptions,
+    type Row,
+    type ValueConverter,
+    type ValueOptions,
+} from "./value-options.js";
+import { type ValidationIssue, ValidationIssueTypes } from "./validation.js";
+import { createRowFilter, type RowFilter, type Where } from "./where.js";
+
+interface ColumnsOptions {
+    columns?: ReadonlyArray<string> | undefined;
+}
+
+interface ReadOptions extends ColumnsOptions {
+    tolerant?: boolean | undefined;
+}
+
+interface DataOptions extends ReadOptions {
+    rowOffset?: number | undefined;
+    rowLimit?: number | undefined;
+    where?: Where | undefined;
+    orderBy?: OrderBy | ReadonlyArray<OrderBy> | undefined;
+}
+
+interface RangeOptions extends ColumnsOptions {
+    from?: IndexKey | undefined;
+    to?: IndexKey | undefined;
+}
+
+interface RecoveryOptions extends ColumnsOptions {
+    includeDeleted?: boolean | undefined;
+    includeOrphanedPages?: boolean | undefined;
+}
+
+/**
+ * Row returned by `Table.recoverRows()` together with the location of its record
+ */
+export interface RecoveredRow<TRow> {
+    values: TRow;
+
+    /**
+     * Data page of the record
+     */
+    page: number;
+
+    /**
+     * Number of the record on its data page
+     */
+    row: number;
 
-export class Table {
+    /**
+     * The record is marked as deleted
+     */
+    deleted: boolean;
+
+    /**
+     * The data page is not referenced by the usage map of the table anymore
+     */
+    orphaned: boolean;
+
+    /**
+     * `false` if the bytes of the record may have been partially overwritten, e.g. because they overlap another record
+     * or some of its values could not be read. Values that could not be read are `null`.
+     */
+    intact: boolean;
+}
+
+/**
+ * Rows are typed by the value options unless a row type is passed explicitly
+ */
+type ResultRow<TRow, TOptions extends ValueOptions> = [TRow] extends [never] ? Row<TOptions> : TRow;
+
+export class Table<TValueOptions extends ValueOptions = DefaultValueOptions> {
     #name: string;
     #database: Database;
     #firstDefinitionPage: number;
+    #complexColumnResolver: ComplexColumnResolver | undefined;
+    #readPropertyData: (() => Buffer | null) | undefined;
+    #valueOptions: ValueOptions;
+    #propertyMaps: PropertyMaps | undefined;
+    #columnDefinitions: ColumnDefinition[] | undefined;
 
     #definitionBuffer: Buffer;
-    #dataPages: number[];
+
+    /**
+     * Revision of the database the definition and the usage map were read at
+     */
+    #revision: number;
+
+    /**
+     * Data pages referenced by the usage map or the error reading the usage map. The error is only thrown when the data
+     * is read, so the columns of a damaged table can still be read.
+     */
+    #dataPages: number[] | Error;
 
     /**
      * Number of rows.
@@ -29,20 +136,63 @@ export class Table {
     #variableColumnCount: number;
     // #fixedColumnCount: number;
 
-    // #logicalIndexCount: number;
+    #logicalIndexCount: number;
     #realIndexCount: number;
 
     /**
      * @param name Table name. As this is stored in a MSysObjects, it has to be passed in
      * @param database
      * @param firstDefinitionPage The first page of the table definition referenced in the corresponding MSysObject
+     * @param complexColumnResolver Resolves the values of complex columns. Their internal id is returned if omitted.
+     * @param readPropertyData Returns `MSysObjects.LvProp` of the table. No properties are returned if omitted.
+     * @param valueOptions Default representation of the returned values. Can be overridden per call.
      */
-    constructor(name: string, database: Database, firstDefinitionPage: number) {
+    constructor(
+        name: string,
+        database: Database,
+        firstDefinitionPage: number,
+        {
+            complexColumnResolver,
+            readPropertyData,
+            valueOptions,
+        }: {
+            complexColumnResolver?: ComplexColumnResolver | undefined;
+            readPropertyData?: (() => Buffer | null) | undefined;
+            valueOptions?: TValueOptions | undefined;
+        } = {}
+    ) {
         this.#name = name;
         this.#database = database;
         this.#firstDefinitionPage = firstDefinitionPage;
+        this.#complexColumnResolver = complexColumnResolver;
+        this.#readPropertyData = readPropertyData;
+        this.#valueOptions = valueOptions ?? {};
+        this.#revision = database.revision;
+        this.#definitionBuffer = this.#readDefinitionBuffer();
+
+        // Read row, column, and index counts
+        this.#rowCount = this.#definitionBuffer.readUInt32LE(this.#database.format.tableDefinitionPage.rowCountOffset);
+
+        this.#columnCount = this.#definitionBuffer.readUInt16LE(this.#database.format.tableDefinitionPage.columnCountOffset);
+        this.#variableColumnCount = this.#definitionBuffer.readUInt16LE(
+            this.#database.format.tableDefinitionPage.variableColumnCountOffset
+        );
+        // this.#fixedColumnCount = this.#columnCount - this.#variableColumnCount;
+
+        this.#logicalIndexCount = this.#definitionBuffer.readInt32LE(
+            this.#database.format.tableDefinitionPage.logicalIndexCountOffset
+        );
+        this.#realIndexCount = this.#definitionBuffer.readInt32LE(
+            this.#database.format.tableDefinitionPage.realIndexCountOffset
+        );
+
+        this.#dataPages = this.#readDataPages();
+    }
 
-        // Concat all table definition pages
+    /**
+     * Concats all table definition pages
+     */
+    #readDefinitionBuffer(): Buffer {
         let nextDefinitionPage = this.#firstDefinitionPage;
         let buffer: Buffer | undefined;
         while (nextDefinitionPage > 0) {
@@ -60,29 +210,36 @@ export class Table {
         if (!buffer) {
             throw new Error("Could not find table definition page");
         }
-        this.#definitionBuffer = buffer;
-
-        // Read row, column, and index counts
-        this.#rowCount = this.#definitionBuffer.readUInt32LE(this.#database.format.tableDefinitionPage.rowCountOffset);
+        return buffer;
+    }
 
-        this.#columnCount = this.#definitionBuffer.readUInt16LE(this.#database.format.tableDefinitionPage.columnCountOffset);
-        this.#variableColumnCount = this.#definitionBuffer.readUInt16LE(
-            this.#database.format.tableDefinitionPage.variableColumnCountOffset
-        );
-        // this.#fixedColumnCount = this.#columnCount - this.#variableColumnCount;
+    #readDataPages(): number[] | Error {
+        try {
+            const usageMapBuffer = this.#database.findPageRow(
+                this.#definitionBuffer.readUInt32LE(this.#database.format.tableDefinitionPage.usageMapOffset)
+            );
+            return findMapPages(usageMapBuffer, this.#database);
+        } catch (error) {
+            if (error instanceof PageNotLoadedError) {
+                throw error;
+            }
+            return error instanceof Error ? error : new Error(String(error));
+        }
+    }
 
-        // this.#logicalIndexCount = this.#definitionBuffer.readInt32LE(
-        //     this.#database.format.tableDefinitionPage.logicalIndexCountOffset
-        // );
-        this.#realIndexCount = this.#definitionBuffer.readInt32LE(
-            this.#database.format.tableDefinitionPage.realIndexCountOffset
-        );
+    /**
+     * Reads the row count and the usage map again if the database was written since they were read. Columns and
+     * indexes are not changed by writes.
+     */
+    #refresh(): void {
+        if (this.#revision === this.#database.revision) {
+            return;
+        }
 
-        // Usage Map
-        const usageMapBuffer = this.#database.findPageRow(
-            this.#definitionBuffer.readUInt32LE(this.#database.format.tableDefinitionPage.usageMapOffset)
-        );
-        this.#dataPages = findMapPages(usageMapBuffer, this.#database);
+        this.#revision = this.#database.revision;
+        this.#definitionBuffer = this.#readDefinitionBuffer();
+        this.#rowCount = this.#definitionBuffer.readUInt32LE(this.#database.format.tableDefinitionPage.rowCountOffset);
+        this.#dataPages = this.#readDataPages();
     }
 
     get name(): string {
@@ -90,6 +247,7 @@ export class Table {
     }
 
     get rowCount(): number {
+        this.#refresh();
         return this.#rowCount;
     }
 
@@ -116,15 +274,44 @@ export class Table {
      * Returns an ordered array of all column definitions.
      */
     getColumns(): Column[] {
-        const columnDefinitions = this.#getColumnDefinitions();
+        const columnDefinitions = [...this.#getColumnDefinitions()].sort((a, b) => a.index - b.index);
 
-        columnDefinitions.sort((a, b) => a.index - b.index);
+        const columnProperties = this.#getPropertyMaps().columns;
 
         // eslint-disable-next-line @typescript-eslint/no-unused-vars
-        return columnDefinitions.map(({ index, variableIndex, fixedIndex, ...rest }) => rest);
+        return columnDefinitions.map(({ index, variableIndex, fixedIndex, complexId, compressedUnicode, ...rest }) => ({
+            ...rest,
+            properties: columnProperties.get(rest.name) ?? {},
+        }));
+    }
+
+    /**
+     * Returns the properties of the table set in Access, e.g. `Description` or `ValidationRule`.
+     */
+    getProperties(): Properties {
+        return this.#getPropertyMaps().object;
     }
 
+    #getPropertyMaps(): PropertyMaps {
+        if (this.#propertyMaps === undefined) {
+            const propertyData = this.#readPropertyData?.() ?? null;
+            this.#propertyMaps =
+                propertyData === null
+                    ? { object: {}, columns: new Map() }
+                    : parsePropertyMaps(propertyData, this.#database.format, this.#database.codePage);
+        }
+        return this.#propertyMaps;
+    }
+
+    /**
+     * @returns Column definitions in the order of the table definition. Shared by all callers, i.e. copy before sorting.
+     */
     #getColumnDefinitions(): ColumnDefinition[] {
+        this.#columnDefinitions ??= this.#readColumnDefinitions();
+        return this.#columnDefinitions;
+    }
+
+    #readColumnDefinitions(): ColumnDefinition[] {
         const columns: ColumnDefinition[] = [];
 
         let curDefinitionPos =
@@ -153,7 +340,8 @@ export class Table {
             namesCursorPos += this.#database.format.tableDefinitionPage.columnNames.nameLengthSize;
             const name = uncompressText(
                 this.#definitionBuffer.slice(namesCursorPos, namesCursorPos + nameLength),
-                this.#database.format
+                this.#database.format,
+                this.#database.codePage
             );
             namesCursorPos += nameLength;
 
@@ -181,6 +369,16 @@ export class Table {
                 column.scale = columnBuffer.readUInt8(12);
             }
 
+            if (type === ColumnTypes.Complex) {
+                // https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/JetFormat.java
+                column.complexId = columnBuffer.readInt32LE(11);
+            }
+
+            const { compressedUnicodeOffset } = this.#database.format.tableDefinitionPage.columnsDefinition;
+            if ((type === ColumnTypes.Text || type === ColumnTypes.Memo) && compressedUnicodeOffset !== null) {
+                column.compressedUnicode = !!(columnBuffer.readUInt8(compressedUnicodeOffset) & COMPRESSED_UNICODE_FLAG);
+            }
+
             columns.push(column);
 
             curDefinitionPos += this.#database.format.tableDefinitionPage.columnsDefinition.entrySize;
@@ -196,56 +394,954 @@ export class Table {
         return this.getColumns().map((column) => column.name);
     }
 
+    /**
+     * Returns an array of all index definitions.
+     */
+    getIndexes(): Index[] {
+        return this.#getIndexDefinitions().map(
+            // eslint-disable-next-line @typescript-eslint/no-unused-vars
+            ({ indexNumber, realIndexNumber, columnIndices, usageMap, firstPage, ...rest }) => rest
+        );
+    }
+
+    /**
+     * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+     */
+    #getIndexDefinitions(): IndexDefinition[] {
+        const columnDefinitions = this.#getColumnDefinitions();
+
+        // Real index definitions are located right after the column names
+        let curDefinitionPos =
+            this.#database.format.tableDefinitionPage.realIndexStartOffset +
+            this.#realIndexCount * this.#database.format.tableDefinitionPage.realIndexEntrySize +
+            this.#columnCount * this.#database.format.tableDefinitionPage.columnsDefinition.entrySize;
+        for (let i = 0; i < this.#columnCount; ++i) {
+            const nameLength = this.#definitionBuffer.readUIntLE(
+                curDefinitionPos,
+                this.#database.format.tableDefinitionPage.columnNames.nameLengthSize
+            );
+            curDefinitionPos += this.#database.format.tableDefinitionPage.columnNames.nameLengthSize + nameLength;
+        }
+
+        const realIndexes: Pick<
+            IndexDefinition,
+            "columns" | "columnIndices" | "usageMap" | "firstPage" | "unique" | "ignoreNulls" | "required"
+        >[] = [];
+        for (let i = 0; i < this.#realIndexCount; ++i) {
+            const realIndexBuffer = this.#definitionBuffer.slice(
+                curDefinitionPos,
+                curDefinitionPos + this.#database.format.tableDefinitionPage.realIndexDefinition.entrySize
+            );
+
+            const columns: IndexDefinition["columns"] = [];
+            const columnIndices: number[] = [];
+            for (let j = 0; j < MAX_INDEX_COLUMNS; ++j) {
+                const columnPos = this.#database.format.tableDefinitionPage.realIndexDefinition.columnsOffset + j * 3;
+                const columnIndex = realIndexBuffer.readUInt16LE(columnPos);
+                if (columnIndex === UNUSED_INDEX_COLUMN) {
+                    continue;
+                }
+
+                const column = columnDefinitions.find((c) => c.index === columnIndex);
+                if (column === undefined) {
+                    throw new Error(`Could not find column with index ${columnIndex}`);
+                }
+
+                columns.push({ name: column.name, order: getIndexColumnOrder(realIndexBuffer.readUInt8(columnPos + 2)) });
+                columnIndices.push(columnIndex);
+            }
+
+            realIndexes.push({
+                columns,
+                columnIndices,
+                usageMap: realIndexBuffer.readUInt32LE(
+                    this.#database.format.tableDefinitionPage.realIndexDefinition.usageMapOffset
+                ),
+                firstPage: realIndexBuffer.readUInt32LE(
+                    this.#database.format.tableDefinitionPage.realIndexDefinition.firstPageOffset
+                ),
+                ...parseRealIndexFlags(
+                    realIndexBuffer.readUInt8(this.#database.format.tableDefinitionPage.realIndexDefinition.flagsOffset)
+                ),
+            });
+
+            curDefinitionPos += this.#database.format.tableDefinitionPage.realIndexDefinition.entrySize;
+        }
+
+        const indexes: IndexDefinition[] = [];
+        for (let i = 0; i < this.#logicalIndexCount; ++i) {
+            const logicalIndexBuffer = this.#definitionBuffer.slice(
+                curDefinitionPos,
+                curDefinitionPos + this.#database.format.tableDefinitionPage.logicalIndexDefinition.entrySize
+            );
+
+            const realIndexNumber = logicalIndexBuffer.readInt32LE(
+                this.#database.format.tableDefinitionPage.logicalIndexDefinition.realIndexNumberOffset
+            );
+            const realIndex = realIndexes[realIndexNumber];
+            if (realIndex === undefined) {
+                throw new Error(`Could not find real index with number ${realIndexNumber}`);
+            }
+
+            const type = parseLogicalIndexType(
+                logicalIndexBuffer.readUInt8(this.#database.format.tableDefinitionPage.logicalIndexDefinition.typeOffset)
+            );
+
+            indexes.push({
+                name: "", // will be set later
+                indexNumber: logicalIndexBuffer.readInt32LE(
+                    this.#database.format.tableDefinitionPage.logicalIndexDefinition.indexNumberOffset
+                ),
+                realIndexNumber,
+                ...realIndex,
+                ...type,
+                unique: realIndex.unique || type.primaryKey,
+            });
+
+            curDefinitionPos += this.#database.format.tableDefinitionPage.logicalIndexDefinition.entrySize;
+        }
+
+        for (const index of indexes) {
+            const nameLength = this.#definitionBuffer.readUIntLE(
+                curDefinitionPos,
+                this.#database.format.tableDefinitionPage.columnNames.nameLengthSize
+            );
+            curDefinitionPos += this.#database.format.tableDefinitionPage.columnNames.nameLengthSize;
+            index.name = uncompressText(
+                this.#definitionBuffer.slice(curDefinitionPos, curDefinitionPos + nameLength),
+                this.#database.format,
+                this.#database.codePage
+            );
+            curDefinitionPos += nameLength;
+        }
+
+        return indexes;
+    }
+
     /**
      * Returns data from the table.
      *
      * @param columns Columns to be returned. Defaults to all columns.
-     * @param rowOffset Index of the first row to be returned. 0-based. Defaults to 0.
-     * @param rowLimit Maximum number of rows to be returned. Defaults to Infinity.
-     */
-    getData<TRow extends { [column in TColumn]: Value }, TColumn extends string = string>(
-        options:
-            | {
-                  columns?: ReadonlyArray<string> | undefined;
-                  rowOffset?: number | undefined;
-                  rowLimit?: number | undefined;
-              }
-            | undefined = {}
-    ): TRow[] {
-        const columnDefinitions = this.#getColumnDefinitions();
+     * @param rowOffset Index of the first row to be returned. 0-based. Applied after filtering and sorting. Defaults to 0.
+     * @param rowLimit Maximum number of rows to be returned. Applied after filtering and sorting. Defaults to Infinity.
+     * @param where Predicate or conditions by column the returned rows have to match. Values are compared in their
+     *   default representation. Only the columns used by conditions are decoded for rows that do not match.
+     * @param orderBy Columns to sort the rows by. Text is compared case insensitive and `null` is sorted first like in
+     *   Access.
+     * @param tolerant Replaces values that cannot be read with an `UnreadableValue` and skips data pages that cannot be
+     *   read instead of throwing, e.g. to salvage data from a damaged database. Defaults to false.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    getData<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends DataOptions & ValueOptions = DefaultValueOptions
+    >(
+        options?: (TOptions & DataOptions & ValueOptions) | undefined
+    ): ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[] {
+        const query = this.#createRecordQuery(options);
+        const rowOffset = options?.rowOffset ?? 0;
+        const rowLimit = options?.rowLimit ?? Infinity;
+
+        const data: RecordData[] = [];
+
+        const dataPages = this.#getDataPages(query.tolerant);
+
+        if (query.sorter !== null) {
+            for (const dataPage of dataPages) {
+                data.push(...this.#readDataPage(dataPage, query, 0, Infinity).records);
+            }
 
-        const data = [];
+            return sortRecords(data, query.sorter, rowOffset, rowLimit) as ResultRow<
+                TRow,
+                MergeValueOptions<TValueOptions, TOptions>
+            >[];
+        }
 
-        const columns = columnDefinitions.filter((c) => options.columns === undefined || options.columns.includes(c.name));
+        let rowsToSkip = rowOffset;
+        let rowsToRead = rowLimit;
 
-        let rowsToSkip = options?.rowOffset ?? 0;
-        let rowsToRead = options?.rowLimit ?? Infinity;
+        for (const dataPage of dataPages) {
+            if (rowsToRead <= 0) {
+                // All required data was loaded
+                break;
+            }
+
+            const { recordCount, records } = this.#readDataPage(dataPage, query, rowsToSkip, rowsToRead);
+            data.push(...records);
 
-        for (const dataPage of this.#dataPages) {
+            rowsToRead -= records.length;
+            rowsToSkip = Math.max(rowsToSkip - recordCount, 0);
+        }
+
+        return data.map((record) => record.row) as ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[];
+    }
+
+    /**
+     * Returns data from the table. Loads the required pages page by page when reading from an async page source.
+     *
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param rowOffset Index of the first row to be returned. 0-based. Applied after filtering and sorting. Defaults to 0.
+     * @param rowLimit Maximum number of rows to be returned. Applied after filtering and sorting. Defaults to Infinity.
+     * @param where Predicate or conditions by column the returned rows have to match. Values are compared in their
+     *   default representation. Only the columns used by conditions are decoded for rows that do not match.
+     * @param orderBy Columns to sort the rows by. Text is compared case insensitive and `null` is sorted first like in
+     *   Access.
+     * @param tolerant Replaces values that cannot be read with an `UnreadableValue` and skips data pages that cannot be
+     *   read instead of throwing, e.g. to salvage data from a damaged database. Defaults to false.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    async getDataAsync<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends DataOptions & ValueOptions = DefaultValueOptions
+    >(
+        options?: (TOptions & DataOptions & ValueOptions) | undefined
+    ): Promise<ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[]> {
+        const query = await this.#database.runAsync(() => this.#createRecordQuery(options));
+        const rowOffset = options?.rowOffset ?? 0;
+        const rowLimit = options?.rowLimit ?? Infinity;
+
+        const data: RecordData[] = [];
+
+        const dataPages = await this.#database.runAsync(() => this.#getDataPages(query.tolerant));
+
+        if (query.sorter !== null) {
+            for (const dataPage of dataPages) {
+                const { records } = await this.#database.runAsync(() => this.#readDataPage(dataPage, query, 0, Infinity));
+                data.push(...records);
+            }
+
+            return sortRecords(data, query.sorter, rowOffset, rowLimit) as ResultRow<
+                TRow,
+                MergeValueOptions<TValueOptions, TOptions>
+            >[];
+        }
+
+        let rowsToSkip = rowOffset;
+        let rowsToRead = rowLimit;
+
+        for (const dataPage of dataPages) {
             if (rowsToRead <= 0) {
                 // All required data was loaded
                 break;
             }
 
-            const pageBuffer = this.#getDataPage(dataPage);
-            const recordOffsets = this.#getRecordOffsets(pageBuffer);
+            const skip = rowsToSkip;
+            const limit = rowsToRead;
+            const { recordCount, records } = await this.#database.runAsync(() =>
+                this.#readDataPage(dataPage, query, skip, limit)
+            );
+            data.push(...records);
+
+            rowsToRead -= records.length;
+            rowsToSkip = Math.max(rowsToSkip - recordCount, 0);
+        }
+
+        return data.map((record) => record.row) as ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[];
+    }
 
-            if (recordOffsets.length <= rowsToSkip) {
-                // All records can be skipped
-                rowsToSkip -= recordOffsets.length;
+    /**
+     * Iterates over the rows of the table. Only one data page is decoded at a time.
+     *
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param tolerant Replaces values that cannot be read with an `UnreadableValue` and skips data pages that cannot be
+     *   read instead of throwing, e.g. to salvage data from a damaged database. Defaults to false.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    *rows<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends ReadOptions & ValueOptions = DefaultValueOptions
+    >(
+        options?: (TOptions & ReadOptions & ValueOptions) | undefined
+    ): Generator<ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>, void, undefined> {
+        const query = this.#createRecordQuery(options);
+
+        for (const dataPage of this.#getDataPages(query.tolerant)) {
+            const { records } = this.#readDataPage(dataPage, query, 0, Infinity);
+            yield* records.map((record) => record.row) as ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[];
+        }
+    }
+
+    /**
+     * Iterates over the rows of the table. Only one data page is decoded at a time. Loads the required pages page by
+     * page when reading from an async page source.
+     *
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param tolerant Replaces values that cannot be read with an `UnreadableValue` and skips data pages that cannot be
+     *   read instead of throwing, e.g. to salvage data from a damaged database. Defaults to false.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    async *rowsAsync<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends ReadOptions & ValueOptions = DefaultValueOptions
+    >(
+        options?: (TOptions & ReadOptions & ValueOptions) | undefined
+    ): AsyncGenerator<ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>, void, undefined> {
+        const query = await this.#database.runAsync(() => this.#createRecordQuery(options));
+        const dataPages = await this.#database.runAsync(() => this.#getDataPages(query.tolerant));
+
+        for (const dataPage of dataPages) {
+            const { records } = await this.#database.runAsync(() => this.#readDataPage(dataPage, query, 0, Infinity));
+            yield* records.map((record) => record.row) as ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[];
+        }
+    }
+
+    /**
+     * Returns an object mode stream of the rows of the table. Only available in Node.
+     *
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param tolerant Replaces values that cannot be read with an `UnreadableValue` and skips data pages that cannot be
+     *   read instead of throwing, e.g. to salvage data from a damaged database. Defaults to false.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    stream(options: (ReadOptions & ValueOptions) | undefined = {}): Readable {
+        return Readable.from(this.rowsAsync(options), { objectMode: true });
+    }
+
+    /**
+     * Returns the rows of the table together with the location of their records. Deleted records and data pages that
+     * are no longer referenced by the table stay in the file until their space is reused or the database is compacted,
+     * so they can optionally be recovered as well.
+     *
+     * @param includeDeleted Includes records that are marked as deleted. Defaults to false.
+     * @param includeOrphanedPages Scans all pages of the database for data pages that belong to the table but are not
+     *   referenced by its usage map anymore. Defaults to false.
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    recoverRows<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends RecoveryOptions & ValueOptions = DefaultValueOptions
+    >(
+        options?: (TOptions & RecoveryOptions & ValueOptions) | undefined
+    ): RecoveredRow<ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>>[] {
+        const query: RecordQuery = { ...this.#createRecordQuery(options), tolerant: true };
+        const includeDeleted = options?.includeDeleted ?? false;
+
+        const pages = this.#getDataPages(true).map((page) => ({ page, orphaned: false }));
+        if (options?.includeOrphanedPages) {
+            const dataPages = new Set(this.#getDataPages(true));
+            for (let page = 1; page < this.#database.pageCount; ++page) {
+                if (!dataPages.has(page) && this.#isDataPageOfTable(page)) {
+                    pages.push({ page, orphaned: true });
+                }
+            }
+        }
+
+        const rows: RecoveredRow<{ [column: string]: unknown }>[] = [];
+        for (const { page, orphaned } of pages) {
+            const pageBuffer = this.#database.getPage(page);
+            const recordCount = pageBuffer.readUInt16LE(this.#database.format.dataPage.recordCountOffset);
+            const recordOffsets = Array.from({ length: recordCount }, (_, record) =>
+                this.#getRecordRange(pageBuffer, record)
+            );
+
+            for (let record = 0; record < recordCount; ++record) {
+                const recordStart = this.#getRecordStart(pageBuffer, record);
+                const deleted = !!(recordStart & DELETED_RECORD_FLAG) && !!(recordStart & OVERFLOW_RECORD_FLAG);
+                if (deleted ? !includeDeleted : recordStart & OVERFLOW_RECORD_FLAG) {
+                    // Pointers to records that were moved to another page are skipped as the records are read at their
+                    // new location
+                    continue;
+                }
+
+                const recordOffset = recordOffsets[record]!;
+                if (!this.#isValidRecord(pageBuffer, recordOffset)) {
+                    continue;
+                }
+
+                const overlaps = recordOffsets.some(
+                    ([start, end], other) => other !== record && start <= recordOffset[1] && end >= recordOffset[0]
+                );
+                const [{ row: values }] = this.#readRecords(pageBuffer, [recordOffset], query) as [RecordData];
+                let complete = true;
+                for (const [name, value] of Object.entries(values)) {
+                    if (value instanceof UnreadableValue) {
+                        values[name] = null;
+                        complete = false;
+                    }
+                }
+                rows.push({ values, page, row: record, deleted, orphaned, intact: !overlaps && complete });
+            }
+        }
+
+        return rows as RecoveredRow<ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>>[];
+    }
+
+    /**
+     * Inserts rows into the table and returns the whole database file including the new rows. All indexes of the table
+     * are rebuilt. Either all or none of the rows are written.
+     *
+     * Columns missing in a row are `null` except for autonumber and replication ID columns whose values are generated
+     * and boolean columns which are `false`. Only unencrypted databases of Access 2000 and later can be written.
+     *
+     * @param rows Values by column name. See `WriteValue` for the values accepted by each column type.
+     */
+    insertRows(rows: ReadonlyArray<WriteRow>): Buffer {
+        return this.#write((writer) => writer.insertRows(rows));
+    }
+
+    /**
+     * Changes values of all rows matching the conditions and returns the whole database file including the changes.
+     * Rows are rewritten in place if they still fit and only indexes with changed columns are rebuilt. Either all or
+     * none of the rows are changed.
+     *
+     * @param where Predicate or conditions by column the rows have to match. Values are compared in their default
+     *   representation.
+     * @param values Values of the columns to be changed by column name. See `WriteValue` for the values accepted by each
+     *   column type.
+     */
+    updateRows(where: Where, values: WriteRow): Buffer {
+        return this.#write((writer) => writer.updateRows(this.#findStoredRecords(where), values));
+    }
+
+    /**
+     * Deletes all rows matching the conditions and returns the whole database file without them. Deleted records are
+     * only marked as deleted like Access does until the database is compacted.
+     *
+     * @param where Predicate or conditions by column the rows have to match. Values are compared in their default
+     *   representation.
+     */
+    deleteRows(where: Where): Buffer {
+        return this.#write((writer) => writer.deleteRows(this.#findStoredRecords(where)));
+    }
+
+    #write(callback: (writer: TableWriter) => void): Buffer {
+        this.#database.write(() => {
+            const requiredColumns = [...this.#getPropertyMaps().columns]
+                .filter(([, properties]) => properties.Required === true)
+                .map(([name]) => name);
+
+            callback(
+                new TableWriter(this.#database, {
+                    name: this.#name,
+                    firstDefinitionPage: this.#firstDefinitionPage,
+                    columns: [...this.#getColumnDefinitions()].sort((a, b) => a.index - b.index),
+                    indexes: this.#getIndexDefinitions(),
+                    dataPages: this.#getDataPages(false),
+                    requiredColumns,
+                })
+            );
+        });
+        return this.#database.toBuffer();
+    }
+
+    /**
+     * Reads the records matching the conditions together with the raw values of all columns
+     */
+    #findStoredRecords(where: Where): StoredRecord[] {
+        const columns = [...this.#getColumnDefinitions()].sort((a, b) => a.index - b.index);
+        const filter = createRowFilter(where, columns);
+        const fixedPositions = new Map<ColumnDefinition, number>();
+        for (const column of columns.filter((c) => c.fixedLength)) {
+            fixedPositions.set(column, fixedPositions.size);
+        }
+        const lastColumnIndex = Math.max(...columns.map((c) => c.index), 0);
+        const dataPages = this.#getDataPages(false);
+
+        // Indexes reference records that were moved to another page by the location of the pointer to them
+        const pointers = new Map<number, number>();
+        for (const page of dataPages) {
+            const pageBuffer = this.#getDataPage(page);
+            const recordCount = pageBuffer.readUInt16LE(this.#database.format.dataPage.recordCountOffset);
+            for (let row = 0; row < recordCount; ++row) {
+                const recordStart = this.#getRecordStart(pageBuffer, row);
+                if (!(recordStart & DELETED_RECORD_FLAG) && recordStart & OVERFLOW_RECORD_FLAG) {
+                    pointers.set(pageBuffer.readUInt32LE(recordStart & RECORD_OFFSET_MASK), (page << 8) | row);
+                }
+            }
+        }
+
+        const records: StoredRecord[] = [];
+        for (const page of dataPages) {
+            const pageBuffer = this.#getDataPage(page);
+            const recordCount = pageBuffer.readUInt16LE(this.#database.format.dataPage.recordCountOffset);
+            for (let row = 0; row < recordCount; ++row) {
+                const recordOffset = this.#getRecordOffset(pageBuffer, row);
+                if (recordOffset === null) {
+                    continue;
+                }
+
+                const layout = this.#readRecordLayout(pageBuffer, recordOffset[0], recordOffset[1], lastColumnIndex);
+                const getValue = (column: ColumnDefinition): Value =>
+                    this.#readField(pageBuffer, layout, column, fixedPositions.get(column) ?? 0).value;
+                if (!filter.matches(getValue)) {
+                    continue;
+                }
+
+                const fields: RecordFields = new Map();
+                for (const column of columns) {
+                    const location = this.#locateField(layout, column, fixedPositions.get(column) ?? 0);
+                    const notNull = location !== null && getBitmapValue(layout.nullMask, column.index);
+                    if (column.type === ColumnTypes.Boolean) {
+                        fields.set(column, getBitmapValue(layout.nullMask, column.index));
+                    } else if (notNull) {
+                        fields.set(column, Buffer.from(pageBuffer.slice(location.start, location.start + location.size)));
+                    } else {
+                        fields.set(column, null);
+                    }
+                }
+
+                const pageRow = (page << 8) | row;
+                const pointer = pointers.get(pageRow);
+                records.push({
+                    pageRow: pointer ?? pageRow,
+                    locations: pointer === undefined ? [pageRow] : [pointer, pageRow],
+                    fields,
+                });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Checks that the data of the table can be read, i.e. that the usage map only references data pages of the table,
+     * that the number of rows matches the row count of the table definition and that all values including the data of
+     * memo and OLE values can be read. Problems are returned instead of thrown.
+     */
+    validate(): ValidationIssue[] {
+        const validation = this.#startValidation();
+        if (Array.isArray(validation)) {
+            return validation;
+        }
+
+        for (const page of validation.dataPages) {
+            const { issues, rowCount } = this.#validateDataPage(page, validation);
+            validation.issues.push(...issues);
+            validation.rowCount += rowCount;
+        }
+        return this.#finishValidation(validation);
+    }
+
+    /**
+     * Same as `validate()`, but loads required pages from asynchronous page sources. Data pages are checked one by one
+     * like `rowsAsync()` reads them.
+     */
+    async validateAsync(): Promise<ValidationIssue[]> {
+        const validation = await this.#database.runAsync(() => this.#startValidation());
+        if (Array.isArray(validation)) {
+            return validation;
+        }
+
+        for (const page of validation.dataPages) {
+            const { issues, rowCount } = await this.#database.runAsync(() => this.#validateDataPage(page, validation));
+            validation.issues.push(...issues);
+            validation.rowCount += rowCount;
+        }
+        return this.#finishValidation(validation);
+    }
+
+    /**
+     * @returns Issues if the data pages of the table cannot be checked
+     */
+    #startValidation(): TableValidation | ValidationIssue[] {
+        this.#refresh();
+        const table = this.#name;
+        if (this.#dataPages instanceof Error) {
+            return [{ type: ValidationIssueTypes.UsageMap, table, message: this.#dataPages.message }];
+        }
+
+        let columns: ColumnDefinition[];
+        try {
+            columns = [...this.#getColumnDefinitions()].sort((a, b) => a.index - b.index);
+        } catch (error) {
+            if (error instanceof PageNotLoadedError) {
+                throw error;
+            }
+            const message = `Columns of table ${table} cannot be read: ${createUnreadableValue(error).message}`;
+            return [{ type: ValidationIssueTypes.ColumnType, table, message }];
+        }
+
+        return {
+            dataPages: this.#dataPages,
+            longValueColumns: columns.filter((c) => c.type === ColumnTypes.Memo || c.type === ColumnTypes.OLE),
+            lastColumnIndex: Math.max(...columns.map((c) => c.index), 0),
+            query: { columns, convertValue: null, filter: null, sorter: null, tolerant: true },
+            issues: [],
+            rowCount: 0,
+        };
+    }
+
+    /**
+     * @returns Issues and number of records of a data page. Nothing is added to the validation as the page is checked
+     *   again after loading missing pages from asynchronous page sources.
+     */
+    #validateDataPage(
+        page: number,
+        { longValueColumns, lastColumnIndex, query }: TableValidation
+    ): { issues: ValidationIssue[]; rowCount: number } {
+        const table = this.#name;
+        if (page >= this.#database.pageCount) {
+            const message = `Usage map references page ${page} outside of the file`;
+            return { issues: [{ type: ValidationIssueTypes.UsageMap, table, page, message }], rowCount: 0 };
+        }
+
+        let pageBuffer: Buffer;
+        try {
+            pageBuffer = this.#getDataPage(page);
+        } catch (error) {
+            if (error instanceof PageNotLoadedError) {
+                throw error;
+            }
+            const message = createUnreadableValue(error).message;
+            return { issues: [{ type: ValidationIssueTypes.UsageMap, table, page, message }], rowCount: 0 };
+        }
+
+        const issues: ValidationIssue[] = [];
+        let rowCount = 0;
+        const recordCount = pageBuffer.readUInt16LE(this.#database.format.dataPage.recordCountOffset);
+        for (let row = 0; row < recordCount; ++row) {
+            const recordOffset = this.#getRecordOffset(pageBuffer, row);
+            if (recordOffset === null) {
+                continue;
+            }
+            ++rowCount;
+
+            // Broken long values are reported with their cause instead of the error reading them
+            const brokenColumns = new Set<string>();
+            for (const { column, message } of this.#findLongValueErrors(
+                pageBuffer,
+                recordOffset,
+                longValueColumns,
+                lastColumnIndex
+            )) {
+                brokenColumns.add(column);
+                issues.push({ type: ValidationIssueTypes.LongValue, table, page, row, column, message });
+            }
+
+            const [{ row: values }] = this.#readRecords(pageBuffer, [recordOffset], query) as [RecordData];
+            for (const [column, value] of Object.entries(values)) {
+                if (value instanceof UnreadableValue && !brokenColumns.has(column)) {
+                    issues.push({ type: ValidationIssueTypes.Value, table, page, row, column, message: value.message });
+                }
+            }
+        }
+        return { issues, rowCount };
+    }
+
+    #finishValidation({ issues, rowCount }: TableValidation): ValidationIssue[] {
+        if (rowCount !== this.#rowCount) {
+            const table = this.#name;
+            const message = `Table ${table} has ${rowCount} rows but its definition states ${this.#rowCount}`;
+            issues.push({ type: ValidationIssueTypes.RowCount, table, message });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks the memo and OLE values of a record. Records whose layout cannot be read are skipped as reading their
+     * values fails as well.
+     */
+    #findLongValueErrors(
+        pageBuffer: Buffer,
+        [recordStart, recordEnd]: RecordOffset,
+        columns: ReadonlyArray<ColumnDefinition>,
+        lastColumnIndex: number
+    ): { column: string; message: string }[] {
+        const errors: { column: string; message: string }[] = [];
+        try {
+            const layout = this.#readRecordLayout(pageBuffer, recordStart, recordEnd, lastColumnIndex);
+            for (const column of columns) {
+                const location = this.#locateField(layout, column, 0);
+                if (location === null || !getBitmapValue(layout.nullMask, column.index)) {
+                    continue;
+                }
+
+                const { start, size } = location;
+                const message = findLongValueError(pageBuffer.slice(start, start + size), this.#database);
+                if (message !== null) {
+                    errors.push({ column: column.name, message });
+                }
+            }
+        } catch (error) {
+            if (error instanceof PageNotLoadedError) {
+                throw error;
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * @param tolerant Searches all pages of the database for data pages of the table if the usage map cannot be read
+     */
+    #getDataPages(tolerant: boolean): number[] {
+        this.#refresh();
+        if (!(this.#dataPages instanceof Error)) {
+            return this.#dataPages;
+        }
+        if (!tolerant) {
+            throw this.#dataPages;
+        }
+
+        const dataPages: number[] = [];
+        for (let page = 1; page < this.#database.pageCount; ++page) {
+            if (this.#isDataPageOfTable(page)) {
+                dataPages.push(page);
+            }
+        }
+        return dataPages;
+    }
+
+    #isDataPageOfTable(page: number): boolean {
+        const pageBuffer = this.#database.getPage(page);
+        return pageBuffer[0] === PageType.DataPage && pageBuffer.readUInt32LE(4) === this.#firstDefinitionPage;
+    }
+
+    /**
+     * Checks whether a record that might have been overwritten can be decoded
+     */
+    #isValidRecord(pageBuffer: Buffer, [recordStart, recordEnd]: RecordOffset): boolean {
+        const recordLength = recordEnd - recordStart + 1;
+        const { columnCountSize } = this.#database.format.dataPage.record;
+        if (recordStart < this.#database.format.dataPage.record.countOffset || recordLength <= columnCountSize) {
+            return false;
+        }
+
+        try {
+            // The column count of a record may exceed the column count of the table if columns were deleted, so only
+            // the offsets of the variable length columns are checked
+            const { variableColumnOffsets, rowFixedColumnCount } = this.#readRecordLayout(
+                pageBuffer,
+                recordStart,
+                recordEnd,
+                0
+            );
+            return (
+                rowFixedColumnCount >= 0 &&
+                variableColumnOffsets.every(
+                    (offset, i) =>
+                        offset >= columnCountSize && offset <= recordLength && offset >= (variableColumnOffsets[i - 1] ?? 0)
+                )
+            );
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Reads the records of a data page. Records that do not match the filter of the query are not counted.
+     *
+     * @param rowsToSkip Number of records to skip
+     * @param rowsToRead Maximum number of records to read
+     * @returns Number of records on the page and the data of the records that were read
+     */
+    #readDataPage(
+        dataPage: number,
+        query: RecordQuery,
+        rowsToSkip: number,
+        rowsToRead: number
+    ): { recordCount: number; records: RecordData[] } {
+        let pageBuffer: Buffer;
+        let recordOffsets: RecordOffset[];
+        try {
+            pageBuffer = this.#getDataPage(dataPage);
+            recordOffsets = this.#getRecordOffsets(pageBuffer);
+        } catch (error) {
+            if (!isTolerable(error, query.tolerant)) {
+                throw error;
+            }
+            return { recordCount: 0, records: [] };
+        }
+
+        if (query.filter !== null) {
+            const records = this.#readRecords(pageBuffer, recordOffsets, query);
+            return { recordCount: records.length, records: records.slice(rowsToSkip, rowsToSkip + rowsToRead) };
+        }
+
+        if (recordOffsets.length <= rowsToSkip) {
+            // All records can be skipped
+            return { recordCount: recordOffsets.length, records: [] };
+        }
+
+        const recordOffsetsToLoad = recordOffsets.slice(rowsToSkip, rowsToSkip + rowsToRead);
+        return {
+            recordCount: recordOffsets.length,
+            records: this.#readRecords(pageBuffer, recordOffsetsToLoad, query),
+        };
+    }
+
+    /**
+     * @param options Options of the call
+     */
+    #createRecordQuery(
+        options: (ReadOptions & Pick<DataOptions, "where" | "orderBy"> & ValueOptions) | undefined
+    ): RecordQuery {
+        const columnDefinitions = this.#getColumnDefinitions();
+        return {
+            columns: columnDefinitions.filter((c) => options?.columns === undefined || options.columns.includes(c.name)),
+            convertValue: this.#createValueConverter(options),
+            filter: options?.where !== undefined ? createRowFilter(options.where, columnDefinitions) : null,
+            sorter: options?.orderBy !== undefined ? createRowSorter(options.orderBy, columnDefinitions) : null,
+            tolerant: options?.tolerant ?? false,
+        };
+    }
+
+    /**
+     * Returns all rows with the given key by traversing the index instead of reading all data pages.
+     *
+     * @param indexName Name of the index. Case sensitive.
+     * @param key Value of the indexed column or an array of values for multi-column indexes. Trailing columns of multi-column indexes may be omitted.
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    findByIndex<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends ColumnsOptions & ValueOptions = DefaultValueOptions
+    >(
+        indexName: string,
+        key: IndexKey,
+        options?: (TOptions & ColumnsOptions & ValueOptions) | undefined
+    ): ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[] {
+        return this.findRange<TRow, TColumn, TOptions>(indexName, { ...(options as TOptions), from: key, to: key });
+    }
+
+    /**
+     * Returns all rows with a key between `from` and `to` by traversing the index instead of reading all data pages.
+     * Rows are returned in index order.
+     *
+     * @param indexName Name of the index. Case sensitive.
+     * @param from Lower bound of the key (inclusive). Defaults to the first key of the index.
+     * @param to Upper bound of the key (inclusive). Defaults to the last key of the index.
+     * @param columns Columns to be returned. Defaults to all columns.
+     * @param dateTime, decimal, dateTimeExtended, ole, converters Value options overriding the options of the reader.
+     */
+    findRange<
+        TRow extends { [column in TColumn]: unknown } = never,
+        TColumn extends string = string,
+        TOptions extends RangeOptions & ValueOptions = DefaultValueOptions
+    >(
+        indexName: string,
+        options: TOptions & RangeOptions & ValueOptions
+    ): ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[] {
+        const index = this.#getIndexDefinitions().find((i) => i.name === indexName);
+        if (index === undefined) {
+            throw new Error(`Could not find index with name ${indexName}`);
+        }
+
+        const columnDefinitions = this.#getColumnDefinitions();
+        const keyDefinitions = index.columns.map(
+            (indexColumn) => columnDefinitions.find((c) => c.name === indexColumn.name)!
+        );
+        const keyColumns = keyDefinitions.map((column, i) => ({ ...column, order: index.columns[i]!.order }));
+        const sortOrder = this.#database.getDefaultSortOrder();
+        const { legacyNumericIndexes } = this.#database.format;
+        const from = toKeyValues(options.from);
+        const to = toKeyValues(options.to);
+        const encodedFrom = from === null ? null : encodeIndexKeyPrefix(from, keyColumns, sortOrder, legacyNumericIndexes);
+        const encodedTo = to === null ? null : encodeIndexKeyPrefix(to, keyColumns, sortOrder, legacyNumericIndexes);
+
+        const entries = this.#findIndexEntries(index.firstPage, encodedFrom?.key ?? null, encodedTo?.key ?? null);
+
+        // Keys that could only be encoded partially match more entries than requested
+        let filter: RowFilter | null = null;
+        if (encodedFrom?.complete === false || encodedTo?.complete === false) {
+            filter = {
+                columns: keyDefinitions,
+                matches: (getValue) => {
+                    const values = keyDefinitions.map((column) => getValue(column) as IndexKeyValue);
+                    return (
+                        (from === null ||
+                            compareIndexKeys(values, from, keyColumns, sortOrder, legacyNumericIndexes) >= 0) &&
+                        (to === null || compareIndexKeys(values, to, keyColumns, sortOrder, legacyNumericIndexes) <= 0)
+                    );
+                },
+            };
+        }
+
+        const query: RecordQuery = {
+            columns: columnDefinitions.filter((c) => options.columns === undefined || options.columns.includes(c.name)),
+            convertValue: this.#createValueConverter(options),
+            filter,
+            sorter: null,
+            tolerant: false,
+        };
+
+        const data = [];
+        const pageBuffers = new Map<number, Buffer>();
+        const getPageBuffer = (page: number): Buffer => {
+            let pageBuffer = pageBuffers.get(page);
+            if (!pageBuffer) {
+                pageBuffer = this.#getDataPage(page);
+                pageBuffers.set(page, pageBuffer);
+            }
+            return pageBuffer;
+        };
+        for (const entry of entries) {
+            let page = entry.pageRow >>> 8;
+            let row = entry.pageRow & 0xff;
+            let pageBuffer = getPageBuffer(page);
+
+            // Rows that did not fit on their page anymore were moved and replaced with a pointer to the new location
+            let recordStart = this.#getRecordStart(pageBuffer, row);
+            while (!(recordStart & DELETED_RECORD_FLAG) && recordStart & OVERFLOW_RECORD_FLAG) {
+                const pageRow = pageBuffer.readUInt32LE(recordStart & RECORD_OFFSET_MASK);
+                page = pageRow >>> 8;
+                row = pageRow & 0xff;
+                pageBuffer = getPageBuffer(page);
+                recordStart = this.#getRecordStart(pageBuffer, row);
+            }
+
+            const recordOffset = this.#getRecordOffset(pageBuffer, row);
+            if (recordOffset === null) {
                 continue;
             }
 
-            const recordOffsetsToLoad = recordOffsets.slice(rowsToSkip, rowsToSkip + rowsToRead);
-            const recordsOnPage = this.#getDataFromPage(pageBuffer, recordOffsetsToLoad, columns);
+            data.push(...this.#readRecords(pageBuffer, [recordOffset], query).map((record) => record.row));
+        }
+
+        return data as ResultRow<TRow, MergeValueOptions<TValueOptions, TOptions>>[];
+    }
 
-            data.push(...recordsOnPage);
+    /**
+     * Returns all leaf entries of an index with a key between `from` and `to`. Keys that start with `to` are included
+     * as well to support keys that only contain the leading columns of an index.
+     *
+     * @param rootPage First page of the index
+     * @param from Encoded lower bound. `null` = no lower bound
+     * @param to Encoded upper bound. `null` = no upper bound
+     */
+    #findIndexEntries(rootPage: number, from: Buffer | null, to: Buffer | null): IndexEntry[] {
+        let indexPage = readIndexPage(this.#database.getPage(rootPage), this.#database.format);
+
+        // Descend to the first leaf page that might contain `from`
+        while (!indexPage.leaf) {
+            let entryIndex = 0;
+            if (from !== null) {
+                const firstGreaterOrEqual = indexPage.entries.findIndex((e) => Buffer.compare(e.key, from) >= 0);
+                entryIndex = (firstGreaterOrEqual === -1 ? indexPage.entries.length : firstGreaterOrEqual) - 1;
+            }
 
-            rowsToRead -= recordsOnPage.length;
-            rowsToSkip = 0;
+            const childPage = indexPage.entries[Math.max(entryIndex, 0)]?.subPage ?? indexPage.childTailPage;
+            indexPage = readIndexPage(this.#database.getPage(childPage), this.#database.format);
         }
 
-        return data as TRow[];
+        // Walk the linked list of leaf pages
+        const entries: IndexEntry[] = [];
+        for (;;) {
+            for (const entry of indexPage.entries) {
+                if (from !== null && Buffer.compare(entry.key, from) < 0) {
+                    continue;
+                }
+
+                if (to !== null && Buffer.compare(entry.key, to) > 0 && !entry.key.slice(0, to.length).equals(to)) {
+                    return entries;
+                }
+
+                entries.push(entry);
+            }
+
+            if (indexPage.nextPage === 0) {
+                return entries;
+            }
+
+            indexPage = readIndexPage(this.#database.getPage(indexPage.nextPage), this.#database.format);
+        }
     }
 
     #getDataPage(page: number) {
@@ -263,131 +1359,358 @@ export class Table {
         const recordCount = pageBuffer.readUInt16LE(this.#database.format.dataPage.recordCountOffset);
         const recordOffsets: RecordOffset[] = [];
         for (let record = 0; record < recordCount; ++record) {
-            const offsetMask = 0x1fff;
-
-            let recordStart = pageBuffer.readUInt16LE(this.#database.format.dataPage.record.countOffset + 2 + record * 2);
-            if (recordStart & 0x4000) {
-                // deleted record
+            const recordOffset = this.#getRecordOffset(pageBuffer, record);
+            if (recordOffset === null) {
                 continue;
             }
-            recordStart &= offsetMask; // remove flags
 
-            const nextStart =
-                record === 0
-                    ? this.#database.format.pageSize
-                    : pageBuffer.readUInt16LE(this.#database.format.dataPage.record.countOffset + record * 2) & offsetMask;
-            const recordLength = nextStart - recordStart;
-            const recordEnd = recordStart + recordLength - 1;
-
-            recordOffsets.push([recordStart, recordEnd]);
+            recordOffsets.push(recordOffset);
         }
         return recordOffsets;
     }
 
-    #getDataFromPage(
-        pageBuffer: Buffer,
-        recordOffsets: RecordOffset[],
-        columns: ReadonlyArray<ColumnDefinition>
-    ): { [column: string]: Value }[] {
-        const lastColumnIndex = Math.max(...columns.map((c) => c.index), 0);
-        const data: { [column: string]: Value }[] = [];
-        for (const [recordStart, recordEnd] of recordOffsets) {
-            const rowColumnCount = pageBuffer.readUIntLE(recordStart, this.#database.format.dataPage.record.columnCountSize);
+    /**
+     * @returns `null` for deleted records and overflow records pointing to a row moved to another page
+     */
+    #getRecordOffset(pageBuffer: Buffer, record: number): RecordOffset | null {
+        // deleted records have both the deleted and the overflow flag set
+        if (this.#getRecordStart(pageBuffer, record) & OVERFLOW_RECORD_FLAG) {
+            return null;
+        }
+        return this.#getRecordRange(pageBuffer, record);
+    }
 
-            const bitmaskSize = roundToFullByte(rowColumnCount);
+    /**
+     * @returns Offsets of a record regardless of its flags
+     */
+    #getRecordRange(pageBuffer: Buffer, record: number): RecordOffset {
+        const recordStart = this.#getRecordStart(pageBuffer, record) & RECORD_OFFSET_MASK; // remove flags
 
-            let rowVariableColumnCount = 0;
-            const variableColumnOffsets: number[] = [];
-            if (this.#variableColumnCount > 0) {
-                switch (this.#database.format.dataPage.record.variableColumnCountSize) {
-                    case 1: {
-                        rowVariableColumnCount = pageBuffer.readUInt8(recordEnd - bitmaskSize);
+        const nextStart =
+            record === 0
+                ? this.#database.format.pageSize
+                : this.#getRecordStart(pageBuffer, record - 1) & RECORD_OFFSET_MASK;
+        const recordLength = nextStart - recordStart;
+        const recordEnd = recordStart + recordLength - 1;
 
-                        // https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/write.c#L125-L147
-                        const recordLength = recordEnd - recordStart + 1;
-                        let jumpCount = Math.floor((recordLength - 1) / 256);
-                        const columnPointer = recordEnd - bitmaskSize - jumpCount - 1;
+        return [recordStart, recordEnd];
+    }
 
-                        /* If last jump is a dummy value, ignore it */
-                        if ((columnPointer - recordStart - rowVariableColumnCount) / 256 < jumpCount) {
-                            --jumpCount;
-                        }
+    /**
+     * @returns Start of the record including its flags
+     */
+    #getRecordStart(pageBuffer: Buffer, record: number): number {
+        return pageBuffer.readUInt16LE(this.#database.format.dataPage.record.countOffset + 2 + record * 2);
+    }
+
+    /**
+     * Reads records of a data page. Columns used by the filter are read first, so the remaining columns of records that
+     * do not match are never decoded.
+     */
+    #readRecords(pageBuffer: Buffer, recordOffsets: RecordOffset[], query: RecordQuery): RecordData[] {
+        const { columns, convertValue, filter, sorter } = query;
+
+        // Fixed columns are counted in the order of their index
+        const readColumns = [...new Set([...columns, ...(filter?.columns ?? []), ...(sorter?.columns ?? [])])].sort(
+            (a, b) => a.index - b.index
+        );
+        const fixedPositions = new Map<ColumnDefinition, number>();
+        for (const column of readColumns.filter((c) => c.fixedLength)) {
+            fixedPositions.set(column, fixedPositions.size);
+        }
+        const outputColumns = readColumns.filter((c) => columns.includes(c));
+        const lastColumnIndex = Math.max(...readColumns.map((c) => c.index), 0);
 
-                        let jumpsUsed = 0;
-                        for (let i = 0; i < rowVariableColumnCount + 1; ++i) {
-                            while (
-                                jumpsUsed < jumpCount &&
-                                i === pageBuffer.readUInt8(recordEnd - bitmaskSize - jumpsUsed - 1)
-                            ) {
-                                ++jumpsUsed;
-                            }
-                            variableColumnOffsets.push(pageBuffer.readUInt8(columnPointer - i) + jumpsUsed * 256);
+        const records: RecordData[] = [];
+        for (const [recordStart, recordEnd] of recordOffsets) {
+            let layout: RecordLayout | undefined;
+
+            const fields = new Map<ColumnDefinition, Field>();
+            const readField = (column: ColumnDefinition): Field => {
+                let field = fields.get(column);
+                if (field === undefined) {
+                    try {
+                        layout ??= this.#readRecordLayout(pageBuffer, recordStart, recordEnd, lastColumnIndex);
+                        field = this.#readField(pageBuffer, layout, column, fixedPositions.get(column) ?? 0);
+                    } catch (error) {
+                        if (!isTolerable(error, query.tolerant)) {
+                            throw error;
                         }
-                        break;
+                        // Filters and sorters treat values that cannot be read as null
+                        field = { value: null, start: 0, size: 0, error: createUnreadableValue(error) };
+                    }
+                    fields.set(column, field);
+                }
+                return field;
+            };
+            const getValue = (column: ColumnDefinition): Value => readField(column).value;
+
+            if (filter !== null && !filter.matches(getValue)) {
+                continue;
+            }
+
+            const row: { [column: string]: unknown } = {};
+            for (const column of outputColumns) {
+                const { value, start, size, error } = readField(column);
+                row[column.name] =
+                    error ??
+                    (value === null || convertValue === null
+                        ? value
+                        : convertValue(value, pageBuffer.slice(start, start + size), column));
+            }
+
+            records.push({ row, sortKey: sorter?.columns.map(getValue) ?? [] });
+        }
+
+        return records;
+    }
+
+    /**
+     * Reads where the values of a record are stored
+     *
+     * @param lastColumnIndex Highest index of the columns to be read
+     */
+    #readRecordLayout(pageBuffer: Buffer, recordStart: number, recordEnd: number, lastColumnIndex: number): RecordLayout {
+        const rowColumnCount = pageBuffer.readUIntLE(recordStart, this.#database.format.dataPage.record.columnCountSize);
+
+        const bitmaskSize = roundToFullByte(rowColumnCount);
+
+        let rowVariableColumnCount = 0;
+        const variableColumnOffsets: number[] = [];
+        if (this.#variableColumnCount > 0) {
+            switch (this.#database.format.dataPage.record.variableColumnCountSize) {
+                case 1: {
+                    rowVariableColumnCount = pageBuffer.readUInt8(recordEnd - bitmaskSize);
+
+                    // https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/write.c#L125-L147
+                    const recordLength = recordEnd - recordStart + 1;
+                    let jumpCount = Math.floor((recordLength - 1) / 256);
+                    const columnPointer = recordEnd - bitmaskSize - jumpCount - 1;
+
+                    /* If last jump is a dummy value, ignore it */
+                    if ((columnPointer - recordStart - rowVariableColumnCount) / 256 < jumpCount) {
+                        --jumpCount;
                     }
-                    case 2: {
-                        rowVariableColumnCount = pageBuffer.readUInt16LE(recordEnd - bitmaskSize - 1);
 
-                        // https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/write.c#L115-L124
-                        for (let i = 0; i < rowVariableColumnCount + 1; ++i) {
-                            variableColumnOffsets.push(pageBuffer.readUInt16LE(recordEnd - bitmaskSize - 3 - i * 2));
+                    let jumpsUsed = 0;
+                    for (let i = 0; i < rowVariableColumnCount + 1; ++i) {
+                        while (
+                            jumpsUsed < jumpCount &&
+                            i === pageBuffer.readUInt8(recordEnd - bitmaskSize - jumpsUsed - 1)
+                        ) {
+                            ++jumpsUsed;
                         }
-                        break;
+                        variableColumnOffsets.push(pageBuffer.readUInt8(columnPointer - i) + jumpsUsed * 256);
                     }
+                    break;
                 }
-            }
+                case 2: {
+                    rowVariableColumnCount = pageBuffer.readUInt16LE(recordEnd - bitmaskSize - 1);
 
-            const rowFixedColumnCount = rowColumnCount - rowVariableColumnCount;
+                    // https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/write.c#L115-L124
+                    for (let i = 0; i < rowVariableColumnCount + 1; ++i) {
+                        variableColumnOffsets.push(pageBuffer.readUInt16LE(recordEnd - bitmaskSize - 3 - i * 2));
+                    }
+                    break;
+                }
+            }
+        }
 
-            const nullMask = pageBuffer.slice(
+        return {
+            recordStart,
+            nullMask: pageBuffer.slice(
                 recordEnd - bitmaskSize + 1,
                 recordEnd - bitmaskSize + 1 + roundToFullByte(lastColumnIndex + 1)
-            );
-            let fixedColumnsFound = 0;
-
-            const recordValues: { [column: string]: Value } = {};
-            for (const column of [...columns].sort((a, b) => a.index - b.index)) {
-                /**
-                 * undefined = will be set later. Undefined will never be returned to the user.
-                 * null = actually null
-                 */
-                let value: Value | undefined = undefined;
-                let start: number;
-                let size: number;
-
-                if (!getBitmapValue(nullMask, column.index)) {
-                    value = null;
-                }
+            ),
+            variableColumnOffsets,
+            rowVariableColumnCount,
+            rowFixedColumnCount: rowColumnCount - rowVariableColumnCount,
+        };
+    }
 
-                if (column.fixedLength && fixedColumnsFound < rowFixedColumnCount) {
-                    const colStart = column.fixedIndex + this.#database.format.dataPage.record.columnCountSize;
-                    start = recordStart + colStart;
-                    size = column.size;
-                    ++fixedColumnsFound;
-                } else if (!column.fixedLength && column.variableIndex < rowVariableColumnCount) {
-                    const colStart = variableColumnOffsets[column.variableIndex]!;
-                    start = recordStart + colStart;
-                    size = variableColumnOffsets[column.variableIndex + 1]! - colStart;
-                } else {
-                    start = 0;
-                    value = null;
-                    size = 0;
-                }
+    /**
+     * @param fixedPosition Position of a fixed length column among the fixed length columns that are read
+     */
+    #readField(pageBuffer: Buffer, layout: RecordLayout, column: ColumnDefinition, fixedPosition: number): Field {
+        const location = this.#locateField(layout, column, fixedPosition);
+        const { start, size } = location ?? { start: 0, size: 0 };
+
+        /**
+         * undefined = will be set later. Undefined will never be returned to the user.
+         * null = actually null
+         */
+        let value: Value | undefined = undefined;
+
+        if (location === null || !getBitmapValue(layout.nullMask, column.index)) {
+            value = null;
+        }
 
-                if (column.type === ColumnTypes.Boolean) {
-                    value = value === undefined;
-                } else if (value !== null) {
-                    value = readFieldValue(pageBuffer.slice(start, start + size), column, this.#database);
-                }
+        if (column.type === ColumnTypes.Boolean) {
+            value = value === undefined;
+        } else if (value !== null) {
+            value = readFieldValue(pageBuffer.slice(start, start + size), column, this.#database);
 
-                recordValues[column.name] = value as Value;
+            if (column.type === ColumnTypes.Complex) {
+                value = this.#readComplexValue(column, value as number);
             }
+        }
+
+        return { value: value as Value, start, size };
+    }
+
+    /**
+     * @param fixedPosition Position of a fixed length column among the fixed length columns that are read
+     * @returns Where the value of a column is stored on the page. `null` if the record does not contain the column.
+     */
+    #locateField(
+        layout: RecordLayout,
+        column: ColumnDefinition,
+        fixedPosition: number
+    ): { start: number; size: number } | null {
+        const { recordStart, variableColumnOffsets, rowVariableColumnCount, rowFixedColumnCount } = layout;
+
+        if (column.fixedLength && fixedPosition < rowFixedColumnCount) {
+            const colStart = column.fixedIndex + this.#database.format.dataPage.record.columnCountSize;
+            return { start: recordStart + colStart, size: column.size };
+        }
 
-            data.push(recordValues);
+        if (!column.fixedLength && column.variableIndex < rowVariableColumnCount) {
+            const colStart = variableColumnOffsets[column.variableIndex]!;
+            return { start: recordStart + colStart, size: variableColumnOffsets[column.variableIndex + 1]! - colStart };
         }
 
-        return data;
+        return null;
+    }
+
+    /**
+     * @param options Value options of the call
+     * @returns `null` if values are returned as they are read
+     */
+    #createValueConverter(options: ValueOptions | undefined): ValueConverter | null {
+        let columns: Column[] | undefined;
+        return createValueConverter(mergeValueOptions(this.#valueOptions, options ?? {}), (name) => {
+            columns ??= this.getColumns();
+            return columns.find((c) => c.name === name)!;
+        });
+    }
+
+    #readComplexValue(column: ColumnDefinition, complexValueId: number): ComplexValue {
+        const complexColumn =
+            column.complexId !== undefined ? this.#complexColumnResolver?.(column.complexId) ?? null : null;
+        if (complexColumn === null) {
+            return complexValueId;
+        }
+
+        return readComplexValue(complexColumn, complexValueId);
     }
 }
 
 type RecordOffset = [start: number, end: number];
+
+function toKeyValues(key: IndexKey | undefined): ReadonlyArray<IndexKeyValue> | null {
+    if (key === undefined) {
+        return null;
+    }
+    return Array.isArray(key) ? key : [key as IndexKeyValue];
+}
+
+/**
+ * Errors of damaged data are ignored in tolerant mode. Errors of async page sources are always thrown as the page is
+ * loaded before the data is read again.
+ */
+function isTolerable(error: unknown, tolerant: boolean): boolean {
+    return tolerant && !(error instanceof PageNotLoadedError);
+}
+
+function createUnreadableValue(error: unknown): UnreadableValue {
+    return new UnreadableValue(error instanceof Error ? error.message : String(error));
+}
+
+/**
+ * @returns Rows sorted by their sort key
+ */
+function sortRecords(
+    records: RecordData[],
+    sorter: RowSorter,
+    rowOffset: number,
+    rowLimit: number
+): { [column: string]: unknown }[] {
+    return records
+        .sort((a, b) => sorter.compare(a.sortKey, b.sortKey))
+        .slice(rowOffset, rowOffset + rowLimit)
+        .map((record) => record.row);
+}
+
+interface RecordLayout {
+    recordStart: number;
+    nullMask: Buffer;
+    variableColumnOffsets: number[];
+    rowVariableColumnCount: number;
+    rowFixedColumnCount: number;
+}
+
+/**
+ * Value of a column and where it is stored on the page
+ */
+interface Field {
+    value: Value;
+    start: number;
+    size: number;
+
+    /**
+     * Set if the value cannot be read in tolerant mode. The value is `null` then.
+     */
+    error?: UnreadableValue | undefined;
+}
+
+interface RecordQuery {
+    /**
+     * Columns to be returned
+     */
+    columns: ReadonlyArray<ColumnDefinition>;
+    convertValue: ValueConverter | null;
+    filter: RowFilter | null;
+    sorter: RowSorter | null;
+
+    /**
+     * Replace values that cannot be read with `UnreadableValue` and skip data pages that cannot be read
+     */
+    tolerant: boolean;
+}
+
+/**
+ * State of checking the data pages of a table
+ */
+interface TableValidation {
+    dataPages: ReadonlyArray<number>;
+    longValueColumns: ReadonlyArray<ColumnDefinition>;
+    lastColumnIndex: number;
+    query: RecordQuery;
+
+    /**
+     * Issues of the data pages checked so far
+     */
+    issues: ValidationIssue[];
+
+    /**
+     * Number of records on the data pages checked so far
+     */
+    rowCount: number;
+}
+
+interface RecordData {
+    row: { [column: string]: unknown };
+
+    /**
+     * Values of the columns of the sorter. Empty if the records are not sorted.
+     */
+    sortKey: Value[];
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+const RECORD_OFFSET_MASK = 0x1fff;
+const COMPRESSED_UNICODE_FLAG = 0x01;
+const DELETED_RECORD_FLAG = 0x8000;
+const OVERFLOW_RECORD_FLAG = 0x4000;
@@ -0,0 +1,36 @@
+import { expect } from "chai";
+import { type AccessStorageRow, readAccessStorage, readMacros } from "./access-storage.js";
+
+function dirData(...names: string[]): Buffer {
+    const entries = names.map((name, number) => {
+        const nameBuffer = Buffer.from(name, "ucs-2");
+        const numberBuffer = Buffer.alloc(4);
+        numberBuffer.writeUInt32LE(number);
+        return Buffer.concat([Buffer.from([0x04, nameBuffer.length + 4]), nameBuffer, numberBuffer]);
+    });
+    return Buffer.concat([Buffer.alloc(4), ...entries]);
+}
+
+describe("readMacros()", () => {
+    it("reads the definitions of macros", () => {
+        const xml = '<?xml version="1.0" encoding="UTF-16" standalone="no"?>\r\n<Macros />';
+        const binary = Buffer.from([0x01, 0x00, 0x3c, 0x41]);
+        const rows: AccessStorageRow[] = [
+            { Id: 1, ParentId: 1, Name: "MSysAccessStorage_ROOT", Lv: null },
+            { Id: 2, ParentId: 2, Name: "MSysAccessStorage_SCRATCH", Lv: null },
+            { Id: 3, ParentId: 1, Name: "Scripts", Lv: null },
+            { Id: 4, ParentId: 3, Name: "\u0003DirData", Lv: dirData("AutoExec", "Legacy") },
+            { Id: 5, ParentId: 3, Name: "0", Lv: null },
+            { Id: 6, ParentId: 5, Name: "Blob", Lv: Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(xml, "ucs-2")]) },
+            { Id: 7, ParentId: 3, Name: "1", Lv: null },
+            { Id: 8, ParentId: 7, Name: "Blob", Lv: binary },
+        ];
+
+        const root = readAccessStorage(rows);
+        expect(root).not.to.eq(null);
+        expect(readMacros(root!)).to.deep.eq([
+            { name: "AutoExec", definition: rows[5]!.Lv, xml },
+            { name: "Legacy", definition: binary, xml: null },
+        ]);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Row of MSysAccessStorage. The rows form a tree of storages and streams like a compound file.
+ */
+export type AccessStorageRow = {
+    Id: number;
+    ParentId: number;
+    Name: string;
+    Lv: Buffer | null;
+};
+
+export interface StorageEntry {
+    name: string;
+
+    /**
+     * Data of streams. `null` for storages.
+     */
+    data: Buffer | null;
+    children: StorageEntry[];
+}
+
+export interface AccessObject {
+    name: string;
+
+    /**
+     * Definition of the object as stored by Access. The format is not documented.
+     */
+    definition: Buffer;
+}
+
+export interface Macro extends AccessObject {
+    /**
+     * Definition of macros stored as XML (Access 2010 and newer). `null` for macros in the binary format.
+     */
+    xml: string | null;
+}
+
+/**
+ * Storages of the objects of the database. Macros are called scripts internally.
+ */
+export const FORMS_STORAGE = "Forms";
+export const REPORTS_STORAGE = "Reports";
+const MACROS_STORAGE = "Scripts";
+
+/**
+ * Storage containing the `dir` stream and the modules of the VBA project
+ */
+export const VBA_STORAGE_PATH: ReadonlyArray<string> = ["VBA", "VBAProject", "VBA"];
+
+const ROOT_STORAGE = "MSysAccessStorage_ROOT";
+const DIR_DATA_STREAM = "\u0003DirData";
+const BLOB_STREAM = "Blob";
+
+const DIR_DATA_HEADER_SIZE = 4;
+const DIR_DATA_NAME_MARKER = 0x04;
+
+const UTF16_BOM = [0xff, 0xfe];
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+/**
+ * Builds the tree of storages and streams
+ *
+ * @returns Root storage or `null` if the table does not contain it
+ */
+export function readAccessStorage(rows: ReadonlyArray<AccessStorageRow>): StorageEntry | null {
+    const entries = new Map<number, StorageEntry>();
+    for (const row of rows) {
+        entries.set(row.Id, { name: row.Name, data: row.Lv, children: [] });
+    }
+
+    let root: StorageEntry | null = null;
+    for (const row of rows) {
+        const entry = entries.get(row.Id)!;
+        if (row.Name === ROOT_STORAGE) {
+            root = entry;
+        }
+
+        // Root storages are their own parents
+        if (row.ParentId !== row.Id) {
+            entries.get(row.ParentId)?.children.push(entry);
+        }
+    }
+    return root;
+}
+
+/**
+ * @param path Names of the nested storages and streams
+ */
+export function findStorageEntry(storage: StorageEntry, path: ReadonlyArray<string>): StorageEntry | null {
+    let entry: StorageEntry | undefined = storage;
+    for (const name of path) {
+        entry = entry.children.find((child) => child.name === name);
+        if (entry === undefined) {
+            return null;
+        }
+    }
+    return entry;
+}
+
+/**
+ * @returns Streams of a storage by their name. Nested storages are skipped.
+ */
+export function getStreams(storage: StorageEntry): Map<string, Buffer> {
+    const streams = new Map<string, Buffer>();
+    for (const { name, data } of storage.children) {
+        if (data !== null) {
+            streams.set(name, data);
+        }
+    }
+    return streams;
+}
+
+/**
+ * Returns the objects stored in a storage like `Forms` or `Reports`. Every object is stored in a sub storage named by
+ * its number. The `DirData` stream maps the names of the objects to these numbers.
+ */
+export function readAccessObjects(root: StorageEntry, storageName: string): AccessObject[] {
+    const storage = findStorageEntry(root, [storageName]);
+    const dirData = storage !== null ? findStorageEntry(storage, [DIR_DATA_STREAM])?.data : null;
+    if (!storage || !dirData) {
+        return [];
+    }
+
+    const objects: AccessObject[] = [];
+    for (const { name, number } of parseDirData(dirData)) {
+        const definition = findStorageEntry(storage, [String(number), BLOB_STREAM])?.data;
+        if (definition) {
+            objects.push({ name, definition });
+        }
+    }
+    return objects;
+}
+
+export function readMacros(root: StorageEntry): Macro[] {
+    return readAccessObjects(root, MACROS_STORAGE).map((object) => ({ ...object, xml: readXML(object.definition) }));
+}
+
+/**
+ * Entries consist of a marker byte, the size of the entry, the UTF-16 name and the number of the storage.
+ */
+function parseDirData(buffer: Buffer): { name: string; number: number }[] {
+    const entries: { name: string; number: number }[] = [];
+
+    let position = DIR_DATA_HEADER_SIZE;
+    while (position + 2 <= buffer.length && buffer[position] === DIR_DATA_NAME_MARKER) {
+        const entryEnd = position + 2 + buffer[position + 1]!;
+        if (entryEnd > buffer.length || entryEnd - 4 < position + 2) {
+            throw new Error("DirData stream is truncated");
+        }
+
+        entries.push({
+            name: buffer.slice(position + 2, entryEnd - 4).toString("ucs-2"),
+            number: buffer.readUInt32LE(entryEnd - 4),
+        });
+        position = entryEnd;
+    }
+
+    return entries;
+}
+
+/**
+ * @returns `null` if the definition is no XML document
+ */
+function readXML(definition: Buffer): string | null {
+    let text: string;
+    if (definition.slice(0, 2).equals(Buffer.from(UTF16_BOM))) {
+        text = definition.slice(2).toString("ucs-2");
+    } else if (definition.slice(0, 3).equals(Buffer.from(UTF8_BOM))) {
+        text = definition.slice(3).toString("utf8");
+    } else if (definition[0] === 0x3c && definition[1] === 0x00) {
+        text = definition.toString("ucs-2");
+    } else {
+        text = definition.toString("utf8");
+    }
+
+    return text.trimStart().startsWith("<") ? text : null;
+}
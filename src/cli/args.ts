@@ -0,0 +1,77 @@
+/**
+ * Type of the value of each option by its name without the leading `--`
+ */
+export interface OptionDefinitions {
+    [name: string]: "boolean" | "string";
+}
+
+export interface ParsedArgs {
+    positionals: string[];
+    options: { [name: string]: string | boolean };
+}
+
+/**
+ * Parses command line arguments. Supports `--name value`, `--name=value`, boolean flags, `--no-name` to disable a
+ * boolean flag, `-h` as `--help` and `--` to end the options.
+ */
+export function parseArgs(args: ReadonlyArray<string>, definitions: OptionDefinitions): ParsedArgs {
+    const positionals: string[] = [];
+    const options: ParsedArgs["options"] = {};
+
+    for (let i = 0; i < args.length; ++i) {
+        const arg = args[i]!;
+
+        if (arg === "--") {
+            positionals.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (arg === "-h") {
+            options["help"] = true;
+            continue;
+        }
+
+        if (!arg.startsWith("--")) {
+            if (arg.startsWith("-") && arg !== "-") {
+                throw new Error(`Unknown option ${arg}`);
+            }
+            positionals.push(arg);
+            continue;
+        }
+
+        const separatorIndex = arg.indexOf("=");
+        const name = arg.slice(2, separatorIndex === -1 ? undefined : separatorIndex);
+        const inlineValue = separatorIndex === -1 ? undefined : arg.slice(separatorIndex + 1);
+
+        if (definitions[name] === undefined && name.startsWith("no-") && definitions[name.slice(3)] === "boolean") {
+            if (inlineValue !== undefined) {
+                throw new Error(`Option --${name} does not take a value`);
+            }
+            options[name.slice(3)] = false;
+            continue;
+        }
+
+        switch (definitions[name]) {
+            case "boolean":
+                if (inlineValue !== undefined) {
+                    throw new Error(`Option --${name} does not take a value`);
+                }
+                options[name] = true;
+                break;
+
+            case "string": {
+                const value = inlineValue ?? args[++i];
+                if (value === undefined) {
+                    throw new Error(`Option --${name} requires a value`);
+                }
+                options[name] = value;
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown option --${name}`);
+        }
+    }
+
+    return { positionals, options };
+}
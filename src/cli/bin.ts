@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+import { openSync } from "node:fs";
+import MDBReader from "../MDBReader.js";
+import { createFileDescriptorPageSource } from "../page-source/index.js";
+import { runCLI } from "./index.js";
+
+// Stop writing when the reading end of a pipe is closed, e.g. by `head`
+process.stdout.on("error", (error: NodeJS.ErrnoException) => {
+    if (error.code === "EPIPE") {
+        process.exit(0);
+    }
+    throw error;
+});
+
+process.exitCode = await runCLI(process.argv.slice(2), {
+    // Pages are read on demand so that large databases are not loaded into memory
+    openDatabase: (path, options) => new MDBReader(createFileDescriptorPageSource(openSync(path, "r")), options),
+    write: (chunk) =>
+        new Promise((resolve) => {
+            if (process.stdout.write(chunk)) {
+                resolve();
+            } else {
+                process.stdout.once("drain", resolve);
+            }
+        }),
+    writeError: (chunk) => process.stderr.write(chunk),
+});
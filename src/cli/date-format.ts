@@ -0,0 +1,61 @@
+export const DEFAULT_DATE_FORMAT = "%Y-%m-%d %H:%M:%S";
+
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date with a subset of the `strftime` directives: `%Y`, `%y`, `%m`, `%d`, `%H`, `%I`, `%M`, `%S`, `%L`
+ * (milliseconds), `%p`, `%j`, `%F`, `%T` and `%%`. `iso` formats the date like `Date.toISOString()`.
+ *
+ * The UTC fields of the date are used as they contain the stored values.
+ */
+export function formatDate(date: Date, format: string): string {
+    if (format === "iso") {
+        return date.toISOString();
+    }
+
+    return format.replace(/%(.?)/g, (_match, directive: string) => {
+        switch (directive) {
+            case "Y":
+                return String(date.getUTCFullYear());
+            case "y":
+                return pad(date.getUTCFullYear() % 100, 2);
+            case "m":
+                return pad(date.getUTCMonth() + 1, 2);
+            case "d":
+                return pad(date.getUTCDate(), 2);
+            case "H":
+                return pad(date.getUTCHours(), 2);
+            case "I":
+                return pad(date.getUTCHours() % 12 || 12, 2);
+            case "M":
+                return pad(date.getUTCMinutes(), 2);
+            case "S":
+                return pad(date.getUTCSeconds(), 2);
+            case "L":
+                return pad(date.getUTCMilliseconds(), 3);
+            case "p":
+                return date.getUTCHours() < 12 ? "AM" : "PM";
+            case "j":
+                return pad(getDayOfYear(date), 3);
+            case "F":
+                return formatDate(date, "%Y-%m-%d");
+            case "T":
+                return formatDate(date, "%H:%M:%S");
+            case "%":
+                return "%";
+            default:
+                throw new Error(`Unsupported date format directive %${directive}`);
+        }
+    });
+}
+
+function pad(value: number, length: number): string {
+    return String(value).padStart(length, "0");
+}
+
+function getDayOfYear(date: Date): number {
+    // `Date.UTC()` maps the years 0 - 99 to 1900 - 1999
+    const startOfYear = new Date(0);
+    startOfYear.setUTCFullYear(date.getUTCFullYear(), 0, 1);
+    return Math.floor((date.getTime() - startOfYear.getTime()) / DAY_IN_MILLISECONDS) + 1;
+}
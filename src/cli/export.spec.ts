@@ -0,0 +1,86 @@
+import { expect } from "chai";
+import { parseArgs } from "./args.js";
+import { formatDate } from "./date-format.js";
+import { type ExportOptions, exportRows } from "./export.js";
+
+const options: ExportOptions = {
+    format: "csv",
+    delimiter: ",",
+    quote: '"',
+    quoting: "minimal",
+    header: true,
+    dateFormat: "%Y-%m-%d",
+    nullText: "",
+};
+
+const rows = [
+    { id: 1, text: 'say "hi", bye', date: new Date("2020-01-31T12:34:56.789Z"), empty: "", missing: null },
+    { id: 2n, text: "line\nbreak", date: null, empty: Buffer.from("abc"), missing: [{ value: "a" }] },
+];
+
+function runExport(exportOptions: Partial<ExportOptions>): string {
+    return [...exportRows(["id", "text", "date", "empty", "missing"], rows, { ...options, ...exportOptions })].join("");
+}
+
+describe("cli", () => {
+    describe("exportRows()", () => {
+        it("csv", () => {
+            expect(runExport({})).to.eq(
+                [
+                    "id,text,date,empty,missing",
+                    '1,"say ""hi"", bye",2020-01-31,"",',
+                    '2,"line\nbreak",,YWJj,"[{""value"":""a""}]"',
+                    "",
+                ].join("\n")
+            );
+        });
+
+        it("csv with options", () => {
+            expect(runExport({ quoting: "all", quote: "'", delimiter: ";", nullText: "NULL", header: false })).to.eq(
+                [
+                    "'1';'say \"hi\", bye';'2020-01-31';'';NULL",
+                    "'2';'line\nbreak';NULL;'YWJj';'[{\"value\":\"a\"}]'",
+                    "",
+                ].join("\n")
+            );
+            expect(runExport({ format: "tsv", delimiter: "\t", quoting: "none", header: false })).to.eq(
+                ['1\tsay "hi", bye\t2020-01-31\t\t', '2\tline\nbreak\t\tYWJj\t[{"value":"a"}]', ""].join("\n")
+            );
+        });
+
+        it("ndjson and json", () => {
+            const first = '{"id":1,"text":"say \\"hi\\", bye","date":"2020-01-31","empty":"","missing":null}';
+            const second = '{"id":"2","text":"line\\nbreak","date":null,"empty":"YWJj","missing":[{"value":"a"}]}';
+            expect(runExport({ format: "ndjson" })).to.eq(`${first}\n${second}\n`);
+            expect(runExport({ format: "json" })).to.eq(`[\n${first},\n${second}\n]\n`);
+            expect([...exportRows(["id"], [], { ...options, format: "json" })].join("")).to.eq("[]\n");
+        });
+    });
+
+    it("formatDate()", () => {
+        const date = new Date("2020-02-03T14:05:06.007Z");
+        expect(formatDate(date, "%Y-%m-%d %H:%M:%S")).to.eq("2020-02-03 14:05:06");
+        expect(formatDate(date, "%d/%m/%y %I:%M %p %L %j %%")).to.eq("03/02/20 02:05 PM 007 034 %");
+        expect(formatDate(date, "%F %T")).to.eq("2020-02-03 14:05:06");
+        expect(formatDate(date, "iso")).to.eq("2020-02-03T14:05:06.007Z");
+        expect(() => formatDate(date, "%Q")).to.throw("Unsupported date format directive %Q");
+    });
+
+    it("parseArgs()", () => {
+        expect(
+            parseArgs(["a.mdb", "--format", "tsv", "--no-header", "--null=NULL", "--", "--table"], {
+                format: "string",
+                header: "boolean",
+                null: "string",
+            })
+        ).to.deep.eq({
+            positionals: ["a.mdb", "--table"],
+            options: { format: "tsv", header: false, null: "NULL" },
+        });
+        expect(parseArgs(["-h", "--system"], { system: "boolean" }).options).to.deep.eq({ help: true, system: true });
+
+        expect(() => parseArgs(["--unknown"], {})).to.throw("Unknown option --unknown");
+        expect(() => parseArgs(["--format"], { format: "string" })).to.throw("Option --format requires a value");
+        expect(() => parseArgs(["--system=1"], { system: "boolean" })).to.throw("Option --system does not take a value");
+    });
+});
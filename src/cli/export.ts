@@ -0,0 +1,114 @@
+import { toJSONValue } from "../json.js";
+import { formatDate } from "./date-format.js";
+
+export const EXPORT_FORMATS = ["csv", "tsv", "ndjson", "json"] as const;
+
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+/**
+ * `minimal` quotes values containing the delimiter, the quote character or line breaks and empty strings if `null`
+ * is written as empty value.
+ */
+export type Quoting = "minimal" | "all" | "none";
+
+export interface ExportOptions {
+    format: ExportFormat;
+
+    /**
+     * Delimiter between the values of csv and tsv rows
+     */
+    delimiter: string;
+
+    quote: string;
+    quoting: Quoting;
+
+    /**
+     * Whether the first row of csv and tsv contains the column names
+     */
+    header: boolean;
+
+    /**
+     * See `formatDate()`
+     */
+    dateFormat: string;
+
+    /**
+     * Text of `null` values in csv and tsv
+     */
+    nullText: string;
+}
+
+/**
+ * Converts the rows of a table to the chunks of an export. Dates are formatted with `dateFormat`, binary data is
+ * encoded as base64 and complex values are written as JSON in csv and tsv.
+ */
+export function* exportRows(
+    columns: ReadonlyArray<string>,
+    rows: Iterable<{ [column: string]: unknown }>,
+    options: ExportOptions
+): Generator<string, void, undefined> {
+    const convert = (value: unknown) => toJSONValue(value, (date) => formatDate(date, options.dateFormat));
+
+    switch (options.format) {
+        case "csv":
+        case "tsv":
+            if (options.header) {
+                yield formatDelimitedRow(columns, options);
+            }
+            for (const row of rows) {
+                yield formatDelimitedRow(
+                    columns.map((column) => toText(convert(row[column]))),
+                    options
+                );
+            }
+            break;
+
+        case "ndjson":
+            for (const row of rows) {
+                yield `${JSON.stringify(convert(row))}\n`;
+            }
+            break;
+
+        case "json": {
+            let first = true;
+            for (const row of rows) {
+                yield `${first ? "[\n" : ",\n"}${JSON.stringify(convert(row))}`;
+                first = false;
+            }
+            yield first ? "[]\n" : "\n]\n";
+            break;
+        }
+    }
+}
+
+function formatDelimitedRow(values: ReadonlyArray<string | null>, options: ExportOptions): string {
+    return `${values.map((value) => quote(value, options)).join(options.delimiter)}\n`;
+}
+
+/**
+ * Quotes inside of quoted values are escaped by doubling them
+ */
+function quote(value: string | null, { delimiter, quote, quoting, nullText }: ExportOptions): string {
+    if (value === null) {
+        return nullText;
+    }
+
+    const requiresQuotes =
+        quoting === "all" ||
+        (quoting === "minimal" &&
+            (value.includes(delimiter) ||
+                value.includes(quote) ||
+                /[\r\n]/.test(value) ||
+                (value === "" && nullText === "")));
+    if (!requiresQuotes) {
+        return value;
+    }
+    return `${quote}${value.split(quote).join(quote + quote)}${quote}`;
+}
+
+function toText(jsonValue: unknown): string | null {
+    if (jsonValue === null || jsonValue === undefined) {
+        return null;
+    }
+    return typeof jsonValue === "object" ? JSON.stringify(jsonValue) : String(jsonValue);
+}
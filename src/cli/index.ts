@@ -0,0 +1,284 @@
+import type MDBReader from "../MDBReader.js";
+import type { Options } from "../MDBReader.js";
+import { type OptionDefinitions, parseArgs } from "./args.js";
+import { DEFAULT_DATE_FORMAT, formatDate } from "./date-format.js";
+import { EXPORT_FORMATS, type ExportFormat, exportRows, type Quoting } from "./export.js";
+import { dumpSQL, type SQLDialect } from "../sql-dump/index.js";
+import { createTableStatement, SCHEMA_DIALECTS, type SchemaDialect } from "../sql-dump/schema.js";
+
+export interface CLIEnvironment {
+    /**
+     * Opens the database at the given path
+     */
+    openDatabase(path: string, options: Options): MDBReader;
+
+    /**
+     * Writes to stdout. Returning a promise defers further output until it resolves.
+     */
+    write(chunk: string): void | Promise<void>;
+
+    /**
+     * Writes to stderr
+     */
+    writeError(chunk: string): void;
+}
+
+export const USAGE = `Usage: mdb-reader <command> [options]
+
+Commands:
+  tables <file>              List the names of all tables, one per line
+    --system                 Include system tables
+    --linked                 Include linked tables
+
+  schema <file> [table...]   Print CREATE TABLE statements of all or the given tables
+    --dialect <dialect>      access, sqlite, mysql or postgres (default: access)
+
+  export <file> <table>      Print the rows of a table
+    --format <format>        csv, tsv, ndjson or json (default: csv)
+    --delimiter <delimiter>  Delimiter of csv and tsv (default: , or tab)
+    --quote <char>           Quote character of csv and tsv (default: ")
+    --quoting <quoting>      minimal, all or none (default: minimal)
+    --no-header              Omit the column names in csv and tsv
+    --null <text>            Text of null values in csv and tsv (default: empty)
+    --date-format <format>   strftime format of dates or iso (default: ${DEFAULT_DATE_FORMAT})
+
+  dump <file> [table...]     Print an SQL script creating and filling all or the given tables
+    --dialect <dialect>      sqlite, mysql or postgres (default: sqlite)
+    --batch-size <rows>      Maximum number of rows per INSERT statement (default: 100)
+
+  info <file>                Print file format, creation date, sort order and encryption
+
+Options:
+  --password <password>      Password of encrypted databases
+  -h, --help                 Show this help
+`;
+
+const GLOBAL_OPTIONS: OptionDefinitions = { password: "string", help: "boolean" };
+
+const COMMAND_OPTIONS: { [command: string]: OptionDefinitions } = {
+    tables: { system: "boolean", linked: "boolean" },
+    schema: { dialect: "string" },
+    export: {
+        format: "string",
+        delimiter: "string",
+        quote: "string",
+        quoting: "string",
+        header: "boolean",
+        null: "string",
+        "date-format": "string",
+    },
+    dump: { dialect: "string", "batch-size": "string" },
+    info: {},
+};
+
+/**
+ * Maximum length of the chunks passed to `write()` by `export` and `dump`
+ */
+const EXPORT_CHUNK_LENGTH = 64 * 1024;
+
+/**
+ * Runs the `mdb-reader` command line tool. Errors are written to stderr.
+ *
+ * @param args Command line arguments without the node executable and script
+ * @returns Exit code
+ */
+export async function runCLI(args: ReadonlyArray<string>, environment: CLIEnvironment): Promise<number> {
+    try {
+        const [command, ...commandArgs] = args;
+        if (command === undefined || command === "help" || command === "--help" || command === "-h") {
+            await environment.write(USAGE);
+            return 0;
+        }
+
+        const commandOptions = COMMAND_OPTIONS[command];
+        if (commandOptions === undefined) {
+            throw new Error(`Unknown command ${command}`);
+        }
+
+        const { positionals, options } = parseArgs(commandArgs, { ...GLOBAL_OPTIONS, ...commandOptions });
+        if (options["help"] === true) {
+            await environment.write(USAGE);
+            return 0;
+        }
+
+        const [path, ...names] = positionals;
+        if (path === undefined) {
+            throw new Error("Missing database file");
+        }
+        const reader = environment.openDatabase(path, { password: getString(options, "password") });
+
+        switch (command) {
+            case "tables":
+                await writeTables(reader, names, options, environment);
+                break;
+            case "schema":
+                await writeSchema(reader, names, options, environment);
+                break;
+            case "export":
+                await writeExport(reader, names, options, environment);
+                break;
+            case "dump":
+                await writeDump(reader, names, options, environment);
+                break;
+            case "info":
+                await writeInfo(reader, names, environment);
+                break;
+        }
+        return 0;
+    } catch (e) {
+        environment.writeError(`mdb-reader: ${e instanceof Error ? e.message : String(e)}\n`);
+        return 1;
+    }
+}
+
+async function writeTables(
+    reader: MDBReader,
+    args: ReadonlyArray<string>,
+    options: { [name: string]: string | boolean },
+    environment: CLIEnvironment
+): Promise<void> {
+    assertNoArguments(args);
+
+    const tableNames = reader.getTableNames({
+        systemTables: options["system"] === true,
+        linkedTables: options["linked"] === true,
+    });
+    await environment.write(tableNames.map((name) => `${name}\n`).join(""));
+}
+
+async function writeSchema(
+    reader: MDBReader,
+    tableNames: ReadonlyArray<string>,
+    options: { [name: string]: string | boolean },
+    environment: CLIEnvironment
+): Promise<void> {
+    const dialect = getChoice<SchemaDialect>(options, "dialect", SCHEMA_DIALECTS, "access");
+    const bytesPerCharacter = reader.getFileFormat() === "Jet3" ? 1 : 2;
+
+    const statements = (tableNames.length > 0 ? tableNames : reader.getTableNames()).map((name) => {
+        const table = reader.getTable(name);
+        return createTableStatement(
+            { name, columns: table.getColumns(), indexes: table.getIndexes() },
+            dialect,
+            bytesPerCharacter
+        );
+    });
+    await environment.write(statements.join("\n"));
+}
+
+async function writeExport(
+    reader: MDBReader,
+    args: ReadonlyArray<string>,
+    options: { [name: string]: string | boolean },
+    environment: CLIEnvironment
+): Promise<void> {
+    const [tableName, ...rest] = args;
+    if (tableName === undefined) {
+        throw new Error("Missing table name");
+    }
+    assertNoArguments(rest);
+
+    const format = getChoice<ExportFormat>(options, "format", EXPORT_FORMATS, "csv");
+    const delimiter = unescape(getString(options, "delimiter") ?? (format === "tsv" ? "\t" : ","));
+    const quote = getString(options, "quote") ?? '"';
+    if (delimiter === "") {
+        throw new Error("Delimiter must not be empty");
+    }
+    if (quote.length !== 1) {
+        throw new Error("Quote must be a single character");
+    }
+
+    const table = reader.getTable(tableName);
+    const chunks = exportRows(table.getColumnNames(), table.rows(), {
+        format,
+        delimiter,
+        quote,
+        quoting: getChoice<Quoting>(options, "quoting", ["minimal", "all", "none"], "minimal"),
+        header: options["header"] !== false,
+        dateFormat: getString(options, "date-format") ?? DEFAULT_DATE_FORMAT,
+        nullText: getString(options, "null") ?? "",
+    });
+    await writeChunks(chunks, environment);
+}
+
+async function writeDump(
+    reader: MDBReader,
+    tableNames: ReadonlyArray<string>,
+    options: { [name: string]: string | boolean },
+    environment: CLIEnvironment
+): Promise<void> {
+    const batchSize = getString(options, "batch-size");
+    if (batchSize !== undefined && !/^[1-9][0-9]*$/.test(batchSize)) {
+        throw new Error(`Invalid --batch-size ${batchSize}. Expected a positive integer`);
+    }
+
+    const chunks = dumpSQL(reader, {
+        dialect: getChoice<SQLDialect>(options, "dialect", ["sqlite", "mysql", "postgres"], "sqlite"),
+        tables: tableNames.length > 0 ? tableNames : undefined,
+        batchSize: batchSize !== undefined ? Number(batchSize) : undefined,
+    });
+    await writeChunks(chunks, environment);
+}
+
+/**
+ * Combines small chunks to reduce the number of writes
+ */
+async function writeChunks(chunks: Iterable<string>, environment: CLIEnvironment): Promise<void> {
+    let buffer = "";
+    for (const chunk of chunks) {
+        buffer += chunk;
+        if (buffer.length >= EXPORT_CHUNK_LENGTH) {
+            await environment.write(buffer);
+            buffer = "";
+        }
+    }
+    if (buffer !== "") {
+        await environment.write(buffer);
+    }
+}
+
+async function writeInfo(reader: MDBReader, args: ReadonlyArray<string>, environment: CLIEnvironment): Promise<void> {
+    assertNoArguments(args);
+
+    const creationDate = reader.getCreationDate();
+    const sortOrder = reader.getDefaultSortOrder();
+    const lines = [
+        `File format: ${reader.getFileFormat()}`,
+        `Creation date: ${creationDate !== null ? formatDate(creationDate, DEFAULT_DATE_FORMAT) : "unknown"}`,
+        `Sort order: ${sortOrder.value} (version ${sortOrder.version})`,
+        `Code page: ${reader.getCodePage()}`,
+        `Encryption: ${reader.getEncryptionType()}`,
+    ];
+    await environment.write(lines.map((line) => `${line}\n`).join(""));
+}
+
+function assertNoArguments(args: ReadonlyArray<string>): void {
+    if (args.length > 0) {
+        throw new Error(`Unexpected argument ${args[0]}`);
+    }
+}
+
+function getString(options: { [name: string]: string | boolean }, name: string): string | undefined {
+    const value = options[name];
+    return typeof value === "string" ? value : undefined;
+}
+
+function getChoice<T extends string>(
+    options: { [name: string]: string | boolean },
+    name: string,
+    choices: ReadonlyArray<T>,
+    defaultValue: T
+): T {
+    const value = getString(options, name) ?? defaultValue;
+    if (!(choices as ReadonlyArray<string>).includes(value)) {
+        throw new Error(`Invalid --${name} ${value}. Expected one of ${choices.join(", ")}`);
+    }
+    return value as T;
+}
+
+/**
+ * Allows passing a tab as `\t`
+ */
+function unescape(value: string): string {
+    return value === "\\t" ? "\t" : value;
+}
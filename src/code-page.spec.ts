@@ -0,0 +1,21 @@
+import { expect } from "chai";
+import forEach from "mocha-each";
+import { getCodePage } from "./code-page.js";
+
+describe("getCodePage", () => {
+    forEach([
+        [1033, 1252], // English
+        [1031, 1252], // German
+        [1049, 1251], // Russian
+        [1032, 1253], // Greek
+        [1045, 1250], // Polish
+        [1037, 1255], // Hebrew
+        [1041, 932], // Japanese
+        [2052, 936], // Chinese (PRC)
+        [1028, 950], // Chinese (Taiwan)
+        [3076, 950], // Chinese (Hong Kong)
+        [1042, 949], // Korean
+    ]).it("%d => %d", (value, codePage) => {
+        expect(getCodePage({ value })).to.eq(codePage);
+    });
+});
@@ -0,0 +1,56 @@
+import type { SortOrder } from "./types.js";
+
+export const DEFAULT_CODE_PAGE = 1252;
+
+/**
+ * Windows code pages by primary language id of the locale
+ *
+ * @see https://learn.microsoft.com/en-us/windows/win32/intl/code-page-identifiers
+ */
+const CODE_PAGES_BY_LANGUAGE: { readonly [languageId: number]: number } = {
+    0x01: 1256, // Arabic
+    0x02: 1251, // Bulgarian
+    0x05: 1250, // Czech
+    0x08: 1253, // Greek
+    0x0d: 1255, // Hebrew
+    0x0e: 1250, // Hungarian
+    0x11: 932, // Japanese
+    0x12: 949, // Korean
+    0x15: 1250, // Polish
+    0x18: 1250, // Romanian
+    0x19: 1251, // Russian
+    0x1a: 1250, // Croatian
+    0x1b: 1250, // Slovak
+    0x1c: 1250, // Albanian
+    0x1e: 874, // Thai
+    0x1f: 1254, // Turkish
+    0x20: 1256, // Urdu
+    0x22: 1251, // Ukrainian
+    0x23: 1251, // Belarusian
+    0x24: 1250, // Slovenian
+    0x25: 1257, // Estonian
+    0x26: 1257, // Latvian
+    0x27: 1257, // Lithuanian
+    0x29: 1256, // Farsi
+    0x2a: 1258, // Vietnamese
+    0x2f: 1251, // Macedonian
+};
+
+const LANGUAGE_CHINESE = 0x04;
+const CHINESE_SIMPLIFIED_LOCALES = [0x0804, 0x1004]; // PRC, Singapore
+const CODE_PAGE_CHINESE_SIMPLIFIED = 936;
+const CODE_PAGE_CHINESE_TRADITIONAL = 950;
+
+/**
+ * Returns the code page of text in Jet3 databases. The sort order value is the locale id the database was created with.
+ */
+export function getCodePage(sortOrder: Pick<SortOrder, "value">): number {
+    const locale = sortOrder.value;
+    const languageId = locale & 0x3ff;
+
+    if (languageId === LANGUAGE_CHINESE) {
+        return CHINESE_SIMPLIFIED_LOCALES.includes(locale) ? CODE_PAGE_CHINESE_SIMPLIFIED : CODE_PAGE_CHINESE_TRADITIONAL;
+    }
+
+    return CODE_PAGES_BY_LANGUAGE[languageId] ?? DEFAULT_CODE_PAGE;
+}
@@ -3,6 +3,7 @@ import { getJetFormat } from "../JetFormat/index.js";
 import { CodecType } from "../JetFormat/types.js";
 import { createIdentityHandler } from "./handlers/identity.js";
 import { createJetCodecHandler } from "./handlers/jet.js";
+import { createMSISAMCodecHandler } from "./handlers/msisam.js";
 import { createOfficeCodecHandler } from "./handlers/office/index.js";
 
 export function createCodecHandler(databaseDefinitionPage: Buffer, password: string): CodecHandler {
@@ -11,6 +12,9 @@ export function createCodecHandler(databaseDefinitionPage: Buffer, password: str
         case CodecType.JET:
             return createJetCodecHandler(databaseDefinitionPage);
 
+        case CodecType.MSISAM:
+            return createMSISAMCodecHandler(databaseDefinitionPage, password);
+
         case CodecType.OFFICE:
             return createOfficeCodecHandler(databaseDefinitionPage, password);
 
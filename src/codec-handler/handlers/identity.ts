@@ -2,6 +2,7 @@ import type { CodecHandler } from "../types.js";
 
 export function createIdentityHandler(): CodecHandler {
     return {
+        encryptionType: "none",
         decryptPage: (b) => b,
         verifyPassword: () => true,
     };
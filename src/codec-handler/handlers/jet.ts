@@ -21,6 +21,7 @@ export function createJetCodecHandler(databaseDefinitionPage: Buffer): CodecHand
     };
 
     return {
+        encryptionType: "jet",
         decryptPage,
         verifyPassword: () => true, // TODO
     };
@@ -0,0 +1,27 @@
+import { expect } from "chai";
+import { getOldEncodingKey } from "./msisam.js";
+
+describe("getOldEncodingKey", () => {
+    function createHeader(password: string): Buffer {
+        const header = Buffer.alloc(0x100);
+        header.write("MSISAM Database", 0x04, "latin1");
+        header.writeDoubleLE(44000.5, 0x72);
+
+        const mask = Buffer.alloc(4);
+        mask.writeInt32LE(44000);
+        const passwordBuffer = Buffer.alloc(0x28);
+        passwordBuffer.write(password, "utf16le");
+        for (let i = 0; i < passwordBuffer.length; ++i) {
+            header[0x42 + i] = passwordBuffer[i]! ^ mask[i % 4]!;
+        }
+        return header;
+    }
+
+    it("without password", () => {
+        expect(getOldEncodingKey(createHeader(""))).to.deep.eq(Buffer.from("e7091300", "hex"));
+    });
+
+    it("with password", () => {
+        expect(getOldEncodingKey(createHeader("Secret"))).to.deep.eq(Buffer.from("b2031300", "hex"));
+    });
+});
@@ -0,0 +1,122 @@
+import type { CodecHandler } from "../index.js";
+import { createRC4Decrypter, decryptRC4, hash } from "../../crypto/index.js";
+import { fixBufferLength, isEmptyBuffer } from "../../util.js";
+import type { DecryptPage } from "../types.js";
+import { getPageEncodingKey } from "../util.js";
+
+// https://github.com/jahlborn/jackcessencrypt/blob/7a6003d9923f793deefa8efc0d7932970347949e/src/main/java/com/healthmarketscience/jackcess/crypt/impl/MSISAMCryptCodecHandler.java
+
+const SALT_OFFSET = 0x72;
+const SALT_SIZE = 8;
+const BASE_SALT_SIZE = 4;
+const ENCRYPTION_FLAGS_OFFSET = 0x298;
+const CRYPT_CHECK_START = 0x2e9;
+const CRYPT_CHECK_SIZE = 4;
+
+const PASSWORD_SIZE = 0x28;
+const PASSWORD_DIGEST_SIZE = 0x10;
+
+const PASSWORD_OFFSET = 0x42;
+const ENCODING_KEY_SIZE = 4;
+const ENGINE_NAME_OFFSET = 0x04;
+const ENGINE_NAME_SIZE = 15;
+
+/**
+ * Modern encryption using hashing
+ */
+const NEW_ENCRYPTION = 0x06;
+const USE_SHA1 = 0x20;
+
+/**
+ * Old style encryption only encrypts the first pages
+ */
+const MAX_ENCRYPTED_PAGE = 0x0e;
+
+export function createMSISAMCodecHandler(databaseDefinitionPage: Buffer, password: string): CodecHandler {
+    const flags = databaseDefinitionPage.readUInt8(ENCRYPTION_FLAGS_OFFSET);
+    if ((flags & NEW_ENCRYPTION) === 0) {
+        return createOldMSISAMCodecHandler(databaseDefinitionPage);
+    }
+
+    const salt = databaseDefinitionPage.slice(SALT_OFFSET, SALT_OFFSET + SALT_SIZE);
+    const baseSalt = salt.slice(0, BASE_SALT_SIZE);
+    const passwordDigest = createPasswordDigest(password, (flags & USE_SHA1) !== 0 ? "sha1" : "md5");
+
+    const decryptPage: DecryptPage = (pageBuffer, pageIndex) => {
+        const pageKey = Buffer.concat([passwordDigest, getPageEncodingKey(baseSalt, pageIndex)]);
+        return decryptRC4(pageKey, pageBuffer);
+    };
+
+    return {
+        encryptionType: "msisam",
+        decryptPage,
+        verifyPassword: () => {
+            const cryptCheckOffset = CRYPT_CHECK_START + salt.readUInt8(0);
+            const encryptedCheck = databaseDefinitionPage.slice(cryptCheckOffset, cryptCheckOffset + CRYPT_CHECK_SIZE);
+            if (isEmptyBuffer(encryptedCheck)) {
+                // no password
+                return true;
+            }
+
+            const decryptedCheck = createRC4Decrypter(Buffer.concat([passwordDigest, salt]))(encryptedCheck);
+            return decryptedCheck.equals(baseSalt);
+        },
+    };
+}
+
+/**
+ * The password is upper cased, padded to a fixed length and hashed
+ */
+function createPasswordDigest(password: string, algorithm: "md5" | "sha1"): Buffer {
+    const passwordBuffer = fixBufferLength(Buffer.from(password.toUpperCase(), "ucs-2"), PASSWORD_SIZE);
+    return hash(algorithm, [passwordBuffer], PASSWORD_DIGEST_SIZE);
+}
+
+/**
+ * Old databases use Jet style encryption of the first pages with a key derived from the salt and the stored password
+ */
+function createOldMSISAMCodecHandler(databaseDefinitionPage: Buffer): CodecHandler {
+    const encodingKey = getOldEncodingKey(databaseDefinitionPage);
+
+    const decryptPage: DecryptPage = (pageBuffer, pageIndex) => {
+        if (pageIndex > MAX_ENCRYPTED_PAGE) {
+            return pageBuffer;
+        }
+        return decryptRC4(getPageEncodingKey(encodingKey, pageIndex), pageBuffer);
+    };
+
+    return {
+        encryptionType: "msisam",
+        decryptPage,
+        verifyPassword: () => true,
+    };
+}
+
+/**
+ * The low bytes of the unmasked password characters and the engine name are hashed into the salt
+ *
+ * @param databaseDefinitionPage Database definition page with decrypted header
+ */
+export function getOldEncodingKey(databaseDefinitionPage: Buffer): Buffer {
+    const salt = Buffer.from(databaseDefinitionPage.slice(SALT_OFFSET, SALT_OFFSET + ENCODING_KEY_SIZE));
+
+    // the stored password is masked with the creation date which starts at the salt
+    const mask = Buffer.alloc(4);
+    mask.writeInt32LE(Math.floor(databaseDefinitionPage.readDoubleLE(SALT_OFFSET)));
+    const passwordKey = Buffer.alloc(PASSWORD_SIZE / 2);
+    for (let i = 0; i < passwordKey.length; ++i) {
+        passwordKey[i] = databaseDefinitionPage[PASSWORD_OFFSET + i * 2]! ^ mask[(i * 2) % mask.length]!;
+    }
+
+    hashSalt(salt, passwordKey);
+    hashSalt(salt, databaseDefinitionPage.slice(ENGINE_NAME_OFFSET, ENGINE_NAME_OFFSET + ENGINE_NAME_SIZE));
+    return salt;
+}
+
+function hashSalt(salt: Buffer, data: Buffer): void {
+    let value = salt.readUInt32LE();
+    for (let i = 0; i < data.length; ++i) {
+        value = (value ^ (data[i]! << i % 24)) >>> 0;
+    }
+    salt.writeUInt32LE(value);
+}
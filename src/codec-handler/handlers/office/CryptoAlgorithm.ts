@@ -20,7 +20,7 @@ const RC4: CryptoAlgorithm = {
 };
 
 const AES_128: CryptoAlgorithm = {
-    id: 0x6801,
+    id: 0x660e,
     encryptionVerifierHashLength: 32,
     keySizeMin: 0x80,
     keySizeMax: 0x80,
@@ -1,8 +1,7 @@
 import type { CryptoAlgorithm } from "./CryptoAlgorithm.js";
 
-// are those the same values for ECMA Standard?
-const SALT_SIZE_OFFSET = 138;
-const SALT_OFFSET = 142;
+const SALT_SIZE_OFFSET = 0;
+const SALT_OFFSET = 4;
 
 const ENC_VERIFIER_SIZE = 16;
 const SALT_SIZE = 16;
@@ -15,22 +14,25 @@ export interface EncryptionVerifier {
     readonly encryptionVerifierHash: Buffer;
 }
 
-export function parseEncryptionVerifier(encryptionProvider: Buffer, cryptoAlgorithm: CryptoAlgorithm): EncryptionVerifier {
-    const saltSize = encryptionProvider.readInt32LE(SALT_SIZE_OFFSET);
+/**
+ * @param buffer Encryption provider starting after the encryption header
+ */
+export function parseEncryptionVerifier(buffer: Buffer, cryptoAlgorithm: CryptoAlgorithm): EncryptionVerifier {
+    const saltSize = buffer.readInt32LE(SALT_SIZE_OFFSET);
 
     if (saltSize !== SALT_SIZE) {
         throw new Error("Wrong salt size");
     }
 
-    const salt = encryptionProvider.slice(SALT_OFFSET, SALT_OFFSET + SALT_SIZE);
+    const salt = buffer.slice(SALT_OFFSET, SALT_OFFSET + SALT_SIZE);
 
     const encryptionVerifierOffset = SALT_OFFSET + SALT_SIZE;
     const verifierHashSizeOffset = encryptionVerifierOffset + ENC_VERIFIER_SIZE;
     const verifierHashOffset = verifierHashSizeOffset + 4;
 
-    const encryptionVerifier = encryptionProvider.slice(encryptionVerifierOffset, verifierHashSizeOffset);
-    const encryptionVerifierHashSize = encryptionProvider.readInt32LE(verifierHashSizeOffset);
-    const encryptionVerifierHash = encryptionProvider.slice(
+    const encryptionVerifier = buffer.slice(encryptionVerifierOffset, verifierHashSizeOffset);
+    const encryptionVerifierHashSize = buffer.readInt32LE(verifierHashSizeOffset);
+    const encryptionVerifierHash = buffer.slice(
         verifierHashOffset,
         verifierHashOffset + cryptoAlgorithm.encryptionVerifierHashLength
     );
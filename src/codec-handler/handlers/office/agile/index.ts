@@ -37,6 +37,7 @@ export function createAgileCodecHandler(encodingKey: Buffer, encryptionProvider:
     };
 
     return {
+        encryptionType: "office-agile",
         decryptPage,
         verifyPassword,
     };
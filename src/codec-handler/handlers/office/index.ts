@@ -2,7 +2,9 @@ import { isEmptyBuffer } from "../../../util.js";
 import { createIdentityHandler } from "../identity.js";
 import { createAgileCodecHandler } from "./agile/index.js";
 import { EncryptionHeaderFlags, isFlagSet } from "./EncryptionHeader.js";
+import { createRC4CodecHandler } from "./rc4.js";
 import { createRC4CryptoAPICodecHandler } from "./rc4-cryptoapi.js";
+import { createStandardCodecHandler } from "./standard.js";
 import type { CodecHandler } from "../../types.js";
 
 const MAX_PASSWORD_LENGTH = 255;
@@ -46,7 +48,7 @@ export function createOfficeCodecHandler(databaseDefinitionPage: Buffer, passwor
             if (isFlagSet(flags, EncryptionHeaderFlags.FCRYPTO_API_FLAG)) {
                 if (isFlagSet(flags, EncryptionHeaderFlags.FAES_FLAG)) {
                     // Standard Encryption
-                    throw new Error("Not implemented yet");
+                    return createStandardCodecHandler(encodingKey, encryptionProviderBuffer, passwordBuffer);
                 } else {
                     try {
                         // RC4 CryptoAPI Encryption
@@ -64,7 +66,7 @@ export function createOfficeCodecHandler(databaseDefinitionPage: Buffer, passwor
 
         case "1.1":
             // RC4 Encryption: 1.1
-            throw new Error("Not implemented yet");
+            return createRC4CodecHandler(encodingKey, encryptionProviderBuffer, passwordBuffer);
 
         default:
             throw new Error(`Unsupported encryption provider: ${version}`);
@@ -19,7 +19,10 @@ export function createRC4CryptoAPICodecHandler(
     const headerBuffer = encryptionProvider.slice(12, 12 + headerLength);
 
     const encryptionHeader = parseEncryptionHeader(headerBuffer, VALID_CRYPTO_ALGORITHMS, VALID_HASH_ALGORITHMS);
-    const encryptionVerifier = parseEncryptionVerifier(encryptionProvider, encryptionHeader.cryptoAlgorithm);
+    const encryptionVerifier = parseEncryptionVerifier(
+        encryptionProvider.slice(12 + headerLength),
+        encryptionHeader.cryptoAlgorithm
+    );
 
     const baseHash = hash("sha1", [encryptionVerifier.salt, password]);
 
@@ -29,6 +32,7 @@ export function createRC4CryptoAPICodecHandler(
         return decryptRC4(encryptionKey, pageBuffer);
     };
     return {
+        encryptionType: "office-rc4-cryptoapi",
         decryptPage,
         verifyPassword: () => {
             const encryptionKey = getEncryptionKey(encryptionHeader, baseHash, intToBuffer(0));
@@ -0,0 +1,74 @@
+import { blockDecrypt, hash, iterateHash } from "../../../crypto/index.js";
+import type { Cipher } from "../../../crypto/types.js";
+import { fixBufferLength, intToBuffer, roundToFullByte } from "../../../util.js";
+import type { CodecHandler, DecryptPage } from "../../types.js";
+import { getPageEncodingKey } from "../../util.js";
+import { type CryptoAlgorithm, CRYPTO_ALGORITHMS } from "./CryptoAlgorithm.js";
+import { type EncryptionHeader, parseEncryptionHeader } from "./EncryptionHeader.js";
+import { parseEncryptionVerifier } from "./EncryptionVerifier.js";
+import { type HashAlgorithm, HASH_ALGORITHMS } from "./HashAlgorithm.js";
+
+const VALID_CRYPTO_ALGORITHMS: CryptoAlgorithm[] = [
+    CRYPTO_ALGORITHMS.AES_128,
+    CRYPTO_ALGORITHMS.AES_192,
+    CRYPTO_ALGORITHMS.AES_256,
+];
+const VALID_HASH_ALGORITHMS: HashAlgorithm[] = [HASH_ALGORITHMS.SHA1];
+
+const HASH_ITERATIONS = 50000;
+const CIPHER: Cipher = { algorithm: "aes", chaining: "ChainingModeECB" };
+
+export function createStandardCodecHandler(encodingKey: Buffer, encryptionProvider: Buffer, password: Buffer): CodecHandler {
+    const headerLength = encryptionProvider.readInt32LE(8);
+    const headerBuffer = encryptionProvider.slice(12, 12 + headerLength);
+
+    const encryptionHeader = parseEncryptionHeader(headerBuffer, VALID_CRYPTO_ALGORITHMS, VALID_HASH_ALGORITHMS);
+    const encryptionVerifier = parseEncryptionVerifier(
+        encryptionProvider.slice(12 + headerLength),
+        encryptionHeader.cryptoAlgorithm
+    );
+
+    // only depends on the password, so the expensive part of the key derivation is done once
+    const iteratedHash = iterateHash("sha1", hash("sha1", [encryptionVerifier.salt, password]), HASH_ITERATIONS);
+
+    const decryptPage: DecryptPage = (pageBuffer, pageIndex) => {
+        const pageEncodingKey = getPageEncodingKey(encodingKey, pageIndex);
+        const encryptionKey = getEncryptionKey(encryptionHeader, iteratedHash, pageEncodingKey);
+        return blockDecrypt(CIPHER, encryptionKey, Buffer.alloc(0), pageBuffer);
+    };
+    return {
+        encryptionType: "office-standard",
+        decryptPage,
+        verifyPassword: () => {
+            const encryptionKey = getEncryptionKey(encryptionHeader, iteratedHash, intToBuffer(0));
+
+            const verifier = blockDecrypt(CIPHER, encryptionKey, Buffer.alloc(0), encryptionVerifier.encryptionVerifier);
+            const verifierHash = fixBufferLength(
+                blockDecrypt(CIPHER, encryptionKey, Buffer.alloc(0), encryptionVerifier.encryptionVerifierHash),
+                encryptionVerifier.encryptionVerifierHashSize
+            );
+
+            const testHash = fixBufferLength(hash("sha1", [verifier]), encryptionVerifier.encryptionVerifierHashSize);
+
+            return verifierHash.equals(testHash);
+        },
+    };
+}
+
+/**
+ * MS-OFFCRYPTO 2.3.4.7: ECMA-376 Document Encryption Key Generation (Standard Encryption)
+ */
+function getEncryptionKey(header: EncryptionHeader, iteratedHash: Buffer, data: Buffer): Buffer {
+    const finalHash = hash("sha1", [iteratedHash, data]);
+    const x1 = hash("sha1", [xorHash(finalHash, 0x36)]);
+    const x2 = hash("sha1", [xorHash(finalHash, 0x5c)]);
+    return fixBufferLength(Buffer.concat([x1, x2]), roundToFullByte(header.keySize));
+}
+
+function xorHash(finalHash: Buffer, value: number): Buffer {
+    const buffer = Buffer.alloc(64, value);
+    for (let i = 0; i < finalHash.length; ++i) {
+        buffer[i]! ^= finalHash[i]!;
+    }
+    return buffer;
+}
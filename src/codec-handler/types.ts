@@ -1,4 +1,7 @@
+import type { EncryptionType } from "../types.js";
+
 export interface CodecHandler {
+    encryptionType: EncryptionType;
     decryptPage: DecryptPage;
     verifyPassword: VerifyPassword;
 }
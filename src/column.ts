@@ -1,3 +1,4 @@
+import type { ColumnProperties } from "./properties.js";
 import { type ColumnType, ColumnTypes } from "./types.js";
 
 export interface Column {
@@ -26,15 +27,31 @@ export interface Column {
      * Only exists if type = 'numeric'
      */
     scale?: number;
+
+    /**
+     * Properties set in Access, e.g. `Description` or `DefaultValue`
+     */
+    properties: ColumnProperties;
 }
 
 /**
  * Includes internal fields that are not relevant for the user of the library.
  */
-export interface ColumnDefinition extends Column {
+export interface ColumnDefinition extends Omit<Column, "properties"> {
     index: number;
     variableIndex: number;
     fixedIndex: number;
+
+    /**
+     * Only exists if type = 'complex'. References `MSysComplexColumns.ComplexID`.
+     */
+    complexId?: number;
+
+    /**
+     * Only exists if type = 'text' or 'memo' and the format compresses text. Text of the column may be stored
+     * compressed.
+     */
+    compressedUnicode?: boolean;
 }
 
 const columnTypeMap: Record<number, ColumnType> = {
@@ -48,7 +65,7 @@ const columnTypeMap: Record<number, ColumnType> = {
     0x08: ColumnTypes.DateTime,
     0x09: ColumnTypes.Binary,
     0x0a: ColumnTypes.Text,
-    0x0b: ColumnTypes.Long,
+    0x0b: ColumnTypes.OLE,
     0x0c: ColumnTypes.Memo,
     0x0f: ColumnTypes.RepID,
     0x10: ColumnTypes.Numeric,
@@ -71,6 +88,19 @@ export function getColumnType(typeValue: number): ColumnType {
     return type;
 }
 
+/**
+ * @returns Value of the type as stored in the table definition
+ */
+export function getColumnTypeValue(type: ColumnType): number {
+    const entry = Object.entries(columnTypeMap).find(([, t]) => t === type);
+
+    if (entry === undefined) {
+        throw new Error("Unsupported column type");
+    }
+
+    return Number(entry[0]);
+}
+
 /**
  * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L481-L491
  */
@@ -82,3 +112,19 @@ export function parseColumnFlags(flags: number): Pick<Column, "fixedLength" | "n
         autoUUID: !!(flags & 0x40),
     };
 }
+
+/**
+ * Flags of columns created by Access. The updatable flag read as `nullable` is always set while columns that must not
+ * be null have the `Required` property.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/ColumnImpl.java
+ */
+export function encodeColumnFlags(column: Pick<Column, "fixedLength" | "autoLong" | "autoUUID">, system: boolean): number {
+    return (
+        (column.fixedLength ? 0x01 : 0) |
+        0x02 |
+        (column.autoLong ? 0x04 : 0) |
+        (system ? 0x10 : 0) |
+        (column.autoUUID ? 0x40 : 0)
+    );
+}
@@ -0,0 +1,88 @@
+import { type ColumnType, ColumnTypes, type Value } from "./types.js";
+
+/**
+ * Text is compared case insensitive like in Access
+ */
+const textCollator = new Intl.Collator("en-US", { sensitivity: "accent" });
+
+export function compareText(a: string, b: string): number {
+    return textCollator.compare(a, b);
+}
+
+/**
+ * Compares two decimal strings as returned for currency and numeric columns, e.g. `-3.5000`
+ */
+export function compareDecimals(a: string, b: string): number {
+    const aNegative = a.startsWith("-");
+    const bNegative = b.startsWith("-");
+    if (aNegative !== bNegative) {
+        return aNegative ? -1 : 1;
+    }
+
+    const result = compareUnsignedDecimals(aNegative ? a.slice(1) : a, bNegative ? b.slice(1) : b);
+    return aNegative ? -result : result;
+}
+
+function compareUnsignedDecimals(a: string, b: string): number {
+    const [aInteger = "", aFraction = ""] = a.split(".");
+    const [bInteger = "", bFraction = ""] = b.split(".");
+
+    const aDigits = aInteger.replace(/^0+/, "");
+    const bDigits = bInteger.replace(/^0+/, "");
+    if (aDigits.length !== bDigits.length) {
+        return aDigits.length - bDigits.length;
+    }
+
+    const fractionLength = Math.max(aFraction.length, bFraction.length);
+    return compareStrings(aDigits + aFraction.padEnd(fractionLength, "0"), bDigits + bFraction.padEnd(fractionLength, "0"));
+}
+
+function compareStrings(a: string, b: string): number {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two non-null values of a column
+ *
+ * @throws if the values cannot be compared, e.g. a string with a number
+ */
+export function compareValues(a: NonNullable<Value>, b: NonNullable<Value>, type: ColumnType): number {
+    if (typeof a === "string" && typeof b === "string") {
+        return type === ColumnTypes.Currency || type === ColumnTypes.Numeric ? compareDecimals(a, b) : compareText(a, b);
+    }
+
+    const aComparable = toComparable(a);
+    const bComparable = toComparable(b);
+    if (aComparable === null || bComparable === null) {
+        throw new Error(`Cannot compare values of type ${typeof a} and ${typeof b}`);
+    }
+
+    return aComparable < bComparable ? -1 : aComparable > bComparable ? 1 : 0;
+}
+
+function toComparable(value: NonNullable<Value>): number | bigint | null {
+    if (typeof value === "number" || typeof value === "bigint") {
+        return value;
+    }
+
+    if (typeof value === "boolean") {
+        return value ? 1 : 0;
+    }
+
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+
+    return null;
+}
+
+/**
+ * Compares two values of a column. `null` is sorted first like in Access.
+ */
+export function compareNullableValues(a: Value, b: Value, type: ColumnType): number {
+    if (a === null || b === null) {
+        return a === b ? 0 : a === null ? -1 : 1;
+    }
+
+    return compareValues(a, b, type);
+}
@@ -0,0 +1,146 @@
+import { expect } from "chai";
+import { deflateSync } from "zlib";
+import type { Column } from "./column.js";
+import {
+    type ComplexColumn,
+    ComplexColumnTypes,
+    decodeAttachmentData,
+    getComplexColumnType,
+    readComplexValue,
+} from "./complex-columns.js";
+import type { Table } from "./Table.js";
+import { type ColumnType, ColumnTypes, type Value } from "./types.js";
+
+function column(name: string, type: ColumnType): Column {
+    return { name, type, size: 0, fixedLength: false, nullable: true, autoLong: false, autoUUID: false, properties: {} };
+}
+
+function complexColumn(
+    type: ComplexColumn["type"],
+    valueColumns: Column[],
+    rows: { [column: string]: Value }[]
+): ComplexColumn {
+    const flatTable = { findByIndex: (_index: string, key: number) => rows.filter((row) => row["_fk"] === key) };
+    return {
+        type,
+        flatTable: flatTable as unknown as Table,
+        valueColumns,
+        foreignKeyColumn: "_fk",
+        foreignKeyIndex: "_fk",
+    };
+}
+
+function encodeAttachment(fileData: Buffer, compressed: boolean): Buffer {
+    const extension = Buffer.from("txt\0", "utf16le");
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(12 + extension.length, 0);
+    header.writeUInt32LE(1, 4);
+    header.writeUInt32LE(extension.length / 2, 8);
+    const content = Buffer.concat([header, extension, fileData]);
+
+    const prefix = Buffer.alloc(8);
+    prefix.writeUInt32LE(compressed ? 1 : 0, 0);
+    prefix.writeUInt32LE(content.length, 4);
+    return Buffer.concat([prefix, compressed ? deflateSync(content) : content]);
+}
+
+describe("complex columns", () => {
+    it("getComplexColumnType", () => {
+        expect(
+            getComplexColumnType([
+                column("FileURL", ColumnTypes.Memo),
+                column("FileName", ColumnTypes.Text),
+                column("FileType", ColumnTypes.Text),
+                column("FileData", ColumnTypes.OLE),
+                column("FileTimeStamp", ColumnTypes.DateTime),
+                column("FileFlags", ColumnTypes.Long),
+            ])
+        ).to.eq(ComplexColumnTypes.Attachment);
+        expect(getComplexColumnType([column("Value", ColumnTypes.Text)])).to.eq(ComplexColumnTypes.MultiValue);
+        expect(getComplexColumnType([column("Value", ColumnTypes.Memo)])).to.eq(ComplexColumnTypes.Unsupported);
+        expect(getComplexColumnType([column("Value", ColumnTypes.Memo), column("Modified", ColumnTypes.DateTime)])).to.eq(
+            ComplexColumnTypes.VersionHistory
+        );
+    });
+
+    describe("decodeAttachmentData", () => {
+        it("raw", () => {
+            expect(decodeAttachmentData(encodeAttachment(Buffer.from("hello"), false))).to.deep.eq(Buffer.from("hello"));
+        });
+
+        it("compressed", () => {
+            expect(decodeAttachmentData(encodeAttachment(Buffer.from("hello"), true))).to.deep.eq(Buffer.from("hello"));
+        });
+
+        it("throws for unknown data types", () => {
+            const encoded = encodeAttachment(Buffer.from("hello"), false);
+            encoded.writeUInt32LE(2, 0);
+            expect(() => decodeAttachmentData(encoded)).to.throw();
+        });
+    });
+
+    describe("readComplexValue", () => {
+        it("attachment", () => {
+            const timeStamp = new Date("2020-01-01T00:00:00Z");
+            const value = readComplexValue(
+                complexColumn(
+                    ComplexColumnTypes.Attachment,
+                    [],
+                    [
+                        {
+                            _fk: 1,
+                            FileName: "a.txt",
+                            FileType: "txt",
+                            FileTimeStamp: timeStamp,
+                            FileData: encodeAttachment(Buffer.from("a"), true),
+                        },
+                        { _fk: 2, FileName: "b.txt", FileType: "txt", FileTimeStamp: null, FileData: null },
+                    ]
+                ),
+                1
+            );
+
+            expect(value).to.deep.eq([{ fileName: "a.txt", fileType: "txt", timeStamp, data: Buffer.from("a") }]);
+        });
+
+        it("multi-value", () => {
+            const value = readComplexValue(
+                complexColumn(
+                    ComplexColumnTypes.MultiValue,
+                    [column("value", ColumnTypes.Text)],
+                    [
+                        { _fk: 1, value: "red" },
+                        { _fk: 2, value: "green" },
+                        { _fk: 1, value: "blue" },
+                    ]
+                ),
+                1
+            );
+
+            expect(value).to.deep.eq(["red", "blue"]);
+        });
+
+        it("version history", () => {
+            const value = readComplexValue(
+                complexColumn(
+                    ComplexColumnTypes.VersionHistory,
+                    [column("value", ColumnTypes.Memo), column("modified", ColumnTypes.DateTime)],
+                    [
+                        { _fk: 1, value: "first", modified: new Date("2020-01-01T00:00:00Z") },
+                        { _fk: 1, value: "second", modified: new Date("2021-01-01T00:00:00Z") },
+                    ]
+                ),
+                1
+            );
+
+            expect(value).to.deep.eq([
+                { value: "second", modified: new Date("2021-01-01T00:00:00Z") },
+                { value: "first", modified: new Date("2020-01-01T00:00:00Z") },
+            ]);
+        });
+
+        it("unsupported", () => {
+            expect(readComplexValue(complexColumn(ComplexColumnTypes.Unsupported, [], []), 5)).to.eq(5);
+        });
+    });
+});
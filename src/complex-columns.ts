@@ -0,0 +1,211 @@
+import type { Column } from "./column.js";
+import { inflateSync } from "./environment/index.js";
+import type { Table } from "./Table.js";
+import {
+    type Attachment,
+    type ColumnType,
+    ColumnTypes,
+    type ComplexValue,
+    type MultiValue,
+    type Value,
+    type VersionHistoryEntry,
+} from "./types.js";
+
+export const ComplexColumnTypes = {
+    Attachment: "attachment",
+    MultiValue: "multivalue",
+    VersionHistory: "versionhistory",
+    Unsupported: "unsupported",
+} as const;
+
+export type ComplexColumnType = typeof ComplexColumnTypes[keyof typeof ComplexColumnTypes];
+
+/**
+ * The values of a complex column are stored in a hidden flat table. Every row of the flat table references the id
+ * that is stored in the complex column of the owning row.
+ */
+export interface ComplexColumn {
+    type: ComplexColumnType;
+    flatTable: Table;
+
+    /**
+     * Columns of the flat table defined by the complex type, e.g. `FileName` for attachments
+     */
+    valueColumns: Column[];
+
+    /**
+     * Column of the flat table referencing the id stored in the complex column
+     */
+    foreignKeyColumn: string;
+
+    /**
+     * Index of the flat table on `foreignKeyColumn`. `null` if the flat table has to be scanned.
+     */
+    foreignKeyIndex: string | null;
+}
+
+/**
+ * Returns the complex column with the id stored in its column definition. `null` if it cannot be found.
+ */
+export type ComplexColumnResolver = (complexId: number) => ComplexColumn | null;
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/complex/MultiValueColumnInfoImpl.java
+ */
+const MULTI_VALUE_TYPES: ReadonlyArray<ColumnType> = [
+    ColumnTypes.Byte,
+    ColumnTypes.Integer,
+    ColumnTypes.Long,
+    ColumnTypes.Float,
+    ColumnTypes.Double,
+    ColumnTypes.RepID,
+    ColumnTypes.Numeric,
+    ColumnTypes.Text,
+    ColumnTypes.BigInt,
+];
+
+/**
+ * Detects the kind of complex column by the columns of its type table, e.g. `MSysComplexType_Attachment`. Additional
+ * columns are allowed.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/complex/ComplexColumnSupport.java
+ */
+export function getComplexColumnType(typeColumns: ReadonlyArray<Pick<Column, "type">>): ComplexColumnType {
+    const count = (...types: ColumnType[]) => typeColumns.filter((c) => types.includes(c.type)).length;
+
+    if (
+        count(ColumnTypes.Memo) >= 1 &&
+        count(ColumnTypes.Text) >= 2 &&
+        count(ColumnTypes.OLE) >= 1 &&
+        count(ColumnTypes.DateTime) >= 1 &&
+        count(ColumnTypes.Long) >= 1
+    ) {
+        return ComplexColumnTypes.Attachment;
+    }
+
+    if (typeColumns.length === 1 && MULTI_VALUE_TYPES.includes(typeColumns[0]!.type)) {
+        return ComplexColumnTypes.MultiValue;
+    }
+
+    if (count(ColumnTypes.Memo, ColumnTypes.OLE) >= 1 && count(ColumnTypes.DateTime) >= 1) {
+        return ComplexColumnTypes.VersionHistory;
+    }
+
+    return ComplexColumnTypes.Unsupported;
+}
+
+/**
+ * @param typeTable Table defining the complex type, e.g. `MSysComplexType_Attachment`
+ * @param flatTable Hidden table storing the values
+ */
+export function createComplexColumn(typeTable: Table, flatTable: Table): ComplexColumn {
+    const typeColumns = typeTable.getColumns();
+    const typeColumnNames = typeColumns.map((c) => c.name.toLowerCase());
+
+    const flatColumns = flatTable.getColumns();
+    const valueColumns = flatColumns.filter((c) => typeColumnNames.includes(c.name.toLowerCase()));
+    const foreignKeyColumn = flatColumns.find(
+        (c) => !typeColumnNames.includes(c.name.toLowerCase()) && c.type === ColumnTypes.Long && !c.autoLong
+    );
+    if (!foreignKeyColumn) {
+        throw new Error(`Could not find foreign key column of complex column table ${flatTable.name}`);
+    }
+
+    const foreignKeyIndex = flatTable.getIndexes().find((i) => i.columns[0]?.name === foreignKeyColumn.name);
+
+    return {
+        type: getComplexColumnType(typeColumns),
+        flatTable,
+        valueColumns,
+        foreignKeyColumn: foreignKeyColumn.name,
+        foreignKeyIndex: foreignKeyIndex?.name ?? null,
+    };
+}
+
+/**
+ * @param complexValueId Value stored in the complex column of the owning row
+ */
+export function readComplexValue(complexColumn: ComplexColumn, complexValueId: number): ComplexValue {
+    const { type, flatTable, valueColumns, foreignKeyColumn, foreignKeyIndex } = complexColumn;
+    if (type === ComplexColumnTypes.Unsupported) {
+        return complexValueId;
+    }
+
+    const columns = valueColumns.map((c) => c.name);
+    const rows =
+        foreignKeyIndex !== null
+            ? flatTable.findByIndex(foreignKeyIndex, complexValueId, { columns })
+            : flatTable
+                  .getData({ columns: [...columns, foreignKeyColumn] })
+                  .filter((row) => row[foreignKeyColumn] === complexValueId);
+
+    switch (type) {
+        case ComplexColumnTypes.Attachment:
+            return rows.map(parseAttachment);
+
+        case ComplexColumnTypes.MultiValue: {
+            const valueColumn = valueColumns[0]!.name;
+            return rows.map((row) => row[valueColumn]).filter((value): value is MultiValue => value !== null);
+        }
+
+        case ComplexColumnTypes.VersionHistory: {
+            const valueColumn = valueColumns.find((c) => c.type === ColumnTypes.Memo || c.type === ColumnTypes.OLE)!.name;
+            const modifiedColumn = valueColumns.find((c) => c.type === ColumnTypes.DateTime)!.name;
+            return rows
+                .map(
+                    (row): VersionHistoryEntry => ({
+                        value: row[valueColumn] as string,
+                        modified: row[modifiedColumn] as Date,
+                    })
+                )
+                .sort((a, b) => b.modified.getTime() - a.modified.getTime());
+        }
+    }
+}
+
+function parseAttachment(row: { [column: string]: Value }): Attachment {
+    const fileData = row["FileData"] as Buffer | null;
+    return {
+        fileName: row["FileName"] as string,
+        fileType: row["FileType"] as string,
+        timeStamp: row["FileTimeStamp"] as Date | null,
+        data: fileData === null ? Buffer.alloc(0) : decodeAttachmentData(fileData),
+    };
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/complex/AttachmentColumnInfoImpl.java
+ */
+const DATA_TYPE_RAW = 0;
+const DATA_TYPE_COMPRESSED = 1;
+
+/**
+ * Attachment data starts with its encoding and length followed by the content which is optionally compressed. The
+ * content consists of a header containing the file extension and the actual file data.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/complex/AttachmentColumnInfoImpl.java
+ */
+export function decodeAttachmentData(encoded: Buffer): Buffer {
+    if (encoded.length < 8) {
+        return encoded;
+    }
+
+    const typeFlag = encoded.readUInt32LE(0);
+    const dataLength = encoded.readUInt32LE(4);
+
+    let content: Buffer;
+    switch (typeFlag) {
+        case DATA_TYPE_RAW:
+            content = encoded.slice(8);
+            break;
+        case DATA_TYPE_COMPRESSED:
+            content = inflateSync(encoded.slice(8));
+            break;
+        default:
+            throw new Error(`Unknown attachment data type ${typeFlag}`);
+    }
+
+    content = content.slice(0, dataLength);
+    const headerLength = content.readUInt32LE(0);
+    return content.slice(headerLength);
+}
@@ -0,0 +1,165 @@
+const SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+const HEADER_SIZE = 512;
+const HEADER_DIFAT_COUNT = 109;
+const DIRECTORY_ENTRY_SIZE = 128;
+
+const END_OF_CHAIN = 0xfffffffe;
+const NO_STREAM = 0xffffffff;
+
+const ObjectTypes = {
+    Storage: 1,
+    Stream: 2,
+    Root: 5,
+} as const;
+
+interface DirectoryEntry {
+    name: string;
+    type: number;
+    leftSibling: number;
+    rightSibling: number;
+    child: number;
+    startSector: number;
+    size: number;
+}
+
+/**
+ * Whether the buffer starts with the signature of a compound file, e.g. an embedded Word document
+ */
+export function isCompoundFile(buffer: Buffer): boolean {
+    return buffer.length >= HEADER_SIZE && buffer.slice(0, SIGNATURE.length).equals(Buffer.from(SIGNATURE));
+}
+
+/**
+ * Reads the streams in the root storage of a compound file. Nested storages are skipped.
+ *
+ * Implements the parts of the Compound File Binary File Format (MS-CFB) required to read embedded objects.
+ */
+export function readCompoundFileStreams(buffer: Buffer): Map<string, Buffer> {
+    if (!isCompoundFile(buffer)) {
+        throw new Error("Invalid compound file signature");
+    }
+
+    const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+    const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+    const firstDirectorySector = buffer.readUInt32LE(0x30);
+    const miniStreamCutoff = buffer.readUInt32LE(0x38);
+    const firstMiniFatSector = buffer.readUInt32LE(0x3c);
+    const firstDifatSector = buffer.readUInt32LE(0x44);
+
+    const maxSectorCount = Math.ceil(buffer.length / sectorSize);
+    const readSector = (sector: number) => {
+        const start = (sector + 1) * sectorSize;
+        if (start >= buffer.length) {
+            throw new Error(`Compound file sector ${sector} is out of bounds`);
+        }
+        return buffer.slice(start, start + sectorSize);
+    };
+
+    // The first sectors of the FAT are listed in the header, the others in a chain of DIFAT sectors
+    const fatSectors: number[] = [];
+    for (let i = 0; i < HEADER_DIFAT_COUNT; ++i) {
+        fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+    }
+    for (
+        let sector = firstDifatSector, count = 0;
+        sector !== END_OF_CHAIN && sector !== NO_STREAM && count < maxSectorCount;
+        ++count
+    ) {
+        const difat = readSector(sector);
+        for (let offset = 0; offset < sectorSize - 4; offset += 4) {
+            fatSectors.push(difat.readUInt32LE(offset));
+        }
+        sector = difat.readUInt32LE(sectorSize - 4);
+    }
+
+    const fat: number[] = [];
+    for (const sector of fatSectors.filter((s) => s !== NO_STREAM)) {
+        const fatSector = readSector(sector);
+        for (let offset = 0; offset < sectorSize; offset += 4) {
+            fat.push(fatSector.readUInt32LE(offset));
+        }
+    }
+
+    const readChain = (table: ReadonlyArray<number>, startSector: number, read: (sector: number) => Buffer) => {
+        const sectors: Buffer[] = [];
+        for (let sector = startSector; sector !== END_OF_CHAIN && sector !== NO_STREAM; ) {
+            if (sectors.length > table.length) {
+                throw new Error("Compound file contains a cyclic sector chain");
+            }
+            sectors.push(read(sector));
+
+            const next = table[sector];
+            if (next === undefined) {
+                throw new Error(`Compound file sector ${sector} is out of bounds`);
+            }
+            sector = next;
+        }
+        return Buffer.concat(sectors);
+    };
+
+    const directory = readChain(fat, firstDirectorySector, readSector);
+    const entries: DirectoryEntry[] = [];
+    for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directory.length; offset += DIRECTORY_ENTRY_SIZE) {
+        entries.push(parseDirectoryEntry(directory.slice(offset, offset + DIRECTORY_ENTRY_SIZE)));
+    }
+
+    const root = entries[0];
+    if (root === undefined || root.type !== ObjectTypes.Root) {
+        throw new Error("Compound file has no root entry");
+    }
+
+    const miniFat: number[] = [];
+    const miniFatBuffer = readChain(fat, firstMiniFatSector, readSector);
+    for (let offset = 0; offset < miniFatBuffer.length; offset += 4) {
+        miniFat.push(miniFatBuffer.readUInt32LE(offset));
+    }
+    const miniStream = readChain(fat, root.startSector, readSector);
+    const readMiniSector = (sector: number) => {
+        const start = sector * miniSectorSize;
+        if (start >= miniStream.length) {
+            throw new Error(`Compound file mini sector ${sector} is out of bounds`);
+        }
+        return miniStream.slice(start, start + miniSectorSize);
+    };
+
+    const streams = new Map<string, Buffer>();
+    const visited = new Set<number>();
+    const addChildren = (index: number) => {
+        const entry = entries[index];
+        if (entry === undefined || visited.has(index)) {
+            return;
+        }
+        visited.add(index);
+
+        if (entry.type === ObjectTypes.Stream) {
+            const data =
+                entry.size < miniStreamCutoff
+                    ? readChain(miniFat, entry.startSector, readMiniSector)
+                    : readChain(fat, entry.startSector, readSector);
+            streams.set(entry.name, data.slice(0, entry.size));
+        }
+
+        addChildren(entry.leftSibling);
+        addChildren(entry.rightSibling);
+    };
+    addChildren(root.child);
+
+    return streams;
+}
+
+function parseDirectoryEntry(buffer: Buffer): DirectoryEntry {
+    // Length in bytes including the terminating null character
+    const nameLength = Math.min(buffer.readUInt16LE(0x40), 64);
+
+    return {
+        name: buffer.slice(0, Math.max(nameLength - 2, 0)).toString("utf16le"),
+        type: buffer.readUInt8(0x42),
+        leftSibling: buffer.readUInt32LE(0x44),
+        rightSibling: buffer.readUInt32LE(0x48),
+        child: buffer.readUInt32LE(0x4c),
+        startSector: buffer.readUInt32LE(0x74),
+        // Only the lower 32 bits are used by version 3 files
+        size: buffer.readUInt32LE(0x78),
+    };
+}
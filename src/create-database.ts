@@ -0,0 +1,537 @@
+import type { ColumnDefinition } from "./column.js";
+import { addRecord, writeDataPageHeader } from "./data-page.js";
+import { writeDateTime } from "./data/datetime.js";
+import { Database, decryptHeader, getPasswordMask, PASSWORD_OFFSET } from "./Database.js";
+import type { Index } from "./indexes.js";
+import { getJetFormat } from "./JetFormat/index.js";
+import { createBufferPageSource } from "./page-source/index.js";
+import { type ColumnProperties, writePropertyMaps } from "./properties.js";
+import { SYSTEM_OBJECT_FLAG, SysObjectTypes } from "./SysObject.js";
+import { type CreatedTable, TableCreator } from "./table-creator.js";
+import { TableWriter } from "./table-writer.js";
+import { type ColumnType, ColumnTypes, type FileFormat, type WriteRow } from "./types.js";
+import { createInlineMap } from "./usage-map.js";
+import { xor } from "./util.js";
+
+/**
+ * Formats of databases that can be created
+ */
+export type CreatableFileFormat = Exclude<FileFormat, "Jet3" | "MSISAM">;
+
+export interface DatabaseSchema {
+    /**
+     * Format of the database. `Jet4` creates an `.mdb` file of Access 2000 - 2003, the other formats `.accdb` files.
+     * Default `ACE12` (Access 2007).
+     */
+    format?: CreatableFileFormat | undefined;
+
+    /**
+     * Password Access asks for when opening the database. Up to 20 characters. The data is not encrypted.
+     *
+     * Only supported for `Jet4` as Access encrypts the data of `.accdb` files with a password.
+     */
+    password?: string | undefined;
+
+    tables: ReadonlyArray<TableSchema>;
+}
+
+export interface TableSchema {
+    /**
+     * Name of the table
+     */
+    name: string;
+
+    /**
+     * Columns in the order they appear in the table
+     */
+    columns: ReadonlyArray<ColumnSchema>;
+
+    /**
+     * Names of the columns of the primary key
+     */
+    primaryKey?: ReadonlyArray<string> | undefined;
+
+    /**
+     * Rows inserted into the table. See `WriteValue` for the values accepted by each column type.
+     */
+    rows?: ReadonlyArray<WriteRow> | undefined;
+}
+
+export interface ColumnSchema {
+    name: string;
+
+    /**
+     * All column types except `complex` are supported
+     */
+    type: ColumnType;
+
+    /**
+     * Maximum number of characters of `text` columns (1 - 255, default 255) or bytes of `binary` columns (1 - 510,
+     * default 510). Ignored for other column types.
+     */
+    size?: number | undefined;
+
+    /**
+     * Columns that are not nullable get the `Required` property. Default true.
+     */
+    nullable?: boolean | undefined;
+
+    /**
+     * Generates increasing values for `long` columns and random GUIDs for `repid` columns if no value is written.
+     * Default false.
+     */
+    autoNumber?: boolean | undefined;
+
+    /**
+     * Only used if type = 'numeric'. Default 18.
+     */
+    precision?: number | undefined;
+
+    /**
+     * Only used if type = 'numeric'. Default 0.
+     */
+    scale?: number | undefined;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/a61e2da7fe9f76614013481c27a557455f080752/src/main/java/com/healthmarketscience/jackcess/impl/JetFormat.java
+ */
+const VERSIONS: Record<CreatableFileFormat, number> = {
+    Jet4: 0x01,
+    ACE12: 0x02,
+    ACE14: 0x03,
+    ACE15: 0x04,
+    ACE16: 0x05,
+    ACE17: 0x06,
+};
+const VERSION_OFFSET = 0x14;
+const ENGINE_NAME_OFFSET = 0x04;
+const CODE_PAGE_OFFSET = 0x3c;
+const MAX_PASSWORD_LENGTH = 20;
+
+/**
+ * Page row of the usage map of all pages. It is the first row of the second page.
+ */
+const GLOBAL_USAGE_MAP_PAGE = 1;
+
+/**
+ * Pages covered by the inline map created for the global usage map
+ */
+const GLOBAL_USAGE_MAP_PAGE_COUNT = 512;
+
+/**
+ * Size of fixed length column types. `boolean` values are stored in the null mask.
+ */
+const FIXED_COLUMN_SIZES: { [type in ColumnType]?: number } = {
+    [ColumnTypes.Boolean]: 1,
+    [ColumnTypes.Byte]: 1,
+    [ColumnTypes.Integer]: 2,
+    [ColumnTypes.Long]: 4,
+    [ColumnTypes.Currency]: 8,
+    [ColumnTypes.Float]: 4,
+    [ColumnTypes.Double]: 8,
+    [ColumnTypes.DateTime]: 8,
+    [ColumnTypes.RepID]: 16,
+    [ColumnTypes.Numeric]: 17,
+    [ColumnTypes.BigInt]: 8,
+    [ColumnTypes.DateTimeExtended]: 42,
+};
+const MAX_TEXT_LENGTH = 255;
+const MAX_BINARY_SIZE = 510;
+const MAX_NUMERIC_PRECISION = 28;
+const MAX_COLUMN_COUNT = 255;
+const PRIMARY_KEY_INDEX = "PrimaryKey";
+
+/**
+ * Ids and types of the objects every database contains
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/DatabaseImpl.java
+ */
+const ROOT_CONTAINER_ID = 0x0f000000;
+const TABLES_CONTAINER_ID = 0x0f000001;
+const DATABASES_CONTAINER_ID = 0x0f000002;
+const RELATIONSHIPS_CONTAINER_ID = 0x0f000003;
+const MSYS_DB_ID = 0x10000000;
+const CONTAINER_TYPE = 0x03;
+const DATABASE_TYPE = 0x02;
+const ACCESS_CONTAINERS = ["DataAccessPages", "Forms", "Modules", "Reports", "Scripts", "SysRel"];
+
+/**
+ * Permissions of the admin user on new objects
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/DatabaseImpl.java
+ */
+const DEFAULT_SID = [0xa6, 0x33];
+const FULL_ACCESS_ACM = 1048575;
+
+interface SystemTableSchema {
+    name: string;
+    columns: ReadonlyArray<ColumnSchema>;
+    indexes: ReadonlyArray<Index>;
+}
+
+const MSYS_OBJECTS: SystemTableSchema = {
+    name: "MSysObjects",
+    columns: [
+        { name: "Id", type: ColumnTypes.Long },
+        { name: "ParentId", type: ColumnTypes.Long },
+        { name: "Name", type: ColumnTypes.Text },
+        { name: "Type", type: ColumnTypes.Integer },
+        { name: "DateCreate", type: ColumnTypes.DateTime },
+        { name: "DateUpdate", type: ColumnTypes.DateTime },
+        { name: "Owner", type: ColumnTypes.Binary },
+        { name: "Flags", type: ColumnTypes.Long },
+        { name: "Database", type: ColumnTypes.Memo },
+        { name: "Connect", type: ColumnTypes.Memo },
+        { name: "ForeignName", type: ColumnTypes.Text },
+        { name: "RmtInfoShort", type: ColumnTypes.Binary },
+        { name: "RmtInfoLong", type: ColumnTypes.OLE },
+        { name: "Lv", type: ColumnTypes.OLE },
+        { name: "LvProp", type: ColumnTypes.OLE },
+        { name: "LvModule", type: ColumnTypes.OLE },
+        { name: "LvExtra", type: ColumnTypes.OLE },
+    ],
+    indexes: [
+        createSystemIndex("ParentIdName", ["ParentId", "Name"], { unique: true }),
+        createSystemIndex("Id", ["Id"], { primaryKey: true, unique: true }),
+    ],
+};
+
+const SYSTEM_TABLES: ReadonlyArray<SystemTableSchema> = [
+    MSYS_OBJECTS,
+    {
+        name: "MSysACEs",
+        columns: [
+            { name: "ObjectId", type: ColumnTypes.Long },
+            { name: "SID", type: ColumnTypes.Binary },
+            { name: "ACM", type: ColumnTypes.Long },
+            { name: "FInheritable", type: ColumnTypes.Boolean },
+        ],
+        indexes: [createSystemIndex("ObjectId", ["ObjectId"], { required: true })],
+    },
+    {
+        name: "MSysQueries",
+        columns: [
+            { name: "ObjectId", type: ColumnTypes.Long },
+            { name: "Attribute", type: ColumnTypes.Byte },
+            { name: "Order", type: ColumnTypes.Binary },
+            { name: "Name1", type: ColumnTypes.Text },
+            { name: "Name2", type: ColumnTypes.Text },
+            { name: "Expression", type: ColumnTypes.Memo },
+            { name: "Flag", type: ColumnTypes.Integer },
+            { name: "LvExtra", type: ColumnTypes.Long },
+        ],
+        indexes: [
+            createSystemIndex("ObjectIdAttribute", ["ObjectId", "Attribute", "Order"], { primaryKey: true, unique: true }),
+        ],
+    },
+    {
+        name: "MSysRelationships",
+        columns: [
+            { name: "szRelationship", type: ColumnTypes.Text },
+            { name: "grbit", type: ColumnTypes.Long },
+            { name: "ccolumn", type: ColumnTypes.Long },
+            { name: "icolumn", type: ColumnTypes.Long },
+            { name: "szObject", type: ColumnTypes.Text },
+            { name: "szColumn", type: ColumnTypes.Text },
+            { name: "szReferencedObject", type: ColumnTypes.Text },
+            { name: "szReferencedColumn", type: ColumnTypes.Text },
+        ],
+        indexes: ["szRelationship", "szObject", "szReferencedObject"].map((column) =>
+            createSystemIndex(column, [column], { ignoreNulls: true })
+        ),
+    },
+];
+
+/**
+ * Table whose rows are inserted after all tables were created
+ */
+interface TableToFill {
+    name: string;
+    system: boolean;
+    columns: ColumnDefinition[];
+    requiredColumns: string[];
+    created: CreatedTable;
+    rows: ReadonlyArray<WriteRow>;
+}
+
+/**
+ * Creates a database file with the tables of the schema and the system tables Access requires. The rows are written
+ * like `Table.insertRows()` writes them, so the same column types and values are supported.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/DatabaseImpl.java
+ */
+export function createDatabase(schema: DatabaseSchema): Buffer {
+    const { format: fileFormat = "ACE12", password = "", tables } = schema;
+    if (!Object.keys(VERSIONS).includes(fileFormat)) {
+        throw new Error(`Creating databases of format ${fileFormat} is not supported`);
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        throw new Error(`Password is longer than ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    if (password !== "" && fileFormat !== "Jet4") {
+        throw new Error("Passwords are only supported for databases of format Jet4");
+    }
+    for (const table of tables) {
+        if ([...SYSTEM_TABLES, ...tables].filter((t) => t.name.toLowerCase() === table.name.toLowerCase()).length > 1) {
+            throw new Error(`Table ${table.name} exists more than once`);
+        }
+    }
+
+    const creationDate = new Date();
+    const databaseDefinitionPage = createDatabaseDefinitionPage(VERSIONS[fileFormat], password, creationDate);
+    const format = getJetFormat(databaseDefinitionPage);
+    const buffer = Buffer.alloc(2 * format.pageSize);
+    databaseDefinitionPage.copy(buffer);
+    writeDataPageHeader(buffer.slice(GLOBAL_USAGE_MAP_PAGE * format.pageSize), format, 0);
+
+    const database = new Database(createBufferPageSource(buffer), password);
+    database.write(() => {
+        const unusedPages = Array.from({ length: GLOBAL_USAGE_MAP_PAGE_COUNT }, (_, page) => page).filter(
+            (page) => page >= database.pageCount
+        );
+        addRecord(database, GLOBAL_USAGE_MAP_PAGE, createInlineMap(0, unusedPages));
+
+        const creator = new TableCreator(database);
+        const createTable = (
+            table: { name: string; columns: ReadonlyArray<ColumnSchema> },
+            indexes: ReadonlyArray<Index>,
+            system: boolean,
+            rows: ReadonlyArray<WriteRow>
+        ): TableToFill => {
+            const columns = createColumnDefinitions(table.name, table.columns);
+            const created = creator.createTable({ system, columns, indexes });
+            const requiredColumns = table.columns.filter((c) => c.nullable === false).map((c) => c.name);
+            return { name: table.name, system, columns, requiredColumns, created, rows };
+        };
+
+        // MSysObjects has to be the first table as it is expected on the first page after the usage map
+        const systemTables = SYSTEM_TABLES.map((table) => createTable(table, table.indexes, true, []));
+        const userTables = tables.map((table) => createTable(table, createPrimaryKey(table), false, table.rows ?? []));
+
+        const [msysObjects, msysACEs] = systemTables as [TableToFill, TableToFill];
+        const objects = createObjectRows([...systemTables, ...userTables], creationDate);
+        msysObjects.rows = objects;
+        msysACEs.rows = objects.map((object) => ({
+            ObjectId: object["Id"],
+            SID: Buffer.from(DEFAULT_SID),
+            ACM: FULL_ACCESS_ACM,
+            FInheritable: false,
+        }));
+
+        for (const table of [...systemTables, ...userTables]) {
+            new TableWriter(database, {
+                name: table.name,
+                firstDefinitionPage: table.created.firstDefinitionPage,
+                columns: table.columns,
+                indexes: table.created.indexes,
+                dataPages: [],
+                requiredColumns: table.requiredColumns,
+            }).insertRows(table.rows);
+        }
+    });
+    return database.toBuffer();
+}
+
+/**
+ * Creates the decrypted database definition page with the values Access writes
+ *
+ * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L67-L145
+ */
+function createDatabaseDefinitionPage(version: number, password: string, creationDate: Date): Buffer {
+    const pageBuffer = Buffer.alloc(4096);
+    pageBuffer.writeUInt32LE(0x100, 0);
+    pageBuffer.write(version === VERSIONS.Jet4 ? "Standard Jet DB" : "Standard ACE DB", ENGINE_NAME_OFFSET, "latin1");
+    pageBuffer[VERSION_OFFSET] = version;
+
+    const format = getJetFormat(pageBuffer);
+    const { databaseDefinitionPage, defaultSortOrder } = format;
+
+    // Unknown values of databases created by Access
+    [0x100, 0x101, 2, 3, 4, 5].forEach((value, i) => pageBuffer.writeUInt32LE(value, 0x18 + i * 4));
+    pageBuffer.writeUInt32LE(version === VERSIONS.Jet4 ? 0x21aa : 0x11a6, 0x6a);
+    pageBuffer.writeUInt32LE(0x654, 0x98);
+    pageBuffer.write("4.0", 0x9c, "latin1");
+    for (let offset = 0xe00; offset < format.pageSize; offset += 2) {
+        pageBuffer[offset + 1] = 0x01;
+    }
+
+    pageBuffer.writeUInt16LE(1252, CODE_PAGE_OFFSET);
+    pageBuffer.writeUInt16LE(defaultSortOrder.value, databaseDefinitionPage.defaultSortOrder.offset);
+    pageBuffer.writeUInt8(defaultSortOrder.version, databaseDefinitionPage.defaultSortOrder.offset + 3);
+    writeDateTime(creationDate, { name: "creation date" }).copy(pageBuffer, databaseDefinitionPage.creationDateOffset!);
+
+    const encodedPassword = Buffer.alloc(databaseDefinitionPage.passwordSize);
+    encodedPassword.write(password, "ucs2");
+    xor(encodedPassword, getPasswordMask(pageBuffer, format)!).copy(pageBuffer, PASSWORD_OFFSET);
+
+    decryptHeader(pageBuffer, format);
+    return pageBuffer;
+}
+
+/**
+ * Assigns the indices, offsets and sizes of the columns
+ */
+function createColumnDefinitions(tableName: string, columns: ReadonlyArray<ColumnSchema>): ColumnDefinition[] {
+    if (columns.length === 0 || columns.length > MAX_COLUMN_COUNT) {
+        throw new Error(`Table ${tableName} has to have between 1 and ${MAX_COLUMN_COUNT} columns`);
+    }
+    if (columns.filter((c) => c.autoNumber && c.type === ColumnTypes.Long).length > 1) {
+        throw new Error(`Table ${tableName} has more than one autonumber column`);
+    }
+
+    let variableIndex = 0;
+    let fixedIndex = 0;
+    return columns.map((column, index): ColumnDefinition => {
+        if (columns.filter((c) => c.name.toLowerCase() === column.name.toLowerCase()).length > 1) {
+            throw new Error(`Column ${column.name} exists more than once in table ${tableName}`);
+        }
+        if (column.autoNumber && column.type !== ColumnTypes.Long && column.type !== ColumnTypes.RepID) {
+            throw new Error(`Autonumber column ${column.name} has to be of type long or repid`);
+        }
+
+        const definition: ColumnDefinition = {
+            name: column.name,
+            type: column.type,
+            size: getColumnSize(column),
+            index,
+            variableIndex: 0,
+            fixedIndex: 0,
+            fixedLength: FIXED_COLUMN_SIZES[column.type] !== undefined,
+            nullable: true,
+            autoLong: column.type === ColumnTypes.Long && !!column.autoNumber,
+            autoUUID: column.type === ColumnTypes.RepID && !!column.autoNumber,
+        };
+
+        if (column.type === ColumnTypes.Numeric) {
+            definition.precision = column.precision ?? 18;
+            definition.scale = column.scale ?? 0;
+            if (definition.precision < 1 || definition.precision > MAX_NUMERIC_PRECISION) {
+                throw new Error(`Precision of column ${column.name} has to be between 1 and ${MAX_NUMERIC_PRECISION}`);
+            }
+            if (definition.scale < 0 || definition.scale > definition.precision) {
+                throw new Error(`Scale of column ${column.name} has to be between 0 and its precision`);
+            }
+        }
+        if (column.type === ColumnTypes.Text || column.type === ColumnTypes.Memo) {
+            definition.compressedUnicode = true;
+        }
+
+        if (!definition.fixedLength) {
+            definition.variableIndex = variableIndex++;
+        } else if (column.type !== ColumnTypes.Boolean) {
+            definition.fixedIndex = fixedIndex;
+            fixedIndex += definition.size;
+        }
+        return definition;
+    });
+}
+
+function getColumnSize(column: ColumnSchema): number {
+    const fixedSize = FIXED_COLUMN_SIZES[column.type];
+    if (fixedSize !== undefined) {
+        return fixedSize;
+    }
+
+    switch (column.type) {
+        case ColumnTypes.Text: {
+            const length = column.size ?? MAX_TEXT_LENGTH;
+            if (!Number.isInteger(length) || length < 1 || length > MAX_TEXT_LENGTH) {
+                throw new Error(`Size of text column ${column.name} has to be between 1 and ${MAX_TEXT_LENGTH}`);
+            }
+            return length * 2;
+        }
+        case ColumnTypes.Binary: {
+            const size = column.size ?? MAX_BINARY_SIZE;
+            if (!Number.isInteger(size) || size < 1 || size > MAX_BINARY_SIZE) {
+                throw new Error(`Size of binary column ${column.name} has to be between 1 and ${MAX_BINARY_SIZE}`);
+            }
+            return size;
+        }
+        case ColumnTypes.Memo:
+        case ColumnTypes.OLE:
+            return 0;
+        default:
+            throw new Error(`Columns of type ${column.type} cannot be created`);
+    }
+}
+
+function createPrimaryKey(table: TableSchema): Index[] {
+    if (table.primaryKey === undefined || table.primaryKey.length === 0) {
+        return [];
+    }
+
+    for (const name of table.primaryKey) {
+        if (!table.columns.some((c) => c.name === name)) {
+            throw new Error(`Could not find primary key column ${name} in table ${table.name}`);
+        }
+    }
+    return [
+        {
+            name: PRIMARY_KEY_INDEX,
+            columns: table.primaryKey.map((name) => ({ name, order: "asc" })),
+            primaryKey: true,
+            foreignKey: false,
+            unique: true,
+            ignoreNulls: false,
+            required: true,
+        },
+    ];
+}
+
+function createSystemIndex(name: string, columns: ReadonlyArray<string>, flags: Partial<Index>): Index {
+    return {
+        name,
+        columns: columns.map((column) => ({ name: column, order: "asc" })),
+        primaryKey: false,
+        foreignKey: false,
+        unique: false,
+        ignoreNulls: false,
+        required: false,
+        ...flags,
+    };
+}
+
+/**
+ * Rows of `MSysObjects`: The containers of Access, the database object and the tables. The `Required` property of
+ * columns that are not nullable is stored in `LvProp`.
+ */
+function createObjectRows(tables: ReadonlyArray<TableToFill>, creationDate: Date): WriteRow[] {
+    const owner = Buffer.from(DEFAULT_SID);
+    const createRow = (id: number, parentId: number, name: string, type: number, flags: number): WriteRow => ({
+        Id: id,
+        ParentId: parentId,
+        Name: name,
+        Type: type,
+        DateCreate: creationDate,
+        DateUpdate: creationDate,
+        Owner: owner,
+        Flags: flags,
+    });
+    const systemFlags = SYSTEM_OBJECT_FLAG | 0;
+
+    return [
+        createRow(TABLES_CONTAINER_ID, ROOT_CONTAINER_ID, "Tables", CONTAINER_TYPE, systemFlags),
+        createRow(DATABASES_CONTAINER_ID, ROOT_CONTAINER_ID, "Databases", CONTAINER_TYPE, systemFlags),
+        createRow(RELATIONSHIPS_CONTAINER_ID, ROOT_CONTAINER_ID, "Relationships", CONTAINER_TYPE, systemFlags),
+        createRow(MSYS_DB_ID, DATABASES_CONTAINER_ID, "MSysDb", DATABASE_TYPE, systemFlags),
+        ...ACCESS_CONTAINERS.map((name, i) => createRow((0x80000000 + i) | 0, ROOT_CONTAINER_ID, name, CONTAINER_TYPE, 0)),
+        ...tables.map((table) => {
+            const row = createRow(
+                table.created.firstDefinitionPage,
+                TABLES_CONTAINER_ID,
+                table.name,
+                SysObjectTypes.Table,
+                table.system ? systemFlags : 0
+            );
+            if (table.requiredColumns.length === 0) {
+                return row;
+            }
+
+            const columns = new Map<string, ColumnProperties>(
+                table.requiredColumns.map((name) => [name, { Required: true }])
+            );
+            return { ...row, LvProp: writePropertyMaps({ object: {}, columns }) };
+        }),
+    ];
+}
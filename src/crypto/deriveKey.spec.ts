@@ -0,0 +1,21 @@
+import { deriveKey } from "./deriveKey.js";
+import { expect } from "chai";
+
+describe("deriveKey", () => {
+    const password = Buffer.from("password", "ucs-2");
+    const blockBytes = Buffer.from([0x14, 0x6e, 0x0b, 0xe7, 0xab, 0xac, 0xd0, 0xd6]);
+    const salt = Buffer.alloc(16, 1);
+
+    it("truncates the key to the key length", () => {
+        const key = deriveKey(password, blockBytes, "sha512", salt, 10, 32);
+        expect(key).to.have.length(32);
+        expect(key).to.deep.eq(deriveKey(password, blockBytes, "sha512", salt, 10, 64).slice(0, 32));
+    });
+
+    // MS-OFFCRYPTO 2.3.4.11: the derived key is padded with 0x36 bytes
+    it("pads keys longer than the hash with 0x36", () => {
+        const hashKey = deriveKey(password, blockBytes, "sha1", salt, 10, 20);
+        const key = deriveKey(password, blockBytes, "sha1", salt, 10, 32);
+        expect(key).to.deep.eq(Buffer.concat([hashKey, Buffer.alloc(12, 0x36)]));
+    });
+});
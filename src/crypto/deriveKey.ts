@@ -18,7 +18,7 @@ export function deriveKey(
     return fixBufferLength(finalHash, keyByteLength, 0x36);
 }
 
-function iterateHash(algorithm: string, baseBuffer: Buffer, iterations: number): Buffer {
+export function iterateHash(algorithm: string, baseBuffer: Buffer, iterations: number): Buffer {
     let iterHash = baseBuffer;
     for (let i = 0; i < iterations; ++i) {
         iterHash = hash(algorithm, [intToBuffer(i), iterHash]);
@@ -0,0 +1,19 @@
+import { hash } from "./hash.js";
+import { expect } from "chai";
+
+describe("hash", () => {
+    const md5 = Buffer.from("d41d8cd98f00b204e9800998ecf8427e", "hex");
+
+    it("returns the full digest", () => {
+        expect(hash("md5", [])).to.deep.eq(md5);
+        expect(hash("md5", [Buffer.alloc(0), Buffer.alloc(0)])).to.deep.eq(md5);
+    });
+
+    it("truncates the digest", () => {
+        expect(hash("md5", [], 5)).to.deep.eq(md5.slice(0, 5));
+    });
+
+    it("pads the digest with zeros", () => {
+        expect(hash("md5", [], 20)).to.deep.eq(Buffer.concat([md5, Buffer.alloc(4)]));
+    });
+});
@@ -0,0 +1,130 @@
+import type { Database } from "./Database.js";
+import type { JetFormat } from "./JetFormat/index.js";
+import { PageType } from "./PageType.js";
+import { allocatePage } from "./usage-map.js";
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+const FREE_SPACE_OFFSET = 2;
+const OWNER_OFFSET = 4;
+const RECORD_OFFSET_MASK = 0x1fff;
+const DELETED_RECORD_FLAGS = 0xc000;
+const MAX_RECORD_COUNT = 255;
+
+/**
+ * Owner of data pages storing the data of memo and OLE values
+ */
+export const LONG_VALUE_OWNER = "LVAL";
+
+/**
+ * Appends an empty data page to the database
+ *
+ * @param owner First page of the table definition or `LONG_VALUE_OWNER`
+ */
+export function createDataPage(database: Database, owner: number | typeof LONG_VALUE_OWNER): number {
+    const page = allocatePage(database);
+    database.modifyPage(page, (pageBuffer) => writeDataPageHeader(pageBuffer, database.format, owner));
+    return page;
+}
+
+/**
+ * Clears a page and writes the header of an empty data page
+ *
+ * @param owner First page of the table definition or `LONG_VALUE_OWNER`
+ */
+export function writeDataPageHeader(
+    pageBuffer: Buffer,
+    format: Pick<JetFormat, "pageSize" | "dataPage">,
+    owner: number | typeof LONG_VALUE_OWNER
+): void {
+    pageBuffer.fill(0);
+    pageBuffer[0] = PageType.DataPage;
+    pageBuffer[1] = 0x01;
+    pageBuffer.writeUInt16LE(format.pageSize - format.dataPage.recordCountOffset - 2, FREE_SPACE_OFFSET);
+    if (owner === LONG_VALUE_OWNER) {
+        pageBuffer.write(LONG_VALUE_OWNER, OWNER_OFFSET, "ascii");
+    } else {
+        pageBuffer.writeUInt32LE(owner, OWNER_OFFSET);
+    }
+}
+
+/**
+ * Checks whether a record fits on a data page
+ */
+export function canAddRecord(database: Database, page: number, recordLength: number): boolean {
+    const pageBuffer = database.getPage(page);
+    const recordCount = pageBuffer.readUInt16LE(database.format.dataPage.recordCountOffset);
+    return (
+        recordCount < MAX_RECORD_COUNT &&
+        pageBuffer.readUInt16LE(FREE_SPACE_OFFSET) >= recordLength + 2 &&
+        getRecordsStart(database, pageBuffer, recordCount) - recordLength >=
+            database.format.dataPage.recordCountOffset + 2 + (recordCount + 1) * 2
+    );
+}
+
+/**
+ * Stores a record below the records of a data page. Check that it fits with `canAddRecord` first.
+ *
+ * @returns Number of the record on the page
+ */
+export function addRecord(database: Database, page: number, record: Buffer): number {
+    const { recordCountOffset } = database.format.dataPage;
+
+    let row = 0;
+    database.modifyPage(page, (pageBuffer) => {
+        row = pageBuffer.readUInt16LE(recordCountOffset);
+        const recordStart = getRecordsStart(database, pageBuffer, row) - record.length;
+
+        record.copy(pageBuffer, recordStart);
+        pageBuffer.writeUInt16LE(recordStart, recordCountOffset + 2 + row * 2);
+        pageBuffer.writeUInt16LE(row + 1, recordCountOffset);
+        pageBuffer.writeUInt16LE(pageBuffer.readUInt16LE(FREE_SPACE_OFFSET) - record.length - 2, FREE_SPACE_OFFSET);
+    });
+    return row;
+}
+
+/**
+ * @returns Number of bytes between the start of a record and the start of the record before it
+ */
+export function getRecordSize(database: Database, page: number, row: number): number {
+    const pageBuffer = database.getPage(page);
+    const { recordCountOffset } = database.format.dataPage;
+    const recordStart = pageBuffer.readUInt16LE(recordCountOffset + 2 + row * 2) & RECORD_OFFSET_MASK;
+    const recordEnd =
+        row === 0 ? database.format.pageSize : pageBuffer.readUInt16LE(recordCountOffset + row * 2) & RECORD_OFFSET_MASK;
+    return recordEnd - recordStart;
+}
+
+/**
+ * Overwrites a record in place. The new record must have the size returned by `getRecordSize`.
+ */
+export function replaceRecord(database: Database, page: number, row: number, record: Buffer): void {
+    database.modifyPage(page, (pageBuffer) => {
+        const recordStart =
+            pageBuffer.readUInt16LE(database.format.dataPage.recordCountOffset + 2 + row * 2) & RECORD_OFFSET_MASK;
+        record.copy(pageBuffer, recordStart);
+    });
+}
+
+/**
+ * Flags a record as deleted. Its space is only reclaimed when the database is compacted.
+ */
+export function deleteRecord(database: Database, page: number, row: number): void {
+    database.modifyPage(page, (pageBuffer) => {
+        const offset = database.format.dataPage.recordCountOffset + 2 + row * 2;
+        pageBuffer.writeUInt16LE(pageBuffer.readUInt16LE(offset) | DELETED_RECORD_FLAGS, offset);
+    });
+}
+
+/**
+ * @returns Offset of the lowest record on the page. Records are stored from the end of the page towards its start.
+ */
+function getRecordsStart(database: Database, pageBuffer: Buffer, recordCount: number): number {
+    let recordsStart = database.format.pageSize;
+    for (let row = 0; row < recordCount; ++row) {
+        const recordStart = pageBuffer.readUInt16LE(database.format.dataPage.recordCountOffset + 2 + row * 2);
+        recordsStart = Math.min(recordsStart, recordStart & RECORD_OFFSET_MASK);
+    }
+    return recordsStart;
+}
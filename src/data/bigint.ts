@@ -1,3 +1,25 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+
 export function readBigInt(buffer: Buffer): bigint {
     return buffer.readBigInt64LE();
-}
\ No newline at end of file
+}
+
+export function writeBigInt(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    let bigint: bigint;
+    if (typeof value === "bigint") {
+        bigint = value;
+    } else if (typeof value === "number" && Number.isInteger(value)) {
+        bigint = BigInt(value);
+    } else {
+        throw new Error(`Expected an integer for column ${column.name}`);
+    }
+
+    if (bigint !== BigInt.asIntN(64, bigint)) {
+        throw new Error(`Value ${bigint} is out of range for column ${column.name}`);
+    }
+
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64LE(bigint);
+    return buffer;
+}
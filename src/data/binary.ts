@@ -1,5 +1,18 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+
 export function readBinary(buffer: Buffer): Buffer {
     const result = Buffer.alloc(buffer.length);
     buffer.copy(result);
     return result;
 }
+
+export function writeBinary(value: WriteValue, column: Pick<Column, "name" | "size">): Buffer {
+    if (!Buffer.isBuffer(value)) {
+        throw new Error(`Expected a Buffer for column ${column.name}`);
+    }
+    if (value.length > column.size) {
+        throw new Error(`Value of column ${column.name} is longer than ${column.size} bytes`);
+    }
+    return Buffer.from(value);
+}
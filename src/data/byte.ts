@@ -1,3 +1,13 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { toInteger } from "./util.js";
+
 export function readByte(buffer: Buffer): number {
     return buffer.readUInt8();
 }
+
+export function writeByte(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const buffer = Buffer.alloc(1);
+    buffer.writeUInt8(toInteger(value, column, 0, 0xff));
+    return buffer;
+}
@@ -1,3 +1,13 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { toInteger } from "./util.js";
+
 export function readComplexOrLong(buffer: Buffer): number {
     return buffer.readInt32LE();
 }
+
+export function writeComplexOrLong(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(toInteger(value, column, -0x80000000, 0x7fffffff));
+    return buffer;
+}
@@ -0,0 +1,17 @@
+import { expect } from "chai";
+import { readCurrency } from "./currency.js";
+
+describe("Currency", () => {
+    it("reads negative values", () => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigInt64LE(-12345n);
+        expect(readCurrency(buffer)).to.eq("-1.2345");
+    });
+
+    it("does not modify the buffer", () => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigInt64LE(-12345n);
+        expect(readCurrency(buffer)).to.eq(readCurrency(buffer));
+        expect(buffer.readBigInt64LE()).to.eq(-12345n);
+    });
+});
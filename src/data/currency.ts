@@ -1,18 +1,22 @@
 import { addArray, multiplyArray, toArray } from "../array.js";
-import { buildValue } from "./util.js";
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { buildValue, toUnscaled } from "./util.js";
 
 const MAX_PRECISION = 20;
 
+export const CURRENCY_SCALE = 4;
+
 /**
  * @see https://github.com/mdbtools/mdbtools/blob/c3df30837ec2439d18c5515906072dc3306c0795/src/libmdb/money.c#L33-L75
  */
 export function readCurrency(buffer: Buffer): string {
     const bytesCount = 8;
-    const scale = 4;
 
     let product: ReadonlyArray<number> = toArray(0, MAX_PRECISION);
     let multiplier: ReadonlyArray<number> = toArray(1, MAX_PRECISION);
-    const bytes = buffer.slice(0, bytesCount);
+    // Copy as negative values are converted in place
+    const bytes = Buffer.from(buffer.slice(0, bytesCount));
 
     let negative = false;
     if (bytes[bytesCount - 1]! & 0x80) {
@@ -33,5 +37,23 @@ export function readCurrency(buffer: Buffer): string {
         multiplier = multiplyArray(multiplier, toArray(256, MAX_PRECISION));
     }
 
-    return buildValue(product, scale, negative);
+    return buildValue(product, CURRENCY_SCALE, negative);
+}
+
+/**
+ * Returns the value in ten-thousandths, e.g. `12345n` for `1.2345`
+ */
+export function readCurrencyUnscaled(buffer: Buffer): bigint {
+    return buffer.readBigInt64LE();
+}
+
+export function writeCurrency(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const units = toUnscaled(value, column, CURRENCY_SCALE);
+    if (units !== BigInt.asIntN(64, units)) {
+        throw new Error(`Value is out of range for column ${column.name}`);
+    }
+
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64LE(units);
+    return buffer;
 }
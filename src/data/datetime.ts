@@ -1,5 +1,19 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+
 export function readDateTime(buffer: Buffer): Date {
     const td = buffer.readDoubleLE();
     const daysDiff = 25569; // days between 1899-12-30 and 01-01-19070
     return new Date(Math.round((td - daysDiff) * 86400 * 1000));
 }
+
+export function writeDateTime(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    if (!(value instanceof Date) || isNaN(value.getTime())) {
+        throw new Error(`Expected a valid Date for column ${column.name}`);
+    }
+
+    const daysDiff = 25569; // days between 1899-12-30 and 01-01-1970
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value.getTime() / 86400 / 1000 + daysDiff);
+    return buffer;
+}
@@ -1,30 +1,52 @@
+import type { Column } from "../column.js";
+import type { DateTimeExtendedValue, WriteValue } from "../types.js";
+
 const DAYS_START = 0;
 const DAYS_LENGTH = 19;
 const SECONDS_START = DAYS_START + DAYS_LENGTH + 1;
 const SECONDS_LENGTH = 12;
 const NANOS_START = SECONDS_START + SECONDS_LENGTH;
 const NANOS_LENGTH = 7;
+const SUFFIX = ":7 ";
+
+const STRING_PATTERN = /^(\d{4})\.(\d{2})\.(\d{2}) (\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,9}))?$/;
 
 export function readDateTimeExtended(buffer: Buffer): string {
-    const days = parseBigInt(buffer.slice(DAYS_START, DAYS_START + DAYS_LENGTH));
-    const seconds = parseBigInt(buffer.slice(SECONDS_START, SECONDS_START + SECONDS_LENGTH));
-    const nanos = parseBigInt(buffer.slice(NANOS_START, NANOS_START + NANOS_LENGTH)) * 100n;
+    const { days, seconds, nanos } = parse(buffer);
+    return format(toDate(days, seconds), nanos);
+}
+
+export function readDateTimeExtendedValue(buffer: Buffer): DateTimeExtendedValue {
+    const { days, seconds, nanos } = parse(buffer);
 
-    return format(days, seconds, nanos);
+    const date = toDate(days, seconds);
+    date.setUTCMilliseconds(Number(nanos / 1000000n));
+    return { date, nanoseconds: Number(nanos) };
+}
+
+function parse(buffer: Buffer): { days: bigint; seconds: bigint; nanos: bigint } {
+    return {
+        days: parseBigInt(buffer.slice(DAYS_START, DAYS_START + DAYS_LENGTH)),
+        seconds: parseBigInt(buffer.slice(SECONDS_START, SECONDS_START + SECONDS_LENGTH)),
+        nanos: parseBigInt(buffer.slice(NANOS_START, NANOS_START + NANOS_LENGTH)) * 100n,
+    };
 }
 
 function parseBigInt(buffer: Buffer): bigint {
     return BigInt(buffer.toString("ascii"));
 }
 
-function format(days: bigint, seconds: bigint, nanos: bigint) {
+function toDate(days: bigint, seconds: bigint): Date {
     // NOTE: replace with Temporal API once its available
     const date = new Date(0);
     date.setUTCFullYear(1);
 
     date.setUTCDate(date.getUTCDate() + Number(days));
     date.setUTCSeconds(date.getUTCSeconds() + Number(seconds));
+    return date;
+}
 
+function format(date: Date, nanos: bigint) {
     let result = "";
     result += date.getFullYear().toString().padStart(4, "0");
     result += `.${(date.getUTCMonth() + 1).toString().padStart(2, "0")}`;
@@ -36,3 +58,61 @@ function format(days: bigint, seconds: bigint, nanos: bigint) {
 
     return result;
 }
+
+/**
+ * @param value String in the format returned by `readDateTimeExtended`, `Date` or `DateTimeExtendedValue`
+ */
+export function writeDateTimeExtended(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    let date: Date;
+    let nanos: number;
+    if (typeof value === "string") {
+        const match = STRING_PATTERN.exec(value.trim());
+        if (match === null) {
+            throw new Error(`Invalid date ${value} for column ${column.name}`);
+        }
+
+        const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number) as [
+            number,
+            number,
+            number,
+            number,
+            number,
+            number
+        ];
+        date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        date.setUTCHours(hours, minutes, seconds);
+        nanos = Number((match[7] ?? "").padEnd(9, "0"));
+    } else if (value instanceof Date) {
+        date = value;
+        nanos = value.getUTCMilliseconds() * 1000000;
+    } else if (typeof value === "object" && value !== null && "nanoseconds" in value) {
+        date = value.date;
+        nanos = value.nanoseconds;
+    } else {
+        throw new Error(`Expected a Date or date string for column ${column.name}`);
+    }
+    if (!Number.isInteger(nanos) || nanos < 0 || nanos >= 1000000000) {
+        throw new Error(`Invalid nanoseconds ${nanos} for column ${column.name}`);
+    }
+
+    const start = toDate(0n, 0n).getTime();
+    const milliseconds = date.getTime() - date.getUTCMilliseconds() - start;
+    if (isNaN(milliseconds) || milliseconds < 0) {
+        throw new Error(`Invalid date for column ${column.name}`);
+    }
+
+    const days = Math.floor(milliseconds / 86400000);
+    const secondsOfDay = (milliseconds % 86400000) / 1000;
+
+    return Buffer.from(
+        days.toString().padStart(DAYS_LENGTH, "0") +
+            ":" +
+            secondsOfDay.toString().padStart(SECONDS_LENGTH, "0") +
+            Math.floor(nanos / 100)
+                .toString()
+                .padStart(NANOS_LENGTH, "0") +
+            SUFFIX,
+        "ascii"
+    );
+}
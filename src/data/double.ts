@@ -1,3 +1,13 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { toNumber } from "./util.js";
+
 export function readDouble(buffer: Buffer): number {
     return buffer.readDoubleLE();
 }
+
+export function writeDouble(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(toNumber(value, column));
+    return buffer;
+}
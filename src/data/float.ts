@@ -1,3 +1,13 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { toNumber } from "./util.js";
+
 export function readFloat(buffer: Buffer): number {
     return buffer.readFloatLE();
 }
+
+export function writeFloat(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatLE(toNumber(value, column));
+    return buffer;
+}
@@ -1,25 +1,26 @@
-import type { Column, ColumnDefinition } from "../column.js";
+import type { ColumnDefinition } from "../column.js";
 import { Database } from "../Database.js";
-import { type ColumnType, ColumnTypes, type Value, type ValueMap } from "../types.js";
-import { readBigInt } from "./bigint.js";
-import { readBinary } from "./binary.js";
-import { readByte } from "./byte.js";
-import { readComplexOrLong } from "./complexOrLong.js";
-import { readCurrency } from "./currency.js";
-import { readDateTime } from "./datetime.js";
-import { readDateTimeExtended } from "./datetimextended.js";
-import { readDouble } from "./double.js";
-import { readFloat } from "./float.js";
-import { readInteger } from "./integer.js";
-import { readMemo } from "./memo.js";
-import { readNumeric } from "./numeric.js";
-import { readOLE } from "./ole.js";
-import { readRepID } from "./repid.js";
-import { readText } from "./text.js";
+import { type ColumnType, ColumnTypes, type Value, type ValueMap, type WriteValue } from "../types.js";
+import { readBigInt, writeBigInt } from "./bigint.js";
+import { readBinary, writeBinary } from "./binary.js";
+import { readByte, writeByte } from "./byte.js";
+import { readComplexOrLong, writeComplexOrLong } from "./complexOrLong.js";
+import { readCurrency, writeCurrency } from "./currency.js";
+import { readDateTime, writeDateTime } from "./datetime.js";
+import { readDateTimeExtended, writeDateTimeExtended } from "./datetimextended.js";
+import { readDouble, writeDouble } from "./double.js";
+import { readFloat, writeFloat } from "./float.js";
+import { readInteger, writeInteger } from "./integer.js";
+import type { LongValueWriter } from "./long-value.js";
+import { readMemo, writeMemo } from "./memo.js";
+import { readNumeric, writeNumeric } from "./numeric.js";
+import { readOLE, writeOLE } from "./ole.js";
+import { readRepID, writeRepID } from "./repid.js";
+import { readText, writeText } from "./text.js";
 
 const readFnByColType: {
     [type in Exclude<ColumnType, typeof ColumnTypes.Boolean>]:
-        | ((buffer: Buffer, column: Column, database: Database) => ValueMap[type])
+        | ((buffer: Buffer, column: ColumnDefinition, database: Database) => ValueMap[type])
         | undefined;
 } = {
     [ColumnTypes.BigInt]: readBigInt,
@@ -52,3 +53,41 @@ export function readFieldValue(buffer: Buffer, column: ColumnDefinition, databas
 
     return read(buffer, column, database);
 }
+
+const writeFnByColType: {
+    [type in Exclude<ColumnType, typeof ColumnTypes.Boolean>]: (
+        value: WriteValue,
+        column: ColumnDefinition,
+        longValues: LongValueWriter
+    ) => Buffer;
+} = {
+    [ColumnTypes.BigInt]: writeBigInt,
+    [ColumnTypes.Binary]: writeBinary,
+    [ColumnTypes.Byte]: writeByte,
+    [ColumnTypes.Complex]: writeComplexOrLong,
+    [ColumnTypes.Currency]: writeCurrency,
+    [ColumnTypes.DateTime]: writeDateTime,
+    [ColumnTypes.DateTimeExtended]: writeDateTimeExtended,
+    [ColumnTypes.Double]: writeDouble,
+    [ColumnTypes.Float]: writeFloat,
+    [ColumnTypes.Integer]: writeInteger,
+    [ColumnTypes.Long]: writeComplexOrLong,
+    [ColumnTypes.Text]: writeText,
+    [ColumnTypes.Memo]: writeMemo,
+    [ColumnTypes.Numeric]: writeNumeric,
+    [ColumnTypes.OLE]: writeOLE,
+    [ColumnTypes.RepID]: writeRepID,
+};
+
+/**
+ * Encodes a value the way it is stored in a record
+ *
+ * @param longValues Stores the data of memo and OLE values
+ */
+export function writeFieldValue(value: WriteValue, column: ColumnDefinition, longValues: LongValueWriter): Buffer {
+    if (column.type === ColumnTypes.Boolean) {
+        throw new Error("writeFieldValue does not handle type boolean");
+    }
+
+    return writeFnByColType[column.type](value, column, longValues);
+}
@@ -1,3 +1,13 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+import { toInteger } from "./util.js";
+
 export function readInteger(buffer: Buffer): number {
     return buffer.readInt16LE();
 }
+
+export function writeInteger(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    const buffer = Buffer.alloc(2);
+    buffer.writeInt16LE(toInteger(value, column, -0x8000, 0x7fff));
+    return buffer;
+}
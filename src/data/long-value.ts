@@ -0,0 +1,184 @@
+import type { ColumnDefinition } from "../column.js";
+import type { Database } from "../Database.js";
+import { addRecord, canAddRecord, createDataPage, deleteRecord, LONG_VALUE_OWNER } from "../data-page.js";
+import { PageType } from "../PageType.js";
+
+const TYPE_THIS_PAGE = 0x80;
+const TYPE_OTHER_PAGE = 0x40;
+const TYPE_OTHER_PAGES = 0x00;
+
+const DELETED_RECORD_FLAGS = 0xc000;
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/LongValueColumnImpl.java
+ */
+const HEADER_LENGTH = 12;
+const MAX_INLINE_LENGTH = 64;
+const MAX_LENGTH = 0xffffff;
+
+/**
+ * Stores the data of memo and OLE values in rows of long value pages. Rows of all values written by one writer are
+ * added to the same page until it is full.
+ */
+export class LongValueWriter {
+    #database: Database;
+    #page: number | null = null;
+
+    constructor(database: Database) {
+        this.#database = database;
+    }
+
+    /**
+     * Data of up to 64 bytes is stored in the field itself, longer data in one row or a chain of rows
+     *
+     * @returns Field of the value in its record
+     *
+     * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/data.c#L626-L776
+     */
+    write(data: Buffer, column: Pick<ColumnDefinition, "name">): Buffer {
+        if (data.length > MAX_LENGTH) {
+            throw new Error(`Value of column ${column.name} is longer than ${MAX_LENGTH} bytes`);
+        }
+
+        const header = Buffer.alloc(HEADER_LENGTH);
+        header.writeUIntLE(data.length, 0, 3);
+
+        if (data.length <= MAX_INLINE_LENGTH) {
+            header.writeUInt8(TYPE_THIS_PAGE, 3);
+            return Buffer.concat([header, data]);
+        }
+
+        const maxRowLength = this.#database.format.pageSize - this.#database.format.dataPage.recordCountOffset - 4;
+        if (data.length <= maxRowLength) {
+            header.writeUInt8(TYPE_OTHER_PAGE, 3);
+            header.writeUInt32LE(this.#addRow(data), 4);
+            return header;
+        }
+
+        // Rows are added starting with the last chunk as each row references the following one
+        const chunkLength = maxRowLength - 4;
+        let nextPageRow = 0;
+        for (let start = Math.floor((data.length - 1) / chunkLength) * chunkLength; start >= 0; start -= chunkLength) {
+            const row = Buffer.alloc(4);
+            row.writeUInt32LE(nextPageRow);
+            nextPageRow = this.#addRow(Buffer.concat([row, data.slice(start, start + chunkLength)]));
+        }
+        header.writeUInt8(TYPE_OTHER_PAGES, 3);
+        header.writeUInt32LE(nextPageRow, 4);
+        return header;
+    }
+
+    /**
+     * @returns Page row of the new row
+     */
+    #addRow(row: Buffer): number {
+        if (this.#page === null || !canAddRecord(this.#database, this.#page, row.length)) {
+            this.#page = createDataPage(this.#database, LONG_VALUE_OWNER);
+        }
+        return (this.#page << 8) | addRecord(this.#database, this.#page, row);
+    }
+}
+
+/**
+ * Marks the rows storing the data of a memo or OLE value as deleted
+ *
+ * @param buffer Field of the value in its record
+ */
+export function deleteLongValue(buffer: Buffer, database: Database): void {
+    const type = buffer.readUInt8(3);
+    if (type === TYPE_THIS_PAGE) {
+        return;
+    }
+
+    let pageRow = buffer.readUInt32LE(4);
+    while (pageRow !== 0) {
+        const nextPageRow = type === TYPE_OTHER_PAGES ? database.findPageRow(pageRow).readUInt32LE(0) : 0;
+        deleteRecord(database, pageRow >>> 8, pageRow & 0xff);
+        pageRow = nextPageRow;
+    }
+}
+
+/**
+ * Checks that the data of a memo or OLE value can be found, i.e. that the rows storing it exist and form a complete
+ * chain.
+ *
+ * @param buffer Field of the value in its record
+ * @returns Description of the problem or `null` if the value is intact
+ *
+ * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/data.c#L626-L776
+ */
+export function findLongValueError(buffer: Buffer, database: Database): string | null {
+    if (buffer.length < 12) {
+        return "Long value header is truncated";
+    }
+
+    const length = buffer.readUIntLE(0, 3);
+    const type = buffer.readUInt8(3);
+
+    if (type === TYPE_THIS_PAGE) {
+        return buffer.length < 12 + length ? "Inline long value is truncated" : null;
+    }
+
+    if (type === TYPE_OTHER_PAGE) {
+        const row = findLongValueRow(buffer.readUInt32LE(4), database);
+        if (typeof row === "string") {
+            return row;
+        }
+        return row.length < length ? "Long value is truncated" : null;
+    }
+
+    if (type !== TYPE_OTHER_PAGES) {
+        return `Unknown memo type ${type}`;
+    }
+
+    const visited = new Set<number>();
+    let dataLength = 0;
+    let pageRow = buffer.readUInt32LE(4);
+    while (pageRow !== 0) {
+        if (visited.has(pageRow)) {
+            return "Long value contains a cyclic chain of rows";
+        }
+        visited.add(pageRow);
+
+        const row = findLongValueRow(pageRow, database);
+        if (typeof row === "string") {
+            return row;
+        }
+        if (row.length < 4) {
+            return "Long value contains a truncated row";
+        }
+
+        dataLength += row.length - 4;
+        pageRow = row.readUInt32LE(0);
+    }
+    return dataLength < length ? "Chain of long value rows ends early" : null;
+}
+
+/**
+ * @param pageRow Lower byte contains the row number, the upper three contain page
+ * @returns Data of the row or a description of the problem
+ */
+function findLongValueRow(pageRow: number, database: Database): Buffer | string {
+    const page = pageRow >>> 8;
+    const row = pageRow & 0xff;
+    if (page === 0 || page >= database.pageCount) {
+        return `Long value references page ${page} outside of the file`;
+    }
+
+    const pageBuffer = database.getPage(page);
+    if (pageBuffer[0] !== PageType.DataPage) {
+        return `Long value references page ${page} which is no data page`;
+    }
+
+    const recordCount = pageBuffer.readUInt16LE(database.format.dataPage.recordCountOffset);
+    if (row >= recordCount) {
+        return `Long value references missing row ${row} of page ${page}`;
+    }
+
+    const recordStart = pageBuffer.readUInt16LE(database.format.dataPage.record.countOffset + 2 + row * 2);
+    if ((recordStart & DELETED_RECORD_FLAGS) === DELETED_RECORD_FLAGS) {
+        return `Long value references deleted row ${row} of page ${page}`;
+    }
+
+    return database.findRow(pageBuffer, row);
+}
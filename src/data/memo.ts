@@ -1,38 +1,49 @@
-import type { Column } from "../index.js";
+import type { ColumnDefinition } from "../column.js";
 import { Database } from "../Database.js";
+import type { WriteValue } from "../types.js";
 import { uncompressText } from "../unicodeCompression.js";
+import type { LongValueWriter } from "./long-value.js";
+import { encodeText } from "./text.js";
 
 const TYPE_THIS_PAGE = 0x80;
 const TYPE_OTHER_PAGE = 0x40;
 const TYPE_OTHER_PAGES = 0x00;
 
+/**
+ * Longer text is never compressed
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/ColumnImpl.java
+ */
+const MAX_COMPRESSED_LENGTH = 1024;
+
 /**
  * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/data.c#L690-L776
  */
-export function readMemo(buffer: Buffer, _col: Column, database: Database): string {
+export function readMemo(buffer: Buffer, _col: ColumnDefinition, database: Database): string {
     const memoLength = buffer.readUIntLE(0, 3);
 
     const type = buffer.readUInt8(3);
     switch (type) {
         case TYPE_THIS_PAGE: {
             const compressedText = buffer.slice(12, 12 + memoLength);
-            return uncompressText(compressedText, database.format);
+            return uncompressText(compressedText, database.format, database.codePage);
         }
 
         case TYPE_OTHER_PAGE: {
             const pageRow = buffer.readUInt32LE(4);
             const rowBuffer = database.findPageRow(pageRow);
             const compressedText = rowBuffer.slice(0, memoLength);
-            return uncompressText(compressedText, database.format);
+            return uncompressText(compressedText, database.format, database.codePage);
         }
 
         case TYPE_OTHER_PAGES: {
             let pageRow = buffer.readInt32LE(4);
-            let memoDataBuffer = Buffer.alloc(0);
+            const chunks: Buffer[] = [];
+            let chunksLength = 0;
             do {
                 const rowBuffer = database.findPageRow(pageRow);
 
-                if (memoDataBuffer.length + rowBuffer.length - 4 > memoLength) {
+                if (chunksLength + rowBuffer.length - 4 > memoLength) {
                     break;
                 }
 
@@ -40,15 +51,31 @@ export function readMemo(buffer: Buffer, _col: Column, database: Database): stri
                     break;
                 }
 
-                memoDataBuffer = Buffer.concat([memoDataBuffer, rowBuffer.slice(4)]);
+                chunks.push(rowBuffer.slice(4));
+                chunksLength += rowBuffer.length - 4;
 
                 pageRow = rowBuffer.readInt32LE(0);
             } while (pageRow !== 0);
 
-            const compressedText = memoDataBuffer.slice(0, memoLength);
-            return uncompressText(compressedText, database.format);
+            // Concatenated once as copying the whole value for every row would be quadratic
+            const compressedText = Buffer.concat(chunks, chunksLength).slice(0, memoLength);
+            return uncompressText(compressedText, database.format, database.codePage);
         }
         default:
             throw new Error(`Unknown memo type ${type}`);
     }
 }
+
+export function writeMemo(
+    value: WriteValue,
+    column: Pick<ColumnDefinition, "name" | "compressedUnicode">,
+    longValues: LongValueWriter
+): Buffer {
+    if (typeof value !== "string") {
+        throw new Error(`Expected a string for column ${column.name}`);
+    }
+    return longValues.write(
+        value.length <= MAX_COMPRESSED_LENGTH ? encodeText(value, column) : Buffer.from(value, "ucs-2"),
+        column
+    );
+}
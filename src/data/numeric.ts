@@ -1,6 +1,7 @@
 import { addArray, multiplyArray, toArray } from "../array.js";
 import type { Column } from "../column.js";
-import { buildValue } from "./util.js";
+import type { WriteValue } from "../types.js";
+import { buildValue, toUnscaled } from "./util.js";
 
 const MAX_PRECISION = 40;
 
@@ -27,3 +28,36 @@ export function readNumeric(buffer: Buffer, column: Pick<Column, "scale" | "prec
         negative
     );
 }
+
+/**
+ * Returns the value without applying the scale of the column, e.g. `12345n` for `123.45`
+ */
+export function readNumericUnscaled(buffer: Buffer): bigint {
+    const bytes = buffer.slice(1, 17);
+
+    let value = 0n;
+    for (let i = bytes.length - 1; i >= 0; --i) {
+        value = (value << 8n) | BigInt(bytes[12 - 4 * Math.floor(i / 4) + (i % 4)]!);
+    }
+
+    return buffer[0]! & 0x80 ? -value : value;
+}
+
+export function writeNumeric(value: WriteValue, column: Pick<Column, "name" | "scale" | "precision">): Buffer {
+    // Scale and precision are always set for numeric columns
+    // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+    const unscaled = toUnscaled(value, column, column.scale!);
+    let rest = unscaled < 0n ? -unscaled : unscaled;
+    // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+    if (rest >= 10n ** BigInt(column.precision!)) {
+        throw new Error(`Value is out of range for column ${column.name}`);
+    }
+
+    const buffer = Buffer.alloc(17);
+    buffer[0] = unscaled < 0n ? 0x80 : 0x00;
+    for (let i = 0; i < 16; ++i) {
+        buffer[1 + 12 - 4 * Math.floor(i / 4) + (i % 4)] = Number(rest & 0xffn);
+        rest >>= 8n;
+    }
+    return buffer;
+}
@@ -0,0 +1,21 @@
+import { expect } from "chai";
+import type { ColumnDefinition } from "../column.js";
+import type { Database } from "../Database.js";
+import { readOLE } from "./ole.js";
+
+describe("OLE", () => {
+    it("reads data on multiple pages", () => {
+        const data = Buffer.from(Array.from({ length: 30 }, (_, i) => i));
+        const rows = new Map([
+            [1, Buffer.concat([Buffer.from("02000000", "hex"), data.slice(0, 20)])],
+            [2, Buffer.concat([Buffer.from("00000000", "hex"), data.slice(20)])],
+        ]);
+        const database = { findPageRow: (pageRow: number) => rows.get(pageRow)! } as unknown as Database;
+
+        const buffer = Buffer.alloc(12);
+        buffer.writeUIntLE(data.length, 0, 3);
+        buffer.writeUInt32LE(1, 4);
+
+        expect(readOLE(buffer, {} as ColumnDefinition, database)).to.deep.eq(data);
+    });
+});
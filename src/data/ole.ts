@@ -1,10 +1,12 @@
-import type { Column } from "../column.js";
+import type { ColumnDefinition } from "../column.js";
 import { Database } from "../Database.js";
+import type { WriteValue } from "../types.js";
+import type { LongValueWriter } from "./long-value.js";
 
 /**
  * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/src/libmdb/data.c#L626-L688
  */
-export function readOLE(buffer: Buffer, _col: Column, database: Database): Buffer {
+export function readOLE(buffer: Buffer, _col: ColumnDefinition, database: Database): Buffer {
     const memoLength = buffer.readUIntLE(0, 3);
 
     const bitmask = buffer.readUInt8(3);
@@ -21,11 +23,12 @@ export function readOLE(buffer: Buffer, _col: Column, database: Database): Buffe
         // multi page
         let pageRow = buffer.readInt32LE(4);
 
-        let memoDataBuffer = Buffer.alloc(0);
+        const chunks: Buffer[] = [];
+        let chunksLength = 0;
         do {
             const rowBuffer = database.findPageRow(pageRow);
 
-            if (memoDataBuffer.length + rowBuffer.length - 4 > memoLength) {
+            if (chunksLength + rowBuffer.length - 4 > memoLength) {
                 break;
             }
 
@@ -33,13 +36,21 @@ export function readOLE(buffer: Buffer, _col: Column, database: Database): Buffe
                 break;
             }
 
-            memoDataBuffer = Buffer.concat([memoDataBuffer, rowBuffer.slice(4, buffer.length)]);
+            chunks.push(rowBuffer.slice(4));
+            chunksLength += rowBuffer.length - 4;
 
             pageRow = rowBuffer.readUInt32LE(0);
         } while (pageRow !== 0);
 
-        return memoDataBuffer.slice(0, memoLength);
+        return Buffer.concat(chunks, chunksLength).slice(0, memoLength);
     } else {
         throw new Error(`Unknown memo type ${bitmask}`);
     }
 }
+
+export function writeOLE(value: WriteValue, column: Pick<ColumnDefinition, "name">, longValues: LongValueWriter): Buffer {
+    if (!Buffer.isBuffer(value)) {
+        throw new Error(`Expected a Buffer for column ${column.name}`);
+    }
+    return longValues.write(value, column);
+}
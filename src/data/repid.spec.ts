@@ -33,4 +33,10 @@ describe("RepID", () => {
         const result = readRepID(Buffer.from(hexbuffer));
         expect(result).to.eq((expectedResult as string).toLowerCase());
     });
+
+    it("does not modify the buffer", () => {
+        const buffer = Buffer.from("9cd85cf7dbf09f40b647f500a88316f0", "hex");
+        expect(readRepID(buffer)).to.eq(readRepID(buffer));
+        expect(buffer.toString("hex")).to.eq("9cd85cf7dbf09f40b647f500a88316f0");
+    });
 });
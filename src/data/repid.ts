@@ -1,9 +1,14 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+
 /**
  * Read replication ID
  *
  * @see https://github.com/mdbtools/mdbtools/blob/c3df30837ec2439d18c5515906072dc3306c0795/src/libmdb/data.c#L958-L972
  */
 export function readRepID(buffer: Buffer): string {
+    // Copy the buffer as swapping happens in place and would modify the page
+    buffer = Buffer.from(buffer);
     return (
         buffer.slice(0, 4).swap32().toString("hex") + // swap for little-endian
         "-" +
@@ -16,3 +21,22 @@ export function readRepID(buffer: Buffer): string {
         buffer.slice(10, 16).toString("hex") // big-endian
     );
 }
+
+/**
+ * Write replication ID
+ */
+export function writeRepID(value: WriteValue, column: Pick<Column, "name">): Buffer {
+    if (typeof value !== "string") {
+        throw new Error(`Expected a GUID string for column ${column.name}`);
+    }
+
+    const buffer = Buffer.from(value.replace(/[{}-]/g, ""), "hex");
+    if (buffer.length !== 16) {
+        throw new Error(`Invalid GUID ${value}`);
+    }
+
+    buffer.slice(0, 4).swap32(); // swap for little-endian
+    buffer.slice(4, 6).swap16(); // swap for little-endian
+    buffer.slice(6, 8).swap16(); // swap for little-endian
+    return buffer;
+}
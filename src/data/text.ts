@@ -1,7 +1,25 @@
-import type { Column } from "../index.js";
+import type { ColumnDefinition } from "../column.js";
 import { Database } from "../Database.js";
-import { uncompressText } from "../unicodeCompression.js";
+import type { WriteValue } from "../types.js";
+import { compressText, uncompressText } from "../unicodeCompression.js";
 
-export function readText(buffer: Buffer, _col: Column, database: Database): string {
-    return uncompressText(buffer, database.format);
+export function readText(buffer: Buffer, _col: ColumnDefinition, database: Database): string {
+    return uncompressText(buffer, database.format, database.codePage);
+}
+
+export function writeText(value: WriteValue, column: Pick<ColumnDefinition, "name" | "size" | "compressedUnicode">): Buffer {
+    if (typeof value !== "string") {
+        throw new Error(`Expected a string for column ${column.name}`);
+    }
+    if (value.length * 2 > column.size) {
+        throw new Error(`Value of column ${column.name} is longer than ${column.size / 2} characters`);
+    }
+    return encodeText(value, column);
+}
+
+/**
+ * Encodes text as UCS-2 or compressed if the column uses unicode compression
+ */
+export function encodeText(text: string, column: Pick<ColumnDefinition, "compressedUnicode">): Buffer {
+    return (column.compressedUnicode ? compressText(text) : null) ?? Buffer.from(text, "ucs-2");
 }
@@ -1,3 +1,6 @@
+import type { Column } from "../column.js";
+import type { WriteValue } from "../types.js";
+
 /**
  * @see https://github.com/mdbtools/mdbtools/blob/c3df30837ec2439d18c5515906072dc3306c0795/src/libmdb/money.c#L132-L156
  */
@@ -27,3 +30,69 @@ export function buildValue(array: ReadonlyArray<number>, scale: number, negative
 
     return value;
 }
+
+/**
+ * Converts a value to be written to an integer within the range of the column
+ */
+export function toInteger(value: WriteValue, column: Pick<Column, "name">, min: number, max: number): number {
+    const number = toNumber(value, column);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Value ${number} is out of range for column ${column.name}`);
+    }
+    return number;
+}
+
+export function toNumber(value: WriteValue, column: Pick<Column, "name">): number {
+    if (typeof value === "number") {
+        return value;
+    }
+
+    if (typeof value === "bigint") {
+        return Number(value);
+    }
+
+    throw new Error(`Expected a number for column ${column.name}`);
+}
+
+/**
+ * Converts a value to be written to an integer without the scale, e.g. `12345n` for `123.45` and a scale of 2. Numbers
+ * are rounded to the scale, decimal strings and `Decimal` values must not have more fractional digits than the scale.
+ */
+export function toUnscaled(value: WriteValue, column: Pick<Column, "name">, scale: number): bigint {
+    if (typeof value === "bigint") {
+        return value * 10n ** BigInt(scale);
+    }
+
+    if (typeof value === "object" && value !== null && "value" in value && "scale" in value) {
+        if (value.scale <= scale) {
+            return value.value * 10n ** BigInt(scale - value.scale);
+        }
+
+        const divisor = 10n ** BigInt(value.scale - scale);
+        if (value.value % divisor !== 0n) {
+            throw new Error(`Value of column ${column.name} has more than ${scale} decimal places`);
+        }
+        return value.value / divisor;
+    }
+
+    let string: string;
+    if (typeof value === "number") {
+        string = value.toFixed(scale);
+    } else if (typeof value === "string") {
+        string = value.trim();
+    } else {
+        throw new Error(`Expected a number or numeric string for column ${column.name}`);
+    }
+
+    const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(string);
+    const [, sign, integer = "", fraction = ""] = match ?? [];
+    if (match === null || integer.length + fraction.length === 0) {
+        throw new Error(`Expected a number or numeric string for column ${column.name}`);
+    }
+    if (fraction.replace(/0+$/, "").length > scale) {
+        throw new Error(`Value of column ${column.name} has more than ${scale} decimal places`);
+    }
+
+    const unscaled = BigInt(`${integer}${fraction.padEnd(scale, "0").slice(0, scale)}` || "0");
+    return sign ? -unscaled : unscaled;
+}
@@ -0,0 +1,105 @@
+/**
+ * Chunks of consecutive characters. The first element is the hex code of the first character. Strings are written
+ * as-is, numbers continue the previous character for the given count.
+ *
+ * @see https://github.com/ashtuchkin/iconv-lite/blob/v0.6.3/encodings/dbcs-codec.js
+ */
+export type DBCSTable = ReadonlyArray<ReadonlyArray<string | number>>;
+
+const UNASSIGNED = -1;
+const NODE_START = -1000;
+const DEFAULT_CHAR = "�";
+
+/**
+ * Trie of the byte sequences. Values are unicode code points, `UNASSIGNED`, or `NODE_START - index` of the node for
+ * the next byte.
+ */
+type DecodeTrie = Int32Array[];
+
+/**
+ * Returns a decoder for double byte code pages like CP932 (Shift JIS). The decode trie is built on first use.
+ *
+ * @see https://github.com/ashtuchkin/iconv-lite/blob/v0.6.3/encodings/dbcs-codec.js
+ */
+export function createDBCSDecoder(table: DBCSTable): (buffer: Buffer) => string {
+    let trie: DecodeTrie | undefined;
+
+    return (buffer) => {
+        trie ??= createDecodeTrie(table);
+
+        let result = "";
+        let node = trie[0]!;
+        let sequenceStart = 0;
+        let i = 0;
+        while (i < buffer.length || sequenceStart < buffer.length) {
+            const value = i < buffer.length ? node[buffer[i]!]! : UNASSIGNED;
+
+            if (value <= NODE_START) {
+                node = trie[NODE_START - value]!;
+                ++i;
+                continue;
+            }
+
+            if (value === UNASSIGNED) {
+                // skip the first byte of the sequence and try again
+                result += DEFAULT_CHAR;
+                i = sequenceStart + 1;
+            } else {
+                result += String.fromCodePoint(value);
+                ++i;
+            }
+
+            node = trie[0]!;
+            sequenceStart = i;
+        }
+        return result;
+    };
+}
+
+function createDecodeTrie(table: DBCSTable): DecodeTrie {
+    const trie: DecodeTrie = [new Int32Array(0x100).fill(UNASSIGNED)];
+
+    for (const [start, ...parts] of table) {
+        let address = parseInt(start as string, 16);
+        const node = getDecodeTrieNode(trie, address);
+        address &= 0xff;
+
+        for (const part of parts) {
+            if (typeof part === "string") {
+                for (const char of part) {
+                    node[address++] = char.codePointAt(0)!;
+                }
+            } else {
+                let charCode = node[address - 1]! + 1;
+                for (let i = 0; i < part; ++i) {
+                    node[address++] = charCode++;
+                }
+            }
+        }
+    }
+
+    return trie;
+}
+
+function getDecodeTrieNode(trie: DecodeTrie, address: number): Int32Array {
+    // all bytes except the last one
+    const bytes: number[] = [];
+    for (let prefix = address >>> 8; prefix > 0; prefix >>>= 8) {
+        bytes.unshift(prefix & 0xff);
+    }
+
+    let node = trie[0]!;
+    for (const byte of bytes) {
+        const value = node[byte]!;
+        if (value === UNASSIGNED) {
+            node[byte] = NODE_START - trie.length;
+            node = new Int32Array(0x100).fill(UNASSIGNED);
+            trie.push(node);
+        } else if (value <= NODE_START) {
+            node = trie[NODE_START - value]!;
+        } else {
+            throw new Error(`Invalid DBCS table at address ${address.toString(16)}`);
+        }
+    }
+    return node;
+}
@@ -0,0 +1,39 @@
+import { expect } from "chai";
+import forEach from "mocha-each";
+import { decode, isSupportedCodePage } from "./index.js";
+
+describe("iconv-lite", () => {
+    describe("decode", () => {
+        forEach([
+            [1252, [0x53, 0xe9, 0x72, 0x69, 0x65], "Série"],
+            [1250, [0x8c, 0x6c, 0xb9, 0x73, 0x6b], "Śląsk"],
+            [1251, [0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2], "Привет"],
+            [1253, [0xc1, 0xe8, 0xde, 0xed, 0xe1], "Αθήνα"],
+            [1255, [0xf9, 0xec, 0xe5, 0xed], "שלום"],
+            [932, [0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x41], "日本語A"],
+            [936, [0xc4, 0xe3, 0xba, 0xc3], "你好"],
+            [949, [0xc7, 0xd1, 0xb1, 0xb9], "한국"],
+            [950, [0xa4, 0xa4, 0xa4, 0xe5], "中文"],
+        ]).it("%d: %j", (codePage, bytes, expected) => {
+            expect(decode(Buffer.from(bytes), codePage)).to.eq(expected);
+        });
+
+        it("replaces incomplete double byte characters", () => {
+            expect(decode(Buffer.from([0x41, 0x93]), 932)).to.eq("A�");
+        });
+
+        it("replaces invalid double byte characters and continues with the next byte", () => {
+            expect(decode(Buffer.from([0x81, 0x20, 0x41]), 932)).to.eq("� A");
+        });
+
+        it("throws for unsupported code pages", () => {
+            expect(() => decode(Buffer.from([0x41]), 437)).to.throw();
+        });
+    });
+
+    it("isSupportedCodePage", () => {
+        expect(isSupportedCodePage(1252)).to.eq(true);
+        expect(isSupportedCodePage(932)).to.eq(true);
+        expect(isSupportedCodePage(437)).to.eq(false);
+    });
+});
@@ -1,31 +1,28 @@
-/**
- * @see https://github.com/ashtuchkin/iconv-lite/blob/928f7c68e1be51c1391c70dbee244fd32623f121/encodings/sbcs-codec.js#L17-L19
- */
-const ASCII_CHARS = Array.from({ length: 128 })
-    .map((_, i) => String.fromCharCode(i))
-    .join("");
-/**
- * @see https://github.com/ashtuchkin/iconv-lite/blob/5d99a923f2bb9352abf80f8aeb850d924a8a1e38/encodings/sbcs-data-generated.js#L82
- */
-const WINDOWS_1252_CHARS =
-    "€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž��‘’“”•–—˜™š›œ�žŸ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ";
+import { createDBCSDecoder } from "./dbcs.js";
+import { decodeSBCS, isSBCSCodePage } from "./sbcs.js";
+import { CP936_TABLE } from "./tables/cp936.js";
+import { CP949_TABLE } from "./tables/cp949.js";
+import { CP950_TABLE } from "./tables/cp950.js";
+import { SHIFTJIS_TABLE } from "./tables/shiftjis.js";
 
-/**
- * Decodes CP1252 / windows 1252
- *
- * @see https://github.com/ashtuchkin/iconv-lite/blob/928f7c68e1be51c1391c70dbee244fd32623f121/encodings/sbcs-codec.js#L58-L69
- */
-export function decodeWindows1252(buffer: Buffer): string {
-    const chars = `${ASCII_CHARS}${WINDOWS_1252_CHARS}`;
-    const charsBuffer = Buffer.from(chars, "ucs2");
+const DBCS_DECODERS: { readonly [codePage: number]: (buffer: Buffer) => string } = {
+    932: createDBCSDecoder(SHIFTJIS_TABLE),
+    936: createDBCSDecoder(CP936_TABLE),
+    949: createDBCSDecoder(CP949_TABLE),
+    950: createDBCSDecoder(CP950_TABLE),
+};
 
-    const result = Buffer.alloc(buffer.length * 2);
+export function isSupportedCodePage(codePage: number): boolean {
+    return isSBCSCodePage(codePage) || DBCS_DECODERS[codePage] !== undefined;
+}
 
-    for (let i = 0; i < buffer.length; ++i) {
-        const index = buffer[i]! * 2;
-        result[i * 2] = charsBuffer[index]!;
-        result[i * 2 + 1] = charsBuffer[index + 1]!;
+/**
+ * Decodes text of a windows code page
+ */
+export function decode(buffer: Buffer, codePage: number): string {
+    const decodeDBCS = DBCS_DECODERS[codePage];
+    if (decodeDBCS !== undefined) {
+        return decodeDBCS(buffer);
     }
-
-    return result.toString("ucs2");
+    return decodeSBCS(buffer, codePage);
 }
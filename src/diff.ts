@@ -0,0 +1,292 @@
+import type { Column } from "./column.js";
+import { toJSONValue } from "./json.js";
+import type MDBReader from "./MDBReader.js";
+import type { Table } from "./Table.js";
+import { getDefaultValueOptions } from "./value-options.js";
+
+export const DifferenceTypes = {
+    /**
+     * A table exists only in the second database
+     */
+    TableAdded: "tableAdded",
+
+    /**
+     * A table exists only in the first database
+     */
+    TableRemoved: "tableRemoved",
+
+    /**
+     * A column exists only in the table of the second database
+     */
+    ColumnAdded: "columnAdded",
+
+    /**
+     * A column exists only in the table of the first database
+     */
+    ColumnRemoved: "columnRemoved",
+
+    /**
+     * The type, size, precision or scale of a column differs
+     */
+    ColumnChanged: "columnChanged",
+
+    /**
+     * A row with the key exists only in the table of the second database
+     */
+    RowInserted: "rowInserted",
+
+    /**
+     * A row with the key exists only in the table of the first database
+     */
+    RowDeleted: "rowDeleted",
+
+    /**
+     * Values of a row with the same key differ
+     */
+    RowModified: "rowModified",
+} as const;
+
+export type DifferenceType = (typeof DifferenceTypes)[keyof typeof DifferenceTypes];
+
+export interface ValueChange {
+    old: unknown;
+    new: unknown;
+}
+
+type DiffRow = { [column: string]: unknown };
+
+export type Difference =
+    | {
+          type: typeof DifferenceTypes.TableAdded | typeof DifferenceTypes.TableRemoved;
+          table: string;
+      }
+    | {
+          type: typeof DifferenceTypes.ColumnAdded | typeof DifferenceTypes.ColumnRemoved;
+          table: string;
+          column: Column;
+      }
+    | {
+          type: typeof DifferenceTypes.ColumnChanged;
+          table: string;
+          column: string;
+          changes: { [property in ComparedColumnProperty]?: ValueChange };
+      }
+    | {
+          type: typeof DifferenceTypes.RowInserted | typeof DifferenceTypes.RowDeleted;
+          table: string;
+
+          /**
+           * Values of the key columns
+           */
+          key: DiffRow;
+          row: DiffRow;
+      }
+    | {
+          type: typeof DifferenceTypes.RowModified;
+          table: string;
+
+          /**
+           * Values of the key columns
+           */
+          key: DiffRow;
+
+          /**
+           * Old and new values of the changed columns. Columns which exist in only one of the tables are not compared.
+           */
+          changes: { [column: string]: ValueChange };
+      };
+
+export interface DiffOptions {
+    /**
+     * Names of the tables to be compared. Defaults to all user tables of both databases.
+     */
+    tables?: ReadonlyArray<string> | undefined;
+
+    /**
+     * Columns identifying the rows of a table by the name of the table. Defaults to the primary key.
+     */
+    keys?: { [table: string]: ReadonlyArray<string> } | undefined;
+
+    /**
+     * Compares the rows of tables existing in both databases. Default true.
+     */
+    data?: boolean | undefined;
+}
+
+const COMPARED_COLUMN_PROPERTIES = ["type", "size", "precision", "scale"] as const;
+type ComparedColumnProperty = (typeof COMPARED_COLUMN_PROPERTIES)[number];
+
+/**
+ * Rows of both databases are read in the default representation regardless of the value options of the readers
+ */
+const VALUE_OPTIONS = getDefaultValueOptions();
+
+/**
+ * Returns the differences between the tables of two databases, e.g. two snapshots of the same database. Differences
+ * are returned one by one: Added and removed tables first, then the changed columns and rows of each table.
+ *
+ * Rows are matched by their primary key or the columns passed in `keys`, which have to be unique in both databases. Only
+ * the rows of the first database are kept in memory while the rows of the second database are compared as they are
+ * read, so a duplicate key in the second database throws after the differences of the rows before it.
+ *
+ * @param readerA Reader of the old database
+ * @param readerB Reader of the new database
+ */
+export function* diffDatabases(
+    readerA: MDBReader,
+    readerB: MDBReader,
+    options: DiffOptions = {}
+): Generator<Difference, void, undefined> {
+    const { keys = {}, data = true } = options;
+    const tableNamesA = readerA.getTableNames();
+    const tableNamesB = readerB.getTableNames();
+    const tables = options.tables ?? [...new Set([...tableNamesA, ...tableNamesB])];
+
+    const commonTables: string[] = [];
+    for (const table of tables) {
+        if (!tableNamesA.includes(table) && !tableNamesB.includes(table)) {
+            throw new Error(`Could not find table with name ${table}`);
+        } else if (!tableNamesB.includes(table)) {
+            yield { type: DifferenceTypes.TableRemoved, table };
+        } else if (!tableNamesA.includes(table)) {
+            yield { type: DifferenceTypes.TableAdded, table };
+        } else {
+            commonTables.push(table);
+        }
+    }
+
+    for (const name of commonTables) {
+        const tableA = readerA.getTable(name);
+        const tableB = readerB.getTable(name);
+        const columns = yield* diffColumns(name, tableA.getColumns(), tableB.getColumns());
+        if (data) {
+            yield* diffRows(name, tableA, tableB, columns, keys[name] ?? getPrimaryKey(tableA));
+        }
+    }
+}
+
+/**
+ * @returns Names of the columns existing in both tables
+ */
+function* diffColumns(
+    table: string,
+    columnsA: ReadonlyArray<Column>,
+    columnsB: ReadonlyArray<Column>
+): Generator<Difference, string[], undefined> {
+    const commonColumns: string[] = [];
+    for (const columnA of columnsA) {
+        const columnB = columnsB.find((c) => c.name === columnA.name);
+        if (columnB === undefined) {
+            yield { type: DifferenceTypes.ColumnRemoved, table, column: columnA };
+            continue;
+        }
+
+        commonColumns.push(columnA.name);
+
+        const changes: { [property in ComparedColumnProperty]?: ValueChange } = {};
+        for (const property of COMPARED_COLUMN_PROPERTIES) {
+            if (columnA[property] !== columnB[property]) {
+                changes[property] = { old: columnA[property], new: columnB[property] };
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            yield { type: DifferenceTypes.ColumnChanged, table, column: columnA.name, changes };
+        }
+    }
+
+    for (const columnB of columnsB) {
+        if (!columnsA.some((c) => c.name === columnB.name)) {
+            yield { type: DifferenceTypes.ColumnAdded, table, column: columnB };
+        }
+    }
+
+    return commonColumns;
+}
+
+function* diffRows(
+    table: string,
+    tableA: Table,
+    tableB: Table,
+    columns: ReadonlyArray<string>,
+    keyColumns: ReadonlyArray<string> | null
+): Generator<Difference, void, undefined> {
+    if (keyColumns === null) {
+        throw new Error(`Table ${table} has no primary key. Pass its key columns in the keys option.`);
+    }
+    for (const column of keyColumns) {
+        if (!columns.includes(column)) {
+            throw new Error(`Key column ${column} does not exist in both versions of table ${table}`);
+        }
+    }
+
+    const getKey = (row: DiffRow): DiffRow => Object.fromEntries(keyColumns.map((column) => [column, row[column]]));
+    const serializeKey = (row: DiffRow): string =>
+        JSON.stringify(toJSONValue(Object.values(getKey(row)), (date) => String(date.getTime())));
+
+    const rowsA = new Map<string, DiffRow>();
+    for (const row of tableA.rows(VALUE_OPTIONS)) {
+        const serializedKey = serializeKey(row);
+        if (rowsA.has(serializedKey)) {
+            throw new Error(`Key ${serializedKey} is not unique in table ${table} of the first database`);
+        }
+        rowsA.set(serializedKey, row);
+    }
+
+    const keysB = new Set<string>();
+    for (const rowB of tableB.rows(VALUE_OPTIONS)) {
+        const serializedKey = serializeKey(rowB);
+        if (keysB.has(serializedKey)) {
+            throw new Error(`Key ${serializedKey} is not unique in table ${table} of the second database`);
+        }
+        keysB.add(serializedKey);
+
+        const rowA = rowsA.get(serializedKey);
+        if (rowA === undefined) {
+            yield { type: DifferenceTypes.RowInserted, table, key: getKey(rowB), row: rowB };
+            continue;
+        }
+        rowsA.delete(serializedKey);
+
+        const changes: { [column: string]: ValueChange } = {};
+        for (const column of columns) {
+            if (!isEqualValue(rowA[column], rowB[column])) {
+                changes[column] = { old: rowA[column], new: rowB[column] };
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            yield { type: DifferenceTypes.RowModified, table, key: getKey(rowB), changes };
+        }
+    }
+
+    for (const rowA of rowsA.values()) {
+        yield { type: DifferenceTypes.RowDeleted, table, key: getKey(rowA), row: rowA };
+    }
+}
+
+function getPrimaryKey(table: Table): string[] | null {
+    const primaryKey = table.getIndexes().find((index) => index.primaryKey);
+    return primaryKey?.columns.map((column) => column.name) ?? null;
+}
+
+/**
+ * Compares values in the default representation, i.e. dates, buffers and the arrays of complex columns by content
+ */
+function isEqualValue(a: unknown, b: unknown): boolean {
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return a.equals(b);
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isEqualValue(item, b[i]));
+    }
+    if (typeof a === "object" && typeof b === "object" && a !== null && b !== null) {
+        const keysA = Object.keys(a);
+        return (
+            keysA.length === Object.keys(b).length &&
+            keysA.every((key) => isEqualValue((a as DiffRow)[key], (b as DiffRow)[key]))
+        );
+    }
+    return Object.is(a, b);
+}
@@ -1,3 +1,30 @@
+import type { Readable as NodeReadable, ReadableOptions } from "stream";
 import browserifyAES from "browserify-aes/browser.js";
+import { unzlibSync } from "fflate";
 export const createDecipheriv = browserifyAES.createDecipheriv;
 export { default as createHash } from "create-hash";
+
+export function randomBytes(size: number): Buffer {
+    // The Web Crypto API is not part of the types of the configured libs
+    const { crypto } = globalThis as unknown as { crypto: { getRandomValues(array: Uint8Array): Uint8Array } };
+    return Buffer.from(crypto.getRandomValues(new Uint8Array(size)));
+}
+
+export function inflateSync(buffer: Buffer): Buffer {
+    return Buffer.from(unzlibSync(buffer));
+}
+
+export function fstatSync(_fd: number): { size: number } {
+    throw new Error("File descriptors are not supported in the browser");
+}
+
+export function readSync(_fd: number, _buffer: Buffer, _offset: number, _length: number, _position: number): number {
+    throw new Error("File descriptors are not supported in the browser");
+}
+
+export type Readable = NodeReadable;
+export const Readable = {
+    from(_iterable: AsyncIterable<unknown>, _options: ReadableOptions): NodeReadable {
+        throw new Error("Streams are not supported in the browser");
+    },
+};
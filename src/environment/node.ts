@@ -1 +1,4 @@
-export { createDecipheriv, createHash } from "crypto";
+export { createDecipheriv, createHash, randomBytes } from "crypto";
+export { fstatSync, readSync } from "fs";
+export { Readable } from "stream";
+export { inflateSync } from "zlib";
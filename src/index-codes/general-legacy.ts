@@ -0,0 +1,246 @@
+/**
+ * Index codes of the legacy General sort order (Access 2000 - 2007) for all characters except surrogates. Generated
+ * from `index_codes_genleg.txt` and `index_codes_ext_genleg.txt` of Jackcess, see `parseIndexCodes` for the format.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/GeneralLegacyIndexCodes.java
+ */
+export const GENERAL_LEGACY_INDEX_CODES = `
+X U3 U4 U5 U6 U7 U8 U9 UA S803 +4 UB UC UD UE UF U10 U11 U12 U13 U14 U15 U16 U17 U18 U19 U1A U1B U1C S7 S9 +1 SC SE S10
+S12 U80 S14 S16 S18 S2C S1A U82 S1C S1E S36 S38 S3A S3C S3E S40 S42 S44 S46 S48 S20 S22 S2E S30 S32 S24 S26 S4A S4C +1
+S4F S51 S53 S55 S57 S59 S5B +1 S5E S60 S62 S64 S66 S68 +1 S6B S6D S6F S71 S73 S75 +1 S78 S27 S29 +1 S2B02 +1 S2B07 S4A
+S4C +1 S4F S51 S53 S55 S57 S59 S5B +1 S5E S60 S62 S64 S66 S68 +1 S6B S6D S6F S71 S73 S75 +1 S78 S2B09 S2B0B S2B0D S2B0F
+U1D U1E U1F U20 U21 U22 U23 U24 U25 U26 U27 U28 U29 U2A U2B U2C U2D U2E U2F U30 U31 U32 U33 U34 U35 U36 U37 U38 U39 U3A
+U3B U3C U3D S802 S2B10 S34A6 +3 S2B11 S34AA S2B12 S34AB I4A,3 S3305 S34AC U83 S34AD S2B13 S34AE S3304 S3A S3C S2B14
+S34AF +2 S2B15 S38 I64,3 S3307 S3712 S3716 S371A S2B16 I4A,F I4A,E I4A,12 I4A,19 I4A,13 I4A,1A S4A51 I4D,1C I51,F I51,E
+I51,12 I51,13 I59,F I59,E I59,12 I59,13 I4F,68 I62,19 I64,F I64,E I64,12 I64,19 I64,13 S3309 I64,21 I6F,F I6F,E I6F,12
+I6F,13 I76,E S6D57 S6B6B I4A,F I4A,E I4A,12 I4A,19 I4A,13 I4A,1A S4A51 I4D,1C I51,F I51,E I51,12 I51,13 I59,F I59,E
+I59,12 I59,13 I4F,68 I62,19 I64,F I64,E I64,12 I64,19 I64,13 S330A I64,21 I6F,F I6F,E I6F,12 I6F,13 I76,E S6D57 I76,13
+I4A,17 I4A,17 I4A,15 I4A,15 I4A,1B I4A,1B I4D,E I4D,E I4D,12 I4D,12 I4D,10 I4D,10 I4D,14 I4D,14 I4F,14 I4F,14 I4F,1E
+I4F,1E I51,17 I51,17 I51,15 I51,15 I51,10 I51,10 I51,1B I51,1B I51,14 I51,14 I55,12 I55,12 I55,15 I55,15 I55,10 I55,10
+I55,1C I55,1C I57,12 I57,12 I57,1E I57,1E I59,19 I59,19 I59,17 I59,17 I59,15 I59,15 I59,1B I59,1B I59,10 I59,3 S595B
+S595B I5B,12 I5B,12 I5C,1C I5C,1C I5C,3 I5E,E I5E,E I5E,1C I5E,1C I5E,14 I5E,14 I5E,11 I5E,11 I5E,1F I5E,1F I62,E I62,E
+I62,1C I62,1C I62,14 I62,14 I62,48 S6305 S6305 I64,17 I64,17 I64,15 I64,15 I64,1D I64,1D S6451 S6451 I69,E I69,E I69,1C
+I69,1C I69,14 I69,14 I6B,E I6B,E I6B,12 I6B,12 I6B,1C I6B,1C I6B,14 I6B,14 I6D,1C I6D,1C I6D,14 I6D,14 I6E06,1E I6E06,1E
+I6F,19 I6F,19 I6F,17 I6F,17 I6F,15 I6F,15 I6F,1A I6F,1A I6F,1D I6F,1D I6F,1B I6F,1B I73,12 I73,12 I76,12 I76,12 I76,13
+I78,E I78,E I78,10 I78,10 I78,14 I78,14 S6C06 I4C,1E I4C,43 I4C,68 I4C,68 I4C,87 I4C,87 I4D,7D I4D,43 I4D,43 I5002,4
+I4F,43 I4F,1E I4F,1E I4F,7C I51,7D I51,7E I51,7B I53,43 I53,7B I55,43 I55,7B I57,7B I59,7B I59,1E I5C,43 I5C,43 I5E,1E
+I5E,20 I60,7B I62,43 I62,7B I64,20 I64,52 I64,52 I64,7C I64,7C I66,43 I66,43 I69,7B I6B,87 I6B,87 I6B,7C I6B,7F I6D,57
+I6D,43 I6D,43 I6D,59 I6F,52 I6F,52 I6F,7B I71,7B I76,43 I76,43 I78,1E I78,1E S7902 I7902,7C I7902,7C I7902,7D I3A,3
+I4102,3 I4102,3 S790A I73,7B S330B +2 S2B17 I4F78,214 I4F78,214 I4F78,214 S5E5B S5E5B S5E5B S625B S625B S625B I4A,14
+I4A,14 I59,14 I59,14 I64,14 I64,14 I6F,14 I6F,14 I6F,28 I6F,28 I6F,1F I6F,1F I6F,25 I6F,25 I6F,20 I6F,20 I51,7D I4A,28
+I4A,28 I4A,25 I4A,25 I4A51,1717 I4A51,1717 I55,1E I55,1E I55,14 I55,14 I5C,14 I5C,14 I64,1B I64,1B I64,30 I64,30
+I7902,14 I7902,14 I5B,14 S4F78 S4F78 S4F78 I55,E I55,E X +3 I4A,26 I4A,26 I4A51,E0E I4A51,E0E I64,2B I64,2B I4A,44
+I4A,44 I4A,46 I4A,46 I51,44 I51,44 I51,46 I51,46 I59,44 I59,44 I59,46 I59,46 I64,44 I64,44 I64,46 I64,46 I69,44 I69,44
+I69,46 I69,46 I6F,44 I6F,44 I6F,46 I6F,46 X +55 I4A,7B I4A,7C I4A,7D I4C,43 I4D,7B I4D,7C I4F,59 I4F,43 I51,80 I51,7E
+I51,7F I51,7B I51,81 I51,82 I51,83 I5B,1E I55,43 I55,7D S55 I55,7B I55,7C I57,7C I57,43 I5802,43 I59,1E I59,7B S59
+I5E,19 I5E,7B I5E,59 I5E,7C I60,7B I60,7C I60,43 I62,43 I62,59 S62 I64,20 I64,7B I64,7E I66,7B I69,7B I69,7C I69,7D
+I69,7E I69,43 I69,7F I69,80 S69 I69,7B I6B,43 I51,7C I5B,43 I51,84 I51,85 I6D,7B I6D,59 I6F,1E I6F,7B I71,7B I71,7C
+I73,7C I76,7B S76 I78,59 I78,7E S7902 I7902,7E I790A,3 I790A,4 I790A,5 I4D,88 S790B S4C I51,86 I55,43 S57 I5B,7B +1 S5E
+I68,43 I790A,6 I790A,B I5003,7B I4F,7B I5003,7C I6E05,7B I6D,7C I6D,7D X +6 I57,7E I57,7F I5B,7E I69,81 I69,82 I69,83
+I69,84 I73,7E I76,7E PC P19 P45 P46 P47 P77 P78 P3F P79 P7A P7B P7C P7D I2B02,3 S2B18 P40 I2B13,3 +1 I2B07,3 P5A P62 P7E
+P7F S2B99 P81 P82 P83 P50 P51 P52 P53 I2B18,3 S2B19 +4 P84 X I55,7E I5E,7E I6B,7E I75,7E P85 P86 P87 P88 P89 P8A X +21
+PD PC P10 P17 P15 P3E P13 PE P11 P3F P18 P1B P12 P3 P41 P42 P43 P44 P45 P46 P47 P48 P49 P4A P4B P4C P4D P4E P4F P50 P51
+P52 P53 P54 P55 P56 P57 P58 P59 P1A P19 P5A P5B P5C P5D P5E P5F P60 P61 P62 P63 P64 P65 P1C P1C P1D P1E P67 P68 P69 P6A
+P6B P6C P6D P6E P6F P8D P8E P14 P90 P74 P75 P76 X +38 P91 P92 P93 X S2B1E +1 X +3 S2B20 X +2 S2B21 X +4 S2B22 +1 I790C,5
+X I7910,5 I7912,5 I7914,5 X I791A,5 X I791F,5 I7923,5 I7914,16 S790C +16 X S791D +6 I7914,13 I791F,13 I790C,5 I7910,5
+I7912,5 I7914,5 I791F,16 S790C +17 S791D +6 I7914,13 I791F,13 I791A,5 I791F,5 I7923,5 X I790D,3 I7913,3 I791F,1B
+I791F,44 I791F,13 I7920,3 I791B,3 X +2 S7924 S7924 +1 S7925 +1 S7926 +1 S7927 +1 S7928 +1 S7929 +1 S792A +1 S792B +1
+S792C +1 S792D +1 S792E I7915,3 I791C,3 I791D,4 X +13 I7936,13 S7935 I7932,E S7937 S793A S793C +1 S793F S7942 S7945
+S794B I7940,E X S794E S7954 S792F +4 S7936 S7938 +1 S793B S793E S7940 +1 S7943 +1 S7946 +4 S794D S7950 +3 S7955 +7 S792F
++4 S7936 S7938 +1 S793B S793E S7940 +1 S7943 +1 S7946 +4 S794D S7950 +3 S7955 +7 X I7936,13 S7935 I7932,E S7937 S793A
+S793C +1 S793F S7942 S7945 S794B I7940,E X S794E S7954 S795E S795E +1 I7944,3 S7960 S7960 +1 S7961 +1 S7962 +1 S7963 +1
+S7964 +1 S7965 +1 S7966 +1 S7967 +1 S7968 I7968,46 I7968,46 S7969 S7969 +1 S796A +1 S796B +1 S796C +1 S796D I4926,37 P94
+P95 P96 P97 X +8 I7932,3 I7932,3 I7932,1A I7932,1A I7932,5 I7932,5 I7938,7 I7938,7 I7939,1A I7939,1A I7940,17 I7940,17
+I7940,9 I7940,9 I7940,4 I7940,4 I7940,A I7940,A I7944,7 I7944,7 I7944,8 I7944,8 I7947,5 I7947,5 I7946,5 I7946,5 I7949,1A
+I7949,1A I794A,7 I794A,7 I794D,B I794D,B S794F S794F I7951,17 I7951,17 I7952,3 I7952,3 I7953,8 I7953,7 I7953,9 I7953,9
+I7944,9 I7944,9 I7936,5 I7936,5 I7936,17 I7936,17 I793C,3 I7938,15 I7938,15 I7940,5 I7940,5 I7940,6 I7940,6 I7944,A
+I7944,A I7951,6 I7951,6 I7953,D I7953,D X +99 S796E +37 X +1 P98 P99 S2B24 +4 X S796E +37 X +1 S2B29 X +6 P3 P4 P5 P6 P7
+P8 P9 PA PB PC PD PE PF P10 P11 P12 P13 P14 P15 P16 P17 P18 P19 P1A P1B P1C P1D P1E P1F P20 P21 P22 P23 P24 P25 P26 P27
+P28 P29 P2A P2B P2C P2D P2E P2F S2B2A P30 P31 P32 P33 S2B2B X +11 S7994 +10 S799E +2 S79A0 +1 S79A1 +3 S79A4 +1 S79A5 +4
+X +4 S79997999 S7999799D S799D799D S2B2C +1 X +22 S2B2E X +13 S2B2F X +2 S2B30 X S79AA I79AA,3 I79AA,4 I79AA,5 I79AA,6
+I79AA,7 I79AB,8 +1 I79AE,8 I79AE,8 +2 I79B2,8 +5 I79B9,8 +7 X +5 I79C1,8 +2 I79C5,8 +4 I79CA,5 I79CA,7 UA0 UA1 UA2 UA3
+UA4 UA5 S4A UA6 X +12 I3702,38 I3902,38 I3B02,38 I3D02,38 I3F02,38 I4103,38 I4302,38 I4502,38 I4702,38 I4902,38 S2B31 +2
+X +2 S79CB +13 I79AD,8 S79D9 +6 I79B1,8 S79E0 +16 I79B8,8 S79F1 +14 S7A02 +6 I79C4,8 S7A09 +35 S2B34 S7A2D X +25
+I3703,39 I3903,39 I3B03,39 I3D03,39 I3F03,39 I4104,39 I4303,39 I4503,39 I4703,39 I4903,39 X +518 P3 P4 S7A2E X S7A2F +52
+X +1 P5 S7A64 +3 P6 P7 P8 P9 PA PB PC PD S7A68 +3 PE X +1 S7A6C PF P10 P11 P12 X +2 I7A3F,7 +2 I7A46,7 I7A4B,7 +1
+I7A55,7 I7A59,7 S7A6D +1 P13 P14 P15 S7A6F I3704,3A I3904,3A I3B04,3A I3D04,3A I3F04,3A I4105,3A I4304,3A I4504,3A
+I4704,3A I4904,3A S7A70 X +15 P3 S7A71 +1 X S7A73 +7 X +1 S7A7B +1 X +1 S7A7D +21 X S7A93 +6 X S7A9A X +2 S7A9B +3 X +1
+P4 X S7A9F +2 P5 P6 P7 P8 X +1 S7AA2 +1 X +1 S7AA4 +1 P9 X +8 S7AA6 X +3 I7A8B,6 +1 X I7A98,6 S7AA7 +1 PA PB X +1
+I3705,3B I3905,3B I3B05,3B I3D05,3B I3F05,3B I4106,3B I4305,3B I4505,3B I4705,3B I4905,3B S7AA9 +3 I3905,3C I3B05,3C
+I3D05,3C I3F05,3C I35A2,3C I491D,3C S7AAD X +6 P3 X +1 S7AAE +5 X +3 S7AB4 +1 X +1 S7AB6 +21 X S7ACC +6 X S7AD3 +1 X
+S7AD5 +1 X S7AD7 +1 X +1 P4 S7AD9 +3 P5 P6 X +3 P7 P8 X +1 P9 PA X +11 I7AB9,6 +1 I7ABF,6 I7AC4,6 X I7ACD,6 X +6
+I3706,3D I3906,3D I3B06,3D I3D06,3D I3F06,3D I4107,3D I4306,3D I4506,3D I4706,3D I4906,3D PB PC S7ADD +2 X +11 P3 P4
+S7AE0 X S7AE1 +6 X +2 S7AE8 +1 X +1 S7AEA +21 X S7B02 +6 X S7B09 +1 X S7B0B +4 X +1 P5 S7B10 +3 P6 P7 P8 P9 PA X PB PC X
++1 S7B14 +1 PD X +1 S7B16 X +14 S7B17 X +4 I3707,3E I3907,3E I3B07,3E I3D07,3E I3F07,3E I4108,3E I4307,3E I4507,3E
+I4707,3E I4907,3E X +16 P3 S7B18 +1 X S7B1A +7 X +1 S7B22 +1 X +1 S7B24 +21 X S7B3A +6 X S7B41 +1 X +1 S7B43 +3 X +1 P4
+S7B47 +1 P5 S7B49 P6 P7 P8 X +2 S7B4A +1 X +1 S7B4C +1 P9 X +8 S7B4E X +3 I7B32,6 +1 X I7B3F,6 S7B4F +1 X +3 I3708,3F
+I3908,3F I3B08,3F I3D08,3F I3F08,3F I4109,3F I4308,3F I4508,3F I4708,3F I4908,3F S7B51 X +16 S7B52 +1 X S7B54 +5 X +2
+S7B5A +2 X S7B5D +3 X +2 S7B61 +1 X S7B63 X S7B64 +1 X +2 S7B66 +1 X +2 S7B68 +2 X +2 S7B6B +7 X S7B73 +2 X +3 S7B76 +1
+P3 S7B78 +1 X +2 S7B7A +2 X S7B7D +2 P4 X +8 S7B80 X +14 I3909,40 I3B09,40 I3D09,40 I3F09,40 I410A,40 I4309,40 I4509,40
+I4709,40 I4909,40 I4913,40 I4923,40 I4927,40 X +13 S7B81 +2 X S7B84 +7 X S7B8C +2 X S7B8F +22 X S7BA6 +9 X S7BB0 +4 X +3
+P3 P4 P5 S7BB5 +3 X P6 P7 P8 X P9 PA PB PC X +6 PD PE X +8 S7BB9 +1 X +3 I3709,41 I390A,41 I3B0A,41 I3D0A,41 I3F0A,41
+I410B,41 I430A,41 I450A,41 I470A,41 I490A,41 X +17 S7BBB +1 X S7BBD +7 X S7BC5 +2 X S7BC8 +22 X S7BDF +9 X S7BE9 +4 X +3
+S7BEE P3 S7BEF +4 X P4 S7BF4 +1 X S7BF6 +2 P5 X +6 S7BF9 +1 X +6 S7BFB X S7BFC +1 X +3 I370A,42 I390B,42 I3B0B,42
+I3D0B,42 I3F0B,42 I410C,42 I430B,42 I450B,42 I470B,42 I490B,42 X +17 S7BFE +1 X S7C02 +7 X S7C0A +2 X S7C0D +22 X S7C24
++15 X +3 S7C34 +2 P3 P4 P5 X +1 S7C37 +2 X S7C3A +2 P6 X +8 S7C3D X +7 S7C3E +1 X +3 I370B,43 I390C,43 I3B0C,43 I3D0C,43
+I3F0C,43 I410D,43 I430C,43 I450C,43 I470C,43 I490C,43 X +17 S7C40 +1 X S7C42 +6 X +1 S7C49 +2 X S7C4C +22 X S7C63 +6 X
+S7C6A +1 X S7C6C +4 X +3 S7C71 +6 X S7C78 +2 X S7C7B +3 X +6 S7C7F X S7C80 X +5 S7C81 X S7C82 X +5 S7C83 +15 X +9
+I7C98,3 I7C9E,3 I7CA4,3 I7CAA,3 I7CB0,3 I7CB6,3 I7CBC,3 I7CC2,3 I7CC8,3 I7CCE,3 I7CD4,3 I7CDA,3 I7CE0,3 I7CE6,3 I7CEC,3
+I7CF2,3 I7CF8,3 I7CFE,3 I7D06,3 I7D0C,3 I7D12,3 I7D18,3 I7D1E,3 I7D24,3 I7D2A,3 I7D30,3 I7D36,3 I7D3C,3 I7D42,3 I7D48,3
+I7D4E,3 I7D54,3 I7D5A,3 I7D60,3 I7D66,3 I7D6C,3 I7D72,3 I7D78,3 I7D7E,3 I7D84,3 I7D8A,3 I7D90,3 I7D96,3 I7D9C,3 I7DA2,3
+I7DA8,3 I7DAE,3 +11 X +3 S359F I7C93,3 +4 I7DBA,3 +1 P2 P3 P4 P5 P6 X P7 I7DBC,3 +1 I370C,44 I390D,44 I3B0D,44 I3D0D,44
+I3F0D,44 I410E,44 I430D,44 I450D,44 I470D,44 I490D,44 I7DBE,3 +1 X +19 I7C93,3 +4 X +11 S7D93 +1 X S7D95 X +1 S7D96 +1 X
+S7D98 X +1 S7D99 X +5 S7D9A +3 X S7D9E +6 X S7DA5 +2 X S7DA8 X S7DA9 X +1 S7DAA +1 X S7DAC +3 P3 S7DB0 +1 P4 P5 P6 P7 P8
+P9 X PA PB S7DB2 X +1 S7DB3 +4 X S7DB8 X PC PD PE PF P10 P11 X +1 I370D,45 I390E,45 I3B0E,45 I3D0E,45 I3F0E,45 I410F,45
+I430E,45 I450E,45 I470E,45 I490E,45 X +1 S7DB9 +1 X +17 S7DBB +4 X +266 S7DC0 +34 X +2 P3 P4 P5 P6 P7 S7DE3 +1 X P8
+S7DE5 P9 S7DE6 X S7DE7 +2 PA PB S7DEA +2 PC S7DED PD PE X I370E,46 I390F,46 I3B0F,46 I3D0F,46 I3F0F,46 I4110,46 I430F,46
+I450F,46 I470F,46 I490F,46 S7DEE PF P10 X +82 S7DEF +6 S7DF7 +5 S7DFE +1 S7E02 +4 S7E08 +10 S7E14 +1 S7DF6 S7DFD S7E07
+S7E13 S7E1A X +9 S7DEF +6 S7DF7 +5 S7DFE +1 S7E02 +4 S7E08 +10 S7E14 +1 S7DF6 S7DFD S7E07 S7E13 S7E1A +1 X +3 S2B9A X +3
+S8102 S8353 S85A7 S8803 S8A55 S8CA7 S8F10 S916A S93BF S961F S9879 S9AD5 S9D7B S9FCE SA224 SA479 SA6CA SA91D SAB70 S87F9
+S87F8 S87FA +1 S8A54 S8EFA S8EFD S8F0D +1 S9163 S9169 S93BB +2 S9612 +9 S961D +1 S9872 +6 S987A S9ACE S9ACD S9ACF +4
+S9620 S987B S9621 S987C S9AD4 S9D6C S9D6E +3 S9D73 S9D6B S9D75 +1 S9D78 +2 SA223 S9D7C S9FCF S9D7D S9FD0 SA477 +1 SA225
++1 SAB6E +1 SADC1 +1 X +4 SADC7 S9B1A S9AD6 +41 S9B02 +17 S9B15 S9B14 S9B16 +3 X +4 S8102 S8353 S85A5 S85A7 S87FE S8802
++1 S8CA7 S8EF8 S8EFE S8F03 S8F07 S8F0A +2 S8F10 S916A S9612 S961F S9879 S9AD5 S9D7B SA224 SA479 SA6CA SA91D SAB70 S85A4
+S85A6 S87F9 +1 S87FC +1 S87FF S8A54 S8A56 S8EF9 +4 S8EFF S8F02 S8F04 +2 S8F08 +1 S8F0C S8F0F S9161 +8 S93BE S961B +2
+S9872 S9874 +1 S9877 S9AD4 S9D6C +1 S9D6B S9D77 S9D7A S9D72 S9D74 SAB6E +1 SADC3 +3 SADC2 X +3077 I4A,5A I4A,5A I4C,10
+I4C,10 I4C,58 I4C,58 I4C,55 I4C,55 I4D,28 I4D,28 I4F,10 I4F,10 I4F,58 I4F,58 I4F,55 I4F,55 I4F,1C I4F,1C I4F,60 I4F,60
+I51,24 I51,24 I51,23 I51,23 I51,60 I51,60 I51,63 I51,63 I51,2F I51,2F I53,10 I53,10 I55,17 I55,17 I57,10 I57,10 I57,58
+I57,58 I57,13 I57,13 I57,1C I57,1C I57,61 I57,61 I59,63 I59,63 I59,1F I59,1F I5C,E I5C,E I5C,58 I5C,58 I5C,55 I5C,55
+I5E,58 I5E,58 I5E,6E I5E,6E I5E,55 I5E,55 I5E,60 I5E,60 I60,E I60,E I60,10 I60,10 I60,58 I60,58 I62,10 I62,10 I62,58
+I62,58 I62,55 I62,55 I62,60 I62,60 I64,25 I64,25 I64,2A I64,2A I64,24 I64,24 I64,23 I64,23 I66,E I66,E I66,10 I66,10
+I69,10 I69,10 I69,58 I69,58 I69,6E I69,6E I69,55 I69,55 I6B,10 I6B,10 I6B,58 I6B,58 I6B,1D I6B,1D I6B,22 I6B,22 I6B,68
+I6B,68 I6D,10 I6D,10 I6D,58 I6D,58 I6D,55 I6D,55 I6D,60 I6D,60 I6F,59 I6F,59 I6F,63 I6F,63 I6F,5A I6F,5A I6F,25 I6F,25
+I6F,28 I6F,28 I71,19 I71,19 I71,58 I71,58 I73,F I73,F I73,E I73,E I73,13 I73,13 I73,10 I73,10 I73,58 I73,58 I75,10
+I75,10 I75,13 I75,13 I76,10 I76,10 I78,12 I78,12 I78,58 I78,58 I78,55 I78,55 I57,55 I6D,13 I73,1A I76,1A I4A,69 X +4
+I4A,59 I4A,59 I4A,43 I4A,43 I4A,1E I4A,1E I4A,1F I4A,1F I4A,55 I4A,55 I4A,29 I4A,29 I4A,6A I4A,6A I4A,21 I4A,21 I4A,22
+I4A,22 I4A,58 I4A,58 I4A,2C I4A,2C I4A,6D I4A,6D I51,58 I51,58 I51,43 I51,43 I51,19 I51,19 I51,1E I51,1E I51,1F I51,1F
+I51,55 I51,55 I51,29 I51,29 I51,6A I51,6A I59,43 I59,43 I59,58 I59,58 I64,58 I64,58 I64,43 I64,43 I64,1E I64,1E I64,1F
+I64,1F I64,55 I64,55 I64,29 I64,29 I64,6A I64,6A I64,60 I64,60 I64,61 I64,61 I64,95 I64,95 I64,69 I64,69 I64,AA I64,AA
+I6F,58 I6F,58 I6F,43 I6F,43 I6F,60 I6F,60 I6F,61 I6F,61 I6F,95 I6F,95 I6F,69 I6F,69 I6F,AA I6F,AA I76,F I76,F I76,58
+I76,58 I76,44 I76,44 I76,19 I76,19 X +261 S808 +12 X +2 U84 U85 U88 U89 U8B U8C S2B35 +9 S34B3 +6 U86 S815 +1 X +5 S34BA
++1 S2B3F +8 S34BC S2B48 +3 S34BD +2 U87 S2D05 I27,1C I2A,1C X +40 S36 X +2 S3E S40 S42 S44 S46 S48 S2C U82 S30 S14 S16
+S62 S36 S38 S3A S3C S3E S40 S42 S44 S46 S48 S2C U82 S30 S14 S16 X +16 S34C0 +11 S35A1 X +34 PDD PDE PDF PE0 PE1 PE2 PE3
+PE4 PE5 PE6 PE7 PE8 PE9 PEC PED PEE PEF PF0 X +29 S4B04 S4B06 I4D,3 I4D,4 S4E0A S4E0F +1 I51,64 S6C02 I53,4 I55,3 I57,5
+I57,4 I57,3 I57,3 I57,68 I59,4 I59,5 I5E,4 I5E,4 S5F02 I62,3 S6302 S35A0 I66,4 I66,3 I68,3 I69,4 I69,5 I69,3 S6A02 +1
+S6C03 S6E02 S6E04 S7202 I78,3 I78,63 I7923,3 I7923,5 I78,5 I7923,4 S5D02 I4A,1A I4C,4 I4D,5 I51,5 I51,4 I51,4 I53,5
+I53,3 I60,4 I64,4 S7994 +3 X +25 S3713 S3719 S3711 S3715 S3717 S371B S3710 S371C S370F S3714 S3718 S371D I38,3 I3910,47
+I3B10,47 I3D10,47 I3F10,47 I4111,47 I4310,47 I4510,47 I4710,47 I4910,47 I4914,47 I4916,47 I4918,47 I4922,47 I4924,47 +1
+I4928,47 I3910,47 I3B10,47 I3D10,47 I3F10,47 I4111,47 I4310,47 I4510,47 I4710,47 I4910,47 I4914,47 I4916,47 I4918,47
+I4922,47 I4924,47 +1 I4929,47 +3 X +12 I3486,3 I3480,3 I3482,3 I3484,3 I3488,3 +1 I3487,3 I3481,3 I3483,3 I3485,3
+I3486,4 I3482,4 I3486,5 I3482,5 I3486,6 I3480,4 I3482,6 I3484,4 I3486,7 I3482,7 I3486,8 I3480,5 I3482,8 I3484,5 I3489,4
+I3486,9 I3482,9 I3486,A I3482,A I3488,4 I3488,5 I3484,6 I3486,B I3482,B I3486,C I3482,C I3484,7 I3486,D I348B,3 I348A,3
+I3487,4 I3488,6 I348B,4 I348A,4 I3486,E I3486,F I3480,6 I3480,7 I3482,D I3482,E I3484,8 I3484,9 I3488,7 I3489,6 I3488,8
+I3486,10 I3480,8 I3482,F I3484,A I3488,9 I3488,A I3486,11 I3488,B I3486,12 I3482,10 I3480,9 I3482,11 I3484,B I3488,C
+I3489,5 I3487,5 I3481,4 I3483,4 I3485,4 I3486,13 I3482,12 I3486,14 I3482,13 I3480,A I3484,C I3486,15 I3480,B I3482,14
+I3484,D I3486,16 I3482,15 I3486,17 I3480,C I3482,16 I3484,E I3480,D X +20 S330E +17 S2D02 S2D0A S3320 S2D06 S3321 S2D07
++2 S3322 +3 S492D S3326 +74 I3306,3 I3308,3 S3371 +13 S2F02 S3302 S337F +24 I2C,EE I2D02,EE I2D04,EE I2D06,EE I2D09,EE
+I2D08,EE I2D07,EE I30,EE I2D03,EE I2C,EF I2D02,EF I2D04,EF I2D09,EF S3398 +13 S2F03 S3303 S33A6 +63 X +13 S33E6 +25
+S3402 +96 X +132 S2B74 +33 S817 +1 S2B96 X +26 S3594 +10 X +20 I38,EE I3A,EE I3C,EE I3E,EE I40,EE I42,EE I44,EE I46,EE
+I48,EE I4912,EE I4915,EE I4917,EE I4919,EE +3 I491E,EE +3 I38,F3 I3A,F3 I3C,F3 I3E,F3 I40,F3 I42,F3 I44,F3 I46,F3 I48,F3
+I4912,F3 I4915,F3 I4917,F3 I4919,F3 +3 I491E,F3 +3 I38,F4 I3A,F4 I3C,F4 I3E,F4 I40,F4 I42,F4 I44,F4 I46,F4 I48,F4
+I4912,F4 I4915,F4 I4917,F4 I4919,F4 +3 I491E,F4 +3 I4A,F3 I4C,F3 +1 I4F,F3 I51,F3 I53,F3 I55,F3 I57,F3 I59,F3 I5B,F3 +1
+I5E,F3 I60,F3 I62,F3 I64,F3 I66,F3 I68,F3 +1 I6B,F3 I6D,F3 I6F,F3 I71,F3 I73,F3 I75,F3 +1 I78,F3 I4A,EE I4C,EE +1 I4F,EE
+I51,EE I53,EE I55,EE I57,EE I59,EE I5B,EE +1 I5E,EE I60,EE I62,EE I64,EE I66,EE I68,EE +1 I6B,EE I6D,EE I6F,EE I71,EE
+I73,EE I75,EE +1 I78,EE I4A,EE I4C,EE +1 I4F,EE I51,EE I53,EE I55,EE I57,EE I59,EE I5B,EE +1 I5E,EE I60,EE I62,EE I64,EE
+I66,EE I68,EE +1 I6B,EE I6D,EE I6F,EE I71,EE I73,EE I75,EE +1 I78,EE I36,EE X +20 I348C,3 I348C,4 I348F,3 I348F,4
+I348C,5 I348C,6 I348F,5 I348F,6 I348C,7 I348C,8 I348F,7 I348F,8 I3492,3 I3492,4 I3492,5 I3492,6 I3493,3 I3493,4 I3493,5
+I3493,6 I3494,3 I3494,4 I3494,5 I3494,6 I3495,3 I3495,4 I3495,5 I3495,6 I3496,3 I3496,4 I3496,5 I3496,6 I3496,7 I3496,8
+I3496,9 I3496,A I3497,3 I3497,4 I3497,5 I3497,6 I3497,7 I3497,8 I3497,9 I3497,A I3498,3 I3498,4 I3498,5 I3498,6 I3498,7
+I3498,8 I3498,9 I3498,A I3499,3 I3499,4 I3499,5 I3499,6 I3499,7 I3499,8 I3499,9 I3499,A I349A,3 I349A,4 I349A,5 I349A,6
+I349A,7 I349A,8 I349A,9 I349A,A I349A,B I349A,C I349A,D I349A,E I349A,F I349A,10 I349A,11 I349A,12 I348C,9 I348C,A
+I348F,9 I348F,A I348C,B I348F,B I3492,7 I3492,8 I3492,9 I3493,7 I3493,8 I3493,9 I3494,7 I3494,8 I3494,9 I3495,7 I3495,8
+I3495,9 I3496,B I3496,C I3496,D I3497,B I3497,C I3497,D I3498,B I3498,C I3498,D I3499,B I3499,C I3499,D I349A,13
+I349A,14 I349A,15 I3492,A +1 I3495,A I3494,A I349B,3 +2 I348D,3 I3490,3 I348E,3 I3491,3 I348D,4 I3490,4 I348E,4 I3491,4
+I348C,C I348F,C I348C,D I348F,D I34A1,3 I349E,3 +2 I34A1,4 I34A2,3 +3 I34A4,4 I34A3,4 I34A2,4 I34A1,5 I34A0,4 I349F,4
+I349E,4 I34A1,6 I34A5,4 I34A5,5 I34A5,6 I349E,5 I349E,6 X +9 I3463,3 I3463,4 I3463,5 I3463,6 I3463,7 I3463,8 I3463,9
+I3463,A I3463,B I3463,C I3463,D I3463,E I3464,3 I3464,4 I3465,3 I3465,4 I3466,3 I3466,4 I3467,3 I3467,4 I3467,5 I3467,6
+I3468,3 I3468,4 I3468,5 I3468,6 I346B,3 I346B,4 I3469,3 I3469,4 I3469,5 I3469,6 I346A,3 I346A,4 I346A,5 I346A,6 I346C,3
+I346C,4 I346D,3 I346D,4 I346D,5 I346E,3 +2 I3470,4 I3470,5 I3470,6 I3470,7 I3470,8 I3470,9 I3470,A I3470,B I3470,C
+I3470,D I3471,3 +2 I3470,E I3474,3 +11 I3473,4 I3463,F I3463,10 I3463,11 I3463,12 I3463,13 I3467,7 I3467,8 I3467,9 S3468
+X +15 S34D3 +4 S34D9 S34D8 S34DA +12 X +5 I3486,3C I3482,3D I3486,3D I3480,3C I3482,3C I3484,3C S34E7 +24 S3502 +54 X
++144 S3539 +3 X S353D +3 X +1 S3541 +27 X S355D S3564 S355F +4 S355E S3565 +26 X S3580 X S3581 +3 X +2 S3585 X S3586 +6
+X +1 S358D +6 X +13 I38,EE I3A,EE I3C,EE I3E,EE I40,EE I42,EE I44,EE I46,EE I48,EE I4912,EE I38,EE I3A,EE I3C,EE I3E,EE
+I40,EE I42,EE I44,EE I46,EE I48,EE I4912,EE I38,EE I3A,EE I3C,EE I3E,EE I40,EE I42,EE I44,EE I46,EE I48,EE I4912,EE
+I3482,17 X +2 I3483,5 I3482,18 I3481,5 I3482,19 I3482,1A I3482,1B I3482,1C I3482,1D I3482,1E I3482,1F I3482,20 I3482,21
+I3482,22 I3482,23 I3482,24 I3482,25 I3482,26 I3482,27 I3482,28 I3482,29 I3482,2A I3482,2B I3482,2C I3482,2D X I3482,2E
+I3482,2F I3482,30 I3483,6 I3482,31 I3481,6 I3483,7 I3482,32 I3481,7 I3482,33 I3482,34 I3482,35 I3482,36 I3482,37 X +2112
+S7 S1B03 S1D02 S2B97 S34D1 I4A,5 S2B98 X S2B51 S2B53 S2B55 S2B57 S2B59 S2B5B S2B5D S2B5F S2B61 S2B63 S34CC +1 S2B66
+S2B69 S2B6B +5 U8D S2B71 +2 S34CE I3911,4E I3B11,4E I3D11,4E I3F11,4E I4112,4E I4311,4E I4511,4E I4711,4E I4911,4E P7 P8
+P9 PB P7 P8 U8E S4A I4A,3 X +2 S34CF X +7 S34D0 X Z7F02,,1 Z7F02,, Z7F03,,1 Z7F03,, Z7F04,,1 Z7F04,, Z7F05,,1 Z7F05,,
+Z7F06,,1 Z7F06,, Z7F0A,, Z7F0A,3, Z7F0B,, Z7F0B,3, Z7F0C,, Z7F0C,3, Z7F0D,, Z7F0D,3, Z7F0E,, Z7F0E,3, Z7F12,, Z7F12,3,
+Z7F13,, Z7F13,3, Z7F14,, Z7F14,3, Z7F15,, Z7F15,3, Z7F16,, Z7F16,3, Z7F1A,, Z7F1A,3, Z7F1B,, Z7F1B,3, Z7F1C,,1 Z7F1C,,
+Z7F1C,3, Z7F1D,, Z7F1D,3, Z7F1E,, Z7F1E,3, Z7F22,, +4 Z7F2A,, Z7F2A,3, Z7F2A,4, Z7F2B,, Z7F2B,3, Z7F2B,4, Z7F2C,,
+Z7F2C,3, Z7F2C,4, Z7F2D,, Z7F2D,3, Z7F2D,4, Z7F2E,, Z7F2E,3, Z7F2E,4, Z7F32,, +4 Z7F3A,,1 Z7F3A,, Z7F3C,,1 Z7F3C,,
+Z7F3E,,1 Z7F3E,, Z7F42,, +4 Z7F4A,,1 Z7F4A,, +1 Z7F4D,, +1 Z7F80,, Z7F04,3, X +3 P1 P2 P1 P2 S4A I4A,3 X +1 Z7F02,,1
+Z7F02,, Z7F03,,1 Z7F03,, Z7F04,,1 Z7F04,, Z7F05,,1 Z7F05,, Z7F06,,1 Z7F06,, Z7F0A,, Z7F0A,3, Z7F0B,, Z7F0B,3, Z7F0C,,
+Z7F0C,3, Z7F0D,, Z7F0D,3, Z7F0E,, Z7F0E,3, Z7F12,, Z7F12,3, Z7F13,, Z7F13,3, Z7F14,, Z7F14,3, Z7F15,, Z7F15,3, Z7F16,,
+Z7F16,3, Z7F1A,, Z7F1A,3, Z7F1B,, Z7F1B,3, Z7F1C,,1 Z7F1C,, Z7F1C,3, Z7F1D,, Z7F1D,3, Z7F1E,, Z7F1E,3, Z7F22,, +4
+Z7F2A,, Z7F2A,3, Z7F2A,4, Z7F2B,, Z7F2B,3, Z7F2B,4, Z7F2C,, Z7F2C,3, Z7F2C,4, Z7F2D,, Z7F2D,3, Z7F2D,4, Z7F2E,, Z7F2E,3,
+Z7F2E,4, Z7F32,, +4 Z7F3A,,1 Z7F3A,, Z7F3C,,1 Z7F3C,, Z7F3E,,1 Z7F3E,, Z7F42,, +4 Z7F4A,,1 Z7F4A,, +1 Z7F4D,, +1 Z7F80,,
+Z7F04,3, Z7F0A,,1 Z7F0D,,1 Z7F4A,3, +1 Z7F4D,3, +1 S34B2 S4A S4A I4A,3 X +5 S8002 +39 X +3 S8102 S8353 S85A5 S85A7 S87FE
+S8802 +1 S8A55 S8CA7 S8EF8 S8EFE S8F03 S8F07 S8F0A +1 S8F0D S8F10 S916A S93BF S9612 S961F S9879 S9AD5 S9D7B S9FCE SA224
+SA479 SA6CA SA91D SAB70 S9AD6 +20 SADC8 S87F8 S87FA S87FC +1 S8EF9 S8EFB S8F04 S8F09 S8F0F S9163 +1 S9166 S9169 S93BB
+S93BD S9613 +1 S9618 S961A S961D +1 S9872 +2 S9877 S9ACD S9AD4 S9D6B S9D7A S9D72 S9D74 SAB6F SADC1 +1 S9AF9 +1 S9AFD
+S9B08 +1 S9B0B S9B14 S9B18 X +2 S9F03 S9FA2 S9F12 SA81F S9F16 S9F3E S9F19 SC6D7 S9F6C S9F29 S9F07 SAA79 SA879 S9FD5 X
++95 I8102,A I85A7,A I8803,A I8CA7,A I8F10,A I916A,A I961F,A I9AD5,A I9D7B,A IA224,A IA479,A IA6CA,A IA91D,A IAB70,A
+I8103,A I85A8,A I8804,A I8CA8,A I8F11,A I916B,A I9622,A I9B1B,A I9D7E,A IA227,A IA47A,A IA6CB,A IA91E,A IAB71,A I9EEC,A
+X +2 S9F05 S9FA4 S9F14 SA821 S9FAE SA299 S9F0B SA295 S9F72 SA475 SB881 SC205 SBDC1 SB8A5 SE3C3 SA867 SB758 SB9AB SB884
+SCAF0 SA549 SC419 SDE83 SCB13 SA410 SA002 SA5B9 SACCF SC88F SA022 SDEAB SA48A SCB24 SA034 SD3B3 SD3BD X +27 I8102,C
+I85A7,C I8803,C I8CA7,C I8F10,C I916A,C I961F,C I9AD5,C I9D7B,C IA224,C IA479,C IA6CA,C IA91D,C IAB70,C I8103,C I85A8,C
+I8804,C I8CA8,C I8F11,C I916B,C I9622,C I9B1B,C I9D7E,C IA227,C IA47A,C IA6CB,C IA91E,C IAB71,C X +2 S34D2 S9F04 S9FA3
+S9F13 SA820 S9FAD SA298 S9F0A SA294 S9F71 SA474 SB880 SC204 SBDC0 SB8A4 SE3C2 SA866 SB757 SB9AA SB883 SCAEF SA548 SC418
+SDE82 SCB12 SA40F SCB90 SC6DD SAAC4 SE256 SA252 SA4A7 SBE78 SEA06 SA033 SAD46 SBCEC S9F17 S9F3F S9F1A SAF46 SA52D SE39B
+SACEF SACCE SC88E SA021 SDEAA SA489 SAA6A X +30 Z7F03,EE, Z7F46,EE, Z7F2A,EE, Z7F23,EE, Z7F2E,EE, Z7F2D,EE, Z7F1E,EE,
+Z7F1B,EE, Z7F43,EE, Z7F24,EE, Z7F44,EE, Z7F4E,EE, Z7F4A,EE, Z7F0A,EE, Z7F3E,EE, Z7F1A,EE, Z7F45,EE, Z7F16,EE, Z7F1C,EE,
+Z7F25,EE, Z7F22,EE, Z7F42,EE, Z7F34,EE, Z7F04,EE, Z7F4B,EE, Z7F26,EE, Z7F06,EE, Z7F0C,EE, Z7F3A,EE, Z7F32,EE, Z7F0D,EE,
+Z7F2C,EE, Z7F0E,EE, Z7F4D,EE, Z7F1D,EE, Z7F02,EE, Z7F12,EE, Z7F0B,EE, Z7F3C,EE, Z7F35,EE, Z7F33,EE, Z7F13,EE, Z7F03,EE,
+Z7F2B,EE, Z7F36,EE, Z7F15,EE, Z7F14,EE, X S7FA8 +1 S7FA7 S7F9D S7FC1 +1 S7FEB S7FB2 S7FB1 S7FD8 +1 S7FC3 +1 S7FA1 S7FB4
+S7FB3 S7FB5 +1 S7FCD S7FB7 S7F98 S7FC6 +2 S7F9B S7FB8 S7FCC S7FCB S7FC5 S7FCA S7FC9 S7FE8 +2 S7F99 S7FA3 S7FAF +1 S7FA2
+S7F9C S7FD6 +1 S7FB9 S7FA4 S7FDA S7FAA S7FDE S7FE0 S7FDF S7FAC S7FBE +1 S7FAE S7FC0 S7F9E S7FDD S7FDB S7FBA S7FDC S7FA6
+S7FAB S7FE1 S7FAD S7FBB S7FE2 S7FBD S7FBC S7FCF +1 S7FCE S7FD2 S7FD1 S7FD5 S7F97 S7FA5 S7FD3 +1 S7F9A S7FEC +2 S7F9F
+S7FE5 +2 S7FE3 +1 S7FA0 X +34 SAFD4 SB7A2 SAA76 SB782 SB9AC S6703 S6307 S6114 S6107 S5D04 +1 S6108 S5604 S4E07 S5D06
+S6704 S6308 S6115 +1 S610A S5D07 S5806 S5D08 S610B S5605 S6E03 S6117 S610D S5007 S5D0A S5402 S6309 S6118 S610E S4E0B
+S5D0B S6110 S4E0D S6106 S5D0E S610F S4E0C S6102 S5D0D S6104 +1 S6702 S5D0F S6112 S5606 S6A05 +2 S6709 S630A S6119 S6113
+S670A S630B S611A S611C S5D11 S611D S670B S630C S611B S611E S5D12 S611F S5D03 S6103 S4B05 S4B07 S4E08 +1 S4E06 S4E0E
+S5006 S5607 S5804 +1 S5A03 S5D09 S5D0C S5D10 S5F06 +3 S6109 S610C S6111 S6705 +3 S6C04 +1 S7402 X +6689 S9F02 S9F06
+S9F08 +1 S9F0C +5 S9F15 S9F18 S9F1B +13 S9F2A +19 S9F40 +43 S9F6D +3 S9F73 +46 S9FA5 +7 S9FAF +37 S9FD6 +34 S9FFA +5
+SA003 +29 SA023 +15 SA035 +202 SA102 +253 SA202 +79 SA253 +64 SA296 +1 SA29A +101 SA302 +253 SA402 +12 SA411 +98 SA476
++18 SA48B +27 SA4A8 +87 SA502 +42 SA52E +25 SA54A +110 SA5BA +69 SA602 +253 SA702 +253 SA802 +28 SA822 +67 SA868 +16
+SA87A +133 SA902 +253 SAA02 +103 SAA6B +10 SAA77 +1 SAA7A +73 SAAC5 +58 SAB02 +253 SAC02 +203 SACD0 +30 SACF0 +15 SAD02
++67 SAD47 +184 SAE02 +253 SAF02 +67 SAF47 +140 SAFD5 +42 SB002 +253 SB102 +253 SB202 +253 SB302 +253 SB402 +253 SB502
++253 SB602 +253 SB702 +84 SB759 +40 SB783 +30 SB7A3 +92 SB802 +125 SB882 SB885 +30 SB8A6 +89 SB902 +167 SB9AD +82 SBA02
++253 SBB02 +253 SBC02 +233 SBCED +18 SBD02 +189 SBDC2 +61 SBE02 +117 SBE79 +134 SBF02 +253 SC002 +253 SC102 +253 SC202
++1 SC206 +249 SC302 +253 SC402 +21 SC41A +229 SC502 +253 SC602 +212 SC6D8 +4 SC6DE +33 SC702 +253 SC802 +139 SC890 +111
+SC902 +253 SCA02 +236 SCAF1 +14 SCB02 +15 SCB14 +15 SCB25 +106 SCB91 +110 SCC02 +253 SCD02 +253 SCE02 +253 SCF02 +253
+SD002 +253 SD102 +253 SD202 +253 SD302 +176 SD3B4 +8 SD3BE +65 SD402 +253 SD502 +253 SD602 +253 SD702 +253 SD802 +253
+SD902 +253 SDA02 +253 SDB02 +253 SDC02 +253 SDD02 +253 SDE02 +127 SDE84 +37 SDEAC +83 SDF02 +253 SE002 +253 SE102 +253
+SE202 +83 SE257 +168 SE302 +152 SE39C +37 SE3C4 +59 SE402 +253 SE502 +253 SE602 +253 SE702 +253 SE802 +253 SE902 +253
+SEA02 +3 SEA07 +248 SEB02 +253 SEC02 +253 SED02 +253 SEE02 +253 SEF02 +253 SF002 +253 SF102 +178 X +3161 S8103 +252
+S8202 +253 S8302 +80 S8354 +171 S8402 +253 S8502 +161 S85A8 +87 S8602 +253 S8702 +245 S8804 +251 S8902 +253 S8A02 +81
+S8A57 +168 S8B02 +253 S8C02 +164 S8CA8 +87 S8D02 +253 S8E02 +245 S8F11 +238 S9002 +253 S9102 +94 S916B +148 S9202 +253
+S9302 +184 S93C0 +63 S9402 +253 S9502 +253 S9602 +15 S9622 +221 S9702 +253 S9802 +111 S987D +130 S9902 +253 S9A02 +202
+S9B1B +228 S9C02 +253 S9D02 +104 S9D7E +129 S9E02 +253 S9F02 +203 S9FD1 +46 SA002 +253 SA102 +253 SA202 +32 SA227 +216
+SA302 +253 SA402 +116 SA47A +133 SA502 +253 SA602 +199 SA6CB +52 SA702 +253 SA802 +253 SA902 +26 SA91E +225 SAA02 +253
+SAB02 +107 SAB71 +142 SAC02 +253 SAD02 +190 X +91 SE602 +253 SE702 +253 SE802 +253 SE902 +253 SEA02 +253 SEB02 +253
+SEC02 +253 SED02 +253 SEE02 +253 SEF02 +253 SF002 +253 SF102 +253 SF202 +253 SF302 +253 SF402 +253 SF502 +253 SF602 +253
+SF702 +253 SF802 +253 SF902 +253 SFA02 +253 SFB02 +253 SFC02 +253 SFD02 +253 SFE02 +253 SFF02 +49 SF1B5 +74 SF202 +226 X
++209 S5353 S5359 S535E S535359 S53535E S6C066D S6B6D X +22 P32 X +784 S2102 U8F U90 S2B4B S2B50 S1502 S1702 S2B0A S2B0E
+S2B67 S2B6A S2B62 S2B64 S2B56 S2B58 S2B52 S2B54 S2B5A S2B5C S2B5E S2B60 X +3 S2B4C +3 S2B04 +2 S1902 S1B02 S1B04 X S2103
+S1F02 S2302 S819 U8A S1302 S1503 S2B08 S2B0C S2B65 S2B68 SB02 S1102 S1703 S2B9B U81 S2D0B S3102 S2F04 X S2802 SD02 SF02
+S2502 X +3 UA0 UA0 UA1 X UA2 X UA3 UA3 UA4 UA4 UA5 UA5 S4A S4A UA6 UA6 S79AA I79AA,3 I79AA,3 I79AA,4 I79AA,4 I79AA,5
+I79AA,5 I79AA,6 I79AA,6 I79AA,7 I79AA,7 I79AA,7 I79AA,7 I79AB,8 I79AB,8 +1 I79AC,8 I79AC,8 I79AC,8 I79AE,8 I79AE,8
+I79AE,8 I79AE,8 I79AE,8 I79AE,8 +1 I79AF,8 I79AF,8 I79AF,8 +1 I79B0,8 I79B0,8 I79B0,8 I79B2,8 I79B2,8 I79B2,8 I79B2,8 +1
+I79B3,8 I79B3,8 I79B3,8 +1 I79B4,8 +1 I79B5,8 +1 I79B6,8 +1 I79B7,8 I79B9,8 I79B9,8 I79B9,8 I79B9,8 +1 I79BA,8 I79BA,8
+I79BA,8 +1 I79BB,8 I79BB,8 I79BB,8 +1 I79BC,8 I79BC,8 I79BC,8 +1 I79BD,8 I79BD,8 I79BD,8 +1 I79BE,8 I79BE,8 I79BE,8 +1
+I79BF,8 I79BF,8 I79BF,8 +1 I79C0,8 I79C0,8 I79C0,8 +1 I79C1,8 I79C1,8 I79C1,8 +1 I79C2,8 I79C2,8 I79C2,8 +1 I79C3,8
+I79C3,8 I79C3,8 I79C5,8 I79C5,8 I79C5,8 I79C5,8 +1 I79C6,8 I79C6,8 I79C6,8 +1 I79C7,8 I79C7,8 I79C7,8 +1 I79C8,8 I79C8,8
+I79C8,8 +1 I79C9,8 I79CA,5 I79CA,5 I79CA,7 I79CA,7 I79CA,7 I79CA,7 X +11 S9 +1 SC SE S10 S12 U80 S14 S16 S18 S2C S1A U82
+S1C S1E S36 S38 S3A S3C S3E S40 S42 S44 S46 S48 S20 S22 S2E S30 S32 S24 S26 S4A S4C +1 S4F S51 S53 S55 S57 S59 S5B +1
+S5E S60 S62 S64 S66 S68 +1 S6B S6D S6F S71 S73 S75 +1 S78 S27 S29 +1 S2B02 +1 S2B07 S4A S4C +1 S4F S51 S53 S55 S57 S59
+S5B +1 S5E S60 S62 S64 S66 S68 +1 S6B S6D S6F S71 S73 S75 +1 S78 S2B09 S2B0B S2B0D S2B0F X +1 S1D02 S2B59 S2B5B S1B03
+S34B2 Z7F4E,, Z7F02,,1 +4 Z7F3A,,1 Z7F3C,,1 Z7F3E,,1 Z7F1C,,1 S4A Z7F02,, +4 Z7F0A,, +4 Z7F12,, +4 Z7F1A,, +4 Z7F22,, +4
+Z7F2A,, +4 Z7F32,, +4 Z7F3A,, Z7F3C,, Z7F3E,, Z7F42,, +4 Z7F4A,, Z7F80,, P1 P2 SADC8 S8102 S8353 S85A5 S85A7 S87FE S8802
++1 S8A55 S8CA7 S8EF8 S8EFE S8F03 S8F07 S8F0A +1 S8F0D S8F10 S916A S93BF S9612 S961F S9879 S9AD5 S9D7B S9FCE SA224 SA479
+SA6CA SA91D SAB70 X +2 S9AD6 +5 X +1 S9ADC +5 X +1 S9AE2 +5 X +1 S9AE8 +2 X +2 S34A6 +1 S34AC S2B13 S2B11 S34A9 S34C9 X
+I348F,3 I3486,3 I3480,3 I3482,3 I3484,3 I3463,3 I3470,3 X +16
+`;
@@ -0,0 +1,1062 @@
+/**
+ * Index codes of the General sort order (Access 2010 and later) for all characters except surrogates. Generated from
+ * `index_codes_gen.txt` and `index_codes_ext_gen.txt` of Jackcess, see `parseIndexCodes` for the format.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/GeneralIndexCodes.java
+ */
+export const GENERAL_INDEX_CODES = `
+X U3 U4 U5 U6 U7 U8 U9 UA S705 +4 UB UC UD UE UF U10 U11 U12 U13 U14 U15 U16 U17 U18 U19 U1A U1B U1C S702 S71C +1 S71F
+S721 S723 S725 U80 S727 S72A S72D S803 S72F U82 S733 S735 SD17 SD19 +8 S737 S73A S80E S812 S814 S73C S73E SE02 SE09 +1
+SE1A SE21 SE23 SE25 SE2C SE32 SE35 +1 SE48 SE51 SE70 SE7C SE7E SE89 +1 SE91 SE99 SE9F SEA2 SEA4 SEA6 +1 SEA9 S73F S741
++3 S748 SE02 SE09 +1 SE1A SE21 SE23 SE25 SE2C SE32 SE35 +1 SE48 SE51 SE70 SE7C SE7E SE89 +1 SE91 SE99 SE9F SEA2 SEA4
+SEA6 +1 SEA9 S74A S74C S74E S750 U1D ICFA,1D ICFA,1E ICFA,1F ICFA,20 ICFA,21 ICFA,22 ICFA,23 ICFA,24 ICFA,25 ICFA,26
+ICFA,27 ICFA,28 ICFA,29 ICFA,2A ICFA,2B ICFA,2C ICFA,2D ICFA,2E ICFA,2F ICFA,30 ICFA,31 ICFA,32 ICFA,33 ICFA,34 ICFA,35
+ICFA,36 ICFA,37 ICFA,38 ICFA,39 ICFA,3A ICFA,3B ICFA,3C S704 S751 S797 +3 S752 SA06 S753 SA07 IE02,3 S818 SA08 X SA09
+S754 SA0A S817 SD1A +1 S755 SA0B +2 S756 SD19 IE7C,3 S81A ID18,CE ID18,D6 ID1B,DE S757 IE02,F IE02,E IE02,12 IE02,19
+IE02,13 IE02,1A SE020E21 IE0A,1C IE21,F IE21,E IE21,12 IE21,13 IE32,F IE32,E IE32,12 IE32,13 IE1A,68 IE70,19 IE7C,F
+IE7C,E IE7C,12 IE7C,19 IE7C,13 S81C IE7C,21 IE9F,F IE9F,E IE9F,12 SE9F0E21 IEA7,E SE990E2C SE910E91 IE02,F IE02,E
+IE02,12 IE02,19 IE02,13 IE02,1A SE020E21 IE0A,1C IE21,F IE21,E IE21,12 IE21,13 IE32,F IE32,E IE32,12 IE32,13 IE1A,68
+IE70,19 IE7C,F IE7C,E IE7C,12 IE7C,19 IE7C,13 S81D IE7C,21 IE9F,F IE9F,E IE9F,12 SE9F0E21 IEA7,E SE990E2C IEA7,13
+IE02,17 IE02,17 IE02,15 IE02,15 IE02,1B IE02,1B IE0A,E IE0A,E IE0A,12 IE0A,12 IE0A,10 IE0A,10 IE0A,14 IE0A,14 IE1A,14
+IE1A,14 IE1A,1E IE1A,1E IE21,17 IE21,17 IE21,15 IE21,15 IE21,10 IE21,10 IE21,1B IE21,1B IE21,14 IE21,14 IE25,12 IE25,12
+IE25,15 IE25,15 IE25,10 IE25,10 IE25,1C IE25,1C IE2C,12 IE2C,12 IE2C,1E IE2C,1E IE32,19 IE32,19 IE32,17 IE32,17 IE32,15
+IE32,15 IE32,1B IE32,1B IE32,10 IE32,3 SE320E35 SE320E35 IE35,12 IE35,12 IE36,1C IE36,1C IE36,3 IE48,E IE48,E IE48,1C
+IE48,1C IE48,14 IE48,14 IE48,11 IE48,11 IE48,1F IE48,1F IE70,E IE70,E IE70,1C IE70,1C IE70,14 IE70,14 IE70,48 SE74 SE74
+IE7C,17 IE7C,17 IE7C,15 IE7C,15 IE7C,1D IE7C,1D SE7C0E21 SE7C0E21 IE8A,E IE8A,E IE8A,1C IE8A,1C IE8A,14 IE8A,14 IE91,E
+IE91,E IE91,12 IE91,12 IE91,1C IE91,1C IE91,14 IE91,14 IE99,1C IE99,1C IE99,14 IE99,14 IE9E,1E IE9E,1E IE9F,19 IE9F,19
+IE9F,17 IE9F,17 IE9F,15 IE9F,15 IE9F,1A IE9F,1A IE9F,1D IE9F,1D IE9F,1B IE9F,1B IEA4,12 IEA4,12 IEA7,12 IEA7,12 IEA7,13
+IEA9,E IEA9,E IEA9,10 IEA9,10 IEA9,14 IEA9,14 SE96 IE09,1E IE09,43 IE09,68 IE09,68 IE09,87 IE09,87 IE0A,7D IE0A,43
+IE0A,43 IE1B,4 IE1A,43 IE1A,22 IE1A,22 IE1A,7C IE21,7D IE21,7E IE21,7B IE23,43 IE23,7B IE25,43 IE25,7B IE2C,7B IE32,7B
+IE32,1E IE36,43 IE36,43 IE48,1E IE48,20 IE51,7B IE70,43 IE70,7B IE7C,20 IE7C,52 IE7C,52 IE7C,7C IE7C,7C IE7E,43 IE7E,43
+IE8A,7B IE91,87 IE91,87 IE91,7C IE91,AA IE99,57 IE99,43 IE99,43 IE99,59 IE9F,52 IE9F,52 IE9F,7B IEA2,7B IEA7,43 IEA7,43
+IEA9,1E IEA9,1E SEAC IEAC,7C IEAC,7C IEAC,7D SD1A SD1D SD1D SEB3 IEA4,7B S81E +2 S758 IE1A0EA9,214 IE1A0EA9,214
+IE1A0EA9,214 SE480E35 SE480E35 SE480E35 SE700E35 SE700E35 SE700E35 IE02,14 IE02,14 IE32,14 IE32,14 IE7C,14 IE7C,14
+IE9F,14 IE9F,14 IE9F,28 IE9F,28 IE9F,1F IE9F,1F IE9F,25 IE9F,25 IE9F,20 IE9F,20 IE21,7D IE02,28 IE02,28 IE02,25 IE02,25
+IE020E21,1717 IE020E21,1717 IE25,1E IE25,1E IE25,14 IE25,14 IE36,14 IE36,14 IE7C,1B IE7C,1B IE7C,30 IE7C,30 IEAC,14
+IEAC,14 IE35,14 SE1A0EA9 SE1A0EA9 SE1A0EA9 IE25,E IE25,E IE2D,59 IE7E,51 IE70,F IE70,F IE02,26 IE02,26 IE020E21,E0E
+IE020E21,E0E IE7C,2B IE7C,2B IE02,44 IE02,44 IE02,46 IE02,46 IE21,44 IE21,44 IE21,46 IE21,46 IE32,44 IE32,44 IE32,46
+IE32,46 IE7C,44 IE7C,44 IE7C,46 IE7C,46 IE8A,44 IE8A,44 IE8A,46 IE8A,46 IE9F,44 IE9F,44 IE9F,46 IE9F,46 IE91,5B IE91,5B
+IE99,5B IE99,5B IE21,97 IE21,97 IE2C,14 IE2C,14 IE70,4B SE1E SE7D SE7D IEA9,43 IEA9,A IE02,10 IE02,10 IE21,1C IE21,1C
+IE7C,28 IE7C,28 IE7C,2E IE7C,2E IE7C,10 IE7C,10 IE7C,25 IE7C,25 IEA7,17 IEA7,17 IE4A,C8 IE72,C8 IE99,C8 IE35,3 SE1A0E09
+SE890E7E IE02,1C IE0A,1D IE0A,1D SE4B IE99,64 IE91,5C IEA9,5C IEB3,3 IEB3,3 IE09,1E IE9F,1E IEA2,7C IE21,1D IE21,1D
+IE35,1D IE35,1D IE89,45 IE89,45 IE8A,1D IE8A,1D IEA7,1D IEA7,1D IE02,7B IE02,7C IE02,7D IE09,43 IE0A,7B IE0A,7C IE1A,59
+IE1A,43 IE21,80 IE21,7E IE21,7F IE21,7B IE21,81 IE21,82 IE21,83 IE35,1E IE25,43 IE25,7D SE25 IE25,7B IE25,7C IE2C,7C
+IE2C,43 +1 IE32,1E IE32,7B SE32 IE48,19 IE48,7B IE48,59 IE48,7C IE51,7B IE51,7C IE51,43 IE70,43 IE70,59 SE70 IE7C,20
+IE7C,7B IE7C,7E IE7E,7B IE8A,7B IE8A,7C IE8A,7D IE8A,7E IE8A,43 IE8A,7F IE8A,80 SE8A IE8A,7B IE91,43 IE91,7C IE35,43
+IE91,A0 IE91,96 IE99,7B IE99,59 IE9F,1E IE9F,7B IEA2,7B IEA2,7C IEA4,7C IEA7,7B SEA7 IEA9,59 IEA9,7E SEAC IEAC,7E IEB3,3
+IEB3,4 IEB3,5 IE0A,88 SEB4 SE09 IE21,86 IE25,43 SE2C IE35,7B +1 SE48 IE89,43 IEB3,6 IEB3,B IE1C,7B IE1A,7B IE1C,7C
+IE9D,7B IE99,7C IE99,7D SE230E70 SE480E91 SE480EA9 SEB5 +1 IE2D,64 IE2D,6E IE2C,7E IE2C,7F IE35,7E IE8A,81 IE8A,82
+IE8A,83 IE8A,84 IEA4,7E IEA7,7E P0C P19 P45 P46 P47 P77 P78 P3F P79 P7A P7B P7C P7D S743 S759 P40 I72D,4 I755,3 S748 P5A
+P62 P7E P7F S7DB P81 P82 P83 P50 P51 P52 P53 I759,3 S75A +4 P84 P34 IE25,7E IE48,7E IE91,A IEA6,7E P85 P86 P87 P88 P89
+P8A P35 P36 P37 P38 P39 P3A P3B P3C P3D PF1 PF2 PF3 PF4 PF5 PF6 PF7 PF8 PF9 PFA PFB PFB PFC P0D P0C P10 P17 P15 P3E P13
+P0E P11 P3F P18 P1B P12 P03 P41 P42 P43 P44 P45 P46 P47 P48 P49 P4A P4B P4C P4D P4E P4F P50 P51 P52 P53 P54 P55 P56 P57
+P58 P59 P1A P19 P5A P5B P5C P5D P5E P5F P60 P61 P62 P63 P64 P65 P1C P1C P1D P1E P67 P68 P69 P6A P6B P6C P6D P6E P6F P8D
+P8E P14 P90 P74 P75 P76 P5C P5D P5E P5F P60 P61 X P54 P55 P56 P57 P58 P59 P5A P5B P1E P1F P20 P21 P28 P14 P15 P15 P17
+P44 P27 IE02,3 IE21,3 IE32,3 IE7C,3 IE9F,3 IE0A,4 IE1A,3 IE2C,3 IE51,3 IE8A,3 IE99,3 IEA2,3 IEA6,3 X +3 P0C S760 X +3
+S761 SF27 IF26,10 +1 S73A X +4 S763 I75301,20C IF02,5 SA0D IF0A,5 IF0E,5 IF12,5 X IF20,5 X IF2A,5 IF32,5 IF12,16 SF02
+SF04 SF06 SF08 SF0A SF0C SF0E SF10 SF12 SF14 SF16 SF18 SF1C SF1E SF20 SF22 SF24 X SF26 SF28 SF2A SF2C SF2E SF30 SF32
+IF12,13 IF2A,13 IF02,5 IF0A,5 IF0E,5 IF12,5 IF2A,16 SF02 SF04 SF06 SF08 SF0A SF0C SF0E SF10 SF12 SF14 SF16 SF18 SF1C
+SF1E SF20 SF22 SF24 SF26 SF26 SF28 SF2A SF2C SF2E SF30 SF32 IF12,13 IF2A,13 IF20,5 IF2A,5 IF32,5 X IF04,3 IF10,3 IF2A,1B
+IF2A,44 IF2A,13 IF2C,3 IF22,3 SF45 IF44,1B IF44,1B SF40 SF40 SF42 SF42 SF44 SF44 SF46 SF46 SF48 SF48 SF4A SF4A SF4C SF4C
+SF4E SF4E SF50 SF50 SF52 SF52 SF54 SF54 IF14,3 IF24,3 IF26,4 SF43 SF10 SF0A S8FA SF47 SF47 SF26 SF23 SF23 +1 SF27
+IF26,10 +1 I1014,F I1014,13 S1011 I100A,E S1019 S1020 S1026 S1028 S102C S1034 S1044 S105D I102E,E I1022,F I1063,15 S1081
+S1002 S1006 S1008 S100A S100F S1014 S101B S101E S1022 S102A S102E S1032 S1038 S103A S1048 S104F S1051 S1053 S1057 S1063
+S106C S106F S1075 S1078 S1084 S1087 S108A S108D S1096 S109C S10A2 S10A5 S1002 S1006 S1008 S100A S100F S1014 S101B S101E
+S1022 S102A S102E S1032 S1038 S103A S1048 S104F S1051 S1053 S1057 S1063 S106C S106F S1075 S1078 S1084 S1087 S108A S108D
+S1096 S109C S10A2 S10A5 I1014,F I1014,13 S1011 I100A,E S1019 S1020 S1026 S1028 S102C S1034 S1044 S105D I102E,E I1022,F
+I1063,15 S1081 S10AB S10AB S10AE S10AE S10B1 S10B1 S10B4 S10B4 S10B7 S10B7 S10BA S10BA S10BD S10BD S10C0 S10C0 S10C3
+S10C3 S10C6 S10C6 S10C9 S10C9 I10C9,44 I10C9,44 S10CF S10CF S10D2 S10D2 S10D5 S10D5 S10D8 S10D8 S10DB S10DB SD6E P94 P95
+P96 P97 X SD7D SD96 S1024 S1024 S1099 S1099 S10DE S10DE S100C S100C I100A,1A I100A,1A S100D S100D S101D S101D I101E,1A
+I101E,1A S1030 S1030 I102E,9 I102E,9 I102E,4 I102E,4 I102E,A I102E,A S103C S103C S103E S103E I104F,5 I104F,5 I104C,5
+I104C,5 I1053,1A I1053,1A I105B,7 I105B,7 S1066 S1066 S1069 S1069 S1072 S1072 I1075,3 I1075,3 I1078,7 I1078,7 I1078,9
+I1078,9 S1040 S1040 I1015,5 I1015,5 I1016,17 I1016,17 I104D,3 I101B,15 I101B,15 I102E,5 I102E,5 S10E1 S10E1 S1042 S1042
+S10E4 S10E4 S107E S107E S10E7 S10E7 I104D,3 I1002,15 I1002,15 I1002,13 I1002,13 S10EA S10EA I1014,15 I1014,15 S1017
+S1017 I101B,19 I101B,19 I101B,13 I101B,13 I101E,13 I101E,13 S10ED S10ED I1022,17 I1022,17 I1022,13 I1022,13 I1048,13
+I1048,13 S104C S104C I104C,13 I104C,13 I109C,13 I109C,13 I1063,17 I1063,17 I1063,13 I1063,13 I1063,1D I1063,1D I1078,13
+I1078,13 S100E S100E I1090,13 I1090,13 I100A,3D I100A,3D I106F,14 I106F,14 I106F,27 I106F,27 S1010 S1010 S1012 S1012
+S101F S101F S10F0 S10F0 S1036 S1036 S1046 S1046 S1055 S1055 S1059 S1059 I101E,51 I101E,51 I1032,14 I1032,14 X +28 S1103
++37 X +1 P98 P99 S765 +4 X S1103 +37 S11071124 X S76A U84 X +5 P03 P04 P05 P06 P07 P08 P09 P0A P0B P0C P0D P0E P0F P10
+P11 P12 P13 P02 P15 P16 P17 P18 P19 P1A P1B P1C P1D P1E P1F P20 P21 P22 P23 P24 P25 P26 P27 P28 P29 P2A P2B P2B P2D P2E
+P2F I702,64 P30 P31 P32 P33 S76D P20 P34 S745 P2A X +7 S2802 +10 S280C S280E +1 S280F S2811 S2811 S2813 +2 S2815 S2817
+S2817 S2819 +3 X +4 I2807,B5 I2807,FB I280B,B5 S76E +1 X +10 SB91 SB98 P66 SB99 X +6 S7B1 S770 SB97 SB8D SB95 PC7 PBF
+PC0 PC1 PC2 PCA X +4 S771 X +1 S71F S772 X S2902 I290B,D9 I290B,D7 I29B9,D7 I290B,D6 I29D7,D6 S290B S290E S291D S2920
+S292F S2932 S2941 S2944 S2947 S2953 S2959 S295F S2968 S296B S296E S2971 S2974 S2977 S297A S297D X +5 I2980,14 I298C,14
+S298F S29A7 S29AA I29AD,14 S29B6 S29B9 S29D4 S29D7 PDC P56 P57 P58 P59 P5A P5B PE2 PD7 PD5 PD4 PC5 PC6 PDB PE5 PE6 PE7
+PE8 PE9 PEA X ID17,4 ID19,4 +8 S773 +2 SB93 S2914 S298C P5C I2905,15 I2905,DC I2905,C8 S2908 S290B2908 S29B92908
+I29C2,D7 S29D72908 S292C S2923 S2911 I2929,14 I2929,28 S291A S2926 S2917 I2941,14 I2941,28 S2935 S2938 I2941,3C S293B
+S293E S294A I294A,14 I294A,28 I2947,28 S2956 S294D S2950 I2950,14 I2950,28 S295C I2959,28 I295C,14 I2959,50 I2959,14
+I2959,64 I2959,78 S2965 I2962,14 I2968,28 I2968,14 I2968,3C I296E,14 I296E,28 I2974,14 I297A,14 S2980 I2980,28 I2980,3C
+S2983 S2986 S2989 I298C,28 I298C,3C S2995 S2998 I298F,14 I298F,3C S2992 I298F,28 S299B I299B,14 S299E S29A4 S29A1
+I29A4,14 I29A7,14 I29A7,3C I29A7,50 I29A7,28 I29B3,14 S29AD S29B0 I29AD,28 I29B3,28 I29B6,19 I293B,14 I29DA,D7 I29B6,12
+I29B8,E9 I291D,14 I29B9,B S29BF S29BC S29C2 S29C5 S29C8 I29B9,19 S29CB I29D7,50 S29D1 I29D7,B I29B9,12 S29CE I29D7,12
+I29D7,19 I29D7,F0 S776 S29DA S296E29200E480E35 I298C29200E480E35,14 PD3 PCB PCF PC4 PD0 SB89 SB94 ID17,4 ID17,4 PCE PDA
+PD2 PCD PC9 PCC PD6 PD8 SB92 PD1 PC8 P2C PD9 I2947,14 I2959,3C ID17,5 ID19,5 +8 I296B,14 I2971,14 I297D,14 SB87 SB90
+I29B6,B S7E2 +13 X S7F0 S2A0B P9A S2A0F S2A13 S2A15 S2A17 S2A19 S2A1B S2A1F S2A23 S2A27 S2A2B S2A2D S2A2F S2A31 S2A33
+S2A37 S2A3B S2A40 S2A44 S2A46 S2A48 S2A4C S2A4E S2A50 S2A54 S2A58 S2A5C S2A60 S2A10 S2A14 S2A1A P9F PA0 P94 PA1 PA2 P95
+PA3 PA4 P96 P97 PA5 PA6 P98 PA7 PA8 P99 P8D P8E P8F P9B P9C P9D P9E P90 P91 PA9 PAA X +1 S2A24 S2A34 S2A4D I290E,15
+I290E,1F I290E,29 I290E,33 I290E,3D I290E,47 I290E,51 I2941,32 I2941,46 I2947,3C I2947,50 I2959,8C I2968,50 I297A,28
+I297A,3C I297A,50 I2980,50 I2980,64 I2995,15 I2995,29 I2995,3D I29AA,15 I29AA,29 I29AD,3C I29AD,50 I29AD,64 I29A7,64
+I2959,A0 I2959,B4 I2968,64 X +17 S2A6E S2A74 S2A76 S2A7A S2A7E S2A80 S2A82 S2A84 S2A8A S2A8E S2A90 S2A92 S2A96 S2A9E
+S2AA0 S2AA4 S2AA6 S2AAE S2AB0 S2AB2 S2AB4 S2AB6 S2AB8 S2ABA S2A98 S2A70 S2A72 S2A94 S2A7C S2AA8 S2AAA S2AAC S2A9A S2A9C
+S2A86 S2A88 S2AA2 S2A8C PAC PAD PAE PAF PB0 PB1 PB2 PB3 PB4 PB5 PB6 S2A78 X +13 ID17,1B ID19,1B +8 S5403 S5405 S5407
+S5409 S540B S540D S540F S5411 S5413 S5415 S5417 S5419 S541B S541D S541F S5421 S5423 S5425 S5427 S5429 S542B S542D S542F
+S5431 S5433 S5435 S5437 S5439 S543B S543D S543F S5441 S5443 P0A P0B P0C P0D P0E P0F P10 P11 P12 U81 U81 S7F3 +1 I72F,5
+I71C,A S7F5 X +261 S3204 S3206 S3208 S320D S320B S320F S3213 S3217 S321B S321F S3223 S322B S3233 S3237 S323B S323F S3243
+S3247 S324B S324F S3253 S3257 S325B S325F S3263 S3267 S326B S326F S3273 S3277 S327B S327F S3283 S3287 S328B S328F S3293
+S3297 S329B S329F I329F,8 S32A3 S32A7 S32AB S32AF S32B3 S32B7 S32BB I32BB,8 S32BF S32C3 I32C3,8 S32C7 S32CB S32CF S32D3
+S32D7 X +1 P06 S7DE S32DA S32DC S32DE S32E0 S32E2 S32E4 S32E6 S32EC S32EE S32F0 S32F2 S32F4 S32F6 S32F8 S32FA S32FC X +1
+S7DD P0A P0C P0E P10 X +2 I3253,8 I3257,8 I325B,8 I326F,8 I3283,8 I3287,8 I32A7,8 I32B7,8 S3227 S322F S32E8 S32EA S7DF
++1 ID17,6 ID19,6 +8 S7E1 X +9 S3261 S3271 S3209 S329D S32B1 X P06 S3302 +1 X S3305 S3307 S3309 S330B S330D S330F S3311
+S3313 X +1 S3315 S3317 X +1 S3319 S331B S3320 S3324 S3328 S332C S332F S3332 S3336 S333A S333D S3340 S3343 S3347 S334A
+S334E S3351 S3354 S3357 S335A S335D S3360 X S3364 S3367 S336B S336F S3372 S3343 S3379 X S337C X +2 S3380 S3384 S3387
+S338A X +1 P04 S331F S3330 +2 P05 P06 P07 P08 X +1 S3333 +1 X +1 S3335 +1 P09 I3354,B X +7 S3337 X +3 S338D S3390 X
+S3393 S331D +1 P0A P0B X +1 ID17,7 ID19,7 +8 I3379,C8 I336B,C8 S7AC +1 IDA1,5A IDA2,5C IDA3,5E IDA4,60 IDA0,58 IDA5,62
+I78B,C X +5 P0A P0A S3402 X S3418 S341C S342C S3430 S340C S3410 X +3 S3434 S3420 X +1 S3414 S3424 S3440 S3444 S3448
+S344C S3450 S3454 S3458 S345C S3460 S3464 S3468 S346C S3470 S3474 S3478 S347C S3480 S3484 S3488 S348C X S3490 S3494
+S3498 S349C S34A0 S34A4 S34A8 X S34AC I34AC,4 X S34B0 I3438,4 X S3438 S343C X +1 P04 X S34C0 S34C4 S34C8 S34CC S34D0 X
++3 S34D4 S34D8 X +1 S34DC S34E0 P03 X +10 I3444,4 I3448,4 I345C,4 S34B4 X I3494,4 X +6 ID17,8 ID19,8 +8 P0E P06 S3428
+S3408 S3404 X +11 S35C2 S35C4 S35C8 X S3508 S350C S3510 S3514 S3518 S351C S3520 S3522 S3524 X S3528 S352C S3530 X S3534
+S3538 S353C S3540 S3544 S3548 S354C S3550 S3554 S3558 S355C S3560 S3564 S3568 S356C S3570 S3574 S3578 S357C S3580 S3584
+S3588 X S358C S3590 S3594 S3598 S359C S35A0 S35A4 X S35A8 S35C0 X S35AC S35B0 S35B4 S35B8 S35BC X +1 P0B P03 S35CC S35CF
+S35D2 S35D5 S35D9 S35DC I35DC,5 S35E2 X S35E5 S35E8 S35EB X S35EE S35F1 S35F4 X +1 S3504 X +14 I3520,5 I3522,5 S35DB
+I3581,5 X +1 ID17,9 ID19,9 +8 X S7AE X +14 S3602 S3606 S360A X S3614 S3616 S3618 S361A S361C S361E S3620 S3624 X +1
+S3628 S362A X +1 S362C S362E S3632 S3634 S3636 S3638 S363A S363C S363E S3640 S3642 S3644 S3646 S3648 S364C S3650 S3652
+S3654 S3656 S3658 S365A S365C X S365E S3660 S3662 S3664 S3666 S3668 S366C X S366E S3670 X S3674 S3676 S3678 S367A S367C
+X +3 S368C S368E S3690 S3692 S3694 S3696 X +2 S3698 S369A X +1 S369C I369E,4 P0A X +7 I369A,4 I369E,4 X +3 I364A,6
+I364E,6 X I366A,6 S3622 S3626 X +3 ID17,A ID19,A +8 X S3672 X +15 S370A S370C X S370E S3710 S3712 S3714 S3716 S3718 X +2
+S371A S371C S371E X S3720 S3722 S3724 S3728 X +2 S372C S3730 X S3770 X S3734 S3738 X +2 S373C S3740 X +2 S3744 S376C
+S3748 X +2 S374C S3750 S3754 S3768 S3758 S3764 S3760 S375C S3776 S3778 S3774 S377E X +3 S3782 S3784 S3786 S3788 S378A X
++2 S378C S378E S3790 X S3792 S3794 S3796 P02 X +8 S3702 X +13 ID17,19 ID19,B +9 ID5F,B ID6E,B SC43 +5 S7AF SC49 X +5
+S3804 S3807 S380A X S380D S3810 S3813 S3816 S3819 S381C S381F S3825 X S382B S382E S3831 X S3834 S3837 S383A S383D S3840
+S3843 S3846 S3849 S384C S384F S3852 S3855 S3858 S385B S385E S3861 S3864 S3867 S386A S386D S3870 S3873 S3876 X S3879
+S387C S387F S3882 S3885 S3888 S388B S388E S3891 S3894 X S3897 S389A S389D S38A0 S38A3 X +3 S38A6 S38A9 S38AC S38AF S38B2
+S38B5 S38B8 X S38BB S38BE S38C1 X S38C4 S38C7 S38CA S38CD X +6 P0D P0E X +8 S3822 S3828 X +3 ID17,C ID19,C +8 X +17
+S3904 S3907 X S390A S390D S3910 S3913 S3916 S3919 S391C S391F X S3922 S3925 S3928 X S392B S392E S3931 S3934 S3937 S393A
+S393D S3940 S3943 S3946 S3949 S394C S394F S3952 S3955 S3958 S395B S395E S3961 S3964 S3967 S396A S396D X S3970 S3973
+S3976 S3979 S397C S397F S3982 S3997 S3985 S399D X S398B S398E S3991 S3994 S399A X +1 P04 P03 S39A3 S39A6 S39A9 S39AC
+S39AF S39B2 S39B5 X S39B8 S39BB S39BE X S39C1 S39C4 S39C7 S3909 X +6 P04 P05 X +6 S39A0 X I3982,4 S3988 S39B6 +1 X +1
+ID17,D ID19,D +8 X S7F1 +1 X +14 S3A02 +1 X S3A05 S3A09 S3A0D S3A11 S3A15 S3A19 S3A1D S3A21 X S3A25 S3A29 S3A2D X S3A31
+S3A35 S3A39 S3A3D S3A41 S3A45 S3A49 S3A4D S3A51 S3A55 S3A59 S3A5D S3A61 S3A65 S3A69 S3A6D S3A71 S3A75 S3A79 S3A7D S3A81
+S3A85 S3A89 X S3A8D S3A91 S3A95 S3A99 S3A9D S3AA1 S3AA5 S3AA9 S3AAD S3AB1 S3AB5 S3AB9 S3ABD S3AC1 S3AC5 S3AC9 X +3 S3ACD
+S3AD1 S3AD5 S3AD9 S3ADD S3ADF X +1 S3AE2 S3AE5 S3AE8 X S3AEB S3AEE S3AF1 P06 X +8 I3A01,8 X +7 S3A40 +1 X +3 ID17,E
+ID19,E +8 X +17 S3B02 +1 X S3B05 S3B07 S3B09 S3B0B S3B0D S3B0F S3B11 S3B13 S3B15 S3B17 S3B19 S3B1B S3B1D S3B1F S3B21
+S3B23 S3B25 S3B27 X +2 S3B29 S3B2C S3B2F S3B32 S3B35 S3B38 S3B3B S3B3E S3B40 S3B44 S3B48 S3B4B S3B4E S3B51 S3B54 S3B58
+S3B5B S3B5E S3B61 S3B64 S3B67 S3B6A S3B6E S3B71 X S3B74 S3B77 S3B7A S3B7D S3B80 S3B83 S3B86 S3B89 S3B8C X S3B8F X +1
+S3B92 S3B95 S3B98 S3B9B S3BA1 S3BA4 S3B9E X +7 S3BAA S3BAC S3BAE S3BB0 S3BB2 S3BB4 X S3BB6 X S3BB8 S3BBA S3BBC S3BBE
+S3BC0 S3BC2 S3BC4 S3BC6 X +17 S3BC8 S3BCA S78D X +11 I3C07,3 I3C0D,3 I3C13,3 I3C19,3 I3C1F,3 I3C25,3 I3C2B,3 I3C31,3
+I3C37,3 I3C3D,3 I3C43,3 I3C49,3 I3C4F,3 I3C55,3 I3C5B,3 I3C61,3 I3C67,3 I3C6D,3 I3C73,3 I3C79,3 I3C7F,3 I3C85,3 I3C8B,3
+I3C91,3 I3C97,3 I3C9D,3 I3CA3,3 I3CA9,3 I3CAF,3 I3CB5,3 I3CBB,3 I3CC1,3 I3CC7,3 I3CCD,3 I3CD3,3 I3CD9,3 I3CDF,3 I3CE5,3
+I3CEB,3 I3CF1,3 I3CF7,3 I3CFD,3 I3D05,3 I3D0B,3 I3D11,3 I3D17,3 I3D1D,3 +11 X +3 S7AA I3C02,3 +4 I3D29,3 +1 P02 P03 P04
+P05 P06 X P07 I3D2B,3 +1 ID17,F ID19,F +8 I3D2D,3 +1 X +36 S410A S410E X S4112 X +1 S4116 S411A X S4122 X +1 S4126 X +5
+S412A S412E S4132 S4136 X S413A S413E S4142 S4146 S414A S414E S4152 X S4156 S415A S415E X S4162 X S4166 X +1 S411E S416A
+X S4176 S417A S3D1D I41,A I41,46 I41,E I41,42 I41,12 I41,16 I41,1A I41,1E I41,22 I41,26 X I41,36 I41,4A I41,4E X +1
+I41,2A I41,2E I41,32 I41,3E I41,3A X S41 X S41 S41 S41 S41 X S4196 X +1 ID17,10 ID19,10 +8 X +1 S416E S4172 X +33 SB9B
++10 I702,50 I702,55 SBA6 +18 ID17,11 ID19,11 +8 ID19,E1 +8 ID17,E1 SBB9 +4 P0F SBBE +5 S4003 S400B S400E S400E40FC S402E
+S403D S4042 S4045 X S404B S4052 S405B S405E S405E40FC S4078 S4052 S405B S405E S405E40FC S4078 S4087 S4090 S4092
+S409240FC S40A3 S40AC S40B3 S40B6 S40B640FC S40BB +1 S40BF S40C2 +1 S40C5 S40C7 +1 S40C8 S40CB S40D9 S40DB S400340FA
+S40C5 X +5 P0D S40DC I40DC,F S40DD I40DD,F S40F840DC I40F840DC,20F S40F940DC I40F940DC,20F S40DE S40DE +1 S40DF S40A3
+P11 S40DC I40DC,F S40A3 S40A3 P0B P13 SBC6 +1 P15 P17 P19 P1B X +3 S40E0 +2 S40E240FC S40E3 +3 X S40E7 +3 S40EA40FC
+S40EB S40E8 +2 S40EA40FC S40EB +3 S40EE40FC S40EF +3 S40F240FC S40F3 +7 S40FA +3 S40E040FA S40F3 S40F7 +1 X SBC8 +14 X
++1 SBD7 I702,52 I702,53 X +45 S3E03 S3E06 S3E09 S3E0C S3E0F S3E12 S3E15 S3E18 S3E1B S3E1E S3E21 S3E24 S3E27 S3E2A S3E2D
+S3E30 S3E33 S3E36 S3E39 S3E3C S3E3F S3E42 S3E45 S3E48 S3E4B S3E4E S3E51 S3E54 S3E57 S3E5A S3E63 S3E66 S3E69 S3E6C X
+S3E6F S3E72 S3E75 S3E78 S3E7B X S3E7E S3E81 X S3E90 S3E93 S3E96 S3E99 S3E9C S3E9F S3EA2 X +2 S7DD +2 S3EB1 X +5 ID17,13
+ID19,13 +8 SC4A +5 S3E5D S3E60 S3E84 S3E87 S3E8A S3E8D S3EA5 S3EA8 S3EAB S3EAE X +69 S1265 +6 S126D +5 S1274 +6 S127C
++10 S1288 +1 S126C S1273 S127B S1287 S128A X +9 S1201 +6 S1209 +5 S1210 +6 S1218 +10 S1224 +1 S1208 S120F S1217 S1223
+S1226 +3 I1203,33 S1203 S7DC P3D X +2 SC002 SC255 SC4A9 SC707 SC961 SCBB3 SCE1C SD076 SD2CC SD52C SD786 SD9E4 SDC48
+SDE9F SE0F4 SE34C SE59D SE7EF SEA46 SC6FB +2 SC6FF SC960 SCE08 SCE0B SCE19 SCE1B SD06F SD075 SD2C8 +2 SD51F +9 SD52A +1
+SD77F +6 SD9D7 +12 SDC38 SDC3A +7 SDC43 +2 SDE9E SE0F0 +3 SE348 +3 SEA44 +1 SED9D +1 X +4 SED9F SEDE3 SEDA0 SEDA3 +1
+SEDA7 +1 SEDAC +1 SEDB0 +3 SEDB9 +1 SEDC0 SEDC3 SEDC5 SEDC8 +1 SEDD1 SEDD5 SEDD7 SEDA1 +1 SEDA5 +1 SEDA9 +2 SEDAE +1
+SEDB4 +4 SEDBB +4 SEDC1 +1 SEDC4 SEDC6 +1 SEDCA +6 SEDD2 +1 SEDD6 SEDD8 +10 X +4 SC002 SC255 SC4A7 SC4A9 SC704 SC706 +1
+SCBB3 SCE06 SCE0C SCE0F SCE13 SCE17 +2 SCE1C SD076 SD51F SD52C SD786 SD9E4 SDC48 SE0F4 SE34C SE59D SE7EF SEA46 SC4A6
+SC4A8 SC6FB SC6FE SC702 +1 SC705 SC960 SCBB2 SCE07 +4 SCE0D +1 SCE10 +2 SCE14 +2 SCE1A SD06D +8 SD2CB SD528 +2 SD77F
+SD781 +1 SD784 SD9E3 SDC38 +1 SDC3F SDC42 SDC45 +2 SEA44 +1 SED99 +3 SED9E X +5 S5202 +1 S5205 I5202,8 S5206 +2 S5312
+S520A +7 I5202,4 +1 I5205,4 I5202,A I5206,4 +2 S5209 S5212 +23 I521A,4 +7 S522A +12 S5238 +1 S5313 S5237 X I5234,4 S523A
+S5243 I5233,4 X +1 S523B +6 X I523F,4 X I523D,4 S5242 I522C,7F I523C,4 X +1 S5244 +7 S52F8 +7 S524C +15 I5202,6 +1
+I5205,6 I5202,C I5206,6 +2 S5314 I5202,E X I5205,8 I5209,4 I5206,8 +1 X +1 S525C +30 S5315 I527A,4 X I5276,4 S527B
+I5278,4 I5275,4 X +1 S527C +6 X I5282,4 X I527E,4 S5283 I5280,4 I527D,4 X +1 S5284 S5289 S5285 +3 S528A S5316 I526C,4 +6
+X S528B +22 S5317 S52A2 +30 S5318 I52C0,4 X I52BC,4 S52C1 I52BE,4 I52BB,4 X +1 S52C2 +6 S5319 S52C9 +31 I52E1,4 +6 S531A
+S52E9 +14 I52F1,4 I5222,4 I5212,4 I52E9,4 X +3 P51 I914,33 PB7 PB8 PB9 PBA PBB PBC PBD PBE ID19,14 +9 ID2C,14 ID36,14
+ID40,14 ID4A,14 ID4C,14 ID4E,14 ID50,14 ID52,14 ID54,14 ID5A,14 X +2 S5302 +15 S915 +9 X +5 S4703 +84 X +11 SF180EA4
+SE510EA2 S4404 I4404,A S4406 I4406,A I44C3,9 I44C3,26 I44C3,43 S4408 I4408,A I44C3,60 I44C3,7D I44C3,9A I44C3,B7
+I44C3,D4 I44C4,9 I44C4,26 I44C4,43 I44C4,60 I44C4,7D I44C4,9A I44C4,B7 I44C4,D4 I44C5,9 I44C5,26 I44C5,43 I44C5,60
+I44C5,7D I44C5,9A I44C5,B7 I44C5,D4 I44C6,9 I44C6,26 I44C6,43 I44C6,60 I44C6,7D I44C6,9A I44C6,B7 I44C6,D4 I44C7,9
+I44C7,26 I44C7,43 I44C7,60 I44C7,7D I44C7,9A SE510EA2 SE510EA4 S440E I440E,A S4410 I4410,A I44C7,B7 I44C7,D4 I44C8,9
+S4412 I4412,A I44C8,26 I44C8,43 I44C8,60 I44C8,7D I44C8,9A I44C8,B7 I44C8,D4 I44C9,9 I44C9,26 I44C9,43 I44C9,60 I44C9,7D
+I44C9,9A I44C9,B7 I44C9,D4 S4414 I44CA,9 I44CA,26 SE510EA4 SE700E02 S4418 I4418,A S441A I441A,A I44CA,43 I44CA,60
+I44CA,7D S441C I441C,A I44CA,9A I44CA,B7 I44CA,D4 I44CB,9 I44CB,26 I44CB,43 I44CB,60 I44CB,7D I44CB,9A I44CB,B7 I44CB,D4
+I44CC,9 I44CC,26 I44CC,43 I44CC,60 S441E I44CC,7D I44CC,9A I44CC,B7 I44CC,D4 SE700E23 SE700E51 S4422 I4422,A S4424
+I4424,A I44CD,9 S4426 I4426,A I44CD,26 I44CD,43 I44CD,60 I44CD,7D I44CD,9A I44CD,B7 I44CD,D4 I44CE,9 I44CE,26 I44CE,43
+I44CE,60 I44CE,7D I44CE,9A I44CE,B7 I44CE,D4 S4428 I44CF,9 I44CF,26 I44CF,43 I44CF,60 I44CF,7D SE700E91 SE700EA2 S442C
+I442C,A S442E I442E,A I44CF,9A S4430 I4430,A I44CF,B7 I44CF,D4 I44D0,9 I44D0,26 I44D0,43 I44D0,60 I44D0,7D I44D0,9A
+I44D0,B7 I44D0,D4 I44D1,9 I44D1,26 I44D1,43 I44D1,60 I44D1,7D S4432 I44D1,9A SE700EA4 SE7C0EA2 S4436 I4436,A S4438
+I4438,A I44D1,B7 S443A I443A,A I44D1,D4 I44D2,9 I44D2,26 I44D2,43 I44D2,60 I44D2,7D I44D2,9A I44D2,B7 I44D2,D4 I44D3,9
+I44D3,26 I44D3,43 I44D3,60 I44D3,7D I44D3,9A S443C I44D3,B7 I44D3,D4 I44D4,9 I44D4,26 SE7E0E02 SE7E0E02 S4440 I4440,A
+S4442 I4442,A I44D4,43 S4444 I4444,A I44D4,60 I44D4,7D I44D4,9A I44D4,B7 I44D4,D4 I44D5,9 I44D5,26 S4446 I44D5,43
+I44D5,60 SE7E0E2C SE7E0E8A S4454 I4454,A S4456 I4456,A I44D5,7D S4458 I4458,A I44D5,9A I44D5,B7 I44D5,D4 I44D6,9
+I44D6,26 I44D6,43 I44D6,60 I44D6,7D I44D6,9A I44D6,B7 I44D6,D4 I44D7,9 I44D7,26 I44D7,43 S445A I44D7,60 I44D7,7D
+SE7E0E0A SE7E0E23 S444A I444A,A S444C I444C,A I44D7,9A S444E I444E,A I44D7,B7 I44D7,D4 I44D8,9 I44D8,26 I44D8,43
+I44D8,60 I44D8,7D I44D8,9A I44D8,B7 I44D8,D4 I44D9,9 I44D9,26 I44D9,43 I44D9,60 I44D9,7D S4450 I44D9,9A I44D9,B7
+I44D9,D4 I44DA,9 I44DA,26 I44DA,43 I44DA,60 I44DA,7D I44DA,9A I44DA,B7 I44DA,D4 I44DB,9 I44DB,26 I44DB,43 I44DB,60
+I44DB,7D I44DB,9A I44DB,B7 I44DB,D4 I44DC,9 I44DC,26 I44DC,43 I44DC,60 I44DC,7D I44DC,9A I44DC,B7 I44DC,D4 I44DD,9
+I44DD,26 I44DD,43 I44DD,60 I44DD,7D SE7E0E91 SE7E0EA2 S445E I445E,A S4460 I4460,A I44DD,9A S4462 I4462,A I44DD,B7
+I44DD,D4 I44DE,9 I44DE,26 I44DE,43 I44DE,60 I44DE,7D I44DE,9A I44DE,B7 I44DE,D4 I44DF,9 I44DF,26 I44DF,43 I44DF,60
+I44DF,7D S4464 I44DF,9A I44DF,B7 I44DF,D4 SE910EA2 I44E0,9 I44E0,26 SEA40E09 S4472 I4472,A S4474 I4474,A I44E0,43 S4476
+I4476,A I44E0,60 I44E0,7D I44E0,9A S4478 I44E0,B7 I44E0,D4 SE7E0EA4 SE910E8A S4468 I4468,A S446A I446A,A S446C I446C,A
+I44E1,9 I44E1,26 S446E I44E1,43 I44E1,60 I44E1,7D I44E1,9A I44E1,B7 I44E1,D4 I44E2,9 I44E2,26 I44E2,43 I44E2,60 I44E2,7D
+I44E2,9A I44E2,B7 I44E2,D4 I44E3,9 I44E3,26 I44E3,43 I44E3,60 I44E3,7D I44E3,9A I44E3,B7 I44E3,D4 I44E4,9 I44E4,26
+I44E4,43 I44E4,60 I44E4,7D I44E4,9A I44E4,B7 I44E4,D4 S44B4 I44E5,9 SE890E7E S447C I447C,A S447E I447E,A S4480 I4480,A
+S4482 I44E5,26 I44E5,43 I44E5,60 I44E5,7D I44E5,9A I44E5,B7 I44E5,D4 I44E6,9 SE480E91 S4486 I4486,A S4488 I4488,A S448A
+I448A,A S448C S4496 I44E6,26 I44E6,43 I44E6,60 I44E6,7D I44E6,9A I44E6,B7 I44E6,D4 I44E7,9 I44E7,26 S44A4 I44A4,A S44A6
+I44A6,A S44A8 I44A8,A S44AA I44E7,43 S449A I449A,A S449C I449C,A S449E I449E,A S44A0 I44E7,60 I44E7,7D I44E7,9A I44E7,B7
+I44E7,D4 I44E8,9 I44E8,26 I44E8,43 I44E8,60 I44E8,7D I44E8,9A I44E8,B7 I44E8,D4 I44E9,9 I44E9,26 I44E9,43 I44E9,60
+I44E9,7D I44E9,9A I44E9,B7 I44E9,D4 I44EA,9 I44EA,26 I44EA,43 I44EA,60 I44EA,7D I44EA,9A I44EA,B7 I44EA,D4 I44EB,9
+I44EB,26 I44EB,43 I44EB,60 I44EB,7D I44EB,9A I44EB,B7 I44EB,D4 I44EC,9 I44EC,26 I44EC,43 I44EC,60 I44EC,7D I44EC,9A
+I44EC,B7 I44EC,D4 I44ED,9 I44ED,26 I44ED,43 I44ED,60 I44ED,7D I44ED,9A I44ED,B7 I44ED,D4 I44EE,9 I44EE,26 I44EE,43
+I44EE,60 I44EE,7D I44EE,9A I44EE,B7 I44EE,D4 I44EF,9 I44EF,26 I44EF,43 I44EF,60 I44EF,7D I44EF,9A I44EF,B7 I44EF,D4
+I44F0,9 I44F0,26 I44F0,43 I44F0,60 I44F0,7D I44F0,9A I44F0,B7 I44F0,D4 I44F1,9 I44F1,26 I44F1,43 I44F1,60 I44F1,7D
+I44F1,9A I44F1,B7 I44F1,D4 I44F2,9 I44F2,26 I44F2,43 I44F2,60 I44F2,7D I44F2,9A I44F2,B7 I44F2,D4 I44F3,9 I44F3,26
+I44F3,43 I44F3,60 I44F3,7D I44F3,9A I44F3,B7 I44F3,D4 I44F4,9 I44F4,26 I44F4,43 I44F4,60 I44F4,7D I44F4,9A I44F4,B7
+I44F4,D4 I44F5,9 I44F5,26 I44F5,43 I44F5,60 I44F5,7D I44F5,9A I44F5,B7 I44F5,D4 I44F6,9 I44F6,26 I44F6,43 I44F6,60
+I44F6,7D I44F6,9A I44F6,B7 I44F6,D4 I44F7,9 I44F7,26 I44F7,43 I44F7,60 I44F7,7D I44F7,9A I44F7,B7 I44F7,D4 I44F8,9
+I44F8,26 I44F8,43 I44F8,60 I44F8,7D I44F8,9A I44F8,B7 I44F8,D4 I44F9,9 I44F9,26 I44F9,43 I44F9,60 I44F9,7D I44F9,9A
+I44F9,B7 I44F9,D4 I44FA,9 I44FA,26 I44FA,43 I44FA,60 I44FA,7D I44FA,9A I44FA,B7 I44FA,D4 I44FB,9 I44FB,26 I44FB,43
+I44FB,60 I44FB,7D I44FB,9A I44FB,B7 I44FB,D4 I44FC,9 I44FC,26 I44FC,43 I44FC,60 I44FC,7D I44FC,9A I44FC,B7 I44FC,D4
+I44FD,9 I44FD,26 I44FD,43 I44FD,60 I44FD,7D I44FD,9A I44FD,B7 I44FD,D4 I44FE,9 I44FE,26 I44FE,43 I44FE,60 I44FE,7D
+I44FE,9A I44FE,B7 I44FE,D4 I44FF,9 S44BE I78F,21 SE1A0E09 SE230E70 S4490 I4490,A S4492 I4492,A S4494 I4494,A X +8
+I702,49 S4904 +25 S790 +1 X +2 S4805 I4805,B S4807 S483D I4807,B I4807,14 S4809 I4809,B S480B I480B,B S4839 S483B
+I480B,14 I480B,1D I480B,26 S480D S480F S4811 S4813 I4813,B I4813,14 I4813,1D I4813,26 S4815 S4843 S4817 S4819 I4819,B
+I4819,14 I4819,1D S481B I481B,B I481B,14 S481D I481D,B S481F I481F,B S4821 I4821,B S4823 S4825 S4827 S4829 I4829,B
+I4829,1D I4829,26 I4829,2F S482A I482A,B I482A,14 S482B I482B,B I482B,14 I4825,B S482D S482F I482F,B I482F,14 S4831
+I4831,B S4833 I4833,B S4835 S4837 S483F S4847 S4849 S4841 S4845 S484B S484D I484D,B I484D,14 I4817,B I4829,14 P70 P71
+P72 I4821,14 I482F,1D I4809,14 X +14 S4A03 +12 X S4A10 +6 X +10 S4A35 +20 S789 +1 X +8 S4A67 +19 X +11 S4A96 +12 X S4AA3
++2 X S4AA6 +1 X +11 S430A S430C S430E S4310 S4312 S4314 S4316 S4318 S431A S431C S431E S4320 S4322 S4324 S4326 S4328
+S432A S432C I432E,4 S4332 S4334 S4338 S433A S433C S433E S4340 S4342 S434A S434E S4350 S4352 S4354 S4356 S4358 S435A
+S435A I435A,6 I435A,8 I435A,A I435A,C I435A,E I435A,10 I435A,12 I4342,6 I4342,8 I434A,4 I434A,6 I435A,14 I435A,16
+I435A,18 I435A,18 I435A,1C S4370 S436E S4372 S4374 S4376 S4378 S437A S437C S437E S4380 S4382 S4384 S4386 S4388 S438A
+S438C S438E S4390 S4394 S43A0 S43A2 S4368 S436A S43A6 I4342,4 S43AA S43A4 S43AC S43A8 S43AE S4392 S43E8 S43F0 +6 S7B0
+S4302 S4304 X +1 ID17,15 ID19,15 +8 X +5 S43B4 +9 X +5 SC3C +1 I70E,51 SC3E I713,51 SC3F X SC40 I70E,59 SC41 +1 X +2
+I702,3F X ID17,16 ID19,16 +8 X +5 S3F0A S3F0D S3F10 S3F16 S3F19 S3F1C S3F1F S3F22 S3F25 S3F28 S3F2E S3F31 S3F34 S3F37
+S3F40 S3F43 S3F46 S3F49 S3F5B S3F5E S3F61 S3F6A S3F70 S3F76 S3F79 S3F7C S3F7F S3F82 S3F85 S3F88 S3F8E S3F91 S3F94 S3F97
+S3F9A S3F07 I3F0D,6 I3F10,6 I3F16,6 I3F19,6 I3F1C,6 I3F1F,6 I3F28,6 I3F2E,6 I3F31,6 I3F34,6 I3F37,6 I3F40,6 I3F5B,6
+I3F5E,6 I3F61,6 I3F6A,6 I3F85,6 I3F70,6 I3F79,6 I3F7F,6 S3F8B I3F8E,6 S3F9D S3FA0 S3F64 I3F0D,A I3F10,A S3F13 I3F1F,A
+I3F19,A I3F28,A I3F7F,A I3F37,A S3F3D I3F31,A I3F49,6 I3F5B,A I3F5E,A I3F6A,A I3F7C,6 I3F8B,6 I3F8E,A I3F85,A I3F88,6
+S3FA3 I3F61,A I3F6D,6 I3F10,E I3F7F,E I3F76,6 I3F7C,A S3F6D X +7 S3FE9 S3FEC S3FEF S3FF2 S3FF5 S3FF8 S3FFB I3F0A,6
+I3F10,12 I3F7F,12 S3F2B S3F67 S3FA6 S3FAC S3FAF S3FB5 S3FB8 S3FC2 S3FC8 S3FCB S3FD1 S3FD7 S3FDA S3FDD S3FBF I3FD7,6
+S3F3A I3F2B,6 S3F4C S3F4F S3FA9 S3FB2 I3FBF,6 S3FC5 S3F52 S3FD4 S3F55 S3F58 S3FE0 S3FE3 S3FCE S3FE6 X +85 S4935 +28 X +2
+S4952 +11 X +3 S495E +11 X +3 SBF8 X +2 I707,51 I715,51 ID17,17 ID19,17 +8 S4985 +29 X +1 S49A3 +4 X +10 S4C02 +41 X +5
+S4C2C +25 X +5 ID17,1A ID19,1A +8 X +3 S778 +1 S43C8 +31 S4B64 +27 X +1 S4B80 +1 X +223 S5464 S5466 S5468 S546A S546C
+S546E SE480EA9 S5472 SE020E21 S5476 SE020E21 S547A SE020E21 S547E S5480 S5482 S5484 S5486 SE020E21 S548A S548C S548E
+S5490 S5492 S5494 S5496 S5498 S549A S549C S549E S54A0 S54A2 S54A4 S54A6 S54A8 S54AA S54AC S54AE S54B0 S54B2 S54B4 S54B6
+S54B8 S54BA S54BC S54BE S54C0 S54C2 S54C4 S54C6 S54C8 S54CA S54CC S54CE S54D0 S54D2 S54D4 S54D6 S54D8 I75301,20C S54DC
+S11071124 S54E0 S54E2 S290B2908 S29B92908 S54E8 S29D72908 S54EC S54EE S54F0 S54F2 S54F4 S54F6 S54F8 S54FA X +3 ID17,1C
+ID19,1C +8 S7F6 +6 SCFB ICFB,4 ICFB,6 ICFB,8 ICFB,A ICFB,C ICFB,E ICFB,10 ICFB,12 ICFB,14 PBF PC0 PC1 PC2 PC3 PC4 PC5
+PC6 PC7 ICFB,16 ICFB,18 ICFB,1A ICFB,1C ICFB,1E ICFB,20 ICFB,22 ICFB,24 ICFB,26 X +386 SE02 SE020E21 SE020E21 IE09,21
+SE0A SE1A IE1A,68 SE21 +1 IE32,A SE35 +1 IE48,C SE51 IE70,A IE7C,5A IE7C,5B IE7C,A IE7C,C IE7C,D IE7D,AA IE7C,5C IE7C,E6
+IE7C,E7 SE7E IE8A,A IE8A,B SE99 SE9F IEA0,C IEA0,F IE51,E6 SEA2 SEA4 SEA9 IE21,B4 IE92,C IE03,E SF06 SF16 SF22 SF24 SF30
+S1032 SE02 SE020E21 SE09 IE09,8C SE1A SE21 IE21,80 SE25 IE2C,7E IE32,69 IE35,7E SE36 IE48,7E SE51 SE70 SE70 SE7C +2
+IE8A,81 SE99 SE9F IEA4,7E SE02 IE02,3 IF02,3 SE020E21 SE09 SE1A SE21 IE21,7E IE22,79 IE22,84 SE25 IE32,69 SE36 SE51 SE74
+SE7C IE7C,F1 IE7C,F2 IE7C,F2 SE7E SE99 SE9F IE9F,8D SE51 SEA2 IE03,E SF04 IF06,5 SF08 SF2C SF2E SE32 SE8A SE9F SEA2 SF04
+SF06 SF24 SF2C SF2E SEA1 IE09,19 IE1A,19 IE23,19 IE51,19 IE70,19 IE7E,19 IE8A,19 IE8A,1F IE91,19 IE99,19 IEA9,19 IE25,A
+I103A,5 IE26,A IE9B,A IE32,1B IE32,94 IE7E,1B IE9F,1B IE9F,94 IE09,56 IE1A,56 IE23,56 IE25,56 IE36,56 IE48,56 IE51,56
+IE70,56 IE7E,56 IE8A,56 IE91,56 IE91,8C IEA2,56 IEA6,56 IEA9,56 IE09,59 IE04,59 IE1A,59 IE21,59 +1 IE22,59 IE21,D7
+IE32,59 IE21,59 IE91,91 IE9F,59 IE21,FE SE04 SE0A IE0A,82 IE1A,CC IE21,64 IE23,4 IE35,1F IE25,7D IE2C,7C IE32,1F IE32,7B
+SE32 IE32,1F IE35,46 IE48,56 IE48,57 IE48,A IE51,41 IE51,7C IE70,41 IE70,56 SE70 IE7C,20 IE7E,7B IE91,41 IE91,7C IE99,56
+IE9F,1E IE9F,7B SE9F IEA2,41 IEA2,7C SEA9 IEA9,57 IEA9,82 IE21,B4 IE99,8C P7A P7B P7C P7D P21 P22 P22 P21 P26 P25 X +51
+PFD X IE02,5A IE02,5A IE09,10 IE09,10 IE09,58 IE09,58 IE09,55 IE09,55 IE0A,28 IE0A,28 IE1A,10 IE1A,10 IE1A,58 IE1A,58
+IE1A,55 IE1A,55 IE1A,1C IE1A,1C IE1A,60 IE1A,60 IE21,24 IE21,24 IE21,23 IE21,23 IE21,60 IE21,60 IE21,63 IE21,63 IE21,2F
+IE21,2F IE23,10 IE23,10 IE25,17 IE25,17 IE2C,10 IE2C,10 IE2C,58 IE2C,58 IE2C,13 IE2C,13 IE2C,1C IE2C,1C IE2C,61 IE2C,61
+IE32,63 IE32,63 IE32,1F IE32,1F IE36,E IE36,E IE36,58 IE36,58 IE36,55 IE36,55 IE48,58 IE48,58 IE48,6E IE48,6E IE48,55
+IE48,55 IE48,60 IE48,60 IE51,E IE51,E IE51,10 IE51,10 IE51,58 IE51,58 IE70,10 IE70,10 IE70,58 IE70,58 IE70,55 IE70,55
+IE70,60 IE70,60 IE7C,25 IE7C,25 IE7C,2A IE7C,2A IE7C,24 IE7C,24 IE7C,23 IE7C,23 IE7E,E IE7E,E IE7E,10 IE7E,10 IE8A,10
+IE8A,10 IE8A,58 IE8A,58 IE8A,6E IE8A,6E IE8A,55 IE8A,55 IE91,10 IE91,10 IE91,58 IE91,58 IE91,1D IE91,1D IE91,22 IE91,22
+IE91,68 IE91,68 IE99,10 IE99,10 IE99,58 IE99,58 IE99,55 IE99,55 IE99,60 IE99,60 IE9F,59 IE9F,59 IE9F,63 IE9F,63 IE9F,5A
+IE9F,5A IE9F,25 IE9F,25 IE9F,28 IE9F,28 IEA2,19 IEA2,19 IEA2,58 IEA2,58 IEA4,F IEA4,F IEA4,E IEA4,E IEA4,13 IEA4,13
+IEA4,10 IEA4,10 IEA4,58 IEA4,58 IEA6,10 IEA6,10 IEA6,13 IEA6,13 IEA7,10 IEA7,10 IEA9,12 IEA9,12 IEA9,58 IEA9,58 IEA9,55
+IEA9,55 IE2C,55 IE99,13 IEA4,1A IEA7,1A IE02,69 IE96,10 X +3 IE02,59 IE02,59 IE02,43 IE02,43 IE02,1E IE02,1E IE02,1F
+IE02,1F IE02,55 IE02,55 IE02,29 IE02,29 IE02,6A IE02,6A IE02,21 IE02,21 IE02,22 IE02,22 IE02,58 IE02,58 IE02,2C IE02,2C
+IE02,6D IE02,6D IE21,58 IE21,58 IE21,43 IE21,43 IE21,19 IE21,19 IE21,1E IE21,1E IE21,1F IE21,1F IE21,55 IE21,55 IE21,29
+IE21,29 IE21,6A IE21,6A IE32,43 IE32,43 IE32,58 IE32,58 IE7C,58 IE7C,58 IE7C,43 IE7C,43 IE7C,1E IE7C,1E IE7C,1F IE7C,1F
+IE7C,55 IE7C,55 IE7C,29 IE7C,29 IE7C,6A IE7C,6A IE7C,60 IE7C,60 IE7C,61 IE7C,61 IE7C,95 IE7C,95 IE7C,69 IE7C,69 IE7C,AA
+IE7C,AA IE9F,58 IE9F,58 IE9F,43 IE9F,43 IE9F,60 IE9F,60 IE9F,61 IE9F,61 IE9F,95 IE9F,95 IE9F,69 IE9F,69 IE9F,AA IE9F,AA
+IEA7,F IEA7,F IEA7,58 IEA7,58 IEA7,44 IEA7,44 IEA7,19 IEA7,19 X +5 IF02,48 IF02,49 IF02,55 IF02,56 IF02,54 IF02,55
+IF02,D5 IF02,D6 IF02,48 IF02,49 IF02,55 IF02,56 IF02,54 IF02,55 IF02,D5 IF02,D6 IF0A,48 IF0A,49 IF0A,55 IF0A,56 IF0A,54
+IF0A,55 X +1 IF0A,48 IF0A,49 IF0A,55 IF0A,56 IF0A,54 IF0A,55 X +1 IF0E,48 IF0E,49 IF0E,55 IF0E,56 IF0E,54 IF0E,55
+IF0E,D5 IF0E,D6 IF0E,48 IF0E,49 IF0E,55 IF0E,56 IF0E,54 IF0E,55 IF0E,D5 IF0E,D6 IF12,48 IF12,49 IF12,55 IF12,56 IF12,54
+IF12,55 IF12,D5 IF12,D6 IF12,48 IF12,49 IF12,55 IF12,56 IF12,54 IF12,55 IF12,D5 IF12,D6 IF20,48 IF20,49 IF20,55 IF20,56
+IF20,54 IF20,55 X +1 IF20,48 IF20,49 IF20,55 IF20,56 IF20,54 IF20,55 X +1 IF2A,48 IF2A,49 IF2A,55 IF2A,56 IF2A,54
+IF2A,55 IF2A,D5 IF2A,D6 X IF2A,49 X IF2A,56 X IF2A,55 X IF2A,D6 IF32,48 IF32,49 IF32,55 IF32,56 IF32,54 IF32,55 IF32,D5
+IF32,D6 IF32,48 IF32,49 IF32,55 IF32,56 IF32,54 IF32,55 IF32,D5 IF32,D6 IF02,F IF02,5 IF0A,F IF0A,5 IF0E,F IF0E,5 IF12,F
+IF12,5 IF20,F IF20,5 IF2A,F IF2A,5 IF32,F IF32,5 X +1 IF02,D8 IF02,D9 IF02,E5 IF02,E6 IF02,E4 IF02,E5 IF02,66 IF02,66
+IF02,D8 IF02,D9 IF02,E5 IF02,E6 IF02,E4 IF02,E5 IF02,66 IF02,66 IF0E,D8 IF0E,D9 IF0E,E5 IF0E,E6 IF0E,E4 IF0E,E5 IF0E,66
+IF0E,66 IF0E,D8 IF0E,D9 IF0E,E5 IF0E,E6 IF0E,E4 IF0E,E5 IF0E,66 IF0E,66 IF32,D8 IF32,D9 IF32,E5 IF32,E6 IF32,E4 IF32,E5
+IF32,66 IF32,66 IF32,D8 IF32,D9 IF32,E5 IF32,E6 IF32,E4 IF32,E5 IF32,66 IF32,66 IF02,15 IF02,17 IF02,9F IF02,92 IF02,97
+X IF02,8F IF02,20 IF02,15 IF02,17 IF02,F IF02,5 IF02,92 S7BC SF12 S7BD +2 IF0E,9F IF0E,92 IF0E,97 X IF0E,8F IF0E,92
+IF0A,F IF0A,5 IF0E,F IF0E,5 IF0E,92 S7C0 +2 IF12,15 IF12,17 IF12,20 IF12,16 X +1 IF12,8F IF12,A3 IF12,15 IF12,17 IF12,F
+IF12,5 X S7C3 +2 IF2A,15 IF2A,17 IF2A,20 IF2A,16 IF24,48 IF24,49 IF2A,8F IF2A,8F IF2A,F IF2A,17 IF2A,F IF2A,5 IF24,49
+S7C6 X S748 X +1 IF32,C4 IF32,92 IF32,95 X IF32,8F IF32,20 IF20,F IF20,5 IF32,F IF32,5 IF32,92 S755 S7C7 X S70C +1 S70C
++9 X +3 U84 U85 U88 U89 U90 U92 S777 +9 SB25 +3 S733 SA0F +1 U86 S717 +1 X +4 I702,A IB2C,C IB2C,E S781 I781,14 I781,28
+S784 I781,19 I781,2D S787 +2 SB2E I71C,14 S78B +2 SB2F +2 U87 S807 I73F,1C I742,1C I73C,64 I73C,C8 I71C,C8 S787 S725
+S724 S71D +1 S723 S722 I72D,64 S721 S788 S720 I71A,15 I71A,1F S71F I71A,29 I71A,33 I71A,3D I71A,47 SC02 +2 S702 X +15
+SD17 SE32 X +1 SD1C +5 S803 U83 S812 S727 S72A SE70 SD17 SD19 +8 S803 U83 S812 S727 S72A X SE02 SE21 SE7C SEA6 IE21,7E X
++10 S79D S7AB S7A8 S79E +6 S7B6 +1 S7A9 S7A0 S7A7 S7A5 +1 S79B S7B2 +3 X +25 PDD PDE PDF PE0 PE1 PE2 PE3 PE4 PE5 PE6 PE7
+PE8 PE9 PEC PED PEE PEF PF0 PF1 PF2 PF3 PF4 PF5 PF6 PF7 PF8 PF9 P7E P8B P8C P8D P8E X +15 SE05 IE06,4 IE0A,4 IE0A,5 SE13
+SE18 +1 IE21,64 IE92,A IE23,4 IE25,3 IE2C,5 IE2C,4 IE2C,3 IE2C,3 IE2C,68 IE32,4 IE32,5 IE48,4 IE48,4 SE49 IE70,3 SE71
+SAFA IE7E,4 IE7E,3 IE89,3 IE8A,4 IE8A,5 IE8A,3 SE8B +1 SE93 SE9A SE9C SEA3 IEA9,3 IEA9,63 IF32,3 IF32,5 IEA9,5 IF32,4
+SE37 IE02,1A IE09,4 IE0A,6 IE21,5 IE21,4 IE21,4 IE23,5 IE23,3 IE51,4 IE7C,4 S2802 +3 IE33,F0 IE89,8 SB02 SF22 IF06,5
+IF06,5 IF22,5 IE21,8 IE25,A IE48,C IE48,D IEA7,D SE1A SE1A SE21 SE32 SE35 SB4D I70A,A SC64 +1 IE23,3 X +3 ID18,D0
+ID18,DC ID18,CC ID18,D4 ID18,D8 ID18,E0 ID18,CA ID18,E2 ID18,C8 ID18,D2 ID18,DA ID18,E4 IDA6,E6 IDAB,E8 +11 IDB9,E8
+IDBE,E8 IDC3,E8 IDC8,E8 IDAB,E8 +11 IDB9,E8 IDBE,E8 IDC3,E8 IDC8,E8 IDC8,E8 IDCD,E8 IDD2,E8 IDBE,E7 IDBE,E7 X +10 S9DF
+I9D9,3 I9DB,3 I9DD,3 I9E1,3 +1 I9E0,3 I9DA,3 I9DC,3 I9DE,3 I93A,A +1 I9DF,5 I9DB,5 I9DF,6 I9D9,4 I9DB,6 I9DD,4 I9DF,7
+I9DB,7 I9DF,8 I9D9,5 I9DB,8 I9DD,5 I9E2,4 I9DF,9 I9DB,9 I9DF,A I9DB,A I9E1,4 I93E,14 I9DD,6 I9DF,B I9DB,B I9DF,C I9DB,C
+I9DD,7 I9DF,D I9E4,3 I9E3,3 I9E0,4 I9E1,6 I9E4,4 I9E3,4 I9DF,E I9DF,F I9D9,6 I9D9,7 I9DB,D I9DB,E I9DD,8 I9DD,9 I9E1,7
+I9E2,6 I9E1,8 I9DF,10 I9D9,8 I9DB,F I9DD,A I9E1,9 I9E1,A I93A,C I93E,14 I93B,C I9DB,10 I9D9,9 I9DB,11 I9DD,B I9E1,C
+I9E2,5 I9E0,5 I9DA,4 I9DC,4 I9DE,4 I9DF,13 I9DB,12 I9DF,14 I9DB,13 I9D9,A I9DD,C I9DF,15 I9D9,B I9DB,14 I9DD,D I9DF,16
+I9DB,15 I9DF,17 I9D9,C I9DB,16 I9DD,E I9D9,D I9D9,1C I9D9,26 I9D9,30 I9D9,65 I9D9,79 I9DB,29 I9E0,D2 I9DC,D2 I9E2,C
+I9DB,33 I9DD,AA I9DB,3D I9DF,33 I9DB,47 I9DB,C9 I9DF,3D I9DB,51 I9DD,C9 I9DF,47 I9DB,5B I9DF,51 S821 +3 SA11 S826 +3
+IA11,15 S82B +1 IA11,29 S82E +4 U83 S80C S833 S808 S834 S809 +2 S835 +3 IDFF,7F S839 +4 IA11,3D S83F SA12 S841 +4
+IA13,15 IA13,29 S848 IA13,3D IA13,51 S84B +15 I750,15 S85C +1 I85D,15 S85F +1 I860,15 S862 I862,15 S864 +21 SA14 S87B
+IA14,15 S87D +6 I819,3 I81B,3 S884 IA14,2A I80E,33 IA14,33 SA15 +1 S88A +1 IA15,15 +1 S88E +1 SA17 +1 S80F S815 S892 +3
+SA19 IA19,15 S898 +1 SA1A +1 S89C +1 IA1A,15 +1 S8A0 +10 I803,EE +1 I806,EE I808,EE I80B,EE I80A,EE I809,EE I812,EE
+I805,EE I803,EF +1 I806,EF I80B,EF S8AB +9 SA1C IA1C,C IA1C,16 SA1D S810 S816 S8B9 +22 I8D2,1F I8D2,29 I8D2,B I8D2,15
+S8D4 +2 I898,64 +1 S8D9 +13 I892,15 +1 SA1E IA1E,C S8EB +5 IA1E,16 IA1E,20 IA1E,2A IA1E,34 S8F5 +3 I829,18 I829,16
+I82B,16 I829,14 I829,12 I82B,12 I829,10 I829,E I8D0,15 I8D0,1F I8D0,29 I886,47 I887,51 I888,5B I938,36 I938,37 S904 +38
+S793 S795 S92D +10 I938,38 I938,39 I938,3A I938,3B I938,3C I938,3D I938,3E I938,3F I938,40 I938,41 I938,42 I938,43
+I938,44 I938,45 I938,46 I938,47 I938,48 I938,49 I938,4A I938,4B I938,4C I938,4D I938,4E I938,4F I938,50 I938,51 I938,52
+I938,53 I938,54 I938,55 I938,56 I938,57 I938,58 I938,59 I938,5A I938,5B I938,5C I938,5D I938,5E I938,5F I938,60 I938,61
+I938,62 I938,63 I938,64 I938,65 I938,66 I938,67 I938,68 I938,69 I938,6A I938,6B I938,6C I938,6D I938,6E I938,6F I938,70
+I938,71 I938,72 I938,73 I938,74 I938,75 I938,76 I938,77 I938,78 I938,79 I938,7A I938,7B I938,7C SB4E S985 SB4F +3 IB3E,B
+IB3E,D SB3F +5 SB53 +1 S986 SB55 +2 IB0C,15 IB0C,17 IB0C,19 IB0C,1B IB0C,1D SB58 I938,35 SB59 SB45 +3 I70B,60 I70B,6E
+I70B,5A I70C,60 I70C,6E I70C,5A I717,60 I717,6E I717,5A I719,60 I719,6E I719,5A I726,3 I726,4 I726,5 I727,A I728,3
+I728,4 I728,5 SB5A +1 I727,14 I727,1E IB49,15 IB49,1F S766 S768 I767,A SB5C IB4A,C IB4A,E IB0E,15 IB0E,17 IB0E,19
+IB0E,1B IB0D,15 IB0D,17 IB0D,19 IB0D,1B IB0D,1D IB0D,1F IB0D,21 IB0D,23 IB0D,25 IB0D,27 IB0D,29 IB0D,2B IB0D,2D IB0D,2F
+IB0D,31 SB5D IB0F,15 IB0F,17 SB5E SC65 +10 S7E2 +11 X +23 SCB6 +33 S719 +1 SCD8 IB4B,15 IB4B,1F X +24 SAEE +10 X +20
+SD19 +19 ID19,E9 +19 ID19,EA +19 IE02,F2 IE09,F2 +1 IE1A,F2 IE21,F2 IE23,F2 IE25,F2 IE2C,F2 IE32,F2 IE35,F2 +1 IE48,F2
+IE51,F2 IE70,F2 IE7C,F2 IE7E,F2 IE89,F2 +1 IE91,F2 IE99,F2 IE9F,F2 IEA2,F2 IEA4,F2 IEA6,F2 +1 IEA9,F2 IE02,EE IE09,EE +1
+IE1A,EE IE21,EE IE23,EE IE25,EE IE2C,EE IE32,EE IE35,EE +1 IE48,EE IE51,EE IE70,EE IE7C,EE IE7E,EE IE89,EE +1 IE91,EE
+IE99,EE IE9F,EE IEA2,EE IEA4,EE IEA6,EE +1 IEA9,EE IE02,EE IE09,EE +1 IE1A,EE IE21,EE IE23,EE IE25,EE IE2C,EE IE32,EE
+IE35,EE +1 IE48,EE IE51,EE IE70,EE IE7C,EE IE7E,EE IE89,EE +1 IE91,EE IE99,EE IE9F,EE IEA2,EE IEA4,EE IEA6,EE +1 IEA9,EE
+SD17 SD0C SD0B SD0A SD09 SD08 SD07 SD06 SD05 SD04 SD03 SD19 +9 SD17 I9E5,3 I9E5,4 I9E8,3 I9E8,4 I9E5,5 I9E5,6 I9E8,5
+I9E8,6 I9E5,7 I9E5,8 I9E8,7 I9E8,8 I9EB,3 I9EB,4 I9EB,5 I9EB,6 I9EC,3 I9EC,4 I9EC,5 I9EC,6 I9ED,3 I9ED,4 I9ED,5 I9ED,6
+I9EE,3 I9EE,4 I9EE,5 I9EE,6 I9EF,3 I9EF,4 I9EF,5 I9EF,6 I9EF,7 I9EF,8 I9EF,9 I9EF,A I9F0,3 I9F0,4 I9F0,5 I9F0,6 I9F0,7
+I9F0,8 I9F0,9 I9F0,A I9F1,3 I9F1,4 I9F1,5 I9F1,6 I9F1,7 I9F1,8 I9F1,9 I9F1,A I9F2,3 I9F2,4 I9F2,5 I9F2,6 I9F2,7 I9F2,8
+I9F2,9 I9F2,A I9F3,3 I9F3,4 I9F3,5 I9F3,6 I9F3,7 I9F3,8 I9F3,9 I9F3,A I9F3,B I9F3,C I9F3,D I9F3,E I9F3,F I9F3,10 I9F3,11
+I9F3,12 I9E5,9 I9E5,A I9E8,9 I9E8,A I9E5,B I9E8,B I9EB,7 I9EB,8 I9EB,9 I9EC,7 I9EC,8 I9EC,9 I9ED,7 I9ED,8 I9ED,9 I9EE,7
+I9EE,8 I9EE,9 I9EF,B I9EF,C I9EF,D I9F0,B I9F0,C I9F0,D I9F1,B I9F1,C I9F1,D I9F2,B I9F2,C I9F2,D I9F3,13 I9F3,14
+I9F3,15 I9EB,A +1 I9EE,A I9ED,A I9F4,3 +2 I9E6,3 I9E9,3 I9E7,3 I9EA,3 I9E6,4 I9E9,4 I9E7,4 I9EA,4 I9E5,C I9E8,C I9E5,D
+I9E8,D I9FA,3 I9F7,3 +2 I9FA,4 I9FB,3 +3 I9FD,4 I9FC,4 I9FB,4 I9FA,5 I9F9,4 I9F8,4 I9F7,4 I9FA,6 I9FE,4 I9FE,5 I9FE,6
+I9F7,5 I9F7,6 IB10,C IB10,E IB10,10 IB10,12 IB10,14 IB10,16 IB10,18 IB10,1A IB10,1C IB10,1E I9BC,3 I9BC,4 I9BC,5 I9BC,6
+I9BC,7 I9BC,8 I9BC,9 I9BC,A I9BC,B I9BC,C I9BC,D I9BC,E I9BD,3 I9BD,4 I9BE,3 I9BE,4 I9BF,3 I9BF,4 I9C0,3 I9C0,4 I9C0,5
+I9C0,6 I9C1,3 I9C1,4 I9C1,5 I9C1,6 I9C4,3 I9C4,4 I9C2,3 I9C2,4 I9C2,5 I9C2,6 I9C3,3 I9C3,4 I9C3,5 I9C3,6 I9C5,3 I9C5,4
+I9C6,3 I9C6,4 I9C6,5 I9C7,3 +2 I9C9,4 I9C9,5 I9C9,6 I9C9,7 I9C9,8 I9C9,9 I9C9,A I9C9,B I9C9,C I9C9,D I9CA,3 +2 I9C9,E
+I9CD,3 +11 I9CC,4 I9BC,F I9BC,10 I9BC,11 I9BC,12 I9BC,13 I9C0,7 I9C0,8 I9C0,9 S9C1 IB11,C IB11,E IB11,10 IB11,12 IB12,C
+IB12,E IB12,10 IB12,12 IB13,C IB13,E IB13,10 IB14,15 IB14,17 IB14,19 IB14,1B IB13,12 SA2F +4 SA35 SA34 SA36 +12 SB04 +3
+SC70 SB08 I9DF,3C I9DB,3D I9DF,3D I9D9,3C I9DB,3C I9DD,3C SA43 +79 SB09 +2 IB0B,4 IB0B,6 IB0B,8 IB0B,A IB0B,C IB0B,E
+IB0B,10 IB0B,12 IB0B,14 IB0B,16 IB0B,18 SC71 +1 ID19,F2 +5 SB17 +11 SC73 +10 X +2 SB23 +1 SC7E +15 IC8D,14 X +77 SA93 +3
+X SA97 +3 X +1 SA9B +27 X SAB7 SABE SAB9 +4 SAB8 SABF +26 X SADA X SADB +3 X +2 SADF X SAE0 +6 X +1 SAE7 +6 I70B,C8 +1
+I70B,D2 +1 I756,A +1 IB4C,E IB4C,12 I756,14 +1 I726,DC I728,DC I726,64 I728,64 SD16 SD15 SD14 SD13 SD12 SD11 SD10 SD0F
+SD0E SD0D SD19 +9 ID16,3 ID15,3 ID14,3 ID13,3 ID12,3 ID11,3 ID10,3 ID0F,3 ID0E,3 ID0D,3 I9DB,17 X +2 I9DC,5 I9DB,18
+I9DA,5 I9DB,19 I9DB,1A I9DB,1B I9DB,1C I9DB,1D I9DB,1E I9DB,1F I9DB,20 I9DB,21 I9DB,22 I9DB,23 I9DB,24 I9DB,25 I9DB,26
+I9DB,27 I9DB,28 I9DB,29 I9DB,2A I9DB,2B I9DB,2C I9DB,2D X I9DB,2E I9DB,2F I9DB,30 I9DC,6 I9DB,31 I9DA,6 I9DC,7 I9DB,32
+I9DA,7 I9DB,33 I9DB,34 I9DB,35 I9DB,36 I9DB,37 X SC8E +6 ICFA,1D ICFA,1E ICFA,1F ICFA,20 X +4 SB5F +4 SB15 IB15,4 IB15,6
+SB16 IB16,4 SB64 IB16,6 SB65 IB16,8 IB16,A SB66 +1 IB2D,3 IB2D,5 IB2D,7 IB2D,9 IB2D,B I717,7A I719,7A I756,1E +1 I756,28
++1 X +3 S940 S940 S954 +5 S93E S93E S93E S95A +1 S93E S978 S95C SA6FA +5 SA702 +232 SA7EC +16 I941,32 S93E S977 S93E
+S93E I941,28 S93F S93F S945 S951 S93F S93F S93E S93E S93E +1 S93E S95D S94F S94E S94D S93E I941,1E I941,14 S941 S97A
+S939 S979 S939 +2 S93A +1 I93C,14 I93C,1E I93D,B I93D,15 I93D,1F I93D,29 I93C,28 I93C,A I93C,3C I93C,46 S94C S95F
+I93C,50 I93C,5A I93C,64 I93C,6E I93C,78 I93C,32 S953 I942,28 I942,1E I942,14 I942,A S960 +4 S96D S96C S96A S950 S952
+S946 S968 S947 +4 I941,A I943,4 I943,24 I943,22 I943,20 I943,1E I943,1C I943,1A I943,18 S943 I943,14 I943,26 I943,10
+I943,E I943,C I943,A I943,8 I943,6 I943,30 I943,12 I943,16 I943,44 I943,38 I943,34 I943,32 I944,13 I944,11 I944,F I944,3
+I944,B I944,15 I944,9 I944,7 I943,2E I943,2C I943,2A I943,28 I944,5 I944,D S93E S96E S976 S970 S96B S972 +3 S971 S95E
+S969 S96F S967 S966 S965 SB68 IB32,3 IB32,5 I726,14 I728,14 I70B,43 +1 I726,F0 I728,F0 I726,F0 I728,F0 I717,14 I719,14
+I717,28 I719,1E I717,3C I717,1E I756,32 +1 I756,70 +1 I756,72 +1 I756,74 +1 SB69 +1 IB33,3 IB33,5 IB33,7 IB33,9 IB33,B
+IB33,D IB33,F IB33,11 IB33,13 IB33,15 IB33,17 IB33,19 IB33,1B S987 +7 I826,65 I826,15 I826,1F S98F +1 I804,EE I727,EE
+I83F,EE I834,EE I8E8,EE IB67,EE I806,EE I81D,EE S991 I80A,EE +1 I80E,EE I814,EE I9C9,EE I9C9,EF IB34,15 IB34,17 IB34,19
+IB34,1B IB34,1D IB34,1F IB35,14 IB35,16 IB35,18 IB35,1A IB35,1C IB35,1E IB35,20 IB36,B IB36,D IB36,F IB37,15 IB37,17
+IB38,15 IB38,17 IB39,15 IB39,17 IB3A,15 IB3A,17 IDFF,F IDFF,B IDFF,11 SB6B +3 IB3B,B IB3B,D IB3B,F SB6F +1 IB3C,B IB3C,D
+S992 SB71 S993 +1 IB3D,15 IB3D,17 IB3D,19 IB3D,1B IB3D,1D IB3D,1F SB72 S834 I808,C I834,C9 I808,15 I834,15 I803,64
+I803,C8 I756,3C +1 I803,3 +1 I8D1,15 I8D1,1F I8D1,29 I8CA,A I8CA,14 I8C9,14 I8CA,EF I841,3C I842,32 I8D1,33 I889,65 S88C
+I88C,FA S88D I8D7,15 I8D7,1F S890 +1 I8D3,15 I8D3,1F I8D3,29 I8D7,29 S896 I8D7,33 I8D7,3D I843,29 I844,5F I8D7,47
+I8D7,51 S897 S89E I825,15 I825,1F I825,29 I803,4 I803,6 I803,8 I803,A I803,C I803,E I803,10 I804,4 I804,6 I804,8 I804,A
+I803,12 I803,14 S89F I81C,28 I81C,23 S8B5 +1 I81C,1E I81C,19 I81C,14 I81C,F I81D,EE I803,16 I804,C I81C,A S805 +1 I807,A
+I808,14 I843,5 I844,51 I844,19 I843,A I841,37 I842,2D I844,47 I844,5B I844,51 I844,4B I844,55 I843,29 I844,31 I843,15
+I843,EF I844,3C I844,32 I841,32 I842,28 I841,2D I842,1E I841,28 I842,19 I809,15 +1 I842,23 I841,1E I842,14 I841,19
+I842,F I841,14 I841,F I841,A I80B,15 I842,A I842,5 I80C,15 +16 I812,64 I812,C8 I81D,15 +3 I83E,15 I840,83 I83E,B I840,B
+I83E,15 I840,15 I83E,1F I840,1F I83E,29 I840,29 I83E,33 I840,33 I83E,3D I840,3D I83E,47 I840,47 I83E,51 I840,51 I83E,5B
+I840,5B I83E,65 I840,65 I83E,6F I840,6F I83E,79 I840,79 I8D8,5B I8D8,65 I8D8,6F I8D8,79 I846,15 I846,1F I846,29 I846,33
+I847,3D I847,47 I847,51 I847,5B I849,15 I849,1F I849,29 I840,8D I840,97 I83E,1F I840,A1 I83E,29 I840,AB I863,15 I863,1F
+I863,29 I863,33 S8B7 I82A,15 I82D,15 I82A,1F I82D,1F I82A,29 I82D,29 I82A,33 I82D,33 I82A,3D I82D,3D I82A,47 I82D,47
+I80F,64 I80F,C8 I898,E I899,C I898,10 I899,E I898,12 I899,10 I898,14 I899,12 I898,20 I899,26 I898,16 I899,14 I898,C
+I899,A I898,18 +1 I84A,33 I84A,3D I898,1A +1 I898,1C +1 I899,1E I899,20 I898,1E I899,22 I899,24 I899,16 I829,C S8B8
+I843,3D SA1F S8E7 I87A,15 I87A,1F I87A,29 S8E8 I87C,15 I885,15 I87C,1F I885,1F S8E9 I87A,33 I87A,3D I87A,47 I885,29
+I885,33 I885,3D S8EA S8F1 I861,15 I861,1F S8F2 +2 I85B,15 I85B,1F I85B,29 I85B,33 I85B,3D I85E,15 I85E,1F S820 +2
+I8F9,15 I8F9,1F S97B +7 I97B,3 +3 S983 +1 SC95 +5 SA02 IA02,C SA03 IA03,C IA03,16 IA03,20 I7D3,C X +4 IC8F,34 IC8F,52
+IC8F,53 IC90,54 X +219 S1302 S1304 S1306 S1308 S130A S130C S130E S1310 S1312 S1314 S1316 S1318 S131A S131C S131E S1320
+S1322 S1324 S1326 S1328 S132A S132C S132E S1330 S1332 S1334 S1336 S1338 S133A S133C S133E S1340 S1342 S1344 S1346 S1348
+S134A S134C S134E S1350 S1352 S1354 S1356 S1358 S135A S135C S135E X S1302 S1304 S1306 S1308 S130A S130C S130E S1310
+S1312 S1314 S1316 S1318 S131A S131C S131E S1320 S1322 S1324 S1326 S1328 S132A S132C S132E S1330 S1332 S1334 S1336 S1338
+S133A S133C S133E S1340 S1342 S1344 S1346 S1348 S134A S134C S134E S1350 S1352 S1354 S1356 S1358 S135A S135C S135E X
+IE48,1B IE48,1B IE48,19 IE7E,1B IE8A,43 IE02,1C IE99,64 IE2C,64 IE2C,64 IE36,64 IE36,64 IEA9,64 IEA9,64 X +6 IEA2,67
+SE30 SE30 IE7E,79 X +7 S1402 S1402 S1404 S1404 S1406 S1406 S1408 S1408 S140A S140A S140C S140C S140E S140E S1410 S1410
+S1412 S1412 S1414 S1414 S1416 S1416 S1418 S1418 S141A S141A S141C S141C S141E S141E S1420 S1420 S1422 S1422 S1424 S1424
+S1426 S1426 S1428 S1428 S142A S142A S142C S142C S142E S142E S1430 S1430 S1432 S1432 S1434 S1434 S1436 S1436 S1438 S1438
+S143A S143A S143C S143C S143E S143E S1440 S1440 S1442 S1442 S1444 S1444 S1446 S1446 S1448 S1448 S144A S144A S144C S144C
+S144E S144E S1450 S1450 S1452 S1452 S1454 S1454 S1456 S1456 S1458 S1458 S145A S145A S145C S145C S145E S145E S1460 S1460
+S1462 S1462 S1464 S1464 SC9B +6 X +13 I733,29 I73C,29 I73C,33 I746,29 ID18,D6 I1433,33 I1447,33 S1265 +6 S126D +5 S1274
++6 S127C +10 S1288 +1 S126C S1273 S127B S1287 S128A X +9 S4D03 S4D05 S4D07 S4D09 S4D0B S4D0D S4D0F S4D11 S4D13 S4D15
+S4D17 S4D19 S4D1B S4D1D S4D1F S4D21 S4D23 S4D25 S4D27 S4D29 S4D2B S4D2D S4D2F S4D31 S4D33 S4D35 S4D37 S4D39 S4D3B S4D3D
+S4D3F S4D41 S4D43 S4D45 S4D47 S4D49 S4D4B S4D4D S4D4F S4D51 S4D53 S4D55 S4D57 S4D59 S4D5B S4D5D S4D5F S4D61 S4D63 S4D65
+S4D67 S4D69 S4D6B S4D6D X +8 S4D6F X +15 S531B +22 X +8 S5332 +6 X S5339 +6 X S5340 +6 X S5347 +6 X S534E +6 X S5355 +6
+X S535C +6 X S5363 +6 X +32 S7C8 +23 X +3 S7E0 +1 X +97 SA602 +25 X SA61C +3 SFDFF5A73 SA621 +82 SFDFF8EAD X +11
+SFDFF3C6A SFDFF3C92 SFDFF3CA0 SFDFF3CA9 SFDFF3CC3 SFDFF3CEF SFDFF3CF6 SFDFF3D0C SFDFF3D26 SFDFF3FAF SFDFF3FD5 SFDFF3FDB
+SFDFF3FF2 SFDFF4008 SFDFF401D SFDFF4052 SFDFF4067 SFDFF4072 SFDFF410F SFDFF416D SFDFF4189 SFDFF418E SFDFF41AC SFDFF41B5
+SFDFF41D0 SFDFF41DD SFDFF41F6 SFDFF422C SFDFF423E SFDFF4259 SFDFF4553 SFDFF459B SFDFF476B SFDFF4782 SFDFF478A SFDFF4795
+SFDFF47A7 SFDFF47F3 SFDFF49D4 SFDFF4A06 SFDFF4A7E SFDFF4A95 SFDFF4AA8 SFDFF4ABE SFDFF4AF4 SFDFF4AF7 SFDFF4C65 SFDFF4C6F
+SFDFF4C7B SFDFF4C88 SFDFF4CFC SFDFF4D06 SFDFF4D0B SFDFF4D80 SFDFF4D8A SFDFF4D97 SFDFF4D9F SFDFF4DDC SFDFF4DED SFDFF4DFF
+SFDFF4E51 SFDFF509A SFDFF50C8 SFDFF50DD SFDFF53C7 SFDFF53CC SFDFF5421 SFDFF5431 SFDFF543E SFDFF5453 SFDFF547A SFDFF547F
+SFDFF558C SFDFF55A4 SFDFF55C4 SFDFF59C4 SFDFF5A08 SFDFF5A1F SFDFF5A59 SFDFF5A71 SFDFF5A7A SFDFF5A81 SFDFF5AB5 SFDFF5ABA
+SFDFF5ADA SFDFF5F1B SFDFF60DC SFDFF60E8 SFDFF60ED SFDFF60F1 SFDFF60F9 SFDFF610D SFDFF610F SFDFF6160 SFDFF623A SFDFF623F
+SFDFF6394 SFDFF639E SFDFF63D0 SFDFF63D7 SFDFF63E0 SFDFF63E8 SFDFF6445 SFDFF644C SFDFF6532 SFDFF6539 SFDFF656A SFDFF657B
+SFDFF65AA SFDFF6699 SFDFF66A0 SFDFF66B1 SFDFF67FA SFDFF687A SFDFF6880 SFDFF6938 SFDFF698F SFDFF69BD SFDFF6B3B SFDFF6BC0
+SFDFF6E04 SFDFF6E1F SFDFF6E58 SFDFF6E8B SFDFF6ECF SFDFF6EDA SFDFF6EE0 SFDFF6F03 SFDFF6F4F SFDFF6F59 SFDFF70B5 SFDFF70BC
+SFDFF70C5 SFDFF70CE SFDFF70DE SFDFF70ED SFDFF70F1 SFDFF7142 SFDFF7146 SFDFF714C SFDFF7529 SFDFF7547 SFDFF7720 SFDFF772C
+SFDFF7743 SFDFF7860 SFDFF786D SFDFF78B4 SFDFF78E2 SFDFF7B1F SFDFF7B2E SFDFF7B3D SFDFF7B60 SFDFF7B85 SFDFF7C4E SFDFF7C5A
+SFDFF7C9D SFDFF7D97 SFDFF7DB6 SFDFF7E89 SFDFF7E9E SFDFF7EA3 SFDFF7F81 SFDFF803B SFDFF80B8 SFDFF80BE SFDFF80C3 SFDFF8471
+SFDFF847A SFDFF8518 SFDFF85B2 SFDFF85B5 SFDFF85E4 SFDFF864F SFDFF865C SFDFF8660 SFDFF8667 SFDFF86C9 SFDFF86EB SFDFF86F1
+SFDFF86FF SFDFF87A8 SFDFF87DB SFDFF87DF SFDFF8898 SFDFF889B SFDFF88AE SFDFF89AC SFDFF89DC SFDFF89E3 SFDFF8A2B SFDFF8A35
+SFDFF8A38 SFDFF8A42 SFDFF8A60 SFDFF8BED SFDFF8D81 SFDFF8D8B SFDFF8DB1 SFDFF8DC7 SFDFF8DCF SFDFF8DD9 SFDFF8DDD SFDFF8E07
+SFDFF8E0B SFDFF8E1C SFDFF8E21 SFDFF8E2E SFDFF8E49 SFDFF8E58 SFDFF8E60 SFDFF8E9B SFDFF8EAA SFDFF8EAE X +25 SCA2 +11 X +3
+S702 S731 S734 S7D9 SA2D IE02,5 S7DA ID17,E7 S793 S795 S797 S799 S79B S79D S79F S7A1 S7A3 S7A5 SA28 +1 S7A8 S7AB S7AD +5
+U93 S7B3 +2 SA2A ID19,E7 +8 P07 P08 P09 P0B P07 P08 U94 SE02 IE02,3 SE02 IE02,3 SE02 SA2B SCAE ID22,E7 ID2C,E7 ID36,E7
+IE02,5 P01 P01 P01 SA2C X Z7F02,,1 Z7F02,, Z7F03,,1 Z7F03,, Z7F04,,1 Z7F04,, Z7F05,,1 Z7F05,, Z7F06,,1 Z7F06,, Z7F0A,,
+Z7F0A,3, Z7F0B,, Z7F0B,3, Z7F0C,, Z7F0C,3, Z7F0D,, Z7F0D,3, Z7F0E,, Z7F0E,3, Z7F12,, Z7F12,3, Z7F13,, Z7F13,3, Z7F14,,
+Z7F14,3, Z7F15,, Z7F15,3, Z7F16,, Z7F16,3, Z7F1A,, Z7F1A,3, Z7F1B,, Z7F1B,3, Z7F1C,,1 Z7F1C,, Z7F1C,3, Z7F1D,, Z7F1D,3,
+Z7F1E,, Z7F1E,3, Z7F22,, +4 Z7F2A,, Z7F2A,3, Z7F2A,4, Z7F2B,, Z7F2B,3, Z7F2B,4, Z7F2C,, Z7F2C,3, Z7F2C,4, Z7F2D,,
+Z7F2D,3, Z7F2D,4, Z7F2E,, Z7F2E,3, Z7F2E,4, Z7F32,, +4 Z7F3A,,1 Z7F3A,, Z7F3C,,1 Z7F3C,, Z7F3E,,1 Z7F3E,, Z7F42,, +4
+Z7F4A,,1 Z7F4A,, +1 Z7F4D,, +1 Z7F80,, Z7F04,3, Z7F0A,,1 Z7F0D,,1 X +1 P01 P02 P01 P02 SE02 IE02,3 S33E0343 SE02
+Z7F02,,1 Z7F02,, Z7F03,,1 Z7F03,, Z7F04,,1 Z7F04,, Z7F05,,1 Z7F05,, Z7F06,,1 Z7F06,, Z7F0A,, Z7F0A,3, Z7F0B,, Z7F0B,3,
+Z7F0C,, Z7F0C,3, Z7F0D,, Z7F0D,3, Z7F0E,, Z7F0E,3, Z7F12,, Z7F12,3, Z7F13,, Z7F13,3, Z7F14,, Z7F14,3, Z7F15,, Z7F15,3,
+Z7F16,, Z7F16,3, Z7F1A,, Z7F1A,3, Z7F1B,, Z7F1B,3, Z7F1C,,1 Z7F1C,, Z7F1C,3, Z7F1D,, Z7F1D,3, Z7F1E,, Z7F1E,3, Z7F22,,
++4 Z7F2A,, Z7F2A,3, Z7F2A,4, Z7F2B,, Z7F2B,3, Z7F2B,4, Z7F2C,, Z7F2C,3, Z7F2C,4, Z7F2D,, Z7F2D,3, Z7F2D,4, Z7F2E,,
+Z7F2E,3, Z7F2E,4, Z7F32,, +4 Z7F3A,,1 Z7F3A,, Z7F3C,,1 Z7F3C,, Z7F3E,,1 Z7F3E,, Z7F42,, +4 Z7F4A,,1 Z7F4A,, +1 Z7F4D,,
++1 Z7F80,, Z7F04,3, Z7F0A,,1 Z7F0D,,1 Z7F4A,3, +1 Z7F4D,3, +1 SA0E SE02 SE02 IE02,3 S30E031E X +4 SA402 +3 SA407 +5
+SA40F +3 SA414 +8 SA41E +1 SA421 +6 SA429 SA42D +3 SA406 SA40D SA413 X +3 SC002 SC255 SC4A7 SC4A9 SC704 SC706 +1 SC961
+SCBB3 SCE06 SCE0C SCE0F SCE13 SCE17 +2 SCE1C SD076 SD2CC SD51F SD52C SD786 SD9E4 SDC48 SDE9F SE0F4 SE34C SE59D SE7EF
+SEA46 SEDA0 SEDA3 +1 SEDA7 +1 SEDAC +1 SEDB0 +3 SEDB9 +1 SEDC0 SEDC3 SEDC5 SEDC8 +1 SEDD1 SEDD5 SEDD7 SED9F SC6FC SC6FE
+SC702 +1 SCE07 SCE09 SCE10 SCE15 SCE1A SD06F +1 SD072 SD075 SD2C8 SD2CA SD520 +1 SD525 SD527 SD52A +1 SD77F +2 SD784
+SD9D9 SD9E3 SDC3F SDC45 +2 SEA45 SED9D +1 SEDBB +1 SEDBF SEDCD +1 SEDD0 SEDDE SEDE1 X +2 SFDFF3C02 +13 IA402,2A IA418,2A
+IA410,2A IA40B,2A SA420 IA420,2A SA41D IA41C,2A IA42F,54 IA41B,2A IA42E,2A +1 SA42C SA40E IA421,2A IA423,2A SA42A +1
+SA428 IA42E,54 IA403,2A IA408,2A IA40C,2A IA40F,2A X +7 SA85A +15 X +31 Z7F0C,3,1 Z7F13,,1 +1 Z7F1E,,1 Z7F24,,1 Z7F2A,,1
++4 Z7F34,,1 Z7F42,,1 +4 IC002,3 IC4A9,3 IC707,3 ICBB3,3 ICE1C,3 ID076,3 ID52C,3 ID9E4,3 IDC48,3 IE0F4,3 IE34C,3 IE59D,3
+IE7EF,3 IEA46,3 IC003,3 IC4AA,3 IC708,4 ICBB4,3 ICE1D,3 ID077,3 ID52D,3 ID9E5,3 IDC49,3 IE0F5,3 IE34D,3 IE59E,3 IE7F0,3
+IEA47,3 IDDBA,4 IDAFB,3 IDAFB,3 X SFDFF3C10 +35 X +11 S7FE SD2D +14 IC002,4 IC4A9,4 IC707,4 ICBB3,4 ICE1C,4 ID076,4
+ID52C,4 ID9E4,4 IDC48,4 IE0F4,4 IE34C,4 IE59D,4 IE7EF,4 IEA46,4 IC003,4 IC4AA,4 SC709 ICBB4,4 ICE1D,4 ID077,4 ID52D,4
+ID9E5,4 IDC49,4 IE0F5,4 IE34D,4 IE59E,4 IE7F0,4 IEA47,4 IE137,4 IDDEC,4 IDB55,3 SA2E SFDFF3C34 +48 SD3C +14 ID19,F1 +9
+ID22,F1 +1 SE2C0E25 SA390 SE210EA2 S7FD Z7F02,EE, +4 Z7F0A,EE, +4 Z7F12,EE, +4 Z7F1A,EE, +4 Z7F22,EE, +4 Z7F2A,EE, +4
+Z7F32,EE, +4 Z7F3A,EE, Z7F3C,EE, Z7F3E,EE, Z7F42,EE, +4 Z7F4A,EE, +1 Z7F4D,EE, +1 X SA3A8 +1 SA3A7 SA39D SA3C1 +1 SA3EB
+SA3B2 SA3B1 SA3D8 +1 SA3C3 +1 SA3A1 SA3B4 SA3B3 SA3B5 +1 SA3CD SA3B7 SA398 SA3C6 +2 SA39B SA3B8 SA3CC SA3CB SA3C5 SA3CA
+SA3C9 SA3E8 +2 SA399 SA3A3 SA3AF +1 SA3A2 SA39C SA3D6 +1 SA3B9 SA3A4 SA3DA SA3AA SA3DE SA3E0 SA3DF SA3AC SA3BE +1 SA3AE
+SA3C0 SA39E SA3DD SA3DB SA3BA SA3DC SA3A6 SA3AB SA3E1 SA3AD SA3BB SA3E2 SA3BD SA3BC SA3CF +1 SA3CE SA3D2 SA3D1 SA3D5
+SA397 SA3A5 SA3D3 +1 SA39A SA3EC +2 SA39F SA3E5 +2 SA3E3 +1 SA3A0 ID17,EB ID19,EB +23 SA391 SE1A0E02 SE020E9F SA38F
+SE7C0EA2 SE7E0E0A SE1A0E51 SE210E510D1A +1 SE320E9F SFDFF3C65 +4 SE7E0E02 SE700E02 SF180E02 SE510E02 SE360E02 SE360E09
+SE510E09 SE250E09 SE10 SE41 SE7E0E23 SE700E23 SF180E23 SF180E25 SE510E25 SE360E25 SE2C0EA9 SE42 SE5B SE29 SE9B
+IF180E48,204 IE510E48,204 IE1A0E48,204 IE360E48,204 SE230E51 SE700E51 SF180E51 SE510E51 SE0A0E51 SE360E51 SE510E42
+SE0A0E510D1A SE510D1A SE360E42 IE510F180E48,20204 SE0A0E510D1B SE510D1B IE360F180E48,20204 SE54 +1 SE7E0E02 SE44 SE62
+SE2A SE8E +2 SE7E0E91 SE700E91 SF180E91 SE510E91 SE7E0EA2 SE700EA2 SF180EA2 SE510EA2 SE360EA2 SE510EA2 SE7E0EA4 SE700EA4
+SF180EA4 SE510EA4 SE360EA4 SE510EA4 SE360F32 SE510F32 SE06 SE090E89 SE0A0E0A SE0A0E1A SE0F SE17 SE1A0E09 SE250EA7
+SE2C0E02 SE2C0E7E SE320E70 SE360E36 SE360E51 SE360E99 SE480E51 SE480E70 SE4F SE480EA6 SE510E09 SE5C SE61 SE7E0E2C SE83
++1 SE7E0E8A SE910E8A SE910EA2 SEA40E09 SA38E SA38D ID19,EE +30 IDFF,E6 SFDFF8F02 +253 SFDFF9002 +253 SFDFF9102 +253
+SFDFF9202 +253 SFDFF9302 +253 SFDFF9402 +253 SFDFF9502 +253 SFDFF9602 +253 SFDFF9702 +253 SFDFF9802 +253 SFDFF9902 +253
+SFDFF9A02 +253 SFDFF9B02 +253 SFDFF9C02 +253 SFDFF9D02 +253 SFDFF9E02 +253 SFDFF9F02 +253 SFDFFA002 +253 SFDFFA102 +253
+SFDFFA202 +253 SFDFFA302 +253 SFDFFA402 +253 SFDFFA502 +253 SFDFFA602 +253 SFDFFA702 +253 SFDFFA802 +231 X +9 SA802 +63
+SFDFF3C6A +149 SFDFF3D02 +253 SFDFF3E02 +253 SFDFF3F02 +253 SFDFF4002 +253 SFDFF4102 +253 SFDFF4202 +253 SFDFF4302 +253
+SFDFF4402 +253 SFDFF4502 +253 SFDFF4602 +253 SFDFF4702 +253 SFDFF4802 +253 SFDFF4902 +253 SFDFF4A02 +253 SFDFF4B02 +253
+SFDFF4C02 +253 SFDFF4D02 +253 SFDFF4E02 +253 SFDFF4F02 +253 SFDFF5002 +253 SFDFF5102 +253 SFDFF5202 +253 SFDFF5302 +253
+SFDFF5402 +253 SFDFF5502 +253 SFDFF5602 +253 SFDFF5702 +253 SFDFF5802 +253 SFDFF5902 +253 SFDFF5A02 +253 SFDFF5B02 +253
+SFDFF5C02 +253 SFDFF5D02 +253 SFDFF5E02 +253 SFDFF5F02 +253 SFDFF6002 +253 SFDFF6102 +253 SFDFF6202 +253 SFDFF6302 +253
+SFDFF6402 +253 SFDFF6502 +253 SFDFF6602 +253 SFDFF6702 +253 SFDFF6802 +253 SFDFF6902 +253 SFDFF6A02 +253 SFDFF6B02 +253
+SFDFF6C02 +253 SFDFF6D02 +253 SFDFF6E02 +253 SFDFF6F02 +253 SFDFF7002 +253 SFDFF7102 +253 SFDFF7202 +253 SFDFF7302 +253
+SFDFF7402 +253 SFDFF7502 +253 SFDFF7602 +253 SFDFF7702 +253 SFDFF7802 +253 SFDFF7902 +253 SFDFF7A02 +253 SFDFF7B02 +253
+SFDFF7C02 +253 SFDFF7D02 +253 SFDFF7E02 +253 SFDFF7F02 +253 SFDFF8002 +253 SFDFF8102 +253 SFDFF8202 +253 SFDFF8302 +253
+SFDFF8402 +253 SFDFF8502 +253 SFDFF8602 +253 SFDFF8702 +253 SFDFF8802 +253 SFDFF8902 +253 SFDFF8A02 +253 SFDFF8B02 +253
+SFDFF8C02 +253 SFDFF8D02 +253 SFDFF8E02 +199 X +67 S5602 +20 IE02,7 S5617 +162 S56B9 +70 S5702 +183 S57BB +68 S5802 +253
+S5902 +253 S5A02 +139 S5A8D S5A8F +6 X +2 S5AC8 +21 S5ADF +32 X +568 SA896 +26 X +4 SA8B1 +1 X +221 S4B02 +39 SC9B +2
+SC9D X +19 S5382 S5384 S5386 S5388 S538A S538C S538E S5390 S5392 S5394 S5396 S5398 S539A S539C S539E S53A0 S53A2 S53A4
+S53A6 S53A8 S53AA S53AC S53AE S53B0 S53B2 S53B4 S53B6 S53B8 S53BA S53BC S53BE S53C0 S53C2 S53C4 S53C6 S53C8 S53CA S53CC
+S53CE S53D0 S53D2 S53D4 S53D6 S53D8 S53DA S53DC S53DE S53E0 S53E2 S53E4 S53E6 S53E8 S7F6 +3 X +903 SC003 +252 SC102 +111
+SC173 +140 SC202 +54 SC23A +26 SC256 +169 SC302 +253 SC402 +163 SC4AA +49 SC4DD +34 SC502 +253 SC602 +248 IC708,3 SC70A
++20 SC720 +91 SC782 +125 SC802 +253 SC902 +93 SC962 +157 SCA02 +253 SCB02 +175 SCBB4 +75 SCC02 +253 SCD02 +253 SCE02 +3
+SCE1D +226 SCF02 +253 SD002 +106 SD077 +136 SD102 +253 SD202 +169 SD2AD +26 SD2CD +50 SD302 +253 SD402 +253 SD502 +28
+SD52D SD52F +208 SD602 +154 SD69E +97 SD702 +124 SD787 +120 SD802 +253 SD902 +212 SD9E5 +26 SDA02 +253 SDB02 +195 SDBC7
++56 SDC02 +53 SDC49 +116 SDCBF +23 SDCD8 +39 SDD02 +43 SDD2F +139 SDDBD +66 SDE02 +155 SDEA0 +95 SDF02 +253 SE002 +237
+SE0F5 +10 SE102 +101 SE169 +150 SE202 +253 SE302 +69 SE34D +178 SE402 +253 SE502 +154 SE59E +97 SE602 +134 IE689,5 SE68A
++117 SE702 +33 SE725 +201 SE7F0 +15 SE802 +3 SE807 +204 SE8D5 +42 SE902 +253 SEA02 +65 SEA47 +1 SEA4A +181 SEB02 +40
+SEB2C +147 IEBC0,A SEBC1 +62 SEC02 +150 X +91 SA902 IA902,43 IA902,84 IA902,C5 SA903 IA903,43 IA903,84 IA903,C5 SA904
+IA904,43 IA904,84 IA904,C5 SA905 IA905,43 IA905,84 IA905,C5 SA906 IA906,43 IA906,84 IA906,C5 SA907 IA907,43 IA907,84
+IA907,C5 SA908 IA908,43 IA908,84 IA908,C5 SA909 IA909,43 IA909,84 IA909,C5 SA90A IA90A,43 IA90A,84 IA90A,C5 SA90B
+IA90B,43 IA90B,84 IA90B,C5 SA90C IA90C,43 IA90C,84 IA90C,C5 SA90D IA90D,43 IA90D,84 IA90D,C5 SA90E IA90E,43 IA90E,84
+IA90E,C5 SA90F IA90F,43 IA90F,84 IA90F,C5 SA910 IA910,43 IA910,84 IA910,C5 SA911 IA911,43 IA911,84 IA911,C5 SA912
+IA912,43 IA912,84 IA912,C5 SA913 IA913,43 IA913,84 IA913,C5 SA914 IA914,43 IA914,84 IA914,C5 SA915 IA915,43 IA915,84
+IA915,C5 SA916 IA916,43 IA916,84 IA916,C5 SA917 IA917,43 IA917,84 IA917,C5 SA918 IA918,43 IA918,84 IA918,C5 SA919
+IA919,43 IA919,84 IA919,C5 SA91A IA91A,43 IA91A,84 IA91A,C5 SA91B IA91B,43 IA91B,84 IA91B,C5 SA91C IA91C,43 IA91C,84
+IA91C,C5 SA91D IA91D,43 IA91D,84 IA91D,C5 SA91E IA91E,43 IA91E,84 IA91E,C5 SA91F IA91F,43 IA91F,84 IA91F,C5 SA920
+IA920,43 IA920,84 IA920,C5 SA921 IA921,43 IA921,84 IA921,C5 SA922 IA922,43 IA922,84 IA922,C5 SA923 IA923,43 IA923,84
+IA923,C5 SA924 IA924,43 IA924,84 IA924,C5 SA925 IA925,43 IA925,84 IA925,C5 SA926 IA926,43 IA926,84 IA926,C5 SA927
+IA927,43 IA927,84 IA927,C5 SA928 IA928,43 IA928,84 IA928,C5 SA929 IA929,43 IA929,84 IA929,C5 SA92A IA92A,43 IA92A,84
+IA92A,C5 SA92B IA92B,43 IA92B,84 IA92B,C5 SA92C IA92C,43 IA92C,84 IA92C,C5 SA92D IA92D,43 IA92D,84 IA92D,C5 SA92E
+IA92E,43 IA92E,84 IA92E,C5 SA92F IA92F,43 IA92F,84 IA92F,C5 SA930 IA930,43 IA930,84 IA930,C5 SA931 IA931,43 IA931,84
+IA931,C5 SA932 IA932,43 IA932,84 IA932,C5 SA933 IA933,43 IA933,84 IA933,C5 SA934 IA934,43 IA934,84 IA934,C5 SA935
+IA935,43 IA935,84 IA935,C5 SA936 IA936,43 IA936,84 IA936,C5 SA937 IA937,43 IA937,84 IA937,C5 SA938 IA938,43 IA938,84
+IA938,C5 SA939 IA939,43 IA939,84 IA939,C5 SA93A IA93A,43 IA93A,84 IA93A,C5 SA93B IA93B,43 IA93B,84 IA93B,C5 SA93C
+IA93C,43 IA93C,84 IA93C,C5 SA93D IA93D,43 IA93D,84 IA93D,C5 SA93E IA93E,43 IA93E,84 IA93E,C5 SA93F IA93F,43 IA93F,84
+IA93F,C5 SA940 IA940,43 IA940,84 IA940,C5 SA941 IA941,43 IA941,84 IA941,C5 SA942 IA942,43 IA942,84 IA942,C5 SA943
+IA943,43 IA943,84 IA943,C5 SA944 IA944,43 IA944,84 IA944,C5 SA945 IA945,43 IA945,84 IA945,C5 SA946 IA946,43 IA946,84
+IA946,C5 SA947 IA947,43 IA947,84 IA947,C5 SA948 IA948,43 IA948,84 IA948,C5 SA949 IA949,43 IA949,84 IA949,C5 SA94A
+IA94A,43 IA94A,84 IA94A,C5 SA94B IA94B,43 IA94B,84 IA94B,C5 SA94C IA94C,43 IA94C,84 IA94C,C5 SA94D IA94D,43 IA94D,84
+IA94D,C5 SA94E IA94E,43 IA94E,84 IA94E,C5 SA94F IA94F,43 IA94F,84 IA94F,C5 SA950 IA950,43 IA950,84 IA950,C5 SA951
+IA951,43 IA951,84 IA951,C5 SA952 IA952,43 IA952,84 IA952,C5 SA953 IA953,43 IA953,84 IA953,C5 SA954 IA954,43 IA954,84
+IA954,C5 SA955 IA955,43 IA955,84 IA955,C5 SA956 IA956,43 IA956,84 IA956,C5 SA957 IA957,43 IA957,84 IA957,C5 SA958
+IA958,43 IA958,84 IA958,C5 SA959 IA959,43 IA959,84 IA959,C5 SA95A IA95A,43 IA95A,84 IA95A,C5 SA95B IA95B,43 IA95B,84
+IA95B,C5 SA95C IA95C,43 IA95C,84 IA95C,C5 SA95D IA95D,43 IA95D,84 IA95D,C5 SA95E IA95E,43 IA95E,84 IA95E,C5 SA95F
+IA95F,43 IA95F,84 IA95F,C5 SA960 IA960,43 IA960,84 IA960,C5 SA961 IA961,43 IA961,84 IA961,C5 SA962 IA962,43 IA962,84
+IA962,C5 SA963 IA963,43 IA963,84 IA963,C5 SA964 IA964,43 IA964,84 IA964,C5 SA965 IA965,43 IA965,84 IA965,C5 SA966
+IA966,43 IA966,84 IA966,C5 SA967 IA967,43 IA967,84 IA967,C5 SA968 IA968,43 IA968,84 IA968,C5 SA969 IA969,43 IA969,84
+IA969,C5 SA96A IA96A,43 IA96A,84 IA96A,C5 SA96B IA96B,43 IA96B,84 IA96B,C5 SA96C IA96C,43 IA96C,84 IA96C,C5 SA96D
+IA96D,43 IA96D,84 IA96D,C5 SA96E IA96E,43 IA96E,84 IA96E,C5 SA96F IA96F,43 IA96F,84 IA96F,C5 SA970 IA970,43 IA970,84
+IA970,C5 SA971 IA971,43 IA971,84 IA971,C5 SA972 IA972,43 IA972,84 IA972,C5 SA973 IA973,43 IA973,84 IA973,C5 SA974
+IA974,43 IA974,84 IA974,C5 SA975 IA975,43 IA975,84 IA975,C5 SA976 IA976,43 IA976,84 IA976,C5 SA977 IA977,43 IA977,84
+IA977,C5 SA978 IA978,43 IA978,84 IA978,C5 SA979 IA979,43 IA979,84 IA979,C5 SA97A IA97A,43 IA97A,84 IA97A,C5 SA97B
+IA97B,43 IA97B,84 IA97B,C5 SA97C IA97C,43 IA97C,84 IA97C,C5 SA97D IA97D,43 IA97D,84 IA97D,C5 SA97E IA97E,43 IA97E,84
+IA97E,C5 SA97F IA97F,43 IA97F,84 IA97F,C5 SA980 IA980,43 IA980,84 IA980,C5 SA981 IA981,43 IA981,84 IA981,C5 SA982
+IA982,43 IA982,84 IA982,C5 SA983 IA983,43 IA983,84 IA983,C5 SA984 IA984,43 IA984,84 IA984,C5 SA985 IA985,43 IA985,84
+IA985,C5 SA986 IA986,43 IA986,84 IA986,C5 SA987 IA987,43 IA987,84 IA987,C5 SA988 IA988,43 IA988,84 IA988,C5 SA989
+IA989,43 IA989,84 IA989,C5 SA98A IA98A,43 IA98A,84 IA98A,C5 SA98B IA98B,43 IA98B,84 IA98B,C5 SA98C IA98C,43 IA98C,84
+IA98C,C5 SA98D IA98D,43 IA98D,84 IA98D,C5 SA98E IA98E,43 IA98E,84 IA98E,C5 SA98F IA98F,43 IA98F,84 IA98F,C5 SA990
+IA990,43 IA990,84 IA990,C5 SA991 IA991,43 IA991,84 IA991,C5 SA992 IA992,43 IA992,84 IA992,C5 SA993 IA993,43 IA993,84
+IA993,C5 SA994 IA994,43 IA994,84 IA994,C5 SA995 IA995,43 IA995,84 IA995,C5 SA996 IA996,43 IA996,84 IA996,C5 SA997
+IA997,43 IA997,84 IA997,C5 SA998 IA998,43 IA998,84 IA998,C5 SA999 IA999,43 IA999,84 IA999,C5 SA99A IA99A,43 IA99A,84
+IA99A,C5 SA99B IA99B,43 IA99B,84 IA99B,C5 SA99C IA99C,43 IA99C,84 IA99C,C5 SA99D IA99D,43 IA99D,84 IA99D,C5 SA99E
+IA99E,43 IA99E,84 IA99E,C5 SA99F IA99F,43 IA99F,84 IA99F,C5 SA9A0 IA9A0,43 IA9A0,84 IA9A0,C5 SA9A1 IA9A1,43 IA9A1,84
+IA9A1,C5 SA9A2 IA9A2,43 IA9A2,84 IA9A2,C5 SA9A3 IA9A3,43 IA9A3,84 IA9A3,C5 SA9A4 IA9A4,43 IA9A4,84 IA9A4,C5 SA9A5
+IA9A5,43 IA9A5,84 IA9A5,C5 SA9A6 IA9A6,43 IA9A6,84 IA9A6,C5 SA9A7 IA9A7,43 IA9A7,84 IA9A7,C5 SA9A8 IA9A8,43 IA9A8,84
+IA9A8,C5 SA9A9 IA9A9,43 IA9A9,84 IA9A9,C5 SA9AA IA9AA,43 IA9AA,84 IA9AA,C5 SA9AB IA9AB,43 IA9AB,84 IA9AB,C5 SA9AC
+IA9AC,43 IA9AC,84 IA9AC,C5 SA9AD IA9AD,43 IA9AD,84 IA9AD,C5 SA9AE IA9AE,43 IA9AE,84 IA9AE,C5 SA9AF IA9AF,43 IA9AF,84
+IA9AF,C5 SA9B0 IA9B0,43 IA9B0,84 IA9B0,C5 SA9B1 IA9B1,43 IA9B1,84 IA9B1,C5 SA9B2 IA9B2,43 IA9B2,84 IA9B2,C5 SA9B3
+IA9B3,43 IA9B3,84 IA9B3,C5 SA9B4 IA9B4,43 IA9B4,84 IA9B4,C5 SA9B5 IA9B5,43 IA9B5,84 IA9B5,C5 SA9B6 IA9B6,43 IA9B6,84
+IA9B6,C5 SA9B7 IA9B7,43 IA9B7,84 IA9B7,C5 SA9B8 IA9B8,43 IA9B8,84 IA9B8,C5 SA9B9 IA9B9,43 IA9B9,84 IA9B9,C5 SA9BA
+IA9BA,43 IA9BA,84 IA9BA,C5 SA9BB IA9BB,43 IA9BB,84 IA9BB,C5 SA9BC IA9BC,43 IA9BC,84 IA9BC,C5 SA9BD IA9BD,43 IA9BD,84
+IA9BD,C5 SA9BE IA9BE,43 IA9BE,84 IA9BE,C5 SA9BF IA9BF,43 IA9BF,84 IA9BF,C5 SA9C0 IA9C0,43 IA9C0,84 IA9C0,C5 SA9C1
+IA9C1,43 IA9C1,84 IA9C1,C5 SA9C2 IA9C2,43 IA9C2,84 IA9C2,C5 SA9C3 IA9C3,43 IA9C3,84 IA9C3,C5 SA9C4 IA9C4,43 IA9C4,84
+IA9C4,C5 SA9C5 IA9C5,43 IA9C5,84 IA9C5,C5 SA9C6 IA9C6,43 IA9C6,84 IA9C6,C5 SA9C7 IA9C7,43 IA9C7,84 IA9C7,C5 SA9C8
+IA9C8,43 IA9C8,84 IA9C8,C5 SA9C9 IA9C9,43 IA9C9,84 IA9C9,C5 SA9CA IA9CA,43 IA9CA,84 IA9CA,C5 SA9CB IA9CB,43 IA9CB,84
+IA9CB,C5 SA9CC IA9CC,43 IA9CC,84 IA9CC,C5 SA9CD IA9CD,43 IA9CD,84 IA9CD,C5 SA9CE IA9CE,43 IA9CE,84 IA9CE,C5 SA9CF
+IA9CF,43 IA9CF,84 IA9CF,C5 SA9D0 IA9D0,43 IA9D0,84 IA9D0,C5 SA9D1 IA9D1,43 IA9D1,84 IA9D1,C5 SA9D2 IA9D2,43 IA9D2,84
+IA9D2,C5 SA9D3 IA9D3,43 IA9D3,84 IA9D3,C5 SA9D4 IA9D4,43 IA9D4,84 IA9D4,C5 SA9D5 IA9D5,43 IA9D5,84 IA9D5,C5 SA9D6
+IA9D6,43 IA9D6,84 IA9D6,C5 SA9D7 IA9D7,43 IA9D7,84 IA9D7,C5 SA9D8 IA9D8,43 IA9D8,84 IA9D8,C5 SA9D9 IA9D9,43 IA9D9,84
+IA9D9,C5 SA9DA IA9DA,43 IA9DA,84 IA9DA,C5 SA9DB IA9DB,43 IA9DB,84 IA9DB,C5 SA9DC IA9DC,43 IA9DC,84 IA9DC,C5 SA9DD
+IA9DD,43 IA9DD,84 IA9DD,C5 SA9DE IA9DE,43 IA9DE,84 IA9DE,C5 SA9DF IA9DF,43 IA9DF,84 IA9DF,C5 SA9E0 IA9E0,43 IA9E0,84
+IA9E0,C5 SA9E1 IA9E1,43 IA9E1,84 IA9E1,C5 SA9E2 IA9E2,43 IA9E2,84 IA9E2,C5 SA9E3 IA9E3,43 IA9E3,84 IA9E3,C5 SA9E4
+IA9E4,43 IA9E4,84 IA9E4,C5 SA9E5 IA9E5,43 IA9E5,84 IA9E5,C5 SA9E6 IA9E6,43 IA9E6,84 IA9E6,C5 SA9E7 IA9E7,43 IA9E7,84
+IA9E7,C5 SA9E8 IA9E8,43 IA9E8,84 IA9E8,C5 SA9E9 IA9E9,43 IA9E9,84 IA9E9,C5 SA9EA IA9EA,43 IA9EA,84 IA9EA,C5 SA9EB
+IA9EB,43 IA9EB,84 IA9EB,C5 SA9EC IA9EC,43 IA9EC,84 IA9EC,C5 SA9ED IA9ED,43 IA9ED,84 IA9ED,C5 SA9EE IA9EE,43 IA9EE,84
+IA9EE,C5 SA9EF IA9EF,43 IA9EF,84 IA9EF,C5 SA9F0 IA9F0,43 IA9F0,84 IA9F0,C5 SA9F1 IA9F1,43 IA9F1,84 IA9F1,C5 SA9F2
+IA9F2,43 IA9F2,84 IA9F2,C5 SA9F3 IA9F3,43 IA9F3,84 IA9F3,C5 SA9F4 IA9F4,43 IA9F4,84 IA9F4,C5 SA9F5 IA9F5,43 IA9F5,84
+IA9F5,C5 SA9F6 IA9F6,43 IA9F6,84 IA9F6,C5 SA9F7 IA9F7,43 IA9F7,84 IA9F7,C5 SA9F8 IA9F8,43 IA9F8,84 IA9F8,C5 SA9F9
+IA9F9,43 IA9F9,84 IA9F9,C5 SA9FA IA9FA,43 IA9FA,84 IA9FA,C5 SA9FB IA9FB,43 IA9FB,84 IA9FB,C5 SA9FC IA9FC,43 IA9FC,84
+IA9FC,C5 SA9FD IA9FD,43 IA9FD,84 IA9FD,C5 SA9FE IA9FE,43 IA9FE,84 IA9FE,C5 SA9FF IA9FF,43 IA9FF,84 IA9FF,C5 SAA02
+IAA02,43 IAA02,84 IAA02,C5 SAA03 IAA03,43 IAA03,84 IAA03,C5 SAA04 IAA04,43 IAA04,84 IAA04,C5 SAA05 IAA05,43 IAA05,84
+IAA05,C5 SAA06 IAA06,43 IAA06,84 IAA06,C5 SAA07 IAA07,43 IAA07,84 IAA07,C5 SAA08 IAA08,43 IAA08,84 IAA08,C5 SAA09
+IAA09,43 IAA09,84 IAA09,C5 SAA0A IAA0A,43 IAA0A,84 IAA0A,C5 SAA0B IAA0B,43 IAA0B,84 IAA0B,C5 SAA0C IAA0C,43 IAA0C,84
+IAA0C,C5 SAA0D IAA0D,43 IAA0D,84 IAA0D,C5 SAA0E IAA0E,43 IAA0E,84 IAA0E,C5 SAA0F IAA0F,43 IAA0F,84 IAA0F,C5 SAA10
+IAA10,43 IAA10,84 IAA10,C5 SAA11 IAA11,43 IAA11,84 IAA11,C5 SAA12 IAA12,43 IAA12,84 IAA12,C5 SAA13 IAA13,43 IAA13,84
+IAA13,C5 SAA14 IAA14,43 IAA14,84 IAA14,C5 SAA15 IAA15,43 IAA15,84 IAA15,C5 SAA16 IAA16,43 IAA16,84 IAA16,C5 SAA17
+IAA17,43 IAA17,84 IAA17,C5 SAA18 IAA18,43 IAA18,84 IAA18,C5 SAA19 IAA19,43 IAA19,84 IAA19,C5 SAA1A IAA1A,43 IAA1A,84
+IAA1A,C5 SAA1B IAA1B,43 IAA1B,84 IAA1B,C5 SAA1C IAA1C,43 IAA1C,84 IAA1C,C5 SAA1D IAA1D,43 IAA1D,84 IAA1D,C5 SAA1E
+IAA1E,43 IAA1E,84 IAA1E,C5 SAA1F IAA1F,43 IAA1F,84 IAA1F,C5 SAA20 IAA20,43 IAA20,84 IAA20,C5 SAA21 IAA21,43 IAA21,84
+IAA21,C5 SAA22 IAA22,43 IAA22,84 IAA22,C5 SAA23 IAA23,43 IAA23,84 IAA23,C5 SAA24 IAA24,43 IAA24,84 IAA24,C5 SAA25
+IAA25,43 IAA25,84 IAA25,C5 SAA26 IAA26,43 IAA26,84 IAA26,C5 SAA27 IAA27,43 IAA27,84 IAA27,C5 SAA28 IAA28,43 IAA28,84
+IAA28,C5 SAA29 IAA29,43 IAA29,84 IAA29,C5 SAA2A IAA2A,43 IAA2A,84 IAA2A,C5 SAA2B IAA2B,43 IAA2B,84 IAA2B,C5 SAA2C
+IAA2C,43 IAA2C,84 IAA2C,C5 SAA2D IAA2D,43 IAA2D,84 IAA2D,C5 SAA2E IAA2E,43 IAA2E,84 IAA2E,C5 SAA2F IAA2F,43 IAA2F,84
+IAA2F,C5 SAA30 IAA30,43 IAA30,84 IAA30,C5 SAA31 IAA31,43 IAA31,84 IAA31,C5 SAA32 IAA32,43 IAA32,84 IAA32,C5 SAA33
+IAA33,43 IAA33,84 IAA33,C5 SAA34 IAA34,43 IAA34,84 IAA34,C5 SAA35 IAA35,43 IAA35,84 IAA35,C5 SAA36 IAA36,43 IAA36,84
+IAA36,C5 SAA37 IAA37,43 IAA37,84 IAA37,C5 SAA38 IAA38,43 IAA38,84 IAA38,C5 SAA39 IAA39,43 IAA39,84 IAA39,C5 SAA3A
+IAA3A,43 IAA3A,84 IAA3A,C5 SAA3B IAA3B,43 IAA3B,84 IAA3B,C5 SAA3C IAA3C,43 IAA3C,84 IAA3C,C5 SAA3D IAA3D,43 IAA3D,84
+IAA3D,C5 SAA3E IAA3E,43 IAA3E,84 IAA3E,C5 SAA3F IAA3F,43 IAA3F,84 IAA3F,C5 SAA40 IAA40,43 IAA40,84 IAA40,C5 SAA41
+IAA41,43 IAA41,84 IAA41,C5 SAA42 IAA42,43 IAA42,84 IAA42,C5 SAA43 IAA43,43 IAA43,84 IAA43,C5 SAA44 IAA44,43 IAA44,84
+IAA44,C5 SAA45 IAA45,43 IAA45,84 IAA45,C5 SAA46 IAA46,43 IAA46,84 IAA46,C5 SAA47 IAA47,43 IAA47,84 IAA47,C5 SAA48
+IAA48,43 IAA48,84 IAA48,C5 SAA49 IAA49,43 IAA49,84 IAA49,C5 SAA4A IAA4A,43 IAA4A,84 IAA4A,C5 SAA4B IAA4B,43 IAA4B,84
+IAA4B,C5 SAA4C IAA4C,43 IAA4C,84 IAA4C,C5 SAA4D IAA4D,43 IAA4D,84 IAA4D,C5 SAA4E IAA4E,43 IAA4E,84 IAA4E,C5 SAA4F
+IAA4F,43 IAA4F,84 IAA4F,C5 SAA50 IAA50,43 IAA50,84 IAA50,C5 SAA51 IAA51,43 IAA51,84 IAA51,C5 SAA52 IAA52,43 IAA52,84
+IAA52,C5 SAA53 IAA53,43 IAA53,84 IAA53,C5 SAA54 IAA54,43 IAA54,84 IAA54,C5 SAA55 IAA55,43 IAA55,84 IAA55,C5 SAA56
+IAA56,43 IAA56,84 IAA56,C5 SAA57 IAA57,43 IAA57,84 IAA57,C5 SAA58 IAA58,43 IAA58,84 IAA58,C5 SAA59 IAA59,43 IAA59,84
+IAA59,C5 SAA5A IAA5A,43 IAA5A,84 IAA5A,C5 SAA5B IAA5B,43 IAA5B,84 IAA5B,C5 SAA5C IAA5C,43 IAA5C,84 IAA5C,C5 SAA5D
+IAA5D,43 IAA5D,84 IAA5D,C5 SAA5E IAA5E,43 IAA5E,84 IAA5E,C5 SAA5F IAA5F,43 IAA5F,84 IAA5F,C5 SAA60 IAA60,43 IAA60,84
+IAA60,C5 SAA61 IAA61,43 IAA61,84 IAA61,C5 SAA62 IAA62,43 IAA62,84 IAA62,C5 SAA63 IAA63,43 IAA63,84 IAA63,C5 SAA64
+IAA64,43 IAA64,84 IAA64,C5 SAA65 IAA65,43 IAA65,84 IAA65,C5 SAA66 IAA66,43 IAA66,84 IAA66,C5 SAA67 IAA67,43 IAA67,84
+IAA67,C5 SAA68 IAA68,43 IAA68,84 IAA68,C5 SAA69 IAA69,43 IAA69,84 IAA69,C5 SAA6A IAA6A,43 IAA6A,84 IAA6A,C5 SAA6B
+IAA6B,43 IAA6B,84 IAA6B,C5 SAA6C IAA6C,43 IAA6C,84 IAA6C,C5 SAA6D IAA6D,43 IAA6D,84 IAA6D,C5 SAA6E IAA6E,43 IAA6E,84
+IAA6E,C5 SAA6F IAA6F,43 IAA6F,84 IAA6F,C5 SAA70 IAA70,43 IAA70,84 IAA70,C5 SAA71 IAA71,43 IAA71,84 IAA71,C5 SAA72
+IAA72,43 IAA72,84 IAA72,C5 SAA73 IAA73,43 IAA73,84 IAA73,C5 SAA74 IAA74,43 IAA74,84 IAA74,C5 SAA75 IAA75,43 IAA75,84
+IAA75,C5 SAA76 IAA76,43 IAA76,84 IAA76,C5 SAA77 IAA77,43 IAA77,84 IAA77,C5 SAA78 IAA78,43 IAA78,84 IAA78,C5 SAA79
+IAA79,43 IAA79,84 IAA79,C5 SAA7A IAA7A,43 IAA7A,84 IAA7A,C5 SAA7B IAA7B,43 IAA7B,84 IAA7B,C5 SAA7C IAA7C,43 IAA7C,84
+IAA7C,C5 SAA7D IAA7D,43 IAA7D,84 IAA7D,C5 SAA7E IAA7E,43 IAA7E,84 IAA7E,C5 SAA7F IAA7F,43 IAA7F,84 IAA7F,C5 SAA80
+IAA80,43 IAA80,84 IAA80,C5 SAA81 IAA81,43 IAA81,84 IAA81,C5 SAA82 IAA82,43 IAA82,84 IAA82,C5 SAA83 IAA83,43 IAA83,84
+IAA83,C5 SAA84 IAA84,43 IAA84,84 IAA84,C5 SAA85 IAA85,43 IAA85,84 IAA85,C5 SAA86 IAA86,43 IAA86,84 IAA86,C5 SAA87
+IAA87,43 IAA87,84 IAA87,C5 SAA88 IAA88,43 IAA88,84 IAA88,C5 SAA89 IAA89,43 IAA89,84 IAA89,C5 SAA8A IAA8A,43 IAA8A,84
+IAA8A,C5 SAA8B IAA8B,43 IAA8B,84 IAA8B,C5 SAA8C IAA8C,43 IAA8C,84 IAA8C,C5 SAA8D IAA8D,43 IAA8D,84 IAA8D,C5 SAA8E
+IAA8E,43 IAA8E,84 IAA8E,C5 SAA8F IAA8F,43 IAA8F,84 IAA8F,C5 SAA90 IAA90,43 IAA90,84 IAA90,C5 SAA91 IAA91,43 IAA91,84
+IAA91,C5 SAA92 IAA92,43 IAA92,84 IAA92,C5 SAA93 IAA93,43 IAA93,84 IAA93,C5 SAA94 IAA94,43 IAA94,84 IAA94,C5 SAA95
+IAA95,43 IAA95,84 IAA95,C5 SAA96 IAA96,43 IAA96,84 IAA96,C5 SAA97 IAA97,43 IAA97,84 IAA97,C5 SAA98 IAA98,43 IAA98,84
+IAA98,C5 SAA99 IAA99,43 IAA99,84 IAA99,C5 SAA9A IAA9A,43 IAA9A,84 IAA9A,C5 SAA9B IAA9B,43 IAA9B,84 IAA9B,C5 SAA9C
+IAA9C,43 IAA9C,84 IAA9C,C5 SAA9D IAA9D,43 IAA9D,84 IAA9D,C5 SAA9E IAA9E,43 IAA9E,84 IAA9E,C5 SAA9F IAA9F,43 IAA9F,84
+IAA9F,C5 SAAA0 IAAA0,43 IAAA0,84 IAAA0,C5 SAAA1 IAAA1,43 IAAA1,84 IAAA1,C5 SAAA2 IAAA2,43 IAAA2,84 IAAA2,C5 SAAA3
+IAAA3,43 IAAA3,84 IAAA3,C5 SAAA4 IAAA4,43 IAAA4,84 IAAA4,C5 SAAA5 IAAA5,43 IAAA5,84 IAAA5,C5 SAAA6 IAAA6,43 IAAA6,84
+IAAA6,C5 SAAA7 IAAA7,43 IAAA7,84 IAAA7,C5 SAAA8 IAAA8,43 IAAA8,84 IAAA8,C5 SAAA9 IAAA9,43 IAAA9,84 IAAA9,C5 SAAAA
+IAAAA,43 IAAAA,84 IAAAA,C5 SAAAB IAAAB,43 IAAAB,84 IAAAB,C5 SAAAC IAAAC,43 IAAAC,84 IAAAC,C5 SAAAD IAAAD,43 IAAAD,84
+IAAAD,C5 SAAAE IAAAE,43 IAAAE,84 IAAAE,C5 SAAAF IAAAF,43 IAAAF,84 IAAAF,C5 SAAB0 IAAB0,43 IAAB0,84 IAAB0,C5 SAAB1
+IAAB1,43 IAAB1,84 IAAB1,C5 SAAB2 IAAB2,43 IAAB2,84 IAAB2,C5 SAAB3 IAAB3,43 IAAB3,84 IAAB3,C5 SAAB4 IAAB4,43 IAAB4,84
+IAAB4,C5 SAAB5 IAAB5,43 IAAB5,84 IAAB5,C5 SAAB6 IAAB6,43 IAAB6,84 IAAB6,C5 SAAB7 IAAB7,43 IAAB7,84 IAAB7,C5 SAAB8
+IAAB8,43 IAAB8,84 IAAB8,C5 SAAB9 IAAB9,43 IAAB9,84 IAAB9,C5 SAABA IAABA,43 IAABA,84 IAABA,C5 SAABB IAABB,43 IAABB,84
+IAABB,C5 SAABC IAABC,43 IAABC,84 IAABC,C5 SAABD IAABD,43 IAABD,84 IAABD,C5 SAABE IAABE,43 IAABE,84 IAABE,C5 SAABF
+IAABF,43 IAABF,84 IAABF,C5 SAAC0 IAAC0,43 IAAC0,84 IAAC0,C5 SAAC1 IAAC1,43 IAAC1,84 IAAC1,C5 SAAC2 IAAC2,43 IAAC2,84
+IAAC2,C5 SAAC3 IAAC3,43 IAAC3,84 IAAC3,C5 SAAC4 IAAC4,43 IAAC4,84 IAAC4,C5 SAAC5 IAAC5,43 IAAC5,84 IAAC5,C5 SAAC6
+IAAC6,43 IAAC6,84 IAAC6,C5 SAAC7 IAAC7,43 IAAC7,84 IAAC7,C5 SAAC8 IAAC8,43 IAAC8,84 IAAC8,C5 SAAC9 IAAC9,43 IAAC9,84
+IAAC9,C5 SAACA IAACA,43 IAACA,84 IAACA,C5 SAACB IAACB,43 IAACB,84 IAACB,C5 SAACC IAACC,43 IAACC,84 IAACC,C5 SAACD
+IAACD,43 IAACD,84 IAACD,C5 SAACE IAACE,43 IAACE,84 IAACE,C5 SAACF IAACF,43 IAACF,84 IAACF,C5 SAAD0 IAAD0,43 IAAD0,84
+IAAD0,C5 SAAD1 IAAD1,43 IAAD1,84 IAAD1,C5 SAAD2 IAAD2,43 IAAD2,84 IAAD2,C5 SAAD3 IAAD3,43 IAAD3,84 IAAD3,C5 SAAD4
+IAAD4,43 IAAD4,84 IAAD4,C5 SAAD5 IAAD5,43 IAAD5,84 IAAD5,C5 SAAD6 IAAD6,43 IAAD6,84 IAAD6,C5 SAAD7 IAAD7,43 IAAD7,84
+IAAD7,C5 SAAD8 IAAD8,43 IAAD8,84 IAAD8,C5 SAAD9 IAAD9,43 IAAD9,84 IAAD9,C5 SAADA IAADA,43 IAADA,84 IAADA,C5 SAADB
+IAADB,43 IAADB,84 IAADB,C5 SAADC IAADC,43 IAADC,84 IAADC,C5 SAADD IAADD,43 IAADD,84 IAADD,C5 SAADE IAADE,43 IAADE,84
+IAADE,C5 SAADF IAADF,43 IAADF,84 IAADF,C5 SAAE0 IAAE0,43 IAAE0,84 IAAE0,C5 SAAE1 IAAE1,43 IAAE1,84 IAAE1,C5 SAAE2
+IAAE2,43 IAAE2,84 IAAE2,C5 SAAE3 IAAE3,43 IAAE3,84 IAAE3,C5 SAAE4 IAAE4,43 IAAE4,84 IAAE4,C5 SAAE5 IAAE5,43 IAAE5,84
+IAAE5,C5 SAAE6 IAAE6,43 IAAE6,84 IAAE6,C5 SAAE7 IAAE7,43 IAAE7,84 IAAE7,C5 SAAE8 IAAE8,43 IAAE8,84 IAAE8,C5 SAAE9
+IAAE9,43 IAAE9,84 IAAE9,C5 SAAEA IAAEA,43 IAAEA,84 IAAEA,C5 SAAEB IAAEB,43 IAAEB,84 IAAEB,C5 SAAEC IAAEC,43 IAAEC,84
+IAAEC,C5 SAAED IAAED,43 IAAED,84 IAAED,C5 SAAEE IAAEE,43 IAAEE,84 IAAEE,C5 SAAEF IAAEF,43 IAAEF,84 IAAEF,C5 SAAF0
+IAAF0,43 IAAF0,84 IAAF0,C5 SAAF1 IAAF1,43 IAAF1,84 IAAF1,C5 SAAF2 IAAF2,43 IAAF2,84 IAAF2,C5 SAAF3 IAAF3,43 IAAF3,84
+IAAF3,C5 SAAF4 IAAF4,43 IAAF4,84 IAAF4,C5 SAAF5 IAAF5,43 IAAF5,84 IAAF5,C5 SAAF6 IAAF6,43 IAAF6,84 IAAF6,C5 SAAF7
+IAAF7,43 IAAF7,84 IAAF7,C5 SAAF8 IAAF8,43 IAAF8,84 IAAF8,C5 SAAF9 IAAF9,43 IAAF9,84 IAAF9,C5 SAAFA IAAFA,43 IAAFA,84
+IAAFA,C5 SAAFB IAAFB,43 IAAFB,84 IAAFB,C5 SAAFC IAAFC,43 IAAFC,84 IAAFC,C5 SAAFD IAAFD,43 IAAFD,84 IAAFD,C5 SAAFE
+IAAFE,43 IAAFE,84 IAAFE,C5 SAAFF IAAFF,43 IAAFF,84 IAAFF,C5 SAB02 IAB02,43 IAB02,84 IAB02,C5 SAB03 IAB03,43 IAB03,84
+IAB03,C5 SAB04 IAB04,43 IAB04,84 IAB04,C5 SAB05 IAB05,43 IAB05,84 IAB05,C5 SAB06 IAB06,43 IAB06,84 IAB06,C5 SAB07
+IAB07,43 IAB07,84 IAB07,C5 SAB08 IAB08,43 IAB08,84 IAB08,C5 SAB09 IAB09,43 IAB09,84 IAB09,C5 SAB0A IAB0A,43 IAB0A,84
+IAB0A,C5 SAB0B IAB0B,43 IAB0B,84 IAB0B,C5 SAB0C IAB0C,43 IAB0C,84 IAB0C,C5 SAB0D IAB0D,43 IAB0D,84 IAB0D,C5 SAB0E
+IAB0E,43 IAB0E,84 IAB0E,C5 SAB0F IAB0F,43 IAB0F,84 IAB0F,C5 SAB10 IAB10,43 IAB10,84 IAB10,C5 SAB11 IAB11,43 IAB11,84
+IAB11,C5 SAB12 IAB12,43 IAB12,84 IAB12,C5 SAB13 IAB13,43 IAB13,84 IAB13,C5 SAB14 IAB14,43 IAB14,84 IAB14,C5 SAB15
+IAB15,43 IAB15,84 IAB15,C5 SAB16 IAB16,43 IAB16,84 IAB16,C5 SAB17 IAB17,43 IAB17,84 IAB17,C5 SAB18 IAB18,43 IAB18,84
+IAB18,C5 SAB19 IAB19,43 IAB19,84 IAB19,C5 SAB1A IAB1A,43 IAB1A,84 IAB1A,C5 SAB1B IAB1B,43 IAB1B,84 IAB1B,C5 SAB1C
+IAB1C,43 IAB1C,84 IAB1C,C5 SAB1D IAB1D,43 IAB1D,84 IAB1D,C5 SAB1E IAB1E,43 IAB1E,84 IAB1E,C5 SAB1F IAB1F,43 IAB1F,84
+IAB1F,C5 SAB20 IAB20,43 IAB20,84 IAB20,C5 SAB21 IAB21,43 IAB21,84 IAB21,C5 SAB22 IAB22,43 IAB22,84 IAB22,C5 SAB23
+IAB23,43 IAB23,84 IAB23,C5 SAB24 IAB24,43 IAB24,84 IAB24,C5 SAB25 IAB25,43 IAB25,84 IAB25,C5 SAB26 IAB26,43 IAB26,84
+IAB26,C5 SAB27 IAB27,43 IAB27,84 IAB27,C5 SAB28 IAB28,43 IAB28,84 IAB28,C5 SAB29 IAB29,43 IAB29,84 IAB29,C5 SAB2A
+IAB2A,43 IAB2A,84 IAB2A,C5 SAB2B IAB2B,43 IAB2B,84 IAB2B,C5 SAB2C IAB2C,43 IAB2C,84 IAB2C,C5 SAB2D IAB2D,43 IAB2D,84
+IAB2D,C5 SAB2E IAB2E,43 IAB2E,84 IAB2E,C5 SAB2F IAB2F,43 IAB2F,84 IAB2F,C5 SAB30 IAB30,43 IAB30,84 IAB30,C5 SAB31
+IAB31,43 IAB31,84 IAB31,C5 SAB32 IAB32,43 IAB32,84 IAB32,C5 SAB33 IAB33,43 IAB33,84 IAB33,C5 SAB34 IAB34,43 IAB34,84
+IAB34,C5 SAB35 IAB35,43 IAB35,84 IAB35,C5 SAB36 IAB36,43 IAB36,84 IAB36,C5 SAB37 IAB37,43 IAB37,84 IAB37,C5 SAB38
+IAB38,43 IAB38,84 IAB38,C5 SAB39 IAB39,43 IAB39,84 IAB39,C5 SAB3A IAB3A,43 IAB3A,84 IAB3A,C5 SAB3B IAB3B,43 IAB3B,84
+IAB3B,C5 SAB3C IAB3C,43 IAB3C,84 IAB3C,C5 SAB3D IAB3D,43 IAB3D,84 IAB3D,C5 SAB3E IAB3E,43 IAB3E,84 IAB3E,C5 SAB3F
+IAB3F,43 IAB3F,84 IAB3F,C5 SAB40 IAB40,43 IAB40,84 IAB40,C5 SAB41 IAB41,43 IAB41,84 IAB41,C5 SAB42 IAB42,43 IAB42,84
+IAB42,C5 SAB43 IAB43,43 IAB43,84 IAB43,C5 SAB44 IAB44,43 IAB44,84 IAB44,C5 SAB45 IAB45,43 IAB45,84 IAB45,C5 SAB46
+IAB46,43 IAB46,84 IAB46,C5 SAB47 IAB47,43 IAB47,84 IAB47,C5 SAB48 IAB48,43 IAB48,84 IAB48,C5 SAB49 IAB49,43 IAB49,84
+IAB49,C5 SAB4A IAB4A,43 IAB4A,84 IAB4A,C5 SAB4B IAB4B,43 IAB4B,84 IAB4B,C5 SAB4C IAB4C,43 IAB4C,84 IAB4C,C5 SAB4D
+IAB4D,43 IAB4D,84 IAB4D,C5 SAB4E IAB4E,43 IAB4E,84 IAB4E,C5 SAB4F IAB4F,43 IAB4F,84 IAB4F,C5 SAB50 IAB50,43 IAB50,84
+IAB50,C5 SAB51 IAB51,43 IAB51,84 IAB51,C5 SAB52 IAB52,43 IAB52,84 IAB52,C5 SAB53 IAB53,43 IAB53,84 IAB53,C5 SAB54
+IAB54,43 IAB54,84 IAB54,C5 SAB55 IAB55,43 IAB55,84 IAB55,C5 SAB56 IAB56,43 IAB56,84 IAB56,C5 SAB57 IAB57,43 IAB57,84
+IAB57,C5 SAB58 IAB58,43 IAB58,84 IAB58,C5 SAB59 IAB59,43 IAB59,84 IAB59,C5 SAB5A IAB5A,43 IAB5A,84 IAB5A,C5 SAB5B
+IAB5B,43 IAB5B,84 IAB5B,C5 SAB5C IAB5C,43 IAB5C,84 IAB5C,C5 SAB5D IAB5D,43 IAB5D,84 IAB5D,C5 SAB5E IAB5E,43 IAB5E,84
+IAB5E,C5 SAB5F IAB5F,43 IAB5F,84 IAB5F,C5 SAB60 IAB60,43 IAB60,84 IAB60,C5 SAB61 IAB61,43 IAB61,84 IAB61,C5 SAB62
+IAB62,43 IAB62,84 IAB62,C5 SAB63 IAB63,43 IAB63,84 IAB63,C5 SAB64 IAB64,43 IAB64,84 IAB64,C5 SAB65 IAB65,43 IAB65,84
+IAB65,C5 SAB66 IAB66,43 IAB66,84 IAB66,C5 SAB67 IAB67,43 IAB67,84 IAB67,C5 SAB68 IAB68,43 IAB68,84 IAB68,C5 SAB69
+IAB69,43 IAB69,84 IAB69,C5 SAB6A IAB6A,43 IAB6A,84 IAB6A,C5 SAB6B IAB6B,43 IAB6B,84 IAB6B,C5 SAB6C IAB6C,43 IAB6C,84
+IAB6C,C5 SAB6D IAB6D,43 IAB6D,84 IAB6D,C5 SAB6E IAB6E,43 IAB6E,84 IAB6E,C5 SAB6F IAB6F,43 IAB6F,84 IAB6F,C5 SAB70
+IAB70,43 IAB70,84 IAB70,C5 SAB71 IAB71,43 IAB71,84 IAB71,C5 SAB72 IAB72,43 IAB72,84 IAB72,C5 SAB73 IAB73,43 IAB73,84
+IAB73,C5 SAB74 IAB74,43 IAB74,84 IAB74,C5 SAB75 IAB75,43 IAB75,84 IAB75,C5 SAB76 IAB76,43 IAB76,84 IAB76,C5 SAB77
+IAB77,43 IAB77,84 IAB77,C5 SAB78 IAB78,43 IAB78,84 IAB78,C5 SAB79 IAB79,43 IAB79,84 IAB79,C5 SAB7A IAB7A,43 IAB7A,84
+IAB7A,C5 SAB7B IAB7B,43 IAB7B,84 IAB7B,C5 SAB7C IAB7C,43 IAB7C,84 IAB7C,C5 SAB7D IAB7D,43 IAB7D,84 IAB7D,C5 SAB7E
+IAB7E,43 IAB7E,84 IAB7E,C5 SAB7F IAB7F,43 IAB7F,84 IAB7F,C5 SAB80 IAB80,43 IAB80,84 IAB80,C5 SAB81 IAB81,43 IAB81,84
+IAB81,C5 SAB82 IAB82,43 IAB82,84 IAB82,C5 SAB83 IAB83,43 IAB83,84 IAB83,C5 SAB84 IAB84,43 IAB84,84 IAB84,C5 SAB85
+IAB85,43 IAB85,84 IAB85,C5 SAB86 IAB86,43 IAB86,84 IAB86,C5 SAB87 IAB87,43 IAB87,84 IAB87,C5 SAB88 IAB88,43 IAB88,84
+IAB88,C5 SAB89 IAB89,43 IAB89,84 IAB89,C5 SAB8A IAB8A,43 IAB8A,84 IAB8A,C5 SAB8B IAB8B,43 IAB8B,84 IAB8B,C5 SAB8C
+IAB8C,43 IAB8C,84 IAB8C,C5 SAB8D IAB8D,43 IAB8D,84 IAB8D,C5 SAB8E IAB8E,43 IAB8E,84 IAB8E,C5 SAB8F IAB8F,43 IAB8F,84
+IAB8F,C5 SAB90 IAB90,43 IAB90,84 IAB90,C5 SAB91 IAB91,43 IAB91,84 IAB91,C5 SAB92 IAB92,43 IAB92,84 IAB92,C5 SAB93
+IAB93,43 IAB93,84 IAB93,C5 SAB94 IAB94,43 IAB94,84 IAB94,C5 SAB95 IAB95,43 IAB95,84 IAB95,C5 SAB96 IAB96,43 IAB96,84
+IAB96,C5 SAB97 IAB97,43 IAB97,84 IAB97,C5 SAB98 IAB98,43 IAB98,84 IAB98,C5 SAB99 IAB99,43 IAB99,84 IAB99,C5 SAB9A
+IAB9A,43 IAB9A,84 IAB9A,C5 SAB9B IAB9B,43 IAB9B,84 IAB9B,C5 SAB9C IAB9C,43 IAB9C,84 IAB9C,C5 SAB9D IAB9D,43 IAB9D,84
+IAB9D,C5 SAB9E IAB9E,43 IAB9E,84 IAB9E,C5 SAB9F IAB9F,43 IAB9F,84 IAB9F,C5 SABA0 IABA0,43 IABA0,84 IABA0,C5 SABA1
+IABA1,43 IABA1,84 IABA1,C5 SABA2 IABA2,43 IABA2,84 IABA2,C5 SABA3 IABA3,43 IABA3,84 IABA3,C5 SABA4 IABA4,43 IABA4,84
+IABA4,C5 SABA5 IABA5,43 IABA5,84 IABA5,C5 SABA6 IABA6,43 IABA6,84 IABA6,C5 SABA7 IABA7,43 IABA7,84 IABA7,C5 SABA8
+IABA8,43 IABA8,84 IABA8,C5 SABA9 IABA9,43 IABA9,84 IABA9,C5 SABAA IABAA,43 IABAA,84 IABAA,C5 SABAB IABAB,43 IABAB,84
+IABAB,C5 SABAC IABAC,43 IABAC,84 IABAC,C5 SABAD IABAD,43 IABAD,84 IABAD,C5 SABAE IABAE,43 IABAE,84 IABAE,C5 SABAF
+IABAF,43 IABAF,84 IABAF,C5 SABB0 IABB0,43 IABB0,84 IABB0,C5 SABB1 IABB1,43 IABB1,84 IABB1,C5 SABB2 IABB2,43 IABB2,84
+IABB2,C5 SABB3 IABB3,43 IABB3,84 IABB3,C5 SABB4 IABB4,43 IABB4,84 IABB4,C5 SABB5 IABB5,43 IABB5,84 IABB5,C5 SABB6
+IABB6,43 IABB6,84 IABB6,C5 SABB7 IABB7,43 IABB7,84 IABB7,C5 SABB8 IABB8,43 IABB8,84 IABB8,C5 SABB9 IABB9,43 IABB9,84
+IABB9,C5 SABBA IABBA,43 IABBA,84 IABBA,C5 SABBB IABBB,43 IABBB,84 IABBB,C5 SABBC IABBC,43 IABBC,84 IABBC,C5 SABBD
+IABBD,43 IABBD,84 IABBD,C5 SABBE IABBE,43 IABBE,84 IABBE,C5 SABBF IABBF,43 IABBF,84 IABBF,C5 SABC0 IABC0,43 IABC0,84
+IABC0,C5 SABC1 IABC1,43 IABC1,84 IABC1,C5 SABC2 IABC2,43 IABC2,84 IABC2,C5 SABC3 IABC3,43 IABC3,84 IABC3,C5 SABC4
+IABC4,43 IABC4,84 IABC4,C5 SABC5 IABC5,43 IABC5,84 IABC5,C5 SABC6 IABC6,43 IABC6,84 IABC6,C5 SABC7 IABC7,43 IABC7,84
+IABC7,C5 SABC8 IABC8,43 IABC8,84 IABC8,C5 SABC9 IABC9,43 IABC9,84 IABC9,C5 SABCA IABCA,43 IABCA,84 IABCA,C5 SABCB
+IABCB,43 IABCB,84 IABCB,C5 SABCC IABCC,43 IABCC,84 IABCC,C5 SABCD IABCD,43 IABCD,84 IABCD,C5 SABCE IABCE,43 IABCE,84
+IABCE,C5 SABCF IABCF,43 IABCF,84 IABCF,C5 SABD0 IABD0,43 IABD0,84 IABD0,C5 SABD1 IABD1,43 IABD1,84 IABD1,C5 SABD2
+IABD2,43 IABD2,84 IABD2,C5 SABD3 IABD3,43 IABD3,84 IABD3,C5 SABD4 IABD4,43 IABD4,84 IABD4,C5 SABD5 IABD5,43 IABD5,84
+IABD5,C5 SABD6 IABD6,43 IABD6,84 IABD6,C5 SABD7 IABD7,43 IABD7,84 IABD7,C5 SABD8 IABD8,43 IABD8,84 IABD8,C5 SABD9
+IABD9,43 IABD9,84 IABD9,C5 SABDA IABDA,43 IABDA,84 IABDA,C5 SABDB IABDB,43 IABDB,84 IABDB,C5 SABDC IABDC,43 IABDC,84
+IABDC,C5 SABDD IABDD,43 IABDD,84 IABDD,C5 SABDE IABDE,43 IABDE,84 IABDE,C5 SABDF IABDF,43 IABDF,84 IABDF,C5 SABE0
+IABE0,43 IABE0,84 IABE0,C5 SABE1 IABE1,43 IABE1,84 IABE1,C5 SABE2 IABE2,43 IABE2,84 IABE2,C5 SABE3 IABE3,43 IABE3,84
+IABE3,C5 SABE4 IABE4,43 IABE4,84 IABE4,C5 SABE5 IABE5,43 IABE5,84 IABE5,C5 SABE6 IABE6,43 IABE6,84 IABE6,C5 SABE7
+IABE7,43 IABE7,84 IABE7,C5 SABE8 IABE8,43 IABE8,84 IABE8,C5 SABE9 IABE9,43 IABE9,84 IABE9,C5 SABEA IABEA,43 IABEA,84
+IABEA,C5 SABEB IABEB,43 IABEB,84 IABEB,C5 SABEC IABEC,43 IABEC,84 IABEC,C5 SABED IABED,43 IABED,84 IABED,C5 SABEE
+IABEE,43 IABEE,84 IABEE,C5 SABEF IABEF,43 IABEF,84 IABEF,C5 SABF0 IABF0,43 IABF0,84 IABF0,C5 SABF1 IABF1,43 IABF1,84
+IABF1,C5 SABF2 IABF2,43 IABF2,84 IABF2,C5 SABF3 IABF3,43 IABF3,84 IABF3,C5 SABF4 IABF4,43 IABF4,84 IABF4,C5 SABF5
+IABF5,43 IABF5,84 IABF5,C5 SABF6 IABF6,43 IABF6,84 IABF6,C5 SABF7 IABF7,43 IABF7,84 IABF7,C5 SABF8 IABF8,43 IABF8,84
+IABF8,C5 SABF9 IABF9,43 IABF9,84 IABF9,C5 SABFA IABFA,43 IABFA,84 IABFA,C5 SABFB IABFB,43 IABFB,84 IABFB,C5 SABFC
+IABFC,43 IABFC,84 IABFC,C5 SABFD IABFD,43 IABFD,84 IABFD,C5 SABFE IABFE,43 IABFE,84 IABFE,C5 SABFF IABFF,43 IABFF,84
+IABFF,C5 SAC02 IAC02,43 IAC02,84 IAC02,C5 SAC03 IAC03,43 IAC03,84 IAC03,C5 SAC04 IAC04,43 IAC04,84 IAC04,C5 SAC05
+IAC05,43 IAC05,84 IAC05,C5 SAC06 IAC06,43 IAC06,84 IAC06,C5 SAC07 IAC07,43 IAC07,84 IAC07,C5 SAC08 IAC08,43 IAC08,84
+IAC08,C5 SAC09 IAC09,43 IAC09,84 IAC09,C5 SAC0A IAC0A,43 IAC0A,84 IAC0A,C5 SAC0B IAC0B,43 IAC0B,84 IAC0B,C5 SAC0C
+IAC0C,43 IAC0C,84 IAC0C,C5 SAC0D IAC0D,43 IAC0D,84 IAC0D,C5 SAC0E IAC0E,43 IAC0E,84 IAC0E,C5 SAC0F IAC0F,43 IAC0F,84
+IAC0F,C5 SAC10 IAC10,43 IAC10,84 IAC10,C5 SAC11 IAC11,43 IAC11,84 IAC11,C5 SAC12 IAC12,43 IAC12,84 IAC12,C5 SAC13
+IAC13,43 IAC13,84 IAC13,C5 SAC14 IAC14,43 IAC14,84 IAC14,C5 SAC15 IAC15,43 IAC15,84 IAC15,C5 SAC16 IAC16,43 IAC16,84
+IAC16,C5 SAC17 IAC17,43 IAC17,84 IAC17,C5 SAC18 IAC18,43 IAC18,84 IAC18,C5 SAC19 IAC19,43 IAC19,84 IAC19,C5 SAC1A
+IAC1A,43 IAC1A,84 IAC1A,C5 SAC1B IAC1B,43 IAC1B,84 IAC1B,C5 SAC1C IAC1C,43 IAC1C,84 IAC1C,C5 SAC1D IAC1D,43 IAC1D,84
+IAC1D,C5 SAC1E IAC1E,43 IAC1E,84 IAC1E,C5 SAC1F IAC1F,43 IAC1F,84 IAC1F,C5 SAC20 IAC20,43 IAC20,84 IAC20,C5 SAC21
+IAC21,43 IAC21,84 IAC21,C5 SAC22 IAC22,43 IAC22,84 IAC22,C5 SAC23 IAC23,43 IAC23,84 IAC23,C5 SAC24 IAC24,43 IAC24,84
+IAC24,C5 SAC25 IAC25,43 IAC25,84 IAC25,C5 SAC26 IAC26,43 IAC26,84 IAC26,C5 SAC27 IAC27,43 IAC27,84 IAC27,C5 SAC28
+IAC28,43 IAC28,84 IAC28,C5 SAC29 IAC29,43 IAC29,84 IAC29,C5 SAC2A IAC2A,43 IAC2A,84 IAC2A,C5 SAC2B IAC2B,43 IAC2B,84
+IAC2B,C5 SAC2C IAC2C,43 IAC2C,84 IAC2C,C5 SAC2D IAC2D,43 IAC2D,84 IAC2D,C5 SAC2E IAC2E,43 IAC2E,84 IAC2E,C5 SAC2F
+IAC2F,43 IAC2F,84 IAC2F,C5 SAC30 IAC30,43 IAC30,84 IAC30,C5 SAC31 IAC31,43 IAC31,84 IAC31,C5 SAC32 IAC32,43 IAC32,84
+IAC32,C5 SAC33 IAC33,43 IAC33,84 IAC33,C5 SAC34 IAC34,43 IAC34,84 IAC34,C5 SAC35 IAC35,43 IAC35,84 IAC35,C5 SAC36
+IAC36,43 IAC36,84 IAC36,C5 SAC37 IAC37,43 IAC37,84 IAC37,C5 SAC38 IAC38,43 IAC38,84 IAC38,C5 SAC39 IAC39,43 IAC39,84
+IAC39,C5 SAC3A IAC3A,43 IAC3A,84 IAC3A,C5 SAC3B IAC3B,43 IAC3B,84 IAC3B,C5 SAC3C IAC3C,43 IAC3C,84 IAC3C,C5 SAC3D
+IAC3D,43 IAC3D,84 IAC3D,C5 SAC3E IAC3E,43 IAC3E,84 IAC3E,C5 SAC3F IAC3F,43 IAC3F,84 IAC3F,C5 SAC40 IAC40,43 IAC40,84
+IAC40,C5 SAC41 IAC41,43 IAC41,84 IAC41,C5 SAC42 IAC42,43 IAC42,84 IAC42,C5 SAC43 IAC43,43 IAC43,84 IAC43,C5 SAC44
+IAC44,43 IAC44,84 IAC44,C5 SAC45 IAC45,43 IAC45,84 IAC45,C5 SAC46 IAC46,43 IAC46,84 IAC46,C5 SAC47 IAC47,43 IAC47,84
+IAC47,C5 SAC48 IAC48,43 IAC48,84 IAC48,C5 SAC49 IAC49,43 IAC49,84 IAC49,C5 SAC4A IAC4A,43 IAC4A,84 IAC4A,C5 SAC4B
+IAC4B,43 IAC4B,84 IAC4B,C5 SAC4C IAC4C,43 IAC4C,84 IAC4C,C5 SAC4D IAC4D,43 IAC4D,84 IAC4D,C5 SAC4E IAC4E,43 IAC4E,84
+IAC4E,C5 SAC4F IAC4F,43 IAC4F,84 IAC4F,C5 SAC50 IAC50,43 IAC50,84 IAC50,C5 SAC51 IAC51,43 IAC51,84 IAC51,C5 SAC52
+IAC52,43 IAC52,84 IAC52,C5 SAC53 IAC53,43 IAC53,84 IAC53,C5 SAC54 IAC54,43 IAC54,84 IAC54,C5 SAC55 IAC55,43 IAC55,84
+IAC55,C5 SAC56 IAC56,43 IAC56,84 IAC56,C5 SAC57 IAC57,43 IAC57,84 IAC57,C5 SAC58 IAC58,43 IAC58,84 IAC58,C5 SAC59
+IAC59,43 IAC59,84 IAC59,C5 SAC5A IAC5A,43 IAC5A,84 IAC5A,C5 SAC5B IAC5B,43 IAC5B,84 IAC5B,C5 SAC5C IAC5C,43 IAC5C,84
+IAC5C,C5 SAC5D IAC5D,43 IAC5D,84 IAC5D,C5 SAC5E IAC5E,43 IAC5E,84 IAC5E,C5 SAC5F IAC5F,43 IAC5F,84 IAC5F,C5 SAC60
+IAC60,43 IAC60,84 IAC60,C5 SAC61 IAC61,43 IAC61,84 IAC61,C5 SAC62 IAC62,43 IAC62,84 IAC62,C5 SAC63 IAC63,43 IAC63,84
+IAC63,C5 SAC64 IAC64,43 IAC64,84 IAC64,C5 SAC65 IAC65,43 IAC65,84 IAC65,C5 SAC66 IAC66,43 IAC66,84 IAC66,C5 SAC67
+IAC67,43 IAC67,84 IAC67,C5 SAC68 IAC68,43 IAC68,84 IAC68,C5 SAC69 IAC69,43 IAC69,84 IAC69,C5 SAC6A IAC6A,43 IAC6A,84
+IAC6A,C5 SAC6B IAC6B,43 IAC6B,84 IAC6B,C5 SAC6C IAC6C,43 IAC6C,84 IAC6C,C5 SAC6D IAC6D,43 IAC6D,84 IAC6D,C5 SAC6E
+IAC6E,43 IAC6E,84 IAC6E,C5 SAC6F IAC6F,43 IAC6F,84 IAC6F,C5 SAC70 IAC70,43 IAC70,84 IAC70,C5 SAC71 IAC71,43 IAC71,84
+IAC71,C5 SAC72 IAC72,43 IAC72,84 IAC72,C5 SAC73 IAC73,43 IAC73,84 IAC73,C5 SAC74 IAC74,43 IAC74,84 IAC74,C5 SAC75
+IAC75,43 IAC75,84 IAC75,C5 SAC76 IAC76,43 IAC76,84 IAC76,C5 SAC77 IAC77,43 IAC77,84 IAC77,C5 SAC78 IAC78,43 IAC78,84
+IAC78,C5 SAC79 IAC79,43 IAC79,84 IAC79,C5 SAC7A IAC7A,43 IAC7A,84 IAC7A,C5 SAC7B IAC7B,43 IAC7B,84 IAC7B,C5 SAC7C
+IAC7C,43 IAC7C,84 IAC7C,C5 SAC7D IAC7D,43 IAC7D,84 IAC7D,C5 SAC7E IAC7E,43 IAC7E,84 IAC7E,C5 SAC7F IAC7F,43 IAC7F,84
+IAC7F,C5 SAC80 IAC80,43 IAC80,84 IAC80,C5 SAC81 IAC81,43 IAC81,84 IAC81,C5 SAC82 IAC82,43 IAC82,84 IAC82,C5 SAC83
+IAC83,43 IAC83,84 IAC83,C5 SAC84 IAC84,43 IAC84,84 IAC84,C5 SAC85 IAC85,43 IAC85,84 IAC85,C5 SAC86 IAC86,43 IAC86,84
+IAC86,C5 SAC87 IAC87,43 IAC87,84 IAC87,C5 SAC88 IAC88,43 IAC88,84 IAC88,C5 SAC89 IAC89,43 IAC89,84 IAC89,C5 SAC8A
+IAC8A,43 IAC8A,84 IAC8A,C5 SAC8B IAC8B,43 IAC8B,84 IAC8B,C5 SAC8C IAC8C,43 IAC8C,84 IAC8C,C5 SAC8D IAC8D,43 IAC8D,84
+IAC8D,C5 SAC8E IAC8E,43 IAC8E,84 IAC8E,C5 SAC8F IAC8F,43 IAC8F,84 IAC8F,C5 SAC90 IAC90,43 IAC90,84 IAC90,C5 SAC91
+IAC91,43 IAC91,84 IAC91,C5 SAC92 IAC92,43 IAC92,84 IAC92,C5 SAC93 IAC93,43 IAC93,84 IAC93,C5 SAC94 IAC94,43 IAC94,84
+IAC94,C5 SAC95 IAC95,43 IAC95,84 IAC95,C5 SAC96 IAC96,43 IAC96,84 IAC96,C5 SAC97 IAC97,43 IAC97,84 IAC97,C5 SAC98
+IAC98,43 IAC98,84 IAC98,C5 SAC99 IAC99,43 IAC99,84 IAC99,C5 SAC9A IAC9A,43 IAC9A,84 IAC9A,C5 SAC9B IAC9B,43 IAC9B,84
+IAC9B,C5 SAC9C IAC9C,43 IAC9C,84 IAC9C,C5 SAC9D IAC9D,43 IAC9D,84 IAC9D,C5 SAC9E IAC9E,43 IAC9E,84 IAC9E,C5 SAC9F
+IAC9F,43 IAC9F,84 IAC9F,C5 SACA0 IACA0,43 IACA0,84 IACA0,C5 SACA1 IACA1,43 IACA1,84 IACA1,C5 SACA2 IACA2,43 IACA2,84
+IACA2,C5 SACA3 IACA3,43 IACA3,84 IACA3,C5 SACA4 IACA4,43 IACA4,84 IACA4,C5 SACA5 IACA5,43 IACA5,84 IACA5,C5 SACA6
+IACA6,43 IACA6,84 IACA6,C5 SACA7 IACA7,43 IACA7,84 IACA7,C5 SACA8 IACA8,43 IACA8,84 IACA8,C5 SACA9 IACA9,43 IACA9,84
+IACA9,C5 SACAA IACAA,43 IACAA,84 IACAA,C5 SACAB IACAB,43 IACAB,84 IACAB,C5 SACAC IACAC,43 IACAC,84 IACAC,C5 SACAD
+IACAD,43 IACAD,84 IACAD,C5 SACAE IACAE,43 IACAE,84 IACAE,C5 SACAF IACAF,43 IACAF,84 IACAF,C5 SACB0 IACB0,43 IACB0,84
+IACB0,C5 SACB1 IACB1,43 IACB1,84 IACB1,C5 SACB2 IACB2,43 IACB2,84 IACB2,C5 SACB3 IACB3,43 IACB3,84 IACB3,C5 SACB4
+IACB4,43 IACB4,84 IACB4,C5 SACB5 IACB5,43 IACB5,84 IACB5,C5 SACB6 IACB6,43 IACB6,84 IACB6,C5 SACB7 IACB7,43 IACB7,84
+IACB7,C5 SACB8 IACB8,43 IACB8,84 IACB8,C5 SACB9 IACB9,43 IACB9,84 IACB9,C5 SACBA IACBA,43 IACBA,84 IACBA,C5 SACBB
+IACBB,43 IACBB,84 IACBB,C5 SACBC IACBC,43 IACBC,84 IACBC,C5 SACBD IACBD,43 IACBD,84 IACBD,C5 SACBE IACBE,43 IACBE,84
+IACBE,C5 SACBF IACBF,43 IACBF,84 IACBF,C5 SACC0 IACC0,43 IACC0,84 IACC0,C5 SACC1 IACC1,43 IACC1,84 IACC1,C5 SACC2
+IACC2,43 IACC2,84 IACC2,C5 SACC3 IACC3,43 IACC3,84 IACC3,C5 SACC4 IACC4,43 IACC4,84 IACC4,C5 SACC5 IACC5,43 IACC5,84
+IACC5,C5 SACC6 IACC6,43 IACC6,84 IACC6,C5 SACC7 IACC7,43 IACC7,84 IACC7,C5 SACC8 IACC8,43 IACC8,84 IACC8,C5 SACC9
+IACC9,43 IACC9,84 IACC9,C5 SACCA IACCA,43 IACCA,84 IACCA,C5 SACCB IACCB,43 IACCB,84 IACCB,C5 SACCC IACCC,43 IACCC,84
+IACCC,C5 SACCD IACCD,43 IACCD,84 IACCD,C5 SACCE IACCE,43 IACCE,84 IACCE,C5 SACCF IACCF,43 IACCF,84 IACCF,C5 SACD0
+IACD0,43 IACD0,84 IACD0,C5 SACD1 IACD1,43 IACD1,84 IACD1,C5 SACD2 IACD2,43 IACD2,84 IACD2,C5 SACD3 IACD3,43 IACD3,84
+IACD3,C5 SACD4 IACD4,43 IACD4,84 IACD4,C5 SACD5 IACD5,43 IACD5,84 IACD5,C5 SACD6 IACD6,43 IACD6,84 IACD6,C5 SACD7
+IACD7,43 IACD7,84 IACD7,C5 SACD8 IACD8,43 IACD8,84 IACD8,C5 SACD9 IACD9,43 IACD9,84 IACD9,C5 SACDA IACDA,43 IACDA,84
+IACDA,C5 SACDB IACDB,43 IACDB,84 IACDB,C5 SACDC IACDC,43 IACDC,84 IACDC,C5 SACDD IACDD,43 IACDD,84 IACDD,C5 SACDE
+IACDE,43 IACDE,84 IACDE,C5 SACDF IACDF,43 IACDF,84 IACDF,C5 SACE0 IACE0,43 IACE0,84 IACE0,C5 SACE1 IACE1,43 IACE1,84
+IACE1,C5 SACE2 IACE2,43 IACE2,84 IACE2,C5 SACE3 IACE3,43 IACE3,84 IACE3,C5 SACE4 IACE4,43 IACE4,84 IACE4,C5 SACE5
+IACE5,43 IACE5,84 IACE5,C5 SACE6 IACE6,43 IACE6,84 IACE6,C5 SACE7 IACE7,43 IACE7,84 IACE7,C5 SACE8 IACE8,43 IACE8,84
+IACE8,C5 SACE9 IACE9,43 IACE9,84 IACE9,C5 SACEA IACEA,43 IACEA,84 IACEA,C5 SACEB IACEB,43 IACEB,84 IACEB,C5 SACEC
+IACEC,43 IACEC,84 IACEC,C5 SACED IACED,43 IACED,84 IACED,C5 SACEE IACEE,43 IACEE,84 IACEE,C5 SACEF IACEF,43 IACEF,84
+IACEF,C5 SACF0 IACF0,43 IACF0,84 IACF0,C5 SACF1 IACF1,43 IACF1,84 IACF1,C5 SACF2 IACF2,43 IACF2,84 IACF2,C5 SACF3
+IACF3,43 IACF3,84 IACF3,C5 SACF4 IACF4,43 IACF4,84 IACF4,C5 SACF5 IACF5,43 IACF5,84 IACF5,C5 SACF6 IACF6,43 IACF6,84
+IACF6,C5 SACF7 IACF7,43 IACF7,84 IACF7,C5 SACF8 IACF8,43 IACF8,84 IACF8,C5 SACF9 IACF9,43 IACF9,84 IACF9,C5 SACFA
+IACFA,43 IACFA,84 IACFA,C5 SACFB IACFB,43 IACFB,84 IACFB,C5 SACFC IACFC,43 IACFC,84 IACFC,C5 SACFD IACFD,43 IACFD,84
+IACFD,C5 SACFE IACFE,43 IACFE,84 IACFE,C5 SACFF IACFF,43 IACFF,84 IACFF,C5 SAD02 IAD02,43 IAD02,84 IAD02,C5 SAD03
+IAD03,43 IAD03,84 IAD03,C5 SAD04 IAD04,43 IAD04,84 IAD04,C5 SAD05 IAD05,43 IAD05,84 IAD05,C5 SAD06 IAD06,43 IAD06,84
+IAD06,C5 SAD07 IAD07,43 IAD07,84 IAD07,C5 SAD08 IAD08,43 IAD08,84 IAD08,C5 SAD09 IAD09,43 IAD09,84 IAD09,C5 SAD0A
+IAD0A,43 IAD0A,84 IAD0A,C5 SAD0B IAD0B,43 IAD0B,84 IAD0B,C5 SAD0C IAD0C,43 IAD0C,84 IAD0C,C5 SAD0D IAD0D,43 IAD0D,84
+IAD0D,C5 SAD0E IAD0E,43 IAD0E,84 IAD0E,C5 SAD0F IAD0F,43 IAD0F,84 IAD0F,C5 SAD10 IAD10,43 IAD10,84 IAD10,C5 SAD11
+IAD11,43 IAD11,84 IAD11,C5 SAD12 IAD12,43 IAD12,84 IAD12,C5 SAD13 IAD13,43 IAD13,84 IAD13,C5 SAD14 IAD14,43 IAD14,84
+IAD14,C5 SAD15 IAD15,43 IAD15,84 IAD15,C5 SAD16 IAD16,43 IAD16,84 IAD16,C5 SAD17 IAD17,43 IAD17,84 IAD17,C5 SAD18
+IAD18,43 IAD18,84 IAD18,C5 SAD19 IAD19,43 IAD19,84 IAD19,C5 SAD1A IAD1A,43 IAD1A,84 IAD1A,C5 SAD1B IAD1B,43 IAD1B,84
+IAD1B,C5 SAD1C IAD1C,43 IAD1C,84 IAD1C,C5 SAD1D IAD1D,43 IAD1D,84 IAD1D,C5 SAD1E IAD1E,43 IAD1E,84 IAD1E,C5 SAD1F
+IAD1F,43 IAD1F,84 IAD1F,C5 SAD20 IAD20,43 IAD20,84 IAD20,C5 SAD21 IAD21,43 IAD21,84 IAD21,C5 SAD22 IAD22,43 IAD22,84
+IAD22,C5 SAD23 IAD23,43 IAD23,84 IAD23,C5 SAD24 IAD24,43 IAD24,84 IAD24,C5 SAD25 IAD25,43 IAD25,84 IAD25,C5 SAD26
+IAD26,43 IAD26,84 IAD26,C5 SAD27 IAD27,43 IAD27,84 IAD27,C5 SAD28 IAD28,43 IAD28,84 IAD28,C5 SAD29 IAD29,43 IAD29,84
+IAD29,C5 SAD2A IAD2A,43 IAD2A,84 IAD2A,C5 SAD2B IAD2B,43 IAD2B,84 IAD2B,C5 SAD2C IAD2C,43 IAD2C,84 IAD2C,C5 SAD2D
+IAD2D,43 IAD2D,84 IAD2D,C5 SAD2E IAD2E,43 IAD2E,84 IAD2E,C5 SAD2F IAD2F,43 IAD2F,84 IAD2F,C5 SAD30 IAD30,43 IAD30,84
+IAD30,C5 SAD31 IAD31,43 IAD31,84 IAD31,C5 SAD32 IAD32,43 IAD32,84 IAD32,C5 SAD33 IAD33,43 IAD33,84 IAD33,C5 SAD34
+IAD34,43 IAD34,84 IAD34,C5 SAD35 IAD35,43 IAD35,84 IAD35,C5 SAD36 IAD36,43 IAD36,84 IAD36,C5 SAD37 IAD37,43 IAD37,84
+IAD37,C5 SAD38 IAD38,43 IAD38,84 IAD38,C5 SAD39 IAD39,43 IAD39,84 IAD39,C5 SAD3A IAD3A,43 IAD3A,84 IAD3A,C5 SAD3B
+IAD3B,43 IAD3B,84 IAD3B,C5 SAD3C IAD3C,43 IAD3C,84 IAD3C,C5 SAD3D IAD3D,43 IAD3D,84 IAD3D,C5 SAD3E IAD3E,43 IAD3E,84
+IAD3E,C5 SAD3F IAD3F,43 IAD3F,84 IAD3F,C5 SAD40 IAD40,43 IAD40,84 IAD40,C5 SAD41 IAD41,43 IAD41,84 IAD41,C5 SAD42
+IAD42,43 IAD42,84 IAD42,C5 SAD43 IAD43,43 IAD43,84 IAD43,C5 SAD44 IAD44,43 IAD44,84 IAD44,C5 SAD45 IAD45,43 IAD45,84
+IAD45,C5 SAD46 IAD46,43 IAD46,84 IAD46,C5 SAD47 IAD47,43 IAD47,84 IAD47,C5 SAD48 IAD48,43 IAD48,84 IAD48,C5 SAD49
+IAD49,43 IAD49,84 IAD49,C5 SAD4A IAD4A,43 IAD4A,84 IAD4A,C5 SAD4B IAD4B,43 IAD4B,84 IAD4B,C5 SAD4C IAD4C,43 IAD4C,84
+IAD4C,C5 SAD4D IAD4D,43 IAD4D,84 IAD4D,C5 SAD4E IAD4E,43 IAD4E,84 IAD4E,C5 SAD4F IAD4F,43 IAD4F,84 IAD4F,C5 SAD50
+IAD50,43 IAD50,84 IAD50,C5 SAD51 IAD51,43 IAD51,84 IAD51,C5 SAD52 IAD52,43 IAD52,84 IAD52,C5 SAD53 IAD53,43 IAD53,84
+IAD53,C5 SAD54 IAD54,43 IAD54,84 IAD54,C5 SAD55 IAD55,43 IAD55,84 IAD55,C5 SAD56 IAD56,43 IAD56,84 IAD56,C5 SAD57
+IAD57,43 IAD57,84 IAD57,C5 SAD58 IAD58,43 IAD58,84 IAD58,C5 SAD59 IAD59,43 IAD59,84 IAD59,C5 SAD5A IAD5A,43 IAD5A,84
+IAD5A,C5 SAD5B IAD5B,43 IAD5B,84 IAD5B,C5 SAD5C IAD5C,43 IAD5C,84 IAD5C,C5 SAD5D IAD5D,43 IAD5D,84 IAD5D,C5 SAD5E
+IAD5E,43 IAD5E,84 IAD5E,C5 SAD5F IAD5F,43 IAD5F,84 IAD5F,C5 SAD60 IAD60,43 IAD60,84 IAD60,C5 SAD61 IAD61,43 IAD61,84
+IAD61,C5 SAD62 IAD62,43 IAD62,84 IAD62,C5 SAD63 IAD63,43 IAD63,84 IAD63,C5 SAD64 IAD64,43 IAD64,84 IAD64,C5 SAD65
+IAD65,43 IAD65,84 IAD65,C5 SAD66 IAD66,43 IAD66,84 IAD66,C5 SAD67 IAD67,43 IAD67,84 IAD67,C5 SAD68 IAD68,43 IAD68,84
+IAD68,C5 SAD69 IAD69,43 IAD69,84 IAD69,C5 SAD6A IAD6A,43 IAD6A,84 IAD6A,C5 SAD6B IAD6B,43 IAD6B,84 IAD6B,C5 SAD6C
+IAD6C,43 IAD6C,84 IAD6C,C5 SAD6D IAD6D,43 IAD6D,84 IAD6D,C5 SAD6E IAD6E,43 IAD6E,84 IAD6E,C5 SAD6F IAD6F,43 IAD6F,84
+IAD6F,C5 SAD70 IAD70,43 IAD70,84 IAD70,C5 SAD71 IAD71,43 IAD71,84 IAD71,C5 SAD72 IAD72,43 IAD72,84 IAD72,C5 SAD73
+IAD73,43 IAD73,84 IAD73,C5 SAD74 IAD74,43 IAD74,84 IAD74,C5 SAD75 IAD75,43 IAD75,84 IAD75,C5 SAD76 IAD76,43 IAD76,84
+IAD76,C5 SAD77 IAD77,43 IAD77,84 IAD77,C5 SAD78 IAD78,43 IAD78,84 IAD78,C5 SAD79 IAD79,43 IAD79,84 IAD79,C5 SAD7A
+IAD7A,43 IAD7A,84 IAD7A,C5 SAD7B IAD7B,43 IAD7B,84 IAD7B,C5 SAD7C IAD7C,43 IAD7C,84 IAD7C,C5 SAD7D IAD7D,43 IAD7D,84
+IAD7D,C5 SAD7E IAD7E,43 IAD7E,84 IAD7E,C5 SAD7F IAD7F,43 IAD7F,84 IAD7F,C5 SAD80 IAD80,43 IAD80,84 IAD80,C5 SAD81
+IAD81,43 IAD81,84 IAD81,C5 SAD82 IAD82,43 IAD82,84 IAD82,C5 SAD83 IAD83,43 IAD83,84 IAD83,C5 SAD84 IAD84,43 IAD84,84
+IAD84,C5 SAD85 IAD85,43 IAD85,84 IAD85,C5 SAD86 IAD86,43 IAD86,84 IAD86,C5 SAD87 IAD87,43 IAD87,84 IAD87,C5 SAD88
+IAD88,43 IAD88,84 IAD88,C5 SAD89 IAD89,43 IAD89,84 IAD89,C5 SAD8A IAD8A,43 IAD8A,84 IAD8A,C5 SAD8B IAD8B,43 IAD8B,84
+IAD8B,C5 SAD8C IAD8C,43 IAD8C,84 IAD8C,C5 SAD8D IAD8D,43 IAD8D,84 IAD8D,C5 SAD8E IAD8E,43 IAD8E,84 IAD8E,C5 SAD8F
+IAD8F,43 IAD8F,84 IAD8F,C5 SAD90 IAD90,43 IAD90,84 IAD90,C5 SAD91 IAD91,43 IAD91,84 IAD91,C5 SAD92 IAD92,43 IAD92,84
+IAD92,C5 SAD93 IAD93,43 IAD93,84 IAD93,C5 SAD94 IAD94,43 IAD94,84 IAD94,C5 SAD95 IAD95,43 IAD95,84 IAD95,C5 SAD96
+IAD96,43 IAD96,84 IAD96,C5 SAD97 IAD97,43 IAD97,84 IAD97,C5 SAD98 IAD98,43 IAD98,84 IAD98,C5 SAD99 IAD99,43 IAD99,84
+IAD99,C5 SAD9A IAD9A,43 IAD9A,84 IAD9A,C5 SAD9B IAD9B,43 IAD9B,84 IAD9B,C5 SAD9C IAD9C,43 IAD9C,84 IAD9C,C5 SAD9D
+IAD9D,43 IAD9D,84 IAD9D,C5 SAD9E IAD9E,43 IAD9E,84 IAD9E,C5 SAD9F IAD9F,43 IAD9F,84 IAD9F,C5 SADA0 IADA0,43 IADA0,84
+IADA0,C5 SADA1 IADA1,43 IADA1,84 IADA1,C5 SADA2 IADA2,43 IADA2,84 IADA2,C5 SADA3 IADA3,43 IADA3,84 IADA3,C5 SADA4
+IADA4,43 IADA4,84 IADA4,C5 SADA5 IADA5,43 IADA5,84 IADA5,C5 SADA6 IADA6,43 IADA6,84 IADA6,C5 SADA7 IADA7,43 IADA7,84
+IADA7,C5 SADA8 IADA8,43 IADA8,84 IADA8,C5 SADA9 IADA9,43 IADA9,84 IADA9,C5 SADAA IADAA,43 IADAA,84 IADAA,C5 SADAB
+IADAB,43 IADAB,84 IADAB,C5 SADAC IADAC,43 IADAC,84 IADAC,C5 SADAD IADAD,43 IADAD,84 IADAD,C5 SADAE IADAE,43 IADAE,84
+IADAE,C5 SADAF IADAF,43 IADAF,84 IADAF,C5 SADB0 IADB0,43 IADB0,84 IADB0,C5 SADB1 IADB1,43 IADB1,84 IADB1,C5 SADB2
+IADB2,43 IADB2,84 IADB2,C5 SADB3 IADB3,43 IADB3,84 IADB3,C5 SADB4 IADB4,43 IADB4,84 IADB4,C5 SADB5 IADB5,43 IADB5,84
+IADB5,C5 SADB6 IADB6,43 IADB6,84 IADB6,C5 SADB7 IADB7,43 IADB7,84 IADB7,C5 SADB8 IADB8,43 IADB8,84 IADB8,C5 SADB9
+IADB9,43 IADB9,84 IADB9,C5 SADBA IADBA,43 IADBA,84 IADBA,C5 SADBB IADBB,43 IADBB,84 IADBB,C5 SADBC IADBC,43 IADBC,84
+IADBC,C5 SADBD IADBD,43 IADBD,84 IADBD,C5 SADBE IADBE,43 IADBE,84 IADBE,C5 SADBF IADBF,43 IADBF,84 IADBF,C5 SADC0
+IADC0,43 IADC0,84 IADC0,C5 SADC1 IADC1,43 IADC1,84 IADC1,C5 SADC2 IADC2,43 IADC2,84 IADC2,C5 SADC3 IADC3,43 IADC3,84
+IADC3,C5 SADC4 IADC4,43 IADC4,84 IADC4,C5 SADC5 IADC5,43 IADC5,84 IADC5,C5 SADC6 IADC6,43 IADC6,84 IADC6,C5 SADC7
+IADC7,43 IADC7,84 IADC7,C5 SADC8 IADC8,43 IADC8,84 IADC8,C5 SADC9 IADC9,43 IADC9,84 IADC9,C5 SADCA IADCA,43 IADCA,84
+IADCA,C5 SADCB IADCB,43 IADCB,84 IADCB,C5 SADCC IADCC,43 IADCC,84 IADCC,C5 SADCD IADCD,43 IADCD,84 IADCD,C5 SADCE
+IADCE,43 IADCE,84 IADCE,C5 SADCF IADCF,43 IADCF,84 IADCF,C5 SADD0 IADD0,43 IADD0,84 IADD0,C5 SADD1 IADD1,43 IADD1,84
+IADD1,C5 SADD2 IADD2,43 IADD2,84 IADD2,C5 SADD3 IADD3,43 IADD3,84 IADD3,C5 SADD4 IADD4,43 IADD4,84 IADD4,C5 SADD5
+IADD5,43 IADD5,84 IADD5,C5 SADD6 IADD6,43 IADD6,84 IADD6,C5 SADD7 IADD7,43 IADD7,84 IADD7,C5 SADD8 IADD8,43 IADD8,84
+IADD8,C5 SADD9 IADD9,43 IADD9,84 IADD9,C5 SADDA IADDA,43 IADDA,84 IADDA,C5 SADDB IADDB,43 IADDB,84 IADDB,C5 SADDC
+IADDC,43 IADDC,84 IADDC,C5 SADDD IADDD,43 IADDD,84 IADDD,C5 SADDE IADDE,43 IADDE,84 IADDE,C5 SADDF IADDF,43 IADDF,84
+IADDF,C5 SADE0 IADE0,43 IADE0,84 IADE0,C5 SADE1 IADE1,43 IADE1,84 IADE1,C5 SADE2 IADE2,43 IADE2,84 IADE2,C5 SADE3
+IADE3,43 IADE3,84 IADE3,C5 SADE4 IADE4,43 IADE4,84 IADE4,C5 SADE5 IADE5,43 IADE5,84 IADE5,C5 SADE6 IADE6,43 IADE6,84
+IADE6,C5 SADE7 IADE7,43 IADE7,84 IADE7,C5 SADE8 IADE8,43 IADE8,84 IADE8,C5 SADE9 IADE9,43 IADE9,84 IADE9,C5 SADEA
+IADEA,43 IADEA,84 IADEA,C5 SADEB IADEB,43 IADEB,84 IADEB,C5 SADEC IADEC,43 IADEC,84 IADEC,C5 SADED IADED,43 IADED,84
+IADED,C5 SADEE IADEE,43 IADEE,84 IADEE,C5 SADEF IADEF,43 IADEF,84 IADEF,C5 SADF0 IADF0,43 IADF0,84 IADF0,C5 SADF1
+IADF1,43 IADF1,84 IADF1,C5 SADF2 IADF2,43 IADF2,84 IADF2,C5 SADF3 IADF3,43 IADF3,84 IADF3,C5 SADF4 IADF4,43 IADF4,84
+IADF4,C5 SADF5 IADF5,43 IADF5,84 IADF5,C5 SADF6 IADF6,43 IADF6,84 IADF6,C5 SADF7 IADF7,43 IADF7,84 IADF7,C5 SADF8
+IADF8,43 IADF8,84 IADF8,C5 SADF9 IADF9,43 IADF9,84 IADF9,C5 SADFA IADFA,43 IADFA,84 IADFA,C5 SADFB IADFB,43 IADFB,84
+IADFB,C5 SADFC IADFC,43 IADFC,84 IADFC,C5 SADFD IADFD,43 IADFD,84 IADFD,C5 SADFE IADFE,43 IADFE,84 IADFE,C5 SADFF
+IADFF,43 IADFF,84 IADFF,C5 SAE02 IAE02,43 IAE02,84 IAE02,C5 SAE03 IAE03,43 IAE03,84 IAE03,C5 SAE04 IAE04,43 IAE04,84
+IAE04,C5 SAE05 IAE05,43 IAE05,84 IAE05,C5 SAE06 IAE06,43 IAE06,84 IAE06,C5 SAE07 IAE07,43 IAE07,84 IAE07,C5 SAE08
+IAE08,43 IAE08,84 IAE08,C5 SAE09 IAE09,43 IAE09,84 IAE09,C5 SAE0A IAE0A,43 IAE0A,84 IAE0A,C5 SAE0B IAE0B,43 IAE0B,84
+IAE0B,C5 SAE0C IAE0C,43 IAE0C,84 IAE0C,C5 SAE0D IAE0D,43 IAE0D,84 IAE0D,C5 SAE0E IAE0E,43 IAE0E,84 IAE0E,C5 SAE0F
+IAE0F,43 IAE0F,84 IAE0F,C5 SAE10 IAE10,43 IAE10,84 IAE10,C5 SAE11 IAE11,43 IAE11,84 IAE11,C5 SAE12 IAE12,43 IAE12,84
+IAE12,C5 SAE13 IAE13,43 IAE13,84 IAE13,C5 SAE14 IAE14,43 IAE14,84 IAE14,C5 SAE15 IAE15,43 IAE15,84 IAE15,C5 SAE16
+IAE16,43 IAE16,84 IAE16,C5 SAE17 IAE17,43 IAE17,84 IAE17,C5 SAE18 IAE18,43 IAE18,84 IAE18,C5 SAE19 IAE19,43 IAE19,84
+IAE19,C5 SAE1A IAE1A,43 IAE1A,84 IAE1A,C5 SAE1B IAE1B,43 IAE1B,84 IAE1B,C5 SAE1C IAE1C,43 IAE1C,84 IAE1C,C5 SAE1D
+IAE1D,43 IAE1D,84 IAE1D,C5 SAE1E IAE1E,43 IAE1E,84 IAE1E,C5 SAE1F IAE1F,43 IAE1F,84 IAE1F,C5 SAE20 IAE20,43 IAE20,84
+IAE20,C5 SAE21 IAE21,43 IAE21,84 IAE21,C5 SAE22 IAE22,43 IAE22,84 IAE22,C5 SAE23 IAE23,43 IAE23,84 IAE23,C5 SAE24
+IAE24,43 IAE24,84 IAE24,C5 SAE25 IAE25,43 IAE25,84 IAE25,C5 SAE26 IAE26,43 IAE26,84 IAE26,C5 SAE27 IAE27,43 IAE27,84
+IAE27,C5 SAE28 IAE28,43 IAE28,84 IAE28,C5 SAE29 IAE29,43 IAE29,84 IAE29,C5 SAE2A IAE2A,43 IAE2A,84 IAE2A,C5 SAE2B
+IAE2B,43 IAE2B,84 IAE2B,C5 SAE2C IAE2C,43 IAE2C,84 IAE2C,C5 SAE2D IAE2D,43 IAE2D,84 IAE2D,C5 SAE2E IAE2E,43 IAE2E,84
+IAE2E,C5 SAE2F IAE2F,43 IAE2F,84 IAE2F,C5 SAE30 IAE30,43 IAE30,84 IAE30,C5 SAE31 IAE31,43 IAE31,84 IAE31,C5 SAE32
+IAE32,43 IAE32,84 IAE32,C5 SAE33 IAE33,43 IAE33,84 IAE33,C5 SAE34 IAE34,43 IAE34,84 IAE34,C5 SAE35 IAE35,43 IAE35,84
+IAE35,C5 SAE36 IAE36,43 IAE36,84 IAE36,C5 SAE37 IAE37,43 IAE37,84 IAE37,C5 SAE38 IAE38,43 IAE38,84 IAE38,C5 SAE39
+IAE39,43 IAE39,84 IAE39,C5 SAE3A IAE3A,43 IAE3A,84 IAE3A,C5 SAE3B IAE3B,43 IAE3B,84 IAE3B,C5 SAE3C IAE3C,43 IAE3C,84
+IAE3C,C5 SAE3D IAE3D,43 IAE3D,84 IAE3D,C5 SAE3E IAE3E,43 IAE3E,84 IAE3E,C5 SAE3F IAE3F,43 IAE3F,84 IAE3F,C5 SAE40
+IAE40,43 IAE40,84 IAE40,C5 SAE41 IAE41,43 IAE41,84 IAE41,C5 SAE42 IAE42,43 IAE42,84 IAE42,C5 SAE43 IAE43,43 IAE43,84
+IAE43,C5 SAE44 IAE44,43 IAE44,84 IAE44,C5 SAE45 IAE45,43 IAE45,84 IAE45,C5 SAE46 IAE46,43 IAE46,84 IAE46,C5 SAE47
+IAE47,43 IAE47,84 IAE47,C5 SAE48 IAE48,43 IAE48,84 IAE48,C5 SAE49 IAE49,43 IAE49,84 IAE49,C5 SAE4A IAE4A,43 IAE4A,84
+IAE4A,C5 SAE4B IAE4B,43 IAE4B,84 IAE4B,C5 SAE4C IAE4C,43 IAE4C,84 IAE4C,C5 SAE4D IAE4D,43 IAE4D,84 IAE4D,C5 SAE4E
+IAE4E,43 IAE4E,84 IAE4E,C5 SAE4F IAE4F,43 IAE4F,84 IAE4F,C5 SAE50 IAE50,43 IAE50,84 IAE50,C5 SAE51 IAE51,43 IAE51,84
+IAE51,C5 SAE52 IAE52,43 IAE52,84 IAE52,C5 SAE53 IAE53,43 IAE53,84 IAE53,C5 SAE54 IAE54,43 IAE54,84 IAE54,C5 SAE55
+IAE55,43 IAE55,84 IAE55,C5 SAE56 IAE56,43 IAE56,84 IAE56,C5 SAE57 IAE57,43 IAE57,84 IAE57,C5 SAE58 IAE58,43 IAE58,84
+IAE58,C5 SAE59 IAE59,43 IAE59,84 IAE59,C5 SAE5A IAE5A,43 IAE5A,84 IAE5A,C5 SAE5B IAE5B,43 IAE5B,84 IAE5B,C5 SAE5C
+IAE5C,43 IAE5C,84 IAE5C,C5 SAE5D IAE5D,43 IAE5D,84 IAE5D,C5 SAE5E IAE5E,43 IAE5E,84 IAE5E,C5 SAE5F IAE5F,43 IAE5F,84
+IAE5F,C5 SAE60 IAE60,43 IAE60,84 IAE60,C5 SAE61 IAE61,43 IAE61,84 IAE61,C5 SAE62 IAE62,43 IAE62,84 IAE62,C5 SAE63
+IAE63,43 IAE63,84 IAE63,C5 SAE64 IAE64,43 IAE64,84 IAE64,C5 SAE65 IAE65,43 IAE65,84 IAE65,C5 SAE66 IAE66,43 IAE66,84
+IAE66,C5 SAE67 IAE67,43 IAE67,84 IAE67,C5 SAE68 IAE68,43 IAE68,84 IAE68,C5 SAE69 IAE69,43 IAE69,84 IAE69,C5 SAE6A
+IAE6A,43 IAE6A,84 IAE6A,C5 SAE6B IAE6B,43 IAE6B,84 IAE6B,C5 SAE6C IAE6C,43 IAE6C,84 IAE6C,C5 SAE6D IAE6D,43 IAE6D,84
+IAE6D,C5 SAE6E IAE6E,43 IAE6E,84 IAE6E,C5 SAE6F IAE6F,43 IAE6F,84 IAE6F,C5 SAE70 IAE70,43 IAE70,84 IAE70,C5 SAE71
+IAE71,43 IAE71,84 IAE71,C5 SAE72 IAE72,43 IAE72,84 IAE72,C5 SAE73 IAE73,43 IAE73,84 IAE73,C5 SAE74 IAE74,43 IAE74,84
+IAE74,C5 SAE75 IAE75,43 IAE75,84 IAE75,C5 SAE76 IAE76,43 IAE76,84 IAE76,C5 SAE77 IAE77,43 IAE77,84 IAE77,C5 SAE78
+IAE78,43 IAE78,84 IAE78,C5 SAE79 IAE79,43 IAE79,84 IAE79,C5 SAE7A IAE7A,43 IAE7A,84 IAE7A,C5 SAE7B IAE7B,43 IAE7B,84
+IAE7B,C5 SAE7C IAE7C,43 IAE7C,84 IAE7C,C5 SAE7D IAE7D,43 IAE7D,84 IAE7D,C5 SAE7E IAE7E,43 IAE7E,84 IAE7E,C5 SAE7F
+IAE7F,43 IAE7F,84 IAE7F,C5 SAE80 IAE80,43 IAE80,84 IAE80,C5 SAE81 IAE81,43 IAE81,84 IAE81,C5 SAE82 IAE82,43 IAE82,84
+IAE82,C5 SAE83 IAE83,43 IAE83,84 IAE83,C5 SAE84 IAE84,43 IAE84,84 IAE84,C5 SAE85 IAE85,43 IAE85,84 IAE85,C5 SAE86
+IAE86,43 IAE86,84 IAE86,C5 SAE87 IAE87,43 IAE87,84 IAE87,C5 SAE88 IAE88,43 IAE88,84 IAE88,C5 SAE89 IAE89,43 IAE89,84
+IAE89,C5 SAE8A IAE8A,43 IAE8A,84 IAE8A,C5 SAE8B IAE8B,43 IAE8B,84 IAE8B,C5 SAE8C IAE8C,43 IAE8C,84 IAE8C,C5 SAE8D
+IAE8D,43 IAE8D,84 IAE8D,C5 SAE8E IAE8E,43 IAE8E,84 IAE8E,C5 SAE8F IAE8F,43 IAE8F,84 IAE8F,C5 SAE90 IAE90,43 IAE90,84
+IAE90,C5 SAE91 IAE91,43 IAE91,84 IAE91,C5 SAE92 IAE92,43 IAE92,84 IAE92,C5 SAE93 IAE93,43 IAE93,84 IAE93,C5 SAE94
+IAE94,43 IAE94,84 IAE94,C5 SAE95 IAE95,43 IAE95,84 IAE95,C5 SAE96 IAE96,43 IAE96,84 IAE96,C5 SAE97 IAE97,43 IAE97,84
+IAE97,C5 SAE98 IAE98,43 IAE98,84 IAE98,C5 SAE99 IAE99,43 IAE99,84 IAE99,C5 SAE9A IAE9A,43 IAE9A,84 IAE9A,C5 SAE9B
+IAE9B,43 IAE9B,84 IAE9B,C5 SAE9C IAE9C,43 IAE9C,84 IAE9C,C5 SAE9D IAE9D,43 IAE9D,84 IAE9D,C5 SAE9E IAE9E,43 IAE9E,84
+IAE9E,C5 SAE9F IAE9F,43 IAE9F,84 IAE9F,C5 SAEA0 IAEA0,43 IAEA0,84 IAEA0,C5 SAEA1 IAEA1,43 IAEA1,84 IAEA1,C5 SAEA2
+IAEA2,43 IAEA2,84 IAEA2,C5 SAEA3 IAEA3,43 IAEA3,84 IAEA3,C5 SAEA4 IAEA4,43 IAEA4,84 IAEA4,C5 SAEA5 IAEA5,43 IAEA5,84
+IAEA5,C5 SAEA6 IAEA6,43 IAEA6,84 IAEA6,C5 SAEA7 IAEA7,43 IAEA7,84 IAEA7,C5 SAEA8 IAEA8,43 IAEA8,84 IAEA8,C5 SAEA9
+IAEA9,43 IAEA9,84 IAEA9,C5 SAEAA IAEAA,43 IAEAA,84 IAEAA,C5 SAEAB IAEAB,43 IAEAB,84 IAEAB,C5 SAEAC IAEAC,43 IAEAC,84
+IAEAC,C5 SAEAD IAEAD,43 IAEAD,84 IAEAD,C5 SAEAE IAEAE,43 IAEAE,84 IAEAE,C5 SAEAF IAEAF,43 IAEAF,84 IAEAF,C5 SAEB0
+IAEB0,43 IAEB0,84 IAEB0,C5 SAEB1 IAEB1,43 IAEB1,84 IAEB1,C5 SAEB2 IAEB2,43 IAEB2,84 IAEB2,C5 SAEB3 IAEB3,43 IAEB3,84
+IAEB3,C5 SAEB4 IAEB4,43 IAEB4,84 IAEB4,C5 SAEB5 IAEB5,43 IAEB5,84 IAEB5,C5 SAEB6 IAEB6,43 IAEB6,84 IAEB6,C5 SAEB7
+IAEB7,43 IAEB7,84 IAEB7,C5 SAEB8 IAEB8,43 IAEB8,84 IAEB8,C5 SAEB9 IAEB9,43 IAEB9,84 IAEB9,C5 SAEBA IAEBA,43 IAEBA,84
+IAEBA,C5 SAEBB IAEBB,43 IAEBB,84 IAEBB,C5 SAEBC IAEBC,43 IAEBC,84 IAEBC,C5 SAEBD IAEBD,43 IAEBD,84 IAEBD,C5 SAEBE
+IAEBE,43 IAEBE,84 IAEBE,C5 SAEBF IAEBF,43 IAEBF,84 IAEBF,C5 SAEC0 IAEC0,43 IAEC0,84 IAEC0,C5 SAEC1 IAEC1,43 IAEC1,84
+IAEC1,C5 SAEC2 IAEC2,43 IAEC2,84 IAEC2,C5 SAEC3 IAEC3,43 IAEC3,84 IAEC3,C5 SAEC4 IAEC4,43 IAEC4,84 IAEC4,C5 SAEC5
+IAEC5,43 IAEC5,84 IAEC5,C5 SAEC6 IAEC6,43 IAEC6,84 IAEC6,C5 SAEC7 IAEC7,43 IAEC7,84 IAEC7,C5 SAEC8 IAEC8,43 IAEC8,84
+IAEC8,C5 SAEC9 IAEC9,43 IAEC9,84 IAEC9,C5 SAECA IAECA,43 IAECA,84 IAECA,C5 SAECB IAECB,43 IAECB,84 IAECB,C5 SAECC
+IAECC,43 IAECC,84 IAECC,C5 SAECD IAECD,43 IAECD,84 IAECD,C5 SAECE IAECE,43 IAECE,84 IAECE,C5 SAECF IAECF,43 IAECF,84
+IAECF,C5 SAED0 IAED0,43 IAED0,84 IAED0,C5 SAED1 IAED1,43 IAED1,84 IAED1,C5 SAED2 IAED2,43 IAED2,84 IAED2,C5 SAED3
+IAED3,43 IAED3,84 IAED3,C5 SAED4 IAED4,43 IAED4,84 IAED4,C5 SAED5 IAED5,43 IAED5,84 IAED5,C5 SAED6 IAED6,43 IAED6,84
+IAED6,C5 SAED7 IAED7,43 IAED7,84 IAED7,C5 SAED8 IAED8,43 IAED8,84 IAED8,C5 SAED9 IAED9,43 IAED9,84 IAED9,C5 SAEDA
+IAEDA,43 IAEDA,84 IAEDA,C5 SAEDB IAEDB,43 IAEDB,84 IAEDB,C5 SAEDC IAEDC,43 IAEDC,84 IAEDC,C5 SAEDD IAEDD,43 IAEDD,84
+IAEDD,C5 SAEDE IAEDE,43 IAEDE,84 IAEDE,C5 SAEDF IAEDF,43 IAEDF,84 IAEDF,C5 SAEE0 IAEE0,43 IAEE0,84 IAEE0,C5 SAEE1
+IAEE1,43 IAEE1,84 IAEE1,C5 SAEE2 IAEE2,43 IAEE2,84 IAEE2,C5 SAEE3 IAEE3,43 IAEE3,84 IAEE3,C5 SAEE4 IAEE4,43 IAEE4,84
+IAEE4,C5 SAEE5 IAEE5,43 IAEE5,84 IAEE5,C5 SAEE6 IAEE6,43 IAEE6,84 IAEE6,C5 SAEE7 IAEE7,43 IAEE7,84 IAEE7,C5 SAEE8
+IAEE8,43 IAEE8,84 IAEE8,C5 SAEE9 IAEE9,43 IAEE9,84 IAEE9,C5 SAEEA IAEEA,43 IAEEA,84 IAEEA,C5 SAEEB IAEEB,43 IAEEB,84
+IAEEB,C5 SAEEC IAEEC,43 IAEEC,84 IAEEC,C5 SAEED IAEED,43 IAEED,84 IAEED,C5 SAEEE IAEEE,43 IAEEE,84 IAEEE,C5 SAEEF
+IAEEF,43 IAEEF,84 IAEEF,C5 SAEF0 IAEF0,43 IAEF0,84 IAEF0,C5 SAEF1 IAEF1,43 IAEF1,84 IAEF1,C5 SAEF2 IAEF2,43 IAEF2,84
+IAEF2,C5 SAEF3 IAEF3,43 IAEF3,84 IAEF3,C5 SAEF4 IAEF4,43 IAEF4,84 IAEF4,C5 SAEF5 IAEF5,43 IAEF5,84 IAEF5,C5 SAEF6
+IAEF6,43 IAEF6,84 IAEF6,C5 SAEF7 IAEF7,43 IAEF7,84 IAEF7,C5 SAEF8 IAEF8,43 IAEF8,84 IAEF8,C5 SAEF9 IAEF9,43 IAEF9,84
+IAEF9,C5 SAEFA IAEFA,43 IAEFA,84 IAEFA,C5 SAEFB IAEFB,43 IAEFB,84 IAEFB,C5 SAEFC IAEFC,43 IAEFC,84 IAEFC,C5 SAEFD
+IAEFD,43 IAEFD,84 IAEFD,C5 SAEFE IAEFE,43 IAEFE,84 IAEFE,C5 SAEFF IAEFF,43 IAEFF,84 IAEFF,C5 SAF02 IAF02,43 IAF02,84
+IAF02,C5 SAF03 IAF03,43 IAF03,84 IAF03,C5 SAF04 IAF04,43 IAF04,84 IAF04,C5 SAF05 IAF05,43 IAF05,84 IAF05,C5 SAF06
+IAF06,43 IAF06,84 IAF06,C5 SAF07 IAF07,43 IAF07,84 IAF07,C5 SAF08 IAF08,43 IAF08,84 IAF08,C5 SAF09 IAF09,43 IAF09,84
+IAF09,C5 SAF0A IAF0A,43 IAF0A,84 IAF0A,C5 SAF0B IAF0B,43 IAF0B,84 IAF0B,C5 SAF0C IAF0C,43 IAF0C,84 IAF0C,C5 SAF0D
+IAF0D,43 IAF0D,84 IAF0D,C5 SAF0E IAF0E,43 IAF0E,84 IAF0E,C5 SAF0F IAF0F,43 IAF0F,84 IAF0F,C5 SAF10 IAF10,43 IAF10,84
+IAF10,C5 SAF11 IAF11,43 IAF11,84 IAF11,C5 SAF12 IAF12,43 IAF12,84 IAF12,C5 SAF13 IAF13,43 IAF13,84 IAF13,C5 SAF14
+IAF14,43 IAF14,84 IAF14,C5 SAF15 IAF15,43 IAF15,84 IAF15,C5 SAF16 IAF16,43 IAF16,84 IAF16,C5 SAF17 IAF17,43 IAF17,84
+IAF17,C5 SAF18 IAF18,43 IAF18,84 IAF18,C5 SAF19 IAF19,43 IAF19,84 IAF19,C5 SAF1A IAF1A,43 IAF1A,84 IAF1A,C5 SAF1B
+IAF1B,43 IAF1B,84 IAF1B,C5 SAF1C IAF1C,43 IAF1C,84 IAF1C,C5 SAF1D IAF1D,43 IAF1D,84 IAF1D,C5 SAF1E IAF1E,43 IAF1E,84
+IAF1E,C5 SAF1F IAF1F,43 IAF1F,84 IAF1F,C5 SAF20 IAF20,43 IAF20,84 IAF20,C5 SAF21 IAF21,43 IAF21,84 IAF21,C5 SAF22
+IAF22,43 IAF22,84 IAF22,C5 SAF23 IAF23,43 IAF23,84 IAF23,C5 SAF24 IAF24,43 IAF24,84 IAF24,C5 SAF25 IAF25,43 IAF25,84
+IAF25,C5 SAF26 IAF26,43 IAF26,84 IAF26,C5 SAF27 IAF27,43 IAF27,84 IAF27,C5 SAF28 IAF28,43 IAF28,84 IAF28,C5 SAF29
+IAF29,43 IAF29,84 IAF29,C5 SAF2A IAF2A,43 IAF2A,84 IAF2A,C5 SAF2B IAF2B,43 IAF2B,84 IAF2B,C5 SAF2C IAF2C,43 IAF2C,84
+IAF2C,C5 SAF2D IAF2D,43 IAF2D,84 IAF2D,C5 SAF2E IAF2E,43 IAF2E,84 IAF2E,C5 SAF2F IAF2F,43 IAF2F,84 IAF2F,C5 SAF30
+IAF30,43 IAF30,84 IAF30,C5 SAF31 IAF31,43 IAF31,84 IAF31,C5 SAF32 IAF32,43 IAF32,84 IAF32,C5 SAF33 IAF33,43 IAF33,84
+IAF33,C5 SAF34 IAF34,43 IAF34,84 IAF34,C5 SAF35 IAF35,43 IAF35,84 IAF35,C5 SAF36 IAF36,43 IAF36,84 IAF36,C5 SAF37
+IAF37,43 IAF37,84 IAF37,C5 SAF38 IAF38,43 IAF38,84 IAF38,C5 SAF39 IAF39,43 IAF39,84 IAF39,C5 SAF3A IAF3A,43 IAF3A,84
+IAF3A,C5 SAF3B IAF3B,43 IAF3B,84 IAF3B,C5 SAF3C IAF3C,43 IAF3C,84 IAF3C,C5 SAF3D IAF3D,43 IAF3D,84 IAF3D,C5 SAF3E
+IAF3E,43 IAF3E,84 IAF3E,C5 SAF3F IAF3F,43 IAF3F,84 IAF3F,C5 SAF40 IAF40,43 IAF40,84 IAF40,C5 SAF41 IAF41,43 IAF41,84
+IAF41,C5 SAF42 IAF42,43 IAF42,84 IAF42,C5 SAF43 IAF43,43 IAF43,84 IAF43,C5 SAF44 IAF44,43 IAF44,84 IAF44,C5 SAF45
+IAF45,43 IAF45,84 IAF45,C5 SAF46 IAF46,43 IAF46,84 IAF46,C5 SAF47 IAF47,43 IAF47,84 IAF47,C5 SAF48 IAF48,43 IAF48,84
+IAF48,C5 SAF49 IAF49,43 IAF49,84 IAF49,C5 SAF4A IAF4A,43 IAF4A,84 IAF4A,C5 SAF4B IAF4B,43 IAF4B,84 IAF4B,C5 SAF4C
+IAF4C,43 IAF4C,84 IAF4C,C5 SAF4D IAF4D,43 IAF4D,84 IAF4D,C5 SFDFF7B30 SFDFF5590 SFDFF7DB6 SFDFF7BB0 SFDFF5D7D SFDFF3C9C
+SFDFF425B SFDFF8EAA SFDFF8EAA SFDFF47D1 SFDFF80C3 SFDFF43FF SFDFF47C8 SFDFF5088 SFDFF6525 SFDFF6E53 SFDFF751B SFDFF7698
+SFDFF77D8 SFDFF7F7F SFDFF58A4 SFDFF5BC3 SFDFF5F89 SFDFF6294 SFDFF7315 SFDFF805C SFDFF88F3 SFDFF3CEC SFDFF41E9 SFDFF59A8
+SFDFF60CD SFDFF7509 SFDFF8D2A SFDFF4BD8 SFDFF5E99 SFDFF74A7 SFDFF7846 SFDFF515D SFDFF70AA SFDFF76FD SFDFF4D56 SFDFF55B3
+SFDFF5C14 SFDFF61B0 SFDFF7FBE SFDFF3DF2 SFDFF4029 SFDFF4152 SFDFF535C SFDFF5977 SFDFF60C2 SFDFF65A3 SFDFF6ECF SFDFF74E0
+SFDFF7538 SFDFF7CD9 SFDFF8630 SFDFF8A75 SFDFF8D06 SFDFF674C SFDFF6841 SFDFF6C6A SFDFF729F SFDFF81F8 SFDFF8D8B SFDFF79BA
+SFDFF475F SFDFF4D90 SFDFF6B28 SFDFF6F4E SFDFF6116 SFDFF678A SFDFF7BAA SFDFF85F3 SFDFF4758 SFDFF4AE8 SFDFF58B5 SFDFF5C84
+SFDFF5DBB SFDFF6BF7 SFDFF6D03 SFDFF8547 SFDFF4146 SFDFF6F5B SFDFF404E SFDFF403E SFDFF68DE SFDFF6C88 SFDFF72C7 SFDFF8571
+SFDFF7A66 SFDFF5163 SFDFF58A4 SFDFF79E2 SFDFF3CA3 SFDFF4A6D SFDFF4EA0 SFDFF623D SFDFF642A SFDFF418B SFDFF67BB SFDFF3E2D
+SFDFF4E37 SFDFF3C77 SFDFF5B74 SFDFF5412 SFDFF6BEA SFDFF4239 SFDFF46DC SFDFF65BD SFDFF7321 SFDFF798E SFDFF5A60 SFDFF7E9E
+SFDFF5B30 SFDFF5192 SFDFF71B9 SFDFF5236 SFDFF641F SFDFF3D1A SFDFF3FD9 SFDFF403B SFDFF5721 SFDFF6BAF SFDFF7143 SFDFF79B6
+SFDFF80C1 SFDFF4169 SFDFF42B8 SFDFF47F3 SFDFF4D78 SFDFF545F SFDFF5EAC SFDFF67EA SFDFF84A7 SFDFF896E SFDFF8DA3 SFDFF8DDA
+SFDFF410F SFDFF5562 SFDFF5A1D SFDFF7E50 SFDFF4CFE SFDFF5022 SFDFF5092 SFDFF5332 SFDFF5DCF SFDFF5FF9 SFDFF6341 SFDFF688C
+SFDFF6CBE SFDFF6F3F SFDFF7E14 SFDFF73C6 SFDFF7F13 SFDFF8240 SFDFF4089 SFDFF4117 SFDFF4335 SFDFF5F78 SFDFF77A2 SFDFF798E
+SFDFF4D55 SFDFF4E83 SFDFF5211 SFDFF5A54 SFDFF6B06 SFDFF622B SFDFF3D50 SFDFF4575 SFDFF4A6D SFDFF4C44 SFDFF4EAA SFDFF6268
+SFDFF6321 SFDFF6E68 SFDFF6F16 SFDFF8128 SFDFF85F2 SFDFF8646 SFDFF8718 SFDFF3DF7 SFDFF6870 SFDFF80A6 SFDFF85B4 SFDFF4F71
+SFDFF3CF0 SFDFF3F4A SFDFF4A74 SFDFF4AC5 SFDFF5433 SFDFF58A4 SFDFF6080 SFDFF64FC SFDFF73D4 SFDFF7F6C SFDFF8E9B SFDFF5524
+SFDFF852A SFDFF40FB SFDFF5619 SFDFF5691 SFDFF5BE9 SFDFF5D48 SFDFF62BF SFDFF6413 SFDFF672B SFDFF6BD8 SFDFF875E SFDFF3FDD
+SFDFF50C0 SFDFF8574 SFDFF3E99 SFDFF4BA1 SFDFF5C94 SFDFF7E18 SFDFF4E19 SFDFF4FD4 SFDFF56B5 SFDFF623D SFDFF8582 SFDFF409B
+SFDFF4285 SFDFF4AEB SFDFF54AD SFDFF55EA SFDFF5748 SFDFF5B8D SFDFF62BC SFDFF649C SFDFF6E47 SFDFF77AF SFDFF77C1 SFDFF80BE
+SFDFF85DE SFDFF41B3 SFDFF5D66 SFDFF4293 SFDFF6082 SFDFF6350 SFDFF74D4 SFDFF859F SFDFF8B5F SFDFF8DAB SFDFF5635 SFDFF5C75
+SFDFF70BA SFDFF698F SFDFF69E4 SFDFF6B5A SFDFF6174 SFDFF5F49 SFDFF7A3E SFDFF3D2C SFDFF720C SFDFF40AC SFDFF4079 SFDFF4D32
+SFDFF5167 SFDFF6B9E SFDFF4A0B SFDFF5BC6 SFDFF5550 SFDFF7E29 SFDFF772C SFDFF8549 SFDFF786D SFDFF4D5F SFDFF3FB0 SFDFF443A
+SFDFF54AD SFDFF6E53 SFDFF46D8 SFDFF7698 SFDFF5510 SFDFF7F7F SFDFF58A4 SFDFF4050 SFDFF61DE SFDFF6586 SFDFF67FC SFDFF6820
+SFDFF6827 SFDFF6851 SFDFF8654 SFDFF6B86 SFDFF6E8B SFDFF7509 SFDFF74EC SFDFF4BD8 SFDFF79DC SFDFF74A7 SFDFF7846 SFDFF7F28
+SFDFF7FED SFDFF76FD SFDFF4D56 SFDFF55B3 SFDFF87EF SFDFF87FC SFDFF882A SFDFF8CBE X +1 SFDFF3E1C SFDFF3F57 SFDFF3FBD
+SFDFF413D SFDFF4158 SFDFF41C5 SFDFF4417 SFDFF4480 SFDFF44E2 SFDFF46BE SFDFF4728 SFDFF4AEA SFDFF4AF4 SFDFF4F24 SFDFF4FF8
+SFDFF5020 SFDFF5084 SFDFF53E7 SFDFF547C SFDFF552D SFDFF5725 SFDFF5C21 SFDFF5CC4 SFDFF5DCE SFDFF6020 SFDFF60DD SFDFF62D8
+SFDFF6751 SFDFF67FE SFDFF680B SFDFF680A SFDFF6812 SFDFF6818 SFDFF681F SFDFF684F +1 SFDFF6904 SFDFF6945 SFDFF6A86
+SFDFF6CBE SFDFF6CD3 SFDFF6D0D SFDFF6E40 SFDFF6ED3 SFDFF70BF SFDFF714D SFDFF714D SFDFF732F SFDFF77F0 SFDFF7878 SFDFF79E5
+SFDFF7A1F SFDFF7BBB SFDFF7BF0 SFDFF7EA4 SFDFF7F28 SFDFF85DF SFDFF86FD SFDFF873B X +4 SFDFF3C90 SFDFF4027 SFDFF3FD8
+SFDFF3DEC SFDFF3FB5 SFDFF3FF0 SFDFF413B SFDFF416E SFDFF4417 SFDFF43CD SFDFF4413 SFDFF445C SFDFF46D8 SFDFF4733 SFDFF47C4
+SFDFF47D4 SFDFF48E4 SFDFF49AC SFDFF4D5E SFDFF4D65 SFDFF4DF5 SFDFF4E3B SFDFF4F68 SFDFF4FDE SFDFF4F98 SFDFF5020 SFDFF4FF0
+SFDFF5084 SFDFF50C6 SFDFF525A SFDFF52B2 SFDFF52E8 SFDFF53EE SFDFF5510 SFDFF55B3 SFDFF55B7 SFDFF55F2 SFDFF5A1F SFDFF5A60
+SFDFF5BE9 SFDFF5D87 SFDFF5D77 SFDFF5DCE SFDFF5ECC SFDFF6020 SFDFF6665 SFDFF60E7 SFDFF6163 SFDFF61DE SFDFF6329 SFDFF63BE
+SFDFF63F3 SFDFF64D7 SFDFF64D9 SFDFF6586 SFDFF6597 SFDFF65B0 SFDFF6608 SFDFF65FC SFDFF678C SFDFF6975 SFDFF6A86 SFDFF6B43
+SFDFF6C25 SFDFF6CBE SFDFF6E0C SFDFF6ED3 SFDFF7228 SFDFF72C5 SFDFF7657 SFDFF7823 SFDFF7868 SFDFF7878 SFDFF79A3 SFDFF79DC
+SFDFF79AF SFDFF79E5 SFDFF79E2 SFDFF79D1 SFDFF7A1F SFDFF7A70 SFDFF7BF0 SFDFF7E26 SFDFF7F62 SFDFF808B SFDFF816A SFDFF8578
+SFDFF85DF SFDFF8654 SFDFF86D9 SFDFF86FD SFDFF870B SFDFF873B SFDFF8A18 SFDFF8EAA X +2 SFDFF96AD SFDFF9B32 SFDFF9B53 X +2
+SFDFF8E51 SFDFF8E9C X +37 SE230E23 SE230E32 SE230E48 SE230E230E32 SE230E230E48 SE960E99 SE910E99 X +11 S11161118
+S11161107 S1116110D S11201118 S1116110F X +4 I280B,28 P32 I280B,E3 I2814,A S2802 S2805 +1 S280C S280E +1 S281A S281C
+S803 I281B,34 I281B,35 I281B,62 I281B,63 I2802,2B I2802,2C I2802,30 +6 X I280A,30 +2 I280C,30 I280E,30 X I280F,30 X
+I2811,30 I2813,30 X I2815,30 I2815,30 X I2817,30 I2819,30 +1 I281B,2E I281C,30 I2807,2D I2803,32 I280C,32 I2815,32
+S2802280E I2905,15 I2905,15 S2911 S2911 S2911 S2911 S291A S291A S291A S291A S2917 S2917 S2917 S2917 S2923 S2923 S2923
+S2923 S2926 S2926 S2926 S2926 S292C S292C S292C S292C S2983 S2983 S2983 S2983 S2989 S2989 S2989 S2989 S2938 S2938 S2938
+S2938 S2935 S2935 S2935 S2935 S293B S293B S293B S293B S293E S293E S293E S293E S294D S294D S2956 S2956 S2950 S2950 S294A
+S294A S2965 S2965 S295C S295C S2995 S2995 S2995 S2995 S299B S299B S299B S299B S29A1 S29A1 S29A1 S29A1 S299E S299E S299E
+S299E S29AD S29AD S29B0 S29B0 S29B0 S29B0 I29DA,D7 I29DA,D7 I29B6,12 I29B6,12 I29B6,12 I29B6,12 I29B6,19 I29B6,19
+I29B6,19 I29B6,19 I29D7,19 I29D7,19 I29D7,F0 I29D7,F0 X +32 S2992 S2992 S2992 S2992 S29C2 S29C2 S29BC S29BC S29C5 S29C5
+I29C2,D7 S29CB S29CB S29BF S29BF S29C8 S29C8 S29CE S29CE S29CE S29CE S29D4 S29D4 I29D7290B,D6 I29D7290B,D6 I29D729DA,D6
+I29D729DA,D6 I29D729B9,D6 I29D729B9,D6 I29D729C2,D6 I29D729C2,D6 I29D729BC,D6 I29D729BC,D6 I29D729C5,D6 I29D729C5,D6
+I29D729CE,D6 I29D729CE,D6 I29D729CE,D6 I29D729D4,D6 I29D729D4,D6 I29D729D4,D6 I29D7,50 I29D7,50 I29D7,50 I29D7,50
+I29D72932,D6 I29D72941,D6 I29D729AA,D6 I29D729D4,D6 I29D729D7,D6 S290E2932 S290E2941 S290E2944 S290E29AA S290E29D4
+S290E29D7 S29202932 S29202941 S29202944 S292029AA S292029D4 S292029D7 S292F2932 S292F29AA SE9F0E21 SE910E91 SE9F0E21
+SE320E35 SE700E35 IE020E21,1717 SE230E230E32 SE960E99 SE910E99 SE0A0E510D1B IE1A0E48,204 SE210E510D1B SE2C0E02 SE700EA4
+SE7E0E0A SE1A0E09 SE230E70 SE480EA9 I75301,20C S409240FC S400340FA S33E0343 S11161107 S11201118 I29D729AA,D6
+I29D729AA,D6 I29D729D4,D6 I29D729D7,D6 I29D729BC,D6 I29D729C2,D6 I29D729C5,D6 I29D729CE,D6 I290B01,2DC S290E2932
+S290E2941 S290E2944 S290E29AA S290E29B6 S290E29D4 S290E29D7 S290E29AA S29202932 S29202944 S2920295F S29200E700E35
+I29200E020E21,21717 S29200E320E35 I29200E1A0EA9,20214 S29200E480E35 S292F2932 SE320E35 SE7C0E21 IE1A0EA9,214
+IE1A0EA9,214 SE480E35 SE700E35 SE230E32 SE230E230E32 SE960E99 SE090E89 SE0A0E510D1B SE1A0E51 SE360F32 SE360E09 SE360E36
+IE360E48,204 SE360EA4 SE480E51 SE480EA6 SE510E02 IE510F180E48,20204 SF180E02 SE0A0E51 SE0A0E510D1A IE360F180E48,20204
+PB1 PB2 PB3 PB4 PB5 PB7 I29D72959,D6 I29D7295F,D6 I29D729AA,D6 I29D729AD,D614 I29D729D4,D6 I29D729D7,D6 S290E2959
+S290E295F S290E29AA I290E29AD,214 S290E29D4 S290E29D7 S29202959 S2920295F S292029AA I292029AD,214 S292029D4 S292029D7
+S292F2959 S292F295F S292F29AA SE020E21 SE990E2C SE020E21 I29D729C5,D6 I29D729CE,D6 S290E2941 S290E2944 I290E29AD,214
+I290E0E020E21,20E0E S29202941 S29202959 S292029AA S29200E7C0E21 S29200E700E35 S292F2959 SE990E2C SE480E35 S2802280E
+SE020E9F SE0A0E0A SE0A0E510D1A IE1A0E48,204 SE210E510D1A SE360EA2 SE510D1B SE510F32 SE510E09 SE510E25 SE510E91 SF180E23
+I29D72932,D6 I29D72941,D6 I29D72944,D6 I29D729AA,D6 I29D729B6,D6 S290E2932 S290E2941 S290E2944 S290E29AA S290E29B6
+S29202932 S29202941 S29202944 S292029AA S292029B6 S292F29AA SE990E2C SE320E35 IE020E21,1717 SE1A0EA9 SE230E230E48
+S2802280E SE1A0E02 SE1A0E51 SE210EA2 SE2C0E25 SE7C0EA2 SE7E0E02 SE7E0E23 SE890E7E SE480E91 SE020E21 S11071124 S40B640FC
+S30E031E S1116110D S1116110F I29D729AA,D6 I29D729AD,D614 I29D729D4,D6 I29D729D7,D6 I29D729BC,D6 I29D729C2,D6 I290B01,2DC
+S290E2932 S290E29B6 S290E29D4 S290E29D7 S290E0E0A0E1A S29202941 S29200E700E35 S29200E910E99 S29200E7C0E21
+I29200E1A0EA9,20214 S29200E0A0E1A SE320E35 SE7C0E21 IE1A0EA9,214 SE480E35 SE230E48 SE230E230E48 SE910E99 SE0A0E1A
+SE1A0E02 SE360E02 SE360E25 SE360E51 SE360E99 SE480E70 SE510D1A SE510E09 SE510E51 I29D729AA,D6 I29D729B6,D6 S290E29AA
+S290E29B6 S292029AA S292029B6 S292F29AA S292F29B6 SE2C0E7E SE2C0EA9 SE510E91 IF180E48,204 S29202932 S29202944
+S29200E090E89 SE0A0E51 SE1A0E09 IE510E48,204 SE510E42 PB3 PB4 PB5 S40EA40FC S40EE40FC I29D7290B,D6 I29D72932,D6
+I29D729B6,D6 I29D729B9,D6 SE320E9F SE360E02 SF180E91 SF180EA4 SE1A0EA9 IE020E21,E0E SE7C0E21 IE1A0EA9,214 SE090E89
+SE0A0E1A SE7E0E2C SE7E0E91 S290B2908 S29D72908 SE480E51 SE510D1B SE510E09 SF180E02 SE510E42 SE250E09 SE020E21 SE020E21
+S40EA40FC S40F240FC I29D7290B,D6 I29D72932,D6 I29D729B6,D6 I29D729B9,D6 SE360F32 SE360E09 SF180EA2 SE510EA2 SE1A0EA9
+IE020E21,E0E SE7C0E21 IE1A0EA9,214 SE020E9F SE0A0E0A SE7E0E8A SE7E0EA2 S29B92908 S296E29200E480E35 SE480E70 SE510F32
+IE510E48,204 SF180E23 IE510F180E48,20204 SE250EA7 SE7E0E02 SE020E21 SE480EA6 SE510E02 SE510E25 SF180E25 SE320E70
+SF180E51 S40F840DC SE1A0E09 SE210E510D1A SE230E51 SE510D1A SE510E09 SE510E51 I40F840DC,20F S11161118 I290B01,2DC
+I290B01,2DC I70B,51 +1 X +15 S29200E320E35 S29200E700E35 S29200E700E35 I29200E020E21,21717 S29200E910E99 S29200E320E35
+S29200E7C0E21 I29200E1A0EA9,20214 IE1A0EA9,214 SE480E35 SE230E23 SE230E32 SE360E36 SE360E25 SE360EA2 SE360E51 SE360E51
+IE360E48,204 SE360E42 IE360F180E48,20204 S2970 S2970 SE910E8A SE510EA2 SE510EA4 SE700E91 SE510EA4 SE700E02 SE700E23
+SE700E51 S405E40FC I298C29200E480E35,14 S400E40FC S40F940DC I40F940DC,20F S40E240FC S40E040FA I29D72941,D6 I29D72944,D6
+I29D72959,D6 I29D7295F,D6 I29D729D4,D6 I29D729D4,D6 I29D729D4,D6 I29D729CE,D6 I29D729DA,D6 S290E2959 S290E29AA S292F29AA
+SE020E21 SE910E91 S29A9 S29A9 S292F29AA S292F29B6 SE020E21 SE9F0E21 IE020E21,1717 IE020E21,1717 IE020E21,E0E SE700E35
+SE700E35 SE1A0EA9 SE1A0EA9 X +1 S29AC SE360E51 SE360E42 SE250EA7 SE2C0E7E SE230E51 SE250E09 SE320E70 SE2C0E25 SE2C0E02
+SF180E25 SF180E51 S290E0E0A0E1A I29200E1A0EA9,20214 S29200E7C0E21 S29200E0A0E1A S29200E090E89 S29200E700E35
+S29200E480E35 SE480E35 SE700E35 SE480E35 SE360EA4 SEA40E09 SE700EA2 S405E40FC SE9F0E21 SE990E2C SF180E91 SF180EA2
+IF180E48,204 SE1A0EA9 S290E29AA SE2C0EA9 S290E295F S292F29AA I29D729AA,D6 S292029AA SE210E510D1B SE230E23 S292F295F
+S292029AA S292F29AA SE210EA2 SE700E35 SE230E48 IE020E21,E0E I29D729DA,D6 I290E0E020E21,20E0E S292029AA I29D72941,D6
+SE910EA2 SE360E99 SE320E9F X +39 SB88 SB82 SB8A +2 SB8E +1 SB96 SB86 SE7E0EA4 SB85 SB84 S79C SB83 X +17 SCDC +9 X +5 P17
+P17 P17 P17 X +11 IB29,E U90 U90 S78D S792 S728 S72B S74B S74F S7A9 S7AC S7A4 S7A6 S798 S79A S794 S796 S79C S79E S7A0
+S7A2 S785 I786,14 S717 S719 S78C S78C S78C S78C S745 +2 S72E S730 S732 X S739 S736 S73B S71B U90 S726 S729 S749 S74D
+S7A7 S7AA S71E S724 S72C S803 U82 S80E S814 S812 X S740 S720 S722 S73D X +3 PDC PDC P56 SB9A P57 X P58 P58 P59 P59 P5A
+P5A P5B P5B PE2 PE2 S2902 I290B,D9 I290B,D9 I290B,D7 I290B,D7 I29B9,D7 I29B9,D7 I290B,D6 I290B,D6 I29D7,D6 I29D7,D6
+I29D7,D6 I29D7,D6 S290B S290B S290E S290E S290E S290E S291D S291D S2920 S2920 S2920 S2920 S292F S292F S292F S292F S2932
+S2932 S2932 S2932 S2941 S2941 S2941 S2941 S2944 S2944 S2944 S2944 S2947 S2947 S2953 S2953 S2959 S2959 S295F S295F S2968
+S2968 S2968 S2968 S296B S296B S296B S296B S296E S296E S296E S296E S2971 S2971 S2971 S2971 S2974 S2974 S2974 S2974 S2977
+S2977 S2977 S2977 S297A S297A S297A S297A S297D S297D S297D S297D I2980,14 I2980,14 I2980,14 I2980,14 I298C,14 I298C,14
+I298C,14 I298C,14 S298F S298F S298F S298F S29A7 S29A7 S29A7 S29A7 S29AA S29AA S29AA S29AA I29AD,14 I29AD,14 I29AD,14
+I29AD,14 S29B6 S29B6 S29B6 S29B6 S29B9 S29B9 S29D4 S29D4 S29D7 S29D7 S29D7 S29D7 I292029AD,214 S292029B6 S292029B6
+S292029D4 S292029D4 S292029D7 S292029D7 S29200E320E35 X +1 I702,48 X S71C +1 S71F S721 S723 S725 U80 S727 S72A S72D S803
+S72F U82 S733 S735 SD17 SD19 +8 S737 S73A S80E S812 S814 S73C S73E SE02 SE09 +1 SE1A SE21 SE23 SE25 SE2C SE32 SE35 +1
+SE48 SE51 SE70 SE7C SE7E SE89 +1 SE91 SE99 SE9F SEA2 SEA4 SEA6 +1 SEA9 S73F S741 +3 S748 SE02 SE09 +1 SE1A SE21 SE23
+SE25 SE2C SE32 SE35 +1 SE48 SE51 SE70 SE7C SE7E SE89 +1 SE91 SE99 SE9F SEA2 SEA4 SEA6 +1 SEA9 S74A S74C S74E S750
+I70B,43 +1 S734 S79B S79D S731 SA0E Z7F4E,, Z7F02,,1 +4 Z7F3A,,1 Z7F3C,,1 Z7F3E,,1 Z7F1C,,1 SE02 Z7F02,, +4 Z7F0A,, +4
+Z7F12,, +4 Z7F1A,, +4 Z7F22,, +4 Z7F2A,, +4 Z7F32,, +4 Z7F3A,, Z7F3C,, Z7F3E,, Z7F42,, +4 Z7F4A,, Z7F80,, P01 P02 SED9F
+SC002 SC255 SC4A7 SC4A9 SC704 SC706 +1 SC961 SCBB3 SCE06 SCE0C SCE0F SCE13 SCE17 +2 SCE1C SD076 SD2CC SD51F SD52C SD786
+SD9E4 SDC48 SDE9F SE0F4 SE34C SE59D SE7EF SEA46 X +2 SEDA0 SEDA3 +1 SEDA7 +1 SEDAC X +1 SEDAD SEDB0 +3 SEDB9 X +1 SEDBA
+SEDC0 SEDC3 SEDC5 SEDC8 +1 X +1 SEDD1 SEDD5 SEDD7 X +2 S797 +1 SA08 S754 S752 S79A S7A4 X I9E8,3 I9DF,3 I9D9,3 I9DB,3
+I9DD,3 I9BC,3 I9C9,3 X +16
+`;
@@ -0,0 +1,317 @@
+import { GENERAL_LEGACY_INDEX_CODES } from "./general-legacy.js";
+import { GENERAL_INDEX_CODES } from "./general.js";
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/GeneralLegacyIndexCodes.java
+ */
+const MAX_TEXT_INDEX_CHAR_LENGTH = 255;
+const END_TEXT = 0x01;
+const END_EXTRA_TEXT = 0x00;
+const INTERNATIONAL_EXTRA_PLACEHOLDER = 0x02;
+const UNPRINTABLE_COUNT_START = 7;
+const UNPRINTABLE_COUNT_MULTIPLIER = 4;
+const UNPRINTABLE_OFFSET_FLAGS = 0x8000;
+const UNPRINTABLE_MIDFIX = 0x06;
+const CRAZY_CODE_START = 0x80;
+const CRAZY_CODE_1 = 0x02;
+const CRAZY_CODE_2 = 0x03;
+const CRAZY_CODES_SUFFIX = [0xff, 0x02, 0x80, 0xff, 0x80];
+const CRAZY_CODES_UNPRINT_SUFFIX = 0xff;
+
+export type TextIndexCodes = "general" | "generalLegacy";
+
+const INDEX_CODES: Record<TextIndexCodes, string> = {
+    general: GENERAL_INDEX_CODES,
+    generalLegacy: GENERAL_LEGACY_INDEX_CODES,
+};
+
+interface CharCodes {
+    /**
+     * Codes written in place of the character. `null` for characters that are ignored or only written as unprintable
+     * code.
+     */
+    inline: number[] | null;
+
+    /**
+     * Codes written after the text, e.g. for accents
+     */
+    extra: number[] | null;
+
+    /**
+     * Added to the last extra code instead of writing own extra codes
+     */
+    extraModifier: number;
+
+    /**
+     * Codes written at the end together with the position of the character
+     */
+    unprintable: number[] | null;
+
+    crazyFlag: number;
+}
+
+/**
+ * Parsed codes by char code. Surrogates have no codes.
+ */
+const charCodesCache = new Map<TextIndexCodes, ReadonlyArray<CharCodes | undefined>>();
+
+/**
+ * Encodes a text the same way Access writes it to the entries of an index with ascending order. Index keys with
+ * descending order contain the flipped codes followed by an additional `0x00`.
+ *
+ * @returns Index codes of the text. If the text contains a character without index codes, `unsupportedChar` is set
+ * and `codes` only contains the inline codes of the characters before it.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/GeneralLegacyIndexCodes.java
+ */
+export function encodeTextIndexCodes(
+    value: string,
+    indexCodes: TextIndexCodes
+): { codes: number[]; unsupportedChar: string | null } {
+    const charCodes = getCharCodes(indexCodes);
+    const text = value.slice(0, MAX_TEXT_INDEX_CHAR_LENGTH);
+
+    const codes: number[] = [];
+    let extraCodes: ExtraCodes | null = null;
+    let unprintableCodes: number[] | null = null;
+    let crazyCodes: number[] | null = null;
+    let charOffset = 0;
+    for (let i = 0; i < text.length; ++i) {
+        const char = charCodes[text.charCodeAt(i)];
+        if (char === undefined) {
+            return { codes, unsupportedChar: String.fromCodePoint(text.codePointAt(i)!) };
+        }
+
+        const curCharOffset = charOffset;
+        if (char.inline !== null) {
+            codes.push(...char.inline);
+            ++charOffset;
+        }
+
+        if (char.extra !== null || char.extraModifier !== 0) {
+            extraCodes ??= { codes: [], numChars: 0, unprintablePrefixLength: 0 };
+            writeExtraCodes(curCharOffset, char, extraCodes);
+        }
+
+        if (char.unprintable !== null) {
+            unprintableCodes ??= [];
+            writeUnprintableCodes(curCharOffset, char.unprintable, unprintableCodes, extraCodes);
+        }
+
+        if (char.crazyFlag !== 0) {
+            crazyCodes ??= [];
+            crazyCodes.push(char.crazyFlag);
+        }
+    }
+
+    codes.push(END_TEXT);
+
+    if (extraCodes !== null && trimTrailing(extraCodes.codes, 0x00, INTERNATIONAL_EXTRA_PLACEHOLDER).length > 0) {
+        codes.push(...extraCodes.codes);
+    }
+
+    if (crazyCodes !== null || unprintableCodes !== null) {
+        codes.push(END_TEXT, END_TEXT);
+
+        if (crazyCodes !== null) {
+            codes.push(...encodeCrazyCodes(crazyCodes));
+            if (unprintableCodes !== null) {
+                codes.push(CRAZY_CODES_UNPRINT_SUFFIX);
+            }
+        }
+
+        if (unprintableCodes !== null) {
+            codes.push(END_TEXT, ...unprintableCodes);
+        }
+    }
+
+    codes.push(END_EXTRA_TEXT);
+    return { codes, unsupportedChar: null };
+}
+
+interface ExtraCodes {
+    codes: number[];
+
+    /**
+     * Number of characters covered by the extra codes
+     */
+    numChars: number;
+
+    unprintablePrefixLength: number;
+}
+
+function writeExtraCodes(charOffset: number, char: CharCodes, extraCodes: ExtraCodes): void {
+    // characters without extra codes get a placeholder
+    if (extraCodes.numChars < charOffset) {
+        const fillLength = charOffset - extraCodes.numChars;
+        extraCodes.codes.push(...new Array<number>(fillLength).fill(INTERNATIONAL_EXTRA_PLACEHOLDER));
+        extraCodes.numChars += fillLength;
+    }
+
+    if (char.extra !== null) {
+        extraCodes.codes.push(...char.extra);
+        extraCodes.numChars += 1;
+    } else if (extraCodes.codes.length > 0) {
+        const last = extraCodes.codes.length - 1;
+        extraCodes.codes[last] = (extraCodes.codes[last]! + char.extraModifier) & 0xff;
+    } else {
+        extraCodes.codes.push(char.extraModifier);
+        extraCodes.unprintablePrefixLength = 1;
+    }
+}
+
+function writeUnprintableCodes(
+    charOffset: number,
+    unprintable: ReadonlyArray<number>,
+    unprintableCodes: number[],
+    extraCodes: ExtraCodes | null
+): void {
+    // the offset also counts the extra codes written so far
+    let offset = charOffset;
+    if (extraCodes !== null) {
+        offset = extraCodes.codes.length + (charOffset - extraCodes.numChars) - extraCodes.unprintablePrefixLength;
+    }
+
+    const offsetCode = (UNPRINTABLE_COUNT_START + UNPRINTABLE_COUNT_MULTIPLIER * offset) | UNPRINTABLE_OFFSET_FLAGS;
+    unprintableCodes.push((offsetCode >> 8) & 0xff, offsetCode & 0xff, UNPRINTABLE_MIDFIX, ...unprintable);
+}
+
+/**
+ * Packs the crazy flags of three characters into one byte each
+ */
+function encodeCrazyCodes(crazyCodes: number[]): number[] {
+    trimTrailing(crazyCodes, CRAZY_CODE_2, CRAZY_CODE_2);
+
+    const codes: number[] = [];
+    for (let i = 0; i < crazyCodes.length; i += 3) {
+        let code = CRAZY_CODE_START;
+        for (const [j, crazyCode] of crazyCodes.slice(i, i + 3).entries()) {
+            code |= crazyCode << ((2 - j) * 2);
+        }
+        codes.push(code);
+    }
+
+    codes.push(...CRAZY_CODES_SUFFIX);
+    return codes;
+}
+
+/**
+ * Removes trailing codes between `min` and `max`
+ */
+function trimTrailing(codes: number[], min: number, max: number): number[] {
+    while (codes.length > 0 && codes[codes.length - 1]! >= min && codes[codes.length - 1]! <= max) {
+        codes.pop();
+    }
+    return codes;
+}
+
+function getCharCodes(indexCodes: TextIndexCodes): ReadonlyArray<CharCodes | undefined> {
+    let charCodes = charCodesCache.get(indexCodes);
+    if (charCodes === undefined) {
+        charCodes = parseIndexCodes(INDEX_CODES[indexCodes]);
+        charCodesCache.set(indexCodes, charCodes);
+    }
+    return charCodes;
+}
+
+/**
+ * Parses the index codes of all characters except surrogates. Each character is defined by a type prefix followed by
+ * comma-separated hex codes like in the files of Jackcess:
+ *
+ * - `S<inline>`: simple character
+ * - `I<inline>,<extra>`: international character
+ * - `U<unprintable>`: unprintable character
+ * - `P<extra modifier>`: unprintable character modifying the extra codes
+ * - `Z<inline>,<extra>,<crazy flag>`: international character with crazy flag (`1` or other)
+ * - `X`: ignored character
+ *
+ * `+<n>` repeats the previous definition for the next n characters with an incremented inline code.
+ */
+function parseIndexCodes(indexCodes: string): Array<CharCodes | undefined> {
+    const charCodes: Array<CharCodes | undefined> = [];
+    let previous: CharCodes | undefined;
+    const addCharCodes = (codes: CharCodes) => {
+        if (charCodes.length === 0xd800) {
+            charCodes.length = 0xe000;
+        }
+        charCodes.push(codes);
+        previous = codes;
+    };
+
+    for (const definition of indexCodes.trim().split(/\s+/)) {
+        if (!definition.startsWith("+")) {
+            addCharCodes(parseCharCodes(definition));
+            continue;
+        }
+
+        const count = parseInt(definition.slice(1), 10);
+        for (let i = 0; i < count; ++i) {
+            addCharCodes(incrementInlineCode(previous!));
+        }
+    }
+
+    if (charCodes.length !== 0x10000) {
+        throw new Error("Invalid index codes");
+    }
+    return charCodes;
+}
+
+function incrementInlineCode(charCodes: CharCodes): CharCodes {
+    if (charCodes.inline === null) {
+        return charCodes;
+    }
+
+    const inline = [...charCodes.inline];
+    for (let i = inline.length - 1; i >= 0; --i) {
+        inline[i] = (inline[i]! + 1) & 0xff;
+        if (inline[i] !== 0) {
+            break;
+        }
+    }
+    return { ...charCodes, inline };
+}
+
+function parseCharCodes(definition: string): CharCodes {
+    const codes = definition.slice(1).split(",");
+    const charCodes: CharCodes = { inline: null, extra: null, extraModifier: 0, unprintable: null, crazyFlag: 0 };
+    switch (definition[0]) {
+        case "S":
+            charCodes.inline = parseCodes(codes[0]!);
+            break;
+
+        case "I":
+            charCodes.inline = parseCodes(codes[0]!);
+            charCodes.extra = parseCodes(codes[1]!);
+            break;
+
+        case "U":
+            charCodes.unprintable = parseCodes(codes[0]!);
+            break;
+
+        case "P":
+            charCodes.extraModifier = parseCodes(codes[0]!)[0]!;
+            break;
+
+        case "Z":
+            charCodes.inline = parseCodes(codes[0]!);
+            charCodes.extra = codes[1] === "" ? null : parseCodes(codes[1]!);
+            charCodes.crazyFlag = codes[2] === "1" ? CRAZY_CODE_1 : CRAZY_CODE_2;
+            break;
+
+        case "X":
+            break;
+
+        default:
+            throw new Error(`Invalid index codes ${definition}`);
+    }
+    return charCodes;
+}
+
+function parseCodes(hex: string): number[] {
+    const padded = hex.length % 2 === 0 ? hex : `0${hex}`;
+    const codes: number[] = [];
+    for (let i = 0; i < padded.length; i += 2) {
+        codes.push(parseInt(padded.slice(i, i + 2), 16));
+    }
+    return codes;
+}
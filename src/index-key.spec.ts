@@ -0,0 +1,166 @@
+import { expect } from "chai";
+import { compareIndexKeys, encodeIndexKey, encodeIndexKeyPrefix } from "./index-key.js";
+import { GENERAL_97_SORT_ORDER, GENERAL_LEGACY_SORT_ORDER, GENERAL_SORT_ORDER } from "./SortOrder.js";
+import { ColumnTypes } from "./types.js";
+
+describe("encodeIndexKey", () => {
+    const longColumn = { name: "Id", type: ColumnTypes.Long, order: "asc" } as const;
+    const textColumn = { name: "Name", type: ColumnTypes.Text, order: "asc" } as const;
+
+    it("long", () => {
+        expect(encodeIndexKey([1], [longColumn], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f80000001", "hex"));
+        expect(encodeIndexKey([-1], [longColumn], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f7fffffff", "hex"));
+    });
+
+    it("null", () => {
+        expect(encodeIndexKey([null], [longColumn], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("00", "hex"));
+    });
+
+    it("descending", () => {
+        expect(encodeIndexKey([1], [{ ...longColumn, order: "desc" }], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("807ffffffe", "hex")
+        );
+    });
+
+    it("boolean", () => {
+        const column = { name: "Active", type: ColumnTypes.Boolean, order: "asc" } as const;
+        expect(encodeIndexKey([true], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f00", "hex"));
+        expect(encodeIndexKey([false], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7fff", "hex"));
+        expect(encodeIndexKey([null], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7fff", "hex"));
+        expect(encodeIndexKey([true], [{ ...column, order: "desc" }], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("80ff", "hex")
+        );
+    });
+
+    it("byte", () => {
+        const column = { name: "Count", type: ColumnTypes.Byte, order: "asc" } as const;
+        expect(encodeIndexKey([5], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f05", "hex"));
+    });
+
+    it("currency", () => {
+        const column = { name: "Price", type: ColumnTypes.Currency, order: "asc" } as const;
+        expect(encodeIndexKey(["1.5"], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f8000000000003a98", "hex"));
+        expect(encodeIndexKey([-1.5], [column], GENERAL_SORT_ORDER)).to.deep.eq(Buffer.from("7f7fffffffffffc568", "hex"));
+    });
+
+    it("GUID", () => {
+        const column = { name: "Id", type: ColumnTypes.RepID, order: "asc" } as const;
+        expect(encodeIndexKey(["{01234567-89AB-CDEF-0123-456789ABCDEF}"], [column], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f0123456789abcdef090123456789abcdef08", "hex")
+        );
+    });
+
+    it("numeric", () => {
+        const column = { name: "Amount", type: ColumnTypes.Numeric, scale: 2, order: "asc" } as const;
+        expect(encodeIndexKey(["1.5"], [column], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from(`7fff${"00".repeat(15)}96`, "hex")
+        );
+        expect(encodeIndexKey([-1.5], [column], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from(`7f00${"ff".repeat(15)}69`, "hex")
+        );
+    });
+
+    it("numeric (descending)", () => {
+        const column = { name: "Amount", type: ColumnTypes.Numeric, scale: 2, order: "desc" } as const;
+        expect(encodeIndexKey(["1.5"], [column], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from(`8000${"ff".repeat(15)}69`, "hex")
+        );
+        expect(encodeIndexKey(["1.5"], [column], GENERAL_LEGACY_SORT_ORDER, true)).to.deep.eq(
+            Buffer.from(`80ff${"ff".repeat(15)}69`, "hex")
+        );
+        expect(encodeIndexKey(["-1.5"], [column], GENERAL_LEGACY_SORT_ORDER, true)).to.deep.eq(
+            Buffer.from(`8000${"00".repeat(15)}96`, "hex")
+        );
+    });
+
+    it("text (General)", () => {
+        expect(encodeIndexKey(["Table1"], [textColumn], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f0e990e020e090e480e210d190100", "hex")
+        );
+    });
+
+    it("text (General legacy)", () => {
+        expect(encodeIndexKey(["Scripts"], [textColumn], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f6b4d6959666d6b0100", "hex")
+        );
+    });
+
+    it("text (General 97)", () => {
+        expect(encodeIndexKey(["a"], [textColumn], GENERAL_97_SORT_ORDER)).to.deep.eq(Buffer.from("7f6000", "hex"));
+    });
+
+    it("multiple columns", () => {
+        expect(encodeIndexKey([1, "a"], [longColumn, textColumn], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f800000017f4a0100", "hex")
+        );
+    });
+
+    it("text with extra codes", () => {
+        expect(encodeIndexKey(["Müller"], [textColumn], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f606f5e5e516901021300", "hex")
+        );
+        expect(encodeIndexKey(["Café"], [textColumn], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f0e0a0e020e230e21010202020e00", "hex")
+        );
+    });
+
+    it("text with unprintable codes", () => {
+        expect(encodeIndexKey(["a-b"], [textColumn], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f0e020e0901010101800b068200", "hex")
+        );
+        expect(encodeIndexKey(["9999é-"], [textColumn], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f484848485101020202020e010101801b068200", "hex")
+        );
+    });
+
+    it("text with crazy codes", () => {
+        expect(encodeIndexKey(["ぁあ"], [textColumn], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f7f027f02010101a0ff0280ff8000", "hex")
+        );
+        expect(encodeIndexKey(["ぁあ-"], [textColumn], GENERAL_SORT_ORDER)).to.deep.eq(
+            Buffer.from("7f7f027f02010101a0ff0280ff80ff01800f068200", "hex")
+        );
+    });
+
+    it("descending text", () => {
+        expect(encodeIndexKey(["é"], [{ ...textColumn, order: "desc" }], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq(
+            Buffer.from("80aefef1ff00", "hex")
+        );
+    });
+
+    it("throws for unsupported characters", () => {
+        expect(() => encodeIndexKey(["😀"], [textColumn], GENERAL_SORT_ORDER)).to.throw();
+    });
+
+    it("encodes the prefix of keys with unsupported characters", () => {
+        expect(encodeIndexKeyPrefix([1, "ab😀c"], [longColumn, textColumn], GENERAL_LEGACY_SORT_ORDER)).to.deep.eq({
+            key: Buffer.from("7f800000017f4a4c", "hex"),
+            complete: false,
+        });
+        expect(encodeIndexKeyPrefix(["😀"], [{ ...textColumn, order: "desc" }], GENERAL_SORT_ORDER)).to.deep.eq({
+            key: Buffer.from("80", "hex"),
+            complete: false,
+        });
+        expect(encodeIndexKeyPrefix(["a"], [textColumn], GENERAL_97_SORT_ORDER)).to.deep.eq({
+            key: Buffer.from("7f6000", "hex"),
+            complete: true,
+        });
+    });
+
+    it("compares keys", () => {
+        const columns = [longColumn, textColumn];
+        expect(compareIndexKeys([1, "a"], [2, "a"], columns, GENERAL_SORT_ORDER)).to.be.lessThan(0);
+        expect(compareIndexKeys([1, "Müller"], [1, "müller"], columns, GENERAL_SORT_ORDER)).to.eq(0);
+        expect(compareIndexKeys([1, "Müller"], [1, "Mueller"], columns, GENERAL_LEGACY_SORT_ORDER)).not.to.eq(0);
+        expect(compareIndexKeys([1, "😀"], [1, "😀"], columns, GENERAL_SORT_ORDER)).to.eq(0);
+        expect(compareIndexKeys([1, "a-b"], [1], columns, GENERAL_SORT_ORDER)).to.eq(0);
+        expect(compareIndexKeys([1, null], [1, "é"], columns, GENERAL_SORT_ORDER)).to.be.lessThan(0);
+        expect(
+            compareIndexKeys(["ab"], ["é"], [{ ...textColumn, order: "desc" }], GENERAL_LEGACY_SORT_ORDER)
+        ).to.be.greaterThan(0);
+    });
+
+    it("throws for too many values", () => {
+        expect(() => encodeIndexKey([1, 2], [longColumn], GENERAL_SORT_ORDER)).to.throw();
+    });
+});
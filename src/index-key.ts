@@ -0,0 +1,405 @@
+import type { Column } from "./column.js";
+import { compareText } from "./compare.js";
+import { toUnscaled } from "./data/util.js";
+import { encodeTextIndexCodes } from "./index-codes/index.js";
+import type { IndexColumn } from "./indexes.js";
+import { GENERAL_97_SORT_ORDER, GENERAL_SORT_ORDER, GENERAL_SORT_ORDER_VALUE } from "./SortOrder.js";
+import { ColumnTypes, type SortOrder } from "./types.js";
+
+export type IndexKeyValue = string | number | bigint | boolean | Date | null;
+
+/**
+ * Value of the indexed column or an array of values for multi-column indexes
+ */
+export type IndexKey = IndexKeyValue | ReadonlyArray<IndexKeyValue>;
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+const ASC_START_FLAG = 0x7f;
+const ASC_NULL_FLAG = 0x00;
+const ASC_END_EXTRA_TEXT = 0x00;
+const MID_GUID = 0x09;
+const ASC_END_GUID = 0x08;
+const ASC_BOOLEAN_TRUE = 0x00;
+const ASC_BOOLEAN_FALSE = 0xff;
+
+/**
+ * Index codes of the General sort order of Access 97
+ */
+const GENERAL_97_INDEX_CODES = createIndexCodes(
+    [
+        0x60, 0x61, 0x62, 0x64, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x6b, 0x6c, 0x6d, 0x6f, 0x70, 0x72, 0x73, 0x74, 0x75, 0x76,
+        0x77, 0x78, 0x79, 0x7a, 0x7b, 0x7d, 0x7e,
+    ].map((code) => [code]),
+    [0x56, 0x57, 0x58, 0x59, 0x5a, 0x5b, 0x5c, 0x5d, 0x5e, 0x5f].map((code) => [code])
+);
+
+function createIndexCodes(letterCodes: number[][], digitCodes: number[][]): Map<string, number[]> {
+    const codes = new Map<string, number[]>();
+    letterCodes.forEach((code, i) => codes.set(String.fromCharCode(0x61 + i), code));
+    digitCodes.forEach((code, i) => codes.set(String.fromCharCode(0x30 + i), code));
+    return codes;
+}
+
+type IndexKeyColumn = Pick<Column, "name" | "type" | "scale"> & Pick<IndexColumn, "order">;
+
+/**
+ * Encodes the values of an index key the same way Access stores them in the entries of an index page. Encoded keys
+ * can be compared with `Buffer.compare`.
+ *
+ * @param values Values of the leading columns of the index
+ * @param columns Columns of the index
+ * @param legacyNumericIndexes `legacyNumericIndexes` of the format of the database, e.g. `true` for Jet4
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export function encodeIndexKey(
+    values: ReadonlyArray<IndexKeyValue>,
+    columns: ReadonlyArray<IndexKeyColumn>,
+    sortOrder: Readonly<SortOrder>,
+    legacyNumericIndexes = false
+): Buffer {
+    if (values.length > columns.length) {
+        throw new Error(`Index has ${columns.length} columns but ${values.length} values were given`);
+    }
+
+    return Buffer.concat(values.map((value, i) => encodeIndexColumn(value, columns[i]!, sortOrder, legacyNumericIndexes)));
+}
+
+/**
+ * Encodes the values of an index key like `encodeIndexKey`. Text values are only encoded up to the first character
+ * without a known index code and the remaining values are dropped. All keys starting with the values start with the
+ * returned bytes, so the index can still be used to narrow down the rows before they are compared with
+ * `compareIndexKeys`.
+ *
+ * @returns `complete` = false if the key was cut
+ */
+export function encodeIndexKeyPrefix(
+    values: ReadonlyArray<IndexKeyValue>,
+    columns: ReadonlyArray<IndexKeyColumn>,
+    sortOrder: Readonly<SortOrder>,
+    legacyNumericIndexes = false
+): { key: Buffer; complete: boolean } {
+    if (values.length > columns.length) {
+        throw new Error(`Index has ${columns.length} columns but ${values.length} values were given`);
+    }
+
+    const buffers: Buffer[] = [];
+    for (const [i, value] of values.entries()) {
+        const column = columns[i]!;
+        if (typeof value === "string" && isTextColumn(column)) {
+            const { codes, unsupportedChar } = encodeTextCodes(value, sortOrder);
+            if (unsupportedChar !== null) {
+                buffers.push(applyOrder(Buffer.from([ASC_START_FLAG, ...codes]), column));
+                return { key: Buffer.concat(buffers), complete: false };
+            }
+        }
+        buffers.push(encodeIndexColumn(value, column, sortOrder, legacyNumericIndexes));
+    }
+
+    return { key: Buffer.concat(buffers), complete: true };
+}
+
+/**
+ * Compares the leading values of two index keys in index order. Only the first `b.length` values are compared, so `a`
+ * matches a key `b` that omits trailing columns. Text values with characters without a known index code are compared
+ * case insensitive like in Access.
+ *
+ * @returns Negative number if `a` is sorted before `b`, 0 if equal, positive number if sorted after
+ */
+export function compareIndexKeys(
+    a: ReadonlyArray<IndexKeyValue>,
+    b: ReadonlyArray<IndexKeyValue>,
+    columns: ReadonlyArray<IndexKeyColumn>,
+    sortOrder: Readonly<SortOrder>,
+    legacyNumericIndexes = false
+): number {
+    for (const [i, bValue] of b.entries()) {
+        const aValue = a[i] ?? null;
+        const column = columns[i]!;
+        const aKey = encodeIndexKeyPrefix([aValue], [column], sortOrder, legacyNumericIndexes);
+        const bKey = encodeIndexKeyPrefix([bValue], [column], sortOrder, legacyNumericIndexes);
+
+        let result: number;
+        if ((aKey.complete && bKey.complete) || typeof aValue !== "string" || typeof bValue !== "string") {
+            result = Buffer.compare(aKey.key, bKey.key);
+        } else {
+            result = column.order === "desc" ? compareText(bValue, aValue) : compareText(aValue, bValue);
+        }
+
+        if (result !== 0) {
+            return result;
+        }
+    }
+
+    return 0;
+}
+
+function encodeIndexColumn(
+    value: IndexKeyValue,
+    column: IndexKeyColumn,
+    sortOrder: Readonly<SortOrder>,
+    legacyNumericIndexes: boolean
+): Buffer {
+    if (value === null && column.type === ColumnTypes.Boolean) {
+        // booleans are never null
+        value = false;
+    }
+
+    let buffer: Buffer;
+    if (value === null) {
+        buffer = Buffer.from([ASC_NULL_FLAG]);
+    } else {
+        buffer = Buffer.concat([Buffer.from([ASC_START_FLAG]), encodeIndexValue(value, column, sortOrder)]);
+    }
+
+    applyOrder(buffer, column);
+    if (column.order === "desc" && value !== null && column.type === ColumnTypes.RepID) {
+        // separator is not flipped
+        buffer[9] = MID_GUID;
+    }
+    if (column.order === "desc" && value !== null && column.type === ColumnTypes.Numeric && legacyNumericIndexes) {
+        // sign byte is not flipped
+        buffer[1] = ~buffer[1]!;
+    }
+    if (
+        column.order === "desc" &&
+        value !== null &&
+        isTextColumn(column) &&
+        sortOrder.version !== GENERAL_97_SORT_ORDER.version
+    ) {
+        // end flag is written after the flipped text
+        buffer = Buffer.concat([buffer, Buffer.from([ASC_END_EXTRA_TEXT])]);
+    }
+
+    return buffer;
+}
+
+/**
+ * Flips all bytes of values of descending columns
+ */
+function applyOrder(buffer: Buffer, column: IndexKeyColumn): Buffer {
+    if (column.order === "desc") {
+        for (let i = 0; i < buffer.length; ++i) {
+            buffer[i] = ~buffer[i]!;
+        }
+    }
+    return buffer;
+}
+
+function isTextColumn(column: IndexKeyColumn): boolean {
+    return column.type === ColumnTypes.Text || column.type === ColumnTypes.Memo;
+}
+
+function encodeIndexValue(
+    value: Exclude<IndexKeyValue, null>,
+    column: IndexKeyColumn,
+    sortOrder: Readonly<SortOrder>
+): Buffer {
+    switch (column.type) {
+        case ColumnTypes.Boolean: {
+            if (typeof value !== "boolean") {
+                throw new Error(`Expected a boolean as key for column ${column.name}`);
+            }
+
+            return Buffer.from([value ? ASC_BOOLEAN_TRUE : ASC_BOOLEAN_FALSE]);
+        }
+
+        case ColumnTypes.Byte: {
+            const buffer = Buffer.alloc(1);
+            buffer.writeUInt8(toNumber(value, column));
+            return buffer;
+        }
+
+        case ColumnTypes.Integer: {
+            const buffer = Buffer.alloc(2);
+            buffer.writeInt16BE(toNumber(value, column));
+            return flipSignBit(buffer);
+        }
+
+        case ColumnTypes.Long: {
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32BE(toNumber(value, column));
+            return flipSignBit(buffer);
+        }
+
+        case ColumnTypes.BigInt: {
+            const buffer = Buffer.alloc(8);
+            buffer.writeBigInt64BE(BigInt(value instanceof Date ? value.getTime() : value));
+            return flipSignBit(buffer);
+        }
+
+        case ColumnTypes.Currency: {
+            const buffer = Buffer.alloc(8);
+            buffer.writeBigInt64BE(toCurrencyUnits(value, column));
+            return flipSignBit(buffer);
+        }
+
+        case ColumnTypes.Numeric: {
+            if (typeof value === "boolean" || value instanceof Date) {
+                throw new Error(`Expected a number or numeric string as key for column ${column.name}`);
+            }
+
+            return encodeNumeric(toUnscaled(value, column, column.scale ?? 0));
+        }
+
+        case ColumnTypes.Float: {
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(toNumber(value, column));
+            return encodeFloatingPoint(buffer);
+        }
+
+        case ColumnTypes.Double: {
+            const buffer = Buffer.alloc(8);
+            buffer.writeDoubleBE(toNumber(value, column));
+            return encodeFloatingPoint(buffer);
+        }
+
+        case ColumnTypes.DateTime: {
+            if (!(value instanceof Date)) {
+                throw new Error(`Expected a Date as key for column ${column.name}`);
+            }
+
+            const daysDiff = 25569; // days between 1899-12-30 and 01-01-1970
+            const buffer = Buffer.alloc(8);
+            buffer.writeDoubleBE(value.getTime() / 86400 / 1000 + daysDiff);
+            return encodeFloatingPoint(buffer);
+        }
+
+        case ColumnTypes.RepID: {
+            if (typeof value !== "string") {
+                throw new Error(`Expected a string as key for column ${column.name}`);
+            }
+
+            const guid = Buffer.from(value.replace(/[{}-]/g, ""), "hex");
+            if (guid.length !== 16) {
+                throw new Error(`Invalid GUID ${value}`);
+            }
+
+            return Buffer.concat([guid.slice(0, 8), Buffer.from([MID_GUID]), guid.slice(8), Buffer.from([ASC_END_GUID])]);
+        }
+
+        case ColumnTypes.Text:
+        case ColumnTypes.Memo: {
+            if (typeof value !== "string") {
+                throw new Error(`Expected a string as key for column ${column.name}`);
+            }
+
+            return encodeText(value, column, sortOrder);
+        }
+
+        default:
+            throw new Error(`Index keys of column type ${column.type} are not supported`);
+    }
+}
+
+function encodeText(value: string, column: IndexKeyColumn, sortOrder: Readonly<SortOrder>): Buffer {
+    const { codes, unsupportedChar } = encodeTextCodes(value, sortOrder);
+    if (unsupportedChar !== null) {
+        throw new Error(`Character '${unsupportedChar}' of column ${column.name} is not supported in index keys`);
+    }
+
+    return Buffer.from(codes);
+}
+
+/**
+ * @returns Index codes of the text. If it contains a character without index codes, only the codes of the characters
+ * before it are returned.
+ */
+function encodeTextCodes(
+    value: string,
+    sortOrder: Readonly<SortOrder>
+): { codes: number[]; unsupportedChar: string | null } {
+    if (sortOrder.value !== GENERAL_SORT_ORDER_VALUE) {
+        throw new Error(`Index keys are not supported for text columns with sort order ${sortOrder.value}`);
+    }
+
+    if (sortOrder.version !== GENERAL_97_SORT_ORDER.version) {
+        return encodeTextIndexCodes(value, sortOrder.version === GENERAL_SORT_ORDER.version ? "general" : "generalLegacy");
+    }
+
+    const codes: number[] = [];
+    for (const char of value.toLowerCase()) {
+        const charCodes = GENERAL_97_INDEX_CODES.get(char);
+        if (charCodes === undefined) {
+            return { codes, unsupportedChar: char };
+        }
+        codes.push(...charCodes);
+    }
+    codes.push(ASC_END_EXTRA_TEXT);
+
+    return { codes, unsupportedChar: null };
+}
+
+function flipSignBit(buffer: Buffer): Buffer {
+    buffer[0]! ^= 0x80;
+    return buffer;
+}
+
+/**
+ * The sign byte is followed by the unscaled value as unsigned 128-bit integer. Negative numbers are flipped completely.
+ */
+function encodeNumeric(unscaled: bigint): Buffer {
+    const buffer = Buffer.alloc(17);
+    buffer[0] = 0xff;
+    let rest = unscaled < 0n ? -unscaled : unscaled;
+    for (let i = 16; i > 0; --i) {
+        buffer[i] = Number(rest & 0xffn);
+        rest >>= 8n;
+    }
+
+    if (unscaled < 0n) {
+        for (let i = 0; i < buffer.length; ++i) {
+            buffer[i] = ~buffer[i]!;
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Negative numbers are flipped completely, positive numbers only get their sign bit flipped.
+ */
+function encodeFloatingPoint(buffer: Buffer): Buffer {
+    if (buffer[0]! & 0x80) {
+        for (let i = 0; i < buffer.length; ++i) {
+            buffer[i] = ~buffer[i]!;
+        }
+        return buffer;
+    }
+
+    return flipSignBit(buffer);
+}
+
+function toNumber(value: Exclude<IndexKeyValue, null>, column: IndexKeyColumn): number {
+    if (typeof value === "number") {
+        return value;
+    }
+
+    if (typeof value === "bigint") {
+        return Number(value);
+    }
+
+    throw new Error(`Expected a number as key for column ${column.name}`);
+}
+
+/**
+ * Currency values are stored as integer with a fixed scale of 4
+ */
+function toCurrencyUnits(value: Exclude<IndexKeyValue, null>, column: IndexKeyColumn): bigint {
+    if (typeof value === "number") {
+        return BigInt(Math.round(value * 10000));
+    }
+
+    if (typeof value === "bigint") {
+        return value * 10000n;
+    }
+
+    if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)) {
+        const [integer, fraction = ""] = value.split(".");
+        const units = BigInt(`${integer!.replace("-", "")}${fraction.padEnd(4, "0").slice(0, 4)}`);
+        return value.startsWith("-") ? -units : units;
+    }
+
+    throw new Error(`Expected a number or numeric string as key for column ${column.name}`);
+}
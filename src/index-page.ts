@@ -0,0 +1,165 @@
+import type { JetFormat } from "./JetFormat/index.js";
+import { PageType } from "./PageType.js";
+import { getBitmapValue, setBitmapValue } from "./util.js";
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+const FREE_SPACE_OFFSET = 2;
+const OWNER_OFFSET = 4;
+
+export interface IndexPage {
+    leaf: boolean;
+    prevPage: number;
+    nextPage: number;
+    childTailPage: number;
+    entries: IndexEntry[];
+}
+
+export interface IndexEntry {
+    /**
+     * Encoded key of the entry. See `encodeIndexKey`.
+     */
+    key: Buffer;
+
+    /**
+     * Lower byte contains the row number, the upper three contain page. Same format as used by `Database.findPageRow`.
+     */
+    pageRow: number;
+
+    /**
+     * Child page of an intermediate page entry. `null` for leaf pages.
+     */
+    subPage: number | null;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export function readIndexPage(pageBuffer: Buffer, format: Pick<JetFormat, "indexPage">): IndexPage {
+    const pageType = pageBuffer[0];
+    if (pageType !== PageType.LeafIndexPages && pageType !== PageType.IntermediateIndexPage) {
+        throw new Error(`Wrong page type. Expected index page but received ${pageType}.`);
+    }
+
+    const leaf = pageType === PageType.LeafIndexPages;
+    const prefixLength = pageBuffer.readUInt8(format.indexPage.prefixLengthOffset);
+    const entryMask = pageBuffer.slice(
+        format.indexPage.entryMaskOffset,
+        format.indexPage.entryMaskOffset + format.indexPage.entryMaskSize
+    );
+    const entriesStart = format.indexPage.entryMaskOffset + format.indexPage.entryMaskSize;
+
+    // row pointer (4 bytes) + sub page (4 bytes, intermediate pages only)
+    const trailerLength = leaf ? 4 : 8;
+
+    const entries: IndexEntry[] = [];
+    let prefix: Buffer | undefined;
+    let lastStart = 0;
+    for (let i = 0; i < entryMask.length * 8; ++i) {
+        if (!getBitmapValue(entryMask, i)) {
+            continue;
+        }
+
+        let entryBuffer = pageBuffer.slice(entriesStart + lastStart, entriesStart + i);
+        if (prefix === undefined) {
+            // All following entries share the first bytes of the first entry
+            prefix = entryBuffer.slice(0, prefixLength);
+        } else if (prefix.length > 0) {
+            entryBuffer = Buffer.concat([prefix, entryBuffer]);
+        }
+
+        const keyLength = entryBuffer.length - trailerLength;
+        entries.push({
+            key: entryBuffer.slice(0, keyLength),
+            pageRow: entryBuffer.readUInt32BE(keyLength),
+            subPage: leaf ? null : entryBuffer.readUInt32BE(keyLength + 4),
+        });
+
+        lastStart = i;
+    }
+
+    return {
+        leaf,
+        prevPage: pageBuffer.readUInt32LE(format.indexPage.prevPageOffset),
+        nextPage: pageBuffer.readUInt32LE(format.indexPage.nextPageOffset),
+        childTailPage: pageBuffer.readUInt32LE(format.indexPage.childTailPageOffset),
+        entries,
+    };
+}
+
+/**
+ * Writes an index page. Entries are stored in the order given without a shared prefix like Access stores them.
+ *
+ * @param tableDefinitionPage First page of the definition of the table owning the index
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export function writeIndexPage(
+    pageBuffer: Buffer,
+    indexPage: IndexPage,
+    tableDefinitionPage: number,
+    format: Pick<JetFormat, "indexPage" | "pageSize">
+): void {
+    const entriesStart = format.indexPage.entryMaskOffset + format.indexPage.entryMaskSize;
+    const entryMask = pageBuffer.slice(format.indexPage.entryMaskOffset, entriesStart);
+
+    pageBuffer.fill(0);
+    pageBuffer[0] = indexPage.leaf ? PageType.LeafIndexPages : PageType.IntermediateIndexPage;
+    pageBuffer[1] = 0x01;
+    pageBuffer.writeUInt32LE(tableDefinitionPage, OWNER_OFFSET);
+    pageBuffer.writeUInt32LE(indexPage.prevPage, format.indexPage.prevPageOffset);
+    pageBuffer.writeUInt32LE(indexPage.nextPage, format.indexPage.nextPageOffset);
+    pageBuffer.writeUInt32LE(indexPage.childTailPage, format.indexPage.childTailPageOffset);
+
+    let position = 0;
+    for (const entry of indexPage.entries) {
+        const entryBuffer = encodeIndexEntry(entry, indexPage.leaf);
+        entryBuffer.copy(pageBuffer, entriesStart + position);
+        position += entryBuffer.length;
+        setBitmapValue(entryMask, position, true);
+    }
+
+    pageBuffer.writeUInt16LE(format.pageSize - entriesStart - position, FREE_SPACE_OFFSET);
+}
+
+/**
+ * Distributes sorted entries to as few index pages as possible
+ *
+ * @returns Entries of each page
+ */
+export function splitIndexEntries(
+    entries: ReadonlyArray<IndexEntry>,
+    leaf: boolean,
+    format: Pick<JetFormat, "indexPage" | "pageSize">
+): IndexEntry[][] {
+    const capacity = format.pageSize - format.indexPage.entryMaskOffset - format.indexPage.entryMaskSize;
+    const trailerLength = leaf ? 4 : 8;
+
+    const pages: IndexEntry[][] = [[]];
+    let entriesLength = 0;
+    for (const entry of entries) {
+        const entryLength = entry.key.length + trailerLength;
+        if (entryLength > capacity) {
+            throw new Error("Index entry does not fit on an index page");
+        }
+        if (entriesLength + entryLength > capacity) {
+            pages.push([]);
+            entriesLength = 0;
+        }
+
+        pages[pages.length - 1]!.push(entry);
+        entriesLength += entryLength;
+    }
+    return pages;
+}
+
+function encodeIndexEntry(entry: IndexEntry, leaf: boolean): Buffer {
+    const buffer = Buffer.alloc(entry.key.length + (leaf ? 4 : 8));
+    entry.key.copy(buffer);
+    buffer.writeUInt32BE(entry.pageRow, entry.key.length);
+    if (!leaf) {
+        buffer.writeUInt32BE(entry.subPage ?? 0, entry.key.length + 4);
+    }
+    return buffer;
+}
@@ -1,4 +1,51 @@
+export type { AccessObject, Macro } from "./access-storage.js";
 export type { Column } from "./column.js";
+export {
+    type ColumnSchema,
+    type CreatableFileFormat,
+    createDatabase,
+    type DatabaseSchema,
+    type TableSchema,
+} from "./create-database.js";
+export {
+    type Difference,
+    type DifferenceType,
+    DifferenceTypes,
+    diffDatabases,
+    type DiffOptions,
+    type ValueChange,
+} from "./diff.js";
+export type { IndexKey, IndexKeyValue } from "./index-key.js";
+export type { Index, IndexColumn } from "./indexes.js";
+export type { LinkedTableInfo } from "./linked-tables.js";
 export { default, type Options } from "./MDBReader.js";
-export type { Table } from "./Table.js";
+export { type OLEObject, unwrapOLE } from "./ole-object.js";
+export type { OrderBy } from "./order-by.js";
+export {
+    type AsyncPageSource,
+    createBlobPageSource,
+    createBufferPageSource,
+    createFileDescriptorPageSource,
+    type PageSource,
+} from "./page-source/index.js";
+export type { ColumnProperties, Properties } from "./properties.js";
+export { QueryTypes, type Query, type QueryParameter, type QueryType } from "./queries.js";
+export type { Relationship } from "./relationships.js";
+export { dumpSQL, type SQLDialect, type SQLDumpOptions } from "./sql-dump/index.js";
+export type { QueryResultRow } from "./sql/index.js";
+export type { RecoveredRow, Table } from "./Table.js";
 export * from "./types.js";
+export type {
+    ConvertedValue,
+    ConvertedValueMap,
+    DateTimeExtendedFormat,
+    DateTimeFormat,
+    DecimalFormat,
+    OLEFormat,
+    Row,
+    ValueConverters,
+    ValueOptions,
+} from "./value-options.js";
+export { type ValidationIssue, type ValidationIssueType, ValidationIssueTypes } from "./validation.js";
+export type { VBAModule, VBAModuleType } from "./vba/project.js";
+export type { RowPredicate, Where, WhereClause, WhereCondition, WhereValue } from "./where.js";
@@ -0,0 +1,104 @@
+export interface Index {
+    /**
+     * Name of the index
+     */
+    name: string;
+
+    /**
+     * Indexed columns in the order they are used by the index
+     */
+    columns: IndexColumn[];
+
+    primaryKey: boolean;
+    foreignKey: boolean;
+    unique: boolean;
+    ignoreNulls: boolean;
+    required: boolean;
+}
+
+export interface IndexColumn {
+    /**
+     * Name of the column
+     */
+    name: string;
+
+    order: "asc" | "desc";
+}
+
+/**
+ * Includes internal fields that are not relevant for the user of the library.
+ */
+export interface IndexDefinition extends Index {
+    indexNumber: number;
+    realIndexNumber: number;
+
+    /**
+     * Column indices (`ColumnDefinition.index`) in the order they are used by the index
+     */
+    columnIndices: number[];
+
+    /**
+     * Page row of the usage map of the index pages
+     */
+    usageMap: number;
+
+    /**
+     * Root page of the index b-tree
+     */
+    firstPage: number;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export const MAX_INDEX_COLUMNS = 10;
+export const UNUSED_INDEX_COLUMN = 0xffff;
+const ASCENDING_COLUMN_FLAG = 0x01;
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexImpl.java
+ */
+const PRIMARY_KEY_INDEX_TYPE = 0x01;
+const FOREIGN_KEY_INDEX_TYPE = 0x02;
+
+export function getIndexColumnOrder(flags: number): IndexColumn["order"] {
+    return flags & ASCENDING_COLUMN_FLAG ? "asc" : "desc";
+}
+
+export function encodeIndexColumnOrder(order: IndexColumn["order"]): number {
+    return order === "asc" ? ASCENDING_COLUMN_FLAG : 0x00;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export function parseRealIndexFlags(flags: number): Pick<Index, "unique" | "ignoreNulls" | "required"> {
+    return {
+        unique: !!(flags & 0x01),
+        ignoreNulls: !!(flags & 0x02),
+        required: !!(flags & 0x08),
+    };
+}
+
+/**
+ * Access sets the unknown flag 0x80 on all indexes
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/IndexData.java
+ */
+export function encodeRealIndexFlags(index: Pick<Index, "unique" | "ignoreNulls" | "required">): number {
+    return 0x80 | (index.unique ? 0x01 : 0) | (index.ignoreNulls ? 0x02 : 0) | (index.required ? 0x08 : 0);
+}
+
+export function parseLogicalIndexType(type: number): Pick<Index, "primaryKey" | "foreignKey"> {
+    return {
+        primaryKey: type === PRIMARY_KEY_INDEX_TYPE,
+        foreignKey: type === FOREIGN_KEY_INDEX_TYPE,
+    };
+}
+
+export function encodeLogicalIndexType(index: Pick<Index, "primaryKey" | "foreignKey">): number {
+    if (index.primaryKey) {
+        return PRIMARY_KEY_INDEX_TYPE;
+    }
+    return index.foreignKey ? FOREIGN_KEY_INDEX_TYPE : 0x00;
+}
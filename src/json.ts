@@ -0,0 +1,24 @@
+/**
+ * Converts a value returned by a table to a value which can be serialized with `JSON.stringify()`. Binary data is
+ * encoded as base64 and `bigint` values as strings. Arrays and objects, e.g. attachments, are converted recursively.
+ *
+ * @param formatDate Returns the string of a date
+ */
+export function toJSONValue(value: unknown, formatDate: (date: Date) => string): unknown {
+    if (value instanceof Date) {
+        return formatDate(value);
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString("base64");
+    }
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => toJSONValue(item, formatDate));
+    }
+    if (typeof value === "object" && value !== null) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJSONValue(item, formatDate)]));
+    }
+    return value;
+}
@@ -0,0 +1,38 @@
+import { expect } from "chai";
+import { parseLinkedTableInfo } from "./linked-tables.js";
+
+describe("parseLinkedTableInfo", () => {
+    it("linked Access table", () => {
+        expect(
+            parseLinkedTableInfo("Cats", {
+                Type: 6,
+                Database: "C:\\data\\backend.accdb",
+                ForeignName: "tblCats",
+                Connect: ";DATABASE=C:\\data\\backend.accdb",
+            })
+        ).to.deep.eq({
+            name: "Cats",
+            database: "C:\\data\\backend.accdb",
+            foreignName: "tblCats",
+            connect: ";DATABASE=C:\\data\\backend.accdb",
+            odbc: false,
+        });
+    });
+
+    it("ODBC linked table", () => {
+        expect(
+            parseLinkedTableInfo("dbo_Cats", {
+                Type: 4,
+                Database: null,
+                ForeignName: "dbo.Cats",
+                Connect: "ODBC;DSN=Animals;",
+            })
+        ).to.deep.eq({
+            name: "dbo_Cats",
+            database: null,
+            foreignName: "dbo.Cats",
+            connect: "ODBC;DSN=Animals;",
+            odbc: true,
+        });
+    });
+});
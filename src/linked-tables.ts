@@ -0,0 +1,49 @@
+import { LINKED_ODBC_TABLE_TYPE } from "./SysObject.js";
+
+export interface LinkedTableInfo {
+    /**
+     * Name of the linked table in this database
+     */
+    name: string;
+
+    /**
+     * Path of the database file containing the table as stored by Access. `null` for ODBC linked tables.
+     */
+    database: string | null;
+
+    /**
+     * Name of the table in the linked database
+     */
+    foreignName: string;
+
+    /**
+     * Connection string, e.g. `;DATABASE=C:\backend.accdb` or `ODBC;DSN=...`
+     */
+    connect: string | null;
+
+    /**
+     * Table is linked via ODBC
+     */
+    odbc: boolean;
+}
+
+/**
+ * Columns of MSysObjects describing a linked table
+ */
+export type LinkedTableRow = {
+    Type: number;
+    Database: string | null;
+    ForeignName: string | null;
+    Connect: string | null;
+};
+
+export function parseLinkedTableInfo(name: string, row: LinkedTableRow): LinkedTableInfo {
+    const odbc = row.Type === LINKED_ODBC_TABLE_TYPE;
+    return {
+        name,
+        database: odbc ? null : row.Database,
+        foreignName: row.ForeignName ?? name,
+        connect: row.Connect,
+        odbc,
+    };
+}
@@ -0,0 +1,36 @@
+import { LRUCache } from "./lru-cache.js";
+import { expect } from "chai";
+
+describe("LRUCache", () => {
+    it("removes the least recently used entry", () => {
+        const cache = new LRUCache<number, string>(2);
+        cache.set(1, "a");
+        cache.set(2, "b");
+        expect(cache.get(1)).to.eq("a");
+
+        cache.set(3, "c");
+        expect(cache.size).to.eq(2);
+        expect(cache.get(2)).to.be.undefined;
+        expect(cache.get(1)).to.eq("a");
+        expect(cache.get(3)).to.eq("c");
+    });
+
+    it("replaces entries with the same key", () => {
+        const cache = new LRUCache<number, string>(2);
+        cache.set(1, "a");
+        cache.set(1, "b");
+        expect(cache.size).to.eq(1);
+        expect(cache.get(1)).to.eq("b");
+    });
+
+    it("stores nothing with a size of 0", () => {
+        const cache = new LRUCache<number, string>(0);
+        cache.set(1, "a");
+        expect(cache.get(1)).to.be.undefined;
+    });
+
+    it("throws for invalid sizes", () => {
+        expect(() => new LRUCache(-1)).to.throw("Invalid cache size -1. Expected a non-negative integer");
+        expect(() => new LRUCache(1.5)).to.throw("Invalid cache size 1.5");
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Map keeping at most `maxSize` entries. Adding an entry to a full cache removes the least recently used one.
+ * A cache with a `maxSize` of `0` stores nothing.
+ */
+export class LRUCache<K, V> {
+    readonly #maxSize: number;
+
+    /**
+     * Entries in the order of their last use. Maps iterate in insertion order.
+     */
+    readonly #entries = new Map<K, V>();
+
+    constructor(maxSize: number) {
+        if (!Number.isInteger(maxSize) || maxSize < 0) {
+            throw new Error(`Invalid cache size ${maxSize}. Expected a non-negative integer`);
+        }
+        this.#maxSize = maxSize;
+    }
+
+    get size(): number {
+        return this.#entries.size;
+    }
+
+    get(key: K): V | undefined {
+        const value = this.#entries.get(key);
+        if (value !== undefined) {
+            this.#entries.delete(key);
+            this.#entries.set(key, value);
+        }
+        return value;
+    }
+
+    set(key: K, value: V): void {
+        if (this.#maxSize === 0) {
+            return;
+        }
+
+        this.#entries.delete(key);
+        this.#entries.set(key, value);
+        if (this.#entries.size > this.#maxSize) {
+            this.#entries.delete(this.#entries.keys().next().value as K);
+        }
+    }
+}
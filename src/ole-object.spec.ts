@@ -0,0 +1,260 @@
+import { expect } from "chai";
+import { readCompoundFileStreams } from "./compound-file.js";
+import { unwrapOLE } from "./ole-object.js";
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const MINI_STREAM_CUTOFF = 4096;
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+
+/**
+ * Creates a version 3 compound file with up to three streams in the root storage
+ */
+function createCompoundFile(streams: [name: string, data: Buffer][]): Buffer {
+    const fat: number[] = [0xfffffffd, END_OF_CHAIN, END_OF_CHAIN];
+    const miniFat: number[] = [];
+    const miniStreamParts: Buffer[] = [];
+    const sectors: Buffer[] = [];
+
+    const addChain = (table: number[], start: number, count: number) => {
+        for (let i = 0; i < count; ++i) {
+            table[start + i] = i === count - 1 ? END_OF_CHAIN : start + i + 1;
+        }
+    };
+
+    const startSectors = streams.map(([, data]) => {
+        if (data.length >= MINI_STREAM_CUTOFF) {
+            return -1;
+        }
+        const start = miniFat.length;
+        const count = Math.max(Math.ceil(data.length / MINI_SECTOR_SIZE), 1);
+        addChain(miniFat, start, count);
+        miniStreamParts.push(data, Buffer.alloc(count * MINI_SECTOR_SIZE - data.length));
+        return start;
+    });
+
+    const miniStream = Buffer.concat(miniStreamParts);
+    const miniStreamSectorCount = Math.ceil(miniStream.length / SECTOR_SIZE);
+    const miniStreamStart = miniStreamSectorCount > 0 ? 3 : END_OF_CHAIN;
+    addChain(fat, 3, miniStreamSectorCount);
+    sectors.push(Buffer.concat([miniStream], miniStreamSectorCount * SECTOR_SIZE));
+
+    streams.forEach(([, data], i) => {
+        if (data.length < MINI_STREAM_CUTOFF) {
+            return;
+        }
+        const start = fat.length;
+        const count = Math.ceil(data.length / SECTOR_SIZE);
+        addChain(fat, start, count);
+        sectors.push(Buffer.concat([data], count * SECTOR_SIZE));
+        startSectors[i] = start;
+    });
+
+    const directory = Buffer.alloc(SECTOR_SIZE);
+    const writeEntry = (index: number, name: string, type: number, start: number, size: number, child: number) => {
+        const entry = directory.slice(index * 128, (index + 1) * 128);
+        entry.write(name, 0, "utf16le");
+        entry.writeUInt16LE((name.length + 1) * 2, 0x40);
+        entry.writeUInt8(type, 0x42);
+        entry.writeUInt32LE(FREE_SECTOR, 0x44);
+        entry.writeUInt32LE(index > 0 && index < streams.length ? index + 1 : FREE_SECTOR, 0x48);
+        entry.writeUInt32LE(child, 0x4c);
+        entry.writeUInt32LE(start, 0x74);
+        entry.writeUInt32LE(size, 0x78);
+    };
+    writeEntry(0, "Root Entry", 5, miniStreamStart, miniStream.length, streams.length > 0 ? 1 : FREE_SECTOR);
+    streams.forEach(([name, data], i) => writeEntry(i + 1, name, 2, startSectors[i]!, data.length, FREE_SECTOR));
+
+    const header = Buffer.alloc(SECTOR_SIZE, 0xff);
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(header);
+    header.fill(0, 8, 0x4c);
+    header.writeUInt16LE(0x3e, 0x18);
+    header.writeUInt16LE(3, 0x1a);
+    header.writeUInt16LE(0xfffe, 0x1c);
+    header.writeUInt16LE(9, 0x1e);
+    header.writeUInt16LE(6, 0x20);
+    header.writeUInt32LE(1, 0x2c);
+    header.writeUInt32LE(1, 0x30);
+    header.writeUInt32LE(MINI_STREAM_CUTOFF, 0x38);
+    header.writeUInt32LE(2, 0x3c);
+    header.writeUInt32LE(1, 0x40);
+    header.writeUInt32LE(END_OF_CHAIN, 0x44);
+    header.writeUInt32LE(0, 0x4c);
+
+    const toSector = (entries: number[]) => {
+        const sector = Buffer.alloc(SECTOR_SIZE, 0xff);
+        entries.forEach((entry, i) => sector.writeUInt32LE(entry, i * 4));
+        return sector;
+    };
+
+    return Buffer.concat([header, toSector(fat), directory, toSector(miniFat), ...sectors]);
+}
+
+/**
+ * Creates the value of an OLE column
+ */
+function createOLEValue(className: string, typeName: string, data: Buffer): Buffer {
+    const prettyName = Buffer.from(`${className}\0`, "latin1");
+    const classNameBuffer = Buffer.from(`${className}\0`, "latin1");
+
+    const header = Buffer.alloc(20);
+    header.writeUInt16LE(0x1c15, 0);
+    header.writeUInt16LE(20 + prettyName.length + classNameBuffer.length, 2);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt16LE(prettyName.length, 8);
+    header.writeUInt16LE(classNameBuffer.length, 10);
+    header.writeUInt16LE(20, 12);
+    header.writeUInt16LE(20 + prettyName.length, 14);
+    header.writeInt32LE(-1, 16);
+
+    const typeNameBuffer = Buffer.from(`${typeName}\0`, "latin1");
+    const oleHeader = Buffer.alloc(12);
+    oleHeader.writeUInt32LE(0x0501, 0);
+    oleHeader.writeUInt32LE(2, 4);
+    oleHeader.writeUInt32LE(typeNameBuffer.length, 8);
+
+    const dataLength = Buffer.alloc(12);
+    dataLength.writeUInt32LE(data.length, 8);
+
+    return Buffer.concat([header, prettyName, classNameBuffer, oleHeader, typeNameBuffer, dataLength, data]);
+}
+
+function uint32(value: number): Buffer {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+function createPackage(fileName: string, data: Buffer, unicodeFileName?: string): Buffer {
+    const path = `C:\\Temp\\${fileName}`;
+    const parts = [
+        Buffer.from([0x02, 0x00]),
+        Buffer.from(`${fileName}\0${path}\0`, "latin1"),
+        uint32(0x00030000),
+        uint32(path.length + 1),
+        Buffer.from(`${path}\0`, "latin1"),
+        uint32(data.length),
+        data,
+    ];
+    if (unicodeFileName !== undefined) {
+        for (const value of [path, unicodeFileName, path]) {
+            parts.push(uint32(value.length), Buffer.from(value, "utf16le"));
+        }
+    }
+    return Buffer.concat(parts);
+}
+
+const pdf = Buffer.from("%PDF-1.4\n%%EOF\n");
+
+describe("compound file", () => {
+    it("reads streams in the mini stream and in sectors", () => {
+        const small = Buffer.from("small stream");
+        const large = Buffer.alloc(5000, 0xab);
+        const streams = readCompoundFileStreams(
+            createCompoundFile([
+                ["Small", small],
+                ["Large", large],
+                ["Empty", Buffer.alloc(0)],
+            ])
+        );
+        expect([...streams.keys()]).to.have.members(["Small", "Large", "Empty"]);
+        expect(streams.get("Small")).to.deep.eq(small);
+        expect(streams.get("Large")).to.deep.eq(large);
+        expect(streams.get("Empty")).to.deep.eq(Buffer.alloc(0));
+    });
+
+    it("throws for invalid signatures", () => {
+        expect(() => readCompoundFileStreams(Buffer.alloc(512))).to.throw("Invalid compound file signature");
+    });
+});
+
+describe("unwrapOLE()", () => {
+    it("returns values without OLE header as they are", () => {
+        expect(unwrapOLE(pdf)).to.deep.eq({
+            className: null,
+            fileName: null,
+            contentType: "application/pdf",
+            data: pdf,
+        });
+    });
+
+    it("packages", () => {
+        const value = createOLEValue("Package", "Package", createPackage("CONTRA~1.PDF", pdf, "contract.pdf"));
+        expect(unwrapOLE(value)).to.deep.eq({
+            className: "Package",
+            fileName: "contract.pdf",
+            contentType: "application/pdf",
+            data: pdf,
+        });
+
+        const text = Buffer.from("hello");
+        expect(unwrapOLE(createOLEValue("Package", "Package", createPackage("notes.txt", text)))).to.deep.eq({
+            className: "Package",
+            fileName: "notes.txt",
+            contentType: "text/plain",
+            data: text,
+        });
+    });
+
+    it("packages in compound files", () => {
+        const ole10Native = createPackage("photo.png", Buffer.from("\x89PNG\r\n", "latin1"), "photo.png");
+        const compoundFile = createCompoundFile([
+            ["\u0001Ole10Native", Buffer.concat([uint32(ole10Native.length), ole10Native])],
+        ]);
+        expect(unwrapOLE(createOLEValue("Package", "Package", compoundFile))).to.deep.include({
+            className: "Package",
+            fileName: "photo.png",
+            contentType: "image/png",
+        });
+    });
+
+    it("images stored directly", () => {
+        const bitmap = Buffer.from("BM\x00\x00\x00\x00", "latin1");
+        expect(unwrapOLE(createOLEValue("Paint.Picture", "PBrush", bitmap))).to.deep.eq({
+            className: "Paint.Picture",
+            fileName: null,
+            contentType: "image/bmp",
+            data: bitmap,
+        });
+    });
+
+    it("contents of compound files", () => {
+        const acrobat = createOLEValue("AcroExch.Document", "AcroExch.Document.DC", createCompoundFile([["CONTENTS", pdf]]));
+        expect(unwrapOLE(acrobat)).to.deep.include({
+            className: "AcroExch.Document",
+            contentType: "application/pdf",
+            data: pdf,
+        });
+
+        const docx = Buffer.from("PK\x03\x04", "latin1");
+        const word = createOLEValue("Word.Document.12", "Word.Document.12", createCompoundFile([["Package", docx]]));
+        expect(unwrapOLE(word)).to.deep.include({
+            contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            data: docx,
+        });
+    });
+
+    it("compound files which are the embedded file", () => {
+        const document = createCompoundFile([["WordDocument", Buffer.alloc(100)]]);
+        expect(unwrapOLE(createOLEValue("Word.Document.8", "Word.Document.8", document))).to.deep.eq({
+            className: "Word.Document.8",
+            fileName: null,
+            contentType: "application/msword",
+            data: document,
+        });
+    });
+
+    it("returns the data of unknown or damaged objects", () => {
+        const data = Buffer.from("unknown");
+        expect(unwrapOLE(createOLEValue("Unknown.Object", "Unknown", data))).to.deep.eq({
+            className: "Unknown.Object",
+            fileName: null,
+            contentType: "application/octet-stream",
+            data,
+        });
+
+        const damaged = Buffer.from([0x02, 0x00, 0x61]);
+        expect(unwrapOLE(createOLEValue("Package", "Package", damaged))).to.deep.include({ data: damaged });
+    });
+});
@@ -0,0 +1,254 @@
+import { isCompoundFile, readCompoundFileStreams } from "./compound-file.js";
+
+export interface OLEObject {
+    /**
+     * OLE class of the object, e.g. `Package`, `Paint.Picture`, `AcroExch.Document` or `Word.Document.8`. `null` if
+     * the value has no Access OLE header.
+     */
+    className: string | null;
+
+    /**
+     * Name of the embedded file. Only stored for packages, i.e. files inserted with "Create from File".
+     */
+    fileName: string | null;
+
+    /**
+     * MIME type of `data` derived from its content, e.g. `application/pdf`. `application/octet-stream` if unknown.
+     */
+    contentType: string;
+
+    /**
+     * Embedded file. The raw value if the object could not be unwrapped.
+     */
+    data: Buffer;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/OleUtil.java
+ */
+const OLE_HEADER_SIGNATURE = 0x1c15;
+const OLE_VERSION = 0x0501;
+const PACKAGE_SIGNATURE = 0x0002;
+const PACKAGE_EMBEDDED_FILE = 0x00030000;
+
+const PACKAGE_TYPE_NAME = "Package";
+
+/**
+ * Streams of compound files which contain the embedded file
+ */
+const OLE10_NATIVE_STREAM = "\u0001Ole10Native";
+const PACKAGE_STREAM = "Package";
+const CONTENTS_STREAM = "CONTENTS";
+
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+
+const CONTENT_TYPE_SIGNATURES: [signature: string, contentType: string][] = [
+    ["%PDF", "application/pdf"],
+    ["\x89PNG", "image/png"],
+    ["\xff\xd8\xff", "image/jpeg"],
+    ["GIF8", "image/gif"],
+    ["BM", "image/bmp"],
+    ["II*\x00", "image/tiff"],
+    ["MM\x00*", "image/tiff"],
+    ["{\\rtf", "application/rtf"],
+];
+
+const ZIP_SIGNATURE = "PK\x03\x04";
+
+/**
+ * Content types of Office documents by the prefix of the class name for compound files and Office Open XML files
+ */
+const OFFICE_CONTENT_TYPES: [classNamePrefix: string, compoundFile: string, openXML: string][] = [
+    ["Word.", "application/msword", "application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    ["Excel.", "application/vnd.ms-excel", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    [
+        "PowerPoint.",
+        "application/vnd.ms-powerpoint",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ],
+];
+
+const EXTENSION_CONTENT_TYPES: { [extension: string]: string } = {
+    csv: "text/csv",
+    htm: "text/html",
+    html: "text/html",
+    json: "application/json",
+    txt: "text/plain",
+    xml: "application/xml",
+    zip: "application/zip",
+};
+
+/**
+ * Extracts the embedded file of the value of an OLE column. Values without an Access OLE header and objects which
+ * cannot be unwrapped are returned as they are.
+ *
+ * Supports packages (files inserted with "Create from File"), objects which store the file directly (e.g. images of
+ * `Paint.Picture`) and compound files (e.g. `AcroExch.Document` or `Word.Document.8`).
+ *
+ * @param buffer Value of an OLE column
+ */
+export function unwrapOLE(buffer: Buffer): OLEObject {
+    const object = readOLEHeader(buffer);
+    if (object === null) {
+        return createOLEObject(null, null, buffer);
+    }
+
+    const { className, typeName, data } = object;
+
+    try {
+        if (typeName === PACKAGE_TYPE_NAME) {
+            const file = readPackage(data);
+            if (file !== null) {
+                return createOLEObject(className, file.fileName, file.data);
+            }
+        }
+
+        if (isCompoundFile(data)) {
+            const file = readCompoundFileObject(data);
+            return createOLEObject(className, file.fileName, file.data);
+        }
+    } catch {
+        // Damaged objects are returned as they are stored
+    }
+
+    return createOLEObject(className, null, data);
+}
+
+/**
+ * @returns `null` if the buffer has no valid header
+ */
+function readOLEHeader(buffer: Buffer): { className: string; typeName: string; data: Buffer } | null {
+    if (buffer.length < 20 || buffer.readUInt16LE(0) !== OLE_HEADER_SIGNATURE) {
+        return null;
+    }
+
+    const headerSize = buffer.readUInt16LE(2);
+    const classNameLength = buffer.readUInt16LE(10);
+    const classNameOffset = buffer.readUInt16LE(14);
+    const className = readString(buffer, classNameOffset, classNameLength);
+
+    if (buffer.length < headerSize + 12 || buffer.readUInt32LE(headerSize) !== OLE_VERSION) {
+        return null;
+    }
+
+    const typeNameLength = buffer.readUInt32LE(headerSize + 8);
+    const typeName = readString(buffer, headerSize + 12, typeNameLength);
+
+    // Type name is followed by 8 unused bytes
+    const dataLengthOffset = headerSize + 12 + typeNameLength + 8;
+    if (buffer.length < dataLengthOffset + 4) {
+        return null;
+    }
+    const dataLength = buffer.readUInt32LE(dataLengthOffset);
+    const data = buffer.slice(dataLengthOffset + 4, dataLengthOffset + 4 + dataLength);
+
+    return { className, typeName, data };
+}
+
+/**
+ * Reads the file of a package. The ANSI file name is replaced by the Unicode file name stored after the file if it
+ * exists.
+ *
+ * @returns `null` if the package does not contain an embedded file, e.g. for linked files
+ */
+function readPackage(buffer: Buffer): { fileName: string; data: Buffer } | null {
+    if (buffer.length < 2 || buffer.readUInt16LE(0) !== PACKAGE_SIGNATURE) {
+        return null;
+    }
+
+    let offset = 2;
+    const readZeroTerminatedString = () => {
+        const end = buffer.indexOf(0, offset);
+        if (end === -1) {
+            throw new Error("Invalid OLE package");
+        }
+        const value = buffer.slice(offset, end).toString("latin1");
+        offset = end + 1;
+        return value;
+    };
+    const readUInt32 = () => {
+        const value = buffer.readUInt32LE(offset);
+        offset += 4;
+        return value;
+    };
+
+    let fileName = readZeroTerminatedString();
+    readZeroTerminatedString(); // Path of the original file
+    if (readUInt32() !== PACKAGE_EMBEDDED_FILE) {
+        return null;
+    }
+
+    const temporaryPathLength = readUInt32();
+    offset += temporaryPathLength;
+
+    const dataLength = readUInt32();
+    const data = buffer.slice(offset, offset + dataLength);
+    offset += dataLength;
+
+    // Unicode strings in the order temporary path, file name and path of the original file
+    for (let i = 0; i < 2 && offset + 4 <= buffer.length; ++i) {
+        const length = readUInt32() * 2;
+        const value = buffer.slice(offset, offset + length).toString("utf16le");
+        offset += length;
+        if (i === 1 && value !== "") {
+            fileName = value;
+        }
+    }
+
+    return { fileName, data };
+}
+
+/**
+ * Packages created by newer versions of Office are stored in the `Ole10Native` stream, Office Open XML documents in
+ * the `Package` stream and e.g. PDF documents in the `CONTENTS` stream. Other compound files like Word 97 documents
+ * are the embedded file themselves.
+ */
+function readCompoundFileObject(buffer: Buffer): { fileName: string | null; data: Buffer } {
+    const streams = readCompoundFileStreams(buffer);
+
+    const ole10Native = streams.get(OLE10_NATIVE_STREAM);
+    if (ole10Native !== undefined && ole10Native.length >= 4) {
+        const file = readPackage(ole10Native.slice(4, 4 + ole10Native.readUInt32LE(0)));
+        if (file !== null) {
+            return file;
+        }
+    }
+
+    const data = streams.get(PACKAGE_STREAM) ?? streams.get(CONTENTS_STREAM) ?? buffer;
+    return { fileName: null, data };
+}
+
+function createOLEObject(className: string | null, fileName: string | null, data: Buffer): OLEObject {
+    return { className, fileName, contentType: getContentType(data, className, fileName), data };
+}
+
+function getContentType(data: Buffer, className: string | null, fileName: string | null): string {
+    const signature = CONTENT_TYPE_SIGNATURES.find(([s]) => startsWith(data, s));
+    if (signature !== undefined) {
+        return signature[1];
+    }
+
+    const officeContentTypes = OFFICE_CONTENT_TYPES.find(([prefix]) => className?.startsWith(prefix));
+    if (isCompoundFile(data)) {
+        return officeContentTypes?.[1] ?? "application/x-ole-storage";
+    }
+    if (startsWith(data, ZIP_SIGNATURE)) {
+        return officeContentTypes?.[2] ?? "application/zip";
+    }
+
+    const extension = fileName?.split(".").pop()?.toLowerCase();
+    return (extension !== undefined ? EXTENSION_CONTENT_TYPES[extension] : undefined) ?? DEFAULT_CONTENT_TYPE;
+}
+
+function startsWith(data: Buffer, signature: string): boolean {
+    return data.slice(0, signature.length).equals(Buffer.from(signature, "latin1"));
+}
+
+/**
+ * Reads an ANSI string which may be terminated by a null character
+ */
+function readString(buffer: Buffer, offset: number, length: number): string {
+    const value = buffer.slice(offset, offset + length).toString("latin1");
+    const end = value.indexOf("\0");
+    return end === -1 ? value : value.slice(0, end);
+}
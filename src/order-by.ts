@@ -0,0 +1,53 @@
+import type { ColumnDefinition } from "./column.js";
+import { compareNullableValues } from "./compare.js";
+import type { Value } from "./types.js";
+
+/**
+ * Name of the column to sort by in ascending order or the column and its order
+ */
+export type OrderBy = string | { column: string; order?: "asc" | "desc" | undefined };
+
+export interface RowSorter {
+    /**
+     * Columns to sort by
+     */
+    columns: ReadonlyArray<ColumnDefinition>;
+
+    /**
+     * @param a Values of `columns` in their default representation
+     * @param b Values of `columns` in their default representation
+     */
+    compare(a: ReadonlyArray<Value>, b: ReadonlyArray<Value>): number;
+}
+
+/**
+ * Text is compared case insensitive and `null` is sorted first like in Access.
+ *
+ * @param columns All columns of the table
+ */
+export function createRowSorter(
+    orderBy: OrderBy | ReadonlyArray<OrderBy>,
+    columns: ReadonlyArray<ColumnDefinition>
+): RowSorter {
+    const sortColumns = (Array.isArray(orderBy) ? orderBy : [orderBy]).map((o: OrderBy) => {
+        const { column: name, order = "asc" } = typeof o === "string" ? { column: o } : o;
+        const column = columns.find((c) => c.name === name);
+        if (column === undefined) {
+            throw new Error(`Could not find column with name ${name}`);
+        }
+        return { column, direction: order === "desc" ? -1 : 1 };
+    });
+
+    return {
+        columns: sortColumns.map((c) => c.column),
+        compare: (a, b) => {
+            for (const [i, { column, direction }] of sortColumns.entries()) {
+                const result = compareNullableValues(a[i]!, b[i]!, column.type);
+                if (result !== 0) {
+                    return result * direction;
+                }
+            }
+            return 0;
+        },
+    };
+}
@@ -0,0 +1,78 @@
+import type { AsyncPageSource, PageSource } from "./types.js";
+
+/**
+ * Thrown by `AsyncPageLoader` when a page is read which hasn't been loaded yet
+ */
+export class PageNotLoadedError extends Error {
+    readonly page: number;
+    readonly pageSize: number;
+
+    constructor(page: number, pageSize: number) {
+        super(`Page ${page} has not been loaded`);
+        this.page = page;
+        this.pageSize = pageSize;
+    }
+}
+
+/**
+ * Makes an async page source usable by the synchronous parts of the library. Reading a page which hasn't been
+ * loaded throws an error that is caught by `run` which loads the page and invokes the callback again.
+ */
+export class AsyncPageLoader implements PageSource {
+    readonly #source: AsyncPageSource | PageSource;
+    readonly #pages = new Map<string, Buffer>();
+
+    constructor(source: AsyncPageSource | PageSource) {
+        this.#source = source;
+    }
+
+    get size(): number {
+        return this.#source.size;
+    }
+
+    readPage(page: number, pageSize: number): Buffer {
+        const pageBuffer = this.#pages.get(getPageKey(page, pageSize));
+        if (pageBuffer === undefined) {
+            throw new PageNotLoadedError(page, pageSize);
+        }
+        return pageBuffer;
+    }
+
+    /**
+     * Invokes the callback until all pages it reads have been loaded. Pages loaded during the call are released
+     * afterwards.
+     *
+     * The callback starts over for every page that is loaded and all pages stay in memory until it returns, so it should
+     * only read a few pages, e.g. a table definition or a single data page with its memo values. Larger operations are
+     * split into several calls.
+     */
+    async run<T>(callback: () => T): Promise<T> {
+        const loadedPages = new Set<string>();
+        try {
+            for (;;) {
+                try {
+                    return callback();
+                } catch (error) {
+                    if (!(error instanceof PageNotLoadedError)) {
+                        throw error;
+                    }
+
+                    const key = getPageKey(error.page, error.pageSize);
+                    this.#pages.set(key, await this.#source.readPage(error.page, error.pageSize));
+                    loadedPages.add(key);
+                }
+            }
+        } finally {
+            for (const key of loadedPages) {
+                this.#pages.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * The database header is read with a smaller page size before the actual page size is known
+ */
+function getPageKey(page: number, pageSize: number): string {
+    return `${page}:${pageSize}`;
+}
@@ -0,0 +1,14 @@
+import type { AsyncPageSource } from "./types.js";
+
+/**
+ * Reads pages from a `Blob` or `File`, e.g. selected via `<input type="file">`
+ */
+export function createBlobPageSource(blob: Blob): AsyncPageSource {
+    return {
+        size: blob.size,
+        readPage: async (page, pageSize) => {
+            const arrayBuffer = await blob.slice(page * pageSize, (page + 1) * pageSize).arrayBuffer();
+            return Buffer.from(arrayBuffer);
+        },
+    };
+}
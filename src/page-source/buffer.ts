@@ -0,0 +1,11 @@
+import type { PageSource } from "./types.js";
+
+/**
+ * Reads pages from a buffer containing the whole database
+ */
+export function createBufferPageSource(buffer: Buffer): PageSource {
+    return {
+        size: buffer.length,
+        readPage: (page, pageSize) => buffer.slice(page * pageSize, (page + 1) * pageSize),
+    };
+}
@@ -0,0 +1,20 @@
+import { fstatSync, readSync } from "../environment/index.js";
+import type { PageSource } from "./types.js";
+
+/**
+ * Reads pages from an open file. Only available in Node.
+ *
+ * @param fd File descriptor, e.g. returned by `fs.openSync`. Has to be closed by the caller.
+ */
+export function createFileDescriptorPageSource(fd: number): PageSource {
+    const size = fstatSync(fd).size;
+    return {
+        size,
+        readPage: (page, pageSize) => {
+            const offset = page * pageSize;
+            const buffer = Buffer.alloc(Math.max(0, Math.min(pageSize, size - offset)));
+            readSync(fd, buffer, 0, buffer.length, offset);
+            return buffer;
+        },
+    };
+}
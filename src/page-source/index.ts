@@ -0,0 +1,5 @@
+export { AsyncPageLoader } from "./async.js";
+export { createBlobPageSource } from "./blob.js";
+export { createBufferPageSource } from "./buffer.js";
+export { createFileDescriptorPageSource } from "./file-descriptor.js";
+export * from "./types.js";
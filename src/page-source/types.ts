@@ -0,0 +1,29 @@
+export interface PageSource {
+    /**
+     * Size of the database in bytes
+     */
+    readonly size: number;
+
+    /**
+     * Reads a page of the database. Pages at the end of the database may be shorter than `pageSize`.
+     *
+     * @param page Page number. 0-based.
+     * @param pageSize Size of a page in bytes. Depends on the version of the database.
+     */
+    readPage(page: number, pageSize: number): Buffer;
+}
+
+export interface AsyncPageSource {
+    /**
+     * Size of the database in bytes
+     */
+    readonly size: number;
+
+    /**
+     * Reads a page of the database. Pages at the end of the database may be shorter than `pageSize`.
+     *
+     * @param page Page number. 0-based.
+     * @param pageSize Size of a page in bytes. Depends on the version of the database.
+     */
+    readPage(page: number, pageSize: number): Promise<Buffer>;
+}
@@ -0,0 +1,71 @@
+import { expect } from "chai";
+import { parsePropertyMaps } from "./properties.js";
+
+const format = { textEncoding: "ucs-2" } as const;
+
+function block(type: number, content: Buffer): Buffer {
+    const header = Buffer.alloc(6);
+    header.writeUInt32LE(6 + content.length, 0);
+    header.writeUInt16LE(type, 4);
+    return Buffer.concat([header, content]);
+}
+
+function name(value: string): Buffer {
+    const text = Buffer.from(value, "ucs-2");
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(text.length);
+    return Buffer.concat([length, text]);
+}
+
+function values(mapName: string, entries: [type: number, nameIndex: number, data: Buffer][]): Buffer {
+    const nameBlock = mapName.length > 0 ? name(mapName) : Buffer.alloc(2);
+    const nameBlockLength = Buffer.alloc(4);
+    nameBlockLength.writeUInt32LE(4 + nameBlock.length);
+
+    return Buffer.concat([
+        nameBlockLength,
+        nameBlock,
+        ...entries.map(([type, nameIndex, data]) => {
+            const header = Buffer.alloc(8);
+            header.writeUInt16LE(8 + data.length, 0);
+            header.writeUInt8(type, 3);
+            header.writeUInt16LE(nameIndex, 4);
+            header.writeUInt16LE(data.length, 6);
+            return Buffer.concat([header, data]);
+        }),
+    ]);
+}
+
+describe("parsePropertyMaps", () => {
+    it("parses object and column properties", () => {
+        const buffer = Buffer.concat([
+            Buffer.from("MR2\0", "latin1"),
+            block(0x80, Buffer.concat([name("Description"), name("Required"), name("ListRows")])),
+            block(0x00, values("", [[0x0a, 0, Buffer.from("Cats", "ucs-2")]])),
+            block(
+                0x01,
+                values("Name", [
+                    [0x0a, 0, Buffer.from("Name of the cat", "ucs-2")],
+                    [0x01, 1, Buffer.from([0xff])],
+                    [0x03, 2, Buffer.from([0x08, 0x00])],
+                ])
+            ),
+        ]);
+
+        const maps = parsePropertyMaps(buffer, format);
+        expect(maps.object).to.deep.eq({ Description: "Cats" });
+        expect([...maps.columns.entries()]).to.deep.eq([
+            ["Name", { Description: "Name of the cat", Required: true, ListRows: 8 }],
+        ]);
+    });
+
+    it("returns empty maps for empty data", () => {
+        const maps = parsePropertyMaps(Buffer.alloc(0), format);
+        expect(maps.object).to.deep.eq({});
+        expect(maps.columns.size).to.eq(0);
+    });
+
+    it("throws for unknown map types", () => {
+        expect(() => parsePropertyMaps(Buffer.from("XYZ\0", "latin1"), format)).to.throw();
+    });
+});
@@ -0,0 +1,299 @@
+import { DEFAULT_CODE_PAGE } from "./code-page.js";
+import { getColumnType, getColumnTypeValue } from "./column.js";
+import { readBigInt } from "./data/bigint.js";
+import { readBinary } from "./data/binary.js";
+import { readByte } from "./data/byte.js";
+import { readComplexOrLong } from "./data/complexOrLong.js";
+import { readCurrency } from "./data/currency.js";
+import { readDateTime } from "./data/datetime.js";
+import { readDateTimeExtended } from "./data/datetimextended.js";
+import { readDouble } from "./data/double.js";
+import { readFloat } from "./data/float.js";
+import { readInteger } from "./data/integer.js";
+import { readRepID } from "./data/repid.js";
+import type { JetFormat } from "./JetFormat/index.js";
+import { type ColumnType, ColumnTypes, type Value } from "./types.js";
+import { uncompressText } from "./unicodeCompression.js";
+
+export interface Properties {
+    [name: string]: Value;
+}
+
+export interface ColumnProperties extends Properties {
+    Description?: string;
+    Caption?: string;
+    DefaultValue?: string;
+    ValidationRule?: string;
+    ValidationText?: string;
+    Format?: string;
+    InputMask?: string;
+    Required?: boolean;
+    AllowZeroLength?: boolean;
+
+    // Lookup
+    DisplayControl?: number;
+    RowSourceType?: string;
+    RowSource?: string;
+    BoundColumn?: number;
+    ColumnCount?: number;
+    ColumnHeads?: boolean;
+    ColumnWidths?: string;
+    ListRows?: number;
+    ListWidth?: string;
+    LimitToList?: boolean;
+    AllowMultipleValues?: boolean;
+}
+
+/**
+ * Properties stored in `MSysObjects.LvProp`
+ */
+export interface PropertyMaps {
+    /**
+     * Properties of the object itself, e.g. of the table
+     */
+    object: Properties;
+
+    /**
+     * Properties of the columns of a table by column name
+     */
+    columns: Map<string, ColumnProperties>;
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/PropertyMaps.java
+ */
+const PROPERTY_MAP_TYPES = ["MR2\0", "KKD\0"];
+const PROPERTY_NAME_LIST = 0x80;
+const DEFAULT_PROPERTY_VALUE_LIST = 0x00;
+const COLUMN_PROPERTY_VALUE_LIST = 0x01;
+
+/**
+ * The property data starts with a header followed by blocks. The first block contains the names of all properties
+ * which are referenced by the following blocks containing the values of the object and its columns.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/PropertyMaps.java
+ */
+export function parsePropertyMaps(
+    buffer: Buffer,
+    format: Pick<JetFormat, "textEncoding">,
+    codePage = DEFAULT_CODE_PAGE
+): PropertyMaps {
+    const maps: PropertyMaps = { object: {}, columns: new Map() };
+    if (buffer.length === 0) {
+        return maps;
+    }
+
+    const mapType = buffer.toString("latin1", 0, 4);
+    if (!PROPERTY_MAP_TYPES.includes(mapType)) {
+        throw new Error(`Unknown property map type ${mapType}`);
+    }
+
+    let names: string[] = [];
+    let pos = 4;
+    while (pos < buffer.length) {
+        const blockLength = buffer.readUInt32LE(pos);
+        const blockType = buffer.readUInt16LE(pos + 4);
+        if (blockLength < 6) {
+            throw new Error(`Invalid property block length ${blockLength}`);
+        }
+
+        const block = buffer.slice(pos + 6, pos + blockLength);
+        switch (blockType) {
+            case PROPERTY_NAME_LIST:
+                names = readPropertyNames(block, format, codePage);
+                break;
+            case DEFAULT_PROPERTY_VALUE_LIST:
+                maps.object = { ...maps.object, ...readPropertyValues(block, names, format, codePage).properties };
+                break;
+            case COLUMN_PROPERTY_VALUE_LIST: {
+                const { name, properties } = readPropertyValues(block, names, format, codePage);
+                maps.columns.set(name, properties as ColumnProperties);
+                break;
+            }
+            default:
+                throw new Error(`Unknown property block type ${blockType}`);
+        }
+
+        pos += blockLength;
+    }
+
+    return maps;
+}
+
+function readPropertyNames(block: Buffer, format: Pick<JetFormat, "textEncoding">, codePage: number): string[] {
+    const names: string[] = [];
+    let pos = 0;
+    while (pos < block.length) {
+        const nameLength = block.readUInt16LE(pos);
+        names.push(uncompressText(block.slice(pos + 2, pos + 2 + nameLength), format, codePage));
+        pos += 2 + nameLength;
+    }
+    return names;
+}
+
+/**
+ * @returns Name of the column or an empty string for the object itself and its properties
+ */
+function readPropertyValues(
+    block: Buffer,
+    names: ReadonlyArray<string>,
+    format: Pick<JetFormat, "textEncoding">,
+    codePage: number
+): { name: string; properties: Properties } {
+    let name = "";
+    let pos = 0;
+    if (block.length > 0) {
+        const nameBlockLength = block.readUInt32LE(0);
+        if (nameBlockLength > 6) {
+            const nameLength = block.readUInt16LE(4);
+            name = uncompressText(block.slice(6, 6 + nameLength), format, codePage);
+        }
+        pos = nameBlockLength;
+    }
+
+    const properties: Properties = {};
+    while (pos < block.length) {
+        const valueLength = block.readUInt16LE(pos);
+        const type = getColumnType(block.readUInt8(pos + 3));
+        const nameIndex = block.readUInt16LE(pos + 4);
+        const dataSize = block.readUInt16LE(pos + 6);
+
+        const propertyName = names[nameIndex];
+        if (propertyName === undefined) {
+            throw new Error(`Unknown property name index ${nameIndex}`);
+        }
+
+        properties[propertyName] = readPropertyValue(block.slice(pos + 8, pos + 8 + dataSize), type, format, codePage);
+        pos += valueLength;
+    }
+
+    return { name, properties };
+}
+
+/**
+ * Values are stored like fixed length column values. Long values are stored inline.
+ */
+function readPropertyValue(
+    data: Buffer,
+    type: ColumnType,
+    format: Pick<JetFormat, "textEncoding">,
+    codePage: number
+): Value {
+    switch (type) {
+        case ColumnTypes.Boolean:
+            return data.length > 0 && data.readUInt8(0) !== 0;
+        case ColumnTypes.Byte:
+            return readByte(data);
+        case ColumnTypes.Integer:
+            return readInteger(data);
+        case ColumnTypes.Long:
+        case ColumnTypes.Complex:
+            return readComplexOrLong(data);
+        case ColumnTypes.Currency:
+            return readCurrency(data);
+        case ColumnTypes.Float:
+            return readFloat(data);
+        case ColumnTypes.Double:
+            return readDouble(data);
+        case ColumnTypes.DateTime:
+            return readDateTime(data);
+        case ColumnTypes.DateTimeExtended:
+            return readDateTimeExtended(data);
+        case ColumnTypes.BigInt:
+            return readBigInt(data);
+        case ColumnTypes.RepID:
+            return readRepID(data);
+        case ColumnTypes.Text:
+        case ColumnTypes.Memo:
+            return uncompressText(data, format, codePage);
+        case ColumnTypes.Binary:
+        case ColumnTypes.OLE:
+        case ColumnTypes.Numeric:
+            // precision and scale of numeric values are unknown
+            return readBinary(data);
+    }
+}
+
+/**
+ * Encodes property maps like `parsePropertyMaps` reads them. Only boolean, number and string values can be written.
+ * Numbers are stored as long integers.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/PropertyMaps.java
+ */
+export function writePropertyMaps(maps: PropertyMaps): Buffer {
+    const names: string[] = [];
+    const getNameIndex = (name: string): number => {
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+        return names.indexOf(name);
+    };
+
+    const valueBlocks = [
+        writePropertyValues(DEFAULT_PROPERTY_VALUE_LIST, "", maps.object, getNameIndex),
+        ...[...maps.columns].map(([name, properties]) =>
+            writePropertyValues(COLUMN_PROPERTY_VALUE_LIST, name, properties, getNameIndex)
+        ),
+    ];
+
+    return Buffer.concat([
+        Buffer.from(PROPERTY_MAP_TYPES[0]!, "latin1"),
+        writePropertyBlock(PROPERTY_NAME_LIST, Buffer.concat(names.map(writePropertyText))),
+        ...valueBlocks,
+    ]);
+}
+
+function writePropertyValues(
+    blockType: number,
+    name: string,
+    properties: Properties,
+    getNameIndex: (name: string) => number
+): Buffer {
+    const nameBlock = Buffer.alloc(4);
+    const encodedName = writePropertyText(name);
+    nameBlock.writeUInt32LE(nameBlock.length + encodedName.length);
+
+    const values = Object.entries(properties).map(([propertyName, value]) => {
+        const { type, data } = writePropertyValue(propertyName, value);
+        const header = Buffer.alloc(8);
+        header.writeUInt16LE(header.length + data.length, 0);
+        header.writeUInt8(getColumnTypeValue(type), 3);
+        header.writeUInt16LE(getNameIndex(propertyName), 4);
+        header.writeUInt16LE(data.length, 6);
+        return Buffer.concat([header, data]);
+    });
+
+    return writePropertyBlock(blockType, Buffer.concat([nameBlock, encodedName, ...values]));
+}
+
+function writePropertyValue(name: string, value: Value): { type: ColumnType; data: Buffer } {
+    if (typeof value === "boolean") {
+        return { type: ColumnTypes.Boolean, data: Buffer.from([value ? 0x01 : 0x00]) };
+    }
+    if (typeof value === "number") {
+        const data = Buffer.alloc(4);
+        data.writeInt32LE(value);
+        return { type: ColumnTypes.Long, data };
+    }
+    if (typeof value === "string") {
+        return { type: ColumnTypes.Text, data: Buffer.from(value, "ucs2") };
+    }
+    throw new Error(`Property ${name} cannot be written`);
+}
+
+function writePropertyBlock(blockType: number, content: Buffer): Buffer {
+    const header = Buffer.alloc(6);
+    header.writeUInt32LE(header.length + content.length, 0);
+    header.writeUInt16LE(blockType, 4);
+    return Buffer.concat([header, content]);
+}
+
+/**
+ * Text with its length in bytes like the names of properties are stored
+ */
+function writePropertyText(text: string): Buffer {
+    const encoded = Buffer.from(text, "ucs2");
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(encoded.length);
+    return Buffer.concat([length, encoded]);
+}
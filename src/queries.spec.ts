@@ -0,0 +1,111 @@
+import { expect } from "chai";
+import { getQueryType, parseQuery, type QueryRow, QueryTypes } from "./queries.js";
+
+function row(Attribute: number, values: Partial<Omit<QueryRow, "Attribute" | "Order">> = {}, order = 1): QueryRow {
+    const Order = Buffer.alloc(4);
+    Order.writeUInt32BE(order);
+    return { Attribute, Expression: null, Flag: null, Name1: null, Name2: null, Order, ...values };
+}
+
+describe("queries", () => {
+    it("getQueryType", () => {
+        expect(getQueryType(0)).to.eq(QueryTypes.Select);
+        expect(getQueryType(3)).to.eq(QueryTypes.Select);
+        expect(getQueryType(16)).to.eq(QueryTypes.Crosstab);
+        expect(getQueryType(32)).to.eq(QueryTypes.Delete);
+        expect(getQueryType(48)).to.eq(QueryTypes.Update);
+        expect(getQueryType(64)).to.eq(QueryTypes.Append);
+        expect(getQueryType(80)).to.eq(QueryTypes.MakeTable);
+        expect(getQueryType(96)).to.eq(QueryTypes.DataDefinition);
+        expect(getQueryType(112)).to.eq(QueryTypes.PassThrough);
+        expect(getQueryType(128)).to.eq(QueryTypes.Union);
+        expect(getQueryType(144)).to.eq(QueryTypes.Unknown);
+    });
+
+    describe("parseQuery", () => {
+        it("select with joins, parameters and sorting", () => {
+            const query = parseQuery("query", QueryTypes.Select, [
+                row(0, { Flag: 1 }),
+                row(2, { Name1: "Min Price", Flag: 7 }),
+                row(3, { Flag: 0x12, Name1: "10" }),
+                row(5, { Name1: "Orders", Name2: "o" }),
+                row(5, { Name1: "Customers" }, 2),
+                row(5, { Name1: "Order Items" }, 3),
+                row(6, { Expression: "o.Id" }),
+                row(6, { Expression: "Customers.Name", Name1: "Customer Name" }, 2),
+                row(7, { Name1: "o", Name2: "Customers", Expression: "o.CustomerId = Customers.Id", Flag: 1 }),
+                row(7, { Name1: "o", Name2: "Order Items", Expression: "o.Id = [Order Items].OrderId", Flag: 2 }, 2),
+                row(8, { Expression: "[Order Items].Price > [Min Price]" }),
+                row(11, { Expression: "o.Id", Name1: "D" }),
+                row(11, { Expression: "Customers.Name" }, 2),
+            ]);
+
+            expect(query.parameters).to.deep.eq([{ name: "Min Price", type: "IEEEDouble" }]);
+            expect(query.sql).to.eq(
+                [
+                    "PARAMETERS [Min Price] IEEEDouble;",
+                    "SELECT DISTINCT TOP 10 o.Id, Customers.Name AS [Customer Name]",
+                    "FROM (Orders AS o INNER JOIN Customers ON o.CustomerId = Customers.Id) LEFT JOIN [Order Items] ON o.Id = [Order Items].OrderId",
+                    "WHERE [Order Items].Price > [Min Price]",
+                    "ORDER BY o.Id DESC, Customers.Name;",
+                ].join("\n")
+            );
+        });
+
+        it("union", () => {
+            const query = parseQuery("query", QueryTypes.Union, [
+                row(3, { Flag: 0x02 }),
+                row(5, { Name2: "X7YZ_____1", Expression: "SELECT Name FROM Cats" }),
+                row(5, { Name2: "X7YZ_____2", Expression: "SELECT Name FROM Dogs" }, 2),
+                row(11, { Expression: "Name" }),
+            ]);
+
+            expect(query.sql).to.eq("SELECT Name FROM Cats\nUNION ALL\nSELECT Name FROM Dogs\nORDER BY Name;");
+        });
+
+        it("update", () => {
+            const query = parseQuery("query", QueryTypes.Update, [
+                row(5, { Name1: "Asset Items" }),
+                row(6, { Expression: "[Cost]*2", Name2: "Asset Items.Cost" }),
+                row(8, { Expression: "[Cost] < 10" }),
+            ]);
+
+            expect(query.sql).to.eq("UPDATE [Asset Items]\nSET [Asset Items].Cost = [Cost]*2\nWHERE [Cost] < 10;");
+        });
+
+        it("append", () => {
+            const query = parseQuery("query", QueryTypes.Append, [
+                row(0, { Name1: "Archive" }),
+                row(5, { Name1: "Orders" }),
+                row(6, { Expression: "Orders.Id", Name2: "Order Id" }),
+                row(8, { Expression: "Orders.Closed = True" }),
+            ]);
+
+            expect(query.sql).to.eq(
+                "INSERT INTO Archive ([Order Id])\nSELECT Orders.Id\nFROM Orders\nWHERE Orders.Closed = True;"
+            );
+        });
+
+        it("crosstab", () => {
+            const query = parseQuery("query", QueryTypes.Crosstab, [
+                row(5, { Name1: "Sales" }),
+                row(6, { Expression: "Sum(Sales.Amount)", Name1: "Total", Flag: 0 }),
+                row(6, { Expression: "Sales.Region", Flag: 2 }, 2),
+                row(6, { Expression: "Sales.Year", Flag: 1 }, 3),
+                row(9, { Expression: "Sales.Region" }),
+            ]);
+
+            expect(query.sql).to.eq(
+                "TRANSFORM Sum(Sales.Amount) AS Total\nSELECT Sales.Region\nFROM Sales\nGROUP BY Sales.Region\nPIVOT Sales.Year;"
+            );
+        });
+
+        it("data definition", () => {
+            const query = parseQuery("query", QueryTypes.DataDefinition, [
+                row(0, { Expression: "CREATE TABLE Cats (Name TEXT);" }),
+            ]);
+
+            expect(query.sql).to.eq("CREATE TABLE Cats (Name TEXT);");
+        });
+    });
+});
@@ -0,0 +1,465 @@
+export const QueryTypes = {
+    Select: "select",
+    MakeTable: "maketable",
+    Append: "append",
+    Update: "update",
+    Delete: "delete",
+    Crosstab: "crosstab",
+    DataDefinition: "ddl",
+    PassThrough: "passthrough",
+    Union: "union",
+    Unknown: "unknown",
+} as const;
+
+export type QueryType = typeof QueryTypes[keyof typeof QueryTypes];
+
+export interface Query {
+    /**
+     * Name of the query
+     */
+    name: string;
+
+    type: QueryType;
+    parameters: QueryParameter[];
+
+    /**
+     * SQL of the query as shown in the SQL view of Access
+     */
+    sql: string;
+}
+
+export interface QueryParameter {
+    /**
+     * Name of the parameter
+     */
+    name: string;
+
+    /**
+     * Access SQL data type of the parameter, e.g. `Text` or `Long`
+     */
+    type: string;
+}
+
+/**
+ * Row of MSysQueries. Every query consists of multiple rows which describe the different parts of the query.
+ */
+export type QueryRow = {
+    Attribute: number;
+    Expression: string | null;
+    Flag: number | null;
+    Name1: string | null;
+    Name2: string | null;
+    Order: Buffer | null;
+};
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/query/QueryFormat.java
+ */
+const QueryObjectFlags = {
+    Select: 0,
+    Crosstab: 16,
+    Delete: 32,
+    Update: 48,
+    Append: 64,
+    MakeTable: 80,
+    DataDefinition: 96,
+    PassThrough: 112,
+    Union: 128,
+} as const;
+
+/**
+ * The lower bits of the object flags contain the hidden & system flags
+ */
+const QUERY_TYPE_MASK = 0xf0;
+
+const Attributes = {
+    Type: 0,
+    Parameter: 2,
+    Flag: 3,
+    RemoteDatabase: 4,
+    Table: 5,
+    Column: 6,
+    Join: 7,
+    Where: 8,
+    GroupBy: 9,
+    Having: 10,
+    OrderBy: 11,
+} as const;
+
+const SELECT_STAR_FLAG = 0x01;
+const DISTINCT_FLAG = 0x02;
+const OWNER_ACCESS_FLAG = 0x04;
+const DISTINCT_ROW_FLAG = 0x08;
+const TOP_FLAG = 0x10;
+const PERCENT_FLAG = 0x20;
+const UNION_ALL_FLAG = 0x02;
+
+const CROSSTAB_PIVOT_FLAG = 0x01;
+const CROSSTAB_NORMAL_FLAG = 0x02;
+
+const UNION_PART_1 = "X7YZ_____1";
+const UNION_PART_2 = "X7YZ_____2";
+
+const DESCENDING_ORDER = "D";
+
+const JOIN_TYPES: Record<number, string> = {
+    1: "INNER JOIN",
+    2: "LEFT JOIN",
+    3: "RIGHT JOIN",
+};
+
+const PARAMETER_TYPES: Record<number, string> = {
+    0: "Value",
+    1: "Bit",
+    2: "Byte",
+    3: "Short",
+    4: "Long",
+    5: "Currency",
+    6: "IEEESingle",
+    7: "IEEEDouble",
+    8: "DateTime",
+    9: "Binary",
+    10: "Text",
+    11: "LongBinary",
+    12: "Memo",
+    15: "Guid",
+};
+
+export function getQueryType(objectFlags: number): QueryType {
+    switch (objectFlags & QUERY_TYPE_MASK) {
+        case QueryObjectFlags.Select:
+            return QueryTypes.Select;
+        case QueryObjectFlags.Crosstab:
+            return QueryTypes.Crosstab;
+        case QueryObjectFlags.Delete:
+            return QueryTypes.Delete;
+        case QueryObjectFlags.Update:
+            return QueryTypes.Update;
+        case QueryObjectFlags.Append:
+            return QueryTypes.Append;
+        case QueryObjectFlags.MakeTable:
+            return QueryTypes.MakeTable;
+        case QueryObjectFlags.DataDefinition:
+            return QueryTypes.DataDefinition;
+        case QueryObjectFlags.PassThrough:
+            return QueryTypes.PassThrough;
+        case QueryObjectFlags.Union:
+            return QueryTypes.Union;
+        default:
+            return QueryTypes.Unknown;
+    }
+}
+
+/**
+ * Reconstructs a query from its rows in MSysQueries
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/query/QueryImpl.java
+ */
+export function parseQuery(name: string, type: QueryType, rows: ReadonlyArray<QueryRow>): Query {
+    const sortedRows = [...rows].sort(
+        (a, b) => a.Attribute - b.Attribute || Buffer.compare(a.Order ?? Buffer.alloc(0), b.Order ?? Buffer.alloc(0))
+    );
+    const queryRows = new QueryRows(sortedRows);
+
+    const parameters = queryRows.get(Attributes.Parameter).map((row) => ({
+        name: row.Name1 ?? "",
+        type: PARAMETER_TYPES[row.Flag ?? 0] ?? PARAMETER_TYPES[0]!,
+    }));
+
+    let sql = getSQL(type, queryRows);
+    if (parameters.length > 0 && type !== QueryTypes.DataDefinition && type !== QueryTypes.PassThrough) {
+        sql = `PARAMETERS ${parameters.map((p) => `${quoteIdentifier(p.name)} ${p.type}`).join(", ")};\n${sql}`;
+    }
+
+    return { name, type, parameters, sql };
+}
+
+class QueryRows {
+    readonly #rows: ReadonlyArray<QueryRow>;
+
+    constructor(rows: ReadonlyArray<QueryRow>) {
+        this.#rows = rows;
+    }
+
+    get(attribute: number): QueryRow[] {
+        return this.#rows.filter((row) => row.Attribute === attribute);
+    }
+
+    getFirst(attribute: number): QueryRow | undefined {
+        return this.#rows.find((row) => row.Attribute === attribute);
+    }
+
+    hasFlag(flag: number): boolean {
+        return ((this.getFirst(Attributes.Flag)?.Flag ?? 0) & flag) !== 0;
+    }
+}
+
+function getSQL(type: QueryType, rows: QueryRows): string {
+    switch (type) {
+        case QueryTypes.Select:
+        case QueryTypes.Unknown:
+            return getSelectSQL(rows, getColumns(rows.get(Attributes.Column)));
+
+        case QueryTypes.Crosstab:
+            return getCrosstabSQL(rows);
+
+        case QueryTypes.MakeTable:
+            return getSelectSQL(rows, getColumns(rows.get(Attributes.Column)), getTargetTable(rows));
+
+        case QueryTypes.Append:
+            return getAppendSQL(rows);
+
+        case QueryTypes.Update:
+            return getUpdateSQL(rows);
+
+        case QueryTypes.Delete:
+            return getDeleteSQL(rows);
+
+        case QueryTypes.Union:
+            return getUnionSQL(rows);
+
+        case QueryTypes.DataDefinition:
+        case QueryTypes.PassThrough:
+            return rows.getFirst(Attributes.Type)?.Expression ?? "";
+    }
+}
+
+function getSelectSQL(rows: QueryRows, columns: string[], into?: string): string {
+    let sql = ["SELECT", getSelectType(rows), [...columns, ...(rows.hasFlag(SELECT_STAR_FLAG) ? ["*"] : [])].join(", ")]
+        .filter((part) => part.length > 0)
+        .join(" ");
+    if (into !== undefined) {
+        sql += ` INTO ${into}`;
+    }
+
+    sql += getFromClause(rows);
+    sql += getOptionalClause("WHERE", rows.getFirst(Attributes.Where)?.Expression);
+    sql += getOptionalClause("GROUP BY", getExpressions(rows.get(Attributes.GroupBy)).join(", "));
+    sql += getOptionalClause("HAVING", rows.getFirst(Attributes.Having)?.Expression);
+    sql += getOptionalClause("ORDER BY", getOrderings(rows).join(", "));
+    if (rows.hasFlag(OWNER_ACCESS_FLAG)) {
+        sql += "\nWITH OWNERACCESS OPTION";
+    }
+
+    return `${sql};`;
+}
+
+function getSelectType(rows: QueryRows): string {
+    const parts: string[] = [];
+    if (rows.hasFlag(DISTINCT_FLAG)) {
+        parts.push("DISTINCT");
+    } else if (rows.hasFlag(DISTINCT_ROW_FLAG)) {
+        parts.push("DISTINCTROW");
+    }
+
+    if (rows.hasFlag(TOP_FLAG)) {
+        parts.push(`TOP ${rows.getFirst(Attributes.Flag)?.Name1 ?? ""}`);
+        if (rows.hasFlag(PERCENT_FLAG)) {
+            parts.push("PERCENT");
+        }
+    }
+
+    return parts.join(" ");
+}
+
+/**
+ * Crosstab queries mark their value column with no flag and their pivot column with the pivot flag
+ */
+function getCrosstabSQL(rows: QueryRows): string {
+    const columnRows = rows.get(Attributes.Column);
+    const transformRow = columnRows.find((row) => !((row.Flag ?? 0) & (CROSSTAB_PIVOT_FLAG | CROSSTAB_NORMAL_FLAG)));
+    const pivotRow = columnRows.find((row) => (row.Flag ?? 0) & CROSSTAB_PIVOT_FLAG);
+    const selectRows = columnRows.filter((row) => (row.Flag ?? 0) & CROSSTAB_NORMAL_FLAG);
+
+    let sql = getSelectSQL(rows, getColumns(selectRows)).slice(0, -1);
+    if (transformRow) {
+        sql = `TRANSFORM ${formatColumn(transformRow)}\n${sql}`;
+    }
+    if (pivotRow) {
+        sql += `\nPIVOT ${pivotRow.Expression ?? ""}`;
+    }
+    return `${sql};`;
+}
+
+function getAppendSQL(rows: QueryRows): string {
+    const columnRows = rows.get(Attributes.Column);
+    const targetColumns = columnRows.map((row) => row.Name2).filter((name): name is string => name !== null);
+
+    let sql = `INSERT INTO ${getTargetTable(rows)}`;
+    if (targetColumns.length > 0) {
+        sql += ` (${targetColumns.map((name) => quoteIdentifier(name)).join(", ")})`;
+    }
+
+    if (rows.get(Attributes.Table).length === 0) {
+        return `${sql}\nVALUES (${getExpressions(columnRows).join(", ")});`;
+    }
+
+    return `${sql}\n${getSelectSQL(rows, getExpressions(columnRows))}`;
+}
+
+function getUpdateSQL(rows: QueryRows): string {
+    const newValues = rows
+        .get(Attributes.Column)
+        .map((row) => `${quoteIdentifier(row.Name2 ?? "", true)} = ${row.Expression ?? ""}`);
+
+    let sql = `UPDATE ${getFromTables(rows)}`;
+    sql += getOptionalClause("SET", newValues.join(", "));
+    sql += getOptionalClause("WHERE", rows.getFirst(Attributes.Where)?.Expression);
+    return `${sql};`;
+}
+
+function getDeleteSQL(rows: QueryRows): string {
+    let sql = ["DELETE", getSelectType(rows), getColumns(rows.get(Attributes.Column)).join(", ")]
+        .filter((part) => part.length > 0)
+        .join(" ");
+    sql += getFromClause(rows);
+    sql += getOptionalClause("WHERE", rows.getFirst(Attributes.Where)?.Expression);
+    return `${sql};`;
+}
+
+/**
+ * Both parts of a union query are stored as expressions of table rows with special aliases
+ */
+function getUnionSQL(rows: QueryRows): string {
+    const tableRows = rows.get(Attributes.Table);
+    const part1 = tableRows.find((row) => row.Name2 === UNION_PART_1)?.Expression ?? "";
+    const part2 = tableRows.find((row) => row.Name2 === UNION_PART_2)?.Expression ?? "";
+
+    let sql = `${part1}\n${rows.hasFlag(UNION_ALL_FLAG) ? "UNION ALL" : "UNION"}\n${part2}`;
+    sql += getOptionalClause("ORDER BY", getOrderings(rows).join(", "));
+    return `${sql};`;
+}
+
+function getTargetTable(rows: QueryRows): string {
+    const typeRow = rows.getFirst(Attributes.Type);
+    return quoteIdentifier(typeRow?.Name1 ?? "", true) + getRemoteDatabase(typeRow?.Name2, typeRow?.Expression);
+}
+
+function getColumns(columnRows: ReadonlyArray<QueryRow>): string[] {
+    return columnRows.map((row) => formatColumn(row));
+}
+
+function formatColumn(row: QueryRow): string {
+    const expression = row.Expression ?? "";
+    return row.Name1 ? `${expression} AS ${quoteIdentifier(row.Name1)}` : expression;
+}
+
+function getExpressions(rows: ReadonlyArray<QueryRow>): string[] {
+    return rows.map((row) => row.Expression ?? "");
+}
+
+function getOrderings(rows: QueryRows): string[] {
+    return rows
+        .get(Attributes.OrderBy)
+        .map((row) => `${row.Expression ?? ""}${row.Name1?.toUpperCase() === DESCENDING_ORDER ? " DESC" : ""}`);
+}
+
+function getOptionalClause(keyword: string, expression: string | null | undefined): string {
+    if (!expression) {
+        return "";
+    }
+    return `\n${keyword} ${expression}`;
+}
+
+function getFromClause(rows: QueryRows): string {
+    const fromTables = getFromTables(rows);
+    if (fromTables.length === 0) {
+        return "";
+    }
+
+    const remoteDatabaseRow = rows.getFirst(Attributes.RemoteDatabase);
+    return `\nFROM ${fromTables}${getRemoteDatabase(remoteDatabaseRow?.Name1, remoteDatabaseRow?.Expression)}`;
+}
+
+function getRemoteDatabase(path: string | null | undefined, connect: string | null | undefined): string {
+    let sql = "";
+    if (path) {
+        sql += ` IN '${path}'`;
+    }
+    if (connect) {
+        sql += ` [${connect}]`;
+    }
+    return sql;
+}
+
+type TableSource =
+    | { type: "table"; names: string[]; sql: string }
+    | { type: "join"; names: string[]; left: TableSource; right: TableSource; joinType: string; conditions: string[] };
+
+/**
+ * Combines the tables and joins of a query into the FROM clause. Tables that are not part of a join are separated by
+ * commas.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/query/QueryImpl.java
+ */
+function getFromTables(rows: QueryRows): string {
+    const sources: TableSource[] = rows
+        .get(Attributes.Table)
+        .filter((row) => row.Name1 !== null)
+        .map((row) => {
+            const table = row.Name1!;
+            const alias = row.Name2;
+            let sql = quoteIdentifier(table, true);
+            if (alias) {
+                sql += ` AS ${quoteIdentifier(alias)}`;
+            }
+            return { type: "table", names: [alias ?? table], sql };
+        });
+
+    for (const joinRow of rows.get(Attributes.Join)) {
+        const leftIndex = sources.findIndex((s) => s.names.includes(joinRow.Name1 ?? ""));
+        const rightIndex = sources.findIndex((s) => s.names.includes(joinRow.Name2 ?? ""));
+        if (leftIndex === -1 || rightIndex === -1) {
+            continue;
+        }
+
+        const condition = joinRow.Expression ?? "";
+        const left = sources[leftIndex]!;
+        if (leftIndex === rightIndex) {
+            // additional condition of an existing join
+            if (left.type === "join") {
+                left.conditions.push(condition);
+            }
+            continue;
+        }
+
+        const right = sources[rightIndex]!;
+        const join: TableSource = {
+            type: "join",
+            names: [...left.names, ...right.names],
+            left,
+            right,
+            joinType: JOIN_TYPES[joinRow.Flag ?? 1] ?? JOIN_TYPES[1]!,
+            conditions: [condition],
+        };
+
+        sources.splice(Math.max(leftIndex, rightIndex), 1);
+        sources.splice(Math.min(leftIndex, rightIndex), 1, join);
+    }
+
+    return sources.map((source) => formatTableSource(source, false)).join(", ");
+}
+
+function formatTableSource(source: TableSource, nested: boolean): string {
+    if (source.type === "table") {
+        return source.sql;
+    }
+
+    const condition =
+        source.conditions.length === 1 ? source.conditions[0]! : source.conditions.map((c) => `(${c})`).join(" AND ");
+    const sql = `${formatTableSource(source.left, true)} ${source.joinType} ${formatTableSource(
+        source.right,
+        true
+    )} ON ${condition}`;
+    return nested ? `(${sql})` : sql;
+}
+
+/**
+ * Wraps identifiers in brackets if they contain non-word characters
+ *
+ * @param qualified Quote every part of a dot separated identifier separately
+ */
+function quoteIdentifier(identifier: string, qualified = false): string {
+    const parts = qualified ? identifier.split(".") : [identifier];
+    return parts.map((part) => (/\W/.test(part) ? `[${part}]` : part)).join(".");
+}
@@ -0,0 +1,105 @@
+export interface Relationship {
+    /**
+     * Name of the relationship
+     */
+    name: string;
+
+    /**
+     * Name of the referencing table (foreign key side)
+     */
+    table: string;
+
+    /**
+     * Referencing columns in the order they are used by the relationship
+     */
+    columns: string[];
+
+    /**
+     * Name of the referenced table (primary key side)
+     */
+    referencedTable: string;
+
+    /**
+     * Referenced columns in the same order as `columns`
+     */
+    referencedColumns: string[];
+
+    oneToOne: boolean;
+    enforceIntegrity: boolean;
+    cascadeUpdates: boolean;
+    cascadeDeletes: boolean;
+
+    /**
+     * Referencing columns are set to null when the referenced row is deleted
+     */
+    cascadeNull: boolean;
+
+    /**
+     * Include all rows of the referenced table when joining
+     */
+    leftOuterJoin: boolean;
+
+    /**
+     * Include all rows of the referencing table when joining
+     */
+    rightOuterJoin: boolean;
+}
+
+/**
+ * Row of MSysRelationships. Every row describes one column of a relationship.
+ */
+export type RelationshipRow = {
+    szRelationship: string;
+    szObject: string;
+    szColumn: string;
+    szReferencedObject: string;
+    szReferencedColumn: string;
+    icolumn: number;
+    grbit: number;
+};
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/RelationshipImpl.java
+ */
+const ONE_TO_ONE_FLAG = 0x00000001;
+const NO_REFERENTIAL_INTEGRITY_FLAG = 0x00000002;
+const CASCADE_UPDATES_FLAG = 0x00000100;
+const CASCADE_DELETES_FLAG = 0x00001000;
+const CASCADE_NULL_FLAG = 0x00002000;
+const LEFT_OUTER_JOIN_FLAG = 0x01000000;
+const RIGHT_OUTER_JOIN_FLAG = 0x02000000;
+
+/**
+ * Groups the rows of MSysRelationships by relationship. Relationships are returned in the order of their first row.
+ */
+export function parseRelationships(rows: ReadonlyArray<RelationshipRow>): Relationship[] {
+    const rowsByName = new Map<string, RelationshipRow[]>();
+    for (const row of rows) {
+        const relationshipRows = rowsByName.get(row.szRelationship);
+        if (relationshipRows) {
+            relationshipRows.push(row);
+        } else {
+            rowsByName.set(row.szRelationship, [row]);
+        }
+    }
+
+    return [...rowsByName.entries()].map(([name, relationshipRows]) => {
+        const sortedRows = [...relationshipRows].sort((a, b) => a.icolumn - b.icolumn);
+        const { szObject, szReferencedObject, grbit } = sortedRows[0]!;
+
+        return {
+            name,
+            table: szObject,
+            columns: sortedRows.map((r) => r.szColumn),
+            referencedTable: szReferencedObject,
+            referencedColumns: sortedRows.map((r) => r.szReferencedColumn),
+            oneToOne: !!(grbit & ONE_TO_ONE_FLAG),
+            enforceIntegrity: !(grbit & NO_REFERENTIAL_INTEGRITY_FLAG),
+            cascadeUpdates: !!(grbit & CASCADE_UPDATES_FLAG),
+            cascadeDeletes: !!(grbit & CASCADE_DELETES_FLAG),
+            cascadeNull: !!(grbit & CASCADE_NULL_FLAG),
+            leftOuterJoin: !!(grbit & LEFT_OUTER_JOIN_FLAG),
+            rightOuterJoin: !!(grbit & RIGHT_OUTER_JOIN_FLAG),
+        };
+    });
+}
@@ -0,0 +1,98 @@
+import type { Column } from "../column.js";
+import type MDBReader from "../MDBReader.js";
+import { getDefaultValueOptions } from "../value-options.js";
+import { toLiteral } from "./literals.js";
+import { createTableStatement, quoteIdentifier } from "./schema.js";
+
+export type SQLDialect = "sqlite" | "postgres" | "mysql";
+
+export interface SQLDumpOptions {
+    dialect: SQLDialect;
+
+    /**
+     * Names of the tables to be dumped. Defaults to all user tables.
+     */
+    tables?: ReadonlyArray<string> | undefined;
+
+    /**
+     * Maximum number of rows per INSERT statement. Defaults to 100.
+     */
+    batchSize?: number | undefined;
+}
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Statements before and after the dump. Text is encoded as UTF-8.
+ */
+const PROLOGUES: { [dialect in SQLDialect]: string } = {
+    sqlite: "BEGIN TRANSACTION;\n",
+    postgres: "SET client_encoding = 'UTF8';\nBEGIN;\n",
+    mysql: "SET NAMES utf8mb4;\nSTART TRANSACTION;\n",
+};
+const EPILOGUE = "COMMIT;\n";
+
+/**
+ * Rows are read in the representation expected by `toLiteral()` regardless of the value options of the reader
+ */
+const VALUE_OPTIONS = getDefaultValueOptions({ dateTimeExtended: "date" });
+
+/**
+ * Returns an SQL script creating the tables of the database and inserting their rows, e.g. to migrate to SQLite,
+ * PostgreSQL or MySQL. The script is returned in chunks and only one data page is decoded at a time so that large
+ * databases can be streamed, e.g. with `Readable.from()`.
+ *
+ * Tables are created with NOT NULL constraints and their primary key. Sequences of autonumber columns are updated in
+ * PostgreSQL.
+ */
+export function* dumpSQL(reader: MDBReader, options: SQLDumpOptions): Generator<string, void, undefined> {
+    const { dialect, tables = reader.getTableNames(), batchSize = DEFAULT_BATCH_SIZE } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`Invalid batch size ${batchSize}`);
+    }
+    const bytesPerCharacter = reader.getFileFormat() === "Jet3" ? 1 : 2;
+
+    yield PROLOGUES[dialect];
+
+    for (const name of tables) {
+        const table = reader.getTable(name);
+        const columns = table.getColumns();
+
+        yield "\n";
+        yield createTableStatement({ name, columns, indexes: table.getIndexes() }, dialect, bytesPerCharacter);
+
+        const insert = `INSERT INTO ${quoteIdentifier(name, dialect)} (${columns
+            .map((column) => quoteIdentifier(column.name, dialect))
+            .join(", ")}) VALUES\n`;
+
+        let batch: string[] = [];
+        for (const row of table.rows(VALUE_OPTIONS)) {
+            batch.push(`(${columns.map((column) => toLiteral(row[column.name], column, dialect)).join(", ")})`);
+            if (batch.length === batchSize) {
+                yield `${insert}${batch.join(",\n")};\n`;
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            yield `${insert}${batch.join(",\n")};\n`;
+        }
+
+        if (dialect === "postgres") {
+            yield* columns.filter((column) => column.autoLong).map((column) => createSetSequenceStatement(name, column));
+        }
+    }
+
+    yield "\n";
+    yield EPILOGUE;
+}
+
+/**
+ * Explicitly inserted values do not advance the sequence of a SERIAL column
+ */
+function createSetSequenceStatement(tableName: string, column: Column): string {
+    const table = quoteIdentifier(tableName, "postgres");
+    const columnName = quoteIdentifier(column.name, "postgres");
+    // The table name is parsed as identifier while the column name is used as it is
+    const sequence = `pg_get_serial_sequence('${table.replace(/'/g, "''")}', '${column.name.replace(/'/g, "''")}')`;
+    return `SELECT setval(${sequence}, MAX(${columnName})) FROM ${table};\n`;
+}
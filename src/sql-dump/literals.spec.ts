@@ -0,0 +1,64 @@
+import { expect } from "chai";
+import type { Column } from "../column.js";
+import { type ColumnType, ColumnTypes } from "../types.js";
+import { toLiteral } from "./literals.js";
+
+function createColumn(type: ColumnType): Column {
+    return {
+        name: "column",
+        type,
+        size: 0,
+        fixedLength: false,
+        nullable: true,
+        autoLong: false,
+        autoUUID: false,
+        properties: {},
+    };
+}
+
+describe("sql-dump", () => {
+    describe("toLiteral()", () => {
+        it("escapes strings", () => {
+            const column = createColumn(ColumnTypes.Text);
+            expect(toLiteral("it's C:\\dir", column, "sqlite")).to.eq("'it''s C:\\dir'");
+            expect(toLiteral("it's C:\\dir", column, "postgres")).to.eq("'it''s C:\\dir'");
+            expect(toLiteral("it's C:\\dir\0", column, "mysql")).to.eq("'it''s C:\\\\dir\\0'");
+            expect(toLiteral(null, column, "mysql")).to.eq("NULL");
+        });
+
+        it("booleans and numbers", () => {
+            expect(toLiteral(true, createColumn(ColumnTypes.Boolean), "sqlite")).to.eq("1");
+            expect(toLiteral(false, createColumn(ColumnTypes.Boolean), "postgres")).to.eq("FALSE");
+            expect(toLiteral(-12n, createColumn(ColumnTypes.BigInt), "mysql")).to.eq("-12");
+            expect(toLiteral("123.4500", createColumn(ColumnTypes.Currency), "sqlite")).to.eq("123.4500");
+            expect(toLiteral(1.5, createColumn(ColumnTypes.Double), "sqlite")).to.eq("1.5");
+            expect(toLiteral(NaN, createColumn(ColumnTypes.Double), "sqlite")).to.eq("NULL");
+            expect(toLiteral(-Infinity, createColumn(ColumnTypes.Float), "postgres")).to.eq("'-Infinity'");
+        });
+
+        it("dates", () => {
+            const date = new Date("2020-01-31T12:34:56.789Z");
+            expect(toLiteral(date, createColumn(ColumnTypes.DateTime), "sqlite")).to.eq("'2020-01-31 12:34:56.789'");
+            expect(toLiteral(new Date("2020-01-31T12:34:56Z"), createColumn(ColumnTypes.DateTime), "mysql")).to.eq(
+                "'2020-01-31 12:34:56'"
+            );
+            expect(
+                toLiteral({ date, nanoseconds: 789123400 }, createColumn(ColumnTypes.DateTimeExtended), "postgres")
+            ).to.eq("'2020-01-31 12:34:56.7891234'");
+        });
+
+        it("binary data", () => {
+            const buffer = Buffer.from([0x00, 0xab, 0xff]);
+            expect(toLiteral(buffer, createColumn(ColumnTypes.Binary), "sqlite")).to.eq("X'00abff'");
+            expect(toLiteral(buffer, createColumn(ColumnTypes.OLE), "mysql")).to.eq("X'00abff'");
+            expect(toLiteral(buffer, createColumn(ColumnTypes.OLE), "postgres")).to.eq("'\\x00abff'");
+        });
+
+        it("complex values", () => {
+            const value = [{ FileName: "a'b.txt", FileData: Buffer.from("abc") }];
+            expect(toLiteral(value, createColumn(ColumnTypes.Complex), "sqlite")).to.eq(
+                `'[{"FileName":"a''b.txt","FileData":"YWJj"}]'`
+            );
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import type { Column } from "../column.js";
+import { toJSONValue } from "../json.js";
+import { ColumnTypes, type DateTimeExtendedValue } from "../types.js";
+import type { SQLDialect } from "./index.js";
+
+/**
+ * Returns the SQL literal of a value read with the value options of the dump, i.e. dates as `Date`, decimals as
+ * strings and `datetimextended` values as `DateTimeExtendedValue`
+ */
+export function toLiteral(value: unknown, column: Column, dialect: SQLDialect): string {
+    if (value === null) {
+        return "NULL";
+    }
+
+    switch (column.type) {
+        case ColumnTypes.Boolean:
+            if (dialect === "sqlite") {
+                return value ? "1" : "0";
+            }
+            return value ? "TRUE" : "FALSE";
+
+        case ColumnTypes.Byte:
+        case ColumnTypes.Integer:
+        case ColumnTypes.Long:
+        case ColumnTypes.BigInt:
+        case ColumnTypes.Currency:
+        case ColumnTypes.Numeric:
+            return String(value);
+
+        case ColumnTypes.Float:
+        case ColumnTypes.Double:
+            return toNumberLiteral(value as number, dialect);
+
+        case ColumnTypes.DateTime:
+            return toStringLiteral(formatDateTime(value as Date), dialect);
+
+        case ColumnTypes.DateTimeExtended: {
+            const { date, nanoseconds } = value as DateTimeExtendedValue;
+            // 7 digits as the value is stored in 100 nanosecond steps
+            const fraction = String(Math.floor(nanoseconds / 100)).padStart(7, "0");
+            return toStringLiteral(`${formatDateTime(date).slice(0, 19)}.${fraction}`, dialect);
+        }
+
+        case ColumnTypes.Binary:
+        case ColumnTypes.OLE:
+            return toBinaryLiteral(value as Buffer, dialect);
+
+        case ColumnTypes.Complex:
+            return toStringLiteral(JSON.stringify(toJSONValue(value, formatDateTime)), dialect);
+
+        default:
+            return toStringLiteral(String(value), dialect);
+    }
+}
+
+/**
+ * Quotes are escaped by doubling them. MySQL additionally treats backslashes as escape character.
+ */
+function toStringLiteral(value: string, dialect: SQLDialect): string {
+    const escaped = value.replace(/'/g, "''");
+    if (dialect === "mysql") {
+        return `'${escaped.replace(/\\/g, "\\\\").replace(/\0/g, "\\0")}'`;
+    }
+    return `'${escaped}'`;
+}
+
+/**
+ * Only PostgreSQL supports infinite values and `NaN`
+ */
+function toNumberLiteral(value: number, dialect: SQLDialect): string {
+    if (Number.isFinite(value)) {
+        return String(value);
+    }
+    return dialect === "postgres" ? `'${value}'` : "NULL";
+}
+
+function toBinaryLiteral(value: Buffer, dialect: SQLDialect): string {
+    const hex = value.toString("hex");
+    return dialect === "postgres" ? `'\\x${hex}'` : `X'${hex}'`;
+}
+
+/**
+ * Formats the UTC fields of a date, e.g. `2020-01-31 12:34:56`. Milliseconds are only added if they are set.
+ */
+function formatDateTime(date: Date): string {
+    const pad = (value: number, length = 2) => String(value).padStart(length, "0");
+
+    const milliseconds = date.getUTCMilliseconds();
+    return (
+        `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}` +
+        (milliseconds !== 0 ? `.${pad(milliseconds, 3)}` : "")
+    );
+}
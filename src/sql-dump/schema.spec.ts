@@ -0,0 +1,72 @@
+import { expect } from "chai";
+import type { Column } from "../column.js";
+import { type ColumnType, ColumnTypes } from "../types.js";
+import { createTableStatement, type TableSchema } from "./schema.js";
+
+function createColumn(name: string, type: ColumnType, autoLong = false): Column {
+    return {
+        name,
+        type,
+        size: type === ColumnTypes.Text ? 100 : 4,
+        fixedLength: false,
+        nullable: true,
+        autoLong,
+        autoUUID: false,
+        properties: {},
+    };
+}
+
+function createTable(primaryKey: string | null): TableSchema {
+    return {
+        name: "Table1",
+        columns: [createColumn("Code", ColumnTypes.Text), createColumn("ID", ColumnTypes.Long, true)],
+        indexes:
+            primaryKey === null
+                ? []
+                : [
+                      {
+                          name: "PrimaryKey",
+                          columns: [{ name: primaryKey, order: "asc" }],
+                          unique: true,
+                          ignoreNulls: false,
+                          required: true,
+                          primaryKey: true,
+                          foreignKey: false,
+                      },
+                  ],
+    };
+}
+
+describe("sql-dump", () => {
+    describe("createTableStatement()", () => {
+        it("creates autonumber columns", () => {
+            expect(createTableStatement(createTable("ID"), "mysql", 2)).to.eq(
+                [
+                    "CREATE TABLE `Table1` (",
+                    "    `Code` VARCHAR(50),",
+                    "    `ID` INT AUTO_INCREMENT,",
+                    "    PRIMARY KEY (`ID`)",
+                    ");",
+                    "",
+                ].join("\n")
+            );
+            expect(createTableStatement(createTable("ID"), "postgres", 2)).to.include('    "ID" SERIAL,\n');
+        });
+
+        it("adds keys for autonumber columns which are not the primary key in mysql", () => {
+            expect(createTableStatement(createTable("Code"), "mysql", 2)).to.eq(
+                [
+                    "CREATE TABLE `Table1` (",
+                    "    `Code` VARCHAR(50),",
+                    "    `ID` INT AUTO_INCREMENT,",
+                    "    PRIMARY KEY (`Code`),",
+                    "    KEY (`ID`)",
+                    ");",
+                    "",
+                ].join("\n")
+            );
+            expect(createTableStatement(createTable(null), "mysql", 2)).to.include("    KEY (`ID`)\n");
+            expect(createTableStatement(createTable("Code"), "sqlite", 2)).not.to.include("    KEY (");
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import type { Column } from "../column.js";
+import type { Index } from "../indexes.js";
+import { type ColumnType, ColumnTypes } from "../types.js";
+
+export const SCHEMA_DIALECTS = ["access", "sqlite", "mysql", "postgres"] as const;
+
+export type SchemaDialect = typeof SCHEMA_DIALECTS[number];
+
+export interface TableSchema {
+    name: string;
+    columns: ReadonlyArray<Column>;
+    indexes: ReadonlyArray<Index>;
+}
+
+/**
+ * Column types by dialect. Complex columns are mapped to text as their values are exported as JSON.
+ *
+ * @see https://github.com/mdbtools/mdbtools/blob/7d10a50faf3ff89fbb09252c218eb3ca92f5b19c/src/libmdb/backend.c
+ */
+const TYPES: { [dialect in SchemaDialect]: { [type in ColumnType]: string } } = {
+    access: {
+        [ColumnTypes.Boolean]: "BIT",
+        [ColumnTypes.Byte]: "BYTE",
+        [ColumnTypes.Integer]: "SHORT",
+        [ColumnTypes.Long]: "LONG",
+        [ColumnTypes.Currency]: "CURRENCY",
+        [ColumnTypes.Float]: "SINGLE",
+        [ColumnTypes.Double]: "DOUBLE",
+        [ColumnTypes.DateTime]: "DATETIME",
+        [ColumnTypes.Binary]: "BINARY",
+        [ColumnTypes.Text]: "TEXT",
+        [ColumnTypes.OLE]: "LONGBINARY",
+        [ColumnTypes.Memo]: "MEMO",
+        [ColumnTypes.RepID]: "GUID",
+        [ColumnTypes.Numeric]: "DECIMAL",
+        [ColumnTypes.Complex]: "MEMO",
+        [ColumnTypes.BigInt]: "BIGINT",
+        [ColumnTypes.DateTimeExtended]: "DATETIME2",
+    },
+    sqlite: {
+        [ColumnTypes.Boolean]: "INTEGER",
+        [ColumnTypes.Byte]: "INTEGER",
+        [ColumnTypes.Integer]: "INTEGER",
+        [ColumnTypes.Long]: "INTEGER",
+        [ColumnTypes.Currency]: "NUMERIC",
+        [ColumnTypes.Float]: "REAL",
+        [ColumnTypes.Double]: "REAL",
+        [ColumnTypes.DateTime]: "TEXT",
+        [ColumnTypes.Binary]: "BLOB",
+        [ColumnTypes.Text]: "TEXT",
+        [ColumnTypes.OLE]: "BLOB",
+        [ColumnTypes.Memo]: "TEXT",
+        [ColumnTypes.RepID]: "TEXT",
+        [ColumnTypes.Numeric]: "NUMERIC",
+        [ColumnTypes.Complex]: "TEXT",
+        [ColumnTypes.BigInt]: "INTEGER",
+        [ColumnTypes.DateTimeExtended]: "TEXT",
+    },
+    mysql: {
+        [ColumnTypes.Boolean]: "BOOLEAN",
+        [ColumnTypes.Byte]: "TINYINT UNSIGNED",
+        [ColumnTypes.Integer]: "SMALLINT",
+        [ColumnTypes.Long]: "INT",
+        [ColumnTypes.Currency]: "DECIMAL(19,4)",
+        [ColumnTypes.Float]: "FLOAT",
+        [ColumnTypes.Double]: "DOUBLE",
+        [ColumnTypes.DateTime]: "DATETIME",
+        [ColumnTypes.Binary]: "VARBINARY",
+        [ColumnTypes.Text]: "VARCHAR",
+        [ColumnTypes.OLE]: "LONGBLOB",
+        [ColumnTypes.Memo]: "LONGTEXT",
+        [ColumnTypes.RepID]: "CHAR(36)",
+        [ColumnTypes.Numeric]: "DECIMAL",
+        [ColumnTypes.Complex]: "LONGTEXT",
+        [ColumnTypes.BigInt]: "BIGINT",
+        [ColumnTypes.DateTimeExtended]: "DATETIME(6)",
+    },
+    postgres: {
+        [ColumnTypes.Boolean]: "BOOLEAN",
+        [ColumnTypes.Byte]: "SMALLINT",
+        [ColumnTypes.Integer]: "SMALLINT",
+        [ColumnTypes.Long]: "INTEGER",
+        [ColumnTypes.Currency]: "NUMERIC(19,4)",
+        [ColumnTypes.Float]: "REAL",
+        [ColumnTypes.Double]: "DOUBLE PRECISION",
+        [ColumnTypes.DateTime]: "TIMESTAMP",
+        [ColumnTypes.Binary]: "BYTEA",
+        [ColumnTypes.Text]: "VARCHAR",
+        [ColumnTypes.OLE]: "BYTEA",
+        [ColumnTypes.Memo]: "TEXT",
+        [ColumnTypes.RepID]: "UUID",
+        [ColumnTypes.Numeric]: "NUMERIC",
+        [ColumnTypes.Complex]: "TEXT",
+        [ColumnTypes.BigInt]: "BIGINT",
+        [ColumnTypes.DateTimeExtended]: "TIMESTAMP",
+    },
+};
+
+const AUTO_NUMBER_TYPES: { [dialect in SchemaDialect]: string } = {
+    access: "COUNTER",
+    sqlite: "INTEGER",
+    mysql: "INT AUTO_INCREMENT",
+    postgres: "SERIAL",
+};
+
+/**
+ * Types with the length of the column in parentheses, e.g. `VARCHAR(50)`
+ */
+const SIZED_TYPES: ReadonlyArray<ColumnType> = [ColumnTypes.Text, ColumnTypes.Binary];
+
+/**
+ * Returns the CREATE TABLE statement of a table including NOT NULL constraints and its primary key. In MySQL, autonumber
+ * columns which are not the first column of the primary key get a key of their own.
+ *
+ * @param bytesPerCharacter Text is stored with 2 bytes per character since Jet4
+ */
+export function createTableStatement(table: TableSchema, dialect: SchemaDialect, bytesPerCharacter: 1 | 2): string {
+    const primaryKey = table.indexes.find((index) => index.primaryKey);
+
+    const definitions = table.columns.map((column) => {
+        const type = getColumnType(column, dialect, bytesPerCharacter);
+        return `    ${quoteIdentifier(column.name, dialect)} ${type}${column.nullable ? "" : " NOT NULL"}`;
+    });
+    if (primaryKey !== undefined) {
+        const columns = primaryKey.columns.map((column) => quoteIdentifier(column.name, dialect));
+        definitions.push(`    PRIMARY KEY (${columns.join(", ")})`);
+    }
+    if (dialect === "mysql") {
+        // Auto increment columns have to be the first column of a key
+        for (const column of table.columns) {
+            if (column.autoLong && primaryKey?.columns[0]?.name !== column.name) {
+                definitions.push(`    KEY (${quoteIdentifier(column.name, dialect)})`);
+            }
+        }
+    }
+
+    return `CREATE TABLE ${quoteIdentifier(table.name, dialect)} (\n${definitions.join(",\n")}\n);\n`;
+}
+
+function getColumnType(column: Column, dialect: SchemaDialect, bytesPerCharacter: 1 | 2): string {
+    if (column.autoLong) {
+        return AUTO_NUMBER_TYPES[dialect];
+    }
+
+    const type = TYPES[dialect][column.type];
+    if (SIZED_TYPES.includes(column.type)) {
+        const size = column.type === ColumnTypes.Text ? column.size / bytesPerCharacter : column.size;
+        return `${type}(${size})`;
+    }
+    if (column.type === ColumnTypes.Numeric && dialect !== "sqlite") {
+        return `${type}(${column.precision ?? 18},${column.scale ?? 0})`;
+    }
+    return type;
+}
+
+export function quoteIdentifier(name: string, dialect: SchemaDialect): string {
+    switch (dialect) {
+        case "access":
+            return `[${name}]`;
+        case "mysql":
+            return `\`${name.replace(/`/g, "``")}\``;
+        default:
+            return `"${name.replace(/"/g, '""')}"`;
+    }
+}
@@ -0,0 +1,1092 @@
+import type { Column } from "../column.js";
+import { compareDecimals, compareNullableValues, compareValues } from "../compare.js";
+import { type ColumnType, ColumnTypes, type Value } from "../types.js";
+import { likeToRegExp } from "../where.js";
+import type {
+    AggregateFunction,
+    ArithmeticOperator,
+    ComparisonOperator,
+    Expression,
+    FromItem,
+    SelectStatement,
+} from "./parse.js";
+
+/**
+ * Row returned by a query
+ */
+export type QueryResultRow = { [column: string]: Value };
+
+/**
+ * Table a query reads from
+ */
+export interface QueryTable {
+    getColumns(): Column[];
+
+    /**
+     * @returns Values in their default representation
+     */
+    getData(options: { columns: string[] }): QueryResultRow[];
+}
+
+/**
+ * Table a query reads from asynchronously
+ */
+export interface AsyncQueryTable {
+    getColumns(): Column[];
+
+    /**
+     * @returns Values in their default representation
+     */
+    rowsAsync(options: { columns: string[] }): AsyncIterable<QueryResultRow>;
+}
+
+/**
+ * Rows of all tables of a query by the index of the table. `null` if there is no row, e.g. for a left join.
+ */
+type JoinedRow = (QueryResultRow | null)[];
+
+interface Context {
+    row: JoinedRow;
+
+    /**
+     * Rows of the group if the query is grouped
+     */
+    group: JoinedRow[] | null;
+}
+
+interface CompiledExpression {
+    /**
+     * Type of the column the values originate from. `null` for computed numbers.
+     */
+    type: ColumnType | null;
+    evaluate(context: Context): Value;
+}
+
+/**
+ * Expression of `ORDER BY` which may reference output columns by their name
+ */
+interface CompiledOrderKey {
+    type: ColumnType | null;
+    evaluate(context: Context, values: ReadonlyArray<Value>): Value;
+}
+
+interface Source<TTable> {
+    /**
+     * Alias or name of the table
+     */
+    name: string;
+    table: TTable;
+    columns: Column[];
+
+    /**
+     * Columns which are referenced in the query and have to be read
+     */
+    usedColumns: Set<string>;
+}
+
+type CompiledFromItem =
+    | { type: "table"; source: number }
+    | {
+          type: "join";
+          join: "inner" | "left";
+          left: CompiledFromItem;
+          right: CompiledFromItem;
+
+          /**
+           * Column pairs compared for equality which are used to hash the rows of the right side
+           */
+          keys: { left: CompiledExpression; right: CompiledExpression }[];
+
+          /**
+           * Remaining conditions of the join
+           */
+          condition: CompiledExpression | null;
+      };
+
+interface OutputColumn {
+    name: string;
+    expression: CompiledExpression;
+}
+
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+/**
+ * Runs a SELECT statement on the tables returned by `getTable`
+ *
+ * @returns Rows with the selected columns in their order
+ */
+export function executeSelect(statement: SelectStatement, getTable: (name: string) => QueryTable): QueryResultRow[] {
+    const query = new Query(statement, getTable);
+    return query.execute(query.sources.map(({ table, usedColumns }) => table.getData({ columns: [...usedColumns] })));
+}
+
+/**
+ * Same as `executeSelect`, but reads the rows of the tables with `rowsAsync`
+ */
+export async function executeSelectAsync(
+    statement: SelectStatement,
+    getTable: (name: string) => Promise<AsyncQueryTable>
+): Promise<QueryResultRow[]> {
+    const tables = new Map<string, AsyncQueryTable>();
+    for (const name of getTableNames(statement.from)) {
+        if (!tables.has(name)) {
+            tables.set(name, await getTable(name));
+        }
+    }
+
+    const query = new Query(statement, (name) => tables.get(name)!);
+    const tableRows: QueryResultRow[][] = [];
+    for (const { table, usedColumns } of query.sources) {
+        const rows: QueryResultRow[] = [];
+        for await (const row of table.rowsAsync({ columns: [...usedColumns] })) {
+            rows.push(row);
+        }
+        tableRows.push(rows);
+    }
+    return query.execute(tableRows);
+}
+
+function getTableNames(items: ReadonlyArray<FromItem>): string[] {
+    return items.flatMap((item) => (item.type === "join" ? getTableNames([item.left, item.right]) : [item.name]));
+}
+
+/**
+ * All expressions are compiled in the constructor, so the columns of the tables that have to be read are known before
+ * the rows are passed to `execute`.
+ */
+class Query<TTable extends QueryTable | AsyncQueryTable> {
+    readonly #statement: SelectStatement;
+    readonly #sources: Source<TTable>[] = [];
+    readonly #grouped: boolean;
+    readonly #outputColumns: OutputColumn[];
+    readonly #fromItems: CompiledFromItem[];
+    readonly #whereCondition: CompiledExpression | null;
+    readonly #groupExpressions: CompiledExpression[];
+
+    /**
+     * Keys of the `GROUP BY` expressions, see `#getExpressionKey`
+     */
+    readonly #groupKeys: Set<string>;
+    readonly #havingCondition: CompiledExpression | null;
+    readonly #orderKeys: { key: CompiledOrderKey; descending: boolean }[];
+
+    constructor(statement: SelectStatement, getTable: (name: string) => TTable) {
+        this.#statement = statement;
+
+        const addSources = (item: FromItem) => {
+            if (item.type === "join") {
+                addSources(item.left);
+                addSources(item.right);
+                return;
+            }
+
+            const name = item.alias ?? item.name;
+            if (this.#sources.some((s) => equalsIgnoreCase(s.name, name))) {
+                throw new Error(`Duplicate table name ${name}`);
+            }
+
+            const table = getTable(item.name);
+            this.#sources.push({ name, table, columns: table.getColumns(), usedColumns: new Set() });
+        };
+        statement.from.forEach(addSources);
+
+        const { columns, from, where, groupBy, having, orderBy } = statement;
+        this.#grouped =
+            groupBy.length > 0 ||
+            having !== null ||
+            columns.some((c) => c.type === "expression" && containsAggregate(c.expression)) ||
+            orderBy.some((o) => containsAggregate(o.expression));
+
+        this.#groupExpressions = groupBy.map((e) => this.#compile(e, false));
+        this.#groupKeys = new Set(groupBy.map((e) => this.#getExpressionKey(e)));
+        this.#outputColumns = this.#compileOutputColumns(this.#grouped);
+        this.#fromItems = from.map((item) => this.#compileFromItem(item));
+        this.#whereCondition = where !== null ? this.#compile(where, false) : null;
+        this.#havingCondition = having !== null ? this.#compile(having, true) : null;
+        this.#orderKeys = orderBy.map(({ expression, descending }) => ({
+            key: this.#compileOrderKey(expression, this.#outputColumns, this.#grouped),
+            descending,
+        }));
+    }
+
+    /**
+     * Tables in the order of the `FROM` clause with the columns referenced by the query
+     */
+    get sources(): ReadonlyArray<Readonly<Source<TTable>>> {
+        return this.#sources;
+    }
+
+    /**
+     * @param tableRows Rows of each source with its used columns
+     */
+    execute(tableRows: ReadonlyArray<ReadonlyArray<QueryResultRow>>): QueryResultRow[] {
+        const { distinct, top, groupBy } = this.#statement;
+        const whereCondition = this.#whereCondition;
+        const havingCondition = this.#havingCondition;
+        const outputColumns = this.#outputColumns;
+
+        let rows = this.#fromItems
+            .map((item) => this.#read(item, tableRows))
+            .reduce((result, itemRows) => result.flatMap((row) => itemRows.map((itemRow) => mergeRows(row, itemRow))));
+
+        if (whereCondition !== null) {
+            rows = rows.filter((row) => whereCondition.evaluate({ row, group: null }) === true);
+        }
+
+        let contexts: Context[] = this.#grouped
+            ? groupRows(rows, this.#groupExpressions, groupBy.length === 0).map((group) => ({
+                  row: group[0] ?? this.#sources.map(() => null),
+                  group,
+              }))
+            : rows.map((row) => ({ row, group: null }));
+
+        if (havingCondition !== null) {
+            contexts = contexts.filter((context) => havingCondition.evaluate(context) === true);
+        }
+
+        let results = contexts.map((context) => ({
+            context,
+            values: outputColumns.map((c) => c.expression.evaluate(context)),
+        }));
+
+        if (distinct) {
+            const keys = new Set<string>();
+            results = results.filter(({ values }) => {
+                const key = toGroupKey(values.map((value, i) => toKey(value, outputColumns[i]!.expression.type)));
+                if (keys.has(key)) {
+                    return false;
+                }
+                keys.add(key);
+                return true;
+            });
+        }
+
+        if (this.#orderKeys.length > 0) {
+            const sortValues = new Map(
+                results.map((result) => [
+                    result,
+                    this.#orderKeys.map(({ key }) => key.evaluate(result.context, result.values)),
+                ])
+            );
+            results.sort((a, b) => {
+                for (const [i, { key, descending }] of this.#orderKeys.entries()) {
+                    const result = compareNullableValues(
+                        sortValues.get(a)![i]!,
+                        sortValues.get(b)![i]!,
+                        key.type ?? ColumnTypes.Double
+                    );
+                    if (result !== 0) {
+                        return descending ? -result : result;
+                    }
+                }
+                return 0;
+            });
+        }
+
+        if (top !== null) {
+            results = results.slice(0, top.percent ? Math.ceil((results.length * top.count) / 100) : top.count);
+        }
+
+        return results.map(({ values }) => {
+            const row: QueryResultRow = {};
+            for (const [i, column] of outputColumns.entries()) {
+                row[column.name] = values[i]!;
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Names are the alias, the name of the column or `Expr1000`, `Expr1001` etc. like in Access
+     */
+    #compileOutputColumns(grouped: boolean): OutputColumn[] {
+        const columns: (OutputColumn & { qualifiedName: string | null })[] = [];
+        let expressionCount = 0;
+
+        for (const item of this.#statement.columns) {
+            if (item.type === "all") {
+                const sourceIndexes =
+                    item.table === null ? this.#sources.map((_, i) => i) : [this.#findSourceIndex(item.table)];
+                for (const sourceIndex of sourceIndexes) {
+                    const source = this.#sources[sourceIndex]!;
+                    for (const column of source.columns) {
+                        columns.push({
+                            name: column.name,
+                            qualifiedName: `${source.name}.${column.name}`,
+                            expression: grouped
+                                ? this.#compile({ type: "column", table: source.name, name: column.name }, true)
+                                : this.#compileColumn(sourceIndex, column),
+                        });
+                    }
+                }
+                continue;
+            }
+
+            const expression = this.#compile(item.expression, grouped);
+            if (item.alias !== null) {
+                if (columns.some((c) => equalsIgnoreCase(c.name, item.alias!))) {
+                    throw new Error(`Duplicate output column name ${item.alias}`);
+                }
+                columns.push({ name: item.alias, qualifiedName: null, expression });
+            } else if (item.expression.type === "column") {
+                const { source, column } = this.#resolveColumn(item.expression.table, item.expression.name);
+                columns.push({
+                    name: column.name,
+                    qualifiedName: `${this.#sources[source]!.name}.${column.name}`,
+                    expression,
+                });
+            } else {
+                columns.push({ name: `Expr${1000 + expressionCount++}`, qualifiedName: null, expression });
+            }
+        }
+
+        // Columns with the same name from different tables are qualified with the name of the table
+        return columns.map(({ name, qualifiedName, expression }) => ({
+            name:
+                qualifiedName !== null && columns.filter((c) => equalsIgnoreCase(c.name, name)).length > 1
+                    ? qualifiedName
+                    : name,
+            expression,
+        }));
+    }
+
+    #compileFromItem(item: FromItem): CompiledFromItem {
+        if (item.type === "table") {
+            return { type: "table", source: this.#findSourceIndex(item.alias ?? item.name) };
+        }
+
+        const left = this.#compileFromItem(item.left);
+        const right = this.#compileFromItem(item.right);
+        const rightSources = getSourceIndexes(right);
+
+        const keys: { left: CompiledExpression; right: CompiledExpression }[] = [];
+        const conditions: Expression[] = [];
+        for (const condition of splitConjunction(item.on)) {
+            const key = this.#compileJoinKey(condition, rightSources);
+            if (key !== null) {
+                keys.push(key);
+            } else {
+                conditions.push(condition);
+            }
+        }
+
+        const condition =
+            conditions.length > 0
+                ? this.#compile(
+                      conditions.reduce((left, right) => ({ type: "logical", operator: "AND", left, right })),
+                      false
+                  )
+                : null;
+        return { type: "join", join: item.join, left, right, keys, condition };
+    }
+
+    /**
+     * @returns Columns of both sides of an equality condition of a join if they have the same type
+     */
+    #compileJoinKey(
+        condition: Expression,
+        rightSources: ReadonlyArray<number>
+    ): { left: CompiledExpression; right: CompiledExpression } | null {
+        if (
+            condition.type !== "comparison" ||
+            condition.operator !== "=" ||
+            condition.left.type !== "column" ||
+            condition.right.type !== "column"
+        ) {
+            return null;
+        }
+
+        const a = this.#resolveColumn(condition.left.table, condition.left.name);
+        const b = this.#resolveColumn(condition.right.table, condition.right.name);
+        if (a.column.type !== b.column.type || rightSources.includes(a.source) === rightSources.includes(b.source)) {
+            return null;
+        }
+
+        const [left, right] = rightSources.includes(b.source) ? [a, b] : [b, a];
+        return {
+            left: this.#compileColumn(left.source, left.column),
+            right: this.#compileColumn(right.source, right.column),
+        };
+    }
+
+    /**
+     * Columns which are not selected can be referenced by their name and selected columns by their alias
+     */
+    #compileOrderKey(
+        expression: Expression,
+        outputColumns: ReadonlyArray<OutputColumn>,
+        grouped: boolean
+    ): CompiledOrderKey {
+        if (expression.type === "column" && expression.table === null && !this.#hasColumn(expression.name)) {
+            const index = outputColumns.findIndex((c) => equalsIgnoreCase(c.name, expression.name));
+            if (index !== -1) {
+                return { type: outputColumns[index]!.expression.type, evaluate: (_, values) => values[index]! };
+            }
+        }
+
+        const compiled = this.#compile(expression, grouped);
+        return { type: compiled.type, evaluate: (context) => compiled.evaluate(context) };
+    }
+
+    #read(item: CompiledFromItem, tableRows: ReadonlyArray<ReadonlyArray<QueryResultRow>>): JoinedRow[] {
+        if (item.type === "table") {
+            return tableRows[item.source]!.map((row) => {
+                const joinedRow: JoinedRow = this.#sources.map(() => null);
+                joinedRow[item.source] = row;
+                return joinedRow;
+            });
+        }
+
+        const leftRows = this.#read(item.left, tableRows);
+        const rightRows = this.#read(item.right, tableRows);
+
+        const rightRowsByKey = new Map<string, JoinedRow[]>();
+        for (const row of rightRows) {
+            const key = this.#getJoinKey(
+                item.keys.map((k) => k.right),
+                row
+            );
+            if (key === null) {
+                continue;
+            }
+
+            const rowsWithKey = rightRowsByKey.get(key);
+            if (rowsWithKey) {
+                rowsWithKey.push(row);
+            } else {
+                rightRowsByKey.set(key, [row]);
+            }
+        }
+
+        const rows: JoinedRow[] = [];
+        for (const leftRow of leftRows) {
+            const key = this.#getJoinKey(
+                item.keys.map((k) => k.left),
+                leftRow
+            );
+            const candidates = key === null ? [] : item.keys.length > 0 ? rightRowsByKey.get(key) ?? [] : rightRows;
+
+            const matches = candidates
+                .map((rightRow) => mergeRows(leftRow, rightRow))
+                .filter((row) => item.condition === null || item.condition.evaluate({ row, group: null }) === true);
+
+            if (matches.length > 0) {
+                rows.push(...matches);
+            } else if (item.join === "left") {
+                rows.push(leftRow);
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * @returns `null` if a value is null, so the row does not match any row
+     */
+    #getJoinKey(expressions: ReadonlyArray<CompiledExpression>, row: JoinedRow): string | null {
+        const keys: string[] = [];
+        for (const expression of expressions) {
+            const value = expression.evaluate({ row, group: null });
+            if (value === null) {
+                return null;
+            }
+            keys.push(toKey(value, expression.type));
+        }
+        return toGroupKey(keys);
+    }
+
+    /**
+     * @param grouped Whether the expression is evaluated once per group. Aggregates are only allowed then and columns
+     * have to be part of an aggregate function or the `GROUP BY` clause like in Access.
+     */
+    #compile(expression: Expression, grouped: boolean): CompiledExpression {
+        if (grouped && this.#groupKeys.has(this.#getExpressionKey(expression))) {
+            // same for all rows of the group
+            return this.#compile(expression, false);
+        }
+
+        const compile = (e: Expression) => this.#compile(e, grouped);
+
+        switch (expression.type) {
+            case "literal": {
+                const { value } = expression;
+                return { type: getLiteralType(value), evaluate: () => value };
+            }
+
+            case "column": {
+                const { source, column } = this.#resolveColumn(expression.table, expression.name);
+                if (grouped) {
+                    throw new Error(`Column ${column.name} is not part of an aggregate function or GROUP BY`);
+                }
+                return this.#compileColumn(source, column);
+            }
+
+            case "not": {
+                const operand = compile(expression.operand);
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        const value = toBoolean(operand.evaluate(context));
+                        return value === null ? null : !value;
+                    },
+                };
+            }
+
+            case "negate": {
+                const operand = compile(expression.operand);
+                return { type: operand.type, evaluate: (context) => negate(operand.evaluate(context)) };
+            }
+
+            case "logical": {
+                const left = compile(expression.left);
+                const right = compile(expression.right);
+                const dominant = expression.operator === "OR";
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        // Null is unknown, e.g. `null AND false` is false and `null OR true` is true
+                        const a = toBoolean(left.evaluate(context));
+                        if (a === dominant) {
+                            return dominant;
+                        }
+                        const b = toBoolean(right.evaluate(context));
+                        if (b === dominant) {
+                            return dominant;
+                        }
+                        return a === null || b === null ? null : !dominant;
+                    },
+                };
+            }
+
+            case "comparison": {
+                const left = compile(expression.left);
+                const right = compile(expression.right);
+                const { operator } = expression;
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        const result = compareOperands(left, right, context);
+                        return result === null ? null : testComparison(operator, result);
+                    },
+                };
+            }
+
+            case "arithmetic": {
+                const left = compile(expression.left);
+                const right = compile(expression.right);
+                const { operator } = expression;
+                return {
+                    type: getArithmeticType(operator, left.type, right.type),
+                    evaluate: (context) =>
+                        calculate(operator, left.evaluate(context), left.type, right.evaluate(context), right.type),
+                };
+            }
+
+            case "like": {
+                const operand = compile(expression.operand);
+                const pattern = compile(expression.pattern);
+                const patterns = new Map<string, RegExp>();
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        const value = operand.evaluate(context);
+                        const patternValue = pattern.evaluate(context);
+                        if (value === null || patternValue === null) {
+                            return null;
+                        }
+
+                        const source = String(patternValue);
+                        let regExp = patterns.get(source);
+                        if (regExp === undefined) {
+                            regExp = likeToRegExp(source);
+                            patterns.set(source, regExp);
+                        }
+                        return regExp.test(String(value)) !== expression.negated;
+                    },
+                };
+            }
+
+            case "in": {
+                const operand = compile(expression.operand);
+                const values = expression.values.map(compile);
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        let result: boolean | null = false;
+                        for (const value of values) {
+                            const comparison = compareOperands(operand, value, context);
+                            if (comparison === 0) {
+                                result = true;
+                                break;
+                            }
+                            if (comparison === null) {
+                                result = null;
+                            }
+                        }
+                        return result === null ? null : result !== expression.negated;
+                    },
+                };
+            }
+
+            case "between": {
+                const operand = compile(expression.operand);
+                const lower = compile(expression.lower);
+                const upper = compile(expression.upper);
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => {
+                        const lowerResult = compareOperands(operand, lower, context);
+                        const upperResult = compareOperands(operand, upper, context);
+                        if (lowerResult === null || upperResult === null) {
+                            return null;
+                        }
+                        return (lowerResult >= 0 && upperResult <= 0) !== expression.negated;
+                    },
+                };
+            }
+
+            case "isNull": {
+                const operand = compile(expression.operand);
+                return {
+                    type: ColumnTypes.Boolean,
+                    evaluate: (context) => (operand.evaluate(context) === null) !== expression.negated,
+                };
+            }
+
+            case "aggregate": {
+                if (!grouped) {
+                    throw new Error(`Aggregate function ${expression.name} is not allowed here`);
+                }
+
+                const argument = expression.argument !== null ? this.#compile(expression.argument, false) : null;
+                return {
+                    type: getAggregateType(expression.name, argument?.type ?? null),
+                    evaluate: ({ group }) => {
+                        // Aggregates are only allowed in grouped queries
+                        const rows = group!;
+                        if (argument === null) {
+                            return rows.length;
+                        }
+
+                        const values = rows
+                            .map((row) => argument.evaluate({ row, group: null }))
+                            .filter((value): value is NonNullable<Value> => value !== null);
+                        return aggregate(expression.name, values, argument.type);
+                    },
+                };
+            }
+        }
+    }
+
+    /**
+     * Key which is equal for expressions that are written differently but read the same columns, e.g. `Owner` and
+     * `[Asset Items].owner`
+     */
+    #getExpressionKey(expression: Expression): string {
+        return JSON.stringify(expression, (_, value: unknown) => {
+            if (isColumnExpression(value)) {
+                const { source, column } = this.#resolveColumn(value.table, value.name);
+                return { type: "column", source, name: column.name };
+            }
+            return value;
+        });
+    }
+
+    #compileColumn(source: number, column: Column): CompiledExpression {
+        this.#sources[source]!.usedColumns.add(column.name);
+        return {
+            type: column.type,
+            evaluate: ({ row }) => row[source]?.[column.name] ?? null,
+        };
+    }
+
+    /**
+     * Names of tables and columns are case insensitive like in Access
+     */
+    #resolveColumn(table: string | null, name: string): { source: number; column: Column } {
+        const sourceIndexes = table === null ? this.#sources.map((_, i) => i) : [this.#findSourceIndex(table)];
+
+        const matches: { source: number; column: Column }[] = [];
+        for (const source of sourceIndexes) {
+            const column = this.#sources[source]!.columns.find((c) => equalsIgnoreCase(c.name, name));
+            if (column !== undefined) {
+                matches.push({ source, column });
+            }
+        }
+
+        if (matches.length > 1) {
+            throw new Error(`Column name ${name} is ambiguous`);
+        }
+        if (matches.length === 0) {
+            throw new Error(`Could not find column with name ${table !== null ? `${table}.${name}` : name}`);
+        }
+        return matches[0]!;
+    }
+
+    #hasColumn(name: string): boolean {
+        return this.#sources.some((s) => s.columns.some((c) => equalsIgnoreCase(c.name, name)));
+    }
+
+    #findSourceIndex(name: string): number {
+        const index = this.#sources.findIndex((s) => equalsIgnoreCase(s.name, name));
+        if (index === -1) {
+            throw new Error(`Could not find table with name ${name} in the query`);
+        }
+        return index;
+    }
+}
+
+function equalsIgnoreCase(a: string, b: string): boolean {
+    return a.toUpperCase() === b.toUpperCase();
+}
+
+function isColumnExpression(value: unknown): value is Extract<Expression, { type: "column" }> {
+    return typeof value === "object" && value !== null && (value as { type?: unknown }).type === "column";
+}
+
+function containsAggregate(expression: Expression): boolean {
+    switch (expression.type) {
+        case "aggregate":
+            return true;
+        case "literal":
+        case "column":
+            return false;
+        case "not":
+        case "negate":
+        case "isNull":
+            return containsAggregate(expression.operand);
+        case "logical":
+        case "comparison":
+        case "arithmetic":
+            return containsAggregate(expression.left) || containsAggregate(expression.right);
+        case "like":
+            return containsAggregate(expression.operand) || containsAggregate(expression.pattern);
+        case "in":
+            return containsAggregate(expression.operand) || expression.values.some(containsAggregate);
+        case "between":
+            return [expression.operand, expression.lower, expression.upper].some(containsAggregate);
+    }
+}
+
+function splitConjunction(expression: Expression): Expression[] {
+    if (expression.type === "logical" && expression.operator === "AND") {
+        return [...splitConjunction(expression.left), ...splitConjunction(expression.right)];
+    }
+    return [expression];
+}
+
+function getSourceIndexes(item: CompiledFromItem): number[] {
+    return item.type === "table" ? [item.source] : [...getSourceIndexes(item.left), ...getSourceIndexes(item.right)];
+}
+
+function mergeRows(a: JoinedRow, b: JoinedRow): JoinedRow {
+    return a.map((row, i) => row ?? b[i] ?? null);
+}
+
+/**
+ * @param all Whether all rows form a single group, e.g. `SELECT COUNT(*) FROM Table`
+ */
+function groupRows(
+    rows: ReadonlyArray<JoinedRow>,
+    expressions: ReadonlyArray<CompiledExpression>,
+    all: boolean
+): JoinedRow[][] {
+    if (all) {
+        return [[...rows]];
+    }
+
+    const groups = new Map<string, JoinedRow[]>();
+    for (const row of rows) {
+        const key = toGroupKey(expressions.map((e) => toKey(e.evaluate({ row, group: null }), e.type)));
+        const group = groups.get(key);
+        if (group) {
+            group.push(row);
+        } else {
+            groups.set(key, [row]);
+        }
+    }
+    return [...groups.values()];
+}
+
+function toGroupKey(keys: ReadonlyArray<string>): string {
+    return JSON.stringify(keys);
+}
+
+/**
+ * Values which are equal in Access have the same key, e.g. text which only differs in case
+ */
+function toKey(value: Value, type: ColumnType | null): string {
+    if (value === null) {
+        return "null";
+    }
+    if (typeof value === "string") {
+        return isDecimalType(type) ? `number:${normalizeDecimal(value)}` : `text:${value.toLowerCase()}`;
+    }
+    if (typeof value === "number" || typeof value === "bigint") {
+        return `number:${value}`;
+    }
+    if (value instanceof Date) {
+        return `date:${value.getTime()}`;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `binary:${value.toString("hex")}`;
+    }
+    return `${typeof value}:${String(value)}`;
+}
+
+/**
+ * Removes insignificant zeros, e.g. `-003.5000` => `-3.5`
+ */
+function normalizeDecimal(value: string): string {
+    const negative = value.startsWith("-");
+    const [integer = "", fraction = ""] = (negative ? value.slice(1) : value).split(".");
+    const normalizedInteger = integer.replace(/^0+/, "") || "0";
+    const normalizedFraction = fraction.replace(/0+$/, "");
+    const normalized = normalizedFraction.length > 0 ? `${normalizedInteger}.${normalizedFraction}` : normalizedInteger;
+    return negative && normalized !== "0" ? `-${normalized}` : normalized;
+}
+
+function isDecimalType(type: ColumnType | null): boolean {
+    return type === ColumnTypes.Currency || type === ColumnTypes.Numeric;
+}
+
+function getLiteralType(value: Value): ColumnType | null {
+    if (typeof value === "string") {
+        return ColumnTypes.Text;
+    }
+    if (typeof value === "boolean") {
+        return ColumnTypes.Boolean;
+    }
+    if (value instanceof Date) {
+        return ColumnTypes.DateTime;
+    }
+    return null;
+}
+
+/**
+ * @returns `null` if a value is null
+ */
+function compareOperands(left: CompiledExpression, right: CompiledExpression, context: Context): number | null {
+    const a = left.evaluate(context);
+    const b = right.evaluate(context);
+    if (a === null || b === null) {
+        return null;
+    }
+
+    if (isDecimalType(left.type) || isDecimalType(right.type)) {
+        const aDecimal = toDecimalString(a);
+        const bDecimal = toDecimalString(b);
+        if (aDecimal !== null && bDecimal !== null) {
+            return compareDecimals(aDecimal, bDecimal);
+        }
+    }
+
+    return compareValues(a, b, left.type ?? right.type ?? ColumnTypes.Double);
+}
+
+function toDecimalString(value: NonNullable<Value>): string | null {
+    if (typeof value === "number" || typeof value === "bigint") {
+        return value.toString();
+    }
+    return typeof value === "string" && /^-?(?:\d+\.?\d*|\.\d+)$/.test(value) ? value : null;
+}
+
+function testComparison(operator: ComparisonOperator, result: number): boolean {
+    switch (operator) {
+        case "=":
+            return result === 0;
+        case "<>":
+            return result !== 0;
+        case "<":
+            return result < 0;
+        case ">":
+            return result > 0;
+        case "<=":
+            return result <= 0;
+        case ">=":
+            return result >= 0;
+    }
+}
+
+function toBoolean(value: Value): boolean | null {
+    if (value === null || typeof value === "boolean") {
+        return value;
+    }
+    if (typeof value === "number") {
+        return value !== 0;
+    }
+    if (typeof value === "bigint") {
+        return value !== 0n;
+    }
+    throw new Error(`Cannot use value of type ${typeof value} as condition`);
+}
+
+function negate(value: Value): Value {
+    if (value === null) {
+        return null;
+    }
+    if (typeof value === "number" || typeof value === "bigint") {
+        return -value;
+    }
+    if (typeof value === "string" && toDecimalString(value) !== null) {
+        return value.startsWith("-") ? value.slice(1) : `-${value}`;
+    }
+    throw new Error(`Cannot negate value of type ${typeof value}`);
+}
+
+function getArithmeticType(
+    operator: ArithmeticOperator,
+    left: ColumnType | null,
+    right: ColumnType | null
+): ColumnType | null {
+    if (operator === "&" || (operator === "+" && left === ColumnTypes.Text && right === ColumnTypes.Text)) {
+        return ColumnTypes.Text;
+    }
+    if ((operator === "+" || operator === "-") && (left === ColumnTypes.DateTime) !== (right === ColumnTypes.DateTime)) {
+        return ColumnTypes.DateTime;
+    }
+    return null;
+}
+
+/**
+ * `&` concatenates text and treats `null` as empty text. Dates can be shifted by a number of days.
+ */
+function calculate(
+    operator: ArithmeticOperator,
+    a: Value,
+    aType: ColumnType | null,
+    b: Value,
+    bType: ColumnType | null
+): Value {
+    if (operator === "&") {
+        return a === null && b === null ? null : toText(a) + toText(b);
+    }
+    if (a === null || b === null) {
+        return null;
+    }
+
+    if (
+        operator === "+" &&
+        typeof a === "string" &&
+        typeof b === "string" &&
+        !isDecimalType(aType) &&
+        !isDecimalType(bType)
+    ) {
+        return a + b;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+        if (a instanceof Date && b instanceof Date && operator === "-") {
+            return (a.getTime() - b.getTime()) / DAY_IN_MILLISECONDS;
+        }
+        if (operator === "+" || operator === "-") {
+            const [date, days] = a instanceof Date ? [a, toNumber(b)] : [b as Date, toNumber(a)];
+            return new Date(date.getTime() + (operator === "+" ? days : -days) * DAY_IN_MILLISECONDS);
+        }
+        throw new Error(`Cannot use operator ${operator} with dates`);
+    }
+
+    if (typeof a === "bigint" && typeof b === "bigint" && operator !== "/") {
+        return operator === "+" ? a + b : operator === "-" ? a - b : a * b;
+    }
+
+    const x = toNumber(a);
+    const y = toNumber(b);
+    switch (operator) {
+        case "+":
+            return x + y;
+        case "-":
+            return x - y;
+        case "*":
+            return x * y;
+        case "/":
+            return x / y;
+    }
+}
+
+function toText(value: Value): string {
+    if (value === null) {
+        return "";
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, -1);
+    }
+    return String(value);
+}
+
+/**
+ * `true` is -1 like in Access
+ */
+function toNumber(value: NonNullable<Value>): number {
+    if (typeof value === "boolean") {
+        return value ? -1 : 0;
+    }
+
+    const number = typeof value === "number" || typeof value === "bigint" || typeof value === "string" ? Number(value) : NaN;
+    if (Number.isNaN(number)) {
+        throw new Error(`Cannot convert value ${String(value)} to a number`);
+    }
+    return number;
+}
+
+function getAggregateType(name: AggregateFunction, argumentType: ColumnType | null): ColumnType | null {
+    switch (name) {
+        case "COUNT":
+        case "AVG":
+            return null;
+        case "SUM":
+            return isDecimalType(argumentType) || argumentType === ColumnTypes.BigInt ? argumentType : null;
+        case "MIN":
+        case "MAX":
+            return argumentType;
+    }
+}
+
+/**
+ * Sums of `currency` and `numeric` values are calculated exactly and returned as decimal strings
+ *
+ * @param values Non-null values
+ */
+function aggregate(name: AggregateFunction, values: NonNullable<Value>[], type: ColumnType | null): Value {
+    if (name === "COUNT") {
+        return values.length;
+    }
+    if (values.length === 0) {
+        return null;
+    }
+
+    switch (name) {
+        case "SUM":
+            if (isDecimalType(type)) {
+                return sumDecimals(values.map(String));
+            }
+            if (values.every((value) => typeof value === "bigint")) {
+                return (values as bigint[]).reduce((sum, value) => sum + value, 0n);
+            }
+            return values.reduce<number>((sum, value) => sum + toNumber(value), 0);
+        case "AVG":
+            return values.reduce<number>((sum, value) => sum + toNumber(value), 0) / values.length;
+        case "MIN":
+        case "MAX": {
+            const direction = name === "MIN" ? 1 : -1;
+            return values.reduce((result, value) =>
+                compareValues(value, result, type ?? ColumnTypes.Double) * direction < 0 ? value : result
+            );
+        }
+    }
+}
+
+function sumDecimals(values: ReadonlyArray<string>): string {
+    const scale = Math.max(...values.map((value) => value.split(".")[1]?.length ?? 0));
+
+    let sum = 0n;
+    for (const value of values) {
+        const [integer = "", fraction = ""] = value.split(".");
+        const unscaled = BigInt(`${integer.replace("-", "")}${fraction.padEnd(scale, "0")}` || "0");
+        sum += value.startsWith("-") ? -unscaled : unscaled;
+    }
+
+    const digits = (sum < 0n ? -sum : sum).toString().padStart(scale + 1, "0");
+    const integer = digits.slice(0, digits.length - scale);
+    const fraction = digits.slice(digits.length - scale);
+    return `${sum < 0n ? "-" : ""}${integer}${scale > 0 ? `.${fraction}` : ""}`;
+}
@@ -0,0 +1,2 @@
+export { type AsyncQueryTable, executeSelect, executeSelectAsync, type QueryResultRow, type QueryTable } from "./execute.js";
+export { parseSelect } from "./parse.js";
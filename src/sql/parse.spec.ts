@@ -0,0 +1,131 @@
+import { expect } from "chai";
+import { parseSelect } from "./parse.js";
+import { parseDateLiteral, tokenize } from "./tokenize.js";
+
+describe("sql", () => {
+    describe("tokenize()", () => {
+        it("bracketed identifiers are not keywords", () => {
+            expect(tokenize("SELECT [Order], [Column Name]").map((t) => t.type)).to.deep.eq([
+                "keyword",
+                "identifier",
+                "operator",
+                "identifier",
+                "end",
+            ]);
+        });
+
+        it("strings with escaped quotes", () => {
+            const [single, double] = tokenize(`'It''s' "say ""hi"""`);
+            expect(single).to.deep.include({ type: "string", value: "It's" });
+            expect(double).to.deep.include({ type: "string", value: 'say "hi"' });
+        });
+
+        it("throws for unterminated literals", () => {
+            expect(() => tokenize("SELECT 'abc")).to.throw("Missing '");
+            expect(() => tokenize("SELECT [abc")).to.throw("Missing ]");
+        });
+    });
+
+    describe("parseDateLiteral()", () => {
+        it("ISO and US dates", () => {
+            expect(parseDateLiteral("2020-01-31")).to.deep.eq(new Date("2020-01-31T00:00:00Z"));
+            expect(parseDateLiteral("1/31/2020")).to.deep.eq(new Date("2020-01-31T00:00:00Z"));
+        });
+
+        it("dates with time", () => {
+            expect(parseDateLiteral("2020-01-31 12:34:56")).to.deep.eq(new Date("2020-01-31T12:34:56Z"));
+            expect(parseDateLiteral("1/31/2020 1:30 PM")).to.deep.eq(new Date("2020-01-31T13:30:00Z"));
+            expect(parseDateLiteral("1/31/2020 12:00 AM")).to.deep.eq(new Date("2020-01-31T00:00:00Z"));
+        });
+
+        it("throws for invalid dates", () => {
+            expect(() => parseDateLiteral("2020-02-30")).to.throw("Invalid date literal");
+            expect(() => parseDateLiteral("yesterday")).to.throw("Invalid date literal");
+        });
+    });
+
+    describe("parseSelect()", () => {
+        it("columns, aliases and tables", () => {
+            const statement = parseSelect("SELECT DISTINCT TOP 5 a.*, [Name] AS n, Age x FROM [Cats] AS a;");
+            expect(statement.distinct).to.eq(true);
+            expect(statement.top).to.deep.eq({ count: 5, percent: false });
+            expect(statement.columns).to.deep.eq([
+                { type: "all", table: "a" },
+                { type: "expression", expression: { type: "column", table: null, name: "Name" }, alias: "n" },
+                { type: "expression", expression: { type: "column", table: null, name: "Age" }, alias: "x" },
+            ]);
+            expect(statement.from).to.deep.eq([{ type: "table", name: "Cats", alias: "a" }]);
+        });
+
+        it("operator precedence", () => {
+            const { where } = parseSelect("SELECT * FROM t WHERE a = 1 OR NOT b + 2 * c > 3 AND d BETWEEN 1 AND 2");
+            expect(where).to.deep.eq({
+                type: "logical",
+                operator: "OR",
+                left: {
+                    type: "comparison",
+                    operator: "=",
+                    left: { type: "column", table: null, name: "a" },
+                    right: { type: "literal", value: 1 },
+                },
+                right: {
+                    type: "logical",
+                    operator: "AND",
+                    left: {
+                        type: "not",
+                        operand: {
+                            type: "comparison",
+                            operator: ">",
+                            left: {
+                                type: "arithmetic",
+                                operator: "+",
+                                left: { type: "column", table: null, name: "b" },
+                                right: {
+                                    type: "arithmetic",
+                                    operator: "*",
+                                    left: { type: "literal", value: 2 },
+                                    right: { type: "column", table: null, name: "c" },
+                                },
+                            },
+                            right: { type: "literal", value: 3 },
+                        },
+                    },
+                    right: {
+                        type: "between",
+                        operand: { type: "column", table: null, name: "d" },
+                        lower: { type: "literal", value: 1 },
+                        upper: { type: "literal", value: 2 },
+                        negated: false,
+                    },
+                },
+            });
+        });
+
+        it("nested joins", () => {
+            const { from } = parseSelect("SELECT * FROM (a INNER JOIN b ON a.id = b.id) LEFT OUTER JOIN c ON b.x = c.x");
+            expect(from).to.have.length(1);
+            expect(from[0]).to.deep.include({ type: "join", join: "left" });
+            expect(from[0]).to.have.nested.property("left.join", "inner");
+            expect(from[0]).to.have.nested.property("right.name", "c");
+        });
+
+        it("group by, having and order by", () => {
+            const statement = parseSelect(
+                "SELECT Owner, Count(*) FROM t GROUP BY Owner HAVING SUM(Cost) > 10 ORDER BY Owner DESC, 2"
+            );
+            expect(statement.columns[1]).to.deep.include({
+                expression: { type: "aggregate", name: "COUNT", argument: null },
+            });
+            expect(statement.groupBy).to.deep.eq([{ type: "column", table: null, name: "Owner" }]);
+            expect(statement.having).to.have.nested.property("left.name", "SUM");
+            expect(statement.orderBy.map((o) => o.descending)).to.deep.eq([true, false]);
+        });
+
+        it("throws for unsupported syntax", () => {
+            expect(() => parseSelect("DELETE FROM t")).to.throw("expected SELECT");
+            expect(() => parseSelect("SELECT Format(a) FROM t")).to.throw("Unsupported function Format");
+            expect(() => parseSelect("SELECT a FROM t WHERE")).to.throw("Unexpected end of statement");
+            expect(() => parseSelect("SELECT a FROM t t2 t3")).to.throw("Unexpected identifier t3");
+        });
+    });
+});
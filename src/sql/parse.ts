@@ -0,0 +1,410 @@
+import { type Keyword, type Operator, type Token, tokenize } from "./tokenize.js";
+
+export const AGGREGATE_FUNCTIONS = ["COUNT", "SUM", "AVG", "MIN", "MAX"] as const;
+
+export type AggregateFunction = typeof AGGREGATE_FUNCTIONS[number];
+
+export type ComparisonOperator = "=" | "<>" | "<" | ">" | "<=" | ">=";
+export type ArithmeticOperator = "+" | "-" | "*" | "/" | "&";
+
+export type Expression =
+    | { type: "literal"; value: string | number | boolean | Date | null }
+    | { type: "column"; table: string | null; name: string }
+    | { type: "not"; operand: Expression }
+    | { type: "negate"; operand: Expression }
+    | { type: "logical"; operator: "AND" | "OR"; left: Expression; right: Expression }
+    | { type: "comparison"; operator: ComparisonOperator; left: Expression; right: Expression }
+    | { type: "arithmetic"; operator: ArithmeticOperator; left: Expression; right: Expression }
+    | { type: "like"; operand: Expression; pattern: Expression; negated: boolean }
+    | { type: "in"; operand: Expression; values: Expression[]; negated: boolean }
+    | { type: "between"; operand: Expression; lower: Expression; upper: Expression; negated: boolean }
+    | { type: "isNull"; operand: Expression; negated: boolean }
+    | { type: "aggregate"; name: AggregateFunction; argument: Expression | null };
+
+/**
+ * `all` is `*` or `Table.*`
+ */
+export type SelectItem =
+    | { type: "all"; table: string | null }
+    | { type: "expression"; expression: Expression; alias: string | null };
+
+export type FromItem =
+    | { type: "table"; name: string; alias: string | null }
+    | { type: "join"; join: "inner" | "left"; left: FromItem; right: FromItem; on: Expression };
+
+export interface OrderByItem {
+    expression: Expression;
+    descending: boolean;
+}
+
+export interface SelectStatement {
+    distinct: boolean;
+    top: { count: number; percent: boolean } | null;
+    columns: SelectItem[];
+
+    /**
+     * Tables separated by commas, i.e. their cross product
+     */
+    from: FromItem[];
+
+    where: Expression | null;
+    groupBy: Expression[];
+    having: Expression | null;
+    orderBy: OrderByItem[];
+}
+
+/**
+ * Parses a SELECT statement in Access SQL
+ */
+export function parseSelect(sql: string): SelectStatement {
+    return new Parser(tokenize(sql)).parseStatement();
+}
+
+class Parser {
+    readonly #tokens: Token[];
+    #position = 0;
+
+    constructor(tokens: Token[]) {
+        this.#tokens = tokens;
+    }
+
+    parseStatement(): SelectStatement {
+        this.#expectKeyword("SELECT");
+
+        const distinct = this.#acceptKeyword("DISTINCT");
+
+        let top: SelectStatement["top"] = null;
+        if (this.#acceptKeyword("TOP")) {
+            const token = this.#next();
+            if (token.type !== "number" || !Number.isInteger(token.value) || token.value < 0) {
+                throw this.#unexpected(token);
+            }
+            top = { count: token.value, percent: this.#acceptKeyword("PERCENT") };
+        }
+
+        const columns = this.#parseList(() => this.#parseSelectItem());
+
+        this.#expectKeyword("FROM");
+        const from = this.#parseList(() => this.#parseFromItem());
+
+        const where = this.#acceptKeyword("WHERE") ? this.#parseExpression() : null;
+
+        let groupBy: Expression[] = [];
+        if (this.#acceptKeyword("GROUP")) {
+            this.#expectKeyword("BY");
+            groupBy = this.#parseList(() => this.#parseExpression());
+        }
+
+        const having = this.#acceptKeyword("HAVING") ? this.#parseExpression() : null;
+
+        let orderBy: OrderByItem[] = [];
+        if (this.#acceptKeyword("ORDER")) {
+            this.#expectKeyword("BY");
+            orderBy = this.#parseList(() => {
+                const expression = this.#parseExpression();
+                const descending = this.#acceptKeyword("DESC");
+                if (!descending) {
+                    this.#acceptKeyword("ASC");
+                }
+                return { expression, descending };
+            });
+        }
+
+        this.#acceptOperator(";");
+        const token = this.#next();
+        if (token.type !== "end") {
+            throw this.#unexpected(token);
+        }
+
+        return { distinct, top, columns, from, where, groupBy, having, orderBy };
+    }
+
+    #parseSelectItem(): SelectItem {
+        if (this.#acceptOperator("*")) {
+            return { type: "all", table: null };
+        }
+
+        const token = this.#peek();
+        const next = this.#tokens[this.#position + 1];
+        const afterNext = this.#tokens[this.#position + 2];
+        if (
+            token.type === "identifier" &&
+            next?.type === "operator" &&
+            next.value === "." &&
+            afterNext?.type === "operator" &&
+            afterNext.value === "*"
+        ) {
+            this.#position += 3;
+            return { type: "all", table: token.value };
+        }
+
+        const expression = this.#parseExpression();
+        return { type: "expression", expression, alias: this.#parseAlias() };
+    }
+
+    #parseAlias(): string | null {
+        if (this.#acceptKeyword("AS")) {
+            return this.#expectIdentifier();
+        }
+        return this.#peek().type === "identifier" ? this.#expectIdentifier() : null;
+    }
+
+    #parseFromItem(): FromItem {
+        let item = this.#parseTableReference();
+
+        for (;;) {
+            let join: "inner" | "left";
+            if (this.#acceptKeyword("INNER")) {
+                join = "inner";
+            } else if (this.#acceptKeyword("LEFT")) {
+                this.#acceptKeyword("OUTER");
+                join = "left";
+            } else {
+                return item;
+            }
+            this.#expectKeyword("JOIN");
+
+            const right = this.#parseTableReference();
+            this.#expectKeyword("ON");
+            item = { type: "join", join, left: item, right, on: this.#parseExpression() };
+        }
+    }
+
+    /**
+     * Access requires parentheses around nested joins, e.g. `(A INNER JOIN B ON ...) INNER JOIN C ON ...`
+     */
+    #parseTableReference(): FromItem {
+        if (this.#acceptOperator("(")) {
+            const item = this.#parseFromItem();
+            this.#expectOperator(")");
+            return item;
+        }
+
+        const name = this.#expectIdentifier();
+        return { type: "table", name, alias: this.#parseAlias() };
+    }
+
+    #parseExpression(): Expression {
+        return this.#parseOr();
+    }
+
+    #parseOr(): Expression {
+        let left = this.#parseAnd();
+        while (this.#acceptKeyword("OR")) {
+            left = { type: "logical", operator: "OR", left, right: this.#parseAnd() };
+        }
+        return left;
+    }
+
+    #parseAnd(): Expression {
+        let left = this.#parseNot();
+        while (this.#acceptKeyword("AND")) {
+            left = { type: "logical", operator: "AND", left, right: this.#parseNot() };
+        }
+        return left;
+    }
+
+    #parseNot(): Expression {
+        if (this.#acceptKeyword("NOT")) {
+            return { type: "not", operand: this.#parseNot() };
+        }
+        return this.#parseComparison();
+    }
+
+    #parseComparison(): Expression {
+        const left = this.#parseConcatenation();
+
+        const token = this.#peek();
+        if (token.type === "operator" && isComparisonOperator(token.value)) {
+            ++this.#position;
+            return { type: "comparison", operator: token.value, left, right: this.#parseConcatenation() };
+        }
+
+        if (this.#acceptKeyword("IS")) {
+            const negated = this.#acceptKeyword("NOT");
+            this.#expectKeyword("NULL");
+            return { type: "isNull", operand: left, negated };
+        }
+
+        const negated = this.#acceptKeyword("NOT");
+        if (this.#acceptKeyword("LIKE")) {
+            return { type: "like", operand: left, pattern: this.#parseConcatenation(), negated };
+        }
+        if (this.#acceptKeyword("IN")) {
+            this.#expectOperator("(");
+            const values = this.#parseList(() => this.#parseExpression());
+            this.#expectOperator(")");
+            return { type: "in", operand: left, values, negated };
+        }
+        if (this.#acceptKeyword("BETWEEN")) {
+            const lower = this.#parseConcatenation();
+            this.#expectKeyword("AND");
+            return { type: "between", operand: left, lower, upper: this.#parseConcatenation(), negated };
+        }
+        if (negated) {
+            throw this.#unexpected(this.#peek());
+        }
+
+        return left;
+    }
+
+    #parseConcatenation(): Expression {
+        let left = this.#parseAdditive();
+        while (this.#acceptOperator("&")) {
+            left = { type: "arithmetic", operator: "&", left, right: this.#parseAdditive() };
+        }
+        return left;
+    }
+
+    #parseAdditive(): Expression {
+        let left = this.#parseMultiplicative();
+        for (;;) {
+            const operator = this.#acceptOperator("+") ? "+" : this.#acceptOperator("-") ? "-" : null;
+            if (operator === null) {
+                return left;
+            }
+            left = { type: "arithmetic", operator, left, right: this.#parseMultiplicative() };
+        }
+    }
+
+    #parseMultiplicative(): Expression {
+        let left = this.#parseUnary();
+        for (;;) {
+            const operator = this.#acceptOperator("*") ? "*" : this.#acceptOperator("/") ? "/" : null;
+            if (operator === null) {
+                return left;
+            }
+            left = { type: "arithmetic", operator, left, right: this.#parseUnary() };
+        }
+    }
+
+    #parseUnary(): Expression {
+        if (this.#acceptOperator("-")) {
+            return { type: "negate", operand: this.#parseUnary() };
+        }
+        this.#acceptOperator("+");
+        return this.#parsePrimary();
+    }
+
+    #parsePrimary(): Expression {
+        const token = this.#next();
+        switch (token.type) {
+            case "number":
+            case "string":
+            case "date":
+                return { type: "literal", value: token.value };
+            case "keyword":
+                switch (token.value) {
+                    case "NULL":
+                        return { type: "literal", value: null };
+                    case "TRUE":
+                        return { type: "literal", value: true };
+                    case "FALSE":
+                        return { type: "literal", value: false };
+                }
+                break;
+            case "operator":
+                if (token.value === "(") {
+                    const expression = this.#parseExpression();
+                    this.#expectOperator(")");
+                    return expression;
+                }
+                break;
+            case "identifier":
+                if (this.#acceptOperator("(")) {
+                    return this.#parseFunction(token.value);
+                }
+                if (this.#acceptOperator(".")) {
+                    return { type: "column", table: token.value, name: this.#expectIdentifier() };
+                }
+                return { type: "column", table: null, name: token.value };
+        }
+
+        throw this.#unexpected(token);
+    }
+
+    /**
+     * Parses the arguments of a function after the opening parenthesis
+     */
+    #parseFunction(name: string): Expression {
+        const upperCaseName = name.toUpperCase();
+        const aggregate = AGGREGATE_FUNCTIONS.find((f) => f === upperCaseName);
+        if (aggregate === undefined) {
+            throw new Error(`Unsupported function ${name}`);
+        }
+
+        const argument = aggregate === "COUNT" && this.#acceptOperator("*") ? null : this.#parseExpression();
+        this.#expectOperator(")");
+        return { type: "aggregate", name: aggregate, argument };
+    }
+
+    #parseList<T>(parseItem: () => T): T[] {
+        const items = [parseItem()];
+        while (this.#acceptOperator(",")) {
+            items.push(parseItem());
+        }
+        return items;
+    }
+
+    #peek(): Token {
+        // The end token is never consumed
+        return this.#tokens[this.#position]!;
+    }
+
+    #next(): Token {
+        const token = this.#peek();
+        if (token.type !== "end") {
+            ++this.#position;
+        }
+        return token;
+    }
+
+    #acceptKeyword(keyword: Keyword): boolean {
+        const token = this.#peek();
+        if (token.type === "keyword" && token.value === keyword) {
+            ++this.#position;
+            return true;
+        }
+        return false;
+    }
+
+    #acceptOperator(operator: Operator): boolean {
+        const token = this.#peek();
+        if (token.type === "operator" && token.value === operator) {
+            ++this.#position;
+            return true;
+        }
+        return false;
+    }
+
+    #expectKeyword(keyword: Keyword): void {
+        if (!this.#acceptKeyword(keyword)) {
+            throw this.#unexpected(this.#peek(), keyword);
+        }
+    }
+
+    #expectOperator(operator: Operator): void {
+        if (!this.#acceptOperator(operator)) {
+            throw this.#unexpected(this.#peek(), operator);
+        }
+    }
+
+    #expectIdentifier(): string {
+        const token = this.#next();
+        if (token.type !== "identifier") {
+            throw this.#unexpected(token, "identifier");
+        }
+        return token.value;
+    }
+
+    #unexpected(token: Token, expected?: string): Error {
+        const found = token.type === "end" ? "end of statement" : `${token.type} ${String(token.value)}`;
+        return new Error(
+            `Unexpected ${found} at position ${token.position}${expected !== undefined ? `, expected ${expected}` : ""}`
+        );
+    }
+}
+
+function isComparisonOperator(operator: Operator): operator is ComparisonOperator {
+    return ["=", "<>", "<", ">", "<=", ">="].includes(operator);
+}
@@ -0,0 +1,175 @@
+export type Token =
+    | { type: "identifier"; value: string; position: number }
+    | { type: "keyword"; value: Keyword; position: number }
+    | { type: "number"; value: number; position: number }
+    | { type: "string"; value: string; position: number }
+    | { type: "date"; value: Date; position: number }
+    | { type: "operator"; value: Operator; position: number }
+    | { type: "end"; position: number };
+
+const KEYWORDS = [
+    "AND",
+    "AS",
+    "ASC",
+    "BETWEEN",
+    "BY",
+    "DESC",
+    "DISTINCT",
+    "FALSE",
+    "FROM",
+    "GROUP",
+    "HAVING",
+    "IN",
+    "INNER",
+    "IS",
+    "JOIN",
+    "LEFT",
+    "LIKE",
+    "NOT",
+    "NULL",
+    "ON",
+    "OR",
+    "ORDER",
+    "OUTER",
+    "PERCENT",
+    "SELECT",
+    "TOP",
+    "TRUE",
+    "WHERE",
+] as const;
+
+export type Keyword = typeof KEYWORDS[number];
+
+const OPERATORS = ["<=", ">=", "<>", "=", "<", ">", "+", "-", "*", "/", "&", ",", "(", ")", ".", ";"] as const;
+
+export type Operator = typeof OPERATORS[number];
+
+/**
+ * Splits Access SQL into tokens. Identifiers in brackets, e.g. `[Column Name]`, are never keywords.
+ */
+export function tokenize(sql: string): Token[] {
+    const tokens: Token[] = [];
+
+    let position = 0;
+    while (position < sql.length) {
+        const char = sql[position]!;
+
+        if (/\s/.test(char)) {
+            ++position;
+            continue;
+        }
+
+        if (char === "[") {
+            const end = findEnd(sql, position, "]");
+            tokens.push({ type: "identifier", value: sql.slice(position + 1, end), position });
+            position = end + 1;
+            continue;
+        }
+
+        if (char === "'" || char === '"') {
+            const { value, end } = readString(sql, position);
+            tokens.push({ type: "string", value, position });
+            position = end + 1;
+            continue;
+        }
+
+        if (char === "#") {
+            const end = findEnd(sql, position, "#");
+            tokens.push({ type: "date", value: parseDateLiteral(sql.slice(position + 1, end)), position });
+            position = end + 1;
+            continue;
+        }
+
+        const number = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(sql.slice(position));
+        if (number) {
+            tokens.push({ type: "number", value: Number(number[0]), position });
+            position += number[0].length;
+            continue;
+        }
+
+        const word = /^[a-z_][a-z0-9_]*/i.exec(sql.slice(position));
+        if (word) {
+            const upperCase = word[0].toUpperCase();
+            tokens.push(
+                isKeyword(upperCase)
+                    ? { type: "keyword", value: upperCase, position }
+                    : { type: "identifier", value: word[0], position }
+            );
+            position += word[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find((o) => sql.startsWith(o, position));
+        if (operator === undefined) {
+            throw new Error(`Unexpected character ${char} at position ${position}`);
+        }
+        tokens.push({ type: "operator", value: operator, position });
+        position += operator.length;
+    }
+
+    tokens.push({ type: "end", position });
+    return tokens;
+}
+
+function isKeyword(word: string): word is Keyword {
+    return (KEYWORDS as ReadonlyArray<string>).includes(word);
+}
+
+function findEnd(sql: string, start: number, endChar: string): number {
+    const end = sql.indexOf(endChar, start + 1);
+    if (end === -1) {
+        throw new Error(`Missing ${endChar} for ${sql[start]} at position ${start}`);
+    }
+    return end;
+}
+
+/**
+ * Quotes inside of a string are escaped by doubling them, e.g. `'It''s'`
+ */
+function readString(sql: string, start: number): { value: string; end: number } {
+    const quote = sql[start]!;
+
+    let value = "";
+    let position = start + 1;
+    for (;;) {
+        const end = findEnd(sql, position - 1, quote);
+        value += sql.slice(position, end);
+        if (sql[end + 1] !== quote) {
+            return { value, end };
+        }
+        value += quote;
+        position = end + 2;
+    }
+}
+
+/**
+ * Parses the content of a date literal, e.g. `#2020-01-31#`, `#1/31/2020#` or `#2020-01-31 12:34:56#`. Dates are
+ * returned like the values of `datetime` columns, i.e. the UTC fields contain the date and time.
+ */
+export function parseDateLiteral(literal: string): Date {
+    const match =
+        /^\s*(?:(\d{4})[-/](\d{1,2})[-/](\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{4}))(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*$/i.exec(
+            literal
+        );
+    if (!match) {
+        throw new Error(`Invalid date literal #${literal}#`);
+    }
+
+    const [, isoYear, isoMonth, isoDay, usMonth, usDay, usYear, hours = "0", minutes = "0", seconds = "0", meridiem] = match;
+    const year = Number(isoYear ?? usYear);
+    const month = Number(isoMonth ?? usMonth);
+    const day = Number(isoDay ?? usDay);
+
+    let hour = Number(hours);
+    if (meridiem !== undefined) {
+        hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+    }
+
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    date.setUTCHours(hour, Number(minutes), Number(seconds));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new Error(`Invalid date literal #${literal}#`);
+    }
+    return date;
+}
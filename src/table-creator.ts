@@ -0,0 +1,306 @@
+import { type ColumnDefinition, encodeColumnFlags, getColumnTypeValue } from "./column.js";
+import { addRecord, canAddRecord, createDataPage } from "./data-page.js";
+import type { Database } from "./Database.js";
+import { writeIndexPage } from "./index-page.js";
+import {
+    encodeIndexColumnOrder,
+    encodeLogicalIndexType,
+    encodeRealIndexFlags,
+    type Index,
+    type IndexDefinition,
+    MAX_INDEX_COLUMNS,
+    UNUSED_INDEX_COLUMN,
+} from "./indexes.js";
+import { PageType } from "./PageType.js";
+import { ColumnTypes } from "./types.js";
+import { allocatePage, createInlineMap } from "./usage-map.js";
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+const MAGIC_TABLE_NUMBER = 1625;
+const MAGIC_INDEX_NUMBER = 1923;
+const DEFINITION_LENGTH_OFFSET = 8;
+const MAGIC_TABLE_NUMBER_OFFSET = 12;
+const AUTO_NUMBER_FLAG_OFFSET = 24;
+const TABLE_TYPE_OFFSET = 40;
+const USER_TABLE_TYPE = 0x4e;
+const SYSTEM_TABLE_TYPE = 0x53;
+const COMPRESSED_UNICODE_FLAG = 0x01;
+
+/**
+ * Header of table definition pages following the first one. Their content is appended to the first page.
+ */
+const CONTINUATION_HEADER_LENGTH = 8;
+
+/**
+ * Usage maps of the long value pages of memo and OLE columns
+ */
+interface LongValueMaps {
+    usageMap: number;
+    freeSpaceMap: number;
+}
+
+/**
+ * Table to be created
+ */
+export interface NewTable {
+    /**
+     * System tables are hidden in Access
+     */
+    system: boolean;
+
+    /**
+     * Column definitions ordered by their index
+     */
+    columns: ReadonlyArray<ColumnDefinition>;
+
+    /**
+     * Each index is stored in its own real index
+     */
+    indexes: ReadonlyArray<Index>;
+}
+
+/**
+ * Table created by a `TableCreator`
+ */
+export interface CreatedTable {
+    /**
+     * First page of the table definition
+     */
+    firstDefinitionPage: number;
+    indexes: IndexDefinition[];
+}
+
+/**
+ * Creates the definitions, usage maps and empty indexes of new tables. Usage maps of all tables are stored in the
+ * rows of shared data pages. Must be used within `Database.write()`.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+export class TableCreator {
+    readonly #database: Database;
+
+    /**
+     * Data page the next usage map is added to
+     */
+    #mapPage: number | null = null;
+
+    constructor(database: Database) {
+        this.#database = database;
+    }
+
+    createTable(table: NewTable): CreatedTable {
+        const firstDefinitionPage = allocatePage(this.#database);
+        const usageMap = this.#createUsageMap([]);
+        const freeSpaceMap = this.#createUsageMap([]);
+
+        const indexes = table.indexes.map((index, indexNumber): IndexDefinition => {
+            const firstPage = allocatePage(this.#database);
+            this.#database.modifyPage(firstPage, (pageBuffer) =>
+                writeIndexPage(
+                    pageBuffer,
+                    { leaf: true, prevPage: 0, nextPage: 0, childTailPage: 0, entries: [] },
+                    firstDefinitionPage,
+                    this.#database.format
+                )
+            );
+
+            return {
+                ...index,
+                indexNumber,
+                realIndexNumber: indexNumber,
+                columnIndices: index.columns.map(({ name }) => {
+                    const column = table.columns.find((c) => c.name === name);
+                    if (column === undefined) {
+                        throw new Error(`Could not find column with name ${name}`);
+                    }
+                    return column.index;
+                }),
+                usageMap: this.#createUsageMap([firstPage]),
+                firstPage,
+            };
+        });
+
+        const longValueMaps = new Map<number, LongValueMaps>();
+        for (const column of table.columns) {
+            if (column.type === ColumnTypes.Memo || column.type === ColumnTypes.OLE) {
+                longValueMaps.set(column.index, {
+                    usageMap: this.#createUsageMap([]),
+                    freeSpaceMap: this.#createUsageMap([]),
+                });
+            }
+        }
+
+        const definition = this.#encodeDefinition(table, indexes, { usageMap, freeSpaceMap }, longValueMaps);
+        this.#writeDefinition(firstDefinitionPage, definition);
+        return { firstDefinitionPage, indexes };
+    }
+
+    /**
+     * @param pages Pages referenced by the map
+     * @returns Page row of the usage map
+     */
+    #createUsageMap(pages: ReadonlyArray<number>): number {
+        const pageStart = pages.length === 0 ? 0 : Math.floor(Math.min(...pages) / 8) * 8;
+        const map = createInlineMap(pageStart, pages);
+
+        if (this.#mapPage === null || !canAddRecord(this.#database, this.#mapPage, map.length)) {
+            this.#mapPage = createDataPage(this.#database, 0);
+        }
+        return (this.#mapPage << 8) | addRecord(this.#database, this.#mapPage, map);
+    }
+
+    /**
+     * Lays out the header with the real index counters, the columns, their names, the real and logical indexes, the
+     * index names and the usage maps of long value columns.
+     *
+     * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L286-L420
+     */
+    #encodeDefinition(
+        table: NewTable,
+        indexes: ReadonlyArray<IndexDefinition>,
+        maps: LongValueMaps,
+        longValueMaps: ReadonlyMap<number, LongValueMaps>
+    ): Buffer {
+        const { tableDefinitionPage } = this.#database.format;
+        const { columns } = table;
+
+        const header = Buffer.alloc(
+            tableDefinitionPage.realIndexStartOffset + indexes.length * tableDefinitionPage.realIndexEntrySize
+        );
+        header[0] = PageType.TableDefinition;
+        header[1] = 0x01;
+        header.writeUInt32LE(MAGIC_TABLE_NUMBER, MAGIC_TABLE_NUMBER_OFFSET);
+        header[AUTO_NUMBER_FLAG_OFFSET] = 0x01; // Access does not generate autonumbers without it
+        header[TABLE_TYPE_OFFSET] = table.system ? SYSTEM_TABLE_TYPE : USER_TABLE_TYPE;
+        header.writeUInt16LE(columns.length, tableDefinitionPage.maxColumnCountOffset);
+        header.writeUInt16LE(columns.filter((c) => !c.fixedLength).length, tableDefinitionPage.variableColumnCountOffset);
+        header.writeUInt16LE(columns.length, tableDefinitionPage.columnCountOffset);
+        header.writeUInt32LE(indexes.length, tableDefinitionPage.logicalIndexCountOffset);
+        header.writeUInt32LE(indexes.length, tableDefinitionPage.realIndexCountOffset);
+        header.writeUInt32LE(maps.usageMap, tableDefinitionPage.usageMapOffset);
+        header.writeUInt32LE(maps.freeSpaceMap, tableDefinitionPage.freeSpaceMapOffset);
+        indexes.forEach((_index, i) =>
+            header.writeUInt32LE(
+                MAGIC_INDEX_NUMBER,
+                tableDefinitionPage.realIndexStartOffset + i * tableDefinitionPage.realIndexEntrySize
+            )
+        );
+
+        const trailer = Buffer.alloc(longValueMaps.size * 10 + 2);
+        [...longValueMaps].forEach(([columnIndex, { usageMap, freeSpaceMap }], i) => {
+            trailer.writeUInt16LE(columnIndex, i * 10);
+            trailer.writeUInt32LE(usageMap, i * 10 + 2);
+            trailer.writeUInt32LE(freeSpaceMap, i * 10 + 6);
+        });
+        trailer.writeUInt16LE(0xffff, longValueMaps.size * 10);
+
+        const definition = Buffer.concat([
+            header,
+            ...columns.map((column) => this.#encodeColumn(column, table.system)),
+            ...columns.map((column) => encodeName(column.name)),
+            ...indexes.map((index) => this.#encodeRealIndex(index)),
+            ...indexes.map((index) => this.#encodeLogicalIndex(index)),
+            ...indexes.map((index) => encodeName(index.name)),
+            trailer,
+        ]);
+        definition.writeUInt32LE(definition.length, DEFINITION_LENGTH_OFFSET);
+        return definition;
+    }
+
+    #encodeColumn(column: ColumnDefinition, system: boolean): Buffer {
+        const { columnsDefinition } = this.#database.format.tableDefinitionPage;
+
+        const buffer = Buffer.alloc(columnsDefinition.entrySize);
+        buffer.writeUInt8(getColumnTypeValue(column.type), columnsDefinition.typeOffset);
+        buffer.writeUInt32LE(MAGIC_TABLE_NUMBER, 1);
+        buffer.writeUInt16LE(column.index, columnsDefinition.indexOffset);
+        buffer.writeUInt16LE(column.fixedLength ? 0 : column.variableIndex, columnsDefinition.variableIndexOffset);
+        buffer.writeUInt16LE(column.index, 9);
+
+        if (column.type === ColumnTypes.Numeric) {
+            buffer.writeUInt8(column.precision ?? 0, 11);
+            buffer.writeUInt8(column.scale ?? 0, 12);
+        } else {
+            const sortOrder = this.#database.getDefaultSortOrder();
+            buffer.writeUInt16LE(sortOrder.value, 11);
+            buffer.writeUInt8(sortOrder.version, 14);
+        }
+
+        buffer.writeUInt8(encodeColumnFlags(column, system), columnsDefinition.flagsOffset);
+        if (column.compressedUnicode && columnsDefinition.compressedUnicodeOffset !== null) {
+            buffer.writeUInt8(COMPRESSED_UNICODE_FLAG, columnsDefinition.compressedUnicodeOffset);
+        }
+        buffer.writeUInt16LE(column.fixedLength ? column.fixedIndex : 0, columnsDefinition.fixedIndexOffset);
+        buffer.writeUInt16LE(column.size, columnsDefinition.sizeOffset);
+        return buffer;
+    }
+
+    #encodeRealIndex(index: IndexDefinition): Buffer {
+        const { realIndexDefinition } = this.#database.format.tableDefinitionPage;
+
+        const buffer = Buffer.alloc(realIndexDefinition.entrySize);
+        buffer.writeUInt32LE(MAGIC_INDEX_NUMBER, 0);
+        for (let i = 0; i < MAX_INDEX_COLUMNS; ++i) {
+            const columnPos = realIndexDefinition.columnsOffset + i * 3;
+            const columnIndex = index.columnIndices[i];
+            buffer.writeUInt16LE(columnIndex ?? UNUSED_INDEX_COLUMN, columnPos);
+            buffer.writeUInt8(
+                columnIndex === undefined ? 0 : encodeIndexColumnOrder(index.columns[i]!.order),
+                columnPos + 2
+            );
+        }
+        buffer.writeUInt32LE(index.usageMap, realIndexDefinition.usageMapOffset);
+        buffer.writeUInt32LE(index.firstPage, realIndexDefinition.firstPageOffset);
+        buffer.writeUInt8(encodeRealIndexFlags(index), realIndexDefinition.flagsOffset);
+        return buffer;
+    }
+
+    #encodeLogicalIndex(index: IndexDefinition): Buffer {
+        const { logicalIndexDefinition } = this.#database.format.tableDefinitionPage;
+
+        const buffer = Buffer.alloc(logicalIndexDefinition.entrySize);
+        buffer.writeUInt32LE(MAGIC_TABLE_NUMBER, 0);
+        buffer.writeUInt32LE(index.indexNumber, logicalIndexDefinition.indexNumberOffset);
+        buffer.writeUInt32LE(index.realIndexNumber, logicalIndexDefinition.realIndexNumberOffset);
+        buffer.writeInt32LE(-1, logicalIndexDefinition.relatedIndexNumberOffset);
+        buffer.writeUInt8(encodeLogicalIndexType(index), logicalIndexDefinition.typeOffset);
+        return buffer;
+    }
+
+    /**
+     * Writes the definition to the first page and continues on new pages if it does not fit
+     */
+    #writeDefinition(firstDefinitionPage: number, definition: Buffer): void {
+        const { pageSize } = this.#database.format;
+
+        const chunks = [definition.slice(0, pageSize)];
+        for (let offset = pageSize; offset < definition.length; offset += pageSize - CONTINUATION_HEADER_LENGTH) {
+            chunks.push(definition.slice(offset, offset + pageSize - CONTINUATION_HEADER_LENGTH));
+        }
+        const pages = chunks.map((_chunk, i) => (i === 0 ? firstDefinitionPage : allocatePage(this.#database)));
+
+        chunks.forEach((chunk, i) => {
+            this.#database.modifyPage(pages[i]!, (pageBuffer) => {
+                pageBuffer.fill(0);
+                const contentStart = i === 0 ? 0 : CONTINUATION_HEADER_LENGTH;
+                chunk.copy(pageBuffer, contentStart);
+                pageBuffer[0] = PageType.TableDefinition;
+                pageBuffer[1] = 0x01;
+                pageBuffer.writeUInt16LE(Math.max(0, pageSize - contentStart - chunk.length - 8), 2);
+                pageBuffer.writeUInt32LE(pages[i + 1] ?? 0, 4);
+            });
+        });
+    }
+}
+
+/**
+ * Names of columns and indexes are stored with their length in bytes
+ */
+function encodeName(name: string): Buffer {
+    const encoded = Buffer.from(name, "ucs2");
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(encoded.length);
+    return Buffer.concat([length, encoded]);
+}
@@ -0,0 +1,628 @@
+import type { ColumnDefinition } from "./column.js";
+import { readFieldValue, writeFieldValue } from "./data/index.js";
+import { deleteLongValue, LongValueWriter } from "./data/long-value.js";
+import { writeComplexOrLong } from "./data/complexOrLong.js";
+import { addRecord, canAddRecord, createDataPage, deleteRecord, getRecordSize, replaceRecord } from "./data-page.js";
+import type { Database } from "./Database.js";
+import { randomBytes } from "./environment/index.js";
+import { encodeIndexKey, type IndexKeyValue } from "./index-key.js";
+import { type IndexEntry, readIndexPage, splitIndexEntries, writeIndexPage } from "./index-page.js";
+import type { IndexDefinition } from "./indexes.js";
+import { ColumnTypes, type WriteRow, type WriteValue } from "./types.js";
+import { addMapPage, allocatePage, freePage, removeMapPage } from "./usage-map.js";
+import { roundToFullByte, setBitmapValue } from "./util.js";
+
+/**
+ * Values of a record as they are stored: Encoded values, `true` or `false` for booleans and `null`
+ */
+export type RecordFields = Map<ColumnDefinition, Buffer | boolean | null>;
+
+/**
+ * Record of a table to be deleted or updated
+ */
+export interface StoredRecord {
+    /**
+     * Page row of the record as referenced by the indexes
+     */
+    pageRow: number;
+
+    /**
+     * Page rows storing the record. Records that were moved to another page are stored in two rows, the pointer to
+     * the new location and the record itself.
+     */
+    locations: number[];
+
+    fields: RecordFields;
+}
+
+/**
+ * Table written by a `TableWriter`
+ */
+export interface WritableTable {
+    name: string;
+
+    /**
+     * First page of the table definition
+     */
+    firstDefinitionPage: number;
+
+    /**
+     * Column definitions ordered by their index
+     */
+    columns: ReadonlyArray<ColumnDefinition>;
+    indexes: ReadonlyArray<IndexDefinition>;
+
+    /**
+     * Data pages referenced by the usage map of the table
+     */
+    dataPages: ReadonlyArray<number>;
+
+    /**
+     * Names of the columns whose `Required` property is set
+     */
+    requiredColumns: ReadonlyArray<string>;
+}
+
+/**
+ * A record that replaces `replaces` when it is updated
+ */
+interface NewRecord {
+    fields: RecordFields;
+    replaces: StoredRecord | null;
+}
+
+/**
+ * Writes the records of a table together with its indexes, usage maps and counters. Updated records are rewritten in
+ * place if they fit into the space of the old record. Otherwise they are written as a deletion of the old record
+ * followed by an insertion of the new one like Access does. Must be used within `Database.write()`.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+export class TableWriter {
+    readonly #database: Database;
+    readonly #table: WritableTable;
+    readonly #dataPages: number[];
+    readonly #longValues: LongValueWriter;
+
+    constructor(database: Database, table: WritableTable) {
+        this.#database = database;
+        this.#table = table;
+        this.#dataPages = [...table.dataPages];
+        this.#longValues = new LongValueWriter(database);
+    }
+
+    insertRows(rows: ReadonlyArray<WriteRow>): void {
+        this.#writeRecords(
+            [],
+            rows.map((row) => ({ fields: this.#createFields(row, null), replaces: null }))
+        );
+    }
+
+    /**
+     * @param values Values of the columns to be changed
+     */
+    updateRows(records: ReadonlyArray<StoredRecord>, values: WriteRow): void {
+        const newRecords = records.map((record) => {
+            const fields = this.#createFields(values, record.fields);
+            this.#deleteLongValues(record.fields, fields);
+            return { fields, replaces: record };
+        });
+        this.#writeRecords(records, newRecords);
+    }
+
+    deleteRows(records: ReadonlyArray<StoredRecord>): void {
+        for (const record of records) {
+            this.#deleteLongValues(record.fields, null);
+        }
+        this.#writeRecords(records, []);
+    }
+
+    #writeRecords(deletedRecords: ReadonlyArray<StoredRecord>, newRecords: ReadonlyArray<NewRecord>): void {
+        const pageRows = new Map<NewRecord, number>();
+        const records = newRecords.map((newRecord) => {
+            const { fields, replaces } = newRecord;
+            if (replaces === null) {
+                return this.#encodeRecord(fields, 0);
+            }
+
+            // Moved records are rewritten at their new location, so the pointer to them stays valid
+            const location = replaces.locations[replaces.locations.length - 1]!;
+            const size = getRecordSize(this.#database, location >>> 8, location & 0xff);
+            const record = this.#encodeRecord(fields, size);
+            if (record.length <= size) {
+                replaceRecord(this.#database, location >>> 8, location & 0xff, record);
+                pageRows.set(newRecord, replaces.pageRow);
+            }
+            return record;
+        });
+
+        const replacedRecords = new Set(newRecords.filter((record) => pageRows.has(record)).map((r) => r.replaces));
+        for (const record of deletedRecords) {
+            if (replacedRecords.has(record)) {
+                continue;
+            }
+
+            for (const pageRow of record.locations) {
+                deleteRecord(this.#database, pageRow >>> 8, pageRow & 0xff);
+            }
+        }
+
+        newRecords.forEach((record, i) => {
+            if (!pageRows.has(record)) {
+                pageRows.set(record, this.#addRecord(records[i]!));
+            }
+        });
+        this.#updateIndexes(
+            deletedRecords,
+            newRecords.map((record) => ({ ...record, pageRow: pageRows.get(record)! }))
+        );
+
+        const { rowCountOffset } = this.#database.format.tableDefinitionPage;
+        this.#database.modifyPage(this.#table.firstDefinitionPage, (pageBuffer) =>
+            pageBuffer.writeUInt32LE(
+                pageBuffer.readUInt32LE(rowCountOffset) + newRecords.length - deletedRecords.length,
+                rowCountOffset
+            )
+        );
+    }
+
+    /**
+     * @param previous Fields of the record to be updated. `null` for new records.
+     */
+    #createFields(values: WriteRow, previous: RecordFields | null): RecordFields {
+        for (const name of Object.keys(values)) {
+            if (!this.#table.columns.some((c) => c.name === name)) {
+                throw new Error(`Could not find column with name ${name}`);
+            }
+        }
+
+        const fields: RecordFields = new Map(previous ?? []);
+        for (const column of this.#table.columns) {
+            const value = values[column.name];
+            if (value === undefined && previous !== null) {
+                continue;
+            }
+
+            fields.set(column, this.#createField(column, value ?? null, previous === null));
+        }
+        return fields;
+    }
+
+    /**
+     * @param generate Generates autonumbers, GUIDs and the ids of complex values if the value is `null`
+     */
+    #createField(column: ColumnDefinition, value: WriteValue, generate: boolean): Buffer | boolean | null {
+        const { autoNumberOffset, complexAutoNumberOffset } = this.#database.format.tableDefinitionPage;
+
+        if (column.type === ColumnTypes.Boolean) {
+            // Booleans are stored in the null mask and cannot be null
+            if (value === null) {
+                return false;
+            }
+            if (typeof value !== "boolean") {
+                throw new Error(`Expected a boolean for column ${column.name}`);
+            }
+            return value;
+        }
+
+        if (value === null) {
+            if (generate && column.autoLong) {
+                return writeComplexOrLong(this.#nextAutoNumber(autoNumberOffset), column);
+            }
+            if (generate && column.autoUUID) {
+                return randomBytes(16);
+            }
+            if (generate && column.type === ColumnTypes.Complex) {
+                if (complexAutoNumberOffset === null) {
+                    throw new Error(`Cannot generate the id of complex column ${column.name}`);
+                }
+                return writeComplexOrLong(this.#nextAutoNumber(complexAutoNumberOffset), column);
+            }
+            if (this.#table.requiredColumns.includes(column.name)) {
+                throw new Error(`Column ${column.name} of table ${this.#table.name} is required`);
+            }
+            return null;
+        }
+
+        const field = writeFieldValue(value, column, this.#longValues);
+        if (column.autoLong) {
+            this.#raiseAutoNumber(autoNumberOffset, field.readInt32LE());
+        } else if (column.type === ColumnTypes.Complex && complexAutoNumberOffset !== null) {
+            this.#raiseAutoNumber(complexAutoNumberOffset, field.readInt32LE());
+        }
+        return field;
+    }
+
+    /**
+     * @param offset Offset of the counter in the table definition
+     */
+    #nextAutoNumber(offset: number): number {
+        let value = 0;
+        this.#database.modifyPage(this.#table.firstDefinitionPage, (pageBuffer) => {
+            value = pageBuffer.readUInt32LE(offset) + 1;
+            pageBuffer.writeUInt32LE(value, offset);
+        });
+        return value;
+    }
+
+    /**
+     * Ensures that generated values are higher than a value that was written explicitly
+     *
+     * @param offset Offset of the counter in the table definition
+     */
+    #raiseAutoNumber(offset: number, value: number): void {
+        if (value > this.#database.getPage(this.#table.firstDefinitionPage).readUInt32LE(offset)) {
+            this.#database.modifyPage(this.#table.firstDefinitionPage, (pageBuffer) =>
+                pageBuffer.writeUInt32LE(value, offset)
+            );
+        }
+    }
+
+    /**
+     * Deletes the memo and OLE values of a record that are not kept
+     *
+     * @param newFields Fields of the updated record. `null` if the record is deleted.
+     */
+    #deleteLongValues(fields: RecordFields, newFields: RecordFields | null): void {
+        for (const [column, field] of fields) {
+            if (
+                (column.type === ColumnTypes.Memo || column.type === ColumnTypes.OLE) &&
+                Buffer.isBuffer(field) &&
+                newFields?.get(column) !== field
+            ) {
+                deleteLongValue(field, this.#database);
+            }
+        }
+    }
+
+    /**
+     * Lays out a record with the fixed length values first and the variable length values after them. Their offsets
+     * follow in reverse order, then the null mask.
+     *
+     * @param minLength Records rewritten in place are padded to the size of the old record. The padding follows the
+     *   values, so the offsets and the null mask stay at the end of the record.
+     *
+     * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L421-L481
+     */
+    #encodeRecord(fields: RecordFields, minLength: number): Buffer {
+        const { maxColumnCountOffset, variableColumnCountOffset } = this.#database.format.tableDefinitionPage;
+        const definitionBuffer = this.#database.getPage(this.#table.firstDefinitionPage);
+        const { columns } = this.#table;
+
+        const columnCount = Math.max(
+            definitionBuffer.readUInt16LE(maxColumnCountOffset),
+            ...columns.map((c) => c.index + 1)
+        );
+        const fixedColumns = columns.filter((c) => c.fixedLength && c.type !== ColumnTypes.Boolean);
+        const variableColumns = columns.filter((c) => !c.fixedLength);
+        const variableColumnCount = Math.max(0, ...variableColumns.map((c) => c.variableIndex + 1));
+
+        const nullMask = Buffer.alloc(roundToFullByte(columnCount));
+        const fixedData = Buffer.alloc(2 + Math.max(0, ...fixedColumns.map((c) => c.fixedIndex + c.size)));
+        fixedData.writeUInt16LE(columnCount);
+        const variableData: Buffer[] = Array.from({ length: variableColumnCount }, () => Buffer.alloc(0));
+
+        for (const column of columns) {
+            const field = fields.get(column) ?? null;
+            if (field === false || field === null) {
+                continue;
+            }
+
+            setBitmapValue(nullMask, column.index, true);
+            if (field === true) {
+                continue;
+            }
+
+            if (column.fixedLength) {
+                field.copy(fixedData, 2 + column.fixedIndex);
+            } else {
+                variableData[column.variableIndex] = field;
+            }
+        }
+
+        if (definitionBuffer.readUInt16LE(variableColumnCountOffset) === 0) {
+            const padding = Buffer.alloc(Math.max(0, minLength - fixedData.length - nullMask.length));
+            return Buffer.concat([fixedData, padding, nullMask]);
+        }
+
+        const offsets: number[] = [];
+        let offset = fixedData.length;
+        for (const data of variableData) {
+            offsets.push(offset);
+            offset += data.length;
+        }
+        offsets.push(offset); // end of the variable length values
+
+        const offsetsBuffer = Buffer.alloc(offsets.length * 2 + 2);
+        offsets.forEach((o, i) => offsetsBuffer.writeUInt16LE(o, (offsets.length - 1 - i) * 2));
+        offsetsBuffer.writeUInt16LE(variableColumnCount, offsets.length * 2);
+
+        const padding = Buffer.alloc(Math.max(0, minLength - offset - offsetsBuffer.length - nullMask.length));
+        return Buffer.concat([fixedData, ...variableData, padding, offsetsBuffer, nullMask]);
+    }
+
+    /**
+     * Adds a record to the last data page of the table or to a new data page if it is full
+     *
+     * @returns Page row of the record
+     */
+    #addRecord(record: Buffer): number {
+        const { maxRecordSize } = this.#database.format.dataPage;
+        if (record.length > maxRecordSize) {
+            throw new Error(`Row of table ${this.#table.name} is larger than ${maxRecordSize} bytes`);
+        }
+
+        const { usageMapOffset, freeSpaceMapOffset } = this.#database.format.tableDefinitionPage;
+        const definitionBuffer = this.#database.getPage(this.#table.firstDefinitionPage);
+        const usageMap = definitionBuffer.readUInt32LE(usageMapOffset);
+        const freeSpaceMap = definitionBuffer.readUInt32LE(freeSpaceMapOffset);
+
+        let page = this.#dataPages[this.#dataPages.length - 1];
+        if (page === undefined || !canAddRecord(this.#database, page, record.length)) {
+            const newPage = createDataPage(this.#database, this.#table.firstDefinitionPage);
+            addMapPage(this.#database, usageMap, newPage);
+            addMapPage(this.#database, freeSpaceMap, newPage);
+            if (page !== undefined) {
+                removeMapPage(this.#database, freeSpaceMap, page);
+            }
+
+            this.#dataPages.push(newPage);
+            page = newPage;
+        }
+
+        return (page << 8) | addRecord(this.#database, page, record);
+    }
+
+    /**
+     * Removes the entries of deleted records from the indexes and adds the entries of new records. Indexes are
+     * rebuilt from their sorted entries. Indexes stay untouched if all records were rewritten in place without changing
+     * the indexed columns.
+     */
+    #updateIndexes(
+        deletedRecords: ReadonlyArray<StoredRecord>,
+        newRecords: ReadonlyArray<NewRecord & { pageRow: number }>
+    ): void {
+        const deletedPageRows = new Set(deletedRecords.map((record) => record.pageRow));
+
+        // Logical indexes like primary and foreign keys may share the same real index
+        const realIndexes = new Map<number, IndexDefinition[]>();
+        for (const index of this.#table.indexes) {
+            realIndexes.set(index.realIndexNumber, [...(realIndexes.get(index.realIndexNumber) ?? []), index]);
+        }
+
+        for (const indexes of realIndexes.values()) {
+            const index = indexes.find((i) => i.primaryKey) ?? indexes[0]!;
+            const unique = indexes.some((i) => i.unique);
+            const required = indexes.some((i) => i.required || i.primaryKey);
+
+            if (
+                newRecords.length === deletedRecords.length &&
+                newRecords.every(
+                    (record) => record.replaces?.pageRow === record.pageRow && !this.#changesIndexColumns(index, record)
+                )
+            ) {
+                continue;
+            }
+
+            const { entries: storedEntries, pages } = readIndexTree(this.#database, index.firstPage);
+            const deletedKeys = new Map<number, Buffer>();
+            const entries = storedEntries.filter((entry) => {
+                if (deletedPageRows.has(entry.pageRow)) {
+                    deletedKeys.set(entry.pageRow, entry.key);
+                    return false;
+                }
+                return true;
+            });
+
+            // Only entries with new keys can violate the uniqueness of the index
+            const checkedEntries = new Set<IndexEntry>();
+            for (const record of newRecords) {
+                const key = this.#createIndexKey(index, record, deletedKeys, required);
+                if (key === null) {
+                    continue;
+                }
+
+                const entry: IndexEntry = { key: key.key, pageRow: record.pageRow, subPage: null };
+                entries.push(entry);
+                if (key.checked) {
+                    checkedEntries.add(entry);
+                }
+            }
+
+            entries.sort((a, b) => Buffer.compare(a.key, b.key) || a.pageRow - b.pageRow);
+
+            let uniqueEntryCount = 0;
+            entries.forEach((entry, i) => {
+                const previous = entries[i - 1];
+                if (previous !== undefined && previous.key.equals(entry.key)) {
+                    if (unique && (checkedEntries.has(entry) || checkedEntries.has(previous))) {
+                        throw new Error(`Duplicate value in unique index ${index.name} of table ${this.#table.name}`);
+                    }
+                } else {
+                    ++uniqueEntryCount;
+                }
+            });
+
+            this.#writeIndexTree(index, entries, pages);
+
+            const { realIndexStartOffset, realIndexEntrySize, realIndexUniqueEntryCountOffset } =
+                this.#database.format.tableDefinitionPage;
+            this.#database.modifyPage(this.#table.firstDefinitionPage, (pageBuffer) =>
+                pageBuffer.writeUInt32LE(
+                    uniqueEntryCount,
+                    realIndexStartOffset + index.realIndexNumber * realIndexEntrySize + realIndexUniqueEntryCountOffset
+                )
+            );
+        }
+    }
+
+    /**
+     * Updated records keep their key if none of the indexed columns changed
+     *
+     * @param deletedKeys Keys of deleted records by their page row
+     * @returns `null` if the record is not indexed. `checked` is set if the key contains values and has to be unique.
+     */
+    #createIndexKey(
+        index: IndexDefinition,
+        record: NewRecord,
+        deletedKeys: Map<number, Buffer>,
+        required: boolean
+    ): { key: Buffer; checked: boolean } | null {
+        const columns = this.#getIndexColumns(index);
+
+        const { replaces } = record;
+        if (replaces !== null && !this.#changesIndexColumns(index, record)) {
+            const key = deletedKeys.get(replaces.pageRow);
+            if (key !== undefined) {
+                return { key, checked: false };
+            }
+        }
+
+        const values = columns.map((column): IndexKeyValue => {
+            const field = record.fields.get(column) ?? null;
+            if (field === null || typeof field === "boolean") {
+                return field;
+            }
+
+            const value = readFieldValue(field, column, this.#database);
+            if (
+                typeof value !== "string" &&
+                typeof value !== "number" &&
+                typeof value !== "bigint" &&
+                !(value instanceof Date)
+            ) {
+                throw new Error(`Index keys of column type ${column.type} are not supported`);
+            }
+            return value;
+        });
+
+        const allNull = values.every((value) => value === null);
+        if (allNull && index.ignoreNulls) {
+            return null;
+        }
+        if (required && values.includes(null)) {
+            throw new Error(`Index ${index.name} of table ${this.#table.name} does not allow null values`);
+        }
+
+        const keyColumns = columns.map((column, i) => ({ ...column, order: index.columns[i]!.order }));
+        return {
+            key: encodeIndexKey(
+                values,
+                keyColumns,
+                this.#database.getDefaultSortOrder(),
+                this.#database.format.legacyNumericIndexes
+            ),
+            checked: !allNull,
+        };
+    }
+
+    #getIndexColumns(index: IndexDefinition): ColumnDefinition[] {
+        return index.columnIndices.map((columnIndex) => this.#table.columns.find((c) => c.index === columnIndex)!);
+    }
+
+    /**
+     * @returns `true` for new records and updated records with a changed value of a column of the index
+     */
+    #changesIndexColumns(index: IndexDefinition, record: NewRecord): boolean {
+        const { replaces } = record;
+        return (
+            replaces === null || this.#getIndexColumns(index).some((c) => record.fields.get(c) !== replaces.fields.get(c))
+        );
+    }
+
+    /**
+     * Writes sorted entries to leaf pages and adds levels of intermediate pages until one page references all others.
+     * The root page stays the first page of the index. Other pages of the old tree are reused before new pages are
+     * allocated and unused ones are freed.
+     *
+     * @param oldPages Pages of the index before the update
+     */
+    #writeIndexTree(index: IndexDefinition, entries: ReadonlyArray<IndexEntry>, oldPages: ReadonlyArray<number>): void {
+        const { format } = this.#database;
+
+        const levels = [splitIndexEntries(entries, true, format)];
+        for (let level = levels[0]!; level.length > 1; level = levels[levels.length - 1]!) {
+            const parentEntries = level.map((childEntries): IndexEntry => {
+                const { key, pageRow } = childEntries[childEntries.length - 1]!;
+                return { key, pageRow, subPage: null };
+            });
+            levels.push(splitIndexEntries(parentEntries, false, format));
+        }
+
+        const reusablePages = oldPages.filter((page) => page !== index.firstPage);
+        const levelPages = levels.map((level, depth) =>
+            level.map(() => {
+                if (depth === levels.length - 1) {
+                    return index.firstPage;
+                }
+
+                const page = reusablePages.shift() ?? allocatePage(this.#database);
+                addMapPage(this.#database, index.usageMap, page);
+                return page;
+            })
+        );
+        for (const page of reusablePages) {
+            removeMapPage(this.#database, index.usageMap, page);
+            freePage(this.#database, page);
+        }
+
+        levels.forEach((level, depth) => {
+            const pages = levelPages[depth]!;
+            const childPages = depth === 0 ? [] : [...levelPages[depth - 1]!];
+            level.forEach((pageEntries, i) => {
+                const leaf = depth === 0;
+                const indexEntries = leaf
+                    ? pageEntries
+                    : pageEntries.map((entry) => ({ ...entry, subPage: childPages.shift()! }));
+
+                this.#database.modifyPage(pages[i]!, (pageBuffer) =>
+                    writeIndexPage(
+                        pageBuffer,
+                        {
+                            leaf,
+                            prevPage: pages[i - 1] ?? 0,
+                            nextPage: pages[i + 1] ?? 0,
+                            childTailPage:
+                                !leaf && i === level.length - 1 ? indexEntries[indexEntries.length - 1]?.subPage ?? 0 : 0,
+                            entries: indexEntries,
+                        },
+                        this.#table.firstDefinitionPage,
+                        format
+                    )
+                );
+            });
+        });
+    }
+}
+
+/**
+ * Reads all pages and leaf entries of an index
+ *
+ * @param rootPage First page of the index
+ */
+function readIndexTree(database: Database, rootPage: number): { entries: IndexEntry[]; pages: number[] } {
+    const entries: IndexEntry[] = [];
+    const pages = new Set<number>();
+    const pagesToRead = [rootPage];
+    for (let page = pagesToRead.shift(); page !== undefined; page = pagesToRead.shift()) {
+        if (pages.has(page)) {
+            continue;
+        }
+        pages.add(page);
+
+        const indexPage = readIndexPage(database.getPage(page), database.format);
+        if (indexPage.leaf) {
+            // Keys are copied as they would change when the pages are rewritten
+            entries.push(...indexPage.entries.map((entry) => ({ ...entry, key: Buffer.from(entry.key) })));
+            continue;
+        }
+
+        for (const entry of indexPage.entries) {
+            pagesToRead.push(entry.subPage!);
+        }
+        if (indexPage.childTailPage !== 0) {
+            pagesToRead.push(indexPage.childTailPage);
+        }
+    }
+    return { entries, pages: [...pages] };
+}
@@ -18,14 +18,14 @@ export const ColumnTypes = {
     DateTimeExtended: "datetimextended",
 } as const;
 
-export type ColumnType = typeof ColumnTypes[keyof typeof ColumnTypes];
+export type ColumnType = (typeof ColumnTypes)[keyof typeof ColumnTypes];
 
 export type ValueMap = {
     [ColumnTypes.Binary]: Buffer;
     [ColumnTypes.BigInt]: bigint;
     [ColumnTypes.Boolean]: boolean;
     [ColumnTypes.Byte]: number;
-    [ColumnTypes.Complex]: number;
+    [ColumnTypes.Complex]: ComplexValue;
     [ColumnTypes.Currency]: string;
     [ColumnTypes.DateTime]: Date;
     [ColumnTypes.DateTimeExtended]: string;
@@ -42,7 +42,94 @@ export type ValueMap = {
 
 export type Value = ValueMap[keyof ValueMap] | null;
 
+/**
+ * Value written to a column. Besides the default representation of the column type, numbers are accepted for
+ * `bigint`, `currency` and `numeric` columns, `Decimal` for `currency` and `numeric` columns and `Date` and
+ * `DateTimeExtendedValue` for `datetimextended` columns. `complex` columns take the internal id of their value.
+ */
+export type WriteValue = string | number | bigint | boolean | Date | Buffer | Decimal | DateTimeExtendedValue | null;
+
+/**
+ * Values of a row to be written by column name
+ */
+export type WriteRow = { readonly [column: string]: WriteValue | undefined };
+
+/**
+ * Attachments, multi-value fields or the version history of a memo column. The internal id of the value is returned
+ * for unsupported complex columns.
+ */
+export type ComplexValue = Attachment[] | MultiValue[] | VersionHistoryEntry[] | number;
+
+export interface Attachment {
+    fileName: string;
+
+    /**
+     * File extension, e.g. `pdf`
+     */
+    fileType: string;
+    timeStamp: Date | null;
+    data: Buffer;
+}
+
+export type MultiValue = number | string | bigint;
+
+export interface VersionHistoryEntry {
+    value: string;
+    modified: Date;
+}
+
+/**
+ * Currency or numeric value as an unscaled integer, e.g. `{ value: 12345n, scale: 2 }` for `123.45`
+ */
+export interface Decimal {
+    value: bigint;
+    scale: number;
+}
+
+export interface DateTimeExtendedValue {
+    /**
+     * Date and time with millisecond precision. Its UTC fields contain the stored values.
+     */
+    date: Date;
+
+    /**
+     * Fraction of the second in nanoseconds, e.g. `789123400` for `12:34:56.7891234`
+     */
+    nanoseconds: number;
+}
+
+/**
+ * Replaces values that could not be read in tolerant mode, e.g. because the database is damaged
+ */
+export class UnreadableValue {
+    /**
+     * Reason why the value could not be read
+     */
+    readonly message: string;
+
+    constructor(message: string) {
+        this.message = message;
+    }
+}
+
 export interface SortOrder {
     value: number;
     version: number;
 }
+
+/**
+ * Version of the database file, e.g. `Jet4` for Access 2000 - 2003 or `ACE17` for Access 2019
+ */
+export type FileFormat = "Jet3" | "Jet4" | "MSISAM" | "ACE12" | "ACE14" | "ACE15" | "ACE16" | "ACE17";
+
+/**
+ * Encryption of the database file. `jet` is the encoding of Jet databases which does not require a password.
+ */
+export type EncryptionType =
+    | "none"
+    | "jet"
+    | "msisam"
+    | "office-rc4"
+    | "office-rc4-cryptoapi"
+    | "office-standard"
+    | "office-agile";
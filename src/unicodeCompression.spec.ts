@@ -12,6 +12,13 @@ describe("uncompressText", () => {
         expect(result).to.eq(inputString);
     });
 
+    it("decodes Jet3 buffer with code page", () => {
+        const inputBuffer = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+
+        const result = uncompressText(inputBuffer, { textEncoding: "unknown" }, 1251);
+        expect(result).to.eq("Привет");
+    });
+
     it("decodes uncompressed Jet4 buffer", () => {
         const inputString = "This is a test";
         const inputBuffer = Buffer.from(inputString, "ucs-2");
@@ -1,14 +1,19 @@
 import type { JetFormat } from "./JetFormat/index.js";
-import { decodeWindows1252 } from "./dependencies/iconv-lite/index.js";
+import { DEFAULT_CODE_PAGE } from "./code-page.js";
+import { decode } from "./dependencies/iconv-lite/index.js";
 
 /**
+ * @param codePage Code page of text in databases without unicode support
+ *
  * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L823-L831
  */
-export function uncompressText(buffer: Buffer, format: Pick<JetFormat, "textEncoding">): string {
+export function uncompressText(
+    buffer: Buffer,
+    format: Pick<JetFormat, "textEncoding">,
+    codePage = DEFAULT_CODE_PAGE
+): string {
     if (format.textEncoding === "unknown") {
-        // Assume charset is windows 1252 / CP1252 (windows default)
-        // In some cases this might not work
-        return decodeWindows1252(buffer);
+        return decode(buffer, codePage);
     }
 
     if (buffer.length <= 2 || (buffer.readUInt8(0) & 0xff) !== 0xff || (buffer.readUInt8(1) & 0xff) !== 0xfe) {
@@ -38,3 +43,29 @@ export function uncompressText(buffer: Buffer, format: Pick<JetFormat, "textEnco
 
     return uncompressedBuffer.slice(0, uncompressedBufferPos).toString("ucs-2");
 }
+
+/**
+ * Compresses text the way Access stores text of columns with unicode compression. Only text whose characters all fit
+ * into one byte is compressed and only if that saves space.
+ *
+ * @returns `null` if the text is not compressed
+ *
+ * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L823-L831
+ */
+export function compressText(text: string): Buffer | null {
+    if (text.length <= 2) {
+        return null;
+    }
+
+    const buffer = Buffer.alloc(text.length + 2);
+    buffer[0] = 0xff;
+    buffer[1] = 0xfe;
+    for (let i = 0; i < text.length; ++i) {
+        const charCode = text.charCodeAt(i);
+        if (charCode === 0 || charCode > 0xff) {
+            return null;
+        }
+        buffer[i + 2] = charCode;
+    }
+    return buffer;
+}
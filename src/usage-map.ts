@@ -1,7 +1,21 @@
-import { getBitmapValue } from "./util.js";
+import { getBitmapValue, setBitmapValue } from "./util.js";
 import { Database } from "./Database.js";
 import { PageType, assertPageType } from "./PageType.js";
 
+/**
+ * Page row of the usage map of all pages of the database. A set bit marks an unused page.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/UsageMap.java
+ */
+const GLOBAL_USAGE_MAP = 0x0100;
+
+/**
+ * Length of the bitmap of inline maps created for new tables and indexes. It covers 512 pages.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/TableImpl.java
+ */
+const INLINE_MAP_BITMAP_LENGTH = 64;
+
 /**
  * @see https://github.com/brianb/mdbtools/blob/d6f5745d949f37db969d5f424e69b54f0da60b9b/HACKING#L556-L622
  */
@@ -60,3 +74,212 @@ function getPagesFromBitmap(bitmap: Buffer, pageStart: number): number[] {
 
     return pages;
 }
+
+/**
+ * Creates the row of an inline usage map. Tables store their usage maps in rows of data pages.
+ *
+ * @param pages Pages referenced by the map. They have to be within the 512 pages after `pageStart`.
+ */
+export function createInlineMap(pageStart: number, pages: Iterable<number>): Buffer {
+    const map = Buffer.alloc(5 + INLINE_MAP_BITMAP_LENGTH);
+    map[0] = 0x00;
+    map.writeUInt32LE(pageStart, 1);
+    for (const page of pages) {
+        if (page < pageStart || page >= pageStart + INLINE_MAP_BITMAP_LENGTH * 8) {
+            throw new Error(`Usage map cannot reference page ${page}`);
+        }
+        setBitmapValue(map.slice(5), page - pageStart, true);
+    }
+    return map;
+}
+
+/**
+ * Appends a page to the database and marks it as used in the global usage map. Pages of the database are never
+ * reused, like Access only reuses them when the database is compacted.
+ */
+export function allocatePage(database: Database): number {
+    const page = database.allocatePage();
+    setMapPage(database, GLOBAL_USAGE_MAP, page, false);
+    return page;
+}
+
+/**
+ * Clears a page and marks it as unused in the global usage map
+ */
+export function freePage(database: Database, page: number): void {
+    database.modifyPage(page, (pageBuffer) => pageBuffer.fill(0));
+    setMapPage(database, GLOBAL_USAGE_MAP, page, true);
+}
+
+/**
+ * Adds a page to a usage map. Inline maps that cannot reference the page are converted to reference maps.
+ *
+ * @param mapPageRow Page row of the usage map
+ */
+export function addMapPage(database: Database, mapPageRow: number, page: number): void {
+    setMapPage(database, mapPageRow, page, true);
+}
+
+/**
+ * Removes a page from a usage map
+ *
+ * @param mapPageRow Page row of the usage map
+ */
+export function removeMapPage(database: Database, mapPageRow: number, page: number): void {
+    setMapPage(database, mapPageRow, page, false);
+}
+
+function setMapPage(database: Database, mapPageRow: number, page: number, value: boolean): void {
+    const buffer = database.findPageRow(mapPageRow);
+    if (mapPageRow === GLOBAL_USAGE_MAP) {
+        return setGlobalMapPage(buffer, database, page, value);
+    }
+
+    switch (buffer[0]) {
+        case 0x00:
+            return setMapPage0(buffer, database, mapPageRow, page, value);
+        case 0x01:
+            return setMapPage1(buffer, database, mapPageRow, page, value);
+        default:
+            throw new Error("Unknown usage map type");
+    }
+}
+
+/**
+ * Pages outside of the global usage map are considered unused. Using a page after the end of an inline map moves the
+ * map forward instead of converting it.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/UsageMap.java
+ */
+function setGlobalMapPage(buffer: Buffer, database: Database, page: number, value: boolean): void {
+    if (buffer[0] === 0x01) {
+        const bitmapLength = (database.format.pageSize - 4) * 8;
+        const mapIndex = Math.floor(page / bitmapLength);
+        const bitmapPage = mapIndex < Math.floor((buffer.length - 1) / 4) ? buffer.readUInt32LE(1 + mapIndex * 4) : 0;
+        if (bitmapPage !== 0) {
+            database.modifyPage(bitmapPage, (pageBuffer) => setBitmapValue(pageBuffer.slice(4), page % bitmapLength, value));
+        }
+        return;
+    }
+
+    const pageStart = buffer.readUInt32LE(1);
+    const bitmapLength = (buffer.length - 5) * 8;
+    const pageEnd = pageStart + bitmapLength;
+    if (page >= pageStart && page < pageEnd) {
+        modifyMap(database, GLOBAL_USAGE_MAP, (map) => setBitmapValue(map.slice(5), page - pageStart, value));
+    } else if (page >= pageEnd && !value) {
+        const newPageStart = Math.ceil((page - bitmapLength + 1) / 8) * 8;
+        modifyMap(database, GLOBAL_USAGE_MAP, (map) => {
+            const oldBitmap = Buffer.from(map.slice(5));
+            for (let i = 0; i < bitmapLength; ++i) {
+                const p = newPageStart + i;
+                setBitmapValue(map.slice(5), i, p < pageEnd ? getBitmapValue(oldBitmap, p - pageStart) : p !== page);
+            }
+            map.writeUInt32LE(newPageStart, 1);
+        });
+    }
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/UsageMap.java
+ */
+function setMapPage0(buffer: Buffer, database: Database, mapPageRow: number, page: number, value: boolean): void {
+    const pageStart = buffer.readUInt32LE(1);
+    const bitmapLength = (buffer.length - 5) * 8;
+    if (page >= pageStart && page < pageStart + bitmapLength) {
+        modifyMap(database, mapPageRow, (map) => setBitmapValue(map.slice(5), page - pageStart, value));
+        return;
+    }
+    if (!value) {
+        return;
+    }
+
+    const pages = [...findMapPages0(buffer), page];
+
+    // Move the map if all pages fit
+    const newPageStart = Math.floor(Math.min(...pages) / 8) * 8;
+    if (Math.max(...pages) < newPageStart + bitmapLength) {
+        modifyMap(database, mapPageRow, (map) => {
+            map.fill(0, 1);
+            map.writeUInt32LE(newPageStart, 1);
+            for (const p of pages) {
+                setBitmapValue(map.slice(5), p - newPageStart, true);
+            }
+        });
+        return;
+    }
+
+    // Convert to a map referencing bitmap pages
+    const referenceBitmapLength = (database.format.pageSize - 4) * 8;
+    const mapCount = Math.floor((buffer.length - 1) / 4);
+    const bitmapPages = new Map<number, number>();
+    for (const p of pages) {
+        const mapIndex = Math.floor(p / referenceBitmapLength);
+        if (mapIndex >= mapCount) {
+            throw new Error(`Usage map cannot reference page ${p}`);
+        }
+
+        let bitmapPage = bitmapPages.get(mapIndex);
+        if (bitmapPage === undefined) {
+            bitmapPage = createBitmapPage(database);
+            bitmapPages.set(mapIndex, bitmapPage);
+        }
+        database.modifyPage(bitmapPage, (pageBuffer) =>
+            setBitmapValue(pageBuffer.slice(4), p % referenceBitmapLength, true)
+        );
+    }
+    modifyMap(database, mapPageRow, (map) => {
+        map.fill(0);
+        map[0] = 0x01;
+        for (const [mapIndex, bitmapPage] of bitmapPages) {
+            map.writeUInt32LE(bitmapPage, 1 + mapIndex * 4);
+        }
+    });
+}
+
+/**
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/UsageMap.java
+ */
+function setMapPage1(buffer: Buffer, database: Database, mapPageRow: number, page: number, value: boolean): void {
+    const bitmapLength = (database.format.pageSize - 4) * 8;
+    const mapCount = Math.floor((buffer.length - 1) / 4);
+    const mapIndex = Math.floor(page / bitmapLength);
+    if (mapIndex >= mapCount) {
+        if (!value) {
+            return;
+        }
+        throw new Error(`Usage map cannot reference page ${page}`);
+    }
+
+    let bitmapPage = buffer.readUInt32LE(1 + mapIndex * 4);
+    if (bitmapPage === 0) {
+        if (!value) {
+            return;
+        }
+
+        const newBitmapPage = createBitmapPage(database);
+        modifyMap(database, mapPageRow, (map) => map.writeUInt32LE(newBitmapPage, 1 + mapIndex * 4));
+        bitmapPage = newBitmapPage;
+    }
+
+    database.modifyPage(bitmapPage, (pageBuffer) => {
+        assertPageType(pageBuffer, PageType.PageUsageBitmaps);
+        setBitmapValue(pageBuffer.slice(4), page % bitmapLength, value);
+    });
+}
+
+function createBitmapPage(database: Database): number {
+    const page = allocatePage(database);
+    database.modifyPage(page, (pageBuffer) => {
+        pageBuffer[0] = PageType.PageUsageBitmaps;
+        pageBuffer[1] = 0x01;
+    });
+    return page;
+}
+
+/**
+ * @param modify Receives the row of the usage map
+ */
+function modifyMap(database: Database, mapPageRow: number, modify: (map: Buffer) => void): void {
+    database.modifyPage(mapPageRow >>> 8, (pageBuffer) => modify(database.findRow(pageBuffer, mapPageRow & 0xff)));
+}
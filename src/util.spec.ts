@@ -1,5 +1,5 @@
 import { expect } from "chai";
-import { getBitmapValue, isEmptyBuffer, roundToFullByte, xor } from "./util.js";
+import { fixBufferLength, getBitmapValue, isEmptyBuffer, roundToFullByte, xor } from "./util.js";
 
 describe("util", () => {
     it("getBitmapValue", () => {
@@ -37,4 +37,11 @@ describe("util", () => {
         expect(isEmptyBuffer(Buffer.from([0, 0, 0, 0]))).to.eq(true);
         expect(isEmptyBuffer(Buffer.from([0, 0, 1, 0]))).to.eq(false);
     });
+
+    it("fixBufferLength", () => {
+        expect(fixBufferLength(Buffer.from([1, 2, 3]), 2)).to.deep.eq(Buffer.from([1, 2]));
+        expect(fixBufferLength(Buffer.from([1, 2]), 2)).to.deep.eq(Buffer.from([1, 2]));
+        expect(fixBufferLength(Buffer.from([1, 2]), 4)).to.deep.eq(Buffer.from([1, 2, 0, 0]));
+        expect(fixBufferLength(Buffer.from([1, 2]), 3, 0x36)).to.deep.eq(Buffer.from([1, 2, 0x36]));
+    });
 });
@@ -9,6 +9,21 @@ export function getBitmapValue(bitmap: Buffer, pos: number): boolean {
     return !!(bitmap[byteNumber]! & (1 << bitNumber));
 }
 
+/**
+ * Sets a specific bit of a bitmap
+ *
+ * @param pos 0-based
+ */
+export function setBitmapValue(bitmap: Buffer, pos: number, value: boolean): void {
+    const byteNumber = Math.floor(pos / 8);
+    const bitNumber = pos % 8;
+    if (value) {
+        bitmap[byteNumber]! |= 1 << bitNumber;
+    } else {
+        bitmap[byteNumber]! &= ~(1 << bitNumber);
+    }
+}
+
 /**
  * Returns the number of bytes required to store a specific number of bits.
  */
@@ -49,7 +64,7 @@ export function fixBufferLength(buffer: Buffer, length: number, padByte = 0): Bu
     }
 
     if (buffer.length < length) {
-        return Buffer.from(buffer).fill(padByte, buffer.length, length);
+        return Buffer.concat([buffer, Buffer.alloc(length - buffer.length, padByte)]);
     }
 
     return buffer;
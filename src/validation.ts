@@ -0,0 +1,140 @@
+import type { Database } from "./Database.js";
+import { PageType } from "./PageType.js";
+
+export const ValidationIssueTypes = {
+    /**
+     * A page has an invalid header or the file ends within a page
+     */
+    Page: "page",
+
+    /**
+     * The definition of a table cannot be read
+     */
+    Table: "table",
+
+    /**
+     * The usage map of a table cannot be read or references pages that are no data pages of the table
+     */
+    UsageMap: "usageMap",
+
+    /**
+     * The number of rows of a table differs from the row count stored in its definition
+     */
+    RowCount: "rowCount",
+
+    /**
+     * A column has a type that cannot be decoded
+     */
+    ColumnType: "columnType",
+
+    /**
+     * The data of a memo or OLE value cannot be found, e.g. because its chain of pages is broken
+     */
+    LongValue: "longValue",
+
+    /**
+     * A value cannot be read
+     */
+    Value: "value",
+} as const;
+
+export type ValidationIssueType = (typeof ValidationIssueTypes)[keyof typeof ValidationIssueTypes];
+
+export interface ValidationIssue {
+    type: ValidationIssueType;
+    message: string;
+
+    /**
+     * Name of the affected table
+     */
+    table?: string;
+
+    /**
+     * Number of the affected page
+     */
+    page?: number;
+
+    /**
+     * Number of the affected record on its data page
+     */
+    row?: number;
+
+    /**
+     * Name of the affected column
+     */
+    column?: string;
+}
+
+/**
+ * Page types that occur in files written by Access. `0x08` and `0x09` are not documented.
+ *
+ * @see https://github.com/jahlborn/jackcess/blob/3f75e95a21d9a9e3486519511cdd6178e3c2e3e4/src/main/java/com/healthmarketscience/jackcess/impl/PageTypes.java
+ */
+const PAGE_TYPES: ReadonlyArray<number> = [
+    PageType.DataPage,
+    PageType.TableDefinition,
+    PageType.IntermediateIndexPage,
+    PageType.LeafIndexPages,
+    PageType.PageUsageBitmaps,
+    0x08,
+    0x09,
+];
+
+/**
+ * Second byte of the header of all pages except the database definition page
+ */
+const PAGE_SIGNATURE = 0x01;
+
+/**
+ * Checks the headers of all pages. Unused pages only contain zeros.
+ */
+export function validatePages(database: Database): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+    for (let page = 1; page < database.pageCount; ++page) {
+        issues.push(...validatePage(database, page));
+    }
+    issues.push(...validateFileSize(database));
+    return issues;
+}
+
+/**
+ * Same as `validatePages()`, but loads one page at a time from asynchronous page sources
+ */
+export async function validatePagesAsync(database: Database): Promise<ValidationIssue[]> {
+    const issues: ValidationIssue[] = [];
+    for (let page = 1; page < database.pageCount; ++page) {
+        issues.push(...(await database.runAsync(() => validatePage(database, page))));
+    }
+    issues.push(...validateFileSize(database));
+    return issues;
+}
+
+function validatePage(database: Database, page: number): ValidationIssue[] {
+    const pageBuffer = database.getPage(page);
+    if (pageBuffer.every((byte) => byte === 0)) {
+        return [];
+    }
+
+    const pageType = pageBuffer[0]!;
+    if (pageBuffer[1] !== PAGE_SIGNATURE) {
+        return [{ type: ValidationIssueTypes.Page, page, message: `Page ${page} has an invalid header` }];
+    } else if (!PAGE_TYPES.includes(pageType)) {
+        return [
+            {
+                type: ValidationIssueTypes.Page,
+                page,
+                message: `Page ${page} has unknown type 0x${pageType.toString(16).padStart(2, "0")}`,
+            },
+        ];
+    }
+    return [];
+}
+
+function validateFileSize(database: Database): ValidationIssue[] {
+    if (database.size % database.format.pageSize === 0) {
+        return [];
+    }
+
+    const page = database.pageCount;
+    return [{ type: ValidationIssueTypes.Page, page, message: `File ends within page ${page}` }];
+}
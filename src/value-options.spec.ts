@@ -0,0 +1,156 @@
+import { expect } from "chai";
+import type { Column, ColumnDefinition } from "./column.js";
+import { readCurrency } from "./data/currency.js";
+import { readDateTime } from "./data/datetime.js";
+import { readDateTimeExtended } from "./data/datetimextended.js";
+import { readNumeric } from "./data/numeric.js";
+import { type ColumnType, ColumnTypes } from "./types.js";
+import { createValueConverter, getDefaultValueOptions, mergeValueOptions, type ValueConverter } from "./value-options.js";
+
+function column(type: ColumnType, scale?: number): ColumnDefinition {
+    return {
+        name: "value",
+        type,
+        size: 0,
+        fixedLength: true,
+        nullable: true,
+        autoLong: false,
+        autoUUID: false,
+        index: 0,
+        variableIndex: 0,
+        fixedIndex: 0,
+        ...(scale !== undefined ? { scale, precision: 18 } : {}),
+    };
+}
+
+function getColumn(name: string): Column {
+    return { ...column(ColumnTypes.Long), name, properties: { Description: "test" } };
+}
+
+// 2020-01-31 12:34:56
+const dateTimeBuffer = Buffer.alloc(8);
+dateTimeBuffer.writeDoubleLE(43861.52425925926);
+
+// -123.4500
+const currencyBuffer = Buffer.alloc(8);
+currencyBuffer.writeBigInt64LE(-1234500n);
+
+// 123.45 with scale 2
+const numericBuffer = Buffer.from([
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x39, 0x30, 0x00, 0x00,
+]);
+
+const dateTimeExtendedBuffer = Buffer.from("0000000000000738153:0000000452967891234:7 ");
+
+function convert(converter: ValueConverter | null, buffer: Buffer, type: ColumnType, read: (buffer: Buffer) => unknown) {
+    expect(converter).not.to.eq(null);
+    const c = column(type, type === ColumnTypes.Numeric ? 2 : undefined);
+    return converter!(read(buffer) as NonNullable<Parameters<ValueConverter>[0]>, buffer, c);
+}
+
+describe("value options", () => {
+    it("returns no converter for default options", () => {
+        expect(createValueConverter({}, getColumn)).to.eq(null);
+        expect(createValueConverter({ dateTime: "utc", decimal: "string", converters: {} }, getColumn)).to.eq(null);
+    });
+
+    describe("dateTime", () => {
+        it("local", () => {
+            const value = convert(
+                createValueConverter({ dateTime: "local" }, getColumn),
+                dateTimeBuffer,
+                ColumnTypes.DateTime,
+                readDateTime
+            ) as Date;
+            expect(value.getFullYear()).to.eq(2020);
+            expect(value.getMonth()).to.eq(0);
+            expect(value.getDate()).to.eq(31);
+            expect(value.getHours()).to.eq(12);
+            expect(value.getMinutes()).to.eq(34);
+            expect(value.getSeconds()).to.eq(56);
+        });
+
+        it("iso", () => {
+            const converter = createValueConverter({ dateTime: "iso" }, getColumn);
+            expect(convert(converter, dateTimeBuffer, ColumnTypes.DateTime, readDateTime)).to.eq("2020-01-31T12:34:56.000");
+        });
+
+        it("ole", () => {
+            const converter = createValueConverter({ dateTime: "ole" }, getColumn);
+            expect(convert(converter, dateTimeBuffer, ColumnTypes.DateTime, readDateTime)).to.eq(43861.52425925926);
+        });
+    });
+
+    describe("decimal", () => {
+        it("bigint", () => {
+            const converter = createValueConverter({ decimal: "bigint" }, getColumn);
+            expect(convert(converter, currencyBuffer, ColumnTypes.Currency, readCurrency)).to.eq(-1234500n);
+            expect(
+                convert(converter, numericBuffer, ColumnTypes.Numeric, (buffer) => readNumeric(buffer, { scale: 2 }))
+            ).to.eq(12345n);
+        });
+
+        it("decimal", () => {
+            const converter = createValueConverter({ decimal: "decimal" }, getColumn);
+            expect(convert(converter, currencyBuffer, ColumnTypes.Currency, readCurrency)).to.deep.eq({
+                value: -1234500n,
+                scale: 4,
+            });
+            expect(
+                convert(converter, numericBuffer, ColumnTypes.Numeric, (buffer) => readNumeric(buffer, { scale: 2 }))
+            ).to.deep.eq({ value: 12345n, scale: 2 });
+        });
+    });
+
+    it("dateTimeExtended", () => {
+        const converter = createValueConverter({ dateTimeExtended: "date" }, getColumn);
+        expect(convert(converter, dateTimeExtendedBuffer, ColumnTypes.DateTimeExtended, readDateTimeExtended)).to.deep.eq({
+            date: new Date("2021-12-30T12:34:56.789Z"),
+            nanoseconds: 789123400,
+        });
+    });
+
+    it("ole", () => {
+        const converter = createValueConverter({ ole: "object" }, getColumn);
+        const value = Buffer.from("%PDF-1.4");
+        expect(converter!(value, value, column(ColumnTypes.OLE))).to.deep.eq({
+            className: null,
+            fileName: null,
+            contentType: "application/pdf",
+            data: value,
+        });
+    });
+
+    it("converters", () => {
+        const converter = createValueConverter(
+            {
+                dateTime: "iso",
+                converters: { [ColumnTypes.DateTime]: (value, c) => `${c.properties.Description}: ${value.getTime()}` },
+            },
+            getColumn
+        );
+        expect(convert(converter, dateTimeBuffer, ColumnTypes.DateTime, readDateTime)).to.eq("test: 1580474096000");
+        expect(converter!(true, Buffer.alloc(0), column(ColumnTypes.Boolean))).to.eq(true);
+    });
+
+    it("mergeValueOptions", () => {
+        const toString = (value: number) => value.toString();
+        const toBoolean = (value: number) => value !== 0;
+        expect(
+            mergeValueOptions(
+                { dateTime: "iso", decimal: "bigint", converters: { long: toString, byte: toString } },
+                { dateTime: "ole", converters: { byte: toBoolean } }
+            )
+        ).to.deep.eq({ dateTime: "ole", decimal: "bigint", converters: { long: toString, byte: toBoolean } });
+    });
+
+    it("getDefaultValueOptions", () => {
+        const options = mergeValueOptions(
+            { dateTime: "iso", ole: "object", converters: { long: (value: number) => value.toString() } },
+            getDefaultValueOptions({ dateTimeExtended: "date" })
+        );
+        expect(options).to.include({ dateTime: "utc", decimal: "string", dateTimeExtended: "date", ole: "buffer" });
+        expect(Object.values(options.converters!).every((converter) => converter === undefined)).to.eq(true);
+        expect(createValueConverter(getDefaultValueOptions(), getColumn)).to.eq(null);
+    });
+});
@@ -0,0 +1,255 @@
+import type { Column, ColumnDefinition } from "./column.js";
+import { CURRENCY_SCALE, readCurrencyUnscaled } from "./data/currency.js";
+import { readDateTimeExtendedValue } from "./data/datetimextended.js";
+import { readNumericUnscaled } from "./data/numeric.js";
+import { type OLEObject, unwrapOLE } from "./ole-object.js";
+import {
+    type ColumnType,
+    ColumnTypes,
+    type DateTimeExtendedValue,
+    type Decimal,
+    type UnreadableValue,
+    type Value,
+    type ValueMap,
+} from "./types.js";
+
+/**
+ * Representation of `datetime` values:
+ * - `utc`: `Date` whose UTC fields contain the stored date and time (default)
+ * - `local`: `Date` whose local fields contain the stored date and time
+ * - `iso`: ISO 8601 string without time zone, e.g. `2020-01-31T12:34:56.000`
+ * - `ole`: Stored OLE automation date, i.e. days since 1899-12-30
+ */
+export type DateTimeFormat = "utc" | "local" | "iso" | "ole";
+
+/**
+ * Representation of `currency` and `numeric` values:
+ * - `string`: Decimal string, e.g. `123.4500` (default)
+ * - `bigint`: Unscaled integer, e.g. `1234500n`
+ * - `decimal`: Unscaled integer and scale, e.g. `{ value: 1234500n, scale: 4 }`
+ */
+export type DecimalFormat = "string" | "bigint" | "decimal";
+
+/**
+ * Representation of `datetimextended` values:
+ * - `string`: e.g. `2021.12.30 12:34:56.789123400` (default)
+ * - `date`: `Date` and nanoseconds, see `DateTimeExtendedValue`
+ */
+export type DateTimeExtendedFormat = "string" | "date";
+
+/**
+ * Representation of `ole` values:
+ * - `buffer`: Stored data including the OLE header of Access (default)
+ * - `object`: Embedded file and its class name, file name and content type, see `unwrapOLE()`
+ */
+export type OLEFormat = "buffer" | "object";
+
+/**
+ * Custom conversion of the values of a column type. Receives the value in its default representation. Not called for
+ * `null` values.
+ */
+export type ValueConverters = {
+    [type in ColumnType]?: ((value: ValueMap[type], column: Column) => unknown) | undefined;
+};
+
+export interface ValueOptions {
+    /**
+     * Representation of `datetime` values. Defaults to `utc`.
+     */
+    dateTime?: DateTimeFormat | undefined;
+
+    /**
+     * Representation of `currency` and `numeric` values. Defaults to `string`.
+     */
+    decimal?: DecimalFormat | undefined;
+
+    /**
+     * Representation of `datetimextended` values. Defaults to `string`.
+     */
+    dateTimeExtended?: DateTimeExtendedFormat | undefined;
+
+    /**
+     * Representation of `ole` values. Defaults to `buffer`.
+     */
+    ole?: OLEFormat | undefined;
+
+    /**
+     * Custom converters by column type. Take precedence over the other options.
+     */
+    converters?: ValueConverters | undefined;
+}
+
+/**
+ * Value options that keep the default representation of all values
+ */
+export type DefaultValueOptions = Record<never, never>;
+
+/**
+ * Value of an option or its default if it is omitted
+ */
+type OptionValue<TOptions, TKey extends keyof ValueOptions, TDefault> = TKey extends keyof TOptions
+    ? Exclude<TOptions[TKey], undefined> | (undefined extends TOptions[TKey] ? TDefault : never)
+    : TDefault;
+
+type Converters<TOptions> = TOptions extends { converters?: infer TConverters }
+    ? Exclude<TConverters, undefined>
+    : DefaultValueOptions;
+
+type ConverterResult<TConverters, TType extends ColumnType, TDefault> = TType extends keyof TConverters
+    ? Exclude<TConverters[TType], undefined> extends (...args: never[]) => infer TResult
+        ? TResult | (undefined extends TConverters[TType] ? TDefault : never)
+        : TDefault
+    : TDefault;
+
+type DateTimeValue<TFormat> = TFormat extends "iso" ? string : TFormat extends "ole" ? number : Date;
+type DecimalValue<TFormat> = TFormat extends "bigint" ? bigint : TFormat extends "decimal" ? Decimal : string;
+type DateTimeExtendedValueOf<TFormat> = TFormat extends "date" ? DateTimeExtendedValue : string;
+type OLEValue<TFormat> = TFormat extends "object" ? OLEObject : Buffer;
+
+type FormattedValueMap<TOptions> = Omit<
+    ValueMap,
+    | typeof ColumnTypes.Currency
+    | typeof ColumnTypes.DateTime
+    | typeof ColumnTypes.DateTimeExtended
+    | typeof ColumnTypes.Numeric
+    | typeof ColumnTypes.OLE
+> & {
+    [ColumnTypes.Currency]: DecimalValue<OptionValue<TOptions, "decimal", "string">>;
+    [ColumnTypes.DateTime]: DateTimeValue<OptionValue<TOptions, "dateTime", "utc">>;
+    [ColumnTypes.DateTimeExtended]: DateTimeExtendedValueOf<OptionValue<TOptions, "dateTimeExtended", "string">>;
+    [ColumnTypes.Numeric]: DecimalValue<OptionValue<TOptions, "decimal", "string">>;
+    [ColumnTypes.OLE]: OLEValue<OptionValue<TOptions, "ole", "buffer">>;
+};
+
+/**
+ * Types of the values by column type returned with the given value options
+ */
+export type ConvertedValueMap<TOptions extends ValueOptions> = {
+    [type in ColumnType]: ConverterResult<Converters<TOptions>, type, FormattedValueMap<TOptions>[type]>;
+};
+
+export type ConvertedValue<TOptions extends ValueOptions> = ConvertedValueMap<TOptions>[ColumnType] | null;
+
+/**
+ * Row returned with the given value options. Includes `UnreadableValue` if the row is read in tolerant mode.
+ */
+export type Row<TOptions extends ValueOptions = DefaultValueOptions> = {
+    [column: string]: ConvertedValue<TOptions> | (TOptions extends { tolerant: true } ? UnreadableValue : never);
+};
+
+/**
+ * Options of a call overriding the options of the reader. Converters are merged by column type.
+ */
+export type MergeValueOptions<TBase extends ValueOptions, TOverride extends ValueOptions> = Omit<
+    TBase,
+    keyof TOverride | "converters"
+> &
+    Omit<TOverride, "converters"> & {
+        converters: Omit<Converters<TBase>, keyof Converters<TOverride>> & Converters<TOverride>;
+    };
+
+export function mergeValueOptions(base: ValueOptions, override: ValueOptions): ValueOptions {
+    return { ...base, ...override, converters: { ...base.converters, ...override.converters } };
+}
+
+/**
+ * Returns options of a call that read the values in their default representation regardless of the options of the
+ * reader. Converters of all column types are unset.
+ *
+ * @param override Representations differing from the default
+ */
+export function getDefaultValueOptions(override: Omit<ValueOptions, "converters"> = {}): ValueOptions {
+    return {
+        dateTime: "utc",
+        decimal: "string",
+        dateTimeExtended: "string",
+        ole: "buffer",
+        ...override,
+        converters: Object.fromEntries(Object.values(ColumnTypes).map((type) => [type, undefined])),
+    };
+}
+
+/**
+ * Converts a non-null value read from a column
+ *
+ * @param value Value returned by default
+ * @param buffer Stored data of the value
+ */
+export type ValueConverter = (value: NonNullable<Value>, buffer: Buffer, column: ColumnDefinition) => unknown;
+
+/**
+ * @param getColumn Returns the column passed to custom converters
+ * @returns `null` if all values are returned as they are read
+ */
+export function createValueConverter(
+    { dateTime = "utc", decimal = "string", dateTimeExtended = "string", ole = "buffer", converters = {} }: ValueOptions,
+    getColumn: (name: string) => Column
+): ValueConverter | null {
+    if (
+        dateTime === "utc" &&
+        decimal === "string" &&
+        dateTimeExtended === "string" &&
+        ole === "buffer" &&
+        Object.values(converters).every((converter) => converter === undefined)
+    ) {
+        return null;
+    }
+
+    return (value, buffer, column) => {
+        const converter = converters[column.type] as ((value: Value, column: Column) => unknown) | undefined;
+        if (converter) {
+            return converter(value, getColumn(column.name));
+        }
+
+        switch (column.type) {
+            case ColumnTypes.DateTime:
+                return convertDateTime(value as Date, buffer, dateTime);
+            case ColumnTypes.Currency:
+                return convertDecimal(value as string, () => readCurrencyUnscaled(buffer), CURRENCY_SCALE, decimal);
+            case ColumnTypes.Numeric:
+                // Scale is always set for numeric columns
+                // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+                return convertDecimal(value as string, () => readNumericUnscaled(buffer), column.scale!, decimal);
+            case ColumnTypes.DateTimeExtended:
+                return dateTimeExtended === "date" ? readDateTimeExtendedValue(buffer) : value;
+            case ColumnTypes.OLE:
+                return ole === "object" ? unwrapOLE(value as Buffer) : value;
+            default:
+                return value;
+        }
+    };
+}
+
+function convertDateTime(value: Date, buffer: Buffer, format: DateTimeFormat): Date | string | number {
+    switch (format) {
+        case "utc":
+            return value;
+        case "local": {
+            // Setters are used as the constructor maps years below 100 to 19xx
+            const date = new Date(0);
+            date.setFullYear(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+            date.setHours(value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(), value.getUTCMilliseconds());
+            return date;
+        }
+        case "iso":
+            return value.toISOString().slice(0, -1);
+        case "ole":
+            return buffer.readDoubleLE();
+    }
+}
+
+function convertDecimal(
+    value: string,
+    readUnscaled: () => bigint,
+    scale: number,
+    format: DecimalFormat
+): string | bigint | Decimal {
+    switch (format) {
+        case "string":
+            return value;
+        case "bigint":
+            return readUnscaled();
+        case "decimal":
+            return { value: readUnscaled(), scale };
+    }
+}
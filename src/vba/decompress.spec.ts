@@ -0,0 +1,33 @@
+import { expect } from "chai";
+import { decompressVBA } from "./decompress.js";
+
+function decompressHex(hex: string): string {
+    return decompressVBA(Buffer.from(hex.replace(/ /g, ""), "hex")).toString("latin1");
+}
+
+describe("decompressVBA()", () => {
+    it("decompresses literals and copy tokens", () => {
+        // Examples of MS-OVBA 3.2
+        expect(
+            decompressHex("01 19 b0 00 61 62 63 64 65 66 67 68 00 69 6a 6b 6c 6d 6e 6f 70 00 71 72 73 74 75 76 2e")
+        ).to.eq("abcdefghijklmnopqrstuv.");
+        expect(
+            decompressHex(
+                "01 2f b0 00 23 61 61 61 62 63 64 65 82 66 00 70 61 67 68 69 6a 01 38 08 61 6b 6c 00 30 6d 6e 6f " +
+                    "70 06 71 02 70 04 10 72 73 74 75 76 10 77 78 79 7a 00 3c"
+            )
+        ).to.eq("#aaabcdefaaaaghijaaaaaklaaamnopqaaaaaaaaaaaarstuvwxyzaaa");
+    });
+
+    it("reads uncompressed chunks", () => {
+        const data = Buffer.alloc(4096, "a");
+        expect(decompressVBA(Buffer.concat([Buffer.from([0x01, 0xff, 0x3f]), data]))).to.deep.eq(data);
+    });
+
+    it("rejects invalid data", () => {
+        expect(() => decompressVBA(Buffer.from([0x00]))).to.throw("Invalid signature of compressed VBA data");
+        expect(() => decompressVBA(Buffer.from([0x01, 0x00, 0x00]))).to.throw("Invalid chunk signature");
+        expect(() => decompressVBA(Buffer.from([0x01, 0x03, 0xb0, 0x01, 0x00, 0x00]))).to.throw("Invalid copy token");
+        expect(() => decompressVBA(Buffer.from([0x01, 0x03, 0xb0, 0x01, 0x00]))).to.throw("truncated");
+    });
+});
@@ -0,0 +1,68 @@
+const CONTAINER_SIGNATURE = 0x01;
+const CHUNK_SIGNATURE = 0b011;
+const CHUNK_SIZE = 4096;
+
+/**
+ * Decompresses a CompressedContainer, e.g. the `dir` stream or the source code of a module
+ *
+ * @see https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-ovba/4742b896-b32b-4eb0-8372-fbf01e3c65fd
+ */
+export function decompressVBA(buffer: Buffer): Buffer {
+    if (buffer.length === 0 || buffer[0] !== CONTAINER_SIGNATURE) {
+        throw new Error("Invalid signature of compressed VBA data");
+    }
+
+    const output: number[] = [];
+    let position = 1;
+    while (position < buffer.length) {
+        if (position + 2 > buffer.length) {
+            throw new Error("Compressed VBA data is truncated");
+        }
+
+        const header = buffer.readUInt16LE(position);
+        const chunkEnd = Math.min(position + (header & 0x0fff) + 3, buffer.length);
+        if (((header >> 12) & 0b111) !== CHUNK_SIGNATURE) {
+            throw new Error("Invalid chunk signature of compressed VBA data");
+        }
+        position += 2;
+
+        if (!(header & 0x8000)) {
+            // Uncompressed chunks always contain 4096 bytes
+            output.push(...buffer.slice(position, position + CHUNK_SIZE));
+            position += CHUNK_SIZE;
+            continue;
+        }
+
+        const chunkStart = output.length;
+        while (position < chunkEnd) {
+            const flags = buffer[position++]!;
+            for (let bit = 0; bit < 8 && position < chunkEnd; ++bit) {
+                if (!(flags & (1 << bit))) {
+                    output.push(buffer[position++]!);
+                    continue;
+                }
+
+                if (position + 2 > chunkEnd) {
+                    throw new Error("Compressed VBA data is truncated");
+                }
+                const token = buffer.readUInt16LE(position);
+                position += 2;
+
+                // The more data of the chunk was decompressed, the more bits are used for the offset
+                const bitCount = Math.max(Math.ceil(Math.log2(output.length - chunkStart)), 4);
+                const length = (token & (0xffff >> bitCount)) + 3;
+                const offset = (token >> (16 - bitCount)) + 1;
+                if (offset > output.length - chunkStart) {
+                    throw new Error("Invalid copy token in compressed VBA data");
+                }
+
+                const copyStart = output.length - offset;
+                for (let i = 0; i < length; ++i) {
+                    output.push(output[copyStart + i]!);
+                }
+            }
+        }
+    }
+
+    return Buffer.from(output);
+}
@@ -0,0 +1,95 @@
+import { expect } from "chai";
+import { readVBAModules } from "./project.js";
+
+/**
+ * Compresses data without copy tokens. Full chunks are stored uncompressed, the last chunk as literals.
+ */
+function compress(data: Buffer): Buffer {
+    const chunks: Buffer[] = [Buffer.from([0x01])];
+    for (let chunkStart = 0; chunkStart < data.length; chunkStart += 4096) {
+        const chunk = data.slice(chunkStart, chunkStart + 4096);
+        if (chunk.length === 4096) {
+            chunks.push(Buffer.from([0xff, 0x3f]), chunk);
+            continue;
+        }
+
+        const tokens: Buffer[] = [];
+        for (let i = 0; i < chunk.length; i += 8) {
+            tokens.push(Buffer.from([0x00]), chunk.slice(i, i + 8));
+        }
+        const chunkData = Buffer.concat(tokens);
+        chunks.push(uint(0xb000 | (chunkData.length - 1), 2), chunkData);
+    }
+    return Buffer.concat(chunks);
+}
+
+function record(id: number, data: Buffer | string = Buffer.alloc(0)): Buffer {
+    const buffer = typeof data === "string" ? Buffer.from(data, "latin1") : data;
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(id, 0);
+    header.writeUInt32LE(buffer.length, 2);
+    return Buffer.concat([header, buffer]);
+}
+
+function uint(value: number, size: number): Buffer {
+    const buffer = Buffer.alloc(size);
+    buffer.writeUIntLE(value, 0, size);
+    return buffer;
+}
+
+function moduleRecords(name: string, offset: number, type: 0x21 | 0x22): Buffer {
+    return Buffer.concat([
+        record(0x19, name),
+        record(0x47, Buffer.from(name, "ucs-2")),
+        record(0x1a, name),
+        record(0x32, Buffer.from(name, "ucs-2")),
+        record(0x1c),
+        record(0x48),
+        record(0x31, uint(offset, 4)),
+        record(0x1e, uint(0, 4)),
+        record(0x2c, uint(0xffff, 2)),
+        record(type),
+        record(0x2b),
+    ]);
+}
+
+describe("readVBAModules()", () => {
+    it("reads the source code of the modules", () => {
+        const dir = Buffer.concat([
+            record(0x01, uint(1, 4)),
+            record(0x03, uint(1252, 2)),
+            record(0x04, "Cats"),
+            // PROJECTVERSION contains 6 bytes although its size is 4
+            Buffer.from([0x09, 0x00, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00]),
+            record(0x0f, uint(2, 2)),
+            record(0x13, uint(0xffff, 2)),
+            moduleRecords("Module1", 0, 0x21),
+            moduleRecords("Form_Cats", 3, 0x22),
+            record(0x10),
+        ]);
+        const standardCode = 'Attribute VB_Name = "Module1"\r\nPublic Function Weight() As Double\r\nEnd Function\r\n';
+        const classCode = 'Private Sub Form_Load()\r\n    MsgBox "Größe"\r\nEnd Sub\r\n'.repeat(100);
+
+        const modules = readVBAModules(
+            new Map([
+                ["dir", compress(dir)],
+                ["Module1", compress(Buffer.from(standardCode, "latin1"))],
+                // Module streams start with a cache of compiled code
+                ["Form_Cats", Buffer.concat([Buffer.from([1, 2, 3]), compress(Buffer.from(classCode, "latin1"))])],
+            ])
+        );
+        expect(modules).to.deep.eq([
+            { name: "Module1", type: "standard", code: standardCode },
+            { name: "Form_Cats", type: "class", code: classCode },
+        ]);
+    });
+
+    it("requires the dir stream and the streams of all modules", () => {
+        expect(() => readVBAModules(new Map())).to.throw("VBA project has no dir stream");
+
+        const dir = Buffer.concat([moduleRecords("Module1", 0, 0x21), record(0x10)]);
+        expect(() => readVBAModules(new Map([["dir", compress(dir)]]))).to.throw(
+            "Could not find stream Module1 of VBA module Module1"
+        );
+    });
+});
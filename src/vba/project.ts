@@ -0,0 +1,127 @@
+import { DEFAULT_CODE_PAGE } from "../code-page.js";
+import { decode, isSupportedCodePage } from "../dependencies/iconv-lite/index.js";
+import { decompressVBA } from "./decompress.js";
+
+export type VBAModuleType = "standard" | "class";
+
+export interface VBAModule {
+    name: string;
+
+    /**
+     * Modules of forms and reports are class modules named `Form_` or `Report_` followed by the name of the object.
+     */
+    type: VBAModuleType;
+
+    /**
+     * Source code. Attribute lines like `Attribute VB_Name = "Module1"` are included.
+     */
+    code: string;
+}
+
+/**
+ * Record ids of the `dir` stream
+ *
+ * @see https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-ovba/672e9a1a-cd12-4c0b-b1de-6c3bd7f7f6a4
+ */
+const PROJECT_CODE_PAGE = 0x0003;
+const PROJECT_VERSION = 0x0009;
+const MODULE_NAME = 0x0019;
+const MODULE_NAME_UNICODE = 0x0047;
+const MODULE_STREAM_NAME = 0x001a;
+const MODULE_STREAM_NAME_UNICODE = 0x0032;
+const MODULE_OFFSET = 0x0031;
+const MODULE_TYPE_PROCEDURAL = 0x0021;
+const MODULE_TYPE_CLASS = 0x0022;
+const MODULE_TERMINATOR = 0x002b;
+
+/**
+ * The size of PROJECTVERSION is always 4 although the record contains 6 bytes
+ */
+const PROJECT_VERSION_SIZE = 6;
+
+interface ModuleRecord {
+    name: string;
+    streamName: string;
+    offset: number;
+    type: VBAModuleType;
+}
+
+/**
+ * Reads the source code of all modules of a VBA project
+ *
+ * @param streams Streams of the `VBA` storage of the project, i.e. `dir` and one stream per module
+ *
+ * @see https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-ovba/575462ba-bf67-4190-9fac-c275523c75fc
+ */
+export function readVBAModules(streams: ReadonlyMap<string, Buffer>): VBAModule[] {
+    const dir = streams.get("dir");
+    if (dir === undefined) {
+        throw new Error("VBA project has no dir stream");
+    }
+
+    const { codePage, modules } = parseDirStream(decompressVBA(dir));
+    return modules.map(({ name, streamName, offset, type }) => {
+        const stream = streams.get(streamName);
+        if (stream === undefined) {
+            throw new Error(`Could not find stream ${streamName} of VBA module ${name}`);
+        }
+
+        return { name, type, code: decodeText(decompressVBA(stream.slice(offset)), codePage) };
+    });
+}
+
+function parseDirStream(buffer: Buffer): { codePage: number; modules: ModuleRecord[] } {
+    let codePage = DEFAULT_CODE_PAGE;
+    const modules: ModuleRecord[] = [];
+    let module: Partial<ModuleRecord> = {};
+
+    let position = 0;
+    while (position + 6 <= buffer.length) {
+        const id = buffer.readUInt16LE(position);
+        const size = id === PROJECT_VERSION ? PROJECT_VERSION_SIZE : buffer.readUInt32LE(position + 2);
+        const data = buffer.slice(position + 6, position + 6 + size);
+        position += 6 + size;
+
+        switch (id) {
+            case PROJECT_CODE_PAGE:
+                codePage = data.readUInt16LE(0);
+                break;
+            case MODULE_NAME:
+                module.name ??= decodeText(data, codePage);
+                break;
+            case MODULE_NAME_UNICODE:
+                module.name = data.toString("ucs-2");
+                break;
+            case MODULE_STREAM_NAME:
+                module.streamName = decodeText(data, codePage);
+                break;
+            case MODULE_STREAM_NAME_UNICODE:
+                module.streamName = data.toString("ucs-2");
+                break;
+            case MODULE_OFFSET:
+                module.offset = data.readUInt32LE(0);
+                break;
+            case MODULE_TYPE_PROCEDURAL:
+                module.type = "standard";
+                break;
+            case MODULE_TYPE_CLASS:
+                module.type = "class";
+                break;
+            case MODULE_TERMINATOR: {
+                const { name, streamName = name, offset = 0, type = "standard" } = module;
+                if (name === undefined || streamName === undefined) {
+                    throw new Error("VBA module has no name");
+                }
+                modules.push({ name, streamName, offset, type });
+                module = {};
+                break;
+            }
+        }
+    }
+
+    return { codePage, modules };
+}
+
+function decodeText(buffer: Buffer, codePage: number): string {
+    return isSupportedCodePage(codePage) ? decode(buffer, codePage) : buffer.toString("latin1");
+}
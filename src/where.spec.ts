@@ -0,0 +1,79 @@
+import { expect } from "chai";
+import type { ColumnDefinition } from "./column.js";
+import { type ColumnType, ColumnTypes } from "./types.js";
+import { createRowFilter, likeToRegExp } from "./where.js";
+
+function column(name: string, type: ColumnType): ColumnDefinition {
+    return {
+        name,
+        type,
+        size: 0,
+        fixedLength: false,
+        nullable: true,
+        autoLong: false,
+        autoUUID: false,
+        index: 0,
+        variableIndex: 0,
+        fixedIndex: 0,
+    };
+}
+
+describe("where", () => {
+    describe("likeToRegExp()", () => {
+        it("wildcards", () => {
+            expect(likeToRegExp("a*z").test("Abcz")).to.eq(true);
+            expect(likeToRegExp("a?c").test("abc")).to.eq(true);
+            expect(likeToRegExp("a?c").test("abbc")).to.eq(false);
+            expect(likeToRegExp("a#").test("a1")).to.eq(true);
+            expect(likeToRegExp("a#").test("ab")).to.eq(false);
+        });
+
+        it("character lists", () => {
+            expect(likeToRegExp("[a-c]x").test("bx")).to.eq(true);
+            expect(likeToRegExp("[!a-c]x").test("bx")).to.eq(false);
+            expect(likeToRegExp("[!a-c]x").test("dx")).to.eq(true);
+            expect(likeToRegExp("[*]").test("*")).to.eq(true);
+        });
+
+        it("escapes regular expression characters", () => {
+            expect(likeToRegExp("a.b(c)").test("a.b(c)")).to.eq(true);
+            expect(likeToRegExp("a.b").test("axb")).to.eq(false);
+        });
+
+        it("throws for unclosed character lists", () => {
+            expect(() => likeToRegExp("[ab")).to.throw();
+        });
+    });
+
+    describe("createRowFilter()", () => {
+        const name = column("name", ColumnTypes.Text);
+        const price = column("price", ColumnTypes.Currency);
+        const columns = [name, price];
+
+        function matches(where: Parameters<typeof createRowFilter>[0], values: [string | null, string | null]): boolean {
+            return createRowFilter(where, columns).matches((c) => values[columns.indexOf(c)]!);
+        }
+
+        it("compares text case insensitive", () => {
+            expect(matches({ name: { eq: "ABC" } }, ["abc", null])).to.eq(true);
+            expect(matches({ name: { gt: "abc" } }, ["ABD", null])).to.eq(true);
+        });
+
+        it("compares decimals numerically", () => {
+            expect(matches({ price: { gt: 9 } }, [null, "10.0000"])).to.eq(true);
+            expect(matches({ price: { lt: "-2.5" } }, [null, "-10.0000"])).to.eq(true);
+            expect(matches({ price: { in: [1, 10n] } }, [null, "10.0000"])).to.eq(true);
+        });
+
+        it("matches null only with isNull", () => {
+            expect(matches({ name: { isNull: true } }, [null, null])).to.eq(true);
+            expect(matches({ name: { isNull: false } }, [null, null])).to.eq(false);
+            expect(matches({ name: { like: "*" } }, [null, null])).to.eq(false);
+            expect(matches({ name: { isNull: false, like: "*" } }, ["", null])).to.eq(true);
+        });
+
+        it("only reads the columns of the conditions", () => {
+            expect(createRowFilter({ price: { eq: 1 } }, columns).columns).to.deep.eq([price]);
+        });
+    });
+});
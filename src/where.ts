@@ -0,0 +1,168 @@
+import type { ColumnDefinition } from "./column.js";
+import { compareValues } from "./compare.js";
+import { ColumnTypes, type Value } from "./types.js";
+
+export type WhereValue = string | number | bigint | boolean | Date;
+
+/**
+ * Conditions of a column. All conditions have to be met. Only `isNull` matches `null` values.
+ */
+export interface WhereCondition {
+    eq?: WhereValue | undefined;
+    in?: ReadonlyArray<WhereValue> | undefined;
+    gt?: WhereValue | undefined;
+    lt?: WhereValue | undefined;
+
+    /**
+     * Pattern with the wildcards of Access: `*`, `?`, `#` (digit), `[abc]`, `[a-z]` and `[!abc]`
+     */
+    like?: string | undefined;
+    isNull?: boolean | undefined;
+}
+
+/**
+ * Conditions by column name. All columns have to match.
+ */
+export type WhereClause = { [column: string]: WhereCondition };
+
+/**
+ * @param row Values of all columns. Values are only decoded when they are accessed.
+ */
+export type RowPredicate = (row: { readonly [column: string]: Value }) => boolean;
+
+export type Where = RowPredicate | WhereClause;
+
+/**
+ * Filter of records evaluated before the remaining columns are decoded
+ */
+export interface RowFilter {
+    /**
+     * Columns the filter reads
+     */
+    columns: ReadonlyArray<ColumnDefinition>;
+
+    /**
+     * @param getValue Decodes the value of a column. Values are compared in their default representation.
+     */
+    matches(getValue: (column: ColumnDefinition) => Value): boolean;
+}
+
+/**
+ * @param columns All columns of the table
+ */
+export function createRowFilter(where: Where, columns: ReadonlyArray<ColumnDefinition>): RowFilter {
+    if (typeof where === "function") {
+        return {
+            columns,
+            matches: (getValue) => where(createLazyRow(columns, getValue)),
+        };
+    }
+
+    const conditions = Object.entries(where).map(([name, condition]) => {
+        const column = columns.find((c) => c.name === name);
+        if (column === undefined) {
+            throw new Error(`Could not find column with name ${name}`);
+        }
+        return { column, matches: createConditionMatcher(condition, column) };
+    });
+
+    return {
+        columns: conditions.map((c) => c.column),
+        matches: (getValue) => conditions.every(({ column, matches }) => matches(getValue(column))),
+    };
+}
+
+function createLazyRow(
+    columns: ReadonlyArray<ColumnDefinition>,
+    getValue: (column: ColumnDefinition) => Value
+): { readonly [column: string]: Value } {
+    const row = {};
+    for (const column of columns) {
+        Object.defineProperty(row, column.name, { enumerable: true, get: () => getValue(column) });
+    }
+    return row;
+}
+
+function createConditionMatcher(condition: WhereCondition, column: ColumnDefinition): (value: Value) => boolean {
+    const compare = (value: NonNullable<Value>, operand: WhereValue) =>
+        compareValues(value, toColumnValue(operand, column), column.type);
+    const pattern = condition.like !== undefined ? likeToRegExp(condition.like) : null;
+
+    return (value) => {
+        if (condition.isNull !== undefined && condition.isNull !== (value === null)) {
+            return false;
+        }
+
+        if (value === null) {
+            return (
+                condition.eq === undefined &&
+                condition.in === undefined &&
+                condition.gt === undefined &&
+                condition.lt === undefined &&
+                pattern === null
+            );
+        }
+
+        return (
+            (condition.eq === undefined || compare(value, condition.eq) === 0) &&
+            (condition.in === undefined || condition.in.some((operand) => compare(value, operand) === 0)) &&
+            (condition.gt === undefined || compare(value, condition.gt) > 0) &&
+            (condition.lt === undefined || compare(value, condition.lt) < 0) &&
+            (pattern === null || pattern.test(String(value)))
+        );
+    };
+}
+
+/**
+ * Currency and numeric values are returned as decimal strings
+ */
+function toColumnValue(operand: WhereValue, column: ColumnDefinition): WhereValue {
+    if (
+        (column.type === ColumnTypes.Currency || column.type === ColumnTypes.Numeric) &&
+        (typeof operand === "number" || typeof operand === "bigint")
+    ) {
+        return operand.toString();
+    }
+    return operand;
+}
+
+/**
+ * Converts a pattern of the `Like` operator of Access to a case insensitive regular expression
+ */
+export function likeToRegExp(pattern: string): RegExp {
+    let source = "";
+    for (let i = 0; i < pattern.length; ++i) {
+        const char = pattern[i]!;
+        switch (char) {
+            case "*":
+                source += "[\\s\\S]*";
+                break;
+            case "?":
+                source += "[\\s\\S]";
+                break;
+            case "#":
+                source += "\\d";
+                break;
+            case "[": {
+                const end = pattern.indexOf("]", i + 2);
+                if (end === -1) {
+                    throw new Error(`Invalid like pattern ${pattern}`);
+                }
+
+                let characters = pattern.slice(i + 1, end);
+                const negated = characters.startsWith("!");
+                if (negated) {
+                    characters = characters.slice(1);
+                }
+
+                source += `[${negated ? "^" : ""}${characters.replace(/[\\\]^]/g, "\\$&")}]`;
+                i = end;
+                break;
+            }
+            default:
+                source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${source}$`, "i");
+}
@@ -0,0 +1,39 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader from "../src/index.js";
+import { expect } from "chai";
+
+describe("Access objects", () => {
+    const reader = new MDBReader(readFileSync(resolve("test/data/real/ASampleDatabase.accdb")));
+
+    it("getForms()", () => {
+        const forms = reader.getForms();
+        expect(forms.map((form) => [form.name, form.definition.length])).to.deep.eq([
+            ["frmAssetInventory", 24216],
+            ["frmAssetItemsDataForm", 2977],
+            ["frmGSTCalculations", 26292],
+        ]);
+    });
+
+    it("getReports()", () => {
+        expect(reader.getReports().map((report) => [report.name, report.definition.length])).to.deep.eq([
+            ["rptAssetListingInNumberOrder", 5668],
+            ["rptAssetsGroupedByOwners", 7053],
+            ["rptGSTPaidByMonth", 8277],
+        ]);
+    });
+
+    it("getModules() and getMacros()", () => {
+        // The VBA project of the database does not contain any modules
+        expect(reader.getModules()).to.deep.eq([]);
+        expect(reader.getMacros()).to.deep.eq([]);
+    });
+
+    it("returns empty arrays for databases without MSysAccessStorage", () => {
+        const reader = new MDBReader(readFileSync(resolve("test/data/V1997/test.mdb")));
+        expect(reader.getForms()).to.deep.eq([]);
+        expect(reader.getReports()).to.deep.eq([]);
+        expect(reader.getMacros()).to.deep.eq([]);
+        expect(reader.getModules()).to.deep.eq([]);
+    });
+});
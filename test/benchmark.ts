@@ -0,0 +1,57 @@
+/**
+ * Compares reading the encrypted test databases with and without the page cache.
+ *
+ * Run with `npm run benchmark`.
+ */
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader from "../src/index.js";
+
+const ITERATIONS = 500;
+
+const DATABASES = [
+    ["office-agile-4.4.accdb", "password"],
+    ["office-agile-4.2.accdb", "password"],
+    ["office-standard-4.2.accdb", "password"],
+    ["office-rc4-1.1.accdb", "password"],
+    ["msisam-password.mny", "password"],
+] as const;
+
+/**
+ * Reads all user tables repeatedly like an application looking up data would. Opening the database is not measured as
+ * deriving the key from the password dominates it.
+ *
+ * @returns Duration in milliseconds
+ */
+function measure(buffer: Buffer, password: string, pageCacheSize: number | undefined): number {
+    const reader = new MDBReader(buffer, { password, pageCacheSize });
+
+    const start = performance.now();
+    for (let i = 0; i < ITERATIONS; ++i) {
+        for (const name of reader.getTableNames()) {
+            const table = reader.getTable(name);
+            table.getColumns();
+            table.getData();
+        }
+    }
+
+    return performance.now() - start;
+}
+
+const results = DATABASES.map(([filename, password]) => {
+    const buffer = readFileSync(resolve("test/encryption/data", filename));
+
+    // Warm up the JIT so the first measurement is not penalized
+    measure(buffer, password, 0);
+
+    const uncached = measure(buffer, password, 0);
+    const cached = measure(buffer, password, undefined);
+    return {
+        database: filename,
+        "uncached (ms)": Math.round(uncached),
+        "cached (ms)": Math.round(cached),
+        speedup: `${(uncached / cached).toFixed(1)}x`,
+    };
+});
+
+console.table(results);
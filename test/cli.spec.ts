@@ -0,0 +1,136 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader from "../src/index.js";
+import { runCLI } from "../src/cli/index.js";
+import { expect } from "chai";
+
+async function run(...args: string[]): Promise<{ code: number; stdout: string; stderr: string }> {
+    let stdout = "";
+    let stderr = "";
+    const code = await runCLI(args, {
+        openDatabase: (path, options) => new MDBReader(readFileSync(resolve("test/data", path)), options),
+        write: (chunk) => {
+            stdout += chunk;
+        },
+        writeError: (chunk) => {
+            stderr += chunk;
+        },
+    });
+    return { code, stdout, stderr };
+}
+
+describe("CLI", () => {
+    it("prints the usage", async () => {
+        const { code, stdout } = await run("--help");
+        expect(code).to.eq(0);
+        expect(stdout).to.include("Usage: mdb-reader <command> [options]");
+    });
+
+    it("tables", async () => {
+        expect(await run("tables", "V2010/test.accdb")).to.deep.eq({
+            code: 0,
+            stdout: "Table1\nTable2\nTable3\nTable4\n",
+            stderr: "",
+        });
+
+        const { stdout } = await run("tables", "--system", "V2010/test.accdb");
+        expect(stdout.split("\n")).to.include.members(["MSysObjects", "Table1"]);
+    });
+
+    it("schema", async () => {
+        const { stdout } = await run("schema", "V2010/test.accdb", "Table3");
+        expect(stdout).to.eq("CREATE TABLE [Table3] (\n    [a] COUNTER,\n    [b] TEXT(50),\n    PRIMARY KEY ([a])\n);\n");
+
+        expect((await run("schema", "real/ASampleDatabase.accdb", "--dialect", "postgres")).stdout).to.eq(
+            [
+                'CREATE TABLE "Asset Items" (',
+                '    "Asset No" VARCHAR(5),',
+                '    "Asset Category" VARCHAR(20),',
+                '    "Make" VARCHAR(25),',
+                '    "Model" VARCHAR(25),',
+                '    "Description" VARCHAR(40),',
+                '    "Owner" VARCHAR(20),',
+                '    "Serial No" VARCHAR(15),',
+                '    "Acquired" TIMESTAMP,',
+                '    "Cost" NUMERIC(19,4),',
+                '    "Warranty" INTEGER,',
+                '    "Tax Scale" VARCHAR(1),',
+                '    "Supplier No" VARCHAR(5),',
+                '    "Comments" TEXT,',
+                '    PRIMARY KEY ("Asset No")',
+                ");",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("export", async () => {
+        expect((await run("export", "V2010/test.accdb", "Table1")).stdout).to.eq(
+            [
+                "A,B,C,D,E,F,G,H,I",
+                "a,b,0,0,0,0,1981-12-12 00:00:00,0.0000,false",
+                "abcdefg,hijklmnop,2,222,333333333,444.555,1974-09-21 00:00:00,3.5000,true",
+                "",
+            ].join("\n")
+        );
+
+        const { stdout } = await run(
+            "export",
+            "real/ASampleDatabase.accdb",
+            "Asset Items",
+            "--format",
+            "ndjson",
+            "--date-format",
+            "%d/%m/%Y"
+        );
+        const lines = stdout.trimEnd().split("\n");
+        expect(lines).to.have.length(65);
+        expect(JSON.parse(lines[0]!)).to.deep.include({ "Asset No": "30050", Acquired: "02/09/1997", Comments: null });
+    });
+
+    it("dump", async () => {
+        const { stdout } = await run("dump", "real/ASampleDatabase.accdb", "--dialect", "postgres", "--batch-size", "50");
+        expect(stdout).to.match(/^SET client_encoding = 'UTF8';\nBEGIN;\n\nCREATE TABLE "Asset Items" \(\n/);
+        expect(stdout).to.include(
+            "('30050', 'Computer Hardware', 'GEO Rocket', '220ZX', 'Computer', 'Sales', '344-667', '1997-09-02 00:00:00', 1995.5000, 12, 'A', '44577', NULL),\n"
+        );
+        expect(stdout.match(/^INSERT INTO "Asset Items"/gm)).to.have.length(2);
+        expect(stdout).to.match(/\nCOMMIT;\n$/);
+
+        expect((await run("dump", "V2010/test.accdb", "--batch-size", "x")).stderr).to.eq(
+            "mdb-reader: Invalid --batch-size x. Expected a positive integer\n"
+        );
+    });
+
+    it("info", async () => {
+        expect((await run("info", "real/ASampleDatabase.accdb")).stdout).to.eq(
+            [
+                "File format: ACE12",
+                "Creation date: 2008-05-13 12:38:58",
+                "Sort order: 1033 (version 0)",
+                "Code page: 1252",
+                "Encryption: none",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("reads encrypted databases with --password", async () => {
+        const path = "../encryption/data/office-rc4-1.1.accdb";
+        expect((await run("tables", path, "--password", "password")).stdout).to.eq("Table1\n");
+        expect(await run("tables", path, "--password", "wrong")).to.deep.eq({
+            code: 1,
+            stdout: "",
+            stderr: "mdb-reader: Wrong password\n",
+        });
+    });
+
+    it("reports invalid arguments", async () => {
+        expect((await run("unknown")).stderr).to.eq("mdb-reader: Unknown command unknown\n");
+        expect((await run("export", "V2010/test.accdb")).stderr).to.eq("mdb-reader: Missing table name\n");
+        expect((await run("export", "V2010/test.accdb", "Table1", "--format", "xml")).stderr).to.eq(
+            "mdb-reader: Invalid --format xml. Expected one of csv, tsv, ndjson, json\n"
+        );
+        expect((await run("tables", "V2010/test.accdb", "--columns")).code).to.eq(1);
+    });
+});
@@ -0,0 +1,180 @@
+import MDBReader, { createDatabase, type DatabaseSchema } from "../src/index.js";
+import { expect } from "chai";
+
+const schema: DatabaseSchema = {
+    tables: [
+        {
+            name: "People",
+            columns: [
+                { name: "ID", type: "long", autoNumber: true },
+                { name: "Name", type: "text", size: 50, nullable: false },
+                { name: "Born", type: "datetime" },
+                { name: "Notes", type: "memo" },
+                { name: "Active", type: "boolean" },
+                { name: "Amount", type: "numeric", precision: 10, scale: 2 },
+            ],
+            primaryKey: ["ID"],
+            rows: [
+                { Name: "Alice", Born: new Date("1990-01-02T00:00:00.000Z"), Notes: "x".repeat(5000), Active: true },
+                { Name: "Bob", Amount: "12.34" },
+            ],
+        },
+        {
+            name: "Empty",
+            columns: [{ name: "Data", type: "binary", size: 10 }],
+        },
+    ],
+};
+
+describe("createDatabase", () => {
+    for (const format of ["Jet4", "ACE12", "ACE17"] as const) {
+        it(`creates databases of format ${format}`, () => {
+            const reader = new MDBReader(createDatabase({ ...schema, format }));
+            expect(reader.getFileFormat()).to.eq(format);
+            expect(reader.getTableNames()).to.deep.eq(["People", "Empty"]);
+            expect(reader.getTableNames({ normalTables: false, systemTables: true })).to.include.members([
+                "MSysObjects",
+                "MSysACEs",
+                "MSysQueries",
+                "MSysRelationships",
+            ]);
+            expect(reader.validate()).to.deep.eq([]);
+
+            const table = reader.getTable("People");
+            expect(table.getData()).to.deep.eq([
+                {
+                    ID: 1,
+                    Name: "Alice",
+                    Born: new Date("1990-01-02T00:00:00.000Z"),
+                    Notes: "x".repeat(5000),
+                    Active: true,
+                    Amount: null,
+                },
+                { ID: 2, Name: "Bob", Born: null, Notes: null, Active: false, Amount: "12.34" },
+            ]);
+            expect(table.findByIndex("PrimaryKey", 2, { columns: ["Name"] })).to.deep.eq([{ Name: "Bob" }]);
+            expect(reader.getTable("Empty").rowCount).to.eq(0);
+        });
+    }
+
+    it("creates columns and indexes", () => {
+        const reader = new MDBReader(createDatabase(schema));
+        const table = reader.getTable("People");
+
+        const columns = table.getColumns();
+        expect(columns.map((column) => [column.name, column.type])).to.deep.eq([
+            ["ID", "long"],
+            ["Name", "text"],
+            ["Born", "datetime"],
+            ["Notes", "memo"],
+            ["Active", "boolean"],
+            ["Amount", "numeric"],
+        ]);
+        expect(table.getColumn("ID").autoLong).to.eq(true);
+        expect(table.getColumn("Name").size).to.eq(100);
+        expect(table.getColumn("Name").properties).to.deep.eq({ Required: true });
+        expect(table.getColumn("Amount").precision).to.eq(10);
+        expect(table.getColumn("Amount").scale).to.eq(2);
+        expect(reader.getTable("Empty").getColumn("Data").size).to.eq(10);
+
+        expect(table.getIndexes()).to.deep.eq([
+            {
+                name: "PrimaryKey",
+                columns: [{ name: "ID", order: "asc" }],
+                unique: true,
+                ignoreNulls: false,
+                required: true,
+                primaryKey: true,
+                foreignKey: false,
+            },
+        ]);
+    });
+
+    it("creates databases that can be written", () => {
+        const table = new MDBReader(createDatabase(schema)).getTable("People");
+        const reader = new MDBReader(table.insertRows([{ Name: "Carol" }]));
+        expect(reader.getTable("People").getData({ columns: ["ID", "Name"] })).to.deep.eq([
+            { ID: 1, Name: "Alice" },
+            { ID: 2, Name: "Bob" },
+            { ID: 3, Name: "Carol" },
+        ]);
+        expect(reader.validate()).to.deep.eq([]);
+
+        expect(() => table.insertRows([{ Born: new Date() }])).to.throw("Column Name of table People is required");
+    });
+
+    for (const format of ["Jet4", "ACE17"] as const) {
+        it(`creates tables with any characters in names and keys (${format})`, () => {
+            const columns = [{ name: "Name", type: "text" }] as const;
+            const reader = new MDBReader(
+                createDatabase({
+                    format,
+                    tables: [
+                        { name: "Kunden-Liste", columns, primaryKey: ["Name"], rows: [{ Name: "a-b" }, { Name: "Müller" }] },
+                        { name: "Café", columns, primaryKey: ["Name"], rows: [{ Name: "O'Brien" }] },
+                    ],
+                })
+            );
+            expect(reader.getTableNames()).to.deep.eq(["Kunden-Liste", "Café"]);
+            for (const name of ["a-b", "Müller"]) {
+                expect(reader.getTable("Kunden-Liste").findByIndex("PrimaryKey", name)).to.deep.eq([{ Name: name }]);
+            }
+            expect(reader.getTable("Café").findByIndex("PrimaryKey", "O'Brien")).to.deep.eq([{ Name: "O'Brien" }]);
+            expect(reader.validate()).to.deep.eq([]);
+        });
+    }
+
+    it("stores the password", () => {
+        const reader = new MDBReader(createDatabase({ ...schema, format: "Jet4", password: "secret" }));
+        expect(reader.getPassword()).to.eq("secret");
+        expect(reader.getTable("People").rowCount).to.eq(2);
+        expect(new MDBReader(createDatabase(schema)).getPassword()).to.eq(null);
+    });
+
+    it("throws for invalid schemas", () => {
+        const table = (columns: DatabaseSchema["tables"][number]["columns"]): DatabaseSchema => ({
+            tables: [{ name: "Table1", columns }],
+        });
+
+        expect(() => createDatabase({ format: "Jet3", tables: [] } as unknown as DatabaseSchema)).to.throw(
+            "Creating databases of format Jet3 is not supported"
+        );
+        expect(() => createDatabase({ format: "Jet4", password: "x".repeat(21), tables: [] })).to.throw(
+            "Password is longer than 20 characters"
+        );
+        for (const format of ["ACE12", "ACE17", undefined] as const) {
+            expect(() => createDatabase({ format, password: "secret", tables: [] })).to.throw(
+                "Passwords are only supported for databases of format Jet4"
+            );
+        }
+        expect(() => createDatabase({ tables: [...schema.tables, { name: "people", columns: [] }] })).to.throw(
+            "Table People exists more than once"
+        );
+        expect(() => createDatabase({ tables: [{ name: "MSysObjects", columns: [] }] })).to.throw(
+            "Table MSysObjects exists more than once"
+        );
+        expect(() =>
+            createDatabase({
+                tables: [
+                    { name: "Table1", columns: [{ name: "A", type: "text" }], primaryKey: ["A"], rows: [{ A: "a📦" }] },
+                ],
+            })
+        ).to.throw("Character '📦' of column A is not supported in index keys");
+        expect(() => createDatabase(table([{ name: "A", type: "complex" }]))).to.throw(
+            "Columns of type complex cannot be created"
+        );
+        expect(() => createDatabase(table([{ name: "A", type: "text", size: 256 }]))).to.throw(
+            "Size of text column A has to be between 1 and 255"
+        );
+        expect(() => createDatabase(table([{ name: "A", type: "text", autoNumber: true }]))).to.throw(
+            "Autonumber column A has to be of type long or repid"
+        );
+        expect(() => createDatabase(table([{ name: "A", type: "numeric", precision: 29 }]))).to.throw(
+            "Precision of column A has to be between 1 and 28"
+        );
+        expect(() => createDatabase(table([]))).to.throw("Table Table1 has to have between 1 and 255 columns");
+        expect(() =>
+            createDatabase({ tables: [{ name: "Table1", columns: [{ name: "A", type: "long" }], primaryKey: ["B"] }] })
+        ).to.throw("Could not find primary key column B in table Table1");
+    });
+});
@@ -0,0 +1,154 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader, { createDatabase, diffDatabases } from "../src/index.js";
+import { expect } from "chai";
+
+const PAGE_SIZE = 4096;
+
+/**
+ * Changes column B of the second row of Table1 of `V2010/test.accdb` from `hijklmnop` to `hijklmnoq` and deletes the
+ * first row
+ */
+function modifyTestDatabase(buffer: Buffer): void {
+    const textOffset = buffer.indexOf(Buffer.from("hijklmnop", "ucs-2"), 76 * PAGE_SIZE);
+    buffer.write("q", textOffset + 16, "ucs-2");
+
+    const recordStartOffset = 76 * PAGE_SIZE + 14;
+    buffer.writeUInt16LE(buffer.readUInt16LE(recordStartOffset) | 0xc000, recordStartOffset);
+}
+
+function readDatabase(path: string): MDBReader {
+    return new MDBReader(readFileSync(resolve("test/data", path)));
+}
+
+describe("diffDatabases()", () => {
+    it("finds no differences between identical databases", () => {
+        expect([...diffDatabases(readDatabase("V2003/test.mdb"), readDatabase("V2010/test.accdb"))]).to.deep.eq([]);
+    });
+
+    it("reports changed tables and columns", () => {
+        const readerA = readDatabase("V2016/withdeletedcol.accdb");
+        const readerB = readDatabase("V2016/withinsertedcol.accdb");
+        const differences = [...diffDatabases(readerA, readerB, { data: false })].map((difference) =>
+            "column" in difference && typeof difference.column === "object"
+                ? { ...difference, column: difference.column.name }
+                : difference
+        );
+
+        expect(differences).to.deep.eq([
+            { type: "tableRemoved", table: "~TMPCLP517911" },
+            { type: "tableRemoved", table: "~TMPCLP236321" },
+            {
+                type: "columnChanged",
+                table: "Table1",
+                column: "col2",
+                changes: { type: { old: "long", new: "boolean" }, size: { old: 4, new: 0 } },
+            },
+            {
+                type: "columnChanged",
+                table: "Table1",
+                column: "col3",
+                changes: { type: { old: "long", new: "boolean" }, size: { old: 4, new: 0 } },
+            },
+            { type: "columnRemoved", table: "Table1", column: "col5" },
+            { type: "columnRemoved", table: "Table1", column: "col6" },
+            { type: "columnRemoved", table: "Table1", column: "col7" },
+            { type: "columnRemoved", table: "Table1", column: "col8" },
+            {
+                type: "columnChanged",
+                table: "Table1",
+                column: "col1",
+                changes: { type: { old: "long", new: "boolean" }, size: { old: 4, new: 0 } },
+            },
+        ]);
+
+        expect([...diffDatabases(readerB, readerA, { tables: ["Table1"], data: false })]).to.have.length(7);
+    });
+
+    it("reports inserted, deleted and modified rows", () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        const original = new MDBReader(buffer);
+        const [first] = original.getTable("Table1").getData();
+
+        const modifiedBuffer = Buffer.from(buffer);
+        modifyTestDatabase(modifiedBuffer);
+        const modified = new MDBReader(modifiedBuffer);
+
+        expect([...diffDatabases(original, modified)]).to.deep.eq([
+            {
+                type: "rowModified",
+                table: "Table1",
+                key: { A: "abcdefg" },
+                changes: { B: { old: "hijklmnop", new: "hijklmnoq" } },
+            },
+            { type: "rowDeleted", table: "Table1", key: { A: "a" }, row: first },
+        ]);
+        expect([...diffDatabases(modified, original)]).to.deep.eq([
+            { type: "rowInserted", table: "Table1", key: { A: "a" }, row: first },
+            {
+                type: "rowModified",
+                table: "Table1",
+                key: { A: "abcdefg" },
+                changes: { B: { old: "hijklmnoq", new: "hijklmnop" } },
+            },
+        ]);
+    });
+
+    it("matches rows by the columns passed in keys", () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        const modifiedBuffer = Buffer.from(buffer);
+        modifyTestDatabase(modifiedBuffer);
+
+        const differences = [
+            ...diffDatabases(new MDBReader(buffer), new MDBReader(modifiedBuffer), { keys: { Table1: ["B"] } }),
+        ];
+        expect(differences.map((difference) => [difference.type, "key" in difference ? difference.key : null])).to.deep.eq([
+            ["rowInserted", { B: "hijklmnoq" }],
+            ["rowDeleted", { B: "b" }],
+            ["rowDeleted", { B: "hijklmnop" }],
+        ]);
+    });
+
+    it("throws for keys which are not unique", () => {
+        const createReader = (names: string[]) =>
+            new MDBReader(
+                createDatabase({
+                    tables: [
+                        {
+                            name: "People",
+                            columns: [
+                                { name: "ID", type: "long", autoNumber: true },
+                                { name: "Name", type: "text", size: 50 },
+                            ],
+                            primaryKey: ["ID"],
+                            rows: names.map((name) => ({ Name: name })),
+                        },
+                    ],
+                })
+            );
+        const unique = createReader(["Alice", "Bob"]);
+        const duplicate = createReader(["Alice", "Alice"]);
+        const options = { keys: { People: ["Name"] } };
+
+        expect([...diffDatabases(duplicate, duplicate)]).to.deep.eq([]);
+        expect(() => [...diffDatabases(duplicate, unique, options)]).to.throw(
+            'Key ["Alice"] is not unique in table People of the first database'
+        );
+        expect(() => [...diffDatabases(unique, duplicate, options)]).to.throw(
+            'Key ["Alice"] is not unique in table People of the second database'
+        );
+    });
+
+    it("throws for tables without key", () => {
+        const reader = readDatabase("V2016/withinsertedcol.accdb");
+        expect(() => [...diffDatabases(reader, reader)]).to.throw(
+            "Table Table1 has no primary key. Pass its key columns in the keys option."
+        );
+        expect(() => [...diffDatabases(reader, reader, { keys: { Table1: ["col4"] } })]).to.throw(
+            "Key column col4 does not exist in both versions of table Table1"
+        );
+        expect(() => [...diffDatabases(reader, reader, { tables: ["Table2"] })]).to.throw(
+            "Could not find table with name Table2"
+        );
+    });
+});
@@ -6,9 +6,11 @@ import { expect } from "chai";
 
 describe("Encryption", () => {
     forEach([
-        ["office-agile-4.4.accdb", "password"],
-        ["office-agile-4.2.accdb", "password"],
-    ]).describe("%s", (filename, password) => {
+        ["office-agile-4.4.accdb", "password", "office-agile"],
+        ["office-agile-4.2.accdb", "password", "office-rc4-cryptoapi"],
+        ["office-standard-4.2.accdb", "password", "office-standard"],
+        ["office-rc4-1.1.accdb", "password", "office-rc4"],
+    ]).describe("%s", (filename, password, encryptionType) => {
         const path = resolve("test/encryption/data", filename);
 
         let buffer: Buffer;
@@ -22,9 +24,19 @@ describe("Encryption", () => {
             const reader = new MDBReader(buffer, { password });
             expect(reader.getTableNames()).to.deep.eq(["Table1"]);
         });
+
+        it("getEncryptionType()", () => {
+            const reader = new MDBReader(buffer, { password });
+            expect(reader.getEncryptionType()).to.eq(encryptionType);
+        });
     });
 
-    forEach([["office-agile-4.4.accdb"], ["office-agile-4.2.accdb"]]).describe("%s", (filename) => {
+    forEach([
+        ["office-agile-4.4.accdb"],
+        ["office-agile-4.2.accdb"],
+        ["office-standard-4.2.accdb"],
+        ["office-rc4-1.1.accdb"],
+    ]).describe("%s", (filename) => {
         const path = resolve("test/encryption/data", filename);
 
         let buffer: Buffer;
@@ -34,7 +46,37 @@ describe("Encryption", () => {
         });
 
         it("should throw for wrong password", () => {
-            expect(() => new MDBReader(buffer, { password: "wrong-password" })).to.throw;
+            expect(() => new MDBReader(buffer, { password: "wrong-password" })).to.throw("Wrong password");
+        });
+    });
+
+    describe("MSISAM", () => {
+        it("should be able to read a database without password", () => {
+            const buffer = readFileSync(resolve("test/encryption/data", "msisam-no-password.mny"));
+            const reader = new MDBReader(buffer);
+            expect(reader.getTableNames()).to.deep.eq(["test"]);
+            expect(reader.getTable("test").getData()).to.have.length(1);
+            expect(reader.getEncryptionType()).to.eq("msisam");
+        });
+
+        it("should be able to read a database with password", () => {
+            const buffer = readFileSync(resolve("test/encryption/data", "msisam-password.mny"));
+            const reader = new MDBReader(buffer, { password: "password" });
+            expect(reader.getTableNames()).to.deep.eq(["test"]);
+            expect(reader.getTable("test").getData()).to.have.length(1);
+        });
+
+        it("should throw for wrong password", () => {
+            const buffer = readFileSync(resolve("test/encryption/data", "msisam-password.mny"));
+            expect(() => new MDBReader(buffer, { password: "wrong-password" })).to.throw("Wrong password");
+        });
+
+        it("should be able to read a database with old encryption", () => {
+            const buffer = readFileSync(resolve("test/encryption/data", "msisam-old.mny"));
+            const reader = new MDBReader(buffer);
+            expect(reader.getTableNames()).to.deep.eq(["test"]);
+            expect(reader.getTable("test").getData()).to.have.length(1);
+            expect(reader.getEncryptionType()).to.eq("msisam");
         });
     });
 });
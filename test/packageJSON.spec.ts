@@ -14,7 +14,13 @@ function getPathsFromPackageJSON(): string[] {
         return values.flatMap((value) => (typeof value === "string" ? [value] : flatten(value)));
     };
 
-    const paths = [packageJSON["main"], packageJSON["browser"], packageJSON["types"], ...flatten(packageJSON["exports"])];
+    const paths = [
+        packageJSON["main"],
+        packageJSON["browser"],
+        packageJSON["types"],
+        ...flatten(packageJSON["exports"]),
+        ...flatten(packageJSON["bin"]),
+    ];
 
     return paths;
 }
@@ -0,0 +1,75 @@
+import { resolve } from "path";
+import { closeSync, openSync, readFileSync } from "fs";
+import MDBReader, {
+    createBlobPageSource,
+    createBufferPageSource,
+    createFileDescriptorPageSource,
+    type Value,
+} from "../src/index.js";
+import { expect } from "chai";
+import forEach from "mocha-each";
+
+describe("PageSource", () => {
+    forEach([
+        ["V1997/test.mdb", "Table1"],
+        ["V2000/test.mdb", "Table1"],
+        ["V2010/test.accdb", "Table1"],
+        ["V2016/longtext.accdb", "Table1"],
+        ["real/ASampleDatabase.accdb", "Asset Items"],
+    ]).describe("%s", (filename: string, tableName: string) => {
+        const path = resolve("test/data", filename);
+
+        let buffer: Buffer;
+        let expectedData: { [column: string]: Value }[];
+
+        before(() => {
+            buffer = readFileSync(path);
+            expectedData = new MDBReader(buffer).getTable(tableName).getData();
+        });
+
+        it("buffer", () => {
+            const reader = new MDBReader(createBufferPageSource(buffer));
+            expect(reader.getTable(tableName).getData()).to.deep.eq(expectedData);
+        });
+
+        it("file descriptor", function () {
+            const fd = openSync(path, "r");
+            try {
+                let source;
+                try {
+                    source = createFileDescriptorPageSource(fd);
+                } catch {
+                    // not available in the browser build
+                    this.skip();
+                }
+
+                const reader = new MDBReader(source);
+                expect(reader.getTable(tableName).getData()).to.deep.eq(expectedData);
+            } finally {
+                closeSync(fd);
+            }
+        });
+
+        it("blob", async () => {
+            const reader = await MDBReader.open(createBlobPageSource(new Blob([buffer])));
+            const table = await reader.getTableAsync(tableName);
+
+            expect(await table.getDataAsync()).to.deep.eq(expectedData);
+            expect(await table.getDataAsync({ rowOffset: 1, rowLimit: 2 })).to.deep.eq(expectedData.slice(1, 3));
+
+            const rows = [];
+            for await (const row of table.rowsAsync()) {
+                rows.push(row);
+            }
+            expect(rows).to.deep.eq(expectedData);
+        });
+    });
+
+    it("requires async methods for async page sources", async () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        const reader = await MDBReader.open(createBlobPageSource(new Blob([buffer])));
+
+        expect(reader.getTableNames()).to.deep.eq(["Table1", "Table2", "Table3", "Table4"]);
+        expect(() => reader.getTable("Table1")).to.throw();
+    });
+});
@@ -0,0 +1,114 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader, { createBlobPageSource } from "../src/index.js";
+import { expect } from "chai";
+
+describe("query()", () => {
+    let reader: MDBReader;
+
+    before(() => {
+        const buffer = readFileSync(resolve("test/data/real/ASampleDatabase.accdb"));
+        reader = new MDBReader(buffer);
+    });
+
+    it("selects columns with aliases", () => {
+        const rows = reader.query("SELECT [Asset No], Cost AS Price FROM [asset items]");
+        expect(rows).to.deep.eq(
+            reader
+                .getTable("Asset Items")
+                .getData({ columns: ["Asset No", "Cost"] })
+                .map((row) => ({ "Asset No": row["Asset No"], Price: row["Cost"] }))
+        );
+    });
+
+    it("filters, sorts and limits rows", () => {
+        const rows = reader.query(
+            "SELECT TOP 3 [Asset No], Cost FROM [Asset Items] WHERE Cost > 1000 AND Description LIKE 'comp*' ORDER BY Cost DESC, [Asset No]"
+        );
+        expect(rows).to.deep.eq([
+            { "Asset No": "30110", Cost: "5999.0000" },
+            { "Asset No": "30055", Cost: "5433.0000" },
+            { "Asset No": "30090", Cost: "5433.0000" },
+        ]);
+    });
+
+    it("supports date literals, IN, BETWEEN and IS NULL", () => {
+        expect(
+            reader.query("SELECT COUNT(*) AS n FROM [Asset Items] WHERE Acquired BETWEEN #1997-01-01# AND #12/31/1997#")
+        ).to.deep.eq([{ n: 4 }]);
+
+        const rows = reader.query(
+            "SELECT DISTINCT Owner FROM [Asset Items] WHERE Owner IN ('sales', 'Admin & Accounts') AND Comments IS NULL"
+        );
+        expect(rows).to.deep.eq([{ Owner: "Sales" }, { Owner: "Admin & Accounts" }]);
+    });
+
+    it("groups rows", () => {
+        const rows = reader.query(
+            "SELECT [Asset Category], COUNT(*) AS n, SUM(Cost), MAX(Cost) FROM [Asset Items] GROUP BY [Asset Category] HAVING COUNT(*) > 5 ORDER BY n DESC"
+        );
+        expect(rows).to.deep.eq([
+            { "Asset Category": "Office Furniture", n: 29, Expr1000: "23921.5000", Expr1001: "3425.5000" },
+            { "Asset Category": "Computer Hardware", n: 24, Expr1000: "51895.0000", Expr1001: "5999.0000" },
+            { "Asset Category": "General Equipment", n: 11, Expr1000: "21449.0000", Expr1001: "6799.0000" },
+        ]);
+    });
+
+    it("throws for columns which are not aggregated or grouped", () => {
+        expect(() => reader.query("SELECT Owner, COUNT(*) FROM [Asset Items]")).to.throw(
+            "Column Owner is not part of an aggregate function or GROUP BY"
+        );
+        expect(() => reader.query("SELECT * FROM [Asset Items] GROUP BY Owner")).to.throw(
+            "Column Asset No is not part of an aggregate function or GROUP BY"
+        );
+        expect(() =>
+            reader.query("SELECT Owner FROM [Asset Items] GROUP BY Owner HAVING Cost > 1000 ORDER BY Owner")
+        ).to.throw("Column Cost is not part of an aggregate function or GROUP BY");
+        expect(() => reader.query("SELECT Owner FROM [Asset Items] GROUP BY Owner ORDER BY Cost")).to.throw(
+            "Column Cost is not part of an aggregate function or GROUP BY"
+        );
+
+        const rows = reader.query(
+            "SELECT [asset items].owner & '!' AS Name, COUNT(*) AS n FROM [Asset Items] GROUP BY Owner HAVING Owner = 'Sales'"
+        );
+        expect(rows).to.deep.eq([{ Name: "Sales!", n: 25 }]);
+        expect(reader.query("SELECT COUNT(*) AS n FROM [Asset Items] WHERE Owner = 'Sales'")).to.deep.eq([{ n: 25 }]);
+    });
+
+    it("joins tables", () => {
+        const rows = reader.query(
+            "SELECT a.[Asset No], b.[Asset No], a.Make & ' ' & a.Model AS Name FROM [Asset Items] a INNER JOIN [Asset Items] b ON a.[Asset No] = b.[Asset No] ORDER BY a.[Asset No]"
+        );
+        expect(rows).to.have.length(65);
+        expect(rows[0]).to.deep.eq({ "a.Asset No": "30050", "b.Asset No": "30050", Name: "GEO Rocket 220ZX" });
+
+        const unmatched = reader.query(
+            "SELECT COUNT(*) AS n FROM [Asset Items] a LEFT JOIN [Asset Items] b ON a.[Asset No] = b.[Asset No] AND b.Cost > 1000 WHERE b.[Asset No] IS NULL"
+        );
+        expect(unmatched).to.deep.eq(reader.query("SELECT COUNT(*) AS n FROM [Asset Items] WHERE NOT Cost > 1000"));
+    });
+
+    it("throws for unknown tables and columns", () => {
+        expect(() => reader.query("SELECT * FROM Unknown")).to.throw("Could not find table with name Unknown");
+        expect(() => reader.query("SELECT Unknown FROM [Asset Items]")).to.throw("Could not find column with name Unknown");
+        expect(() => reader.query("SELECT Cost FROM [Asset Items] a, [Asset Items] b")).to.throw("ambiguous");
+    });
+
+    it("queryAsync()", async () => {
+        const sql = "SELECT Owner, AVG(Warranty) FROM [Asset Items] GROUP BY Owner";
+        expect(await reader.queryAsync(sql)).to.deep.eq(reader.query(sql));
+    });
+
+    it("queryAsync() with an async page source", async () => {
+        const buffer = readFileSync(resolve("test/data/real/ASampleDatabase.accdb"));
+        const asyncReader = await MDBReader.open(createBlobPageSource(new Blob([buffer])));
+        const sql =
+            "SELECT a.Owner, COUNT(*) AS Assets FROM [Asset Items] a INNER JOIN [Asset Items] b ON a.[Asset No] = b.[Asset No] GROUP BY a.Owner ORDER BY a.Owner";
+
+        expect(await asyncReader.queryAsync(sql)).to.deep.eq(reader.query(sql));
+        await asyncReader.queryAsync("SELECT Unknown FROM [Asset Items]").then(
+            () => expect.fail(),
+            (error: Error) => expect(error.message).to.eq("Could not find column with name Unknown")
+        );
+    });
+});
@@ -28,21 +28,196 @@ describe("MDBReader", () => {
                 expect(table.rowCount).to.eq(2);
             });
 
+            it("returns the same table for repeated calls", () => {
+                const reader = new MDBReader(buffer);
+                expect(reader.getTable("Table1")).to.eq(reader.getTable("Table1"));
+            });
+
             it("throws error for unknown table", () => {
                 const reader = new MDBReader(buffer);
                 expect(() => reader.getTable("unknown")).to.throw();
             });
         });
 
+        it("getLinkedTableInfo() throws error for local table", () => {
+            const reader = new MDBReader(buffer);
+            expect(() => reader.getLinkedTableInfo("Table1")).to.throw();
+        });
+
         it("getTableNames()", () => {
             const reader = new MDBReader(buffer);
             const tableNames = reader.getTableNames();
             expect(tableNames).to.deep.eq(["Table1", "Table2", "Table3", "Table4"]);
         });
 
+        it("getRelationships()", () => {
+            const reader = new MDBReader(buffer);
+            expect(reader.getRelationships()).to.deep.eq([]);
+        });
+
+        it("getQueryNames()", () => {
+            const reader = new MDBReader(buffer);
+            expect(reader.getQueryNames()).to.deep.eq([]);
+        });
+
+        it("getDatabaseProperties()", () => {
+            const reader = new MDBReader(buffer);
+            const properties = reader.getDatabaseProperties();
+            expect(properties["Title"]).to.eq("test");
+            expect(properties["Author"]).to.eq("tmccune");
+            expect(properties["Company"]).to.eq("Health Market Science");
+            expect(properties["AccessVersion"]).to.be.a("string");
+        });
+
         it("should not modify the input buffer", () => {
             const fileBuffer = readFileSync(path);
             expect(Buffer.compare(buffer, fileBuffer)).to.eq(0);
         });
     });
+
+    describe("getRelationships()", () => {
+        it("V2016/bigint.accdb", () => {
+            const buffer = readFileSync(resolve("test/data/V2016/bigint.accdb"));
+            const reader = new MDBReader(buffer);
+            const relationships = reader.getRelationships();
+
+            expect(relationships.length).to.eq(2);
+            expect(relationships[0]).to.deep.eq({
+                name: "MSysNavPaneGroupCategoriesMSysNavPaneGroups",
+                table: "MSysNavPaneGroups",
+                columns: ["GroupCategoryID"],
+                referencedTable: "MSysNavPaneGroupCategories",
+                referencedColumns: ["Id"],
+                oneToOne: false,
+                enforceIntegrity: true,
+                cascadeUpdates: true,
+                cascadeDeletes: true,
+                cascadeNull: false,
+                leftOuterJoin: false,
+                rightOuterJoin: false,
+            });
+        });
+
+        it("real/ASampleDatabase.accdb", () => {
+            const buffer = readFileSync(resolve("test/data/real/ASampleDatabase.accdb"));
+            const reader = new MDBReader(buffer);
+            const [relationship] = reader.getRelationships();
+
+            expect(relationship!.table).to.eq("MSysAccessStorage");
+            expect(relationship!.columns).to.deep.eq(["ParentId"]);
+            expect(relationship!.referencedColumns).to.deep.eq(["Id"]);
+            expect(relationship!.cascadeUpdates).to.be.false;
+            expect(relationship!.cascadeDeletes).to.be.true;
+        });
+    });
+
+    describe("queries", () => {
+        const path = resolve("test/data/real/ASampleDatabase.accdb");
+
+        let reader: MDBReader;
+
+        before(() => {
+            reader = new MDBReader(readFileSync(path));
+        });
+
+        it("getQueryNames()", () => {
+            expect(reader.getQueryNames()).to.deep.eq([
+                "qryComputerHardwareInOwnerOrder",
+                "qryCostsSummedByOwner",
+                "qryGSTCalculations",
+            ]);
+            expect(reader.getQueryNames({ normalQueries: false, systemQueries: true })).to.deep.eq([
+                "~sq_rrptAssetsGroupedByOwners",
+                "~sq_rrptAssetListingInNumberOrder",
+                "~sq_ffrmAssetInventory",
+            ]);
+        });
+
+        it("getQuery()", () => {
+            const query = reader.getQuery("qryComputerHardwareInOwnerOrder");
+
+            expect(query.name).to.eq("qryComputerHardwareInOwnerOrder");
+            expect(query.type).to.eq("select");
+            expect(query.parameters).to.deep.eq([]);
+            expect(query.sql).to.eq(
+                [
+                    "SELECT [Asset Items].[Asset No], [Asset Items].[Owner], [Asset Items].[Asset Category], [Asset Items].[Make], [Asset Items].[Model], [Asset Items].[Cost]",
+                    "FROM [Asset Items]",
+                    'WHERE ((([Asset Items].[Asset Category])="Computer Hardware"))',
+                    "ORDER BY [Asset Items].[Owner];",
+                ].join("\n")
+            );
+        });
+
+        it("getQuery() with aggregation", () => {
+            expect(reader.getQuery("qryCostsSummedByOwner").sql).to.eq(
+                [
+                    "SELECT [Asset Items].[Owner], [Asset Items].[Asset Category], Sum([Asset Items].[Cost]) AS SumOfCost",
+                    "FROM [Asset Items]",
+                    "GROUP BY [Asset Items].[Owner], [Asset Items].[Asset Category];",
+                ].join("\n")
+            );
+        });
+
+        it("getQuery() with flags", () => {
+            expect(reader.getQuery("~sq_ffrmAssetInventory").sql).to.eq("SELECT DISTINCTROW *\nFROM [Asset Items];");
+        });
+
+        it("getQuery() throws error for unknown query", () => {
+            expect(() => reader.getQuery("unknown")).to.throw();
+        });
+    });
+
+    forEach([
+        ["V1997/test.mdb", "Jet3"],
+        ["V2003/test.mdb", "Jet4"],
+        ["V2007/test.accdb", "ACE12"],
+        ["V2010/test.accdb", "ACE14"],
+        ["V2016/bigint.accdb", "ACE16"],
+    ]).it("getFileFormat() of %s", (filename, fileFormat) => {
+        const reader = new MDBReader(readFileSync(resolve("test/data", filename)));
+        expect(reader.getFileFormat()).to.eq(fileFormat);
+        expect(reader.getEncryptionType()).to.eq("none");
+    });
+
+    describe("code page", () => {
+        const path = resolve("test/data", "V1997/test.mdb");
+
+        let buffer: Buffer;
+
+        beforeEach(() => {
+            buffer = readFileSync(path);
+        });
+
+        it("getCodePage() is derived from the sort order", () => {
+            expect(new MDBReader(buffer).getCodePage()).to.eq(1252);
+        });
+
+        it("getCodePage() returns the code page of the options", () => {
+            expect(new MDBReader(buffer, { codePage: 1251 }).getCodePage()).to.eq(1251);
+        });
+
+        it("throws for unsupported code pages", () => {
+            expect(() => new MDBReader(buffer, { codePage: 437 })).to.throw("Unsupported code page 437");
+        });
+    });
+
+    describe("page cache", () => {
+        const path = resolve("test/encryption/data", "office-rc4-1.1.accdb");
+
+        it("reads the same data with and without the cache", () => {
+            const buffer = readFileSync(path);
+            const read = (pageCacheSize?: number) => {
+                const table = new MDBReader(buffer, { password: "password", pageCacheSize }).getTable("Table1");
+                return [table.getColumnNames(), table.getData(), table.getData()];
+            };
+            expect(read(0)).to.deep.eq(read(1)).and.to.deep.eq(read());
+        });
+
+        it("throws for invalid sizes", () => {
+            expect(() => new MDBReader(readFileSync(path), { password: "password", pageCacheSize: -1 })).to.throw(
+                "Invalid cache size -1"
+            );
+        });
+    });
 });
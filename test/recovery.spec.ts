@@ -0,0 +1,83 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader from "../src/index.js";
+import { expect } from "chai";
+
+const PAGE_SIZE = 4096;
+
+/**
+ * Offset of the start of a record in a Jet4 data page
+ */
+function getRecordStartOffset(page: number, row: number): number {
+    return page * PAGE_SIZE + 14 + row * 2;
+}
+
+/**
+ * Marks a record as deleted like Access does, i.e. its bytes are kept
+ */
+function deleteRecord(buffer: Buffer, page: number, row: number): void {
+    const offset = getRecordStartOffset(page, row);
+    buffer.writeUInt16LE(buffer.readUInt16LE(offset) | 0xc000, offset);
+}
+
+describe("Table.recoverRows()", () => {
+    let buffer: Buffer;
+
+    beforeEach(() => {
+        buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+    });
+
+    it("returns the rows with their location", () => {
+        const table = new MDBReader(buffer).getTable("Table1");
+        const [first, second] = table.getData();
+
+        expect(table.recoverRows()).to.deep.eq([
+            { values: first, page: 76, row: 0, deleted: false, orphaned: false, intact: true },
+            { values: second, page: 76, row: 1, deleted: false, orphaned: false, intact: true },
+        ]);
+    });
+
+    it("recovers deleted records", () => {
+        const [first, second] = new MDBReader(buffer).getTable("Table1").getData();
+        deleteRecord(buffer, 76, 1);
+
+        const table = new MDBReader(buffer).getTable("Table1");
+        expect(table.getData()).to.deep.eq([first]);
+        expect(table.recoverRows()).to.have.length(1);
+        expect(table.recoverRows({ includeDeleted: true, columns: ["A", "E"] })).to.deep.eq([
+            { values: { A: first!["A"], E: first!["E"] }, page: 76, row: 0, deleted: false, orphaned: false, intact: true },
+            { values: { A: second!["A"], E: second!["E"] }, page: 76, row: 1, deleted: true, orphaned: false, intact: true },
+        ]);
+    });
+
+    it("recovers data pages that are not referenced by the table anymore", () => {
+        const page = buffer.length / PAGE_SIZE;
+        const orphanedPage = Buffer.from(buffer.slice(76 * PAGE_SIZE, 77 * PAGE_SIZE));
+        deleteRecord(orphanedPage, 0, 1);
+
+        const table = new MDBReader(Buffer.concat([buffer, orphanedPage])).getTable("Table1");
+        expect(table.recoverRows()).to.have.length(2);
+        expect(
+            table
+                .recoverRows({ includeOrphanedPages: true, includeDeleted: true, columns: ["A"] })
+                .filter((row) => row.orphaned)
+        ).to.deep.eq([
+            { values: { A: "a" }, page, row: 0, deleted: false, orphaned: true, intact: true },
+            { values: { A: "abcdefg" }, page, row: 1, deleted: true, orphaned: true, intact: true },
+        ]);
+    });
+
+    it("replaces values that cannot be read anymore with null", () => {
+        buffer = readFileSync(resolve("test/data/V2016/longtext.accdb"));
+        deleteRecord(buffer, 100, 0);
+
+        // Let the long value of the memo column point to a page that does not exist. The pointer follows the column
+        // count, the ID and the length of the long value.
+        const recordStart = buffer.readUInt16LE(getRecordStartOffset(100, 0)) & 0x1fff;
+        buffer.writeUInt32LE(0xffffff00, 100 * PAGE_SIZE + recordStart + 10);
+
+        expect(new MDBReader(buffer).getTable("Table1").recoverRows({ includeDeleted: true })).to.deep.eq([
+            { values: { ID: 1, LongText: null }, page: 100, row: 0, deleted: true, orphaned: false, intact: false },
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader, { dumpSQL, type SQLDumpOptions } from "../src/index.js";
+import { expect } from "chai";
+
+describe("dumpSQL()", () => {
+    let reader: MDBReader;
+
+    before(() => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        reader = new MDBReader(buffer, { dateTime: "iso", converters: { long: (value: number) => value * 2 } });
+    });
+
+    function dump(options: SQLDumpOptions): string {
+        return [...dumpSQL(reader, options)].join("");
+    }
+
+    it("creates tables and inserts rows in batches", () => {
+        expect(dump({ dialect: "sqlite", tables: ["Table1"], batchSize: 1 })).to.eq(
+            [
+                "BEGIN TRANSACTION;",
+                "",
+                'CREATE TABLE "Table1" (',
+                '    "A" TEXT(50),',
+                '    "B" TEXT(100),',
+                '    "C" INTEGER,',
+                '    "D" INTEGER,',
+                '    "E" INTEGER,',
+                '    "F" REAL,',
+                '    "G" TEXT,',
+                '    "H" NUMERIC,',
+                '    "I" INTEGER,',
+                '    PRIMARY KEY ("A")',
+                ");",
+                'INSERT INTO "Table1" ("A", "B", "C", "D", "E", "F", "G", "H", "I") VALUES',
+                "('a', 'b', 0, 0, 0, 0, '1981-12-12 00:00:00', 0.0000, 0);",
+                'INSERT INTO "Table1" ("A", "B", "C", "D", "E", "F", "G", "H", "I") VALUES',
+                "('abcdefg', 'hijklmnop', 2, 222, 333333333, 444.555, '1974-09-21 00:00:00', 3.5000, 1);",
+                "",
+                "COMMIT;",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("uses the types and literals of the dialect", () => {
+        const mysql = dump({ dialect: "mysql", tables: ["Table1"] });
+        expect(mysql).to.match(/^SET NAMES utf8mb4;\nSTART TRANSACTION;\n/);
+        expect(mysql).to.include("    `H` DECIMAL(19,4),\n");
+        expect(mysql).to.include(
+            "INSERT INTO `Table1` (`A`, `B`, `C`, `D`, `E`, `F`, `G`, `H`, `I`) VALUES\n" +
+                "('a', 'b', 0, 0, 0, 0, '1981-12-12 00:00:00', 0.0000, FALSE),\n" +
+                "('abcdefg', 'hijklmnop', 2, 222, 333333333, 444.555, '1974-09-21 00:00:00', 3.5000, TRUE);\n"
+        );
+    });
+
+    it("updates the sequences of autonumber columns in postgres", () => {
+        expect(dump({ dialect: "postgres", tables: ["Table3"] })).to.eq(
+            [
+                "SET client_encoding = 'UTF8';",
+                "BEGIN;",
+                "",
+                'CREATE TABLE "Table3" (',
+                '    "a" SERIAL,',
+                '    "b" VARCHAR(50),',
+                '    PRIMARY KEY ("a")',
+                ");",
+                `SELECT setval(pg_get_serial_sequence('"Table3"', 'a'), MAX("a")) FROM "Table3";`,
+                "",
+                "COMMIT;",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("dumps all tables by default", () => {
+        const statements = dump({ dialect: "sqlite" }).match(/^CREATE TABLE "[^"]+"/gm);
+        expect(statements).to.deep.eq(reader.getTableNames().map((name) => `CREATE TABLE "${name}"`));
+    });
+
+    it("throws on invalid batch sizes", () => {
+        expect(() => dump({ dialect: "sqlite", batchSize: 0 })).to.throw("Invalid batch size 0");
+    });
+});
@@ -1,6 +1,6 @@
 import { resolve } from "path";
 import { readFileSync } from "fs";
-import MDBReader, { type Table } from "../src/index.js";
+import MDBReader, { type Attachment, type Table } from "../src/index.js";
 import { expect } from "chai";
 import forEach from "mocha-each";
 
@@ -101,6 +101,15 @@ describe("Table", () => {
             });
         });
 
+        it("getColumns() returns properties", () => {
+            const reader = new MDBReader(buffer);
+            const table = reader.getTable("Table1");
+
+            expect(table.getColumn("C").properties.DefaultValue).to.eq("0");
+            expect(table.getColumn("A").properties.Required).to.eq(false);
+            expect(table.getProperties()["DefaultView"]).to.eq(2);
+        });
+
         it("getColumnNames()", () => {
             const reader = new MDBReader(buffer);
             const table = reader.getTable("Table1");
@@ -108,6 +117,239 @@ describe("Table", () => {
 
             expect(columnNames).to.deep.eq(["A", "B", "C", "D", "E", "F", "G", "H", "I"]);
         });
+
+        describe("getIndexes()", () => {
+            it("returns primary key and secondary indexes", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("Table1");
+                const indexes = table.getIndexes();
+
+                expect(indexes).to.deep.eq([
+                    {
+                        name: "B",
+                        columns: [{ name: "B", order: "asc" }],
+                        unique: false,
+                        ignoreNulls: false,
+                        required: false,
+                        primaryKey: false,
+                        foreignKey: false,
+                    },
+                    {
+                        name: "PrimaryKey",
+                        columns: [{ name: "A", order: "asc" }],
+                        unique: true,
+                        ignoreNulls: false,
+                        required: true,
+                        primaryKey: true,
+                        foreignKey: false,
+                    },
+                ]);
+            });
+
+            it("returns multi-column indexes", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("MSysQueries");
+                const indexes = table.getIndexes();
+
+                expect(indexes.length).to.eq(1);
+                expect(indexes[0]!.name).to.eq("ObjectIdAttribute");
+                expect(indexes[0]!.columns.map((c) => c.name)).to.deep.eq(["ObjectId", "Attribute", "Order"]);
+                expect(indexes[0]!.primaryKey).to.be.true;
+            });
+        });
+
+        describe("findByIndex()", () => {
+            it("finds rows by primary key", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("Table1");
+
+                expect(table.findByIndex("PrimaryKey", "a").map((row) => row["B"])).to.deep.eq(["b"]);
+                expect(table.findByIndex("PrimaryKey", "ABCDEFG").map((row) => row["B"])).to.deep.eq(["hijklmnop"]);
+                expect(table.findByIndex("PrimaryKey", "x")).to.deep.eq([]);
+            });
+
+            it("finds rows by secondary index", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("Table1");
+
+                expect(table.findByIndex("B", "hijklmnop", { columns: ["A"] })).to.deep.eq([{ A: "abcdefg" }]);
+            });
+
+            it("finds rows by multi-column index", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("MSysObjects");
+                const objects = table.getData<{ Name: string; ParentId: number }>({ columns: ["Name", "ParentId"] });
+                const table1 = objects.find((o) => o.Name === "Table1")!;
+
+                expect(table.findByIndex("ParentIdName", [table1.ParentId, "Table1"], { columns: ["Name"] })).to.deep.eq([
+                    { Name: "Table1" },
+                ]);
+
+                const siblings = table.findByIndex("ParentIdName", [table1.ParentId], { columns: ["Name"] });
+                expect(siblings.map((row) => row["Name"])).to.include.members(["Table1", "Table2", "Table3", "Table4"]);
+                expect(siblings.length).to.eq(objects.filter((o) => o.ParentId === table1.ParentId).length);
+            });
+
+            it("finds text keys with characters without index codes", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("Table1");
+
+                expect(table.findByIndex("PrimaryKey", "a-b")).to.deep.eq([]);
+                expect(table.findByIndex("PrimaryKey", "Ä")).to.deep.eq([]);
+                expect(table.findRange("PrimaryKey", { from: "ab-", columns: ["A"] })).to.deep.eq([{ A: "abcdefg" }]);
+                expect(table.findRange("PrimaryKey", { from: "A", to: "abcdé", columns: ["A"] })).to.deep.eq([{ A: "a" }]);
+
+                const objects = reader.getTable("MSysObjects");
+                const table1 = objects.getData<{ Name: string; ParentId: number }>().find((o) => o.Name === "Table1")!;
+                expect(objects.findByIndex("ParentIdName", [table1.ParentId, "Table-1"])).to.deep.eq([]);
+            });
+
+            it("throws for unknown index", () => {
+                const reader = new MDBReader(buffer);
+                const table = reader.getTable("Table1");
+
+                expect(() => table.findByIndex("Unknown", "a")).to.throw();
+            });
+        });
+
+        it("findRange()", () => {
+            const reader = new MDBReader(buffer);
+            const table = reader.getTable("MSysObjects");
+            const ids = table.getData<{ Id: number }>({ columns: ["Id"] }).map((row) => row.Id);
+
+            const rows = table.findRange<{ Id: number }>("Id", { from: 0, to: 10, columns: ["Id"] });
+            expect(rows.map((row) => row.Id)).to.deep.eq(ids.filter((id) => id >= 0 && id <= 10).sort((a, b) => a - b));
+
+            expect(table.findRange("Id", {}).length).to.eq(ids.length);
+        });
+    });
+
+    describe("findByIndex()", () => {
+        it("real/ASampleDatabase.accdb", () => {
+            const buffer = readFileSync(resolve("test/data/real/ASampleDatabase.accdb"));
+            const reader = new MDBReader(buffer);
+            const table = reader.getTable("Asset Items");
+
+            expect(table.findByIndex("PrimaryKey", "30050").map((row) => row["Asset No"])).to.deep.eq(["30050"]);
+            expect(table.findByIndex("PrimaryKey", "99999")).to.deep.eq([]);
+            expect(table.findRange("PrimaryKey", {}).length).to.eq(65);
+        });
+    });
+
+    describe("getColumns()", () => {
+        it("real/ASampleDatabase.accdb returns properties", () => {
+            const buffer = readFileSync(resolve("test/data/real/ASampleDatabase.accdb"));
+            const reader = new MDBReader(buffer);
+            const table = reader.getTable("Asset Items");
+
+            expect(table.getColumn("Cost").properties).to.include({
+                Description: "Records the purchase price of the asset",
+                DefaultValue: "0",
+                Format: "$#,##0.00;-$#,##0.00",
+            });
+        });
+
+        it("returns no properties for system tables", () => {
+            const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+            const reader = new MDBReader(buffer);
+            expect(reader.getTable("MSysObjects").getColumn("Id").properties).to.deep.eq({});
+        });
+    });
+
+    describe("rows()", () => {
+        const path = resolve("test/data/real/ASampleDatabase.accdb");
+        let table: Table;
+
+        before(() => {
+            const buffer = readFileSync(path);
+            const reader = new MDBReader(buffer);
+            table = reader.getTable("Asset Items");
+        });
+
+        it("returns the same rows as getData()", () => {
+            expect([...table.rows()]).to.deep.eq(table.getData());
+        });
+
+        it("with columns", () => {
+            expect([...table.rows({ columns: ["Asset No"] })]).to.deep.eq(table.getData({ columns: ["Asset No"] }));
+        });
+
+        it("can be stopped early", () => {
+            const rows = [];
+            for (const row of table.rows()) {
+                rows.push(row);
+                if (rows.length === 10) {
+                    break;
+                }
+            }
+            expect(rows).to.deep.eq(table.getData({ rowLimit: 10 }));
+        });
+
+        it("rowsAsync()", async () => {
+            const rows = [];
+            for await (const row of table.rowsAsync()) {
+                rows.push(row);
+            }
+            expect(rows).to.deep.eq(table.getData());
+        });
+
+        it("stream()", async function () {
+            let stream;
+            try {
+                stream = table.stream({ columns: ["Asset No"] });
+            } catch {
+                // not available in the browser build
+                this.skip();
+            }
+
+            const rows = [];
+            for await (const row of stream) {
+                rows.push(row);
+            }
+            expect(rows).to.deep.eq(table.getData({ columns: ["Asset No"] }));
+        });
+    });
+
+    describe("value options", () => {
+        let buffer: Buffer;
+
+        before(() => {
+            buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        });
+
+        it("of the reader", () => {
+            const reader = new MDBReader(buffer, { dateTime: "iso", decimal: "decimal" });
+            const rows = reader.getTable("Table1").getData({ columns: ["G", "H"] });
+            expect(rows).to.deep.include({ G: "1974-09-21T00:00:00.000", H: { value: 35000n, scale: 4 } });
+        });
+
+        it("of a call override the options of the reader", () => {
+            const reader = new MDBReader(buffer, { dateTime: "iso", converters: { byte: (value) => value * 2 } });
+            const table = reader.getTable("Table1");
+            const rows = table.getData({ columns: ["C", "G", "H"], dateTime: "ole", converters: { currency: Number } });
+            expect(rows).to.deep.include({ C: 4, G: 27293, H: 3.5 });
+            expect([
+                ...table.rows({ columns: ["C", "G", "H"], dateTime: "ole", converters: { currency: Number } }),
+            ]).to.deep.eq(rows);
+        });
+
+        it("converters receive the column", () => {
+            const reader = new MDBReader(buffer);
+            const rows = reader.getTable("Table1").getData({
+                columns: ["A", "I"],
+                converters: { text: (value, column) => `${column.name}: ${value}`, boolean: (value) => +value },
+            });
+            expect(rows).to.deep.include({ A: "A: abcdefg", I: 1 });
+        });
+
+        it("are not applied to system tables read internally", () => {
+            const bigintBuffer = readFileSync(resolve("test/data/V2016/bigint.accdb"));
+            const reader = new MDBReader(bigintBuffer, {
+                converters: { long: String, text: (value) => value.toUpperCase() },
+            });
+            expect(reader.getRelationships()).to.deep.eq(new MDBReader(bigintBuffer).getRelationships());
+            expect(reader.getTableNames()).to.deep.eq(new MDBReader(bigintBuffer).getTableNames());
+        });
     });
 
     describe("getData()", () => {
@@ -170,6 +412,84 @@ describe("Table", () => {
             });
         });
 
+        describe("real/ASampleDatabase.accdb with where and orderBy", () => {
+            const path = resolve("test/data/real/ASampleDatabase.accdb");
+            let table: Table;
+
+            before(() => {
+                const buffer = readFileSync(path);
+                const reader = new MDBReader(buffer);
+                table = reader.getTable("Asset Items");
+            });
+
+            const isExpensiveHardware = (row: { [column: string]: unknown }) =>
+                (row["Asset Category"] as string).toLowerCase() === "computer hardware" && Number(row["Cost"]) > 1000;
+
+            it("with where conditions", () => {
+                const rows = table.getData({
+                    where: { "Asset Category": { eq: "computer hardware" }, Cost: { gt: 1000 } },
+                });
+                expect(rows.length).to.be.greaterThan(0);
+                expect(rows).to.deep.eq(table.getData().filter(isExpensiveHardware));
+            });
+
+            it("with where predicate", () => {
+                const rows = table.getData({ where: isExpensiveHardware });
+                expect(rows).to.deep.eq(table.getData().filter(isExpensiveHardware));
+            });
+
+            it("with like, in and isNull conditions", () => {
+                const rows = table.getData({
+                    columns: ["Asset No"],
+                    where: { Description: { like: "comp*" }, Owner: { in: ["Sales", "Admin & Accounts"] } },
+                });
+                const expected = table
+                    .getData()
+                    .filter((row) => /^comp/i.test(row["Description"] as string))
+                    .filter((row) => row["Owner"] === "Sales" || row["Owner"] === "Admin & Accounts")
+                    .map((row) => ({ "Asset No": row["Asset No"] }));
+                expect(rows.length).to.be.greaterThan(0);
+                expect(rows).to.deep.eq(expected);
+
+                expect(table.getData({ where: { Comments: { isNull: true } } }).length).to.eq(
+                    table.getData().filter((row) => row["Comments"] === null).length
+                );
+            });
+
+            it("with orderBy", () => {
+                const rows = table.getData({
+                    columns: ["Asset No", "Cost"],
+                    orderBy: [{ column: "Cost", order: "desc" }, "Asset No"],
+                });
+                const expected = table
+                    .getData({ columns: ["Asset No", "Cost"] })
+                    .sort(
+                        (a, b) =>
+                            Number(b["Cost"]) - Number(a["Cost"]) ||
+                            (a["Asset No"] as string).localeCompare(b["Asset No"] as string)
+                    );
+                expect(rows).to.deep.eq(expected);
+            });
+
+            it("with rowOffset & rowLimit applied after filtering and sorting", () => {
+                const rows = table.getData({ where: isExpensiveHardware, orderBy: "Cost", rowOffset: 1, rowLimit: 2 });
+                expect(rows).to.deep.eq(table.getData({ where: isExpensiveHardware, orderBy: "Cost" }).slice(1, 3));
+                expect(table.getData({ where: isExpensiveHardware, rowOffset: 1, rowLimit: 2 })).to.deep.eq(
+                    table.getData({ where: isExpensiveHardware }).slice(1, 3)
+                );
+            });
+
+            it("getDataAsync() returns the same rows", async () => {
+                const options = { where: isExpensiveHardware, orderBy: "Cost", rowOffset: 1 };
+                expect(await table.getDataAsync(options)).to.deep.eq(table.getData(options));
+            });
+
+            it("throws for unknown columns", () => {
+                expect(() => table.getData({ where: { Unknown: { eq: 1 } } })).to.throw("Unknown");
+                expect(() => table.getData({ orderBy: "Unknown" })).to.throw("Unknown");
+            });
+        });
+
         describe("V2016/withdeletedcol.accdb", () => {
             it("with offset column indices due to a column deletion", () => {
                 const withDeletedColPath = resolve("test/data/V2016/withdeletedcol.accdb");
@@ -183,6 +503,25 @@ describe("Table", () => {
             });
         });
 
+        describe("V2016/empty.accdb", () => {
+            it("with attachments", () => {
+                const buffer = readFileSync(resolve("test/data/V2016/empty.accdb"));
+                const reader = new MDBReader(buffer);
+                const [row] = reader.getTable("MSysResources").getData();
+
+                const [attachment, ...rest] = row!["Data"] as Attachment[];
+                expect(rest).to.deep.eq([]);
+                expect(attachment!.fileName).to.eq("Office Theme.thmx");
+                expect(attachment!.fileType).to.eq("thmx");
+                expect(attachment!.timeStamp).to.eq(null);
+
+                // theme files are zip archives
+                expect(attachment!.data.length).to.eq(3330);
+                expect(attachment!.data.readUInt32LE(0)).to.eq(0x04034b50);
+                expect(attachment!.data.readUInt32LE(attachment!.data.length - 22)).to.eq(0x06054b50);
+            });
+        });
+
         describe("V2016/withinsertedcol.accdb", () => {
             it("with offset column indices due to a column insertion", () => {
                 const withInsertedColPath = resolve("test/data/V2016/withinsertedcol.accdb");
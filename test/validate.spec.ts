@@ -0,0 +1,95 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader, { createBlobPageSource, UnreadableValue } from "../src/index.js";
+import { expect } from "chai";
+
+const PAGE_SIZE = 4096;
+
+/**
+ * Replaces the pointer to the first row storing the memo of the only record of `longtext.accdb`
+ */
+function breakMemoPointer(buffer: Buffer): void {
+    const recordStart = buffer.readUInt16LE(100 * PAGE_SIZE + 14) & 0x1fff;
+    buffer.writeUInt32LE(0xffff00, 100 * PAGE_SIZE + recordStart + 10);
+}
+
+describe("validate()", () => {
+    it("finds no issues in intact databases", () => {
+        for (const path of ["V1997/test.mdb", "V2010/test.accdb", "V2016/longtext.accdb", "real/ASampleDatabase.accdb"]) {
+            expect(new MDBReader(readFileSync(resolve("test/data", path))).validate(), path).to.deep.eq([]);
+        }
+    });
+
+    it("reports unsupported column types", () => {
+        expect(new MDBReader(readFileSync(resolve("test/data/V2000/empty.mdb"))).validate()).to.deep.eq([
+            {
+                type: "columnType",
+                table: "MSysAccessObjects",
+                message: "Columns of table MSysAccessObjects cannot be read: Unsupported column type",
+            },
+        ]);
+    });
+
+    it("reports damaged data pages", () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        buffer[76 * PAGE_SIZE] = 0x07;
+
+        const reader = new MDBReader(buffer);
+        expect(reader.validate()).to.deep.eq([
+            { type: "page", page: 76, message: "Page 76 has unknown type 0x07" },
+            { type: "usageMap", table: "Table1", page: 76, message: "Wrong page type. Expected 1 but received 7." },
+            { type: "rowCount", table: "Table1", message: "Table Table1 has 0 rows but its definition states 2" },
+        ]);
+
+        const table = reader.getTable("Table1");
+        expect(() => table.getData()).to.throw("Wrong page type");
+        expect(table.getData({ tolerant: true })).to.deep.eq([]);
+    });
+
+    it("reports broken memo values", () => {
+        const buffer = readFileSync(resolve("test/data/V2016/longtext.accdb"));
+        breakMemoPointer(buffer);
+
+        const reader = new MDBReader(buffer);
+        expect(reader.validate()).to.deep.eq([
+            {
+                type: "longValue",
+                table: "Table1",
+                page: 100,
+                row: 0,
+                column: "LongText",
+                message: "Long value references page 65535 outside of the file",
+            },
+        ]);
+
+        const table = reader.getTable("Table1");
+        expect(() => table.getData()).to.throw("Page 65535 does not exist");
+        expect(table.getData({ tolerant: true })).to.deep.eq([
+            { ID: 1, LongText: new UnreadableValue("Page 65535 does not exist") },
+        ]);
+        expect([...table.rows({ tolerant: true, columns: ["LongText"] })]).to.deep.eq([
+            { LongText: new UnreadableValue("Page 65535 does not exist") },
+        ]);
+    });
+
+    it("validates databases opened from async page sources", async () => {
+        const buffer = readFileSync(resolve("test/data/V2016/longtext.accdb"));
+        breakMemoPointer(buffer);
+
+        const reader = await MDBReader.open(createBlobPageSource(new Blob([buffer])));
+        expect(() => reader.validate()).to.throw();
+        expect(await reader.validateAsync()).to.deep.eq(new MDBReader(buffer).validate());
+        expect(await reader.validateAsync()).to.have.length(1);
+    });
+
+    it("loads pages from async page sources in tolerant mode", async () => {
+        const buffer = readFileSync(resolve("test/data/V2016/longtext.accdb"));
+        breakMemoPointer(buffer);
+
+        const reader = await MDBReader.open(createBlobPageSource(new Blob([buffer])));
+        const table = await reader.getTableAsync("Table1");
+        expect(await table.getDataAsync({ tolerant: true })).to.deep.eq([
+            { ID: 1, LongText: new UnreadableValue("Page 65535 does not exist") },
+        ]);
+    });
+});
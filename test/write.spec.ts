@@ -0,0 +1,229 @@
+import { resolve } from "path";
+import { readFileSync } from "fs";
+import MDBReader, { createDatabase } from "../src/index.js";
+import { expect } from "chai";
+
+describe("writing", () => {
+    it("inserts, updates and deletes rows", () => {
+        const table = new MDBReader(readFileSync(resolve("test/data/V2010/test.accdb"))).getTable("Table1");
+
+        const inserted = new MDBReader(
+            table.insertRows([
+                {
+                    A: "xyz",
+                    B: "Gruesse",
+                    C: 255,
+                    D: -2,
+                    E: 123456789,
+                    F: 1.5,
+                    G: new Date("2020-01-02T03:04:05.000Z"),
+                    H: "12.3456",
+                    I: true,
+                },
+                { A: "uvw" },
+            ])
+        );
+        const insertedTable = inserted.getTable("Table1");
+        expect(insertedTable.rowCount).to.eq(4);
+        expect(insertedTable.findByIndex("PrimaryKey", "xyz")).to.deep.eq([
+            {
+                A: "xyz",
+                B: "Gruesse",
+                C: 255,
+                D: -2,
+                E: 123456789,
+                F: 1.5,
+                G: new Date("2020-01-02T03:04:05.000Z"),
+                H: "12.3456",
+                I: true,
+            },
+        ]);
+        expect(insertedTable.findByIndex("PrimaryKey", "uvw")).to.deep.eq([
+            {
+                A: "uvw",
+                B: null,
+                C: null,
+                D: null,
+                E: null,
+                F: null,
+                G: null,
+                H: null,
+                I: false,
+            },
+        ]);
+        expect(inserted.validate()).to.deep.eq([]);
+
+        const updated = new MDBReader(insertedTable.updateRows({ A: { eq: "a" } }, { A: "b", B: "changed" }));
+        const updatedTable = updated.getTable("Table1");
+        expect(updatedTable.rowCount).to.eq(4);
+        expect(updatedTable.findByIndex("PrimaryKey", "a")).to.deep.eq([]);
+        expect(updatedTable.findByIndex("PrimaryKey", "b", { columns: ["B", "C"] })).to.deep.eq([{ B: "changed", C: 0 }]);
+        expect(updated.validate()).to.deep.eq([]);
+
+        const deleted = new MDBReader(updatedTable.deleteRows((row) => row["I"] === true));
+        const deletedTable = deleted.getTable("Table1");
+        expect(deletedTable.rowCount).to.eq(2);
+        expect(deletedTable.getData({ columns: ["A"] })).to.deep.eq([{ A: "uvw" }, { A: "b" }]);
+        expect(deletedTable.findByIndex("PrimaryKey", "xyz")).to.deep.eq([]);
+        expect(deleted.validate()).to.deep.eq([]);
+    });
+
+    it("rewrites updated rows in place if they fit", () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        const update = (values: { [column: string]: string | number }) => {
+            const updated = new MDBReader(buffer).getTable("Table1").updateRows({ A: { eq: "a" } }, values);
+            const changedPages = Array.from({ length: updated.length / 4096 }, (_, page) => page).filter(
+                (page) => !updated.slice(page * 4096, (page + 1) * 4096).equals(buffer.slice(page * 4096, (page + 1) * 4096))
+            );
+            const reader = new MDBReader(updated);
+            expect(reader.validate()).to.deep.eq([]);
+            return { changedPages, rows: reader.getTable("Table1").recoverRows({ includeDeleted: true, columns: ["A"] }) };
+        };
+
+        // only the data page changes if no indexed column changes
+        const unindexed = update({ C: 5 });
+        expect(unindexed.changedPages).to.have.length(1);
+        expect(unindexed.rows.map(({ values, row, deleted }) => ({ values, row, deleted }))).to.deep.eq([
+            { values: { A: "a" }, row: 0, deleted: false },
+            { values: { A: "abcdefg" }, row: 1, deleted: false },
+        ]);
+
+        // index B is rebuilt, the primary key is not
+        expect(update({ B: "x" }).changedPages).to.have.length(2);
+
+        const moved = update({ B: "x".repeat(40) });
+        expect(moved.rows.map(({ values, row, deleted }) => ({ values, row, deleted }))).to.deep.eq([
+            { values: { A: "a" }, row: 0, deleted: true },
+            { values: { A: "abcdefg" }, row: 1, deleted: false },
+            { values: { A: "a" }, row: 2, deleted: false },
+        ]);
+    });
+
+    it("refreshes the table after writing", () => {
+        const table = new MDBReader(readFileSync(resolve("test/data/V2010/test.accdb"))).getTable("Table1");
+        table.deleteRows({ A: { eq: "a" } });
+        expect(table.rowCount).to.eq(1);
+        expect(table.getData({ columns: ["A"] })).to.deep.eq([{ A: "abcdefg" }]);
+    });
+
+    it("stores memo values on long value pages", () => {
+        const reader = new MDBReader(readFileSync(resolve("test/data/V2016/longtext.accdb")));
+        const texts = ["short", "é".repeat(1000), "€".repeat(3000), "Lorem ipsum ".repeat(2000)];
+
+        const written = new MDBReader(reader.getTable("Table1").insertRows(texts.map((text) => ({ LongText: text }))));
+        const rows = written.getTable("Table1").getData();
+        expect(rows.map((row) => row["LongText"])).to.deep.eq([
+            reader.getTable("Table1").getData()[0]!["LongText"],
+            ...texts,
+        ]);
+        expect(written.validate()).to.deep.eq([]);
+
+        const deleted = new MDBReader(written.getTable("Table1").deleteRows({ ID: { gt: 1 } }));
+        expect(deleted.getTable("Table1").rowCount).to.eq(1);
+        expect(deleted.validate()).to.deep.eq([]);
+    });
+
+    it("generates autonumbers", () => {
+        const table = new MDBReader(readFileSync(resolve("test/data/V2016/longtext.accdb"))).getTable("Table1");
+        table.insertRows([{ LongText: "a" }, { ID: 100, LongText: "b" }]);
+        table.insertRows([{ LongText: "c" }]);
+        expect(table.getData({ columns: ["ID", "LongText"] }).slice(1)).to.deep.eq([
+            { ID: 2, LongText: "a" },
+            { ID: 100, LongText: "b" },
+            { ID: 101, LongText: "c" },
+        ]);
+    });
+
+    it("rebuilds indexes spanning multiple pages", () => {
+        const table = new MDBReader(readFileSync(resolve("test/data/V2016/longtext.accdb"))).getTable("Table1");
+        table.insertRows(Array.from({ length: 3000 }, (_, i) => ({ LongText: `row ${i}` })));
+        const buffer = table.deleteRows((row) => (row["ID"] as number) % 2 === 0);
+
+        const reader = new MDBReader(buffer);
+        expect(reader.getTable("Table1").rowCount).to.eq(1501);
+        expect(reader.getTable("Table1").findByIndex("PrimaryKey", 2001)).to.deep.eq([{ ID: 2001, LongText: "row 1999" }]);
+        expect(reader.getTable("Table1").findByIndex("PrimaryKey", 2000)).to.deep.eq([]);
+        expect(reader.validate()).to.deep.eq([]);
+    });
+
+    it("leaves the database unchanged if a write fails", () => {
+        const buffer = readFileSync(resolve("test/data/V2010/test.accdb"));
+        const table = new MDBReader(buffer).getTable("Table1");
+
+        expect(() => table.insertRows([{ A: "new" }, { A: "abcdefg" }])).to.throw(
+            "Duplicate value in unique index PrimaryKey of table Table1"
+        );
+        expect(() => table.updateRows({ A: { eq: "a" } }, { X: 1 })).to.throw("Could not find column with name X");
+        expect(() => table.insertRows([{ A: 1 }])).to.throw("Expected a string for column A");
+        expect(() => table.insertRows([{ A: "x".repeat(51) }])).to.throw("Value of column A is longer than 50 characters");
+        expect(() => table.insertRows([{ A: "x", C: 256 }])).to.throw();
+
+        expect(table.rowCount).to.eq(2);
+        expect(table.insertRows([])).to.deep.eq(buffer);
+    });
+
+    it("writes text keys with any characters", () => {
+        const table = new MDBReader(readFileSync(resolve("test/data/real/ASampleDatabase.accdb"))).getTable("Asset Items");
+        table.insertRows([{ "Asset No": "9-999" }, { "Asset No": "9999é" }, { "Asset No": "O'Dea" }]);
+        const buffer = table.updateRows({ "Asset No": { eq: "30050" } }, { "Asset No": "Über" });
+
+        const reader = new MDBReader(buffer);
+        for (const assetNo of ["9-999", "9999é", "O'Dea", "Über", "30051"]) {
+            expect(reader.getTable("Asset Items").findByIndex("PrimaryKey", assetNo, { columns: ["Asset No"] })).to.deep.eq([
+                { "Asset No": assetNo },
+            ]);
+        }
+        expect(reader.getTable("Asset Items").findByIndex("PrimaryKey", "30050")).to.deep.eq([]);
+        expect(reader.validate()).to.deep.eq([]);
+    });
+
+    for (const format of ["Jet4", "ACE12"] as const) {
+        it(`writes boolean and numeric keys (${format})`, () => {
+            const database = createDatabase({
+                format,
+                tables: [
+                    {
+                        name: "Payments",
+                        columns: [
+                            { name: "Paid", type: "boolean" },
+                            { name: "Amount", type: "numeric", precision: 10, scale: 2 },
+                        ],
+                        primaryKey: ["Paid", "Amount"],
+                    },
+                ],
+            });
+            const table = new MDBReader(database).getTable("Payments");
+            const buffer = table.insertRows([
+                { Paid: true, Amount: "1.5" },
+                { Paid: false, Amount: "-2" },
+                { Paid: true, Amount: "-1.25" },
+                { Paid: false, Amount: "10" },
+            ]);
+
+            const reader = new MDBReader(buffer);
+            expect(reader.getTable("Payments").findRange("PrimaryKey", {})).to.deep.eq([
+                { Paid: true, Amount: "-1.25" },
+                { Paid: true, Amount: "1.50" },
+                { Paid: false, Amount: "-2.00" },
+                { Paid: false, Amount: "10.00" },
+            ]);
+            expect(reader.getTable("Payments").findByIndex("PrimaryKey", [false, -2])).to.deep.eq([
+                { Paid: false, Amount: "-2.00" },
+            ]);
+            expect(reader.validate()).to.deep.eq([]);
+        });
+    }
+
+    it("throws for unsupported databases", () => {
+        expect(() =>
+            new MDBReader(readFileSync(resolve("test/data/V1997/test.mdb"))).getTable("Table1").deleteRows({})
+        ).to.throw("Writing databases of format Jet3 is not supported");
+
+        const encrypted = new MDBReader(readFileSync(resolve("test/encryption/data/office-standard-4.2.accdb")), {
+            password: "password",
+        });
+        expect(() => encrypted.getTable(encrypted.getTableNames()[0]!).deleteRows({})).to.throw(
+            "Writing databases with encryption"
+        );
+    });
+});